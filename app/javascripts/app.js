@@ -1,38 +1,220 @@
 var accounts;
 var account;
-var balance;
+var wallet;
+var walletType;
 
 function setStatus(message) {
   var status = document.getElementById("status");
   status.innerHTML = message;
 };
 
-function refreshBalance() {
-  var meta = MetaCoin.deployed();
+function setText(id, text) {
+  document.getElementById(id).textContent = text;
+};
 
-  meta.getBalance.call(account, {from: account}).then(function(value) {
-    var balance_element = document.getElementById("balance");
-    balance_element.innerHTML = value.valueOf();
-  }).catch(function(e) {
-    console.log(e);
-    setStatus("Error getting balance; see log.");
+// Shows the rows only relevant to the loaded wallet type
+function showWalletType(type) {
+  var toggle = function(className, visible) {
+    var elements = document.getElementsByClassName(className);
+    for (var i = 0; i < elements.length; i++) {
+      elements[i].style.display = visible ? "" : "none";
+    }
+  };
+  toggle("walletOnly", type === "wallet");
+  toggle("simpleOnly", type === "simple");
+  setText("ownersLabel", type === "wallet" ? "Owners" : "Signers");
+  document.getElementById("walletInfo").className = "";
+};
+
+function getBalance(address) {
+  return new Promise(function(resolve, reject) {
+    web3.eth.getBalance(address, function(err, balance) {
+      return err ? reject(err) : resolve(balance);
+    });
+  });
+};
+
+function getOwners() {
+  return wallet.m_numOwners.call().then(function(numOwners) {
+    var owners = [];
+    for (var i = 0; i < numOwners.toNumber(); i++) {
+      owners.push(wallet.getOwner.call(i));
+    }
+    return Promise.all(owners);
   });
 };
 
-function sendCoin() {
-  var meta = MetaCoin.deployed();
+// The automatic accessor for the public signers array only returns individual elements
+function getSigners() {
+  var signers = [];
+  var getSigner = function(index) {
+    return wallet.signers.call(index).then(function(signer) {
+      if (!signer || signer === "0x") {
+        return signers;
+      }
+      signers.push(signer);
+      return getSigner(index + 1);
+    }, function() {
+      return signers;
+    });
+  };
+  return getSigner(0);
+};
+
+function getPendingTransactions(owners) {
+  return wallet.numPendingTransactions.call().then(function(numPendingTransactions) {
+    var pendingTransactions = [];
+    for (var i = 0; i < numPendingTransactions.toNumber(); i++) {
+      pendingTransactions.push(wallet.getPendingTransaction.call(i).then(function(pendingTransactionTuple) {
+        var operationHash = pendingTransactionTuple[0];
+        // Enumerate owners that have confirmed this operation using hasConfirmed
+        return Promise.all(owners.map(function(owner) {
+          return wallet.hasConfirmed.call(operationHash, owner);
+        })).then(function(hasConfirmedResults) {
+          return {
+            operation: operationHash,
+            confirmationsNeeded: pendingTransactionTuple[1],
+            to: pendingTransactionTuple[2],
+            value: pendingTransactionTuple[3],
+            data: pendingTransactionTuple[4],
+            signers: owners.filter(function(owner, i) {
+              return hasConfirmedResults[i];
+            })
+          };
+        });
+      }));
+    }
+    return Promise.all(pendingTransactions);
+  });
+};
 
-  var amount = parseInt(document.getElementById("amount").value);
-  var receiver = document.getElementById("receiver").value;
+function renderPendingTransactions(pendingTransactions) {
+  var tbody = document.getElementById("pendingTransactions").getElementsByTagName("tbody")[0];
+  tbody.innerHTML = "";
+  if (pendingTransactions.length === 0) {
+    var emptyRow = tbody.insertRow();
+    var emptyCell = emptyRow.insertCell();
+    emptyCell.colSpan = 7;
+    emptyCell.textContent = "None";
+    return;
+  }
+
+  pendingTransactions.forEach(function(pendingTransaction) {
+    var row = tbody.insertRow();
+    [
+      pendingTransaction.operation,
+      pendingTransaction.to,
+      web3.fromWei(pendingTransaction.value, "ether").toString(10),
+      pendingTransaction.data,
+      pendingTransaction.signers.join(", "),
+      pendingTransaction.confirmationsNeeded.toString(10)
+    ].forEach(function(text) {
+      row.insertCell().textContent = text;
+    });
+
+    // The connected account may revoke its own confirmation, or confirm otherwise
+    var actionCell = row.insertCell();
+    var button = document.createElement("button");
+    if (pendingTransaction.signers.indexOf(account) !== -1) {
+      button.textContent = "Revoke";
+      button.onclick = function() { revokeConfirmation(pendingTransaction.operation); };
+    } else {
+      button.textContent = "Confirm";
+      button.onclick = function() { confirmTransaction(pendingTransaction.operation); };
+    }
+    actionCell.appendChild(button);
+  });
+};
 
-  setStatus("Initiating transaction... (please wait)");
+function refreshWallet() {
+  if (walletType === "wallet") {
+    return getOwners().then(function(owners) {
+      return Promise.all([
+        getBalance(wallet.address),
+        wallet.m_required.call(),
+        wallet.m_dailyLimit.call(),
+        wallet.m_spentToday.call(),
+        getPendingTransactions(owners)
+      ]).then(function(results) {
+        setText("balance", web3.fromWei(results[0], "ether").toString(10));
+        setText("owners", owners.join(", "));
+        setText("required", results[1].toString(10));
+        setText("dailyLimit", web3.fromWei(results[2], "ether").toString(10));
+        setText("spentToday", web3.fromWei(results[3], "ether").toString(10));
+        renderPendingTransactions(results[4]);
+      });
+    });
+  }
 
-  meta.sendCoin(receiver, amount, {from: account}).then(function() {
-    setStatus("Transaction complete!");
-    refreshBalance();
+  return Promise.all([
+    getBalance(wallet.address),
+    getSigners(),
+    wallet.safeMode.call()
+  ]).then(function(results) {
+    setText("balance", web3.fromWei(results[0], "ether").toString(10));
+    setText("owners", results[1].join(", "));
+    setText("safeMode", results[2] ? "Active" : "Inactive");
+  });
+};
+
+function loadWallet() {
+  var address = document.getElementById("walletAddress").value.trim();
+  walletType = document.getElementById("walletType").value;
+  if (!web3.isAddress(address)) {
+    setStatus("Invalid wallet address.");
+    return;
+  }
+
+  wallet = walletType === "wallet" ? Wallet.at(address) : WalletSimple.at(address);
+  showWalletType(walletType);
+  setStatus("Loading wallet...");
+  refreshWallet().then(function() {
+    setStatus("");
+  }).catch(function(e) {
+    console.log(e);
+    setStatus("Error loading wallet; see log.");
+  });
+};
+
+// Sends a wallet transaction from the connected account, then refreshes the wallet
+function sendTransaction(description, send) {
+  setStatus(description + "... (please wait)");
+  return send().then(function() {
+    setStatus(description + " complete!");
+    return refreshWallet();
   }).catch(function(e) {
     console.log(e);
-    setStatus("Error sending coin; see log.");
+    setStatus("Error: " + description + " failed; see log.");
+  });
+};
+
+function execute() {
+  var to = document.getElementById("to").value.trim();
+  var amount = document.getElementById("amount").value.trim();
+  var data = document.getElementById("data").value.trim();
+  if (!web3.isAddress(to)) {
+    setStatus("Invalid destination address.");
+    return;
+  }
+  if (data && !/^0x([0-9a-fA-F]{2})*$/.test(data)) {
+    setStatus("Data must be a 0x-prefixed hex string.");
+    return;
+  }
+
+  sendTransaction("Execute", function() {
+    return wallet.execute(to, web3.toWei(amount || 0, "ether"), data || "0x", { from: account });
+  });
+};
+
+function confirmTransaction(operationHash) {
+  sendTransaction("Confirm", function() {
+    return wallet.confirm(operationHash, { from: account });
+  });
+};
+
+function revokeConfirmation(operationHash) {
+  sendTransaction("Revoke", function() {
+    return wallet.revoke(operationHash, { from: account });
   });
 };
 
@@ -51,6 +233,18 @@ window.onload = function() {
     accounts = accs;
     account = accounts[0];
 
-    refreshBalance();
+    var accountSelect = document.getElementById("account");
+    accounts.forEach(function(address) {
+      var option = document.createElement("option");
+      option.value = address;
+      option.textContent = address;
+      accountSelect.appendChild(option);
+    });
+    accountSelect.onchange = function() {
+      account = accountSelect.value;
+      if (wallet) {
+        refreshWallet();
+      }
+    };
   });
 }
@@ -0,0 +1,10 @@
+/**
+ * The subset of the ERC20 token standard used by the wallets to move tokens
+ * See https://github.com/ethereum/EIPs/issues/20
+ */
+contract ERC20Interface {
+  // Send _value amount of tokens to address _to. Returns false (or throws) if the transfer failed
+  function transfer(address _to, uint256 _value) returns (bool success);
+  // Get the account balance of another account with address _owner
+  function balanceOf(address _owner) constant returns (uint256 balance);
+}
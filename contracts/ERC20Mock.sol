@@ -0,0 +1,31 @@
+import "ERC20Interface.sol";
+
+/**
+ * Minimal ERC20 token used by the tests. The whole supply is credited to the creator.
+ * Like many deployed tokens, transfer returns false rather than throwing when the balance is insufficient.
+ */
+contract ERC20Mock is ERC20Interface {
+  event Transfer(address indexed _from, address indexed _to, uint256 _value);
+
+  uint256 public totalSupply;
+  mapping(address => uint256) balances;
+
+  function ERC20Mock(uint256 initialSupply) {
+    totalSupply = initialSupply;
+    balances[msg.sender] = initialSupply;
+  }
+
+  function transfer(address _to, uint256 _value) returns (bool success) {
+    if (balances[msg.sender] < _value || balances[_to] + _value < balances[_to]) {
+      return false;
+    }
+    balances[msg.sender] -= _value;
+    balances[_to] += _value;
+    Transfer(msg.sender, _to, _value);
+    return true;
+  }
+
+  function balanceOf(address _owner) constant returns (uint256 balance) {
+    return balances[_owner];
+  }
+}
@@ -1,11 +1,26 @@
 pragma solidity ^0.4.2;
+import "ERC20Interface.sol";
+
 /**
  * Contract that will forward any incoming Ether to its creator
  */
 contract Forwarder {
+  // Emitted when tokens held by the forwarder are flushed to the destination address
+  event TokensFlushed(address tokenContractAddress, uint value);
+
   // Address to which any funds sent to this contract will be forwarded
   address public destinationAddress;
 
+  /**
+   * Modifier that will execute internal code block only if the sender is the destination address (the parent wallet)
+   */
+  modifier onlydestination {
+    if (msg.sender != destinationAddress) {
+      throw;
+    }
+    _;
+  }
+
   /**
    * Create the contract, and set the destination address to that of the creator
    */
@@ -29,4 +44,22 @@ contract Forwarder {
     if (!destinationAddress.send(this.balance))
           throw;
   }
+
+  /**
+   * ERC20 tokens sent to this address are not forwarded automatically, as no code is run when they are received.
+   * The destination address (the parent wallet) can flush the whole token balance to itself.
+   *
+   * @param tokenContractAddress the address of the ERC20 token contract
+   */
+  function flushTokens(address tokenContractAddress) onlydestination {
+    ERC20Interface instance = ERC20Interface(tokenContractAddress);
+    var forwarderBalance = instance.balanceOf(this);
+    if (forwarderBalance == 0) {
+      return;
+    }
+    if (!instance.transfer(destinationAddress, forwarderBalance)) {
+      throw;
+    }
+    TokensFlushed(tokenContractAddress, forwarderBalance);
+  }
 }
@@ -14,9 +14,18 @@
       Confirm a transaction with a hash:
           wallet.confirm(bytes32 _h)
 
+      With a timelock set (wallet.setTimelock(uint _timelock)), confirmed transactions are queued. Any owner may cancel
+      a queued transaction, or send it once the timelock has passed:
+          wallet.cancelQueued(bytes32 _h)
+          wallet.executeQueued(bytes32 _h)
+      Lowering the timelock and kill are queued in the same way, as calls to the wallet itself.
+
       In a single transaction, execute AND confirm (using ecrecover) - see examples in test for usage:
           wallet.executeAndConfirm(address _to, uint _value, bytes _data, uint _expireTime, uint _sequenceId, bytes _signature)
 
+      Or with a signature of typed data (eth_signTypedData), which signing tools can display:
+          wallet.executeAndConfirmTyped(address _to, uint _value, bytes _data, uint _expireTime, uint _sequenceId, bytes _signature)
+
    @authors:
       Gavin Wood <g@ethdev.com>
       Ben Chan <benchan@bitgo.com>
@@ -103,6 +112,13 @@ contract multiowned {
             _;
     }
 
+    // Ensures that the owners have confirmed a change to the contract itself (see confirmChange), identified by the hash
+    // of the call. A call from the contract itself is a confirmed change being made, e.g. one queued by Wallet.
+    modifier onlymanyownerschange {
+        if (msg.sender == address(this) || confirmChange(sha3(msg.data), true))
+            _;
+    }
+
     // METHODS
     // Constructor for contract.
     // Expects an array of owners and an integer of number of required owners to perform "onlymanyowners" transactions.
@@ -143,7 +159,7 @@ contract multiowned {
     }
 
     // Replaces an owner `_from` with another `_to`. Resets all pending confirmation requests.
-    function changeOwner(address _from, address _to) onlymanyowners(sha3(msg.data)) external {
+    function changeOwner(address _from, address _to) onlymanyownerschange external {
         if (isOwner(_to)) return;
 
         uint ownerIndex = m_ownerIndex[uint(_from)];
@@ -158,7 +174,7 @@ contract multiowned {
     }
 
     // Adds an owner to the contract. Resets all pending confirmation requests.
-    function addOwner(address _owner) onlymanyowners(sha3(msg.data)) external {
+    function addOwner(address _owner) onlymanyownerschange external {
         if (isOwner(_owner)) return;
 
         clearPending();
@@ -173,7 +189,7 @@ contract multiowned {
     }
 
     // Removes an owner from the contract
-    function removeOwner(address _owner) onlymanyowners(sha3(msg.data)) external {
+    function removeOwner(address _owner) onlymanyownerschange external {
         uint ownerIndex = m_ownerIndex[uint(_owner)];
         if (ownerIndex == 0) return;
 
@@ -189,7 +205,7 @@ contract multiowned {
     }
 
     // Change the required number of owners to perform onlymanyowners operations. Resets all pending confirmation requests.
-    function changeRequirement(uint _newRequired) onlymanyowners(sha3(msg.data)) external {
+    function changeRequirement(uint _newRequired) onlymanyownerschange external {
         if (_newRequired > m_numOwners) return;
 
         m_required = _newRequired;
@@ -229,6 +245,13 @@ contract multiowned {
     }
 
     // INTERNAL METHODS
+    // Called within the onlymanyownerschange modifier.
+    // Records the confirmation of a change to the contract itself and returns true if it is to be made now. Wallet
+    // queues changes to be delayed while a timelock is set.
+    function confirmChange(bytes32 _operation, bool) internal returns (bool) {
+        return confirmAndCheck(_operation);
+    }
+
     // Called within the onlymanyowners modifier.
     // Records a confirmation by msg.sender and returns true if the operation has the required number of confirmations
     function confirmAndCheck(bytes32 _operation) internal returns (bool) {
@@ -375,6 +398,11 @@ contract daylimit is multiowned {
     uint public m_dailyLimit;
     uint public m_spentToday;
     uint public m_lastDay;
+    // Daily limits of ERC20 tokens in their base units, by token contract address. A token without a limit (0)
+    // always needs confirmation.
+    mapping (address => uint) public m_tokenDailyLimit;
+    mapping (address => uint) public m_tokenSpentToday;
+    mapping (address => uint) public m_tokenLastDay;
 
     // MODIFIERS
     // Simple modifier for daily limit.
@@ -391,15 +419,25 @@ contract daylimit is multiowned {
     }
 
     // Sets the daily limit. needs many of the owners to confirm. Doesn't alter the amount already spent today.
-    function setDailyLimit(uint _newLimit) onlymanyowners(sha3(msg.data)) external {
+    function setDailyLimit(uint _newLimit) onlymanyownerschange external {
         m_dailyLimit = _newLimit;
     }
 
     // (Re)sets the daily limit. needs many of the owners to confirm. Doesn't alter the amount already spent today.
-    function resetSpentToday() onlymanyowners(sha3(msg.data)) external {
+    function resetSpentToday() onlymanyownerschange external {
         m_spentToday = 0;
     }
 
+    // Sets the daily limit of a token. needs many of the owners to confirm. Doesn't alter the amount already spent today.
+    function setTokenDailyLimit(address _token, uint _newLimit) onlymanyownerschange external {
+        m_tokenDailyLimit[_token] = _newLimit;
+    }
+
+    // Resets the amount of a token spent today. needs many of the owners to confirm.
+    function resetTokenSpentToday(address _token) onlymanyownerschange external {
+        m_tokenSpentToday[_token] = 0;
+    }
+
     // INTERNAL METHODS
     // Checks to see if there is at least `_value` left from the daily limit today. If there is, subtracts it and
     // returns true. otherwise just returns false.
@@ -419,6 +457,28 @@ contract daylimit is multiowned {
         return false;
     }
 
+    // Checks to see if there is at least `_value` left from the daily limit of a token today, in the same way as
+    // underLimit. Always returns false for tokens without a limit.
+    function underTokenLimit(address _token, uint _value) internal onlyowner returns (bool) {
+        if (m_tokenDailyLimit[_token] == 0) {
+            return false;
+        }
+        // Reset the spend limit if we're on a different day to last time.
+        if (today() > m_tokenLastDay[_token]) {
+            m_tokenSpentToday[_token] = 0;
+            m_tokenLastDay[_token] = today();
+        }
+
+        // Check to see if there's enough left - if so, subtract and return true.
+        uint spent = m_tokenSpentToday[_token];
+        if (spent + _value >= spent && spent + _value <= m_tokenDailyLimit[_token]) {
+            m_tokenSpentToday[_token] = spent + _value;
+            return true;
+        }
+
+        return false;
+    }
+
     // Determines today's day index
     function today() private constant returns (uint) { return now / 1 days; }
 }
@@ -440,6 +500,18 @@ contract multisig {
     // Emitted when a transaction requires confirmation
     event ConfirmationNeeded(bytes32 operation, address initiator, uint value, address to, bytes data);
 
+    // Emitted when a forwarder (deposit address) is created for the wallet
+    event ForwarderCreated(address forwarderAddress);
+
+    // Emitted when a confirmed transaction is queued until the timelock has passed
+    event TransactionQueued(bytes32 operation, uint executableAfter, uint value, address to, bytes data);
+
+    // Emitted when an owner cancels a queued transaction
+    event QueuedTransactionCancelled(address owner, bytes32 operation);
+
+    // Emitted when the number of seconds confirmed transactions are queued for changes
+    event TimelockChanged(uint newTimelock);
+
     // FUNCTIONS
     // Replace an owner on the wallet
     function changeOwner(address _from, address _to) external;
@@ -451,9 +523,27 @@ contract multisig {
     function confirm(bytes32 _h) returns (bool);
 }
 
+contract ERC20Interface {
+  // Send _value amount of tokens to address _to
+  function transfer(address _to, uint256 _value) returns (bool success);
+  // Get the account balance of another account with address _owner
+  function balanceOf(address _owner) constant returns (uint256 balance);
+}
+
 contract Forwarder {
+  // Emitted when tokens held by the forwarder are flushed to the destination address
+  event TokensFlushed(address tokenContractAddress, uint value);
+
   address public destinationAddress;
 
+  // Only the destination address (the parent wallet) may flush tokens
+  modifier onlydestination {
+      if (msg.sender != destinationAddress) {
+          throw;
+      }
+      _;
+  }
+
   function Forwarder() {
       destinationAddress = msg.sender;
   }
@@ -466,6 +556,19 @@ contract Forwarder {
   function flush() {
       destinationAddress.send(this.balance);
   }
+
+  // Tokens are not forwarded when received, so the whole balance of a token is flushed to the destination
+  function flushTokens(address tokenContractAddress) onlydestination {
+      ERC20Interface instance = ERC20Interface(tokenContractAddress);
+      var forwarderBalance = instance.balanceOf(this);
+      if (forwarderBalance == 0) {
+          return;
+      }
+      if (!instance.transfer(destinationAddress, forwarderBalance)) {
+          throw;
+      }
+      TokensFlushed(tokenContractAddress, forwarderBalance);
+  }
 }
 
 /*
@@ -476,19 +579,36 @@ contract Forwarder {
  Usage (2 confirms in a single transaction):
     uint expireTime = 1863771845; // 10 years in the future
     uint sequenceId = 1; // or the next sequence Id obtained using getNextSequenceId();
-    bytes32 sha3 = sha3(to, value, data, expireTime, sequenceId); // see tests for examples how to build this
+    // the hash is bound to the wallet and the network it was deployed to, so it can not be replayed elsewhere
+    bytes32 sha3 = sha3(operationHashVersion, w, m_networkId, to, value, data, expireTime, sequenceId); // see tests for examples how to build this
     bytes signature = eth.sign(owner1, sha3); // sign the sha3 using owner1
 
     // send the transaction (includes signature) using owner2
     Wallet(w).from(owner2).executeAndConfirm(to, value, data, expireTime, sequenceId, signature);
  */
 contract Wallet is multisig, multiowned, daylimit {
-    uint constant public version = 2;
+    uint constant public version = 3;
+    // Version of the operation hashes signed for executeAndConfirm
+    uint constant public operationHashVersion = 2;
+    // Hash of the schema of the typed data signed for executeAndConfirmTyped (eth_signTypedData), the "type name" of each field
+    bytes32 constant public typedOperationSchemaHash = sha3(
+        "address wallet", "uint256 networkId", "address to", "uint256 value", "bytes data", "uint256 expireTime", "uint256 sequenceId"
+    );
 
     // FIELDS
     // Pending transactions we have at present.
     mapping (bytes32 => Transaction) m_txs;
 
+    // Number of seconds a confirmed transaction waits in the queue before it can be sent. 0 sends it immediately.
+    uint public m_timelock;
+
+    // Confirmed transactions waiting for the timelock. Their details stay in m_txs.
+    mapping (bytes32 => QueuedState) m_queued;
+    bytes32[] m_queuedIndex;
+
+    // The ID of the network the wallet was deployed to (net_version), so that signatures can not be replayed on another one.
+    uint public m_networkId;
+
     // TYPES
     // Transaction structure to remember details of transaction lest it need be saved for a later call.
     struct Transaction {
@@ -497,14 +617,37 @@ contract Wallet is multisig, multiowned, daylimit {
         bytes data;
     }
 
+    // Struct for the status of a queued transaction.
+    struct QueuedState {
+        // Time from which the transaction can be sent
+        uint executableAfter;
+        uint index;
+    }
+
     // METHODS
     // Constructor - Pass on the owner array to the multiowned and the limit to daylimit modifiers
-    function Wallet(address[] _owners, uint _required, uint _daylimit)
+    function Wallet(address[] _owners, uint _required, uint _daylimit, uint _networkId)
         multiowned(_owners, _required) daylimit(_daylimit) {
+        m_networkId = _networkId;
     }
 
-    // Kills the contract sending everything to `_to` (must be confirmed by all owners)
-    function kill(address _to) onlymanyowners(sha3(msg.data)) external {
+    // Sets the number of seconds confirmed transactions are queued for before they can be sent. needs many of the
+    // owners to confirm. Transactions queued already keep their time. A lower timelock is queued itself, so that it
+    // only takes effect once the current timelock has passed.
+    function setTimelock(uint _timelock) external {
+        if (msg.sender != address(this) && !confirmChange(sha3(msg.data), _timelock < m_timelock)) {
+            return;
+        }
+        m_timelock = _timelock;
+        TimelockChanged(_timelock);
+    }
+
+    // Kills the contract sending everything to `_to`. needs many of the owners to confirm, and is queued like a
+    // transaction while a timelock is set.
+    function kill(address _to) external {
+        if (msg.sender != address(this) && !confirmChange(sha3(msg.data), true)) {
+            return;
+        }
         suicide(_to);
     }
 
@@ -518,7 +661,15 @@ contract Wallet is multisig, multiowned, daylimit {
 
     // Create a new contract (and also address) that forwards funds to this contract
     function createForwarder() external onlyowner returns (address) {
-      return new Forwarder();
+      address forwarderAddress = new Forwarder();
+      ForwarderCreated(forwarderAddress);
+      return forwarderAddress;
+    }
+
+    // Flush the token balance of a forwarder created by this wallet (see createForwarder) into this wallet
+    function flushForwarderTokens(address forwarderAddress, address tokenContractAddress) external onlyowner {
+      Forwarder forwarder = Forwarder(forwarderAddress);
+      forwarder.flushTokens(tokenContractAddress);
     }
 
     // Executes transaction immediately if below daily spend limit.
@@ -537,6 +688,17 @@ contract Wallet is multisig, multiowned, daylimit {
             SingleTransact(msg.sender, _value, _to, _data);
             return 0;
         }
+        // ERC20 transfers are executed immediately if under the daily limit of the token (`_to`)
+        if (_value == 0) {
+            var (isTransfer, tokenRecipient, tokenValue) = decodeTokenTransfer(_data);
+            if (isTransfer && underTokenLimit(_to, tokenValue)) {
+                if (!ERC20Interface(_to).transfer(tokenRecipient, tokenValue)) {
+                    throw;
+                }
+                SingleTransact(msg.sender, _value, _to, _data);
+                return 0;
+            }
+        }
         // Determine a unique hash for this operation
         var operationHash = sha3(msg.data, block.number);
         if (!confirm(operationHash) && m_txs[operationHash].to == 0) {
@@ -549,8 +711,22 @@ contract Wallet is multisig, multiowned, daylimit {
     }
 
     // Confirm a prior transaction via the hash.
-    function confirm(bytes32 _h) onlymanyowners(_h) returns (bool) {
+    function confirm(bytes32 _h) returns (bool) {
+        // Queued transactions are confirmed already, and are sent with executeQueued
+        if (m_queued[_h].executableAfter != 0) {
+            return false;
+        }
+        return confirmTransaction(_h);
+    }
+
+    // Records the confirmation of a prior transaction, and sends it (or queues it if there is a timelock) once it has
+    // the required number of confirmations
+    function confirmTransaction(bytes32 _h) onlymanyowners(_h) private returns (bool) {
         if (m_txs[_h].to != 0) {
+            if (m_timelock > 0) {
+                queueTransaction(_h);
+                return true;
+            }
             if (!(m_txs[_h].to.call.value(m_txs[_h].value)(m_txs[_h].data))) {
               throw;
             }
@@ -562,7 +738,8 @@ contract Wallet is multisig, multiowned, daylimit {
     }
 
     // Execute and confirm a transaction with 2 signatures - one using the msg.sender and another using ecrecover
-    // The signature is a signed form (using eth.sign) of tightly packed to, value, data, expiretime and sequenceId
+    // The signature is a signed form (using eth.sign) of tightly packed operationHashVersion, the wallet address,
+    // m_networkId, to, value, data, expiretime and sequenceId
     // Sequence IDs are numbers starting from 1. They used to prevent replay attacks and may not be repeated.
     function executeAndConfirm(address _to, uint _value, bytes _data, uint _expireTime, uint _sequenceId, bytes _signature)
         external onlyowner
@@ -572,11 +749,42 @@ contract Wallet is multisig, multiowned, daylimit {
           throw;
         }
 
-        // The unique hash is the combination of all arguments except the signature
-        var operationHash = sha3(_to, _value, _data, _expireTime, _sequenceId);
+        // The unique hash is the combination of all arguments except the signature, bound to this wallet and network
+        var operationHash = sha3(operationHashVersion, address(this), m_networkId, _to, _value, _data, _expireTime, _sequenceId);
+        return confirmWithSignature(operationHash, _to, _value, _data, _sequenceId, _signature);
+    }
+
+    // Execute and confirm a transaction like executeAndConfirm, but with a signature of typed data (eth_signTypedData)
+    // instead of an opaque hash, so that the other owner's wallet can show what is being approved. The typed data is the
+    // list of fields wallet, networkId, to, value, data, expireTime and sequenceId, and its hash is
+    // sha3(typedOperationSchemaHash, sha3(wallet address, m_networkId, to, value, data, expireTime, sequenceId))
+    function executeAndConfirmTyped(address _to, uint _value, bytes _data, uint _expireTime, uint _sequenceId, bytes _signature)
+        external onlyowner
+        returns (bytes32)
+    {
+        if (_expireTime < block.timestamp) {
+          throw;
+        }
+
+        var operationHash = sha3(typedOperationSchemaHash, sha3(address(this), m_networkId, _to, _value, _data, _expireTime, _sequenceId));
+        return confirmWithSignature(operationHash, _to, _value, _data, _sequenceId, _signature);
+    }
 
+    // Confirms an operation of executeAndConfirm or executeAndConfirmTyped with the sender and the signature of another
+    // owner, then sends or queues the transaction. With a single confirmation, the transaction waits for more.
+    function confirmWithSignature(bytes32 operationHash, address _to, uint _value, bytes _data, uint _sequenceId, bytes _signature)
+        private
+        returns (bytes32)
+    {
         // Confirm the operation
         if (confirmWithSenderAndECRecover(operationHash, _sequenceId, _signature)) {
+          if (m_timelock > 0) {
+            m_txs[operationHash].to = _to;
+            m_txs[operationHash].value = _value;
+            m_txs[operationHash].data = _data;
+            queueTransaction(operationHash);
+            return operationHash;
+          }
           if (!(_to.call.value(_value)(_data))) {
             throw;
           }
@@ -591,6 +799,60 @@ contract Wallet is multisig, multiowned, daylimit {
         return operationHash;
     }
 
+    // Sends a queued transaction once the timelock has passed
+    function executeQueued(bytes32 _h) external onlyowner {
+        var executableAfter = m_queued[_h].executableAfter;
+        if (executableAfter == 0 || block.timestamp < executableAfter) {
+            // Not queued, or still waiting for the timelock
+            throw;
+        }
+        address to = m_txs[_h].to;
+        uint value = m_txs[_h].value;
+        bytes memory data = m_txs[_h].data;
+        // Remove the transaction before sending it, so that it can not be sent again
+        removeQueued(_h);
+
+        if (!(to.call.value(value)(data))) {
+            throw;
+        }
+        MultiTransact(msg.sender, _h, value, to, data);
+    }
+
+    // Cancels a queued transaction. Any single owner may veto a transaction while it waits for the timelock.
+    function cancelQueued(bytes32 _h) external onlyowner {
+        if (m_queued[_h].executableAfter == 0) {
+            throw;
+        }
+        removeQueued(_h);
+        QueuedTransactionCancelled(msg.sender, _h);
+    }
+
+    // Gets the number of queued transactions
+    function numQueuedTransactions() returns (uint) {
+        uint queuedTransactionsCount = 0;
+        for (uint i = 0; i < m_queuedIndex.length; i++) {
+            if (m_queuedIndex[i] != 0) {
+                queuedTransactionsCount++;
+            }
+        }
+        return queuedTransactionsCount;
+    }
+
+    // Gets the queued transaction at a specified index
+    // Will return a tuple [bytes32 operationHash, uint executableAfter, address toAddress, uint transactionValue, bytes data]
+    function getQueuedTransaction(uint _index) constant returns (bytes32 _operationHash, uint _executableAfter, address _toAddress, uint _transactionValue, bytes _data) {
+        uint queuedTransactionsCount = 0;
+        for (uint i = 0; i < m_queuedIndex.length; i++) {
+            if (m_queuedIndex[i] != 0) {
+                if (_index == queuedTransactionsCount) {
+                    var operationHash = m_queuedIndex[i];
+                    return (operationHash, m_queued[operationHash].executableAfter, m_txs[operationHash].to, m_txs[operationHash].value, m_txs[operationHash].data);
+                }
+                queuedTransactionsCount++;
+            }
+        }
+    }
+
     // Gets the number of pending transactions
     function numPendingTransactions() returns (uint) {
         uint pendingTransactionsCount = 0;
@@ -634,6 +896,43 @@ contract Wallet is multisig, multiowned, daylimit {
         super.clearPending();
     }
 
+    // Queues a confirmed transaction (already stored in m_txs) until the timelock has passed
+    function queueTransaction(bytes32 _h) private {
+        var executableAfter = block.timestamp + m_timelock;
+        m_queued[_h].executableAfter = executableAfter;
+        m_queued[_h].index = m_queuedIndex.length++;
+        m_queuedIndex[m_queued[_h].index] = _h;
+        TransactionQueued(_h, executableAfter, m_txs[_h].value, m_txs[_h].to, m_txs[_h].data);
+    }
+
+    // Records the confirmation of a change to the wallet itself. With the required confirmations, a change to be delayed
+    // is queued (while a timelock is set) as a call to the wallet, which executeQueued makes once the timelock has
+    // passed. Returns true if the change is to be made now.
+    function confirmChange(bytes32 _h, bool _delay) internal returns (bool) {
+        if (m_queued[_h].executableAfter != 0) {
+            // Queued already, see cancelQueued
+            throw;
+        }
+        if (!confirmAndCheck(_h)) {
+            return false;
+        }
+        if (_delay && m_timelock > 0) {
+            m_txs[_h].to = address(this);
+            m_txs[_h].value = 0;
+            m_txs[_h].data = msg.data;
+            queueTransaction(_h);
+            return false;
+        }
+        return true;
+    }
+
+    // Removes a transaction from the queue, along with its details
+    function removeQueued(bytes32 _h) private {
+        delete m_queuedIndex[m_queued[_h].index];
+        delete m_queued[_h];
+        delete m_txs[_h];
+    }
+
     // Determine if a pending operation index is a pending transaction
     function isPendingTransaction(uint _index) internal returns (bool) {
         if (m_txs[m_pendingIndex[_index]].to != 0 || m_txs[m_pendingIndex[_index]].data.length != 0) {
@@ -642,6 +941,22 @@ contract Wallet is multisig, multiowned, daylimit {
         return false;
     }
 
+    // Decodes calldata of the ERC20 transfer(address,uint256) function. _isTransfer is false for any other calldata.
+    function decodeTokenTransfer(bytes _data) internal returns (bool _isTransfer, address _recipient, uint _amount) {
+        if (_data.length != 68) {
+            return (false, 0, 0);
+        }
+        uint selector;
+        assembly {
+            // The first 4 bytes are the function selector, followed by the 2 arguments of 32 bytes each
+            selector := div(mload(add(_data, 32)), 0x100000000000000000000000000000000000000000000000000000000)
+            _recipient := and(mload(add(_data, 36)), 0xffffffffffffffffffffffffffffffffffffffff)
+            _amount := mload(add(_data, 68))
+        }
+        // bytes4(sha3("transfer(address,uint256)"))
+        _isTransfer = selector == 0xa9059cbb;
+    }
+
     // Used to determine if an address may execute code
     function hasCode(address _addr) returns (bool) {
         uint size;
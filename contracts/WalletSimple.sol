@@ -1,4 +1,5 @@
 import "Forwarder.sol";
+import "ERC20Interface.sol";
 
 /**
  * Basic multi-signer wallet designed for use in a co-signing environment where 2 signatures are required to move funds.
@@ -8,6 +9,25 @@ contract WalletSimple {
   // Events
   event Deposited(address from, uint value, bytes data);
   event SafeModeActivated(address msgSender);
+  event SafeModeExitRequested(
+    address msgSender, // Address of the sender of the message requesting the exit
+    bytes32 operation, // Operation hash (sha3 of "EXITSAFEMODE", expireTime, sequenceId)
+    uint exitTime // Time from which the exit can be completed with deactivateSafeMode
+  );
+  event SafeModeExitCancelled(address msgSender);
+  event SafeModeDeactivated(address msgSender);
+  event SafeModeExitPolicyChanged(
+    address msgSender, // Address of the sender of the message making the change
+    address otherSigner, // Address of the signer (second signature) used to approve the change
+    bytes32 operation, // Operation hash (sha3 of "SAFEMODEEXITPOLICY", exitSigners, exitDelay, expireTime, sequenceId)
+    uint exitSigners, // The number of signers needed to leave safe mode, 0 for all signers
+    uint exitDelay // Seconds between requesting and completing an exit, 0 for DEFAULT_SAFE_MODE_EXIT_DELAY
+  );
+  event SignerApproved(
+    bytes32 operation, // Operation hash that was signed
+    address signer // Address of one of the other signers whose signature approved the operation
+  );
+  event ForwarderCreated(address forwarderAddress);
   event Transacted(
     address msgSender, // Address of the sender of the message initiating the transaction
     address otherSigner, // Address of the signer (second signature) used to initiate the transaction
@@ -16,15 +36,115 @@ contract WalletSimple {
     uint value, // Amount of Wei sent to the address
     bytes data // Data sent when invoking the transaction
   );
+  event TokenTransacted(
+    address msgSender, // Address of the sender of the message initiating the transaction
+    address otherSigner, // Address of the signer (second signature) used to initiate the transaction
+    bytes32 operation, // Operation hash (sha3 of "ERC20", toAddress, value, tokenContractAddress, expireTime, sequenceId)
+    address toAddress, // The address the tokens were sent to
+    uint value, // Amount of tokens sent
+    address tokenContractAddress // The address of the ERC20 token contract
+  );
+  event BatchTransacted(
+    address msgSender, // Address of the sender of the message initiating the batch
+    address otherSigner, // Address of the signer (second signature) used to initiate the batch
+    bytes32 operation, // Operation hash (sha3 of "BATCH", recipients, values, expireTime, sequenceId)
+    address toAddress, // The address this leg of the batch was sent to
+    uint value // Amount of Wei sent to the address
+  );
+  event SignerAdded(
+    address msgSender, // Address of the sender of the message adding the signer
+    address otherSigner, // Address of the signer (second signature) used to approve the change
+    bytes32 operation, // Operation hash (sha3 of "ADDSIGNER", signer, expireTime, sequenceId)
+    address signer // The address added as a signer
+  );
+  event SignerRemoved(
+    address msgSender, // Address of the sender of the message removing the signer
+    address otherSigner, // Address of the signer (second signature) used to approve the change
+    bytes32 operation, // Operation hash (sha3 of "REMOVESIGNER", signer, expireTime, sequenceId)
+    address signer // The address removed as a signer
+  );
+  event SignerReplaced(
+    address msgSender, // Address of the sender of the message replacing the signer
+    address otherSigner, // Address of the signer (second signature) used to approve the change
+    bytes32 operation, // Operation hash (sha3 of "REPLACESIGNER", oldSigner, newSigner, expireTime, sequenceId)
+    address oldSigner, // The address removed as a signer
+    address newSigner // The address added as a signer in its place
+  );
+  event TimelockChanged(
+    address msgSender, // Address of the sender of the message making the change
+    address otherSigner, // Address of the signer (second signature) used to approve the change
+    bytes32 operation, // Operation hash (sha3 of "TIMELOCK", timelock, expireTime, sequenceId)
+    uint timelock // The number of seconds transactions are queued for, 0 to send them immediately
+  );
+  event TimelockChangeQueued(
+    address msgSender, // Address of the sender of the message making the change
+    address otherSigner, // Address of the signer (second signature) used to approve the change
+    bytes32 operation, // Operation hash (sha3 of "TIMELOCK", timelock, expireTime, sequenceId)
+    uint timelock, // The lower number of seconds transactions are to be queued for
+    uint executableAfter // Time from which the change can be applied with applyTimelock
+  );
+  event TimelockChangeCancelled(
+    address msgSender, // Address of the signer cancelling the change
+    bytes32 operation // Operation hash of the cancelled change
+  );
+  event TransactionQueued(
+    address msgSender, // Address of the sender of the message initiating the transaction
+    address otherSigner, // Address of the signer (second signature) used to initiate the transaction
+    bytes32 operation, // Operation hash of the sendMultiSig or sendMultiSigToken call
+    uint executableAfter // Time from which the transaction can be sent with executeQueued
+  );
+  event QueuedTransactionCancelled(
+    address msgSender, // Address of the signer cancelling the transaction
+    bytes32 operation // Operation hash of the cancelled transaction
+  );
 
   // Public fields
   address[] public signers; // The addresses that can co-sign transactions on the wallet
   bool public safeMode; // When active, wallet may only send to signer addresses
 
+  uint public constant DEFAULT_SAFE_MODE_EXIT_DELAY = 48 hours; // Time between requesting and completing a safe mode exit, unless configured
+  uint public constant OPERATION_HASH_VERSION = 2; // Version of the signed operation hashes, which start with it, the wallet address and networkId
+  // Hash of the schema of the typed data signed for sendMultiSigTyped (eth_signTypedData), the "type name" of each field
+  bytes32 public constant TYPED_OPERATION_SCHEMA_HASH = sha3(
+    "address wallet", "uint256 networkId", "address to", "uint256 value", "bytes data", "uint256 expireTime", "uint256 sequenceId"
+  );
+
   // Internal fields
   uint constant SEQUENCE_ID_WINDOW_SIZE = 10;
   uint[10] recentSequenceIds;
 
+  // Public fields added after recentSequenceIds, so that its storage slot is unchanged
+  uint public safeModeExitSigners; // The number of signers needed to leave safe mode (a super-majority), 0 for all signers
+  uint public safeModeExitDelay; // Seconds between requesting and completing a safe mode exit, 0 for the default
+  uint public safeModeExitRequired; // The number of signers needed to leave the current safe mode, fixed on activation
+  uint public safeModeExitRequiredDelay; // The delay to leave the current safe mode, fixed on activation
+  uint public safeModeExitTime; // Time from which a requested safe mode exit can be completed, 0 if none was requested
+  uint public timelock; // Seconds a transaction waits in the queue before it can be sent, 0 to send immediately
+
+  // Transactions waiting for the timelock, by operation hash
+  struct QueuedTransaction {
+    address toAddress;
+    uint value;
+    bytes data;
+    address tokenContractAddress; // 0 for ether transactions
+    address otherSigner;
+    uint executableAfter;
+    uint index; // Position in queuedOperations
+  }
+  mapping (bytes32 => QueuedTransaction) queuedTransactions;
+  bytes32[] queuedOperations; // Operation hashes of the queued transactions, 0 for those sent or cancelled since
+
+  uint public networkId; // Identifies the network the wallet was deployed to, so that signatures can not be replayed on another one
+
+  // A lower timelock waiting for the current timelock to pass, see setTimelock
+  struct PendingTimelock {
+    uint timelock;
+    bytes32 operation;
+    address otherSigner;
+    uint executableAfter; // 0 if no change is pending
+  }
+  PendingTimelock public pendingTimelock;
+
   /**
    * Modifier that will execute internal code block only if the sender is an authorized signer on this wallet
    */
@@ -41,14 +161,16 @@ contract WalletSimple {
    * Note: The sender is NOT automatically added to the list of signers.
    *
    * @param allowedSigners An array of signers on the wallet
+   * @param walletNetworkId The ID of the network the wallet is deployed to (net_version), which all operation hashes include
    */
-  function WalletSimple(address[] allowedSigners) {
+  function WalletSimple(address[] allowedSigners, uint walletNetworkId) {
     if (allowedSigners.length < 2) {
       // Not enough signers
       throw;
     }
     signers = allowedSigners;
     safeMode = false;
+    networkId = walletNetworkId;
   }
 
   /**
@@ -65,12 +187,27 @@ contract WalletSimple {
    * Create a new contract (and also address) that forwards funds to this contract
    */
   function createForwarder() onlysigner returns (address) {
-    return new Forwarder();
+    address forwarderAddress = new Forwarder();
+    ForwarderCreated(forwarderAddress);
+    return forwarderAddress;
+  }
+
+  /**
+   * Flush the token balance of a forwarder created by this wallet (see createForwarder) into this wallet.
+   * Tokens received by a forwarder are not forwarded automatically, as no code is run when they are received.
+   *
+   * @param forwarderAddress the address of the forwarder to flush the tokens from
+   * @param tokenContractAddress the address of the ERC20 token contract
+   */
+  function flushForwarderTokens(address forwarderAddress, address tokenContractAddress) onlysigner {
+    Forwarder forwarder = Forwarder(forwarderAddress);
+    forwarder.flushTokens(tokenContractAddress);
   }
 
   /**
    * Execute a multi-signature transaction from this wallet using 2 signers: one from msg.sender and the other from ecrecover.
-   * The signature is a signed form (using eth.sign) of tightly packed toAddress, value, data, expireTime and sequenceId
+   * The signature is a signed form (using eth.sign) of tightly packed toAddress, value, data, expireTime and sequenceId,
+   * preceded by OPERATION_HASH_VERSION, the wallet address and networkId so that it is only valid on this wallet.
    * Sequence IDs are numbers starting from 1. They are used to prevent replay attacks and may not be repeated.
    *
    * @param toAddress the destination address to send an outgoing transaction
@@ -78,9 +215,301 @@ contract WalletSimple {
    * @param data the data to send to the toAddress when invoking the transaction
    * @param expireTime the number of seconds since 1970 for which this transaction is valid
    * @param sequenceId the unique sequence id obtainable from getNextSequenceId
-   * @param signature the result of eth.sign on the operationHash sha3(toAddress, value, data, expireTime, sequenceId)
+   * @param signature the result of eth.sign on the operationHash sha3(OPERATION_HASH_VERSION, this, networkId, toAddress, value, data, expireTime, sequenceId)
    */
   function sendMultiSig(address toAddress, uint value, bytes data, uint expireTime, uint sequenceId, bytes signature) onlysigner {
+    var operationHash = sha3(OPERATION_HASH_VERSION, address(this), networkId, toAddress, value, data, expireTime, sequenceId);
+    sendVerifiedMultiSig(operationHash, toAddress, value, data, expireTime, sequenceId, signature);
+  }
+
+  /**
+   * Execute a multi-signature transaction like sendMultiSig, but approved with a signature of typed data
+   * (eth_signTypedData) instead of an opaque hash, so that the other signer's wallet can show what is being approved.
+   * The typed data is the list of fields wallet (this), networkId, to, value, data, expireTime and sequenceId, and its
+   * hash is sha3(TYPED_OPERATION_SCHEMA_HASH, sha3(this, networkId, toAddress, value, data, expireTime, sequenceId)).
+   * Sequence IDs are shared with sendMultiSig.
+   *
+   * @param toAddress the destination address to send an outgoing transaction
+   * @param value the amount in Wei to be sent
+   * @param data the data to send to the toAddress when invoking the transaction
+   * @param expireTime the number of seconds since 1970 for which this transaction is valid
+   * @param sequenceId the unique sequence id obtainable from getNextSequenceId
+   * @param signature the result of eth_signTypedData on the typed data of the transaction
+   */
+  function sendMultiSigTyped(address toAddress, uint value, bytes data, uint expireTime, uint sequenceId, bytes signature) onlysigner {
+    var operationHash = sha3(TYPED_OPERATION_SCHEMA_HASH, sha3(address(this), networkId, toAddress, value, data, expireTime, sequenceId));
+    sendVerifiedMultiSig(operationHash, toAddress, value, data, expireTime, sequenceId, signature);
+  }
+
+  /**
+   * Verify the other signer on a sendMultiSig or sendMultiSigTyped transaction, then send or queue it.
+   *
+   * @param operationHash the hash of the operation that the other signer signed
+   * @param toAddress the destination address to send an outgoing transaction
+   * @param value the amount in Wei to be sent
+   * @param data the data to send to the toAddress when invoking the transaction
+   * @param expireTime the number of seconds since 1970 for which this transaction is valid
+   * @param sequenceId the unique sequence id obtainable from getNextSequenceId
+   * @param signature the signature of the operationHash by the other signer
+   */
+  function sendVerifiedMultiSig(bytes32 operationHash, address toAddress, uint value, bytes data, uint expireTime, uint sequenceId, bytes signature) private {
+    // Verify the other signer
+    var otherSigner = verifyMultiSig(toAddress, operationHash, signature, expireTime, sequenceId);
+
+    if (timelock > 0) {
+      queueTransaction(operationHash, toAddress, value, data, 0, otherSigner);
+      return;
+    }
+    // Success, send the transaction
+    if (!(toAddress.call.value(value)(data))) {
+      // Failed executing transaction
+      throw;
+    }
+    Transacted(msg.sender, otherSigner, operationHash, toAddress, value, data);
+  }
+
+  /**
+   * Execute a multi-signature token transfer from this wallet using 2 signers: one from msg.sender and the other from ecrecover.
+   * The signature is a signed form (using eth.sign) of tightly packed "ERC20", toAddress, value, tokenContractAddress,
+   * expireTime and sequenceId. The "ERC20" prefix means a signature for sendMultiSig can never be replayed here, and vice versa.
+   * Sequence IDs are shared with sendMultiSig.
+   *
+   * @param toAddress the destination address to send the tokens to
+   * @param value the amount of tokens to be sent
+   * @param tokenContractAddress the address of the ERC20 token contract
+   * @param expireTime the number of seconds since 1970 for which this transaction is valid
+   * @param sequenceId the unique sequence id obtainable from getNextSequenceId
+   * @param signature the result of eth.sign on the operationHash sha3(OPERATION_HASH_VERSION, this, networkId, "ERC20", toAddress, value, tokenContractAddress, expireTime, sequenceId)
+   */
+  function sendMultiSigToken(address toAddress, uint value, address tokenContractAddress, uint expireTime, uint sequenceId, bytes signature) onlysigner {
+    // Verify the other signer
+    var operationHash = sha3(OPERATION_HASH_VERSION, address(this), networkId, "ERC20", toAddress, value, tokenContractAddress, expireTime, sequenceId);
+    var otherSigner = verifyMultiSig(toAddress, operationHash, signature, expireTime, sequenceId);
+
+    if (timelock > 0) {
+      queueTransaction(operationHash, toAddress, value, "", tokenContractAddress, otherSigner);
+      return;
+    }
+    // Success, send the tokens
+    ERC20Interface instance = ERC20Interface(tokenContractAddress);
+    if (!instance.transfer(toAddress, value)) {
+      // Token transfer failed (e.g. insufficient balance)
+      throw;
+    }
+    TokenTransacted(msg.sender, otherSigner, operationHash, toAddress, value, tokenContractAddress);
+  }
+
+  /**
+   * Execute a batch of ether transfers from this wallet, approved with a single signature of the other signer.
+   * The signature is a signed form (using eth.sign) of "BATCH", recipients, values, expireTime and sequenceId, packed
+   * as by sha3 (the elements of the arrays take 32 bytes each). The batch uses one sequence ID and either all transfers
+   * are sent or none are. One BatchTransacted event is fired per transfer. Batches can not be queued, so they are not
+   * allowed while a timelock is set.
+   *
+   * @param recipients the destination addresses of the transfers
+   * @param values the amounts in Wei to be sent to each of the recipients
+   * @param expireTime the number of seconds since 1970 for which this batch is valid
+   * @param sequenceId the unique sequence id obtainable from getNextSequenceId
+   * @param signature the result of eth.sign on the operationHash sha3(OPERATION_HASH_VERSION, this, networkId, "BATCH", recipients, values, expireTime, sequenceId)
+   */
+  function sendMultiSigBatch(address[] recipients, uint[] values, uint expireTime, uint sequenceId, bytes signature) onlysigner {
+    if (recipients.length == 0 || recipients.length != values.length) {
+      // Every recipient needs exactly one value
+      throw;
+    }
+    if (timelock > 0) {
+      throw;
+    }
+    // In safe mode, every recipient has to be a signer (verifyMultiSig only checks the first one)
+    for (uint i = 0; i < recipients.length; i++) {
+      if (safeMode && !isSigner(recipients[i])) {
+        throw;
+      }
+    }
+
+    // Verify the other signer
+    var operationHash = sha3(OPERATION_HASH_VERSION, address(this), networkId, "BATCH", recipients, values, expireTime, sequenceId);
+    var otherSigner = verifyMultiSig(recipients[0], operationHash, signature, expireTime, sequenceId);
+
+    // Success, send the transfers
+    for (i = 0; i < recipients.length; i++) {
+      if (!(recipients[i].call.value(values[i])())) {
+        // Failed sending one of the transfers, revert the whole batch
+        throw;
+      }
+      BatchTransacted(msg.sender, otherSigner, operationHash, recipients[i], values[i]);
+    }
+  }
+
+  /**
+   * Send a queued transaction once its timelock has passed. In safe mode, it may only be sent to a signer.
+   * Fires the same Transacted or TokenTransacted event as sending it immediately would have.
+   *
+   * @param operation the operation hash of the queued transaction (see the TransactionQueued event)
+   */
+  function executeQueued(bytes32 operation) onlysigner {
+    var queued = queuedTransactions[operation];
+    if (queued.executableAfter == 0 || block.timestamp < queued.executableAfter) {
+      // Not queued, or still waiting for the timelock
+      throw;
+    }
+    if (safeMode && !isSigner(queued.toAddress)) {
+      // Safe mode was activated while the transaction was queued
+      throw;
+    }
+    address toAddress = queued.toAddress;
+    uint value = queued.value;
+    bytes memory data = queued.data;
+    address tokenContractAddress = queued.tokenContractAddress;
+    address otherSigner = queued.otherSigner;
+    // Remove the transaction before sending it, so that it can not be sent again
+    removeQueuedTransaction(operation);
+
+    if (tokenContractAddress == 0) {
+      if (!(toAddress.call.value(value)(data))) {
+        throw;
+      }
+      Transacted(msg.sender, otherSigner, operation, toAddress, value, data);
+    } else {
+      if (!ERC20Interface(tokenContractAddress).transfer(toAddress, value)) {
+        throw;
+      }
+      TokenTransacted(msg.sender, otherSigner, operation, toAddress, value, tokenContractAddress);
+    }
+  }
+
+  /**
+   * Cancel a queued transaction. Any single signer may veto a transaction while it waits for the timelock.
+   *
+   * @param operation the operation hash of the queued transaction (see the TransactionQueued event)
+   */
+  function cancelQueued(bytes32 operation) onlysigner {
+    if (queuedTransactions[operation].executableAfter == 0) {
+      throw;
+    }
+    removeQueuedTransaction(operation);
+    QueuedTransactionCancelled(msg.sender, operation);
+  }
+
+  /**
+   * Gets the number of queued transactions
+   */
+  function numQueuedTransactions() returns (uint) {
+    uint count = 0;
+    for (uint i = 0; i < queuedOperations.length; i++) {
+      if (queuedOperations[i] != 0) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Gets the queued transaction at a position, counting only transactions still queued
+   * @param index the position of the transaction, from 0 to numQueuedTransactions() - 1
+   */
+  function getQueuedTransaction(uint index) constant returns (bytes32 operation, uint executableAfter, address toAddress, uint value, bytes data, address tokenContractAddress) {
+    uint count = 0;
+    for (uint i = 0; i < queuedOperations.length; i++) {
+      if (queuedOperations[i] != 0) {
+        if (index == count) {
+          var queued = queuedTransactions[queuedOperations[i]];
+          return (queuedOperations[i], queued.executableAfter, queued.toAddress, queued.value, queued.data, queued.tokenContractAddress);
+        }
+        count++;
+      }
+    }
+  }
+
+  /**
+   * Add a signer to this wallet, approved by 2 signers in the same way as sendMultiSig: msg.sender and the signature
+   * of tightly packed "ADDSIGNER", signer, expireTime and sequenceId. Sequence IDs are shared with sendMultiSig.
+   * Not allowed in safe mode, as the new signer could then be sent funds.
+   *
+   * @param signer the address to add as a signer
+   * @param expireTime the number of seconds since 1970 for which this change is valid
+   * @param sequenceId the unique sequence id obtainable from getNextSequenceId
+   * @param signature the result of eth.sign on the operationHash sha3(OPERATION_HASH_VERSION, this, networkId, "ADDSIGNER", signer, expireTime, sequenceId)
+   */
+  function addSigner(address signer, uint expireTime, uint sequenceId, bytes signature) onlysigner {
+    if (isSigner(signer)) {
+      // Already a signer
+      throw;
+    }
+    // Verify the other signer. In safe mode, the new signer is rejected as it is not a signer yet
+    var operationHash = sha3(OPERATION_HASH_VERSION, address(this), networkId, "ADDSIGNER", signer, expireTime, sequenceId);
+    var otherSigner = verifyMultiSig(signer, operationHash, signature, expireTime, sequenceId);
+
+    signers.push(signer);
+    SignerAdded(msg.sender, otherSigner, operationHash, signer);
+  }
+
+  /**
+   * Remove a signer from this wallet, e.g. one whose key was compromised, approved by 2 signers in the same way as
+   * sendMultiSig: msg.sender and the signature of tightly packed "REMOVESIGNER", signer, expireTime and sequenceId.
+   * The last signer takes the place of the removed one in the signers array. Not allowed in safe mode, as the signers
+   * needed to leave it could otherwise be removed.
+   *
+   * @param signer the address to remove as a signer
+   * @param expireTime the number of seconds since 1970 for which this change is valid
+   * @param sequenceId the unique sequence id obtainable from getNextSequenceId
+   * @param signature the result of eth.sign on the operationHash sha3(OPERATION_HASH_VERSION, this, networkId, "REMOVESIGNER", signer, expireTime, sequenceId)
+   */
+  function removeSigner(address signer, uint expireTime, uint sequenceId, bytes signature) onlysigner {
+    if (safeMode) {
+      // The signers are fixed in safe mode
+      throw;
+    }
+    if (signers.length <= getMinimumSigners()) {
+      // Removing a signer would leave too few to send transactions
+      throw;
+    }
+    var operationHash = sha3(OPERATION_HASH_VERSION, address(this), networkId, "REMOVESIGNER", signer, expireTime, sequenceId);
+    var otherSigner = verifyMultiSig(signer, operationHash, signature, expireTime, sequenceId);
+
+    // Throws if the address is not a signer
+    uint index = getSignerIndex(signer);
+    signers[index] = signers[signers.length - 1];
+    signers.length--;
+    SignerRemoved(msg.sender, otherSigner, operationHash, signer);
+  }
+
+  /**
+   * Replace a signer of this wallet with a new address, approved by 2 signers in the same way as sendMultiSig:
+   * msg.sender and the signature of tightly packed "REPLACESIGNER", oldSigner, newSigner, expireTime and sequenceId.
+   * The new signer takes the place of the old one in the signers array. Not allowed in safe mode.
+   *
+   * @param oldSigner the address to remove as a signer
+   * @param newSigner the address to add as a signer in its place
+   * @param expireTime the number of seconds since 1970 for which this change is valid
+   * @param sequenceId the unique sequence id obtainable from getNextSequenceId
+   * @param signature the result of eth.sign on the operationHash sha3(OPERATION_HASH_VERSION, this, networkId, "REPLACESIGNER", oldSigner, newSigner, expireTime, sequenceId)
+   */
+  function replaceSigner(address oldSigner, address newSigner, uint expireTime, uint sequenceId, bytes signature) onlysigner {
+    if (isSigner(newSigner)) {
+      // Already a signer
+      throw;
+    }
+    // Verify the other signer. In safe mode, the new signer is rejected as it is not a signer yet
+    var operationHash = sha3(OPERATION_HASH_VERSION, address(this), networkId, "REPLACESIGNER", oldSigner, newSigner, expireTime, sequenceId);
+    var otherSigner = verifyMultiSig(newSigner, operationHash, signature, expireTime, sequenceId);
+
+    // Throws if the address is not a signer
+    signers[getSignerIndex(oldSigner)] = newSigner;
+    SignerReplaced(msg.sender, otherSigner, operationHash, oldSigner, newSigner);
+  }
+
+  /**
+   * Do common multisig verification for both ether and token transfers. Throws if the operation may not proceed.
+   *
+   * @param toAddress the destination address of the transaction
+   * @param operationHash the hash of the operation that the other signer signed
+   * @param signature the tightly packed signature of r, s, and v as an array of 65 bytes (returned by eth.sign)
+   * @param expireTime the number of seconds since 1970 for which this transaction is valid
+   * @param sequenceId the unique sequence id obtainable from getNextSequenceId
+   * @return address of the other signer
+   */
+  function verifyMultiSig(address toAddress, bytes32 operationHash, bytes signature, uint expireTime, uint sequenceId) private returns (address) {
     // Verify if we are in safe mode. In safe mode, the wallet can only send to signers
     if (safeMode && !isSigner(toAddress)) {
       // We are in safe mode and the toAddress is not a signer. Disallow!
@@ -95,8 +524,18 @@ contract WalletSimple {
     // Try to insert the sequence ID. Will throw if the sequence id was invalid
     tryInsertSequenceId(sequenceId);
 
-    // Verify the other signer
-    var operationHash = sha3(toAddress, value, data, expireTime, sequenceId);
+    return verifyOtherSigners(operationHash, signature);
+  }
+
+  /**
+   * Verify the signature of the other signer on an operation. Throws if it does not approve the operation.
+   * Wallets requiring more signatures (see WalletSimpleThreshold) override this to verify all of them.
+   *
+   * @param operationHash the hash of the operation that the other signer signed
+   * @param signature the tightly packed signature of r, s, and v as an array of 65 bytes (returned by eth.sign)
+   * @return address of the other signer
+   */
+  function verifyOtherSigners(bytes32 operationHash, bytes signature) internal returns (address) {
     var otherSigner = recoverAddressFromSignature(operationHash, signature);
 
     if (!isSigner(otherSigner)) {
@@ -107,23 +546,214 @@ contract WalletSimple {
       // Cannot approve own transaction
       throw;
     }
+    return otherSigner;
+  }
 
-    // Success, send the transaction
-    if (!(toAddress.call.value(value)(data))) {
-      // Failed executing transaction
+  /**
+   * Verify the signatures of count other signers on an operation. Throws if they do not approve the operation.
+   * The signatures are concatenated (65 bytes each) in ascending order of the signers' addresses, which ensures that
+   * no signer is counted twice. Fires a SignerApproved event for each of them.
+   *
+   * @param operationHash the hash of the operation that the other signers signed
+   * @param signatures the concatenated signatures of r, s, and v as 65 bytes each (returned by eth.sign)
+   * @param count the number of other signers needed
+   * @return address of the first other signer
+   */
+  function verifyOrderedSigners(bytes32 operationHash, bytes signatures, uint count) internal returns (address) {
+    if (signatures.length != 65 * count) {
+      // Wrong number of signatures
       throw;
     }
-    Transacted(msg.sender, otherSigner, operationHash, toAddress, value, data);
+    address firstSigner;
+    address previousSigner = 0;
+    for (uint i = 0; i < count; i++) {
+      var otherSigner = recoverAddressFromSignatureAt(operationHash, signatures, i);
+      if (!isSigner(otherSigner)) {
+        // Other signer not on this wallet or operation does not match arguments
+        throw;
+      }
+      if (otherSigner == msg.sender) {
+        // Cannot approve own transaction
+        throw;
+      }
+      if (otherSigner <= previousSigner) {
+        // Signatures out of order, so a signer may have been repeated
+        throw;
+      }
+      if (i == 0) {
+        firstSigner = otherSigner;
+      }
+      previousSigner = otherSigner;
+      SignerApproved(operationHash, otherSigner);
+    }
+    return firstSigner;
   }
 
   /**
-   * Irrevocably puts contract into safe mode. When in this mode, transactions may only be sent to signing addresses.
+   * Puts contract into safe mode. When in this mode, transactions may only be sent to signing addresses.
+   * Leaving safe mode needs the consensus of getSafeModeExitSigners() signers and a delay (see requestSafeModeExit),
+   * which are fixed here. Signers can not be added, removed or replaced in safe mode, so those needed to leave it remain.
+   * Activating safe mode again cancels a pending exit. Any single signer can do so, repeatedly, so a signer that is no
+   * longer trusted can keep the wallet in safe mode. The funds can still be sent to the signers, e.g. to a new wallet.
    */
   function activateSafeMode() onlysigner {
+    if (!safeMode) {
+      safeModeExitRequired = getSafeModeExitSigners();
+      safeModeExitRequiredDelay = safeModeExitDelay == 0 ? DEFAULT_SAFE_MODE_EXIT_DELAY : safeModeExitDelay;
+    }
+    if (safeModeExitTime != 0) {
+      safeModeExitTime = 0;
+      SafeModeExitCancelled(msg.sender);
+    }
     safeMode = true;
     SafeModeActivated(msg.sender);
   }
 
+  /**
+   * Request to leave safe mode, approved by safeModeExitRequired signers: msg.sender and the signatures of the others
+   * on tightly packed "EXITSAFEMODE", expireTime and sequenceId. Sequence IDs are shared with sendMultiSig.
+   * The exit can be completed with deactivateSafeMode after safeModeExitRequiredDelay, unless a signer cancels it in the
+   * meantime by activating safe mode again. Fires a SignerApproved event for each of the other signers.
+   *
+   * @param expireTime the number of seconds since 1970 for which this request is valid
+   * @param sequenceId the unique sequence id obtainable from getNextSequenceId
+   * @param signatures the signatures of the other signers (65 bytes each, returned by eth.sign) on the operationHash
+   *                   sha3(OPERATION_HASH_VERSION, this, networkId, "EXITSAFEMODE", expireTime, sequenceId), concatenated in
+   *                   ascending order of their addresses
+   */
+  function requestSafeModeExit(uint expireTime, uint sequenceId, bytes signatures) onlysigner {
+    if (!safeMode || safeModeExitTime != 0) {
+      // Not in safe mode, or an exit was already requested
+      throw;
+    }
+    if (expireTime < block.timestamp) {
+      // Request expired
+      throw;
+    }
+    tryInsertSequenceId(sequenceId);
+
+    var operationHash = sha3(OPERATION_HASH_VERSION, address(this), networkId, "EXITSAFEMODE", expireTime, sequenceId);
+    verifyOrderedSigners(operationHash, signatures, safeModeExitRequired - 1);
+
+    safeModeExitTime = block.timestamp + safeModeExitRequiredDelay;
+    SafeModeExitRequested(msg.sender, operationHash, safeModeExitTime);
+  }
+
+  /**
+   * Leave safe mode, once the delay of an exit approved with requestSafeModeExit has passed
+   */
+  function deactivateSafeMode() onlysigner {
+    if (!safeMode || safeModeExitTime == 0 || block.timestamp < safeModeExitTime) {
+      // No exit was requested, or its delay has not passed yet
+      throw;
+    }
+    safeMode = false;
+    safeModeExitRequired = 0;
+    safeModeExitRequiredDelay = 0;
+    safeModeExitTime = 0;
+    SafeModeDeactivated(msg.sender);
+  }
+
+  /**
+   * Set the number of signers and the delay needed to leave safe mode, approved by 2 signers in the same way as
+   * sendMultiSig: msg.sender and the signature of tightly packed "SAFEMODEEXITPOLICY", exitSigners, exitDelay,
+   * expireTime and sequenceId. Not allowed in safe mode, as it could weaken what is needed to leave it.
+   *
+   * @param exitSigners a super-majority (more than half) of the signers, at least the number required to send a
+   *                    transaction, or 0 for all signers
+   * @param exitDelay the number of seconds between requesting and completing an exit, or 0 for DEFAULT_SAFE_MODE_EXIT_DELAY
+   * @param expireTime the number of seconds since 1970 for which this change is valid
+   * @param sequenceId the unique sequence id obtainable from getNextSequenceId
+   * @param signature the result of eth.sign on the operationHash
+   *                  sha3(OPERATION_HASH_VERSION, this, networkId, "SAFEMODEEXITPOLICY", exitSigners, exitDelay, expireTime, sequenceId)
+   */
+  function setSafeModeExitPolicy(uint exitSigners, uint exitDelay, uint expireTime, uint sequenceId, bytes signature) onlysigner {
+    if (safeMode) {
+      throw;
+    }
+    if (exitSigners != 0 && (exitSigners * 2 <= signers.length || exitSigners > signers.length || exitSigners < getMinimumSigners())) {
+      // Not a super-majority of the signers
+      throw;
+    }
+    // Not in safe mode, so the destination check of verifyMultiSig does not apply
+    var operationHash = sha3(OPERATION_HASH_VERSION, address(this), networkId, "SAFEMODEEXITPOLICY", exitSigners, exitDelay, expireTime, sequenceId);
+    var otherSigner = verifyMultiSig(msg.sender, operationHash, signature, expireTime, sequenceId);
+
+    safeModeExitSigners = exitSigners;
+    safeModeExitDelay = exitDelay;
+    SafeModeExitPolicyChanged(msg.sender, otherSigner, operationHash, exitSigners, exitDelay);
+  }
+
+  /**
+   * Set the number of seconds that transactions approved with sendMultiSig or sendMultiSigToken wait in a queue before
+   * they can be sent with executeQueued, so that any signer can cancel them. Approved by 2 signers in the same way as
+   * sendMultiSig: msg.sender and the signature of tightly packed "TIMELOCK", timelock, expireTime and sequenceId.
+   * Transactions queued already keep their time. A higher timelock applies immediately and replaces a pending change.
+   * A lower one waits for the current timelock, like a queued transaction: it is applied with applyTimelock once that
+   * has passed, and any signer may cancel it in the meantime with cancelTimelockChange.
+   *
+   * @param newTimelock the number of seconds, or 0 to send transactions immediately
+   * @param expireTime the number of seconds since 1970 for which this change is valid
+   * @param sequenceId the unique sequence id obtainable from getNextSequenceId
+   * @param signature the result of eth.sign on the operationHash sha3(OPERATION_HASH_VERSION, this, networkId, "TIMELOCK", timelock, expireTime, sequenceId)
+   */
+  function setTimelock(uint newTimelock, uint expireTime, uint sequenceId, bytes signature) onlysigner {
+    // msg.sender is a signer, so the destination check of verifyMultiSig passes in safe mode
+    var operationHash = sha3(OPERATION_HASH_VERSION, address(this), networkId, "TIMELOCK", newTimelock, expireTime, sequenceId);
+    var otherSigner = verifyMultiSig(msg.sender, operationHash, signature, expireTime, sequenceId);
+
+    if (newTimelock < timelock) {
+      pendingTimelock.timelock = newTimelock;
+      pendingTimelock.operation = operationHash;
+      pendingTimelock.otherSigner = otherSigner;
+      pendingTimelock.executableAfter = block.timestamp + timelock;
+      TimelockChangeQueued(msg.sender, otherSigner, operationHash, newTimelock, pendingTimelock.executableAfter);
+      return;
+    }
+    delete pendingTimelock;
+    timelock = newTimelock;
+    TimelockChanged(msg.sender, otherSigner, operationHash, newTimelock);
+  }
+
+  /**
+   * Apply a lower timelock approved with setTimelock, once the timelock it replaces has passed.
+   * Fires the same TimelockChanged event as a change applied immediately.
+   */
+  function applyTimelock() onlysigner {
+    if (pendingTimelock.executableAfter == 0 || block.timestamp < pendingTimelock.executableAfter) {
+      // No change is pending, or it is still waiting for the timelock
+      throw;
+    }
+    timelock = pendingTimelock.timelock;
+    TimelockChanged(msg.sender, pendingTimelock.otherSigner, pendingTimelock.operation, timelock);
+    delete pendingTimelock;
+  }
+
+  /**
+   * Cancel a lower timelock waiting to be applied. Any single signer may veto it, as with queued transactions.
+   */
+  function cancelTimelockChange() onlysigner {
+    if (pendingTimelock.executableAfter == 0) {
+      throw;
+    }
+    TimelockChangeCancelled(msg.sender, pendingTimelock.operation);
+    delete pendingTimelock;
+  }
+
+  /**
+   * Gets the number of signers, including msg.sender, needed to leave safe mode if it was activated now: the
+   * configured safeModeExitSigners, raised to a super-majority if signers were added since, or all signers.
+   */
+  function getSafeModeExitSigners() returns (uint) {
+    if (safeModeExitSigners == 0 || safeModeExitSigners > signers.length) {
+      return signers.length;
+    }
+    if (safeModeExitSigners * 2 <= signers.length) {
+      return signers.length / 2 + 1;
+    }
+    return safeModeExitSigners;
+  }
+
   /**
    * Determine if an address is a signer on this wallet
    * @param signer address to check
@@ -138,6 +768,51 @@ contract WalletSimple {
     return false;
   }
 
+  /**
+   * Gets the position of a signer in the signers array. Throws if the address is not a signer.
+   * @param signer address to look up
+   */
+  function getSignerIndex(address signer) private returns (uint) {
+    for (uint i = 0; i < signers.length; i++) {
+      if (signers[i] == signer) {
+        return i;
+      }
+    }
+    throw;
+  }
+
+  /**
+   * Queue an approved transaction until the timelock has passed
+   */
+  function queueTransaction(bytes32 operation, address toAddress, uint value, bytes data, address tokenContractAddress, address otherSigner) private {
+    var queued = queuedTransactions[operation];
+    queued.toAddress = toAddress;
+    queued.value = value;
+    queued.data = data;
+    queued.tokenContractAddress = tokenContractAddress;
+    queued.otherSigner = otherSigner;
+    queued.executableAfter = block.timestamp + timelock;
+    queued.index = queuedOperations.length++;
+    queuedOperations[queued.index] = operation;
+    TransactionQueued(msg.sender, otherSigner, operation, queued.executableAfter);
+  }
+
+  /**
+   * Remove a transaction from the queue
+   */
+  function removeQueuedTransaction(bytes32 operation) private {
+    delete queuedOperations[queuedTransactions[operation].index];
+    delete queuedTransactions[operation];
+  }
+
+  /**
+   * Gets the number of signers the wallet must keep, which is the number required to send a transaction.
+   * Overridden by wallets requiring more signatures (see WalletSimpleThreshold).
+   */
+  function getMinimumSigners() internal returns (uint) {
+    return 2;
+  }
+
   /**
    * Gets the second signer's address using ecrecover
    * @param operationHash the sha3 of the toAddress, value, data and expireTime
@@ -162,6 +837,29 @@ contract WalletSimple {
     return ecrecover(operationHash, v, r, s);
   }
 
+  /**
+   * Gets the address of one of several concatenated signatures using ecrecover
+   * @param operationHash the hash of the operation that was signed
+   * @param signatures the concatenated signatures of r, s, and v as 65 bytes each
+   * @param index the position of the signature to recover
+   */
+  function recoverAddressFromSignatureAt(bytes32 operationHash, bytes signatures, uint index) private returns (address) {
+    // Unpack the signature in the same way as recoverAddressFromSignature, starting at its offset
+    uint offset = index * 65;
+    bytes32 r;
+    bytes32 s;
+    uint8 v;
+    assembly {
+      r := mload(add(signatures, add(offset, 32)))
+      s := mload(add(signatures, add(offset, 64)))
+      v := and(mload(add(signatures, add(offset, 65))), 255)
+    }
+    if (v < 27) {
+      v += 27; // Ethereum versions are 27 or 28 as opposed to 0 or 1 which is submitted by some signing libs
+    }
+    return ecrecover(operationHash, v, r, s);
+  }
+
   /**
    * Verify that the sequence id has not been used before and inserts it. Throws if the sequence ID was not accepted.
    * We collect a window of up to 10 recent sequence ids, and allow any sequence id that is not in the window and
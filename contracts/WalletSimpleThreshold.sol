@@ -0,0 +1,58 @@
+import "WalletSimple.sol";
+
+/**
+ * Multi-signer wallet like WalletSimple, but with a configurable number of required signatures (M-of-N), e.g. 3-of-5.
+ * msg.sender counts as one signer, and the signatures of the other required - 1 signers are verified with ecrecover,
+ * so funds are still moved in a single transaction.
+ */
+contract WalletSimpleThreshold is WalletSimple {
+  // Public fields
+  uint public required; // The number of signers, including msg.sender, required to send a transaction
+
+  /**
+   * Set up an M-of-N multi-sig wallet by specifying the signers allowed to be used on this wallet and how many of
+   * them are required to send a transaction.
+   * Note: The sender is NOT automatically added to the list of signers.
+   *
+   * @param allowedSigners An array of distinct signers on the wallet
+   * @param requiredSigners The number of signers required to send a transaction, including msg.sender. At least 2.
+   * @param walletNetworkId The ID of the network the wallet is deployed to (net_version), which all operation hashes include
+   */
+  function WalletSimpleThreshold(address[] allowedSigners, uint requiredSigners, uint walletNetworkId)
+    WalletSimple(allowedSigners, walletNetworkId)
+  {
+    if (requiredSigners < 2 || requiredSigners > allowedSigners.length) {
+      // Requirement can not be met
+      throw;
+    }
+    for (uint i = 0; i < allowedSigners.length; i++) {
+      for (uint j = i + 1; j < allowedSigners.length; j++) {
+        if (allowedSigners[i] == allowedSigners[j]) {
+          // Duplicate signers would count towards the requirement only once
+          throw;
+        }
+      }
+    }
+    required = requiredSigners;
+  }
+
+  /**
+   * Gets the number of signers the wallet must keep, so that signers can not be removed below the requirement
+   */
+  function getMinimumSigners() internal returns (uint) {
+    return required;
+  }
+
+  /**
+   * Verify the signatures of the other required - 1 signers on an operation. Throws if they do not approve the operation.
+   * The signatures are concatenated (65 bytes each) in ascending order of the signers' addresses (see
+   * verifyOrderedSigners). Fires a SignerApproved event for each of them.
+   *
+   * @param operationHash the hash of the operation that the other signers signed
+   * @param signatures the concatenated signatures of r, s, and v as 65 bytes each (returned by eth.sign)
+   * @return address of the first other signer, which is reported as otherSigner in the Transacted events
+   */
+  function verifyOtherSigners(bytes32 operationHash, bytes signatures) internal returns (address) {
+    return verifyOrderedSigners(operationHash, signatures, required - 1);
+  }
+}
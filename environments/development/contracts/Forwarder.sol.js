@@ -5,9 +5,9 @@
 (function() {
 
   var contract_data = {
-    abi: [{"constant":false,"inputs":[],"name":"flush","outputs":[],"type":"function"},{"constant":true,"inputs":[],"name":"destinationAddress","outputs":[{"name":"","type":"address"}],"type":"function"},{"inputs":[],"type":"constructor"}],
-    binary: "606060405260008054600160a060020a0319163317905560928060226000396000f36060604052361560275760e060020a60003504636b9f96ea8114604e578063ca325469146075575b608660008054604051600160a060020a039091169190349082818181858883f15050505050565b60008054608691600160a060020a0391821691301631606082818181858883f15050505050565b6088600054600160a060020a031681565b005b6060908152602090f3",
-    unlinked_binary: "606060405260008054600160a060020a0319163317905560928060226000396000f36060604052361560275760e060020a60003504636b9f96ea8114604e578063ca325469146075575b608660008054604051600160a060020a039091169190349082818181858883f15050505050565b60008054608691600160a060020a0391821691301631606082818181858883f15050505050565b6088600054600160a060020a031681565b005b6060908152602090f3",
+    abi: [{"constant":false,"inputs":[{"name":"tokenContractAddress","type":"address"}],"name":"flushTokens","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[],"name":"flush","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":true,"inputs":[],"name":"destinationAddress","outputs":[{"name":"","type":"address"}],"payable":false,"stateMutability":"view","type":"function"},{"inputs":[],"payable":false,"stateMutability":"nonpayable","type":"constructor"},{"payable":true,"stateMutability":"payable","type":"fallback"},{"anonymous":false,"inputs":[{"indexed":false,"name":"tokenContractAddress","type":"address"},{"indexed":false,"name":"value","type":"uint256"}],"name":"TokensFlushed","type":"event"}],
+    binary: "608060405234801561001057600080fd5b5060008054600160a060020a031916331790556102c9806100326000396000f30060806040526004361061003d5763ffffffff60e060020a6000350416633ef1336781146100685780636b9f96ea1461008b578063ca325469146100a0575b60008054604051600160a060020a03909116913480156108fc02929091818181858888f15050505050005b34801561007457600080fd5b50610089600160a060020a03600435166100d1565b005b34801561009757600080fd5b50610089610262565b3480156100ac57600080fd5b506100b561028e565b60408051600160a060020a039092168252519081900360200190f35b600080548190600160a060020a031633146100eb57600080fd5b82915081600160a060020a03166370a08231306000604051602001526040518263ffffffff1660e060020a0281526004018082600160a060020a0316600160a060020a03168152602001915050602060405180830381600087803b15801561015257600080fd5b5060325a03f115801561016457600080fd5b5050604051519250505080151561017a5761025d565b6000805460408051602090810184905281517fa9059cbb000000000000000000000000000000000000000000000000000000008152600160a060020a0393841660048201526024810186905291519286169363a9059cbb936044808501949192918390030190829087803b1580156101f157600080fd5b5060325a03f115801561020357600080fd5b50506040515115159150610218905057600080fd5b60408051600160a060020a03851681526020810183905281517f9401e4e79c19cbe2bd774cb70a94ba660e6718be1bac1298ab3b07f454a60821929181900390910190a15b505050565b60008054604051600160a060020a0390911691303180156108fc02929091818181858888f15050505050565b600054600160a060020a0316815600a165627a7a7230582002833671e2c8e0f90cc5a4896a788ce4e30e184cb2c07d3580603af16182dd9b0029",
+    unlinked_binary: "608060405234801561001057600080fd5b5060008054600160a060020a031916331790556102c9806100326000396000f30060806040526004361061003d5763ffffffff60e060020a6000350416633ef1336781146100685780636b9f96ea1461008b578063ca325469146100a0575b60008054604051600160a060020a03909116913480156108fc02929091818181858888f15050505050005b34801561007457600080fd5b50610089600160a060020a03600435166100d1565b005b34801561009757600080fd5b50610089610262565b3480156100ac57600080fd5b506100b561028e565b60408051600160a060020a039092168252519081900360200190f35b600080548190600160a060020a031633146100eb57600080fd5b82915081600160a060020a03166370a08231306000604051602001526040518263ffffffff1660e060020a0281526004018082600160a060020a0316600160a060020a03168152602001915050602060405180830381600087803b15801561015257600080fd5b5060325a03f115801561016457600080fd5b5050604051519250505080151561017a5761025d565b6000805460408051602090810184905281517fa9059cbb000000000000000000000000000000000000000000000000000000008152600160a060020a0393841660048201526024810186905291519286169363a9059cbb936044808501949192918390030190829087803b1580156101f157600080fd5b5060325a03f115801561020357600080fd5b50506040515115159150610218905057600080fd5b60408051600160a060020a03851681526020810183905281517f9401e4e79c19cbe2bd774cb70a94ba660e6718be1bac1298ab3b07f454a60821929181900390910190a15b505050565b60008054604051600160a060020a0390911691303180156108fc02929091818181858888f15050505050565b600054600160a060020a0316815600a165627a7a7230582002833671e2c8e0f90cc5a4896a788ce4e30e184cb2c07d3580603af16182dd9b0029",
     address: "",
     generated_with: "2.0.9",
     contract_name: "Forwarder"
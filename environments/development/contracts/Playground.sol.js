@@ -5,9 +5,9 @@
 (function() {
 
   var contract_data = {
-    abi: [{"constant":false,"inputs":[{"name":"s","type":"bytes"}],"name":"getSha3","outputs":[{"name":"","type":"bytes32"}],"type":"function"},{"constant":false,"inputs":[{"name":"receiver","type":"address"},{"name":"amount","type":"uint256"}],"name":"sendCoin","outputs":[{"name":"sufficient","type":"bool"}],"type":"function"},{"constant":true,"inputs":[{"name":"hash","type":"bytes32"},{"name":"signature","type":"bytes"}],"name":"verifySignature","outputs":[{"name":"retAddr","type":"address"}],"type":"function"},{"constant":false,"inputs":[{"name":"addr","type":"address"}],"name":"getBalance","outputs":[{"name":"","type":"uint256"}],"type":"function"},{"inputs":[],"type":"constructor"}],
-    binary: "6060604052600160a060020a033216600090815260208190526040902061271090556102978061002f6000396000f3606060405260e060020a6000350463746c181b811461003c57806390b98a1114610107578063daca6f7814610136578063f8b2cb4f1461019b575b005b6040805160206004803580820135601f81018490048402850184019095528484526101b79491936024939092918401919081908401838280828437509496505050505050506000600060007343989fb883ba8111221e89123897538475893837915061271090508181856040518084600160a060020a03166c010000000000000000000000000281526014018381526020018280519060200190808383829060006004602084601f0104600302600f01f1509050019350505050604051809103902092505050919050565b6101c960043560243533600160a060020a0316600090815260208190526040812054829010156101fa5761022c565b60408051602060248035600481810135601f81018590048502860185019096528585526101dd9581359591946044949293909201918190840183828082843750949650505050505050600060006000600084516041141515610232576000935061028e565b600160a060020a03600435166000908152602081905260409020545b60408051918252519081900360200190f35b604080519115158252519081900360200190f35b60408051600160a060020a03929092168252519081900360200190f35b5033600160a060020a039081166000908152602081905260408082208054859003905591841681522080548201905560015b92915050565b50506040805160208581015186840151604188015189855260ff168484018190528486018390526060850182905294519195509392600192608082810193919282900301816000866161da5a03f1156100025750506040515193505b5050509291505056",
-    unlinked_binary: "6060604052600160a060020a033216600090815260208190526040902061271090556102978061002f6000396000f3606060405260e060020a6000350463746c181b811461003c57806390b98a1114610107578063daca6f7814610136578063f8b2cb4f1461019b575b005b6040805160206004803580820135601f81018490048402850184019095528484526101b79491936024939092918401919081908401838280828437509496505050505050506000600060007343989fb883ba8111221e89123897538475893837915061271090508181856040518084600160a060020a03166c010000000000000000000000000281526014018381526020018280519060200190808383829060006004602084601f0104600302600f01f1509050019350505050604051809103902092505050919050565b6101c960043560243533600160a060020a0316600090815260208190526040812054829010156101fa5761022c565b60408051602060248035600481810135601f81018590048502860185019096528585526101dd9581359591946044949293909201918190840183828082843750949650505050505050600060006000600084516041141515610232576000935061028e565b600160a060020a03600435166000908152602081905260409020545b60408051918252519081900360200190f35b604080519115158252519081900360200190f35b60408051600160a060020a03929092168252519081900360200190f35b5033600160a060020a039081166000908152602081905260408082208054859003905591841681522080548201905560015b92915050565b50506040805160208581015186840151604188015189855260ff168484018190528486018390526060850182905294519195509392600192608082810193919282900301816000866161da5a03f1156100025750506040515193505b5050509291505056",
+    abi: [{"constant":false,"inputs":[{"name":"s","type":"bytes"}],"name":"getSha3","outputs":[{"name":"","type":"bytes32"}],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[{"name":"receiver","type":"address"},{"name":"amount","type":"uint256"}],"name":"sendCoin","outputs":[{"name":"sufficient","type":"bool"}],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":true,"inputs":[{"name":"hash","type":"bytes32"},{"name":"signature","type":"bytes"}],"name":"verifySignature","outputs":[{"name":"retAddr","type":"address"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":false,"inputs":[{"name":"addr","type":"address"}],"name":"getBalance","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"nonpayable","type":"function"},{"inputs":[],"payable":false,"stateMutability":"nonpayable","type":"constructor"}],
+    binary: "608060405234801561001057600080fd5b50326000908152602081905260409020612710905561039b806100346000396000f3006080604052600436106100615763ffffffff7c0100000000000000000000000000000000000000000000000000000000600035041663746c181b811461006657806390b98a11146100d1578063daca6f7814610109578063f8b2cb4f14610183575b600080fd5b34801561007257600080fd5b506040805160206004803580820135601f81018490048402850184019095528484526100bf9436949293602493928401919081908401838280828437509497506101a49650505050505050565b60408051918252519081900360200190f35b3480156100dd57600080fd5b506100f5600160a060020a036004351660243561025a565b604080519115158252519081900360200190f35b34801561011557600080fd5b5060408051602060046024803582810135601f81018590048502860185019096528585526101679583359536956044949193909101919081908401838280828437509497506102ae9650505050505050565b60408051600160a060020a039092168252519081900360200190f35b34801561018f57600080fd5b506100bf600160a060020a0360043516610354565b6040517f43989fb883ba8111221e8912389753847589383700000000000000000000000081526127106014820181905282516000927343989fb883ba8111221e89123897538475893837929183918391879190603482019060208401908083835b602083106102245780518252601f199092019160209182019101610205565b5181516020939093036101000a600019018019909116921691909117905260405192018290039091209998505050505050505050565b33600090815260208190526040812054821115610279575060006102a8565b503360009081526020819052604080822080548490039055600160a060020a0384168252902080548201905560015b92915050565b600080600080845160411415156102c8576000935061034b565b5050506020828101516040808501516041860151825160008082528187018552908401819052835189815260ff909216828701819052828501869052606083018490529351949592946001936080808501949193601f19840193928390039091019190866161da5a03f115801561033e57600080fd5b5050506020604051035193505b50505092915050565b600160a060020a0316600090815260208190526040902054905600a165627a7a7230582077966ee29bc43e9893636199ce4dccde72f2c2f8bc6227df3604973e5f052db80029",
+    unlinked_binary: "608060405234801561001057600080fd5b50326000908152602081905260409020612710905561039b806100346000396000f3006080604052600436106100615763ffffffff7c0100000000000000000000000000000000000000000000000000000000600035041663746c181b811461006657806390b98a11146100d1578063daca6f7814610109578063f8b2cb4f14610183575b600080fd5b34801561007257600080fd5b506040805160206004803580820135601f81018490048402850184019095528484526100bf9436949293602493928401919081908401838280828437509497506101a49650505050505050565b60408051918252519081900360200190f35b3480156100dd57600080fd5b506100f5600160a060020a036004351660243561025a565b604080519115158252519081900360200190f35b34801561011557600080fd5b5060408051602060046024803582810135601f81018590048502860185019096528585526101679583359536956044949193909101919081908401838280828437509497506102ae9650505050505050565b60408051600160a060020a039092168252519081900360200190f35b34801561018f57600080fd5b506100bf600160a060020a0360043516610354565b6040517f43989fb883ba8111221e8912389753847589383700000000000000000000000081526127106014820181905282516000927343989fb883ba8111221e89123897538475893837929183918391879190603482019060208401908083835b602083106102245780518252601f199092019160209182019101610205565b5181516020939093036101000a600019018019909116921691909117905260405192018290039091209998505050505050505050565b33600090815260208190526040812054821115610279575060006102a8565b503360009081526020819052604080822080548490039055600160a060020a0384168252902080548201905560015b92915050565b600080600080845160411415156102c8576000935061034b565b5050506020828101516040808501516041860151825160008082528187018552908401819052835189815260ff909216828701819052828501869052606083018490529351949592946001936080808501949193601f19840193928390039091019190866161da5a03f115801561033e57600080fd5b5050506020604051035193505b50505092915050565b600160a060020a0316600090815260208190526040902054905600a165627a7a7230582077966ee29bc43e9893636199ce4dccde72f2c2f8bc6227df3604973e5f052db80029",
     address: "0x3b8363ddf00ee013adb46468b69f917d12c37f23",
     generated_with: "2.0.9",
     contract_name: "Playground"
@@ -5,9 +5,9 @@
 (function() {
 
   var contract_data = {
-    abi: [{"constant":false,"inputs":[{"name":"_owner","type":"address"}],"name":"removeOwner","outputs":[],"type":"function"},{"constant":true,"inputs":[{"name":"_index","type":"uint256"}],"name":"getPendingTransaction","outputs":[{"name":"_operationHash","type":"bytes32"},{"name":"_confirmationsNeeded","type":"uint256"},{"name":"_toAddress","type":"address"},{"name":"_transactionValue","type":"uint256"},{"name":"_data","type":"bytes"}],"type":"function"},{"constant":false,"inputs":[{"name":"_addr","type":"address"}],"name":"isOwner","outputs":[{"name":"","type":"bool"}],"type":"function"},{"constant":true,"inputs":[],"name":"m_numOwners","outputs":[{"name":"","type":"uint256"}],"type":"function"},{"constant":false,"inputs":[],"name":"numPendingTransactions","outputs":[{"name":"","type":"uint256"}],"type":"function"},{"constant":true,"inputs":[],"name":"m_lastDay","outputs":[{"name":"","type":"uint256"}],"type":"function"},{"constant":true,"inputs":[],"name":"version","outputs":[{"name":"","type":"uint256"}],"type":"function"},{"constant":false,"inputs":[],"name":"resetSpentToday","outputs":[],"type":"function"},{"constant":true,"inputs":[],"name":"m_spentToday","outputs":[{"name":"","type":"uint256"}],"type":"function"},{"constant":false,"inputs":[{"name":"_owner","type":"address"}],"name":"addOwner","outputs":[],"type":"function"},{"constant":true,"inputs":[],"name":"m_required","outputs":[{"name":"","type":"uint256"}],"type":"function"},{"constant":false,"inputs":[{"name":"_h","type":"bytes32"}],"name":"confirm","outputs":[{"name":"","type":"bool"}],"type":"function"},{"constant":false,"inputs":[{"name":"_addr","type":"address"}],"name":"hasCode","outputs":[{"name":"","type":"bool"}],"type":"function"},{"constant":false,"inputs":[],"name":"getNextSequenceId","outputs":[{"name":"","type":"uint256"}],"type":"function"},{"constant":false,"inputs":[],"name":"createForwarder","outputs":[{"name":"","type":"address"}],"type":"function"},{"constant":false,"inputs":[{"name":"_newLimit","type":"uint256"}],"name":"setDailyLimit","outputs":[],"type":"function"},{"constant":false,"inputs":[{"name":"_to","type":"address"},{"name":"_value","type":"uint256"},{"name":"_data","type":"bytes"}],"name":"execute","outputs":[{"name":"","type":"bytes32"}],"type":"function"},{"constant":false,"inputs":[{"name":"_operation","type":"bytes32"}],"name":"revoke","outputs":[],"type":"function"},{"constant":false,"inputs":[{"name":"_to","type":"address"},{"name":"_value","type":"uint256"},{"name":"_data","type":"bytes"},{"name":"_expireTime","type":"uint256"},{"name":"_sequenceId","type":"uint256"},{"name":"_signature","type":"bytes"}],"name":"executeAndConfirm","outputs":[{"name":"","type":"bytes32"}],"type":"function"},{"constant":false,"inputs":[{"name":"_newRequired","type":"uint256"}],"name":"changeRequirement","outputs":[],"type":"function"},{"constant":true,"inputs":[{"name":"_operation","type":"bytes32"},{"name":"_owner","type":"address"}],"name":"hasConfirmed","outputs":[{"name":"","type":"bool"}],"type":"function"},{"constant":false,"inputs":[{"name":"ownerIndex","type":"uint256"}],"name":"getOwner","outputs":[{"name":"","type":"address"}],"type":"function"},{"constant":false,"inputs":[{"name":"_to","type":"address"}],"name":"kill","outputs":[],"type":"function"},{"constant":false,"inputs":[{"name":"_from","type":"address"},{"name":"_to","type":"address"}],"name":"changeOwner","outputs":[],"type":"function"},{"constant":true,"inputs":[],"name":"m_dailyLimit","outputs":[{"name":"","type":"uint256"}],"type":"function"},{"inputs":[{"name":"_owners","type":"address[]"},{"name":"_required","type":"uint256"},{"name":"_daylimit","type":"uint256"}],"type":"constructor"},{"anonymous":false,"inputs":[{"indexed":false,"name":"owner","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"}],"name":"Confirmation","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"owner","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"}],"name":"Revoke","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"oldOwner","type":"address"},{"indexed":false,"name":"newOwner","type":"address"}],"name":"OwnerChanged","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"newOwner","type":"address"}],"name":"OwnerAdded","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"oldOwner","type":"address"}],"name":"OwnerRemoved","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"newRequirement","type":"uint256"}],"name":"RequirementChanged","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"_from","type":"address"},{"indexed":false,"name":"value","type":"uint256"}],"name":"Deposit","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"owner","type":"address"},{"indexed":false,"name":"value","type":"uint256"},{"indexed":false,"name":"to","type":"address"},{"indexed":false,"name":"data","type":"bytes"}],"name":"SingleTransact","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"owner","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"},{"indexed":false,"name":"value","type":"uint256"},{"indexed":false,"name":"to","type":"address"},{"indexed":false,"name":"data","type":"bytes"}],"name":"MultiTransact","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"operation","type":"bytes32"},{"indexed":false,"name":"initiator","type":"address"},{"indexed":false,"name":"value","type":"uint256"},{"indexed":false,"name":"to","type":"address"},{"indexed":false,"name":"data","type":"bytes"}],"name":"ConfirmationNeeded","type":"event"}],
-    binary: "6060604052604051611a4f380380611a4f833981016040908152815160805160a0519190930180516001908101815533600160a060020a0316600381905560009081526101026020529384205592918190849084905b825181101560cc578281815181101560025760209081029091010151600160a060020a0316600282810161010081101560025701558251600282019061010290600090869085908110156002576020908102909101810151600160a060020a03168252810191909152604001600020556001016055565b506000555061010f819055620151804204610111555050505061195c806100f36000396000f3606060405236156101275760e060020a6000350463173825d9811461017957806323fbae41146101d95780632f54bf6e146102c35780634123cb6b146102eb578063432dcdb8146102f4578063523750931461031057806354fd4d501461031a5780635c52c2f514610322578063659010e71461034c5780637065cb4814610356578063746c917114610383578063797af6271461038c5780639538c4b31461039f578063a0b7967b146103b5578063a68a76cc146103f6578063b20d30a914610404578063b61d27f614610431578063b75c7dc614610454578063b945d1f614610483578063ba51a6df146104ba578063c2cf7326146104e7578063c41a360a14610525578063cbf0b0c01461054a578063f00d4b5d14610577578063f1736d86146105a9575b6105b360003411156101775760408051600160a060020a033316815234602082015281517fe1fffcc4923d04b559f4d29a8bfc6cda04eb5b0d3c460751c2402c5c5cc9109c929181900390910190a15b565b6105b360043560006000366040518083838082843782019150509250505060405180910390206106d3815b600061143582335b600160a060020a0381166000908152610102602052604081205481808281141561161b576000935061134d565b6105b560043560408051602081019091526000808252908190819081908180805b610104548210156108515761085d825b600061011260005060006101046000508481548110156100025760009182526020808320909101548352820192909252604001812054600160a060020a03161415806102b6575061010480546101129160009185908110156100025750507f4c0be60200faa20559308cb7b5a1bb3255c16cb1cab91f525b5ae7a03d02fabe84015481526020810191909152604001600090812060029081015460018116156101000260001901160414155b156115af575060016102e6565b61064c6004355b600160a060020a03811660009081526101026020526040812054115b919050565b61066060015481565b610660600080805b6101045481101561093f576109488161020a565b6106606101115481565b610660600281565b6105b360003660405180838380828437820191505092505050604051809103902061095c816101a4565b6106606101105481565b6105b360043560003660405180838380828437820191505092505050604051809103902061096b816101a4565b61066060005481565b61064c6004355b600081610a34816101a4565b61064c6004355b6000813b908111905b50919050565b610660600080805b600a811015610c95578161010582600a81101561000257015411156103ee5761010581600a81101561000257015491505b6001016103bd565b6106726000610ca0336102ca565b6105b3600435600036604051808383808284378201915050925050506040518091039020610cdc816101a4565b6106606004803590602480359160443591820191013560006000610ce8336102ca565b6105b3600435600160a060020a03331660009081526101026020526040812054908082811415610f6b57610fea565b61066060048035906024803591604435808301929082013591606435916084359160a43591820191013560006000610ff0336102ca565b6105b36004356000366040518083838082843782019150509250505060405180910390206112df816101a4565b61064c600435602435600082815261010360209081526040808320600160a060020a038516845261010290925282205482818114156113385761134d565b61067260043560006002600183016101008110156100025750505060038101546102e6565b6105b3600435600036604051808383808284378201915050925050506040518091039020611356816101a4565b6105b36004356024356000600036604051808383808284378201915050925050506040518091039020611367816101a4565b61066061010f5481565b005b604051808660001916815260200185815260200184600160a060020a03168152602001838152602001806020018281038252838181518152602001915080519060200190808383829060006004602084601f0104600302600f01f150905090810190601f16801561063a5780820380516001836020036101000a031916815260200191505b50965050505050505060405180910390f35b604080519115158252519081900360200190f35b60408051918252519081900360200190f35b60408051600160a060020a03929092168252519081900360200190f35b5060408051600160a060020a038516815290517f58619076adf5bb0943d100ef88d52d7c3fd691b19d3a9071b555b651fbf418da9181900360200190a15b505b5050565b156106cd57600160a060020a03831660009081526101026020526040812054925082141561070157506106cf565b600160016000505403600060005054111561071c57506106cf565b600060028361010081101561000257508301819055600160a060020a038416815261010260205260408120556107d35b6101045460005b8181101561143c576101048054610112916000918490811015610002576000918252602080832090910154835282019290925260400181208054600160a060020a0319168155600181810183905560028281018054858255939493909281161561010002600019011604601f8190106114b457505b505050600101610753565b61068f5b600060015b600154811015610c91575b600154811080156108075750600281610100811015610002570154600014155b156114d2576001016107e7565b820191906000526020600020905b81548152906001019060200180831161082257829003601f168201915b50505050509050975097509750975097505b50505091939590929450565b15610934578289141561092d5761010480548390811015610002575050507f4c0be60200faa20559308cb7b5a1bb3255c16cb1cab91f525b5ae7a03d02fabe81015460008181526101036020908152604080832054610112835292819020805460028281018054855160019586015495821615610100026000190190911692909204601f8101879004870283018701909552848252879695600160a060020a039390931694909283919083018282801561083f5780601f106108145761010080835404028352916020019161083f565b6001909201915b6001909101906101fa565b8192505b505090565b15610954576001909101905b6001016102fc565b15610968576000610110555b50565b156106cf57610979826102ca565b156109845750610968565b61098c61074c565b60015460fa90106109a15761099f6107d7565b505b60015460fa90106109b25750610968565b60018054810190819055600160a060020a038316906002906101008110156100025790900160005055600154600160a060020a03831660008181526101026020908152604091829020939093558051918252517f994a936646fe87ffe4f1e469d3d6aa417d6b855598397f323de5b449f765f0c3929181900390910190a15050565b156103af5760008381526101126020526040812054600160a060020a031614610ab557604060008190208054600182810154935160029384018054600160a060020a03949094169594909391928392859291811615610100026000190116048015610aea5780601f10610abf57610100808354040283529160200191610aea565b60009150506102e6565b820191906000526020600020905b815481529060010190602001808311610acd57829003601f168201915b505091505060006040518083038185876185025a03f1925050501515610b0f57610002565b6000838152610112602090815260409182902080546001828101548551600160a060020a033381811683529682018b9052968101829052929095166060830181905260a06080840181815260029586018054948516156101000260001901909416959095049084018190527fe7c957c06e9a662c1a6c77366179f5b702b97651dc28eee7d5bf1dff6e40bb4a968a9590949293929160c083019084908015610bf85780601f10610bcd57610100808354040283529160200191610bf8565b820191906000526020600020905b815481529060010190602001808311610bdb57829003601f168201915b5050965050505050505060405180910390a16000838152610112602052604081208054600160a060020a0319168155600181810183905560028281018054858255939493909281161561010002600019011604601f819010610c6357505b50505060019150506102e6565b601f016020900490600052602060002090810190610c5691905b80821115610c915760008155600101610c7d565b5090565b816001019250610943565b15610cd95760405160b4806118a8833901809050604051809103906000f09050610cd9565b156102e657610111546115b75b6201518042045b90565b156106cf575061010f55565b15610d7c57610d85856000610cc5336102ca565b7f92ca3a80853e6663fa31fa10b99225f18d4902939b4c53a9caae9043f6efd00433868887876040518086600160a060020a0316815260200185815260200184600160a060020a031681526020018060200182810382528484828181526020019250808284378201915050965050505050505060405180910390a1600091505b50949350505050565b8015610d915750600083145b8015610da35750610da1866103a6565b155b15610dd357604051600160a060020a03871690600090879082818181858883f193505050501515610cfc57610002565b60003643604051808484808284378201915050828152602001935050505060405180910390209050610e0481610393565b158015610e27575060008181526101126020526040812054600160a060020a0316145b15610f335760008181526101126020908152604082208054600160a060020a0319168917815560018181018990556002918201805481865294849020909491821615610100026000190190911691909104601f908101929092048101918691908890839010610f3b57828001813560ff19161785555b50610ea9929150610c7d565b50507f1733cbb53659d713b79580f79f3f9ff215f78a7c7aa45890f3b89fc5cddfbf32813387898888604051808760001916815260200186600160a060020a0316815260200185815260200184600160a060020a03168152602001806020018281038252848482818152602001925080828437820191505097505050505050505060405180910390a15b809150610d7c565b82800160010185558215610e9d579182015b82811115610e9d578235826000505591602001919060010190610f4d565b50506000828152610103602052604081206001810154600284900a929083161115610fea5780546001828101805492909101835590839003905560408051600160a060020a03331681526020810186905281517fc7fb647e59b18047309aa15aad418e5d7ca96d173ad704f1031a2c3d7591734b929181900390910190a15b50505050565b1561108e574286101561109b57610002565b7fe7c957c06e9a662c1a6c77366179f5b702b97651dc28eee7d5bf1dff6e40bb4a33828b8d8c8c6040518087600160a060020a031681526020018660001916815260200185815260200184600160a060020a03168152602001806020018281038252848482818152602001925080828437820191505097505050505050505060405180910390a1600091505b5098975050505050505050565b8989898989896040518087600160a060020a03166c01000000000000000000000000028152601401868152602001858580828437820191505083815260200182815260200196505050505050506040518091039020905061115c818686868080601f016020809104026020016040519081016040528093929190818152602001838380828437505050505050600061160484848460008080808080805b600a8510156117ac578861010586600a81101561000257015414156117c757610002565b156111a15789600160a060020a03168989896040518083838082843782019150509250505060006040518083038185876185025a03f192505050151561100257610002565b60008181526101126020908152604082208054600160a060020a0319168d17815560018181018d90556002918201805481865294849020909491821615610100026000190190911691909104601f908101929092048101918a91908c9083901061121e5782800160ff198235161785555b5061124e929150610c7d565b82800160010185558215611212579182015b82811115611212578235826000505591602001919060010190611230565b50507f1733cbb53659d713b79580f79f3f9ff215f78a7c7aa45890f3b89fc5cddfbf3281338b8d8c8c604051808760001916815260200186600160a060020a0316815260200185815260200184600160a060020a03168152602001806020018281038252848482818152602001925080828437820191505097505050505050505060405180910390a180915061108e565b156106cf576001548211156112f45750610968565b600082905561130161074c565b6040805183815290517facbdb084c721332ac59f9b8e392196c9eb0e4932862da8eb9beaf0dad4f550da9181900360200190a15050565b506001820154600282900a9081166000141593505b50505092915050565b156106cf5781600160a060020a0316ff5b15610fea57611375836102ca565b1561138057506106cd565b600160a060020a0384166000908152610102602052604081205492508214156113a957506106cd565b6113b161074c565b600160a060020a03831660028361010081101561000257508301819055600160a060020a03851660008181526101026020908152604080832083905584835291829020869055815192835282019290925281517fb532073b38c83145e3e5135377a08bf9aab55bc0fd7c1179cd4fb995d2a5159c929181900390910190a150505050565b90506102e6565b6106cf6101045460005b818110156117705761010480548290811015610002576000918252602082200154146114ac576101048054610103916000918490811015610002576020600081812093815292909101548352820192909252604001812081815560018101829055600201555b600101611446565b601f0160209004906000526020600020908101906107c89190610c7d565b5b600180541180156114f557506001546002906101008110156100025701546000145b1561150957600180546000190190556114d3565b6001548110801561152c5750600154600290610100811015610002570154600014155b801561154657506002816101008110156100025701546000145b156115aa57600154600290610100811015610002570154600282610100811015610002570155806101026000600283610100811015610002570154815260208101919091526040016000908120919091556001546002906101008110156100025701555b6107dc565b5060006102e6565b11156115d0576000610110556115cb610cd2565b610111555b61011054808301108015906115ee57506101105461010f5490830111155b156115af575061011080548201905560016102e6565b806116135750611613846101a4565b949350505050565b6000868152610103602052604081208054909350141561169657600080548355600183810191909155610104805491820180825582801582901161167057600083815260209020611670918101908301610c7d565b505050600283018190556101048054889290811015610002576000918252602090912001555b506001810154600283900a908116600014156117675760408051600160a060020a03871681526020810188905281517fe1c52dc63b719ade82e8bea94cc41a0d5d28e4aaf536adb5e9cccc9ff8c1aeda929181900390910190a1815460019011611754576000868152610103602052610104805460409092206002015490918110156100025760009182526020808320909101829055878252610103905260408120818155600181810183905560029190910191909155935061134d565b8154600019018255600182018054821790555b6000935061134d565b61010480546000808355919091526106cd907f4c0be60200faa20559308cb7b5a1bb3255c16cb1cab91f525b5ae7a03d02fabe90810190610c7d565b61010586600a8110156100025701548910156117fd57610002565b61010586600a81101561000257015461010586600a81101561000257015410156117f15784955085505b60019490940193611138565b8861010587600a8110156100025750870155875160411461181d57610002565b6020880151604089015160418a0151919550935060ff169150601b82101561184657601b909101905b604080518b815260ff841660208281019190915281830187905260608201869052915160019260808381019391929182900301816000866161da5a03f11561000257505060405151905061189a8a826101ac565b9a995050505050505050505056606060405260008054600160a060020a0319163317905560928060226000396000f36060604052361560275760e060020a60003504636b9f96ea8114604e578063ca325469146075575b608660008054604051600160a060020a039091169190349082818181858883f15050505050565b60008054608691600160a060020a0391821691301631606082818181858883f15050505050565b6088600054600160a060020a031681565b005b6060908152602090f3",
-    unlinked_binary: "6060604052604051611a4f380380611a4f833981016040908152815160805160a0519190930180516001908101815533600160a060020a0316600381905560009081526101026020529384205592918190849084905b825181101560cc578281815181101560025760209081029091010151600160a060020a0316600282810161010081101560025701558251600282019061010290600090869085908110156002576020908102909101810151600160a060020a03168252810191909152604001600020556001016055565b506000555061010f819055620151804204610111555050505061195c806100f36000396000f3606060405236156101275760e060020a6000350463173825d9811461017957806323fbae41146101d95780632f54bf6e146102c35780634123cb6b146102eb578063432dcdb8146102f4578063523750931461031057806354fd4d501461031a5780635c52c2f514610322578063659010e71461034c5780637065cb4814610356578063746c917114610383578063797af6271461038c5780639538c4b31461039f578063a0b7967b146103b5578063a68a76cc146103f6578063b20d30a914610404578063b61d27f614610431578063b75c7dc614610454578063b945d1f614610483578063ba51a6df146104ba578063c2cf7326146104e7578063c41a360a14610525578063cbf0b0c01461054a578063f00d4b5d14610577578063f1736d86146105a9575b6105b360003411156101775760408051600160a060020a033316815234602082015281517fe1fffcc4923d04b559f4d29a8bfc6cda04eb5b0d3c460751c2402c5c5cc9109c929181900390910190a15b565b6105b360043560006000366040518083838082843782019150509250505060405180910390206106d3815b600061143582335b600160a060020a0381166000908152610102602052604081205481808281141561161b576000935061134d565b6105b560043560408051602081019091526000808252908190819081908180805b610104548210156108515761085d825b600061011260005060006101046000508481548110156100025760009182526020808320909101548352820192909252604001812054600160a060020a03161415806102b6575061010480546101129160009185908110156100025750507f4c0be60200faa20559308cb7b5a1bb3255c16cb1cab91f525b5ae7a03d02fabe84015481526020810191909152604001600090812060029081015460018116156101000260001901160414155b156115af575060016102e6565b61064c6004355b600160a060020a03811660009081526101026020526040812054115b919050565b61066060015481565b610660600080805b6101045481101561093f576109488161020a565b6106606101115481565b610660600281565b6105b360003660405180838380828437820191505092505050604051809103902061095c816101a4565b6106606101105481565b6105b360043560003660405180838380828437820191505092505050604051809103902061096b816101a4565b61066060005481565b61064c6004355b600081610a34816101a4565b61064c6004355b6000813b908111905b50919050565b610660600080805b600a811015610c95578161010582600a81101561000257015411156103ee5761010581600a81101561000257015491505b6001016103bd565b6106726000610ca0336102ca565b6105b3600435600036604051808383808284378201915050925050506040518091039020610cdc816101a4565b6106606004803590602480359160443591820191013560006000610ce8336102ca565b6105b3600435600160a060020a03331660009081526101026020526040812054908082811415610f6b57610fea565b61066060048035906024803591604435808301929082013591606435916084359160a43591820191013560006000610ff0336102ca565b6105b36004356000366040518083838082843782019150509250505060405180910390206112df816101a4565b61064c600435602435600082815261010360209081526040808320600160a060020a038516845261010290925282205482818114156113385761134d565b61067260043560006002600183016101008110156100025750505060038101546102e6565b6105b3600435600036604051808383808284378201915050925050506040518091039020611356816101a4565b6105b36004356024356000600036604051808383808284378201915050925050506040518091039020611367816101a4565b61066061010f5481565b005b604051808660001916815260200185815260200184600160a060020a03168152602001838152602001806020018281038252838181518152602001915080519060200190808383829060006004602084601f0104600302600f01f150905090810190601f16801561063a5780820380516001836020036101000a031916815260200191505b50965050505050505060405180910390f35b604080519115158252519081900360200190f35b60408051918252519081900360200190f35b60408051600160a060020a03929092168252519081900360200190f35b5060408051600160a060020a038516815290517f58619076adf5bb0943d100ef88d52d7c3fd691b19d3a9071b555b651fbf418da9181900360200190a15b505b5050565b156106cd57600160a060020a03831660009081526101026020526040812054925082141561070157506106cf565b600160016000505403600060005054111561071c57506106cf565b600060028361010081101561000257508301819055600160a060020a038416815261010260205260408120556107d35b6101045460005b8181101561143c576101048054610112916000918490811015610002576000918252602080832090910154835282019290925260400181208054600160a060020a0319168155600181810183905560028281018054858255939493909281161561010002600019011604601f8190106114b457505b505050600101610753565b61068f5b600060015b600154811015610c91575b600154811080156108075750600281610100811015610002570154600014155b156114d2576001016107e7565b820191906000526020600020905b81548152906001019060200180831161082257829003601f168201915b50505050509050975097509750975097505b50505091939590929450565b15610934578289141561092d5761010480548390811015610002575050507f4c0be60200faa20559308cb7b5a1bb3255c16cb1cab91f525b5ae7a03d02fabe81015460008181526101036020908152604080832054610112835292819020805460028281018054855160019586015495821615610100026000190190911692909204601f8101879004870283018701909552848252879695600160a060020a039390931694909283919083018282801561083f5780601f106108145761010080835404028352916020019161083f565b6001909201915b6001909101906101fa565b8192505b505090565b15610954576001909101905b6001016102fc565b15610968576000610110555b50565b156106cf57610979826102ca565b156109845750610968565b61098c61074c565b60015460fa90106109a15761099f6107d7565b505b60015460fa90106109b25750610968565b60018054810190819055600160a060020a038316906002906101008110156100025790900160005055600154600160a060020a03831660008181526101026020908152604091829020939093558051918252517f994a936646fe87ffe4f1e469d3d6aa417d6b855598397f323de5b449f765f0c3929181900390910190a15050565b156103af5760008381526101126020526040812054600160a060020a031614610ab557604060008190208054600182810154935160029384018054600160a060020a03949094169594909391928392859291811615610100026000190116048015610aea5780601f10610abf57610100808354040283529160200191610aea565b60009150506102e6565b820191906000526020600020905b815481529060010190602001808311610acd57829003601f168201915b505091505060006040518083038185876185025a03f1925050501515610b0f57610002565b6000838152610112602090815260409182902080546001828101548551600160a060020a033381811683529682018b9052968101829052929095166060830181905260a06080840181815260029586018054948516156101000260001901909416959095049084018190527fe7c957c06e9a662c1a6c77366179f5b702b97651dc28eee7d5bf1dff6e40bb4a968a9590949293929160c083019084908015610bf85780601f10610bcd57610100808354040283529160200191610bf8565b820191906000526020600020905b815481529060010190602001808311610bdb57829003601f168201915b5050965050505050505060405180910390a16000838152610112602052604081208054600160a060020a0319168155600181810183905560028281018054858255939493909281161561010002600019011604601f819010610c6357505b50505060019150506102e6565b601f016020900490600052602060002090810190610c5691905b80821115610c915760008155600101610c7d565b5090565b816001019250610943565b15610cd95760405160b4806118a8833901809050604051809103906000f09050610cd9565b156102e657610111546115b75b6201518042045b90565b156106cf575061010f55565b15610d7c57610d85856000610cc5336102ca565b7f92ca3a80853e6663fa31fa10b99225f18d4902939b4c53a9caae9043f6efd00433868887876040518086600160a060020a0316815260200185815260200184600160a060020a031681526020018060200182810382528484828181526020019250808284378201915050965050505050505060405180910390a1600091505b50949350505050565b8015610d915750600083145b8015610da35750610da1866103a6565b155b15610dd357604051600160a060020a03871690600090879082818181858883f193505050501515610cfc57610002565b60003643604051808484808284378201915050828152602001935050505060405180910390209050610e0481610393565b158015610e27575060008181526101126020526040812054600160a060020a0316145b15610f335760008181526101126020908152604082208054600160a060020a0319168917815560018181018990556002918201805481865294849020909491821615610100026000190190911691909104601f908101929092048101918691908890839010610f3b57828001813560ff19161785555b50610ea9929150610c7d565b50507f1733cbb53659d713b79580f79f3f9ff215f78a7c7aa45890f3b89fc5cddfbf32813387898888604051808760001916815260200186600160a060020a0316815260200185815260200184600160a060020a03168152602001806020018281038252848482818152602001925080828437820191505097505050505050505060405180910390a15b809150610d7c565b82800160010185558215610e9d579182015b82811115610e9d578235826000505591602001919060010190610f4d565b50506000828152610103602052604081206001810154600284900a929083161115610fea5780546001828101805492909101835590839003905560408051600160a060020a03331681526020810186905281517fc7fb647e59b18047309aa15aad418e5d7ca96d173ad704f1031a2c3d7591734b929181900390910190a15b50505050565b1561108e574286101561109b57610002565b7fe7c957c06e9a662c1a6c77366179f5b702b97651dc28eee7d5bf1dff6e40bb4a33828b8d8c8c6040518087600160a060020a031681526020018660001916815260200185815260200184600160a060020a03168152602001806020018281038252848482818152602001925080828437820191505097505050505050505060405180910390a1600091505b5098975050505050505050565b8989898989896040518087600160a060020a03166c01000000000000000000000000028152601401868152602001858580828437820191505083815260200182815260200196505050505050506040518091039020905061115c818686868080601f016020809104026020016040519081016040528093929190818152602001838380828437505050505050600061160484848460008080808080805b600a8510156117ac578861010586600a81101561000257015414156117c757610002565b156111a15789600160a060020a03168989896040518083838082843782019150509250505060006040518083038185876185025a03f192505050151561100257610002565b60008181526101126020908152604082208054600160a060020a0319168d17815560018181018d90556002918201805481865294849020909491821615610100026000190190911691909104601f908101929092048101918a91908c9083901061121e5782800160ff198235161785555b5061124e929150610c7d565b82800160010185558215611212579182015b82811115611212578235826000505591602001919060010190611230565b50507f1733cbb53659d713b79580f79f3f9ff215f78a7c7aa45890f3b89fc5cddfbf3281338b8d8c8c604051808760001916815260200186600160a060020a0316815260200185815260200184600160a060020a03168152602001806020018281038252848482818152602001925080828437820191505097505050505050505060405180910390a180915061108e565b156106cf576001548211156112f45750610968565b600082905561130161074c565b6040805183815290517facbdb084c721332ac59f9b8e392196c9eb0e4932862da8eb9beaf0dad4f550da9181900360200190a15050565b506001820154600282900a9081166000141593505b50505092915050565b156106cf5781600160a060020a0316ff5b15610fea57611375836102ca565b1561138057506106cd565b600160a060020a0384166000908152610102602052604081205492508214156113a957506106cd565b6113b161074c565b600160a060020a03831660028361010081101561000257508301819055600160a060020a03851660008181526101026020908152604080832083905584835291829020869055815192835282019290925281517fb532073b38c83145e3e5135377a08bf9aab55bc0fd7c1179cd4fb995d2a5159c929181900390910190a150505050565b90506102e6565b6106cf6101045460005b818110156117705761010480548290811015610002576000918252602082200154146114ac576101048054610103916000918490811015610002576020600081812093815292909101548352820192909252604001812081815560018101829055600201555b600101611446565b601f0160209004906000526020600020908101906107c89190610c7d565b5b600180541180156114f557506001546002906101008110156100025701546000145b1561150957600180546000190190556114d3565b6001548110801561152c5750600154600290610100811015610002570154600014155b801561154657506002816101008110156100025701546000145b156115aa57600154600290610100811015610002570154600282610100811015610002570155806101026000600283610100811015610002570154815260208101919091526040016000908120919091556001546002906101008110156100025701555b6107dc565b5060006102e6565b11156115d0576000610110556115cb610cd2565b610111555b61011054808301108015906115ee57506101105461010f5490830111155b156115af575061011080548201905560016102e6565b806116135750611613846101a4565b949350505050565b6000868152610103602052604081208054909350141561169657600080548355600183810191909155610104805491820180825582801582901161167057600083815260209020611670918101908301610c7d565b505050600283018190556101048054889290811015610002576000918252602090912001555b506001810154600283900a908116600014156117675760408051600160a060020a03871681526020810188905281517fe1c52dc63b719ade82e8bea94cc41a0d5d28e4aaf536adb5e9cccc9ff8c1aeda929181900390910190a1815460019011611754576000868152610103602052610104805460409092206002015490918110156100025760009182526020808320909101829055878252610103905260408120818155600181810183905560029190910191909155935061134d565b8154600019018255600182018054821790555b6000935061134d565b61010480546000808355919091526106cd907f4c0be60200faa20559308cb7b5a1bb3255c16cb1cab91f525b5ae7a03d02fabe90810190610c7d565b61010586600a8110156100025701548910156117fd57610002565b61010586600a81101561000257015461010586600a81101561000257015410156117f15784955085505b60019490940193611138565b8861010587600a8110156100025750870155875160411461181d57610002565b6020880151604089015160418a0151919550935060ff169150601b82101561184657601b909101905b604080518b815260ff841660208281019190915281830187905260608201869052915160019260808381019391929182900301816000866161da5a03f11561000257505060405151905061189a8a826101ac565b9a995050505050505050505056606060405260008054600160a060020a0319163317905560928060226000396000f36060604052361560275760e060020a60003504636b9f96ea8114604e578063ca325469146075575b608660008054604051600160a060020a039091169190349082818181858883f15050505050565b60008054608691600160a060020a0391821691301631606082818181858883f15050505050565b6088600054600160a060020a031681565b005b6060908152602090f3",
+    abi: [{"constant":false,"inputs":[{"name":"_owner","type":"address"}],"name":"removeOwner","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[{"name":"_to","type":"address"},{"name":"_value","type":"uint256"},{"name":"_data","type":"bytes"},{"name":"_expireTime","type":"uint256"},{"name":"_sequenceId","type":"uint256"},{"name":"_signature","type":"bytes"}],"name":"executeAndConfirmTyped","outputs":[{"name":"","type":"bytes32"}],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":true,"inputs":[{"name":"_index","type":"uint256"}],"name":"getQueuedTransaction","outputs":[{"name":"_operationHash","type":"bytes32"},{"name":"_executableAfter","type":"uint256"},{"name":"_toAddress","type":"address"},{"name":"_transactionValue","type":"uint256"},{"name":"_data","type":"bytes"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":false,"inputs":[{"name":"_timelock","type":"uint256"}],"name":"setTimelock","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":true,"inputs":[{"name":"_index","type":"uint256"}],"name":"getPendingTransaction","outputs":[{"name":"_operationHash","type":"bytes32"},{"name":"_confirmationsNeeded","type":"uint256"},{"name":"_toAddress","type":"address"},{"name":"_transactionValue","type":"uint256"},{"name":"_data","type":"bytes"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":false,"inputs":[{"name":"forwarderAddress","type":"address"},{"name":"tokenContractAddress","type":"address"}],"name":"flushForwarderTokens","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[{"name":"_addr","type":"address"}],"name":"isOwner","outputs":[{"name":"","type":"bool"}],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":true,"inputs":[],"name":"m_networkId","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":false,"inputs":[],"name":"numQueuedTransactions","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":true,"inputs":[],"name":"operationHashVersion","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":true,"inputs":[],"name":"m_numOwners","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":false,"inputs":[],"name":"numPendingTransactions","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":true,"inputs":[],"name":"m_lastDay","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":true,"inputs":[],"name":"version","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":true,"inputs":[],"name":"typedOperationSchemaHash","outputs":[{"name":"","type":"bytes32"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":false,"inputs":[],"name":"resetSpentToday","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[{"name":"_h","type":"bytes32"}],"name":"cancelQueued","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":true,"inputs":[],"name":"m_spentToday","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":true,"inputs":[{"name":"","type":"address"}],"name":"m_tokenSpentToday","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":true,"inputs":[{"name":"","type":"address"}],"name":"m_tokenLastDay","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":false,"inputs":[{"name":"_owner","type":"address"}],"name":"addOwner","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":true,"inputs":[],"name":"m_required","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":false,"inputs":[{"name":"_h","type":"bytes32"}],"name":"confirm","outputs":[{"name":"","type":"bool"}],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":true,"inputs":[],"name":"m_timelock","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":false,"inputs":[{"name":"_addr","type":"address"}],"name":"hasCode","outputs":[{"name":"","type":"bool"}],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[],"name":"getNextSequenceId","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[{"name":"_h","type":"bytes32"}],"name":"executeQueued","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[],"name":"createForwarder","outputs":[{"name":"","type":"address"}],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[{"name":"_newLimit","type":"uint256"}],"name":"setDailyLimit","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[{"name":"_to","type":"address"},{"name":"_value","type":"uint256"},{"name":"_data","type":"bytes"}],"name":"execute","outputs":[{"name":"","type":"bytes32"}],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[{"name":"_operation","type":"bytes32"}],"name":"revoke","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[{"name":"_to","type":"address"},{"name":"_value","type":"uint256"},{"name":"_data","type":"bytes"},{"name":"_expireTime","type":"uint256"},{"name":"_sequenceId","type":"uint256"},{"name":"_signature","type":"bytes"}],"name":"executeAndConfirm","outputs":[{"name":"","type":"bytes32"}],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[{"name":"_newRequired","type":"uint256"}],"name":"changeRequirement","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":true,"inputs":[{"name":"_operation","type":"bytes32"},{"name":"_owner","type":"address"}],"name":"hasConfirmed","outputs":[{"name":"","type":"bool"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":false,"inputs":[{"name":"ownerIndex","type":"uint256"}],"name":"getOwner","outputs":[{"name":"","type":"address"}],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[{"name":"_to","type":"address"}],"name":"kill","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[{"name":"_token","type":"address"}],"name":"resetTokenSpentToday","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[{"name":"_token","type":"address"},{"name":"_newLimit","type":"uint256"}],"name":"setTokenDailyLimit","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":true,"inputs":[{"name":"","type":"address"}],"name":"m_tokenDailyLimit","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":false,"inputs":[{"name":"_from","type":"address"},{"name":"_to","type":"address"}],"name":"changeOwner","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":true,"inputs":[],"name":"m_dailyLimit","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"inputs":[{"name":"_owners","type":"address[]"},{"name":"_required","type":"uint256"},{"name":"_daylimit","type":"uint256"},{"name":"_networkId","type":"uint256"}],"payable":false,"stateMutability":"nonpayable","type":"constructor"},{"payable":true,"stateMutability":"payable","type":"fallback"},{"anonymous":false,"inputs":[{"indexed":false,"name":"owner","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"}],"name":"Confirmation","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"owner","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"}],"name":"Revoke","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"oldOwner","type":"address"},{"indexed":false,"name":"newOwner","type":"address"}],"name":"OwnerChanged","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"newOwner","type":"address"}],"name":"OwnerAdded","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"oldOwner","type":"address"}],"name":"OwnerRemoved","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"newRequirement","type":"uint256"}],"name":"RequirementChanged","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"_from","type":"address"},{"indexed":false,"name":"value","type":"uint256"}],"name":"Deposit","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"owner","type":"address"},{"indexed":false,"name":"value","type":"uint256"},{"indexed":false,"name":"to","type":"address"},{"indexed":false,"name":"data","type":"bytes"}],"name":"SingleTransact","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"owner","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"},{"indexed":false,"name":"value","type":"uint256"},{"indexed":false,"name":"to","type":"address"},{"indexed":false,"name":"data","type":"bytes"}],"name":"MultiTransact","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"operation","type":"bytes32"},{"indexed":false,"name":"initiator","type":"address"},{"indexed":false,"name":"value","type":"uint256"},{"indexed":false,"name":"to","type":"address"},{"indexed":false,"name":"data","type":"bytes"}],"name":"ConfirmationNeeded","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"forwarderAddress","type":"address"}],"name":"ForwarderCreated","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"operation","type":"bytes32"},{"indexed":false,"name":"executableAfter","type":"uint256"},{"indexed":false,"name":"value","type":"uint256"},{"indexed":false,"name":"to","type":"address"},{"indexed":false,"name":"data","type":"bytes"}],"name":"TransactionQueued","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"owner","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"}],"name":"QueuedTransactionCancelled","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"newTimelock","type":"uint256"}],"name":"TimelockChanged","type":"event"}],
+    binary: "60806040523480156200001157600080fd5b506040516200323938038062003239833981016040908152815160208084015183850151606086015193909501805160019081018155336003819055600090815261010290945294832094909455929391908290859085905b8251811015620000f05782818151811015156200008357fe5b60209081029091010151600160a060020a031660028281016101008110620000a757fe5b01819055508060020161010260008584815181101515620000c457fe5b6020908102909101810151600160a060020a03168252810191909152604001600020556001016200006a565b506000555061010f8190556200010e64010000000062000121810204565b610111555061011955506200012a915050565b62015180420490565b6130ff806200013a6000396000f3006080604052600436106101df5763ffffffff60e060020a600035041663173825d9811461022557806317be8bcb146102465780631cb549711461029d5780631e891c0a1461036357806323fbae411461037b5780632da03409146103935780632f54bf6e146103ba5780632fee582f146103ef5780633c39722c146104045780633c43c043146104195780634123cb6b1461042e578063432dcdb814610443578063523750931461045857806354fd4d501461046d57806358525e21146104825780635c52c2f5146104975780635eeaf382146104ac578063659010e7146104c457806366a7ed8e146104d95780636d6230ac146104fa5780637065cb481461051b578063746c91711461053c578063797af6271461055157806394c72818146105695780639538c4b31461057e578063a0b7967b1461059f578063a3adda13146105b4578063a68a76cc146105cc578063b20d30a9146105fd578063b61d27f614610615578063b75c7dc614610646578063b945d1f61461065e578063ba51a6df146106a3578063c2cf7326146106bb578063c41a360a146106df578063cbf0b0c0146106f7578063e266d36714610718578063e83bf54214610739578063e8a446d91461075d578063f00d4b5d1461077e578063f1736d86146107a5575b6000341115610223576040805133815234602082015281517fe1fffcc4923d04b559f4d29a8bfc6cda04eb5b0d3c460751c2402c5c5cc9109c929181900390910190a15b005b34801561023157600080fd5b50610223600160a060020a03600435166107ba565b34801561025257600080fd5b5061028b60048035600160a060020a0316906024803591604435808301929082013591606435916084359160a4359182019101356108aa565b60408051918252519081900360200190f35b3480156102a957600080fd5b506102b5600435610afa565b60405180866000191660001916815260200185815260200184600160a060020a0316600160a060020a0316815260200183815260200180602001828103825283818151815260200191508051906020019080838360005b8381101561032457818101518382015260200161030c565b50505050905090810190601f1680156103515780820380516001836020036101000a031916815260200191505b50965050505050505060405180910390f35b34801561036f57600080fd5b50610223600435610c41565b34801561038757600080fd5b506102b5600435610cc1565b34801561039f57600080fd5b50610223600160a060020a0360043581169060243516610da9565b3480156103c657600080fd5b506103db600160a060020a0360043516610e3a565b604080519115158252519081900360200190f35b3480156103fb57600080fd5b5061028b610e5b565b34801561041057600080fd5b5061028b610e62565b34801561042557600080fd5b5061028b610ea7565b34801561043a57600080fd5b5061028b610eac565b34801561044f57600080fd5b5061028b610eb2565b34801561046457600080fd5b5061028b610edf565b34801561047957600080fd5b5061028b610ee6565b34801561048e57600080fd5b5061028b610eeb565b3480156104a357600080fd5b50610223611003565b3480156104b857600080fd5b50610223600435611042565b3480156104d057600080fd5b5061028b6110b2565b3480156104e557600080fd5b5061028b600160a060020a03600435166110b9565b34801561050657600080fd5b5061028b600160a060020a03600435166110cc565b34801561052757600080fd5b50610223600160a060020a03600435166110df565b34801561054857600080fd5b5061028b6111d0565b34801561055d57600080fd5b506103db6004356111d6565b34801561057557600080fd5b5061028b611202565b34801561058a57600080fd5b506103db600160a060020a0360043516611209565b3480156105ab57600080fd5b5061028b611211565b3480156105c057600080fd5b5061022360043561125a565b3480156105d857600080fd5b506105e16114b0565b60408051600160a060020a039092168252519081900360200190f35b34801561060957600080fd5b50610223600435611529565b34801561062157600080fd5b5061028b60048035600160a060020a0316906024803591604435918201910135611565565b34801561065257600080fd5b50610223600435611882565b34801561066a57600080fd5b5061028b60048035600160a060020a0316906024803591604435808301929082013591606435916084359160a43591820191013561191a565b3480156106af57600080fd5b50610223600435611a41565b3480156106c757600080fd5b506103db600435600160a060020a0360243516611ac9565b3480156106eb57600080fd5b506105e1600435611b1e565b34801561070357600080fd5b50610223600160a060020a0360043516611b39565b34801561072457600080fd5b50610223600160a060020a0360043516611b84565b34801561074557600080fd5b50610223600160a060020a0360043516602435611bd5565b34801561076957600080fd5b5061028b600160a060020a0360043516611c29565b34801561078a57600080fd5b50610223600160a060020a0360043581169060243516611c3c565b3480156107b157600080fd5b5061028b611d37565b6000333014806107ed57506107ed6000366040518083838082843782019150509250505060405180910390206001611d3e565b156108a65750600160a060020a03811660009081526101026020526040902054801515610819576108a6565b6001805403600054111561082c576108a6565b6000600282610100811061083c57fe5b0155600160a060020a03821660009081526101026020526040812055610860611dd5565b610868611e49565b5060408051600160a060020a038416815290517f58619076adf5bb0943d100ef88d52d7c3fd691b19d3a9071b555b651fbf418da9181900360200190a15b5050565b6000806108b633610e3a565b15610aed57428610156108c857600080fd5b604080517f616464726573732077616c6c657400000000000000000000000000000000000081527f75696e74323536206e6574776f726b4964000000000000000000000000000000600e8201527f6164647265737320746f00000000000000000000000000000000000000000000601f8201527f75696e743235362076616c75650000000000000000000000000000000000000060298201527f627974657320646174610000000000000000000000000000000000000000000060368201527f75696e743235362065787069726554696d650000000000000000000000000000818301527f75696e743235362073657175656e63654964000000000000000000000000000060528201529051908190036064018120610119546c0100000000000000000000000030818102855260148501839052600160a060020a038f169091026034850152604884018d905291928d908d908d908d908d908d9060688101858580828437820191505083815260200182815260200198505050505050505050604051809103902060405180836000191660001916815260200182600019166000191681526020019250505060405180910390209050610aea818b8b8b8b8080601f0160208091040260200160405190810160405280939291908181526020018383808284375050604080516020601f8f018190048102820181019092528d81528f955093508d92508c91508190840183828082843750611f61945050505050565b91505b5098975050505050505050565b600080808060608180805b61011854821015610c3557610118805483908110610b1f57fe5b60009182526020909120015415610c2a5782891415610c2357610118805483908110610b4757fe5b600091825260208083209091015480835261011782526040808420546101158452938190208054600180830154600293840180548651601f94821615610100026000190190911695909504928301889004880285018801909552818452949750879695600160a060020a0390921694939291839190830182828015610c0d5780601f10610be257610100808354040283529160200191610c0d565b820191906000526020600020905b815481529060010190602001808311610bf057829003601f168201915b5050505050905097509750975097509750610c35565b6001909201915b600190910190610b05565b50505091939590929450565b333014801590610c7a5750610c78600036604051808383808284378201915050925050506040518091039020610116548310611d3e565b155b15610c8457610cbe565b6101168190556040805182815290517f8a7d8891cd862d2d38b016226aa79b708af903623f046817a2855b1516cdd34d9181900360200190a15b50565b600080808060608180805b61010454821015610c3557610ce08261224c565b15610d9e5782891415610d9757610104805483908110610cfc57fe5b600091825260208083209091015480835261010382526040808420546101158452938190208054600180830154600293840180548651601f94821615610100026000190190911695909504928301889004880285018801909552818452949750879695600160a060020a0390921694939291839190830182828015610c0d5780601f10610be257610100808354040283529160200191610c0d565b6001909201915b600190910190610ccc565b6000610db433610e3a565b15610e355750604080517f3ef13367000000000000000000000000000000000000000000000000000000008152600160a060020a03838116600483015291518492831691633ef1336791602480830192600092919082900301818387803b158015610e1e57600080fd5b5060325a03f1158015610e3057600080fd5b505050505b505050565b600160a060020a03811660009081526101026020526040812054115b919050565b6101195481565b600080805b61011854811015610ea157610118805482908110610e8157fe5b60009182526020909120015415610e99576001909101905b600101610e67565b50919050565b600281565b60015481565b600080805b61010454811015610ea157610ecb8161224c565b15610ed7576001909101905b600101610eb7565b6101115481565b600381565b604080517f616464726573732077616c6c657400000000000000000000000000000000000081527f75696e74323536206e6574776f726b4964000000000000000000000000000000600e8201527f6164647265737320746f00000000000000000000000000000000000000000000601f8201527f75696e743235362076616c75650000000000000000000000000000000000000060298201527f627974657320646174610000000000000000000000000000000000000000000060368201527f75696e743235362065787069726554696d650000000000000000000000000000818301527f75696e743235362073657175656e6365496400000000000000000000000000006052820152905190819003606401902081565b3330148061103457506110346000366040518083838082843782019150509250505060405180910390206001611d3e565b15611040576000610110555b565b61104b33610e3a565b15610cbe5760008181526101176020526040902054151561106b57600080fd5b611074816122ed565b604080513381526020810183905281517fe2a7442108a1941a2128496fe045e91df0ff3ea6ffdb87fc86ea024d60f6ee39929181900390910190a150565b6101105481565b6101136020526000908152604090205481565b6101146020526000908152604090205481565b3330148061111057506111106000366040518083838082843782019150509250505060405180910390206001611d3e565b15610cbe5761111e81610e3a565b1561112857610cbe565b611130611dd5565b60015460fa1161114457611142611e49565b505b60015460fa1161115357610cbe565b60018054810190819055600160a060020a03821690600290610100811061117657fe5b0155600154600160a060020a03821660008181526101026020908152604091829020939093558051918252517f994a936646fe87ffe4f1e469d3d6aa417d6b855598397f323de5b449f765f0c3929181900390910190a150565b60005481565b60008181526101176020526040812054156111f357506000610e56565b6111fc82612362565b92915050565b6101165481565b6000903b1190565b600080805b600a811015611251578161010582600a811061122e57fe5b015411156112495761010581600a811061124457fe5b015491505b600101611216565b50600101919050565b6000806000606061126a33610e3a565b156114a95760008581526101176020526040902054935083158061128d57508342105b1561129757600080fd5b600085815261011560209081526040918290208054600180830154600293840180548751601f94821615610100026000190190911695909504928301869004860285018601909652818452600160a060020a0390921697509095509092918301828280156113465780601f1061131b57610100808354040283529160200191611346565b820191906000526020600020905b81548152906001019060200180831161132957829003601f168201915b50505050509050611356856122ed565b82600160a060020a0316828260405180828051906020019080838360005b8381101561138c578181015183820152602001611374565b50505050905090810190601f1680156113b95780820380516001836020036101000a031916815260200191505b5091505060006040518083038185876185025a03f19250505015156113dd57600080fd5b60408051338082526020808301899052928201859052600160a060020a038616606083015260a06080830181815285519184019190915284517fe7c957c06e9a662c1a6c77366179f5b702b97651dc28eee7d5bf1dff6e40bb4a9492938a9388938a9389939260c08401919085019080838360005b8381101561146a578181015183820152602001611452565b50505050905090810190601f1680156114975780820380516001836020036101000a031916815260200191505b50965050505050505060405180910390a15b5050505050565b6000806114bc33610e3a565b15611525576114c9612c44565b604051809103906000f0801580156114e057600080fd5b5060408051600160a060020a038316815290519192507f6a1722b151fa6ee2129092224b7b96addf678f7981115ec5867d03fd820a4158919081900360200190a18091505b5090565b3330148061155a575061155a6000366040518083838082843782019150509250505060405180910390206001611d3e565b15610cbe5761010f55565b600080600080600061157633610e3a565b1561187657611584886125a2565b801561158e575085155b80156115a0575061159e89611209565b155b1561166a57604051600160a060020a038a169089156108fc02908a906000818181858888f1935050505015156115d557600080fd5b7f92ca3a80853e6663fa31fa10b99225f18d4902939b4c53a9caae9043f6efd00433898b8a8a6040518086600160a060020a0316600160a060020a0316815260200185815260200184600160a060020a0316600160a060020a0316815260200180602001828103825284848281815260200192508082843760405192018290039850909650505050505050a160009450611876565b87151561175a576116aa87878080601f0160208091040260200160405190810160405280939291908181526020018383808284375061260a945050505050565b9350935093508380156116c257506116c28983612660565b1561175a5788600160a060020a031663a9059cbb84846000604051602001526040518363ffffffff1660e060020a0281526004018083600160a060020a0316600160a060020a0316815260200182815260200192505050602060405180830381600087803b15801561173357600080fd5b5060325a03f115801561174557600080fd5b505060405151151591506115d5905057600080fd5b6000364360405180848480828437820191505082815260200193505050506040518091039020905061178b816111d6565b1580156117ae575060008181526101156020526040902054600160a060020a0316155b15611872576000818152610115602052604090208054600160a060020a031916600160a060020a038b16178155600181018990556117f0906002018888612c54565b506040805182815233602082018190529181018a9052600160a060020a038b16606082015260a0608082018181529082018990527f1733cbb53659d713b79580f79f3f9ff215f78a7c7aa45890f3b89fc5cddfbf3292849290918c918e918d918d9160c082018484808284376040519201829003995090975050505050505050a15b8094505b50505050949350505050565b336000908152610102602052604081205490808215156118a157611914565b50506000828152610103602052604081206001810154600284900a92908316111561191457805460019081018255810180548390039055604080513381526020810186905281517fc7fb647e59b18047309aa15aad418e5d7ca96d173ad704f1031a2c3d7591734b929181900390910190a15b50505050565b60008061192633610e3a565b15610aed574286101561193857600080fd5b600230610119548c8c8c8c8c8c604051808a815260200189600160a060020a0316600160a060020a03166c0100000000000000000000000002815260140188815260200187600160a060020a0316600160a060020a03166c010000000000000000000000000281526014018681526020018585808284378201915050838152602001828152602001995050505050505050505060405180910390209050610aea818b8b8b8b8080601f0160208091040260200160405190810160405280939291908181526020018383808284375050604080516020601f8f018190048102820181019092528d81528f955093508d92508c91508190840183828082843750611f61945050505050565b33301480611a725750611a726000366040518083838082843782019150509250505060405180910390206001611d3e565b15610cbe57600154811115611a8657610cbe565b6000819055611a93611dd5565b6040805182815290517facbdb084c721332ac59f9b8e392196c9eb0e4932862da8eb9beaf0dad4f550da9181900360200190a150565b600082815261010360209081526040808320600160a060020a038516845261010290925282205482811515611b015760009350611b15565b8160020a9050808360010154166000141593505b50505092915050565b60006002600183016101008110611b3157fe5b015492915050565b333014801590611b6e5750611b6c6000366040518083838082843782019150509250505060405180910390206001611d3e565b155b15611b7857610cbe565b80600160a060020a0316ff5b33301480611bb55750611bb56000366040518083838082843782019150509250505060405180910390206001611d3e565b15610cbe57600160a060020a031660009081526101136020526040812055565b33301480611c065750611c066000366040518083838082843782019150509250505060405180910390206001611d3e565b156108a657600160a060020a039190911660009081526101126020526040902055565b6101126020526000908152604090205481565b600033301480611c6f5750611c6f6000366040518083838082843782019150509250505060405180910390206001611d3e565b15610e3557611c7d82610e3a565b15611c8757610e35565b50600160a060020a03821660009081526101026020526040902054801515611cae57610e35565b611cb6611dd5565b600160a060020a0382166002826101008110611cce57fe5b0155600160a060020a0380841660008181526101026020908152604080832083905593861680835291849020859055835192835282015281517fb532073b38c83145e3e5135377a08bf9aab55bc0fd7c1179cd4fb995d2a5159c929181900390910190a1505050565b61010f5481565b6000828152610117602052604081205415611d5857600080fd5b611d618361277f565b1515611d6f575060006111fc565b818015611d7f5750600061011654115b15611dcc576000838152610115602052604081208054600160a060020a0319163017815560018101829055611dba9160029091019036612c54565b50611dc48361278b565b5060006111fc565b50600192915050565b6101045460005b81811015611e4157610115600061010483815481101515611df957fe5b6000918252602080832090910154835282019290925260400181208054600160a060020a03191681556001810182905590611e376002830182612cce565b5050600101611ddc565b6108a66128e4565b600060015b600154811015611525575b60015481108015611e7857506002816101008110611e7357fe5b015415155b15611e8557600101611e59565b60018054118015611ea657506001546002906101008110611ea257fe5b0154155b15611eba5760018054600019019055611e85565b60015481108015611edc57506001546002906101008110611ed757fe5b015415155b8015611ef557506002816101008110611ef157fe5b0154155b15611f5c576001546002906101008110611f0b57fe5b01546002826101008110611f1b57fe5b01558061010260006002836101008110611f3157fe5b01548152602001908152602001600020819055506000600260015461010081101515611f5957fe5b01555b611e4e565b6000611f6e878484612967565b15612130576000610116541115611fd6576000878152610115602090815260409091208054600160a060020a031916600160a060020a038916178155600181018790558551611fc592600290920191870190612d12565b50611fcf8761278b565b5085612242565b85600160a060020a0316858560405180828051906020019080838360005b8381101561200c578181015183820152602001611ff4565b50505050905090810190601f1680156120395780820380516001836020036101000a031916815260200191505b5091505060006040518083038185876185025a03f192505050151561205d57600080fd5b604080513380825260208083018b9052928201889052600160a060020a038916606083015260a06080830181815288519184019190915287517fe7c957c06e9a662c1a6c77366179f5b702b97651dc28eee7d5bf1dff6e40bb4a9492938c938b938d938c939260c08401919085019080838360005b838110156120ea5781810151838201526020016120d2565b50505050905090810190601f1680156121175780820380516001836020036101000a031916815260200191505b50965050505050505060405180910390a1506000612242565b6000878152610115602090815260409091208054600160a060020a031916600160a060020a03891617815560018101879055855161217692600290920191870190612d12565b5060408051888152336020808301829052928201889052600160a060020a038916606083015260a06080830181815288519184019190915287517f1733cbb53659d713b79580f79f3f9ff215f78a7c7aa45890f3b89fc5cddfbf32948c948b938d938c9360c08401919085019080838360005b838110156122015781810151838201526020016121e9565b50505050905090810190601f16801561222e5780820380516001836020036101000a031916815260200191505b50965050505050505060405180910390a150855b9695505050505050565b600061011560006101048481548110151561226357fe5b60009182526020808320909101548352820192909252604001902054600160a060020a03161515806122d857506101156000610104848154811015156122a557fe5b60009182526020808320909101548352820192909252604001902060029081015461010060018216150260001901160415155b156122e557506001610e56565b506000919050565b600081815261011760205260409020600101546101188054909190811061231057fe5b6000918252602080832090910182905582825261011781526040808320838155600190810184905561011590925282208054600160a060020a031916815590810182905590610e356002830182612cce565b60008161236e8161277f565b15610ea15760008381526101156020526040902054600160a060020a0316156125995760006101165411156123af576123a68361278b565b60019150610ea1565b60008381526101156020526040908190208054600180830154935160029384018054600160a060020a0390941695949093919283928592918116156101000260001901160480156124415780601f1061241657610100808354040283529160200191612441565b820191906000526020600020905b81548152906001019060200180831161242457829003601f168201915b505091505060006040518083038185876185025a03f192505050151561246657600080fd5b6000838152610115602090815260409182902060018082015482548551338082529581018a9052958601829052600160a060020a03166060860181905260a06080870181815260029586018054958616156101000260001901909516959095049087018190527fe7c957c06e9a662c1a6c77366179f5b702b97651dc28eee7d5bf1dff6e40bb4a968a9593949293909160c08301908490801561254a5780601f1061251f5761010080835404028352916020019161254a565b820191906000526020600020905b81548152906001019060200180831161252d57829003601f168201915b5050965050505050505060405180910390a16000838152610115602052604081208054600160a060020a0319168155600181018290559061258e6002830182612cce565b505060019150610ea1565b50600092915050565b60006125ad33610e3a565b15610e5657610111546125be61298b565b11156125d7576000610110556125d261298b565b610111555b61011054828101108015906125f4575061010f5482610110540111155b156122e557506101108054820190556001610e56565b6000806000808451604414151561262a5760009350839250829150612658565b60e060020a6020860151049050600160a060020a036024860151169250604485015191508063a9059cbb1493505b509193909250565b60008061266c33610e3a565b1561277857600160a060020a03841660009081526101126020526040902054151561269a5760009150612778565b600160a060020a038416600090815261011460205260409020546126bc61298b565b11156126ff57600160a060020a038416600090815261011360205260408120556126e461298b565b600160a060020a038516600090815261011460205260409020555b50600160a060020a0383166000908152610113602052604090205482810181118015906127475750600160a060020a0384166000908152610112602052604090205481840111155b1561277357600160a060020a038416600090815261011360205260409020818401905560019150612778565b600091505b5092915050565b60006111fc8233612995565b6101165460008281526101176020526040902042909101908190556101188054906127b99060018301612d80565b600083815261011760205260409020600101819055610118805484929081106127de57fe5b6000918252602080832090910192909255838152610115825260409081902060018082015482548451888152958601879052938501819052600160a060020a039093166060850181905260a06080860181815260029485018054948516156101000260001901909416949094049086018190527fa31f353e5aa18662e0c20cf3be67e3e7541ff3fc736c786bc752f99c81ac1778958895889590949260c0830190849080156128ce5780601f106128a3576101008083540402835291602001916128ce565b820191906000526020600020905b8154815290600101906020018083116128b157829003601f168201915b5050965050505050505060405180910390a15050565b6101045460005b8181101561295a5761010480548290811061290257fe5b600091825260209091200154156129525761010360006101048381548110151561292857fe5b60009182526020808320909101548352820192909252604001812081815560018101829055600201555b6001016128eb565b6108a66101046000612da4565b6000612974848484612afb565b8061298357506129838461277f565b949350505050565b6201518042045b90565b600160a060020a0381166000908152610102602052604081205481808215156129c15760009350611b15565b60008681526101036020526040902080549092501515612a20576000805483556001808401919091556101048054916129fc91908301612d80565b6002830181905561010480548892908110612a1357fe5b6000918252602090912001555b8260020a90508082600101541660001415612aef5760408051600160a060020a03871681526020810188905281517fe1c52dc63b719ade82e8bea94cc41a0d5d28e4aaf536adb5e9cccc9ff8c1aeda929181900390910190a18154600110612adc576000868152610103602052604090206002015461010480549091908110612aa557fe5b6000918252602080832090910182905587825261010390526040812081815560018082018390556002909101919091559350611b15565b8154600019018255600182018054821790555b50600095945050505050565b60008080808080805b600a851015612b5e578861010586600a8110612b1c57fe5b01541415612b2957600080fd5b61010586600a8110612b3757fe5b015461010586600a8110612b4757fe5b01541015612b53578495505b600190940193612b04565b61010586600a8110612b6c57fe5b0154891015612b7a57600080fd5b8861010587600a8110612b8957fe5b01558751604114612b9957600080fd5b6020880151604089015160418a0151919550935060ff169150601b821015612bc257601b820191505b6040805160008082526020808301845291830181905282518d815260ff86168184015280840188905260608101879052925160019360808082019493601f19840193928390039091019190866161da5a03f1158015612c2057600080fd5b505050602060405103519050612c368a82612995565b9a9950505050505050505050565b6040516102fb80612dd983390190565b828054600181600116156101000203166002900490600052602060002090601f016020900481019282601f10612c955782800160ff19823516178555612cc2565b82800160010185558215612cc2579182015b82811115612cc2578235825591602001919060010190612ca7565b50611525929150612dbe565b50805460018160011615610100020316600290046000825580601f10612cf45750610cbe565b601f016020900490600052602060002090810190610cbe9190612dbe565b828054600181600116156101000203166002900490600052602060002090601f016020900481019282601f10612d5357805160ff1916838001178555612cc2565b82800160010185558215612cc2579182015b82811115612cc2578251825591602001919060010190612d65565b815481835581811115610e3557600083815260209020610e35918101908301612dbe565b5080546000825590600052602060002090810190610cbe91905b61299291905b808211156115255760008155600101612dc45600608060405234801561001057600080fd5b5060008054600160a060020a031916331790556102c9806100326000396000f30060806040526004361061003d5763ffffffff60e060020a6000350416633ef1336781146100685780636b9f96ea1461008b578063ca325469146100a0575b60008054604051600160a060020a03909116913480156108fc02929091818181858888f15050505050005b34801561007457600080fd5b50610089600160a060020a03600435166100d1565b005b34801561009757600080fd5b50610089610262565b3480156100ac57600080fd5b506100b561028e565b60408051600160a060020a039092168252519081900360200190f35b600080548190600160a060020a031633146100eb57600080fd5b82915081600160a060020a03166370a08231306000604051602001526040518263ffffffff1660e060020a0281526004018082600160a060020a0316600160a060020a03168152602001915050602060405180830381600087803b15801561015257600080fd5b5060325a03f115801561016457600080fd5b5050604051519250505080151561017a5761025d565b6000805460408051602090810184905281517fa9059cbb000000000000000000000000000000000000000000000000000000008152600160a060020a0393841660048201526024810186905291519286169363a9059cbb936044808501949192918390030190829087803b1580156101f157600080fd5b5060325a03f115801561020357600080fd5b50506040515115159150610218905057600080fd5b60408051600160a060020a03851681526020810183905281517f9401e4e79c19cbe2bd774cb70a94ba660e6718be1bac1298ab3b07f454a60821929181900390910190a15b505050565b60008054604051600160a060020a0390911691303180156108fc02929091818181858888f15050505050565b600054600160a060020a0316815600a165627a7a723058206cc2208dcaed9fb1d24f60714b6a931a1e342de4b3bdc49bb594fd8d9b4c7de80029a165627a7a72305820ffa351e0fb36f8d35f739c0a749af881e6b6344b7d2a7ca6d158263a7d8f72440029",
+    unlinked_binary: "60806040523480156200001157600080fd5b506040516200323938038062003239833981016040908152815160208084015183850151606086015193909501805160019081018155336003819055600090815261010290945294832094909455929391908290859085905b8251811015620000f05782818151811015156200008357fe5b60209081029091010151600160a060020a031660028281016101008110620000a757fe5b01819055508060020161010260008584815181101515620000c457fe5b6020908102909101810151600160a060020a03168252810191909152604001600020556001016200006a565b506000555061010f8190556200010e64010000000062000121810204565b610111555061011955506200012a915050565b62015180420490565b6130ff806200013a6000396000f3006080604052600436106101df5763ffffffff60e060020a600035041663173825d9811461022557806317be8bcb146102465780631cb549711461029d5780631e891c0a1461036357806323fbae411461037b5780632da03409146103935780632f54bf6e146103ba5780632fee582f146103ef5780633c39722c146104045780633c43c043146104195780634123cb6b1461042e578063432dcdb814610443578063523750931461045857806354fd4d501461046d57806358525e21146104825780635c52c2f5146104975780635eeaf382146104ac578063659010e7146104c457806366a7ed8e146104d95780636d6230ac146104fa5780637065cb481461051b578063746c91711461053c578063797af6271461055157806394c72818146105695780639538c4b31461057e578063a0b7967b1461059f578063a3adda13146105b4578063a68a76cc146105cc578063b20d30a9146105fd578063b61d27f614610615578063b75c7dc614610646578063b945d1f61461065e578063ba51a6df146106a3578063c2cf7326146106bb578063c41a360a146106df578063cbf0b0c0146106f7578063e266d36714610718578063e83bf54214610739578063e8a446d91461075d578063f00d4b5d1461077e578063f1736d86146107a5575b6000341115610223576040805133815234602082015281517fe1fffcc4923d04b559f4d29a8bfc6cda04eb5b0d3c460751c2402c5c5cc9109c929181900390910190a15b005b34801561023157600080fd5b50610223600160a060020a03600435166107ba565b34801561025257600080fd5b5061028b60048035600160a060020a0316906024803591604435808301929082013591606435916084359160a4359182019101356108aa565b60408051918252519081900360200190f35b3480156102a957600080fd5b506102b5600435610afa565b60405180866000191660001916815260200185815260200184600160a060020a0316600160a060020a0316815260200183815260200180602001828103825283818151815260200191508051906020019080838360005b8381101561032457818101518382015260200161030c565b50505050905090810190601f1680156103515780820380516001836020036101000a031916815260200191505b50965050505050505060405180910390f35b34801561036f57600080fd5b50610223600435610c41565b34801561038757600080fd5b506102b5600435610cc1565b34801561039f57600080fd5b50610223600160a060020a0360043581169060243516610da9565b3480156103c657600080fd5b506103db600160a060020a0360043516610e3a565b604080519115158252519081900360200190f35b3480156103fb57600080fd5b5061028b610e5b565b34801561041057600080fd5b5061028b610e62565b34801561042557600080fd5b5061028b610ea7565b34801561043a57600080fd5b5061028b610eac565b34801561044f57600080fd5b5061028b610eb2565b34801561046457600080fd5b5061028b610edf565b34801561047957600080fd5b5061028b610ee6565b34801561048e57600080fd5b5061028b610eeb565b3480156104a357600080fd5b50610223611003565b3480156104b857600080fd5b50610223600435611042565b3480156104d057600080fd5b5061028b6110b2565b3480156104e557600080fd5b5061028b600160a060020a03600435166110b9565b34801561050657600080fd5b5061028b600160a060020a03600435166110cc565b34801561052757600080fd5b50610223600160a060020a03600435166110df565b34801561054857600080fd5b5061028b6111d0565b34801561055d57600080fd5b506103db6004356111d6565b34801561057557600080fd5b5061028b611202565b34801561058a57600080fd5b506103db600160a060020a0360043516611209565b3480156105ab57600080fd5b5061028b611211565b3480156105c057600080fd5b5061022360043561125a565b3480156105d857600080fd5b506105e16114b0565b60408051600160a060020a039092168252519081900360200190f35b34801561060957600080fd5b50610223600435611529565b34801561062157600080fd5b5061028b60048035600160a060020a0316906024803591604435918201910135611565565b34801561065257600080fd5b50610223600435611882565b34801561066a57600080fd5b5061028b60048035600160a060020a0316906024803591604435808301929082013591606435916084359160a43591820191013561191a565b3480156106af57600080fd5b50610223600435611a41565b3480156106c757600080fd5b506103db600435600160a060020a0360243516611ac9565b3480156106eb57600080fd5b506105e1600435611b1e565b34801561070357600080fd5b50610223600160a060020a0360043516611b39565b34801561072457600080fd5b50610223600160a060020a0360043516611b84565b34801561074557600080fd5b50610223600160a060020a0360043516602435611bd5565b34801561076957600080fd5b5061028b600160a060020a0360043516611c29565b34801561078a57600080fd5b50610223600160a060020a0360043581169060243516611c3c565b3480156107b157600080fd5b5061028b611d37565b6000333014806107ed57506107ed6000366040518083838082843782019150509250505060405180910390206001611d3e565b156108a65750600160a060020a03811660009081526101026020526040902054801515610819576108a6565b6001805403600054111561082c576108a6565b6000600282610100811061083c57fe5b0155600160a060020a03821660009081526101026020526040812055610860611dd5565b610868611e49565b5060408051600160a060020a038416815290517f58619076adf5bb0943d100ef88d52d7c3fd691b19d3a9071b555b651fbf418da9181900360200190a15b5050565b6000806108b633610e3a565b15610aed57428610156108c857600080fd5b604080517f616464726573732077616c6c657400000000000000000000000000000000000081527f75696e74323536206e6574776f726b4964000000000000000000000000000000600e8201527f6164647265737320746f00000000000000000000000000000000000000000000601f8201527f75696e743235362076616c75650000000000000000000000000000000000000060298201527f627974657320646174610000000000000000000000000000000000000000000060368201527f75696e743235362065787069726554696d650000000000000000000000000000818301527f75696e743235362073657175656e63654964000000000000000000000000000060528201529051908190036064018120610119546c0100000000000000000000000030818102855260148501839052600160a060020a038f169091026034850152604884018d905291928d908d908d908d908d908d9060688101858580828437820191505083815260200182815260200198505050505050505050604051809103902060405180836000191660001916815260200182600019166000191681526020019250505060405180910390209050610aea818b8b8b8b8080601f0160208091040260200160405190810160405280939291908181526020018383808284375050604080516020601f8f018190048102820181019092528d81528f955093508d92508c91508190840183828082843750611f61945050505050565b91505b5098975050505050505050565b600080808060608180805b61011854821015610c3557610118805483908110610b1f57fe5b60009182526020909120015415610c2a5782891415610c2357610118805483908110610b4757fe5b600091825260208083209091015480835261011782526040808420546101158452938190208054600180830154600293840180548651601f94821615610100026000190190911695909504928301889004880285018801909552818452949750879695600160a060020a0390921694939291839190830182828015610c0d5780601f10610be257610100808354040283529160200191610c0d565b820191906000526020600020905b815481529060010190602001808311610bf057829003601f168201915b5050505050905097509750975097509750610c35565b6001909201915b600190910190610b05565b50505091939590929450565b333014801590610c7a5750610c78600036604051808383808284378201915050925050506040518091039020610116548310611d3e565b155b15610c8457610cbe565b6101168190556040805182815290517f8a7d8891cd862d2d38b016226aa79b708af903623f046817a2855b1516cdd34d9181900360200190a15b50565b600080808060608180805b61010454821015610c3557610ce08261224c565b15610d9e5782891415610d9757610104805483908110610cfc57fe5b600091825260208083209091015480835261010382526040808420546101158452938190208054600180830154600293840180548651601f94821615610100026000190190911695909504928301889004880285018801909552818452949750879695600160a060020a0390921694939291839190830182828015610c0d5780601f10610be257610100808354040283529160200191610c0d565b6001909201915b600190910190610ccc565b6000610db433610e3a565b15610e355750604080517f3ef13367000000000000000000000000000000000000000000000000000000008152600160a060020a03838116600483015291518492831691633ef1336791602480830192600092919082900301818387803b158015610e1e57600080fd5b5060325a03f1158015610e3057600080fd5b505050505b505050565b600160a060020a03811660009081526101026020526040812054115b919050565b6101195481565b600080805b61011854811015610ea157610118805482908110610e8157fe5b60009182526020909120015415610e99576001909101905b600101610e67565b50919050565b600281565b60015481565b600080805b61010454811015610ea157610ecb8161224c565b15610ed7576001909101905b600101610eb7565b6101115481565b600381565b604080517f616464726573732077616c6c657400000000000000000000000000000000000081527f75696e74323536206e6574776f726b4964000000000000000000000000000000600e8201527f6164647265737320746f00000000000000000000000000000000000000000000601f8201527f75696e743235362076616c75650000000000000000000000000000000000000060298201527f627974657320646174610000000000000000000000000000000000000000000060368201527f75696e743235362065787069726554696d650000000000000000000000000000818301527f75696e743235362073657175656e6365496400000000000000000000000000006052820152905190819003606401902081565b3330148061103457506110346000366040518083838082843782019150509250505060405180910390206001611d3e565b15611040576000610110555b565b61104b33610e3a565b15610cbe5760008181526101176020526040902054151561106b57600080fd5b611074816122ed565b604080513381526020810183905281517fe2a7442108a1941a2128496fe045e91df0ff3ea6ffdb87fc86ea024d60f6ee39929181900390910190a150565b6101105481565b6101136020526000908152604090205481565b6101146020526000908152604090205481565b3330148061111057506111106000366040518083838082843782019150509250505060405180910390206001611d3e565b15610cbe5761111e81610e3a565b1561112857610cbe565b611130611dd5565b60015460fa1161114457611142611e49565b505b60015460fa1161115357610cbe565b60018054810190819055600160a060020a03821690600290610100811061117657fe5b0155600154600160a060020a03821660008181526101026020908152604091829020939093558051918252517f994a936646fe87ffe4f1e469d3d6aa417d6b855598397f323de5b449f765f0c3929181900390910190a150565b60005481565b60008181526101176020526040812054156111f357506000610e56565b6111fc82612362565b92915050565b6101165481565b6000903b1190565b600080805b600a811015611251578161010582600a811061122e57fe5b015411156112495761010581600a811061124457fe5b015491505b600101611216565b50600101919050565b6000806000606061126a33610e3a565b156114a95760008581526101176020526040902054935083158061128d57508342105b1561129757600080fd5b600085815261011560209081526040918290208054600180830154600293840180548751601f94821615610100026000190190911695909504928301869004860285018601909652818452600160a060020a0390921697509095509092918301828280156113465780601f1061131b57610100808354040283529160200191611346565b820191906000526020600020905b81548152906001019060200180831161132957829003601f168201915b50505050509050611356856122ed565b82600160a060020a0316828260405180828051906020019080838360005b8381101561138c578181015183820152602001611374565b50505050905090810190601f1680156113b95780820380516001836020036101000a031916815260200191505b5091505060006040518083038185876185025a03f19250505015156113dd57600080fd5b60408051338082526020808301899052928201859052600160a060020a038616606083015260a06080830181815285519184019190915284517fe7c957c06e9a662c1a6c77366179f5b702b97651dc28eee7d5bf1dff6e40bb4a9492938a9388938a9389939260c08401919085019080838360005b8381101561146a578181015183820152602001611452565b50505050905090810190601f1680156114975780820380516001836020036101000a031916815260200191505b50965050505050505060405180910390a15b5050505050565b6000806114bc33610e3a565b15611525576114c9612c44565b604051809103906000f0801580156114e057600080fd5b5060408051600160a060020a038316815290519192507f6a1722b151fa6ee2129092224b7b96addf678f7981115ec5867d03fd820a4158919081900360200190a18091505b5090565b3330148061155a575061155a6000366040518083838082843782019150509250505060405180910390206001611d3e565b15610cbe5761010f55565b600080600080600061157633610e3a565b1561187657611584886125a2565b801561158e575085155b80156115a0575061159e89611209565b155b1561166a57604051600160a060020a038a169089156108fc02908a906000818181858888f1935050505015156115d557600080fd5b7f92ca3a80853e6663fa31fa10b99225f18d4902939b4c53a9caae9043f6efd00433898b8a8a6040518086600160a060020a0316600160a060020a0316815260200185815260200184600160a060020a0316600160a060020a0316815260200180602001828103825284848281815260200192508082843760405192018290039850909650505050505050a160009450611876565b87151561175a576116aa87878080601f0160208091040260200160405190810160405280939291908181526020018383808284375061260a945050505050565b9350935093508380156116c257506116c28983612660565b1561175a5788600160a060020a031663a9059cbb84846000604051602001526040518363ffffffff1660e060020a0281526004018083600160a060020a0316600160a060020a0316815260200182815260200192505050602060405180830381600087803b15801561173357600080fd5b5060325a03f115801561174557600080fd5b505060405151151591506115d5905057600080fd5b6000364360405180848480828437820191505082815260200193505050506040518091039020905061178b816111d6565b1580156117ae575060008181526101156020526040902054600160a060020a0316155b15611872576000818152610115602052604090208054600160a060020a031916600160a060020a038b16178155600181018990556117f0906002018888612c54565b506040805182815233602082018190529181018a9052600160a060020a038b16606082015260a0608082018181529082018990527f1733cbb53659d713b79580f79f3f9ff215f78a7c7aa45890f3b89fc5cddfbf3292849290918c918e918d918d9160c082018484808284376040519201829003995090975050505050505050a15b8094505b50505050949350505050565b336000908152610102602052604081205490808215156118a157611914565b50506000828152610103602052604081206001810154600284900a92908316111561191457805460019081018255810180548390039055604080513381526020810186905281517fc7fb647e59b18047309aa15aad418e5d7ca96d173ad704f1031a2c3d7591734b929181900390910190a15b50505050565b60008061192633610e3a565b15610aed574286101561193857600080fd5b600230610119548c8c8c8c8c8c604051808a815260200189600160a060020a0316600160a060020a03166c0100000000000000000000000002815260140188815260200187600160a060020a0316600160a060020a03166c010000000000000000000000000281526014018681526020018585808284378201915050838152602001828152602001995050505050505050505060405180910390209050610aea818b8b8b8b8080601f0160208091040260200160405190810160405280939291908181526020018383808284375050604080516020601f8f018190048102820181019092528d81528f955093508d92508c91508190840183828082843750611f61945050505050565b33301480611a725750611a726000366040518083838082843782019150509250505060405180910390206001611d3e565b15610cbe57600154811115611a8657610cbe565b6000819055611a93611dd5565b6040805182815290517facbdb084c721332ac59f9b8e392196c9eb0e4932862da8eb9beaf0dad4f550da9181900360200190a150565b600082815261010360209081526040808320600160a060020a038516845261010290925282205482811515611b015760009350611b15565b8160020a9050808360010154166000141593505b50505092915050565b60006002600183016101008110611b3157fe5b015492915050565b333014801590611b6e5750611b6c6000366040518083838082843782019150509250505060405180910390206001611d3e565b155b15611b7857610cbe565b80600160a060020a0316ff5b33301480611bb55750611bb56000366040518083838082843782019150509250505060405180910390206001611d3e565b15610cbe57600160a060020a031660009081526101136020526040812055565b33301480611c065750611c066000366040518083838082843782019150509250505060405180910390206001611d3e565b156108a657600160a060020a039190911660009081526101126020526040902055565b6101126020526000908152604090205481565b600033301480611c6f5750611c6f6000366040518083838082843782019150509250505060405180910390206001611d3e565b15610e3557611c7d82610e3a565b15611c8757610e35565b50600160a060020a03821660009081526101026020526040902054801515611cae57610e35565b611cb6611dd5565b600160a060020a0382166002826101008110611cce57fe5b0155600160a060020a0380841660008181526101026020908152604080832083905593861680835291849020859055835192835282015281517fb532073b38c83145e3e5135377a08bf9aab55bc0fd7c1179cd4fb995d2a5159c929181900390910190a1505050565b61010f5481565b6000828152610117602052604081205415611d5857600080fd5b611d618361277f565b1515611d6f575060006111fc565b818015611d7f5750600061011654115b15611dcc576000838152610115602052604081208054600160a060020a0319163017815560018101829055611dba9160029091019036612c54565b50611dc48361278b565b5060006111fc565b50600192915050565b6101045460005b81811015611e4157610115600061010483815481101515611df957fe5b6000918252602080832090910154835282019290925260400181208054600160a060020a03191681556001810182905590611e376002830182612cce565b5050600101611ddc565b6108a66128e4565b600060015b600154811015611525575b60015481108015611e7857506002816101008110611e7357fe5b015415155b15611e8557600101611e59565b60018054118015611ea657506001546002906101008110611ea257fe5b0154155b15611eba5760018054600019019055611e85565b60015481108015611edc57506001546002906101008110611ed757fe5b015415155b8015611ef557506002816101008110611ef157fe5b0154155b15611f5c576001546002906101008110611f0b57fe5b01546002826101008110611f1b57fe5b01558061010260006002836101008110611f3157fe5b01548152602001908152602001600020819055506000600260015461010081101515611f5957fe5b01555b611e4e565b6000611f6e878484612967565b15612130576000610116541115611fd6576000878152610115602090815260409091208054600160a060020a031916600160a060020a038916178155600181018790558551611fc592600290920191870190612d12565b50611fcf8761278b565b5085612242565b85600160a060020a0316858560405180828051906020019080838360005b8381101561200c578181015183820152602001611ff4565b50505050905090810190601f1680156120395780820380516001836020036101000a031916815260200191505b5091505060006040518083038185876185025a03f192505050151561205d57600080fd5b604080513380825260208083018b9052928201889052600160a060020a038916606083015260a06080830181815288519184019190915287517fe7c957c06e9a662c1a6c77366179f5b702b97651dc28eee7d5bf1dff6e40bb4a9492938c938b938d938c939260c08401919085019080838360005b838110156120ea5781810151838201526020016120d2565b50505050905090810190601f1680156121175780820380516001836020036101000a031916815260200191505b50965050505050505060405180910390a1506000612242565b6000878152610115602090815260409091208054600160a060020a031916600160a060020a03891617815560018101879055855161217692600290920191870190612d12565b5060408051888152336020808301829052928201889052600160a060020a038916606083015260a06080830181815288519184019190915287517f1733cbb53659d713b79580f79f3f9ff215f78a7c7aa45890f3b89fc5cddfbf32948c948b938d938c9360c08401919085019080838360005b838110156122015781810151838201526020016121e9565b50505050905090810190601f16801561222e5780820380516001836020036101000a031916815260200191505b50965050505050505060405180910390a150855b9695505050505050565b600061011560006101048481548110151561226357fe5b60009182526020808320909101548352820192909252604001902054600160a060020a03161515806122d857506101156000610104848154811015156122a557fe5b60009182526020808320909101548352820192909252604001902060029081015461010060018216150260001901160415155b156122e557506001610e56565b506000919050565b600081815261011760205260409020600101546101188054909190811061231057fe5b6000918252602080832090910182905582825261011781526040808320838155600190810184905561011590925282208054600160a060020a031916815590810182905590610e356002830182612cce565b60008161236e8161277f565b15610ea15760008381526101156020526040902054600160a060020a0316156125995760006101165411156123af576123a68361278b565b60019150610ea1565b60008381526101156020526040908190208054600180830154935160029384018054600160a060020a0390941695949093919283928592918116156101000260001901160480156124415780601f1061241657610100808354040283529160200191612441565b820191906000526020600020905b81548152906001019060200180831161242457829003601f168201915b505091505060006040518083038185876185025a03f192505050151561246657600080fd5b6000838152610115602090815260409182902060018082015482548551338082529581018a9052958601829052600160a060020a03166060860181905260a06080870181815260029586018054958616156101000260001901909516959095049087018190527fe7c957c06e9a662c1a6c77366179f5b702b97651dc28eee7d5bf1dff6e40bb4a968a9593949293909160c08301908490801561254a5780601f1061251f5761010080835404028352916020019161254a565b820191906000526020600020905b81548152906001019060200180831161252d57829003601f168201915b5050965050505050505060405180910390a16000838152610115602052604081208054600160a060020a0319168155600181018290559061258e6002830182612cce565b505060019150610ea1565b50600092915050565b60006125ad33610e3a565b15610e5657610111546125be61298b565b11156125d7576000610110556125d261298b565b610111555b61011054828101108015906125f4575061010f5482610110540111155b156122e557506101108054820190556001610e56565b6000806000808451604414151561262a5760009350839250829150612658565b60e060020a6020860151049050600160a060020a036024860151169250604485015191508063a9059cbb1493505b509193909250565b60008061266c33610e3a565b1561277857600160a060020a03841660009081526101126020526040902054151561269a5760009150612778565b600160a060020a038416600090815261011460205260409020546126bc61298b565b11156126ff57600160a060020a038416600090815261011360205260408120556126e461298b565b600160a060020a038516600090815261011460205260409020555b50600160a060020a0383166000908152610113602052604090205482810181118015906127475750600160a060020a0384166000908152610112602052604090205481840111155b1561277357600160a060020a038416600090815261011360205260409020818401905560019150612778565b600091505b5092915050565b60006111fc8233612995565b6101165460008281526101176020526040902042909101908190556101188054906127b99060018301612d80565b600083815261011760205260409020600101819055610118805484929081106127de57fe5b6000918252602080832090910192909255838152610115825260409081902060018082015482548451888152958601879052938501819052600160a060020a039093166060850181905260a06080860181815260029485018054948516156101000260001901909416949094049086018190527fa31f353e5aa18662e0c20cf3be67e3e7541ff3fc736c786bc752f99c81ac1778958895889590949260c0830190849080156128ce5780601f106128a3576101008083540402835291602001916128ce565b820191906000526020600020905b8154815290600101906020018083116128b157829003601f168201915b5050965050505050505060405180910390a15050565b6101045460005b8181101561295a5761010480548290811061290257fe5b600091825260209091200154156129525761010360006101048381548110151561292857fe5b60009182526020808320909101548352820192909252604001812081815560018101829055600201555b6001016128eb565b6108a66101046000612da4565b6000612974848484612afb565b8061298357506129838461277f565b949350505050565b6201518042045b90565b600160a060020a0381166000908152610102602052604081205481808215156129c15760009350611b15565b60008681526101036020526040902080549092501515612a20576000805483556001808401919091556101048054916129fc91908301612d80565b6002830181905561010480548892908110612a1357fe5b6000918252602090912001555b8260020a90508082600101541660001415612aef5760408051600160a060020a03871681526020810188905281517fe1c52dc63b719ade82e8bea94cc41a0d5d28e4aaf536adb5e9cccc9ff8c1aeda929181900390910190a18154600110612adc576000868152610103602052604090206002015461010480549091908110612aa557fe5b6000918252602080832090910182905587825261010390526040812081815560018082018390556002909101919091559350611b15565b8154600019018255600182018054821790555b50600095945050505050565b60008080808080805b600a851015612b5e578861010586600a8110612b1c57fe5b01541415612b2957600080fd5b61010586600a8110612b3757fe5b015461010586600a8110612b4757fe5b01541015612b53578495505b600190940193612b04565b61010586600a8110612b6c57fe5b0154891015612b7a57600080fd5b8861010587600a8110612b8957fe5b01558751604114612b9957600080fd5b6020880151604089015160418a0151919550935060ff169150601b821015612bc257601b820191505b6040805160008082526020808301845291830181905282518d815260ff86168184015280840188905260608101879052925160019360808082019493601f19840193928390039091019190866161da5a03f1158015612c2057600080fd5b505050602060405103519050612c368a82612995565b9a9950505050505050505050565b6040516102fb80612dd983390190565b828054600181600116156101000203166002900490600052602060002090601f016020900481019282601f10612c955782800160ff19823516178555612cc2565b82800160010185558215612cc2579182015b82811115612cc2578235825591602001919060010190612ca7565b50611525929150612dbe565b50805460018160011615610100020316600290046000825580601f10612cf45750610cbe565b601f016020900490600052602060002090810190610cbe9190612dbe565b828054600181600116156101000203166002900490600052602060002090601f016020900481019282601f10612d5357805160ff1916838001178555612cc2565b82800160010185558215612cc2579182015b82811115612cc2578251825591602001919060010190612d65565b815481835581811115610e3557600083815260209020610e35918101908301612dbe565b5080546000825590600052602060002090810190610cbe91905b61299291905b808211156115255760008155600101612dc45600608060405234801561001057600080fd5b5060008054600160a060020a031916331790556102c9806100326000396000f30060806040526004361061003d5763ffffffff60e060020a6000350416633ef1336781146100685780636b9f96ea1461008b578063ca325469146100a0575b60008054604051600160a060020a03909116913480156108fc02929091818181858888f15050505050005b34801561007457600080fd5b50610089600160a060020a03600435166100d1565b005b34801561009757600080fd5b50610089610262565b3480156100ac57600080fd5b506100b561028e565b60408051600160a060020a039092168252519081900360200190f35b600080548190600160a060020a031633146100eb57600080fd5b82915081600160a060020a03166370a08231306000604051602001526040518263ffffffff1660e060020a0281526004018082600160a060020a0316600160a060020a03168152602001915050602060405180830381600087803b15801561015257600080fd5b5060325a03f115801561016457600080fd5b5050604051519250505080151561017a5761025d565b6000805460408051602090810184905281517fa9059cbb000000000000000000000000000000000000000000000000000000008152600160a060020a0393841660048201526024810186905291519286169363a9059cbb936044808501949192918390030190829087803b1580156101f157600080fd5b5060325a03f115801561020357600080fd5b50506040515115159150610218905057600080fd5b60408051600160a060020a03851681526020810183905281517f9401e4e79c19cbe2bd774cb70a94ba660e6718be1bac1298ab3b07f454a60821929181900390910190a15b505050565b60008054604051600160a060020a0390911691303180156108fc02929091818181858888f15050505050565b600054600160a060020a0316815600a165627a7a723058206cc2208dcaed9fb1d24f60714b6a931a1e342de4b3bdc49bb594fd8d9b4c7de80029a165627a7a72305820ffa351e0fb36f8d35f739c0a749af881e6b6344b7d2a7ca6d158263a7d8f72440029",
     address: "0xe8255d001c630f35bb5c1dbd78db448cfe05cd12",
     generated_with: "2.0.9",
     contract_name: "Wallet"
@@ -0,0 +1,65 @@
+// Factory "morphs" into a Pudding class.
+// The reasoning is that calling load in each context
+// is cumbersome.
+
+(function() {
+
+  var contract_data = {
+    abi: [{"constant":false,"inputs":[{"name":"toAddress","type":"address"},{"name":"value","type":"uint256"},{"name":"tokenContractAddress","type":"address"},{"name":"expireTime","type":"uint256"},{"name":"sequenceId","type":"uint256"},{"name":"signature","type":"bytes"}],"name":"sendMultiSigToken","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[],"name":"applyTimelock","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":true,"inputs":[],"name":"DEFAULT_SAFE_MODE_EXIT_DELAY","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":true,"inputs":[{"name":"index","type":"uint256"}],"name":"getQueuedTransaction","outputs":[{"name":"operation","type":"bytes32"},{"name":"executableAfter","type":"uint256"},{"name":"toAddress","type":"address"},{"name":"value","type":"uint256"},{"name":"data","type":"bytes"},{"name":"tokenContractAddress","type":"address"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":true,"inputs":[{"name":"","type":"uint256"}],"name":"signers","outputs":[{"name":"","type":"address"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":false,"inputs":[{"name":"forwarderAddress","type":"address"},{"name":"tokenContractAddress","type":"address"}],"name":"flushForwarderTokens","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[{"name":"expireTime","type":"uint256"},{"name":"sequenceId","type":"uint256"},{"name":"signatures","type":"bytes"}],"name":"requestSafeModeExit","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[{"name":"toAddress","type":"address"},{"name":"value","type":"uint256"},{"name":"data","type":"bytes"},{"name":"expireTime","type":"uint256"},{"name":"sequenceId","type":"uint256"},{"name":"signature","type":"bytes"}],"name":"sendMultiSig","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[{"name":"oldSigner","type":"address"},{"name":"newSigner","type":"address"},{"name":"expireTime","type":"uint256"},{"name":"sequenceId","type":"uint256"},{"name":"signature","type":"bytes"}],"name":"replaceSigner","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[],"name":"numQueuedTransactions","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":true,"inputs":[],"name":"safeModeExitRequired","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":true,"inputs":[],"name":"safeModeExitSigners","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":false,"inputs":[{"name":"operationHash","type":"bytes32"},{"name":"signature","type":"bytes"}],"name":"recoverAddressFromSignature","outputs":[{"name":"","type":"address"}],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[{"name":"operation","type":"bytes32"}],"name":"cancelQueued","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[],"name":"deactivateSafeMode","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[],"name":"cancelTimelockChange","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":true,"inputs":[],"name":"OPERATION_HASH_VERSION","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":true,"inputs":[],"name":"pendingTimelock","outputs":[{"name":"timelock","type":"uint256"},{"name":"operation","type":"bytes32"},{"name":"otherSigner","type":"address"},{"name":"executableAfter","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":false,"inputs":[{"name":"signer","type":"address"}],"name":"isSigner","outputs":[{"name":"","type":"bool"}],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":true,"inputs":[],"name":"safeModeExitDelay","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":false,"inputs":[{"name":"signer","type":"address"},{"name":"expireTime","type":"uint256"},{"name":"sequenceId","type":"uint256"},{"name":"signature","type":"bytes"}],"name":"removeSigner","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":true,"inputs":[],"name":"safeModeExitTime","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":false,"inputs":[{"name":"toAddress","type":"address"},{"name":"value","type":"uint256"},{"name":"data","type":"bytes"},{"name":"expireTime","type":"uint256"},{"name":"sequenceId","type":"uint256"},{"name":"signature","type":"bytes"}],"name":"sendMultiSigTyped","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":true,"inputs":[],"name":"networkId","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":false,"inputs":[],"name":"getSafeModeExitSigners","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[],"name":"getNextSequenceId","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[{"name":"operation","type":"bytes32"}],"name":"executeQueued","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[],"name":"createForwarder","outputs":[{"name":"","type":"address"}],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":true,"inputs":[],"name":"safeMode","outputs":[{"name":"","type":"bool"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":false,"inputs":[{"name":"recipients","type":"address[]"},{"name":"values","type":"uint256[]"},{"name":"expireTime","type":"uint256"},{"name":"sequenceId","type":"uint256"},{"name":"signature","type":"bytes"}],"name":"sendMultiSigBatch","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":true,"inputs":[],"name":"TYPED_OPERATION_SCHEMA_HASH","outputs":[{"name":"","type":"bytes32"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":false,"inputs":[{"name":"newTimelock","type":"uint256"},{"name":"expireTime","type":"uint256"},{"name":"sequenceId","type":"uint256"},{"name":"signature","type":"bytes"}],"name":"setTimelock","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":true,"inputs":[],"name":"timelock","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":true,"inputs":[],"name":"safeModeExitRequiredDelay","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":false,"inputs":[{"name":"exitSigners","type":"uint256"},{"name":"exitDelay","type":"uint256"},{"name":"expireTime","type":"uint256"},{"name":"sequenceId","type":"uint256"},{"name":"signature","type":"bytes"}],"name":"setSafeModeExitPolicy","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":true,"inputs":[],"name":"required","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":false,"inputs":[{"name":"signer","type":"address"},{"name":"expireTime","type":"uint256"},{"name":"sequenceId","type":"uint256"},{"name":"signature","type":"bytes"}],"name":"addSigner","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[],"name":"activateSafeMode","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"inputs":[{"name":"allowedSigners","type":"address[]"},{"name":"requiredSigners","type":"uint256"},{"name":"walletNetworkId","type":"uint256"}],"payable":false,"stateMutability":"nonpayable","type":"constructor"},{"payable":true,"stateMutability":"payable","type":"fallback"},{"anonymous":false,"inputs":[{"indexed":false,"name":"from","type":"address"},{"indexed":false,"name":"value","type":"uint256"},{"indexed":false,"name":"data","type":"bytes"}],"name":"Deposited","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"}],"name":"SafeModeActivated","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"},{"indexed":false,"name":"exitTime","type":"uint256"}],"name":"SafeModeExitRequested","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"}],"name":"SafeModeExitCancelled","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"}],"name":"SafeModeDeactivated","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"},{"indexed":false,"name":"otherSigner","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"},{"indexed":false,"name":"exitSigners","type":"uint256"},{"indexed":false,"name":"exitDelay","type":"uint256"}],"name":"SafeModeExitPolicyChanged","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"operation","type":"bytes32"},{"indexed":false,"name":"signer","type":"address"}],"name":"SignerApproved","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"forwarderAddress","type":"address"}],"name":"ForwarderCreated","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"},{"indexed":false,"name":"otherSigner","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"},{"indexed":false,"name":"toAddress","type":"address"},{"indexed":false,"name":"value","type":"uint256"},{"indexed":false,"name":"data","type":"bytes"}],"name":"Transacted","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"},{"indexed":false,"name":"otherSigner","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"},{"indexed":false,"name":"toAddress","type":"address"},{"indexed":false,"name":"value","type":"uint256"},{"indexed":false,"name":"tokenContractAddress","type":"address"}],"name":"TokenTransacted","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"},{"indexed":false,"name":"otherSigner","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"},{"indexed":false,"name":"toAddress","type":"address"},{"indexed":false,"name":"value","type":"uint256"}],"name":"BatchTransacted","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"},{"indexed":false,"name":"otherSigner","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"},{"indexed":false,"name":"signer","type":"address"}],"name":"SignerAdded","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"},{"indexed":false,"name":"otherSigner","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"},{"indexed":false,"name":"signer","type":"address"}],"name":"SignerRemoved","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"},{"indexed":false,"name":"otherSigner","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"},{"indexed":false,"name":"oldSigner","type":"address"},{"indexed":false,"name":"newSigner","type":"address"}],"name":"SignerReplaced","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"},{"indexed":false,"name":"otherSigner","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"},{"indexed":false,"name":"timelock","type":"uint256"}],"name":"TimelockChanged","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"},{"indexed":false,"name":"otherSigner","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"},{"indexed":false,"name":"timelock","type":"uint256"},{"indexed":false,"name":"executableAfter","type":"uint256"}],"name":"TimelockChangeQueued","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"}],"name":"TimelockChangeCancelled","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"},{"indexed":false,"name":"otherSigner","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"},{"indexed":false,"name":"executableAfter","type":"uint256"}],"name":"TransactionQueued","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"}],"name":"QueuedTransactionCancelled","type":"event"}],
+    binary: "60806040523480156200001157600080fd5b506040516200344438038062003444833981016040908152815160208301519183015192018051909290600090819085908490600211156200005257600080fd5b81516200006790600090602085019062000122565b506001805460ff19169055601455506002841080620000865750845184115b156200009157600080fd5b600091505b8451821015620001155750600181015b845181101562000109578481815181101515620000bf57fe5b90602001906020020151600160a060020a03168583815181101515620000e157fe5b90602001906020020151600160a060020a031614156200010057600080fd5b600101620000a6565b60019091019062000096565b50505060195550620001b6565b8280548282559060005260206000209081019282156200017a579160200282015b828111156200017a5782518254600160a060020a031916600160a060020a0390911617825560209092019160019091019062000143565b50620001889291506200018c565b5090565b620001b391905b8082111562000188578054600160a060020a031916815560010162000193565b90565b61327e80620001c66000396000f3006080604052600436106101be5763ffffffff60e060020a6000350416630dcd7a6c811461023d57806311a7b10f146102b957806318013aad146102ce5780631cb54971146102f55780632079fb9a146103d45780632da03409146104085780633838d5ca1461042f578063391252151461048f5780633b0e10e5146105435780633c39722c146105ba5780633daa3400146105cf5780633f690cc5146105e457806345550a51146105f95780635eeaf3821461065757806360c3908e1461066f5780636ae8be5f146106845780637399b831146106995780637cc4d9a1146106ae5780637df73e27146106f15780637f1c0ae6146107265780638097dac71461073b57806389d3784a146107a75780638a57d3a5146107bc5780639025e64c146108705780639cbb7ca314610885578063a0b7967b1461089a578063a3adda13146108af578063a68a76cc146108c7578063abe3219c146108dc578063ad3ad709146108f1578063bfefb8a5146109ca578063c53069dd146109df578063d33219b414610a42578063d4d5040a14610a57578063da5a285214610a6c578063dc8452cd14610ad7578063eda700b714610aec578063fc0f392d14610b58575b600034111561023b577f6e89d517057028190560dd200cf6bf792842861353d1173761dfa362e1c133f033346000366040518085600160a060020a0316600160a060020a03168152602001848152602001806020018281038252848482818152602001925080828437604051920182900397509095505050505050a15b005b34801561024957600080fd5b50604080516020600460a43581810135601f810184900484028501840190955284845261023b948235600160a060020a039081169560248035966044359093169560643595608435953695929460c49490939201918190840183828082843750949750610b6d9650505050505050565b3480156102c557600080fd5b5061023b610d47565b3480156102da57600080fd5b506102e3610df6565b60408051918252519081900360200190f35b34801561030157600080fd5b5061030d600435610dfd565b60405180876000191660001916815260200186815260200185600160a060020a0316600160a060020a031681526020018481526020018060200183600160a060020a0316600160a060020a03168152602001828103825284818151815260200191508051906020019080838360005b8381101561039457818101518382015260200161037c565b50505050905090810190601f1680156103c15780820380516001836020036101000a031916815260200191505b5097505050505050505060405180910390f35b3480156103e057600080fd5b506103ec600435610f73565b60408051600160a060020a039092168252519081900360200190f35b34801561041457600080fd5b5061023b600160a060020a0360043581169060243516610f9b565b34801561043b57600080fd5b50604080516020600460443581810135601f810184900484028501840190955284845261023b9482359460248035953695946064949201919081908401838280828437509497506110319650505050505050565b34801561049b57600080fd5b50604080516020600460443581810135601f810184900484028501840190955284845261023b948235600160a060020a031694602480359536959460649492019190819084018382808284375050604080516020888301358a018035601f8101839004830284018301909452838352979a89359a8a8301359a9199909850606090910196509194509081019250819084018382808284375094975061113e9650505050505050565b34801561054f57600080fd5b50604080516020601f60843560048181013592830184900484028501840190955281845261023b94600160a060020a0381358116956024803590921695604435956064359536959460a4949391019190819084018382808284375094975061122d9650505050505050565b3480156105c657600080fd5b506102e361137b565b3480156105db57600080fd5b506102e36113be565b3480156105f057600080fd5b506102e36113c4565b34801561060557600080fd5b5060408051602060046024803582810135601f81018590048502860185019096528585526103ec9583359536956044949193909101919081908401838280828437509497506113ca9650505050505050565b34801561066357600080fd5b5061023b600435611475565b34801561067b57600080fd5b5061023b6114ed565b34801561069057600080fd5b5061023b611577565b3480156106a557600080fd5b506102e36115f8565b3480156106ba57600080fd5b506106c36115fd565b604080519485526020850193909352600160a060020a03909116838301526060830152519081900360800190f35b3480156106fd57600080fd5b50610712600160a060020a0360043516611618565b604080519115158252519081900360200190f35b34801561073257600080fd5b506102e3611674565b34801561074757600080fd5b50604080516020601f60643560048181013592830184900484028501840190955281845261023b94600160a060020a03813516946024803595604435953695608494930191819084018382808284375094975061167a9650505050505050565b3480156107b357600080fd5b506102e3611810565b3480156107c857600080fd5b50604080516020600460443581810135601f810184900484028501840190955284845261023b948235600160a060020a031694602480359536959460649492019190819084018382808284375050604080516020888301358a018035601f8101839004830284018301909452838352979a89359a8a8301359a919990985060609091019650919450908101925081908401838280828437509497506118169650505050505050565b34801561087c57600080fd5b506102e3611a11565b34801561089157600080fd5b506102e3611a17565b3480156108a657600080fd5b506102e3611a62565b3480156108bb57600080fd5b5061023b600435611aa9565b3480156108d357600080fd5b506103ec611e88565b3480156108e857600080fd5b50610712611f07565b3480156108fd57600080fd5b506040805160206004803580820135838102808601850190965280855261023b95369593946024949385019291829185019084908082843750506040805187358901803560208181028481018201909552818452989b9a99890198929750908201955093508392508501908490808284375050604080516020888301358a018035601f8101839004830284018301909452838352979a89359a8a8301359a91999098506060909101965091945090810192508190840183828082843750949750611f109650505050505050565b3480156109d657600080fd5b506102e36121b4565b3480156109eb57600080fd5b50604080516020601f60643560048181013592830184900484028501840190955281845261023b94803594602480359560443595369560849493019181908401838280828437509497506122cc9650505050505050565b348015610a4e57600080fd5b506102e3612465565b348015610a6357600080fd5b506102e361246b565b348015610a7857600080fd5b50604080516020601f60843560048181013592830184900484028501840190955281845261023b948035946024803595604435956064359536959460a49490939101919081908401838280828437509497506124719650505050505050565b348015610ae357600080fd5b506102e36125b9565b348015610af857600080fd5b50604080516020601f60643560048181013592830184900484028501840190955281845261023b94600160a060020a0381351694602480359560443595369560849493019181908401838280828437509497506125bf9650505050505050565b348015610b6457600080fd5b5061023b612709565b6000806000610b7b33611618565b1515610b8657600080fd5b6014546040805160028152606060020a308102602083015260348201939093527f45524332300000000000000000000000000000000000000000000000000000006054820152600160a060020a03808d1684026059830152606d82018c90528a16909202608d83015260a1820188905260c18201879052519081900360e10190209250610c1689848689896127cf565b915060006011541115610c4657610c41838a8a60206040519081016040528060008152508b8761281f565b610d3c565b86905080600160a060020a031663a9059cbb8a8a6000604051602001526040518363ffffffff1660e060020a0281526004018083600160a060020a0316600160a060020a0316815260200182815260200192505050602060405180830381600087803b158015610cb557600080fd5b5060325a03f1158015610cc757600080fd5b50506040515115159150610cdc905057600080fd5b60408051338152600160a060020a038085166020830152818301869052808c166060830152608082018b9052891660a082015290517ff3574a20a6defd7fc26917e8013cdd578db5eaa4d9a3eb54f2bb0983ad8ab40d9181900360c00190a15b505050505050505050565b610d5033611618565b1515610d5b57600080fd5b6018541580610d6b575060185442105b15610d7557600080fd5b601554601181905560175460165460408051338152600160a060020a03909316602084015282810191909152606082019290925290517f45cbd91d651869ca814426c5c06899cd00d415f3685c59f6a38a8424510a32359181900360800190a160006015819055601681905560178054600160a060020a0319169055601855565b6202a30081565b60008080806060818080805b601354821015610f67576013805483908110610e2157fe5b60009182526020909120015415610f5c57828a1415610f555760126000601384815481101515610e4d57fe5b9060005260206000200154600019166000191681526020019081526020016000209050601382815481101515610e7f57fe5b60009182526020918290200154600583015483546001808601546003870154600280890180546040805161010097831615979097026000190190911692909204601f81018a90048a0286018a0190925281855296979596600160a060020a039586169693959094921692849190830182828015610f3d5780601f10610f1257610100808354040283529160200191610f3d565b820191906000526020600020905b815481529060010190602001808311610f2057829003601f168201915b50505050509150985098509850985098509850610f67565b6001909201915b600190910190610e09565b50505091939550919395565b6000805482908110610f8157fe5b600091825260209091200154600160a060020a0316905081565b6000610fa633611618565b1515610fb157600080fd5b50604080517f3ef13367000000000000000000000000000000000000000000000000000000008152600160a060020a03838116600483015291518492831691633ef1336791602480830192600092919082900301818387803b15801561101657600080fd5b5060325a03f115801561102857600080fd5b50505050505050565b600061103c33611618565b151561104757600080fd5b60015460ff16158061105a575060105415155b1561106457600080fd5b4284101561107157600080fd5b61107a8361293b565b50506014546040805160028152606060020a3002602082015260348101929092527f45584954534146454d4f4445000000000000000000000000000000000000000060548301526060820185905260808201849052519081900360a0019020600e546110ed9082908490600019016129e2565b50600f5442016010819055604080513381526020810184905280820192909252517f234c920b6d0b25bd39d626d127ef5e2d7b93dfd4baee41573cae3efd889f04bf9181900360600190a150505050565b600061114933611618565b151561115457600080fd5b60023060145489898989896040518089815260200188600160a060020a0316600160a060020a0316606060020a02815260140187815260200186600160a060020a0316600160a060020a0316606060020a02815260140185815260200184805190602001908083835b602083106111dc5780518252601f1990920191602091820191016111bd565b6001836020036101000a038019825116818451168082178552505050505050905001838152602001828152602001985050505050505050506040518091039020905061102881888888888888612ac6565b60008061123933611618565b151561124457600080fd5b61124d86611618565b1561125757600080fd5b6014546040805160028152606060020a308102602083015260348201939093527f5245504c4143455349474e4552000000000000000000000000000000000000006054820152600160a060020a03808b1684026061830152891690920260758301526089820187905260a98201869052519081900360c901902091506112e086838588886127cf565b90508560006112ee89612c86565b815481106112f857fe5b6000918252602091829020018054600160a060020a031916600160a060020a0393841617905560408051338152848416928101929092528181018590528983166060830152918816608082015290517f398f9a129798b3386b1e14fbdd412457abe7e6fc1fbe522306d418d79421c0649160a0908290030190a150505050505050565b600080805b6013548110156113b857601380548290811061139857fe5b600091825260209091200154156113b0576001909101905b600101611380565b50919050565b600e5481565b600c5481565b600080600080845160411415156113e057600080fd5b50505060208201516040830151604184015160ff16601b81101561140257601b015b60408051600080825260208083018452918301819052825189815260ff85168184015280840187905260608101869052925160019360808082019493601f19840193928390039091019190866161da5a03f115801561146057600080fd5b5050604051601f190151979650505050505050565b61147e33611618565b151561148957600080fd5b60008181526012602052604090206005015415156114a657600080fd5b6114af81612cdd565b604080513381526020810183905281517fe2a7442108a1941a2128496fe045e91df0ff3ea6ffdb87fc86ea024d60f6ee39929181900390910190a150565b6114f633611618565b151561150157600080fd5b60015460ff1615806115135750601054155b8061151f575060105442105b1561152957600080fd5b6001805460ff191690556000600e819055600f8190556010556040805133815290517fb37f3f119e4c07b1e0b7320b20dc0b805a6f0fd449c3f0908cee2f6ec0cfbe5a9181900360200190a1565b61158033611618565b151561158b57600080fd5b601854151561159957600080fd5b60165460408051338152602081019290925280517f393378a842b73f0b1e7ade8114a1cd7b233ebad0d53089aff6c3b443611ec36b9281900390910190a160006015819055601681905560178054600160a060020a0319169055601855565b600281565b601554601654601754601854600160a060020a039091169084565b6000805b60005481101561166b5782600160a060020a031660008281548110151561163f57fe5b600091825260209091200154600160a060020a0316141561166357600191506113b8565b60010161161c565b50600092915050565b600d5481565b600080600061168833611618565b151561169357600080fd5b60015460ff16156116a357600080fd5b6116ab612d6f565b600054116116b857600080fd5b6014546040805160028152606060020a308102602083015260348201939093527f52454d4f56455349474e455200000000000000000000000000000000000000006054820152600160a060020a038a1690920260608301526074820188905260948201879052519081900360b4019020925061173787848689896127cf565b915061174287612c86565b6000805491925090600019810190811061175857fe5b60009182526020822001548154600160a060020a0390911691908390811061177c57fe5b600091825260208220018054600160a060020a031916600160a060020a0393909316929092179091558054906117b6906000198301612e2f565b5060408051338152600160a060020a0380851660208301528183018690528916606082015290517f5726b31c355ea67a0fd97b08b454f6397208ff30c4f8df3b003f9d73ba9c8a639181900360800190a150505050505050565b60105481565b600061182133611618565b151561182c57600080fd5b604080517f616464726573732077616c6c657400000000000000000000000000000000000081527f75696e74323536206e6574776f726b4964000000000000000000000000000000600e8201527f6164647265737320746f00000000000000000000000000000000000000000000601f8201527f75696e743235362076616c75650000000000000000000000000000000000000060298201527f627974657320646174610000000000000000000000000000000000000000000060368201527f75696e743235362065787069726554696d650000000000000000000000000000818301527f75696e743235362073657175656e6365496400000000000000000000000000006052820152905190819003606401812060148054606060020a308181028652928501829052600160a060020a038c16026034850152604884018a905288519293919290918b918b918b918b918b91606882019060208601908083835b602083106119ac5780518252601f19909201916020918201910161198d565b51815160209384036101000a6000190180199092169116179052920194855250838101929092525060408051928390038101832098835290820197909752865190819003909601909520955061102894508593508b92508a9150899050888888612ac6565b60145481565b6000600c5460001480611a2d5750600054600c54115b15611a3b5750600054611a5f565b600054600c5460020211611a5a57600054600290046001019050611a5f565b50600c545b90565b600080805b600a811015611aa05781600282600a8110611a7e57fe5b01541115611a9857600281600a8110611a9357fe5b015491505b600101611a67565b50600101919050565b60008060006060600080611abc33611618565b1515611ac757600080fd5b600087815260126020526040902060058101549096501580611aec5750856005015442105b15611af657600080fd5b60015460ff168015611b1957508554611b1790600160a060020a0316611618565b155b15611b2357600080fd5b85546001808801546002808a01805460408051602061010097841615979097026000190190921693909304601f8101869004860282018601909352828152600160a060020a0390951699509197509091830182828015611bc45780601f10611b9957610100808354040283529160200191611bc4565b820191906000526020600020905b815481529060010190602001808311611ba757829003601f168201915b5050505060038801546004890154929550600160a060020a0390811694509091169150611bf2905087612cdd565b600160a060020a0382161515611d8d5784600160a060020a0316848460405180828051906020019080838360005b83811015611c38578181015183820152602001611c20565b50505050905090810190601f168015611c655780820380516001836020036101000a031916815260200191505b5091505060006040518083038185876185025a03f1925050501515611c8957600080fd5b7f59bed9ab5d78073465dd642a9e3e76dfdb7d53bcae9d09df7d0b8f5234d5a8063382898888886040518087600160a060020a0316600160a060020a0316815260200186600160a060020a0316600160a060020a03168152602001856000191660001916815260200184600160a060020a0316600160a060020a0316815260200183815260200180602001828103825283818151815260200191508051906020019080838360005b83811015611d49578181015183820152602001611d31565b50505050905090810190601f168015611d765780820380516001836020036101000a031916815260200191505b5097505050505050505060405180910390a1611028565b81600160a060020a031663a9059cbb86866000604051602001526040518363ffffffff1660e060020a0281526004018083600160a060020a0316600160a060020a0316815260200182815260200192505050602060405180830381600087803b158015611df957600080fd5b5060325a03f1158015611e0b57600080fd5b50506040515115159150611e20905057600080fd5b60408051338152600160a060020a0380841660208301528183018a9052808816606083015260808201879052841660a082015290517ff3574a20a6defd7fc26917e8013cdd578db5eaa4d9a3eb54f2bb0983ad8ab40d9181900360c00190a150505050505050565b600080611e9433611618565b1515611e9f57600080fd5b611ea7612e58565b604051809103906000f080158015611ebe57600080fd5b5060408051600160a060020a038316815290519192507f6a1722b151fa6ee2129092224b7b96addf678f7981115ec5867d03fd820a4158919081900360200190a18091505b5090565b60015460ff1681565b6000806000611f1e33611618565b1515611f2957600080fd5b87511580611f3957508651885114155b15611f4357600080fd5b60006011541115611f5357600080fd5b600092505b8751831015611fa55760015460ff168015611f905750611f8e8884815181101515611f7f57fe5b90602001906020020151611618565b155b15611f9a57600080fd5b600190920191611f58565b6002306014548a8a8a8a6040518088815260200187600160a060020a0316600160a060020a0316606060020a028152601401868152602001807f4241544348000000000000000000000000000000000000000000000000000000815250600501858051906020019060200280838360005b8381101561202e578181015183820152602001612016565b50505050905001848051906020019060200280838360005b8381101561205e578181015183820152602001612046565b50505050905001838152602001828152602001975050505050505050604051809103902091506120a988600081518110151561209657fe5b90602001906020020151838689896127cf565b9050600092505b87518310156121aa5787838151811015156120c757fe5b90602001906020020151600160a060020a031687848151811015156120e857fe5b60209081029091010151604051600081818185876185025a03f192505050151561211157600080fd5b7f318fd0081859b3254ae4c79a5bad12a682b9ee17875fd15bf372244982aefd603382848b8781518110151561214357fe5b906020019060200201518b8881518110151561215b57fe5b602090810290910181015160408051600160a060020a039788168152958716928601929092528482019390935293166060830152608082015290519081900360a00190a16001909201916120b0565b5050505050505050565b604080517f616464726573732077616c6c657400000000000000000000000000000000000081527f75696e74323536206e6574776f726b4964000000000000000000000000000000600e8201527f6164647265737320746f00000000000000000000000000000000000000000000601f8201527f75696e743235362076616c75650000000000000000000000000000000000000060298201527f627974657320646174610000000000000000000000000000000000000000000060368201527f75696e743235362065787069726554696d650000000000000000000000000000818301527f75696e743235362073657175656e6365496400000000000000000000000000006052820152905190819003606401902081565b6000806122d833611618565b15156122e357600080fd5b6014546040805160028152606060020a3002602082015260348101929092527f54494d454c4f434b0000000000000000000000000000000000000000000000006054830152605c8201889052607c8201879052609c8201869052519081900360bc019020915061235633838588886127cf565b90506011548610156123e9576015869055601682905560178054600160a060020a038316600160a060020a0319909116811790915560115442016018819055604080513381526020810193909352828101859052606083018990526080830191909152517f9dddd7298b4c8d42545634c9fd5d888540cb21e882ea5c81669e9768ea7f30089181900360a00190a161245d565b60006015819055601681905560178054600160a060020a0319169055601855601186905560408051338152600160a060020a03831660208201528082018490526060810188905290517f45cbd91d651869ca814426c5c06899cd00d415f3685c59f6a38a8424510a32359181900360800190a15b505050505050565b60115481565b600f5481565b60008061247d33611618565b151561248857600080fd5b60015460ff161561249857600080fd5b86158015906124c85750600054600288021115806124b7575060005487115b806124c857506124c5612d6f565b87105b156124d257600080fd5b6014546040805160028152606060020a3002602082015260348101929092527f534146454d4f444545584954504f4c49435900000000000000000000000000006054830152606682018990526086820188905260a6820187905260c68201869052519081900360e6019020915061254c33838588886127cf565b600c889055600d87905560408051338152600160a060020a0383166020820152808201859052606081018a90526080810189905290519192507f6f93e809bff5029b5ba522a81799e1b4233d5423718442a9825e2baba507023a919081900360a00190a150505050505050565b60195481565b6000806125cb33611618565b15156125d657600080fd5b6125df86611618565b156125e957600080fd5b6014546040805160028152606060020a308102602083015260348201939093527f4144445349474e455200000000000000000000000000000000000000000000006054820152600160a060020a038916909202605d8301526071820187905260918201869052519081900360b1019020915061266886838588886127cf565b600080546001810182559080527f290decd9548b62a8d60345a988386fc84ba6bc95484008f6362f93160ef3e563018054600160a060020a03808a16600160a060020a031990921682179092556040805133815292841660208401528281018690526060830191909152519192507f8d4db7cafe0cd276d052184a7603708f25d106af8374032361020e24e00d5f81919081900360800190a1505050505050565b61271233611618565b151561271d57600080fd5b60015460ff16151561274d57612731611a17565b600e55600d541561274457600d54612749565b6202a3005b600f555b6010541561278e5760006010556040805133815290517fae68866f842931ae3fc783d67b67d3a5c6afe9881dd83b271db39f706e2853599181900360200190a15b6001805460ff1916811790556040805133815290517f0909e8f76a4fd3e970f2eaef56c0ee6dfaf8b87c5b8d3f56ffce78e825a911579181900360200190a1565b60015460009060ff1680156127ea57506127e886611618565b155b156127f457600080fd5b4283101561280157600080fd5b61280a8261293b565b506128158585612d75565b9695505050505050565b60008681526012602090815260409091208054600160a060020a031916600160a060020a0388161781556001810186905584519091612865916002840191870190612e68565b50600381018054600160a060020a03808616600160a060020a031992831617909255600483018054928516929091169190911790556011544201600582015560138054906128b69060018301612e2f565b600682018190556013805489929081106128cc57fe5b60009182526020918290200191909155600582015460408051338152600160a060020a038616938101939093528281018a90526060830191909152517fa6c7f7ab3e7ad6cdfd5329cb9133e001ddd18432fb7a862baa9c75122dfc2e439181900360800190a150505050505050565b600080600061294933611618565b151561295457600080fd5b5060009050805b600a8110156129af5783600282600a811061297257fe5b0154141561297f57600080fd5b600282600a811061298c57fe5b0154600282600a811061299b57fe5b015410156129a7578091505b60010161295b565b600282600a81106129bc57fe5b01548410156129ca57600080fd5b83600283600a81106129d857fe5b0155509092915050565b60008060008060008560410287511415156129fc57600080fd5b60009250600091505b85821015612aba57612a18888884612d8e565b9050612a2381611618565b1515612a2e57600080fd5b600160a060020a038116331415612a4457600080fd5b600160a060020a0380841690821611612a5c57600080fd5b811515612a67578093505b60408051898152600160a060020a0383166020820152815192945084927ffe6342cb73878b2f66e273e88638ae324ada4807a8e591ed49440d42b3992a48929181900390910190a1600190910190612a05565b50919695505050505050565b6000612ad587898487876127cf565b905060006011541115612af657612af18888888860008661281f565b6121aa565b86600160a060020a0316868660405180828051906020019080838360005b83811015612b2c578181015183820152602001612b14565b50505050905090810190601f168015612b595780820380516001836020036101000a031916815260200191505b5091505060006040518083038185876185025a03f1925050501515612b7d57600080fd5b7f59bed9ab5d78073465dd642a9e3e76dfdb7d53bcae9d09df7d0b8f5234d5a80633828a8a8a8a6040518087600160a060020a0316600160a060020a0316815260200186600160a060020a0316600160a060020a03168152602001856000191660001916815260200184600160a060020a0316600160a060020a0316815260200183815260200180602001828103825283818151815260200191508051906020019080838360005b83811015612c3d578181015183820152602001612c25565b50505050905090810190601f168015612c6a5780820380516001836020036101000a031916815260200191505b5097505050505050505060405180910390a15050505050505050565b6000805b600054811015612cd85782600160a060020a0316600082815481101515612cad57fe5b600091825260209091200154600160a060020a03161415612cd0578091506113b8565b600101612c8a565b600080fd5b600081815260126020526040902060060154601380549091908110612cfe57fe5b6000918252602080832090910182905582825260129052604081208054600160a060020a03191681556001810182905590612d3c6002830182612ee2565b50600381018054600160a060020a0319908116909155600482018054909116905560006005820181905560069091015550565b60195490565b6000612d8783836001601954036129e2565b9392505050565b6041808202838101602081015160408201519190930151600093919060ff16601b811015612dba57601b015b6040805160008082526020808301845291830181905282518b815260ff85168184015280840187905260608101869052925160019360808082019493601f19840193928390039091019190866161da5a03f1158015612e1857600080fd5b5050604051601f1901519998505050505050505050565b815481835581811115612e5357600083815260209020612e53918101908301612f29565b505050565b60405161030f80612f4483390190565b828054600181600116156101000203166002900490600052602060002090601f016020900481019282601f10612ea957805160ff1916838001178555612ed6565b82800160010185558215612ed6579182015b82811115612ed6578251825591602001919060010190612ebb565b50611f03929150612f29565b50805460018160011615610100020316600290046000825580601f10612f085750612f26565b601f016020900490600052602060002090810190612f269190612f29565b50565b611a5f91905b80821115611f035760008155600101612f2f5600608060405234801561001057600080fd5b5060008054600160a060020a031916331790556102dd806100326000396000f30060806040526004361061003d5763ffffffff60e060020a6000350416633ef1336781146100735780636b9f96ea14610094578063ca325469146100a9575b60008054604051600160a060020a03909116913480156108fc02929091818181858888f19350505050151561007157600080fd5b005b34801561007f57600080fd5b50610071600160a060020a03600435166100da565b3480156100a057600080fd5b5061007161026b565b3480156100b557600080fd5b506100be6102a2565b60408051600160a060020a039092168252519081900360200190f35b600080548190600160a060020a031633146100f457600080fd5b82915081600160a060020a03166370a08231306000604051602001526040518263ffffffff1660e060020a0281526004018082600160a060020a0316600160a060020a03168152602001915050602060405180830381600087803b15801561015b57600080fd5b5060325a03f115801561016d57600080fd5b5050604051519250505080151561018357610266565b6000805460408051602090810184905281517fa9059cbb000000000000000000000000000000000000000000000000000000008152600160a060020a0393841660048201526024810186905291519286169363a9059cbb936044808501949192918390030190829087803b1580156101fa57600080fd5b5060325a03f115801561020c57600080fd5b50506040515115159150610221905057600080fd5b60408051600160a060020a03851681526020810183905281517f9401e4e79c19cbe2bd774cb70a94ba660e6718be1bac1298ab3b07f454a60821929181900390910190a15b505050565b60008054604051600160a060020a0390911691303180156108fc02929091818181858888f1935050505015156102a057600080fd5b565b600054600160a060020a0316815600a165627a7a7230582062c0487b2b82887dc33cbb34f693ed96e566ec44de90151da02525ab7675e6030029a165627a7a723058206cfc06a46ee70703a36e08cb63f1b9b386a50657fc1a9a493684d073b43b5dab0029",
+    unlinked_binary: "60806040523480156200001157600080fd5b506040516200344438038062003444833981016040908152815160208301519183015192018051909290600090819085908490600211156200005257600080fd5b81516200006790600090602085019062000122565b506001805460ff19169055601455506002841080620000865750845184115b156200009157600080fd5b600091505b8451821015620001155750600181015b845181101562000109578481815181101515620000bf57fe5b90602001906020020151600160a060020a03168583815181101515620000e157fe5b90602001906020020151600160a060020a031614156200010057600080fd5b600101620000a6565b60019091019062000096565b50505060195550620001b6565b8280548282559060005260206000209081019282156200017a579160200282015b828111156200017a5782518254600160a060020a031916600160a060020a0390911617825560209092019160019091019062000143565b50620001889291506200018c565b5090565b620001b391905b8082111562000188578054600160a060020a031916815560010162000193565b90565b61327e80620001c66000396000f3006080604052600436106101be5763ffffffff60e060020a6000350416630dcd7a6c811461023d57806311a7b10f146102b957806318013aad146102ce5780631cb54971146102f55780632079fb9a146103d45780632da03409146104085780633838d5ca1461042f578063391252151461048f5780633b0e10e5146105435780633c39722c146105ba5780633daa3400146105cf5780633f690cc5146105e457806345550a51146105f95780635eeaf3821461065757806360c3908e1461066f5780636ae8be5f146106845780637399b831146106995780637cc4d9a1146106ae5780637df73e27146106f15780637f1c0ae6146107265780638097dac71461073b57806389d3784a146107a75780638a57d3a5146107bc5780639025e64c146108705780639cbb7ca314610885578063a0b7967b1461089a578063a3adda13146108af578063a68a76cc146108c7578063abe3219c146108dc578063ad3ad709146108f1578063bfefb8a5146109ca578063c53069dd146109df578063d33219b414610a42578063d4d5040a14610a57578063da5a285214610a6c578063dc8452cd14610ad7578063eda700b714610aec578063fc0f392d14610b58575b600034111561023b577f6e89d517057028190560dd200cf6bf792842861353d1173761dfa362e1c133f033346000366040518085600160a060020a0316600160a060020a03168152602001848152602001806020018281038252848482818152602001925080828437604051920182900397509095505050505050a15b005b34801561024957600080fd5b50604080516020600460a43581810135601f810184900484028501840190955284845261023b948235600160a060020a039081169560248035966044359093169560643595608435953695929460c49490939201918190840183828082843750949750610b6d9650505050505050565b3480156102c557600080fd5b5061023b610d47565b3480156102da57600080fd5b506102e3610df6565b60408051918252519081900360200190f35b34801561030157600080fd5b5061030d600435610dfd565b60405180876000191660001916815260200186815260200185600160a060020a0316600160a060020a031681526020018481526020018060200183600160a060020a0316600160a060020a03168152602001828103825284818151815260200191508051906020019080838360005b8381101561039457818101518382015260200161037c565b50505050905090810190601f1680156103c15780820380516001836020036101000a031916815260200191505b5097505050505050505060405180910390f35b3480156103e057600080fd5b506103ec600435610f73565b60408051600160a060020a039092168252519081900360200190f35b34801561041457600080fd5b5061023b600160a060020a0360043581169060243516610f9b565b34801561043b57600080fd5b50604080516020600460443581810135601f810184900484028501840190955284845261023b9482359460248035953695946064949201919081908401838280828437509497506110319650505050505050565b34801561049b57600080fd5b50604080516020600460443581810135601f810184900484028501840190955284845261023b948235600160a060020a031694602480359536959460649492019190819084018382808284375050604080516020888301358a018035601f8101839004830284018301909452838352979a89359a8a8301359a9199909850606090910196509194509081019250819084018382808284375094975061113e9650505050505050565b34801561054f57600080fd5b50604080516020601f60843560048181013592830184900484028501840190955281845261023b94600160a060020a0381358116956024803590921695604435956064359536959460a4949391019190819084018382808284375094975061122d9650505050505050565b3480156105c657600080fd5b506102e361137b565b3480156105db57600080fd5b506102e36113be565b3480156105f057600080fd5b506102e36113c4565b34801561060557600080fd5b5060408051602060046024803582810135601f81018590048502860185019096528585526103ec9583359536956044949193909101919081908401838280828437509497506113ca9650505050505050565b34801561066357600080fd5b5061023b600435611475565b34801561067b57600080fd5b5061023b6114ed565b34801561069057600080fd5b5061023b611577565b3480156106a557600080fd5b506102e36115f8565b3480156106ba57600080fd5b506106c36115fd565b604080519485526020850193909352600160a060020a03909116838301526060830152519081900360800190f35b3480156106fd57600080fd5b50610712600160a060020a0360043516611618565b604080519115158252519081900360200190f35b34801561073257600080fd5b506102e3611674565b34801561074757600080fd5b50604080516020601f60643560048181013592830184900484028501840190955281845261023b94600160a060020a03813516946024803595604435953695608494930191819084018382808284375094975061167a9650505050505050565b3480156107b357600080fd5b506102e3611810565b3480156107c857600080fd5b50604080516020600460443581810135601f810184900484028501840190955284845261023b948235600160a060020a031694602480359536959460649492019190819084018382808284375050604080516020888301358a018035601f8101839004830284018301909452838352979a89359a8a8301359a919990985060609091019650919450908101925081908401838280828437509497506118169650505050505050565b34801561087c57600080fd5b506102e3611a11565b34801561089157600080fd5b506102e3611a17565b3480156108a657600080fd5b506102e3611a62565b3480156108bb57600080fd5b5061023b600435611aa9565b3480156108d357600080fd5b506103ec611e88565b3480156108e857600080fd5b50610712611f07565b3480156108fd57600080fd5b506040805160206004803580820135838102808601850190965280855261023b95369593946024949385019291829185019084908082843750506040805187358901803560208181028481018201909552818452989b9a99890198929750908201955093508392508501908490808284375050604080516020888301358a018035601f8101839004830284018301909452838352979a89359a8a8301359a91999098506060909101965091945090810192508190840183828082843750949750611f109650505050505050565b3480156109d657600080fd5b506102e36121b4565b3480156109eb57600080fd5b50604080516020601f60643560048181013592830184900484028501840190955281845261023b94803594602480359560443595369560849493019181908401838280828437509497506122cc9650505050505050565b348015610a4e57600080fd5b506102e3612465565b348015610a6357600080fd5b506102e361246b565b348015610a7857600080fd5b50604080516020601f60843560048181013592830184900484028501840190955281845261023b948035946024803595604435956064359536959460a49490939101919081908401838280828437509497506124719650505050505050565b348015610ae357600080fd5b506102e36125b9565b348015610af857600080fd5b50604080516020601f60643560048181013592830184900484028501840190955281845261023b94600160a060020a0381351694602480359560443595369560849493019181908401838280828437509497506125bf9650505050505050565b348015610b6457600080fd5b5061023b612709565b6000806000610b7b33611618565b1515610b8657600080fd5b6014546040805160028152606060020a308102602083015260348201939093527f45524332300000000000000000000000000000000000000000000000000000006054820152600160a060020a03808d1684026059830152606d82018c90528a16909202608d83015260a1820188905260c18201879052519081900360e10190209250610c1689848689896127cf565b915060006011541115610c4657610c41838a8a60206040519081016040528060008152508b8761281f565b610d3c565b86905080600160a060020a031663a9059cbb8a8a6000604051602001526040518363ffffffff1660e060020a0281526004018083600160a060020a0316600160a060020a0316815260200182815260200192505050602060405180830381600087803b158015610cb557600080fd5b5060325a03f1158015610cc757600080fd5b50506040515115159150610cdc905057600080fd5b60408051338152600160a060020a038085166020830152818301869052808c166060830152608082018b9052891660a082015290517ff3574a20a6defd7fc26917e8013cdd578db5eaa4d9a3eb54f2bb0983ad8ab40d9181900360c00190a15b505050505050505050565b610d5033611618565b1515610d5b57600080fd5b6018541580610d6b575060185442105b15610d7557600080fd5b601554601181905560175460165460408051338152600160a060020a03909316602084015282810191909152606082019290925290517f45cbd91d651869ca814426c5c06899cd00d415f3685c59f6a38a8424510a32359181900360800190a160006015819055601681905560178054600160a060020a0319169055601855565b6202a30081565b60008080806060818080805b601354821015610f67576013805483908110610e2157fe5b60009182526020909120015415610f5c57828a1415610f555760126000601384815481101515610e4d57fe5b9060005260206000200154600019166000191681526020019081526020016000209050601382815481101515610e7f57fe5b60009182526020918290200154600583015483546001808601546003870154600280890180546040805161010097831615979097026000190190911692909204601f81018a90048a0286018a0190925281855296979596600160a060020a039586169693959094921692849190830182828015610f3d5780601f10610f1257610100808354040283529160200191610f3d565b820191906000526020600020905b815481529060010190602001808311610f2057829003601f168201915b50505050509150985098509850985098509850610f67565b6001909201915b600190910190610e09565b50505091939550919395565b6000805482908110610f8157fe5b600091825260209091200154600160a060020a0316905081565b6000610fa633611618565b1515610fb157600080fd5b50604080517f3ef13367000000000000000000000000000000000000000000000000000000008152600160a060020a03838116600483015291518492831691633ef1336791602480830192600092919082900301818387803b15801561101657600080fd5b5060325a03f115801561102857600080fd5b50505050505050565b600061103c33611618565b151561104757600080fd5b60015460ff16158061105a575060105415155b1561106457600080fd5b4284101561107157600080fd5b61107a8361293b565b50506014546040805160028152606060020a3002602082015260348101929092527f45584954534146454d4f4445000000000000000000000000000000000000000060548301526060820185905260808201849052519081900360a0019020600e546110ed9082908490600019016129e2565b50600f5442016010819055604080513381526020810184905280820192909252517f234c920b6d0b25bd39d626d127ef5e2d7b93dfd4baee41573cae3efd889f04bf9181900360600190a150505050565b600061114933611618565b151561115457600080fd5b60023060145489898989896040518089815260200188600160a060020a0316600160a060020a0316606060020a02815260140187815260200186600160a060020a0316600160a060020a0316606060020a02815260140185815260200184805190602001908083835b602083106111dc5780518252601f1990920191602091820191016111bd565b6001836020036101000a038019825116818451168082178552505050505050905001838152602001828152602001985050505050505050506040518091039020905061102881888888888888612ac6565b60008061123933611618565b151561124457600080fd5b61124d86611618565b1561125757600080fd5b6014546040805160028152606060020a308102602083015260348201939093527f5245504c4143455349474e4552000000000000000000000000000000000000006054820152600160a060020a03808b1684026061830152891690920260758301526089820187905260a98201869052519081900360c901902091506112e086838588886127cf565b90508560006112ee89612c86565b815481106112f857fe5b6000918252602091829020018054600160a060020a031916600160a060020a0393841617905560408051338152848416928101929092528181018590528983166060830152918816608082015290517f398f9a129798b3386b1e14fbdd412457abe7e6fc1fbe522306d418d79421c0649160a0908290030190a150505050505050565b600080805b6013548110156113b857601380548290811061139857fe5b600091825260209091200154156113b0576001909101905b600101611380565b50919050565b600e5481565b600c5481565b600080600080845160411415156113e057600080fd5b50505060208201516040830151604184015160ff16601b81101561140257601b015b60408051600080825260208083018452918301819052825189815260ff85168184015280840187905260608101869052925160019360808082019493601f19840193928390039091019190866161da5a03f115801561146057600080fd5b5050604051601f190151979650505050505050565b61147e33611618565b151561148957600080fd5b60008181526012602052604090206005015415156114a657600080fd5b6114af81612cdd565b604080513381526020810183905281517fe2a7442108a1941a2128496fe045e91df0ff3ea6ffdb87fc86ea024d60f6ee39929181900390910190a150565b6114f633611618565b151561150157600080fd5b60015460ff1615806115135750601054155b8061151f575060105442105b1561152957600080fd5b6001805460ff191690556000600e819055600f8190556010556040805133815290517fb37f3f119e4c07b1e0b7320b20dc0b805a6f0fd449c3f0908cee2f6ec0cfbe5a9181900360200190a1565b61158033611618565b151561158b57600080fd5b601854151561159957600080fd5b60165460408051338152602081019290925280517f393378a842b73f0b1e7ade8114a1cd7b233ebad0d53089aff6c3b443611ec36b9281900390910190a160006015819055601681905560178054600160a060020a0319169055601855565b600281565b601554601654601754601854600160a060020a039091169084565b6000805b60005481101561166b5782600160a060020a031660008281548110151561163f57fe5b600091825260209091200154600160a060020a0316141561166357600191506113b8565b60010161161c565b50600092915050565b600d5481565b600080600061168833611618565b151561169357600080fd5b60015460ff16156116a357600080fd5b6116ab612d6f565b600054116116b857600080fd5b6014546040805160028152606060020a308102602083015260348201939093527f52454d4f56455349474e455200000000000000000000000000000000000000006054820152600160a060020a038a1690920260608301526074820188905260948201879052519081900360b4019020925061173787848689896127cf565b915061174287612c86565b6000805491925090600019810190811061175857fe5b60009182526020822001548154600160a060020a0390911691908390811061177c57fe5b600091825260208220018054600160a060020a031916600160a060020a0393909316929092179091558054906117b6906000198301612e2f565b5060408051338152600160a060020a0380851660208301528183018690528916606082015290517f5726b31c355ea67a0fd97b08b454f6397208ff30c4f8df3b003f9d73ba9c8a639181900360800190a150505050505050565b60105481565b600061182133611618565b151561182c57600080fd5b604080517f616464726573732077616c6c657400000000000000000000000000000000000081527f75696e74323536206e6574776f726b4964000000000000000000000000000000600e8201527f6164647265737320746f00000000000000000000000000000000000000000000601f8201527f75696e743235362076616c75650000000000000000000000000000000000000060298201527f627974657320646174610000000000000000000000000000000000000000000060368201527f75696e743235362065787069726554696d650000000000000000000000000000818301527f75696e743235362073657175656e6365496400000000000000000000000000006052820152905190819003606401812060148054606060020a308181028652928501829052600160a060020a038c16026034850152604884018a905288519293919290918b918b918b918b918b91606882019060208601908083835b602083106119ac5780518252601f19909201916020918201910161198d565b51815160209384036101000a6000190180199092169116179052920194855250838101929092525060408051928390038101832098835290820197909752865190819003909601909520955061102894508593508b92508a9150899050888888612ac6565b60145481565b6000600c5460001480611a2d5750600054600c54115b15611a3b5750600054611a5f565b600054600c5460020211611a5a57600054600290046001019050611a5f565b50600c545b90565b600080805b600a811015611aa05781600282600a8110611a7e57fe5b01541115611a9857600281600a8110611a9357fe5b015491505b600101611a67565b50600101919050565b60008060006060600080611abc33611618565b1515611ac757600080fd5b600087815260126020526040902060058101549096501580611aec5750856005015442105b15611af657600080fd5b60015460ff168015611b1957508554611b1790600160a060020a0316611618565b155b15611b2357600080fd5b85546001808801546002808a01805460408051602061010097841615979097026000190190921693909304601f8101869004860282018601909352828152600160a060020a0390951699509197509091830182828015611bc45780601f10611b9957610100808354040283529160200191611bc4565b820191906000526020600020905b815481529060010190602001808311611ba757829003601f168201915b5050505060038801546004890154929550600160a060020a0390811694509091169150611bf2905087612cdd565b600160a060020a0382161515611d8d5784600160a060020a0316848460405180828051906020019080838360005b83811015611c38578181015183820152602001611c20565b50505050905090810190601f168015611c655780820380516001836020036101000a031916815260200191505b5091505060006040518083038185876185025a03f1925050501515611c8957600080fd5b7f59bed9ab5d78073465dd642a9e3e76dfdb7d53bcae9d09df7d0b8f5234d5a8063382898888886040518087600160a060020a0316600160a060020a0316815260200186600160a060020a0316600160a060020a03168152602001856000191660001916815260200184600160a060020a0316600160a060020a0316815260200183815260200180602001828103825283818151815260200191508051906020019080838360005b83811015611d49578181015183820152602001611d31565b50505050905090810190601f168015611d765780820380516001836020036101000a031916815260200191505b5097505050505050505060405180910390a1611028565b81600160a060020a031663a9059cbb86866000604051602001526040518363ffffffff1660e060020a0281526004018083600160a060020a0316600160a060020a0316815260200182815260200192505050602060405180830381600087803b158015611df957600080fd5b5060325a03f1158015611e0b57600080fd5b50506040515115159150611e20905057600080fd5b60408051338152600160a060020a0380841660208301528183018a9052808816606083015260808201879052841660a082015290517ff3574a20a6defd7fc26917e8013cdd578db5eaa4d9a3eb54f2bb0983ad8ab40d9181900360c00190a150505050505050565b600080611e9433611618565b1515611e9f57600080fd5b611ea7612e58565b604051809103906000f080158015611ebe57600080fd5b5060408051600160a060020a038316815290519192507f6a1722b151fa6ee2129092224b7b96addf678f7981115ec5867d03fd820a4158919081900360200190a18091505b5090565b60015460ff1681565b6000806000611f1e33611618565b1515611f2957600080fd5b87511580611f3957508651885114155b15611f4357600080fd5b60006011541115611f5357600080fd5b600092505b8751831015611fa55760015460ff168015611f905750611f8e8884815181101515611f7f57fe5b90602001906020020151611618565b155b15611f9a57600080fd5b600190920191611f58565b6002306014548a8a8a8a6040518088815260200187600160a060020a0316600160a060020a0316606060020a028152601401868152602001807f4241544348000000000000000000000000000000000000000000000000000000815250600501858051906020019060200280838360005b8381101561202e578181015183820152602001612016565b50505050905001848051906020019060200280838360005b8381101561205e578181015183820152602001612046565b50505050905001838152602001828152602001975050505050505050604051809103902091506120a988600081518110151561209657fe5b90602001906020020151838689896127cf565b9050600092505b87518310156121aa5787838151811015156120c757fe5b90602001906020020151600160a060020a031687848151811015156120e857fe5b60209081029091010151604051600081818185876185025a03f192505050151561211157600080fd5b7f318fd0081859b3254ae4c79a5bad12a682b9ee17875fd15bf372244982aefd603382848b8781518110151561214357fe5b906020019060200201518b8881518110151561215b57fe5b602090810290910181015160408051600160a060020a039788168152958716928601929092528482019390935293166060830152608082015290519081900360a00190a16001909201916120b0565b5050505050505050565b604080517f616464726573732077616c6c657400000000000000000000000000000000000081527f75696e74323536206e6574776f726b4964000000000000000000000000000000600e8201527f6164647265737320746f00000000000000000000000000000000000000000000601f8201527f75696e743235362076616c75650000000000000000000000000000000000000060298201527f627974657320646174610000000000000000000000000000000000000000000060368201527f75696e743235362065787069726554696d650000000000000000000000000000818301527f75696e743235362073657175656e6365496400000000000000000000000000006052820152905190819003606401902081565b6000806122d833611618565b15156122e357600080fd5b6014546040805160028152606060020a3002602082015260348101929092527f54494d454c4f434b0000000000000000000000000000000000000000000000006054830152605c8201889052607c8201879052609c8201869052519081900360bc019020915061235633838588886127cf565b90506011548610156123e9576015869055601682905560178054600160a060020a038316600160a060020a0319909116811790915560115442016018819055604080513381526020810193909352828101859052606083018990526080830191909152517f9dddd7298b4c8d42545634c9fd5d888540cb21e882ea5c81669e9768ea7f30089181900360a00190a161245d565b60006015819055601681905560178054600160a060020a0319169055601855601186905560408051338152600160a060020a03831660208201528082018490526060810188905290517f45cbd91d651869ca814426c5c06899cd00d415f3685c59f6a38a8424510a32359181900360800190a15b505050505050565b60115481565b600f5481565b60008061247d33611618565b151561248857600080fd5b60015460ff161561249857600080fd5b86158015906124c85750600054600288021115806124b7575060005487115b806124c857506124c5612d6f565b87105b156124d257600080fd5b6014546040805160028152606060020a3002602082015260348101929092527f534146454d4f444545584954504f4c49435900000000000000000000000000006054830152606682018990526086820188905260a6820187905260c68201869052519081900360e6019020915061254c33838588886127cf565b600c889055600d87905560408051338152600160a060020a0383166020820152808201859052606081018a90526080810189905290519192507f6f93e809bff5029b5ba522a81799e1b4233d5423718442a9825e2baba507023a919081900360a00190a150505050505050565b60195481565b6000806125cb33611618565b15156125d657600080fd5b6125df86611618565b156125e957600080fd5b6014546040805160028152606060020a308102602083015260348201939093527f4144445349474e455200000000000000000000000000000000000000000000006054820152600160a060020a038916909202605d8301526071820187905260918201869052519081900360b1019020915061266886838588886127cf565b600080546001810182559080527f290decd9548b62a8d60345a988386fc84ba6bc95484008f6362f93160ef3e563018054600160a060020a03808a16600160a060020a031990921682179092556040805133815292841660208401528281018690526060830191909152519192507f8d4db7cafe0cd276d052184a7603708f25d106af8374032361020e24e00d5f81919081900360800190a1505050505050565b61271233611618565b151561271d57600080fd5b60015460ff16151561274d57612731611a17565b600e55600d541561274457600d54612749565b6202a3005b600f555b6010541561278e5760006010556040805133815290517fae68866f842931ae3fc783d67b67d3a5c6afe9881dd83b271db39f706e2853599181900360200190a15b6001805460ff1916811790556040805133815290517f0909e8f76a4fd3e970f2eaef56c0ee6dfaf8b87c5b8d3f56ffce78e825a911579181900360200190a1565b60015460009060ff1680156127ea57506127e886611618565b155b156127f457600080fd5b4283101561280157600080fd5b61280a8261293b565b506128158585612d75565b9695505050505050565b60008681526012602090815260409091208054600160a060020a031916600160a060020a0388161781556001810186905584519091612865916002840191870190612e68565b50600381018054600160a060020a03808616600160a060020a031992831617909255600483018054928516929091169190911790556011544201600582015560138054906128b69060018301612e2f565b600682018190556013805489929081106128cc57fe5b60009182526020918290200191909155600582015460408051338152600160a060020a038616938101939093528281018a90526060830191909152517fa6c7f7ab3e7ad6cdfd5329cb9133e001ddd18432fb7a862baa9c75122dfc2e439181900360800190a150505050505050565b600080600061294933611618565b151561295457600080fd5b5060009050805b600a8110156129af5783600282600a811061297257fe5b0154141561297f57600080fd5b600282600a811061298c57fe5b0154600282600a811061299b57fe5b015410156129a7578091505b60010161295b565b600282600a81106129bc57fe5b01548410156129ca57600080fd5b83600283600a81106129d857fe5b0155509092915050565b60008060008060008560410287511415156129fc57600080fd5b60009250600091505b85821015612aba57612a18888884612d8e565b9050612a2381611618565b1515612a2e57600080fd5b600160a060020a038116331415612a4457600080fd5b600160a060020a0380841690821611612a5c57600080fd5b811515612a67578093505b60408051898152600160a060020a0383166020820152815192945084927ffe6342cb73878b2f66e273e88638ae324ada4807a8e591ed49440d42b3992a48929181900390910190a1600190910190612a05565b50919695505050505050565b6000612ad587898487876127cf565b905060006011541115612af657612af18888888860008661281f565b6121aa565b86600160a060020a0316868660405180828051906020019080838360005b83811015612b2c578181015183820152602001612b14565b50505050905090810190601f168015612b595780820380516001836020036101000a031916815260200191505b5091505060006040518083038185876185025a03f1925050501515612b7d57600080fd5b7f59bed9ab5d78073465dd642a9e3e76dfdb7d53bcae9d09df7d0b8f5234d5a80633828a8a8a8a6040518087600160a060020a0316600160a060020a0316815260200186600160a060020a0316600160a060020a03168152602001856000191660001916815260200184600160a060020a0316600160a060020a0316815260200183815260200180602001828103825283818151815260200191508051906020019080838360005b83811015612c3d578181015183820152602001612c25565b50505050905090810190601f168015612c6a5780820380516001836020036101000a031916815260200191505b5097505050505050505060405180910390a15050505050505050565b6000805b600054811015612cd85782600160a060020a0316600082815481101515612cad57fe5b600091825260209091200154600160a060020a03161415612cd0578091506113b8565b600101612c8a565b600080fd5b600081815260126020526040902060060154601380549091908110612cfe57fe5b6000918252602080832090910182905582825260129052604081208054600160a060020a03191681556001810182905590612d3c6002830182612ee2565b50600381018054600160a060020a0319908116909155600482018054909116905560006005820181905560069091015550565b60195490565b6000612d8783836001601954036129e2565b9392505050565b6041808202838101602081015160408201519190930151600093919060ff16601b811015612dba57601b015b6040805160008082526020808301845291830181905282518b815260ff85168184015280840187905260608101869052925160019360808082019493601f19840193928390039091019190866161da5a03f1158015612e1857600080fd5b5050604051601f1901519998505050505050505050565b815481835581811115612e5357600083815260209020612e53918101908301612f29565b505050565b60405161030f80612f4483390190565b828054600181600116156101000203166002900490600052602060002090601f016020900481019282601f10612ea957805160ff1916838001178555612ed6565b82800160010185558215612ed6579182015b82811115612ed6578251825591602001919060010190612ebb565b50611f03929150612f29565b50805460018160011615610100020316600290046000825580601f10612f085750612f26565b601f016020900490600052602060002090810190612f269190612f29565b50565b611a5f91905b80821115611f035760008155600101612f2f5600608060405234801561001057600080fd5b5060008054600160a060020a031916331790556102dd806100326000396000f30060806040526004361061003d5763ffffffff60e060020a6000350416633ef1336781146100735780636b9f96ea14610094578063ca325469146100a9575b60008054604051600160a060020a03909116913480156108fc02929091818181858888f19350505050151561007157600080fd5b005b34801561007f57600080fd5b50610071600160a060020a03600435166100da565b3480156100a057600080fd5b5061007161026b565b3480156100b557600080fd5b506100be6102a2565b60408051600160a060020a039092168252519081900360200190f35b600080548190600160a060020a031633146100f457600080fd5b82915081600160a060020a03166370a08231306000604051602001526040518263ffffffff1660e060020a0281526004018082600160a060020a0316600160a060020a03168152602001915050602060405180830381600087803b15801561015b57600080fd5b5060325a03f115801561016d57600080fd5b5050604051519250505080151561018357610266565b6000805460408051602090810184905281517fa9059cbb000000000000000000000000000000000000000000000000000000008152600160a060020a0393841660048201526024810186905291519286169363a9059cbb936044808501949192918390030190829087803b1580156101fa57600080fd5b5060325a03f115801561020c57600080fd5b50506040515115159150610221905057600080fd5b60408051600160a060020a03851681526020810183905281517f9401e4e79c19cbe2bd774cb70a94ba660e6718be1bac1298ab3b07f454a60821929181900390910190a15b505050565b60008054604051600160a060020a0390911691303180156108fc02929091818181858888f1935050505015156102a057600080fd5b565b600054600160a060020a0316815600a165627a7a7230582062c0487b2b82887dc33cbb34f693ed96e566ec44de90151da02525ab7675e6030029a165627a7a723058206cfc06a46ee70703a36e08cb63f1b9b386a50657fc1a9a493684d073b43b5dab0029",
+    address: "",
+    generated_with: "2.0.9",
+    contract_name: "WalletSimpleThreshold"
+  };
+
+  function Contract() {
+    if (Contract.Pudding == null) {
+      throw new Error("WalletSimpleThreshold error: Please call load() first before creating new instance of this contract.");
+    }
+
+    Contract.Pudding.apply(this, arguments);
+  };
+
+  Contract.load = function(Pudding) {
+    Contract.Pudding = Pudding;
+
+    Pudding.whisk(contract_data, Contract);
+
+    // Return itself for backwards compatibility.
+    return Contract;
+  }
+
+  Contract.new = function() {
+    if (Contract.Pudding == null) {
+      throw new Error("WalletSimpleThreshold error: Please call load() first before calling new().");
+    }
+
+    return Contract.Pudding.new.apply(Contract, arguments);
+  };
+
+  Contract.at = function() {
+    if (Contract.Pudding == null) {
+      throw new Error("WalletSimpleThreshold error: Please call load() first before calling at().");
+    }
+
+    return Contract.Pudding.at.apply(Contract, arguments);
+  };
+
+  Contract.deployed = function() {
+    if (Contract.Pudding == null) {
+      throw new Error("WalletSimpleThreshold error: Please call load() first before calling deployed().");
+    }
+
+    return Contract.Pudding.deployed.apply(Contract, arguments);
+  };
+
+  if (typeof module != "undefined" && typeof module.exports != "undefined") {
+    module.exports = Contract;
+  } else {
+    // There will only be one version of Pudding in the browser,
+    // and we can use that.
+    window.WalletSimpleThreshold = Contract;
+  }
+
+})();
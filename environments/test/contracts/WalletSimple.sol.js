@@ -5,9 +5,9 @@
 (function() {
 
   var contract_data = {
-    abi: [{"constant":true,"inputs":[{"name":"","type":"uint256"}],"name":"signers","outputs":[{"name":"","type":"address"}],"type":"function"},{"constant":false,"inputs":[{"name":"toAddress","type":"address"},{"name":"value","type":"uint256"},{"name":"data","type":"bytes"},{"name":"expireTime","type":"uint256"},{"name":"sequenceId","type":"uint256"},{"name":"signature","type":"bytes"}],"name":"sendMultiSig","outputs":[],"type":"function"},{"constant":false,"inputs":[{"name":"operationHash","type":"bytes32"},{"name":"signature","type":"bytes"}],"name":"recoverAddressFromSignature","outputs":[{"name":"","type":"address"}],"type":"function"},{"constant":false,"inputs":[{"name":"signer","type":"address"}],"name":"isSigner","outputs":[{"name":"","type":"bool"}],"type":"function"},{"constant":false,"inputs":[{"name":"sequenceId","type":"uint256"}],"name":"tryInsertSequenceId","outputs":[{"name":"","type":"uint256"}],"type":"function"},{"constant":false,"inputs":[],"name":"getNextSequenceId","outputs":[{"name":"","type":"uint256"}],"type":"function"},{"constant":false,"inputs":[],"name":"createForwarder","outputs":[{"name":"","type":"address"}],"type":"function"},{"constant":true,"inputs":[],"name":"safeMode","outputs":[{"name":"","type":"bool"}],"type":"function"},{"constant":false,"inputs":[],"name":"activateSafeMode","outputs":[],"type":"function"},{"inputs":[{"name":"allowedSigners","type":"address[]"}],"type":"constructor"},{"anonymous":false,"inputs":[{"indexed":false,"name":"from","type":"address"},{"indexed":false,"name":"value","type":"uint256"},{"indexed":false,"name":"data","type":"bytes"}],"name":"Deposited","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"}],"name":"SafeModeActivated","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"},{"indexed":false,"name":"otherSigner","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"},{"indexed":false,"name":"toAddress","type":"address"},{"indexed":false,"name":"value","type":"uint256"},{"indexed":false,"name":"data","type":"bytes"}],"name":"Transacted","type":"event"}],
-    binary: "60606040526040516108c53803806108c5833981016040528051016002815110156042576002565b50506001805460ff19169055506107f1806100d46000396000f35b6000805482518083558280527f290decd9548b62a8d60345a988386fc84ba6bc95484008f6362f93160ef3e5639182019160208501821560ad579160200282015b8281111560ad5782518254600160a060020a03191617825560209290920191600191909101906083565b5060279291505b8082111560d0578054600160a060020a031916815560010160b4565b509056606060405236156100775760e060020a60003504632079fb9a81146100f1578063391252151461013657806345550a51146101d65780637df73e2714610238578063979f19761461028a578063a0b7967b146102a0578063a68a76cc146102df578063abe3219c146102ed578063fc0f392d146102f9575b61030560003411156100ef577f6e89d517057028190560dd200cf6bf792842861353d1173761dfa362e1c133f033346000366040518085600160a060020a0316815260200184815260200180602001828103825284848281815260200192508082843782019150509550505050505060405180910390a15b565b610307600435600080548290811015610002575080527f290decd9548b62a8d60345a988386fc84ba6bc95484008f6362f93160ef3e5630154600160a060020a031681565b604080516020604435600481810135601f81018490048402850184019095528484526103059481359460248035959394606494929391019181908401838280828437505060408051602060a435808b0135601f810183900483028401830190945283835297999835986084359890975060c49650919450602491909101925081908401838280828437509496505050505050506000600061034a3361023f565b60408051602060248035600481810135601f810185900485028601850190965285855261030795813595919460449492939092019181908401838280828437509496505050505050505b60006000600060008451604114151561059757610002565b6103246004355b6000805b60005481101561060b5782600160a060020a0316600060005082815481101561000257600091825260209091200154600160a060020a031614156106165760019150610610565b6103386004355b60006000600061061e3361023f565b610338600080805b600a8110156106b65781600282600a81101561000257015411156102d757600281600a81101561000257015491505b6001016102a8565b61030760006106bf3361023f565b61032460015460ff1681565b6103056106e83361023f565b005b60408051600160a060020a03929092168252519081900360200190f35b604080519115158252519081900360200190f35b60408051918252519081900360200190f35b151561035557610002565b60015460ff16801561036d575061036b8861023f565b155b1561037757610002565b4285101561038457610002565b61038d84610291565b5087878787876040518086600160a060020a03166c010000000000000000000000000281526014018581526020018480519060200190808383829060006004602084601f0104600302600f01f15090500183815260200182815260200195505050505050604051809103902091506104058284610220565b90506104108161023f565b151561041b57610002565b33600160a060020a031681600160a060020a0316141561043a57610002565b87600160a060020a03168787604051808280519060200190808383829060006004602084601f0104600302600f01f150905090810190601f1680156104935780820380516001836020036101000a031916815260200191505b5091505060006040518083038185876185025a03f19250505015156104b757610002565b7f59bed9ab5d78073465dd642a9e3e76dfdb7d53bcae9d09df7d0b8f5234d5a8063382848b8b8b6040518087600160a060020a0316815260200186600160a060020a031681526020018560001916815260200184600160a060020a03168152602001838152602001806020018281038252838181518152602001915080519060200190808383829060006004602084601f0104600302600f01f150905090810190601f16801561057b5780820380516001836020036101000a031916815260200191505b5097505050505050505060405180910390a15050505050505050565b50505060208201516040830151604184015160ff16601b8110156105b957601b015b6040805187815260ff831660208281019190915281830186905260608201859052915160019260808381019391929182900301816000866161da5a03f115610002575050604051519695505050505050565b600091505b50919050565b600101610243565b151561062957610002565b5060009050805b600a8110156106535783600282600a811015610002570154141561066d57610002565b600282600a81101561000257015484101561069b57610002565b600282600a811015610002570154600282600a8110156100025701541015610693579050805b600101610630565b83600283600a81101561000257909001600050555050919050565b50600101919050565b15156106ca57610002565b60405160b48061073d833901809050604051809103906000f0905090565b15156106f357610002565b6001805460ff19168117905560408051600160a060020a033316815290517f0909e8f76a4fd3e970f2eaef56c0ee6dfaf8b87c5b8d3f56ffce78e825a911579181900360200190a156606060405260008054600160a060020a0319163317905560928060226000396000f36060604052361560275760e060020a60003504636b9f96ea8114604e578063ca325469146075575b608660008054604051600160a060020a039091169190349082818181858883f15050505050565b60008054608691600160a060020a0391821691301631606082818181858883f15050505050565b6088600054600160a060020a031681565b005b6060908152602090f3",
-    unlinked_binary: "60606040526040516108c53803806108c5833981016040528051016002815110156042576002565b50506001805460ff19169055506107f1806100d46000396000f35b6000805482518083558280527f290decd9548b62a8d60345a988386fc84ba6bc95484008f6362f93160ef3e5639182019160208501821560ad579160200282015b8281111560ad5782518254600160a060020a03191617825560209290920191600191909101906083565b5060279291505b8082111560d0578054600160a060020a031916815560010160b4565b509056606060405236156100775760e060020a60003504632079fb9a81146100f1578063391252151461013657806345550a51146101d65780637df73e2714610238578063979f19761461028a578063a0b7967b146102a0578063a68a76cc146102df578063abe3219c146102ed578063fc0f392d146102f9575b61030560003411156100ef577f6e89d517057028190560dd200cf6bf792842861353d1173761dfa362e1c133f033346000366040518085600160a060020a0316815260200184815260200180602001828103825284848281815260200192508082843782019150509550505050505060405180910390a15b565b610307600435600080548290811015610002575080527f290decd9548b62a8d60345a988386fc84ba6bc95484008f6362f93160ef3e5630154600160a060020a031681565b604080516020604435600481810135601f81018490048402850184019095528484526103059481359460248035959394606494929391019181908401838280828437505060408051602060a435808b0135601f810183900483028401830190945283835297999835986084359890975060c49650919450602491909101925081908401838280828437509496505050505050506000600061034a3361023f565b60408051602060248035600481810135601f810185900485028601850190965285855261030795813595919460449492939092019181908401838280828437509496505050505050505b60006000600060008451604114151561059757610002565b6103246004355b6000805b60005481101561060b5782600160a060020a0316600060005082815481101561000257600091825260209091200154600160a060020a031614156106165760019150610610565b6103386004355b60006000600061061e3361023f565b610338600080805b600a8110156106b65781600282600a81101561000257015411156102d757600281600a81101561000257015491505b6001016102a8565b61030760006106bf3361023f565b61032460015460ff1681565b6103056106e83361023f565b005b60408051600160a060020a03929092168252519081900360200190f35b604080519115158252519081900360200190f35b60408051918252519081900360200190f35b151561035557610002565b60015460ff16801561036d575061036b8861023f565b155b1561037757610002565b4285101561038457610002565b61038d84610291565b5087878787876040518086600160a060020a03166c010000000000000000000000000281526014018581526020018480519060200190808383829060006004602084601f0104600302600f01f15090500183815260200182815260200195505050505050604051809103902091506104058284610220565b90506104108161023f565b151561041b57610002565b33600160a060020a031681600160a060020a0316141561043a57610002565b87600160a060020a03168787604051808280519060200190808383829060006004602084601f0104600302600f01f150905090810190601f1680156104935780820380516001836020036101000a031916815260200191505b5091505060006040518083038185876185025a03f19250505015156104b757610002565b7f59bed9ab5d78073465dd642a9e3e76dfdb7d53bcae9d09df7d0b8f5234d5a8063382848b8b8b6040518087600160a060020a0316815260200186600160a060020a031681526020018560001916815260200184600160a060020a03168152602001838152602001806020018281038252838181518152602001915080519060200190808383829060006004602084601f0104600302600f01f150905090810190601f16801561057b5780820380516001836020036101000a031916815260200191505b5097505050505050505060405180910390a15050505050505050565b50505060208201516040830151604184015160ff16601b8110156105b957601b015b6040805187815260ff831660208281019190915281830186905260608201859052915160019260808381019391929182900301816000866161da5a03f115610002575050604051519695505050505050565b600091505b50919050565b600101610243565b151561062957610002565b5060009050805b600a8110156106535783600282600a811015610002570154141561066d57610002565b600282600a81101561000257015484101561069b57610002565b600282600a811015610002570154600282600a8110156100025701541015610693579050805b600101610630565b83600283600a81101561000257909001600050555050919050565b50600101919050565b15156106ca57610002565b60405160b48061073d833901809050604051809103906000f0905090565b15156106f357610002565b6001805460ff19168117905560408051600160a060020a033316815290517f0909e8f76a4fd3e970f2eaef56c0ee6dfaf8b87c5b8d3f56ffce78e825a911579181900360200190a156606060405260008054600160a060020a0319163317905560928060226000396000f36060604052361560275760e060020a60003504636b9f96ea8114604e578063ca325469146075575b608660008054604051600160a060020a039091169190349082818181858883f15050505050565b60008054608691600160a060020a0391821691301631606082818181858883f15050505050565b6088600054600160a060020a031681565b005b6060908152602090f3",
+    abi: [{"constant":false,"inputs":[{"name":"toAddress","type":"address"},{"name":"value","type":"uint256"},{"name":"tokenContractAddress","type":"address"},{"name":"expireTime","type":"uint256"},{"name":"sequenceId","type":"uint256"},{"name":"signature","type":"bytes"}],"name":"sendMultiSigToken","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[],"name":"applyTimelock","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":true,"inputs":[],"name":"DEFAULT_SAFE_MODE_EXIT_DELAY","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":true,"inputs":[{"name":"index","type":"uint256"}],"name":"getQueuedTransaction","outputs":[{"name":"operation","type":"bytes32"},{"name":"executableAfter","type":"uint256"},{"name":"toAddress","type":"address"},{"name":"value","type":"uint256"},{"name":"data","type":"bytes"},{"name":"tokenContractAddress","type":"address"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":true,"inputs":[{"name":"","type":"uint256"}],"name":"signers","outputs":[{"name":"","type":"address"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":false,"inputs":[{"name":"forwarderAddress","type":"address"},{"name":"tokenContractAddress","type":"address"}],"name":"flushForwarderTokens","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[{"name":"expireTime","type":"uint256"},{"name":"sequenceId","type":"uint256"},{"name":"signatures","type":"bytes"}],"name":"requestSafeModeExit","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[{"name":"toAddress","type":"address"},{"name":"value","type":"uint256"},{"name":"data","type":"bytes"},{"name":"expireTime","type":"uint256"},{"name":"sequenceId","type":"uint256"},{"name":"signature","type":"bytes"}],"name":"sendMultiSig","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[{"name":"oldSigner","type":"address"},{"name":"newSigner","type":"address"},{"name":"expireTime","type":"uint256"},{"name":"sequenceId","type":"uint256"},{"name":"signature","type":"bytes"}],"name":"replaceSigner","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[],"name":"numQueuedTransactions","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":true,"inputs":[],"name":"safeModeExitRequired","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":true,"inputs":[],"name":"safeModeExitSigners","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":false,"inputs":[{"name":"operationHash","type":"bytes32"},{"name":"signature","type":"bytes"}],"name":"recoverAddressFromSignature","outputs":[{"name":"","type":"address"}],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[{"name":"operation","type":"bytes32"}],"name":"cancelQueued","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[],"name":"deactivateSafeMode","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[],"name":"cancelTimelockChange","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":true,"inputs":[],"name":"OPERATION_HASH_VERSION","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":true,"inputs":[],"name":"pendingTimelock","outputs":[{"name":"timelock","type":"uint256"},{"name":"operation","type":"bytes32"},{"name":"otherSigner","type":"address"},{"name":"executableAfter","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":false,"inputs":[{"name":"signer","type":"address"}],"name":"isSigner","outputs":[{"name":"","type":"bool"}],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":true,"inputs":[],"name":"safeModeExitDelay","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":false,"inputs":[{"name":"signer","type":"address"},{"name":"expireTime","type":"uint256"},{"name":"sequenceId","type":"uint256"},{"name":"signature","type":"bytes"}],"name":"removeSigner","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":true,"inputs":[],"name":"safeModeExitTime","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":false,"inputs":[{"name":"toAddress","type":"address"},{"name":"value","type":"uint256"},{"name":"data","type":"bytes"},{"name":"expireTime","type":"uint256"},{"name":"sequenceId","type":"uint256"},{"name":"signature","type":"bytes"}],"name":"sendMultiSigTyped","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":true,"inputs":[],"name":"networkId","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":false,"inputs":[],"name":"getSafeModeExitSigners","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[],"name":"getNextSequenceId","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[{"name":"operation","type":"bytes32"}],"name":"executeQueued","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[],"name":"createForwarder","outputs":[{"name":"","type":"address"}],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":true,"inputs":[],"name":"safeMode","outputs":[{"name":"","type":"bool"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":false,"inputs":[{"name":"recipients","type":"address[]"},{"name":"values","type":"uint256[]"},{"name":"expireTime","type":"uint256"},{"name":"sequenceId","type":"uint256"},{"name":"signature","type":"bytes"}],"name":"sendMultiSigBatch","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":true,"inputs":[],"name":"TYPED_OPERATION_SCHEMA_HASH","outputs":[{"name":"","type":"bytes32"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":false,"inputs":[{"name":"newTimelock","type":"uint256"},{"name":"expireTime","type":"uint256"},{"name":"sequenceId","type":"uint256"},{"name":"signature","type":"bytes"}],"name":"setTimelock","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":true,"inputs":[],"name":"timelock","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":true,"inputs":[],"name":"safeModeExitRequiredDelay","outputs":[{"name":"","type":"uint256"}],"payable":false,"stateMutability":"view","type":"function"},{"constant":false,"inputs":[{"name":"exitSigners","type":"uint256"},{"name":"exitDelay","type":"uint256"},{"name":"expireTime","type":"uint256"},{"name":"sequenceId","type":"uint256"},{"name":"signature","type":"bytes"}],"name":"setSafeModeExitPolicy","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[{"name":"signer","type":"address"},{"name":"expireTime","type":"uint256"},{"name":"sequenceId","type":"uint256"},{"name":"signature","type":"bytes"}],"name":"addSigner","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"constant":false,"inputs":[],"name":"activateSafeMode","outputs":[],"payable":false,"stateMutability":"nonpayable","type":"function"},{"inputs":[{"name":"allowedSigners","type":"address[]"},{"name":"walletNetworkId","type":"uint256"}],"payable":false,"stateMutability":"nonpayable","type":"constructor"},{"payable":true,"stateMutability":"payable","type":"fallback"},{"anonymous":false,"inputs":[{"indexed":false,"name":"from","type":"address"},{"indexed":false,"name":"value","type":"uint256"},{"indexed":false,"name":"data","type":"bytes"}],"name":"Deposited","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"}],"name":"SafeModeActivated","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"},{"indexed":false,"name":"exitTime","type":"uint256"}],"name":"SafeModeExitRequested","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"}],"name":"SafeModeExitCancelled","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"}],"name":"SafeModeDeactivated","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"},{"indexed":false,"name":"otherSigner","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"},{"indexed":false,"name":"exitSigners","type":"uint256"},{"indexed":false,"name":"exitDelay","type":"uint256"}],"name":"SafeModeExitPolicyChanged","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"operation","type":"bytes32"},{"indexed":false,"name":"signer","type":"address"}],"name":"SignerApproved","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"forwarderAddress","type":"address"}],"name":"ForwarderCreated","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"},{"indexed":false,"name":"otherSigner","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"},{"indexed":false,"name":"toAddress","type":"address"},{"indexed":false,"name":"value","type":"uint256"},{"indexed":false,"name":"data","type":"bytes"}],"name":"Transacted","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"},{"indexed":false,"name":"otherSigner","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"},{"indexed":false,"name":"toAddress","type":"address"},{"indexed":false,"name":"value","type":"uint256"},{"indexed":false,"name":"tokenContractAddress","type":"address"}],"name":"TokenTransacted","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"},{"indexed":false,"name":"otherSigner","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"},{"indexed":false,"name":"toAddress","type":"address"},{"indexed":false,"name":"value","type":"uint256"}],"name":"BatchTransacted","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"},{"indexed":false,"name":"otherSigner","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"},{"indexed":false,"name":"signer","type":"address"}],"name":"SignerAdded","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"},{"indexed":false,"name":"otherSigner","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"},{"indexed":false,"name":"signer","type":"address"}],"name":"SignerRemoved","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"},{"indexed":false,"name":"otherSigner","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"},{"indexed":false,"name":"oldSigner","type":"address"},{"indexed":false,"name":"newSigner","type":"address"}],"name":"SignerReplaced","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"},{"indexed":false,"name":"otherSigner","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"},{"indexed":false,"name":"timelock","type":"uint256"}],"name":"TimelockChanged","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"},{"indexed":false,"name":"otherSigner","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"},{"indexed":false,"name":"timelock","type":"uint256"},{"indexed":false,"name":"executableAfter","type":"uint256"}],"name":"TimelockChangeQueued","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"}],"name":"TimelockChangeCancelled","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"},{"indexed":false,"name":"otherSigner","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"},{"indexed":false,"name":"executableAfter","type":"uint256"}],"name":"TransactionQueued","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"name":"msgSender","type":"address"},{"indexed":false,"name":"operation","type":"bytes32"}],"name":"QueuedTransactionCancelled","type":"event"}],
+    binary: "60806040523480156200001157600080fd5b506040516200338f3803806200338f833981016040528051602082015191018051909190600211156200004357600080fd5b8151620000589060009060208501906200006d565b506001805460ff191690556014555062000101565b828054828255906000526020600020908101928215620000c5579160200282015b82811115620000c55782518254600160a060020a031916600160a060020a039091161782556020909201916001909101906200008e565b50620000d3929150620000d7565b5090565b620000fe91905b80821115620000d3578054600160a060020a0319168155600101620000de565b90565b61327e80620001116000396000f3006080604052600436106101b35763ffffffff60e060020a6000350416630dcd7a6c811461023257806311a7b10f146102ae57806318013aad146102c35780631cb54971146102ea5780632079fb9a146103c95780632da03409146103fd5780633838d5ca1461042457806339125215146104845780633b0e10e5146105385780633c39722c146105af5780633daa3400146105c45780633f690cc5146105d957806345550a51146105ee5780635eeaf3821461064c57806360c3908e146106645780636ae8be5f146106795780637399b8311461068e5780637cc4d9a1146106a35780637df73e27146106e65780637f1c0ae61461071b5780638097dac71461073057806389d3784a1461079c5780638a57d3a5146107b15780639025e64c146108655780639cbb7ca31461087a578063a0b7967b1461088f578063a3adda13146108a4578063a68a76cc146108bc578063abe3219c146108d1578063ad3ad709146108e6578063bfefb8a5146109bf578063c53069dd146109d4578063d33219b414610a37578063d4d5040a14610a4c578063da5a285214610a61578063eda700b714610acc578063fc0f392d14610b38575b6000341115610230577f6e89d517057028190560dd200cf6bf792842861353d1173761dfa362e1c133f033346000366040518085600160a060020a0316600160a060020a03168152602001848152602001806020018281038252848482818152602001925080828437604051920182900397509095505050505050a15b005b34801561023e57600080fd5b50604080516020600460a43581810135601f8101849004840285018401909552848452610230948235600160a060020a039081169560248035966044359093169560643595608435953695929460c49490939201918190840183828082843750949750610b4d9650505050505050565b3480156102ba57600080fd5b50610230610d27565b3480156102cf57600080fd5b506102d8610dd6565b60408051918252519081900360200190f35b3480156102f657600080fd5b50610302600435610ddd565b60405180876000191660001916815260200186815260200185600160a060020a0316600160a060020a031681526020018481526020018060200183600160a060020a0316600160a060020a03168152602001828103825284818151815260200191508051906020019080838360005b83811015610389578181015183820152602001610371565b50505050905090810190601f1680156103b65780820380516001836020036101000a031916815260200191505b5097505050505050505060405180910390f35b3480156103d557600080fd5b506103e1600435610f53565b60408051600160a060020a039092168252519081900360200190f35b34801561040957600080fd5b50610230600160a060020a0360043581169060243516610f7b565b34801561043057600080fd5b50604080516020600460443581810135601f81018490048402850184019095528484526102309482359460248035953695946064949201919081908401838280828437509497506110119650505050505050565b34801561049057600080fd5b50604080516020600460443581810135601f8101849004840285018401909552848452610230948235600160a060020a031694602480359536959460649492019190819084018382808284375050604080516020888301358a018035601f8101839004830284018301909452838352979a89359a8a8301359a9199909850606090910196509194509081019250819084018382808284375094975061111e9650505050505050565b34801561054457600080fd5b50604080516020601f60843560048181013592830184900484028501840190955281845261023094600160a060020a0381358116956024803590921695604435956064359536959460a4949391019190819084018382808284375094975061120d9650505050505050565b3480156105bb57600080fd5b506102d861135b565b3480156105d057600080fd5b506102d861139e565b3480156105e557600080fd5b506102d86113a4565b3480156105fa57600080fd5b5060408051602060046024803582810135601f81018590048502860185019096528585526103e19583359536956044949193909101919081908401838280828437509497506113aa9650505050505050565b34801561065857600080fd5b50610230600435611455565b34801561067057600080fd5b506102306114cd565b34801561068557600080fd5b50610230611557565b34801561069a57600080fd5b506102d86115d8565b3480156106af57600080fd5b506106b86115dd565b604080519485526020850193909352600160a060020a03909116838301526060830152519081900360800190f35b3480156106f257600080fd5b50610707600160a060020a03600435166115f8565b604080519115158252519081900360200190f35b34801561072757600080fd5b506102d8611654565b34801561073c57600080fd5b50604080516020601f60643560048181013592830184900484028501840190955281845261023094600160a060020a03813516946024803595604435953695608494930191819084018382808284375094975061165a9650505050505050565b3480156107a857600080fd5b506102d86117f0565b3480156107bd57600080fd5b50604080516020600460443581810135601f8101849004840285018401909552848452610230948235600160a060020a031694602480359536959460649492019190819084018382808284375050604080516020888301358a018035601f8101839004830284018301909452838352979a89359a8a8301359a919990985060609091019650919450908101925081908401838280828437509497506117f69650505050505050565b34801561087157600080fd5b506102d86119f1565b34801561088657600080fd5b506102d86119f7565b34801561089b57600080fd5b506102d8611a42565b3480156108b057600080fd5b50610230600435611a89565b3480156108c857600080fd5b506103e1611e68565b3480156108dd57600080fd5b50610707611ee7565b3480156108f257600080fd5b506040805160206004803580820135838102808601850190965280855261023095369593946024949385019291829185019084908082843750506040805187358901803560208181028481018201909552818452989b9a99890198929750908201955093508392508501908490808284375050604080516020888301358a018035601f8101839004830284018301909452838352979a89359a8a8301359a91999098506060909101965091945090810192508190840183828082843750949750611ef09650505050505050565b3480156109cb57600080fd5b506102d8612194565b3480156109e057600080fd5b50604080516020601f60643560048181013592830184900484028501840190955281845261023094803594602480359560443595369560849493019181908401838280828437509497506122ac9650505050505050565b348015610a4357600080fd5b506102d8612445565b348015610a5857600080fd5b506102d861244b565b348015610a6d57600080fd5b50604080516020601f608435600481810135928301849004840285018401909552818452610230948035946024803595604435956064359536959460a49490939101919081908401838280828437509497506124519650505050505050565b348015610ad857600080fd5b50604080516020601f60643560048181013592830184900484028501840190955281845261023094600160a060020a0381351694602480359560443595369560849493019181908401838280828437509497506125999650505050505050565b348015610b4457600080fd5b506102306126e3565b6000806000610b5b336115f8565b1515610b6657600080fd5b6014546040805160028152606060020a308102602083015260348201939093527f45524332300000000000000000000000000000000000000000000000000000006054820152600160a060020a03808d1684026059830152606d82018c90528a16909202608d83015260a1820188905260c18201879052519081900360e10190209250610bf689848689896127a9565b915060006011541115610c2657610c21838a8a60206040519081016040528060008152508b876127f9565b610d1c565b86905080600160a060020a031663a9059cbb8a8a6000604051602001526040518363ffffffff1660e060020a0281526004018083600160a060020a0316600160a060020a0316815260200182815260200192505050602060405180830381600087803b158015610c9557600080fd5b5060325a03f1158015610ca757600080fd5b50506040515115159150610cbc905057600080fd5b60408051338152600160a060020a038085166020830152818301869052808c166060830152608082018b9052891660a082015290517ff3574a20a6defd7fc26917e8013cdd578db5eaa4d9a3eb54f2bb0983ad8ab40d9181900360c00190a15b505050505050505050565b610d30336115f8565b1515610d3b57600080fd5b6018541580610d4b575060185442105b15610d5557600080fd5b601554601181905560175460165460408051338152600160a060020a03909316602084015282810191909152606082019290925290517f45cbd91d651869ca814426c5c06899cd00d415f3685c59f6a38a8424510a32359181900360800190a160006015819055601681905560178054600160a060020a0319169055601855565b6202a30081565b60008080806060818080805b601354821015610f47576013805483908110610e0157fe5b60009182526020909120015415610f3c57828a1415610f355760126000601384815481101515610e2d57fe5b9060005260206000200154600019166000191681526020019081526020016000209050601382815481101515610e5f57fe5b60009182526020918290200154600583015483546001808601546003870154600280890180546040805161010097831615979097026000190190911692909204601f81018a90048a0286018a0190925281855296979596600160a060020a039586169693959094921692849190830182828015610f1d5780601f10610ef257610100808354040283529160200191610f1d565b820191906000526020600020905b815481529060010190602001808311610f0057829003601f168201915b50505050509150985098509850985098509850610f47565b6001909201915b600190910190610de9565b50505091939550919395565b6000805482908110610f6157fe5b600091825260209091200154600160a060020a0316905081565b6000610f86336115f8565b1515610f9157600080fd5b50604080517f3ef13367000000000000000000000000000000000000000000000000000000008152600160a060020a03838116600483015291518492831691633ef1336791602480830192600092919082900301818387803b158015610ff657600080fd5b5060325a03f115801561100857600080fd5b50505050505050565b600061101c336115f8565b151561102757600080fd5b60015460ff16158061103a575060105415155b1561104457600080fd5b4284101561105157600080fd5b61105a83612915565b50506014546040805160028152606060020a3002602082015260348101929092527f45584954534146454d4f4445000000000000000000000000000000000000000060548301526060820185905260808201849052519081900360a0019020600e546110cd9082908490600019016129bc565b50600f5442016010819055604080513381526020810184905280820192909252517f234c920b6d0b25bd39d626d127ef5e2d7b93dfd4baee41573cae3efd889f04bf9181900360600190a150505050565b6000611129336115f8565b151561113457600080fd5b60023060145489898989896040518089815260200188600160a060020a0316600160a060020a0316606060020a02815260140187815260200186600160a060020a0316600160a060020a0316606060020a02815260140185815260200184805190602001908083835b602083106111bc5780518252601f19909201916020918201910161119d565b6001836020036101000a038019825116818451168082178552505050505050905001838152602001828152602001985050505050505050506040518091039020905061100881888888888888612aa0565b600080611219336115f8565b151561122457600080fd5b61122d866115f8565b1561123757600080fd5b6014546040805160028152606060020a308102602083015260348201939093527f5245504c4143455349474e4552000000000000000000000000000000000000006054820152600160a060020a03808b1684026061830152891690920260758301526089820187905260a98201869052519081900360c901902091506112c086838588886127a9565b90508560006112ce89612c60565b815481106112d857fe5b6000918252602091829020018054600160a060020a031916600160a060020a0393841617905560408051338152848416928101929092528181018590528983166060830152918816608082015290517f398f9a129798b3386b1e14fbdd412457abe7e6fc1fbe522306d418d79421c0649160a0908290030190a150505050505050565b600080805b60135481101561139857601380548290811061137857fe5b60009182526020909120015415611390576001909101905b600101611360565b50919050565b600e5481565b600c5481565b600080600080845160411415156113c057600080fd5b50505060208201516040830151604184015160ff16601b8110156113e257601b015b60408051600080825260208083018452918301819052825189815260ff85168184015280840187905260608101869052925160019360808082019493601f19840193928390039091019190866161da5a03f115801561144057600080fd5b5050604051601f190151979650505050505050565b61145e336115f8565b151561146957600080fd5b600081815260126020526040902060050154151561148657600080fd5b61148f81612cb7565b604080513381526020810183905281517fe2a7442108a1941a2128496fe045e91df0ff3ea6ffdb87fc86ea024d60f6ee39929181900390910190a150565b6114d6336115f8565b15156114e157600080fd5b60015460ff1615806114f35750601054155b806114ff575060105442105b1561150957600080fd5b6001805460ff191690556000600e819055600f8190556010556040805133815290517fb37f3f119e4c07b1e0b7320b20dc0b805a6f0fd449c3f0908cee2f6ec0cfbe5a9181900360200190a1565b611560336115f8565b151561156b57600080fd5b601854151561157957600080fd5b60165460408051338152602081019290925280517f393378a842b73f0b1e7ade8114a1cd7b233ebad0d53089aff6c3b443611ec36b9281900390910190a160006015819055601681905560178054600160a060020a0319169055601855565b600281565b601554601654601754601854600160a060020a039091169084565b6000805b60005481101561164b5782600160a060020a031660008281548110151561161f57fe5b600091825260209091200154600160a060020a031614156116435760019150611398565b6001016115fc565b50600092915050565b600d5481565b6000806000611668336115f8565b151561167357600080fd5b60015460ff161561168357600080fd5b61168b612d49565b6000541161169857600080fd5b6014546040805160028152606060020a308102602083015260348201939093527f52454d4f56455349474e455200000000000000000000000000000000000000006054820152600160a060020a038a1690920260608301526074820188905260948201879052519081900360b4019020925061171787848689896127a9565b915061172287612c60565b6000805491925090600019810190811061173857fe5b60009182526020822001548154600160a060020a0390911691908390811061175c57fe5b600091825260208220018054600160a060020a031916600160a060020a039390931692909217909155805490611796906000198301612e2f565b5060408051338152600160a060020a0380851660208301528183018690528916606082015290517f5726b31c355ea67a0fd97b08b454f6397208ff30c4f8df3b003f9d73ba9c8a639181900360800190a150505050505050565b60105481565b6000611801336115f8565b151561180c57600080fd5b604080517f616464726573732077616c6c657400000000000000000000000000000000000081527f75696e74323536206e6574776f726b4964000000000000000000000000000000600e8201527f6164647265737320746f00000000000000000000000000000000000000000000601f8201527f75696e743235362076616c75650000000000000000000000000000000000000060298201527f627974657320646174610000000000000000000000000000000000000000000060368201527f75696e743235362065787069726554696d650000000000000000000000000000818301527f75696e743235362073657175656e6365496400000000000000000000000000006052820152905190819003606401812060148054606060020a308181028652928501829052600160a060020a038c16026034850152604884018a905288519293919290918b918b918b918b918b91606882019060208601908083835b6020831061198c5780518252601f19909201916020918201910161196d565b51815160209384036101000a6000190180199092169116179052920194855250838101929092525060408051928390038101832098835290820197909752865190819003909601909520955061100894508593508b92508a9150899050888888612aa0565b60145481565b6000600c5460001480611a0d5750600054600c54115b15611a1b5750600054611a3f565b600054600c5460020211611a3a57600054600290046001019050611a3f565b50600c545b90565b600080805b600a811015611a805781600282600a8110611a5e57fe5b01541115611a7857600281600a8110611a7357fe5b015491505b600101611a47565b50600101919050565b60008060006060600080611a9c336115f8565b1515611aa757600080fd5b600087815260126020526040902060058101549096501580611acc5750856005015442105b15611ad657600080fd5b60015460ff168015611af957508554611af790600160a060020a03166115f8565b155b15611b0357600080fd5b85546001808801546002808a01805460408051602061010097841615979097026000190190921693909304601f8101869004860282018601909352828152600160a060020a0390951699509197509091830182828015611ba45780601f10611b7957610100808354040283529160200191611ba4565b820191906000526020600020905b815481529060010190602001808311611b8757829003601f168201915b5050505060038801546004890154929550600160a060020a0390811694509091169150611bd2905087612cb7565b600160a060020a0382161515611d6d5784600160a060020a0316848460405180828051906020019080838360005b83811015611c18578181015183820152602001611c00565b50505050905090810190601f168015611c455780820380516001836020036101000a031916815260200191505b5091505060006040518083038185876185025a03f1925050501515611c6957600080fd5b7f59bed9ab5d78073465dd642a9e3e76dfdb7d53bcae9d09df7d0b8f5234d5a8063382898888886040518087600160a060020a0316600160a060020a0316815260200186600160a060020a0316600160a060020a03168152602001856000191660001916815260200184600160a060020a0316600160a060020a0316815260200183815260200180602001828103825283818151815260200191508051906020019080838360005b83811015611d29578181015183820152602001611d11565b50505050905090810190601f168015611d565780820380516001836020036101000a031916815260200191505b5097505050505050505060405180910390a1611008565b81600160a060020a031663a9059cbb86866000604051602001526040518363ffffffff1660e060020a0281526004018083600160a060020a0316600160a060020a0316815260200182815260200192505050602060405180830381600087803b158015611dd957600080fd5b5060325a03f1158015611deb57600080fd5b50506040515115159150611e00905057600080fd5b60408051338152600160a060020a0380841660208301528183018a9052808816606083015260808201879052841660a082015290517ff3574a20a6defd7fc26917e8013cdd578db5eaa4d9a3eb54f2bb0983ad8ab40d9181900360c00190a150505050505050565b600080611e74336115f8565b1515611e7f57600080fd5b611e87612e58565b604051809103906000f080158015611e9e57600080fd5b5060408051600160a060020a038316815290519192507f6a1722b151fa6ee2129092224b7b96addf678f7981115ec5867d03fd820a4158919081900360200190a18091505b5090565b60015460ff1681565b6000806000611efe336115f8565b1515611f0957600080fd5b87511580611f1957508651885114155b15611f2357600080fd5b60006011541115611f3357600080fd5b600092505b8751831015611f855760015460ff168015611f705750611f6e8884815181101515611f5f57fe5b906020019060200201516115f8565b155b15611f7a57600080fd5b600190920191611f38565b6002306014548a8a8a8a6040518088815260200187600160a060020a0316600160a060020a0316606060020a028152601401868152602001807f4241544348000000000000000000000000000000000000000000000000000000815250600501858051906020019060200280838360005b8381101561200e578181015183820152602001611ff6565b50505050905001848051906020019060200280838360005b8381101561203e578181015183820152602001612026565b505050509050018381526020018281526020019750505050505050506040518091039020915061208988600081518110151561207657fe5b90602001906020020151838689896127a9565b9050600092505b875183101561218a5787838151811015156120a757fe5b90602001906020020151600160a060020a031687848151811015156120c857fe5b60209081029091010151604051600081818185876185025a03f19250505015156120f157600080fd5b7f318fd0081859b3254ae4c79a5bad12a682b9ee17875fd15bf372244982aefd603382848b8781518110151561212357fe5b906020019060200201518b8881518110151561213b57fe5b602090810290910181015160408051600160a060020a039788168152958716928601929092528482019390935293166060830152608082015290519081900360a00190a1600190920191612090565b5050505050505050565b604080517f616464726573732077616c6c657400000000000000000000000000000000000081527f75696e74323536206e6574776f726b4964000000000000000000000000000000600e8201527f6164647265737320746f00000000000000000000000000000000000000000000601f8201527f75696e743235362076616c75650000000000000000000000000000000000000060298201527f627974657320646174610000000000000000000000000000000000000000000060368201527f75696e743235362065787069726554696d650000000000000000000000000000818301527f75696e743235362073657175656e6365496400000000000000000000000000006052820152905190819003606401902081565b6000806122b8336115f8565b15156122c357600080fd5b6014546040805160028152606060020a3002602082015260348101929092527f54494d454c4f434b0000000000000000000000000000000000000000000000006054830152605c8201889052607c8201879052609c8201869052519081900360bc019020915061233633838588886127a9565b90506011548610156123c9576015869055601682905560178054600160a060020a038316600160a060020a0319909116811790915560115442016018819055604080513381526020810193909352828101859052606083018990526080830191909152517f9dddd7298b4c8d42545634c9fd5d888540cb21e882ea5c81669e9768ea7f30089181900360a00190a161243d565b60006015819055601681905560178054600160a060020a0319169055601855601186905560408051338152600160a060020a03831660208201528082018490526060810188905290517f45cbd91d651869ca814426c5c06899cd00d415f3685c59f6a38a8424510a32359181900360800190a15b505050505050565b60115481565b600f5481565b60008061245d336115f8565b151561246857600080fd5b60015460ff161561247857600080fd5b86158015906124a8575060005460028802111580612497575060005487115b806124a857506124a5612d49565b87105b156124b257600080fd5b6014546040805160028152606060020a3002602082015260348101929092527f534146454d4f444545584954504f4c49435900000000000000000000000000006054830152606682018990526086820188905260a6820187905260c68201869052519081900360e6019020915061252c33838588886127a9565b600c889055600d87905560408051338152600160a060020a0383166020820152808201859052606081018a90526080810189905290519192507f6f93e809bff5029b5ba522a81799e1b4233d5423718442a9825e2baba507023a919081900360a00190a150505050505050565b6000806125a5336115f8565b15156125b057600080fd5b6125b9866115f8565b156125c357600080fd5b6014546040805160028152606060020a308102602083015260348201939093527f4144445349474e455200000000000000000000000000000000000000000000006054820152600160a060020a038916909202605d8301526071820187905260918201869052519081900360b1019020915061264286838588886127a9565b600080546001810182559080527f290decd9548b62a8d60345a988386fc84ba6bc95484008f6362f93160ef3e563018054600160a060020a03808a16600160a060020a031990921682179092556040805133815292841660208401528281018690526060830191909152519192507f8d4db7cafe0cd276d052184a7603708f25d106af8374032361020e24e00d5f81919081900360800190a1505050505050565b6126ec336115f8565b15156126f757600080fd5b60015460ff1615156127275761270b6119f7565b600e55600d541561271e57600d54612723565b6202a3005b600f555b601054156127685760006010556040805133815290517fae68866f842931ae3fc783d67b67d3a5c6afe9881dd83b271db39f706e2853599181900360200190a15b6001805460ff1916811790556040805133815290517f0909e8f76a4fd3e970f2eaef56c0ee6dfaf8b87c5b8d3f56ffce78e825a911579181900360200190a1565b60015460009060ff1680156127c457506127c2866115f8565b155b156127ce57600080fd5b428310156127db57600080fd5b6127e482612915565b506127ef8585612d4e565b9695505050505050565b60008681526012602090815260409091208054600160a060020a031916600160a060020a038816178155600181018690558451909161283f916002840191870190612e68565b50600381018054600160a060020a03808616600160a060020a031992831617909255600483018054928516929091169190911790556011544201600582015560138054906128909060018301612e2f565b600682018190556013805489929081106128a657fe5b60009182526020918290200191909155600582015460408051338152600160a060020a038616938101939093528281018a90526060830191909152517fa6c7f7ab3e7ad6cdfd5329cb9133e001ddd18432fb7a862baa9c75122dfc2e439181900360800190a150505050505050565b6000806000612923336115f8565b151561292e57600080fd5b5060009050805b600a8110156129895783600282600a811061294c57fe5b0154141561295957600080fd5b600282600a811061296657fe5b0154600282600a811061297557fe5b01541015612981578091505b600101612935565b600282600a811061299657fe5b01548410156129a457600080fd5b83600283600a81106129b257fe5b0155509092915050565b60008060008060008560410287511415156129d657600080fd5b60009250600091505b85821015612a94576129f2888884612d8e565b90506129fd816115f8565b1515612a0857600080fd5b600160a060020a038116331415612a1e57600080fd5b600160a060020a0380841690821611612a3657600080fd5b811515612a41578093505b60408051898152600160a060020a0383166020820152815192945084927ffe6342cb73878b2f66e273e88638ae324ada4807a8e591ed49440d42b3992a48929181900390910190a16001909101906129df565b50919695505050505050565b6000612aaf87898487876127a9565b905060006011541115612ad057612acb888888886000866127f9565b61218a565b86600160a060020a0316868660405180828051906020019080838360005b83811015612b06578181015183820152602001612aee565b50505050905090810190601f168015612b335780820380516001836020036101000a031916815260200191505b5091505060006040518083038185876185025a03f1925050501515612b5757600080fd5b7f59bed9ab5d78073465dd642a9e3e76dfdb7d53bcae9d09df7d0b8f5234d5a80633828a8a8a8a6040518087600160a060020a0316600160a060020a0316815260200186600160a060020a0316600160a060020a03168152602001856000191660001916815260200184600160a060020a0316600160a060020a0316815260200183815260200180602001828103825283818151815260200191508051906020019080838360005b83811015612c17578181015183820152602001612bff565b50505050905090810190601f168015612c445780820380516001836020036101000a031916815260200191505b5097505050505050505060405180910390a15050505050505050565b6000805b600054811015612cb25782600160a060020a0316600082815481101515612c8757fe5b600091825260209091200154600160a060020a03161415612caa57809150611398565b600101612c64565b600080fd5b600081815260126020526040902060060154601380549091908110612cd857fe5b6000918252602080832090910182905582825260129052604081208054600160a060020a03191681556001810182905590612d166002830182612ee2565b50600381018054600160a060020a0319908116909155600482018054909116905560006005820181905560069091015550565b600290565b600080612d5b84846113aa565b9050612d66816115f8565b1515612d7157600080fd5b600160a060020a038116331415612d8757600080fd5b9392505050565b6041808202838101602081015160408201519190930151600093919060ff16601b811015612dba57601b015b6040805160008082526020808301845291830181905282518b815260ff85168184015280840187905260608101869052925160019360808082019493601f19840193928390039091019190866161da5a03f1158015612e1857600080fd5b5050604051601f1901519998505050505050505050565b815481835581811115612e5357600083815260209020612e53918101908301612f29565b505050565b60405161030f80612f4483390190565b828054600181600116156101000203166002900490600052602060002090601f016020900481019282601f10612ea957805160ff1916838001178555612ed6565b82800160010185558215612ed6579182015b82811115612ed6578251825591602001919060010190612ebb565b50611ee3929150612f29565b50805460018160011615610100020316600290046000825580601f10612f085750612f26565b601f016020900490600052602060002090810190612f269190612f29565b50565b611a3f91905b80821115611ee35760008155600101612f2f5600608060405234801561001057600080fd5b5060008054600160a060020a031916331790556102dd806100326000396000f30060806040526004361061003d5763ffffffff60e060020a6000350416633ef1336781146100735780636b9f96ea14610094578063ca325469146100a9575b60008054604051600160a060020a03909116913480156108fc02929091818181858888f19350505050151561007157600080fd5b005b34801561007f57600080fd5b50610071600160a060020a03600435166100da565b3480156100a057600080fd5b5061007161026b565b3480156100b557600080fd5b506100be6102a2565b60408051600160a060020a039092168252519081900360200190f35b600080548190600160a060020a031633146100f457600080fd5b82915081600160a060020a03166370a08231306000604051602001526040518263ffffffff1660e060020a0281526004018082600160a060020a0316600160a060020a03168152602001915050602060405180830381600087803b15801561015b57600080fd5b5060325a03f115801561016d57600080fd5b5050604051519250505080151561018357610266565b6000805460408051602090810184905281517fa9059cbb000000000000000000000000000000000000000000000000000000008152600160a060020a0393841660048201526024810186905291519286169363a9059cbb936044808501949192918390030190829087803b1580156101fa57600080fd5b5060325a03f115801561020c57600080fd5b50506040515115159150610221905057600080fd5b60408051600160a060020a03851681526020810183905281517f9401e4e79c19cbe2bd774cb70a94ba660e6718be1bac1298ab3b07f454a60821929181900390910190a15b505050565b60008054604051600160a060020a0390911691303180156108fc02929091818181858888f1935050505015156102a057600080fd5b565b600054600160a060020a0316815600a165627a7a7230582062c0487b2b82887dc33cbb34f693ed96e566ec44de90151da02525ab7675e6030029a165627a7a723058202f72e753df9e6670aca8bc1da2ac3ccdcb1ac9201c1275d1c4b7db23c91073930029",
+    unlinked_binary: "60806040523480156200001157600080fd5b506040516200338f3803806200338f833981016040528051602082015191018051909190600211156200004357600080fd5b8151620000589060009060208501906200006d565b506001805460ff191690556014555062000101565b828054828255906000526020600020908101928215620000c5579160200282015b82811115620000c55782518254600160a060020a031916600160a060020a039091161782556020909201916001909101906200008e565b50620000d3929150620000d7565b5090565b620000fe91905b80821115620000d3578054600160a060020a0319168155600101620000de565b90565b61327e80620001116000396000f3006080604052600436106101b35763ffffffff60e060020a6000350416630dcd7a6c811461023257806311a7b10f146102ae57806318013aad146102c35780631cb54971146102ea5780632079fb9a146103c95780632da03409146103fd5780633838d5ca1461042457806339125215146104845780633b0e10e5146105385780633c39722c146105af5780633daa3400146105c45780633f690cc5146105d957806345550a51146105ee5780635eeaf3821461064c57806360c3908e146106645780636ae8be5f146106795780637399b8311461068e5780637cc4d9a1146106a35780637df73e27146106e65780637f1c0ae61461071b5780638097dac71461073057806389d3784a1461079c5780638a57d3a5146107b15780639025e64c146108655780639cbb7ca31461087a578063a0b7967b1461088f578063a3adda13146108a4578063a68a76cc146108bc578063abe3219c146108d1578063ad3ad709146108e6578063bfefb8a5146109bf578063c53069dd146109d4578063d33219b414610a37578063d4d5040a14610a4c578063da5a285214610a61578063eda700b714610acc578063fc0f392d14610b38575b6000341115610230577f6e89d517057028190560dd200cf6bf792842861353d1173761dfa362e1c133f033346000366040518085600160a060020a0316600160a060020a03168152602001848152602001806020018281038252848482818152602001925080828437604051920182900397509095505050505050a15b005b34801561023e57600080fd5b50604080516020600460a43581810135601f8101849004840285018401909552848452610230948235600160a060020a039081169560248035966044359093169560643595608435953695929460c49490939201918190840183828082843750949750610b4d9650505050505050565b3480156102ba57600080fd5b50610230610d27565b3480156102cf57600080fd5b506102d8610dd6565b60408051918252519081900360200190f35b3480156102f657600080fd5b50610302600435610ddd565b60405180876000191660001916815260200186815260200185600160a060020a0316600160a060020a031681526020018481526020018060200183600160a060020a0316600160a060020a03168152602001828103825284818151815260200191508051906020019080838360005b83811015610389578181015183820152602001610371565b50505050905090810190601f1680156103b65780820380516001836020036101000a031916815260200191505b5097505050505050505060405180910390f35b3480156103d557600080fd5b506103e1600435610f53565b60408051600160a060020a039092168252519081900360200190f35b34801561040957600080fd5b50610230600160a060020a0360043581169060243516610f7b565b34801561043057600080fd5b50604080516020600460443581810135601f81018490048402850184019095528484526102309482359460248035953695946064949201919081908401838280828437509497506110119650505050505050565b34801561049057600080fd5b50604080516020600460443581810135601f8101849004840285018401909552848452610230948235600160a060020a031694602480359536959460649492019190819084018382808284375050604080516020888301358a018035601f8101839004830284018301909452838352979a89359a8a8301359a9199909850606090910196509194509081019250819084018382808284375094975061111e9650505050505050565b34801561054457600080fd5b50604080516020601f60843560048181013592830184900484028501840190955281845261023094600160a060020a0381358116956024803590921695604435956064359536959460a4949391019190819084018382808284375094975061120d9650505050505050565b3480156105bb57600080fd5b506102d861135b565b3480156105d057600080fd5b506102d861139e565b3480156105e557600080fd5b506102d86113a4565b3480156105fa57600080fd5b5060408051602060046024803582810135601f81018590048502860185019096528585526103e19583359536956044949193909101919081908401838280828437509497506113aa9650505050505050565b34801561065857600080fd5b50610230600435611455565b34801561067057600080fd5b506102306114cd565b34801561068557600080fd5b50610230611557565b34801561069a57600080fd5b506102d86115d8565b3480156106af57600080fd5b506106b86115dd565b604080519485526020850193909352600160a060020a03909116838301526060830152519081900360800190f35b3480156106f257600080fd5b50610707600160a060020a03600435166115f8565b604080519115158252519081900360200190f35b34801561072757600080fd5b506102d8611654565b34801561073c57600080fd5b50604080516020601f60643560048181013592830184900484028501840190955281845261023094600160a060020a03813516946024803595604435953695608494930191819084018382808284375094975061165a9650505050505050565b3480156107a857600080fd5b506102d86117f0565b3480156107bd57600080fd5b50604080516020600460443581810135601f8101849004840285018401909552848452610230948235600160a060020a031694602480359536959460649492019190819084018382808284375050604080516020888301358a018035601f8101839004830284018301909452838352979a89359a8a8301359a919990985060609091019650919450908101925081908401838280828437509497506117f69650505050505050565b34801561087157600080fd5b506102d86119f1565b34801561088657600080fd5b506102d86119f7565b34801561089b57600080fd5b506102d8611a42565b3480156108b057600080fd5b50610230600435611a89565b3480156108c857600080fd5b506103e1611e68565b3480156108dd57600080fd5b50610707611ee7565b3480156108f257600080fd5b506040805160206004803580820135838102808601850190965280855261023095369593946024949385019291829185019084908082843750506040805187358901803560208181028481018201909552818452989b9a99890198929750908201955093508392508501908490808284375050604080516020888301358a018035601f8101839004830284018301909452838352979a89359a8a8301359a91999098506060909101965091945090810192508190840183828082843750949750611ef09650505050505050565b3480156109cb57600080fd5b506102d8612194565b3480156109e057600080fd5b50604080516020601f60643560048181013592830184900484028501840190955281845261023094803594602480359560443595369560849493019181908401838280828437509497506122ac9650505050505050565b348015610a4357600080fd5b506102d8612445565b348015610a5857600080fd5b506102d861244b565b348015610a6d57600080fd5b50604080516020601f608435600481810135928301849004840285018401909552818452610230948035946024803595604435956064359536959460a49490939101919081908401838280828437509497506124519650505050505050565b348015610ad857600080fd5b50604080516020601f60643560048181013592830184900484028501840190955281845261023094600160a060020a0381351694602480359560443595369560849493019181908401838280828437509497506125999650505050505050565b348015610b4457600080fd5b506102306126e3565b6000806000610b5b336115f8565b1515610b6657600080fd5b6014546040805160028152606060020a308102602083015260348201939093527f45524332300000000000000000000000000000000000000000000000000000006054820152600160a060020a03808d1684026059830152606d82018c90528a16909202608d83015260a1820188905260c18201879052519081900360e10190209250610bf689848689896127a9565b915060006011541115610c2657610c21838a8a60206040519081016040528060008152508b876127f9565b610d1c565b86905080600160a060020a031663a9059cbb8a8a6000604051602001526040518363ffffffff1660e060020a0281526004018083600160a060020a0316600160a060020a0316815260200182815260200192505050602060405180830381600087803b158015610c9557600080fd5b5060325a03f1158015610ca757600080fd5b50506040515115159150610cbc905057600080fd5b60408051338152600160a060020a038085166020830152818301869052808c166060830152608082018b9052891660a082015290517ff3574a20a6defd7fc26917e8013cdd578db5eaa4d9a3eb54f2bb0983ad8ab40d9181900360c00190a15b505050505050505050565b610d30336115f8565b1515610d3b57600080fd5b6018541580610d4b575060185442105b15610d5557600080fd5b601554601181905560175460165460408051338152600160a060020a03909316602084015282810191909152606082019290925290517f45cbd91d651869ca814426c5c06899cd00d415f3685c59f6a38a8424510a32359181900360800190a160006015819055601681905560178054600160a060020a0319169055601855565b6202a30081565b60008080806060818080805b601354821015610f47576013805483908110610e0157fe5b60009182526020909120015415610f3c57828a1415610f355760126000601384815481101515610e2d57fe5b9060005260206000200154600019166000191681526020019081526020016000209050601382815481101515610e5f57fe5b60009182526020918290200154600583015483546001808601546003870154600280890180546040805161010097831615979097026000190190911692909204601f81018a90048a0286018a0190925281855296979596600160a060020a039586169693959094921692849190830182828015610f1d5780601f10610ef257610100808354040283529160200191610f1d565b820191906000526020600020905b815481529060010190602001808311610f0057829003601f168201915b50505050509150985098509850985098509850610f47565b6001909201915b600190910190610de9565b50505091939550919395565b6000805482908110610f6157fe5b600091825260209091200154600160a060020a0316905081565b6000610f86336115f8565b1515610f9157600080fd5b50604080517f3ef13367000000000000000000000000000000000000000000000000000000008152600160a060020a03838116600483015291518492831691633ef1336791602480830192600092919082900301818387803b158015610ff657600080fd5b5060325a03f115801561100857600080fd5b50505050505050565b600061101c336115f8565b151561102757600080fd5b60015460ff16158061103a575060105415155b1561104457600080fd5b4284101561105157600080fd5b61105a83612915565b50506014546040805160028152606060020a3002602082015260348101929092527f45584954534146454d4f4445000000000000000000000000000000000000000060548301526060820185905260808201849052519081900360a0019020600e546110cd9082908490600019016129bc565b50600f5442016010819055604080513381526020810184905280820192909252517f234c920b6d0b25bd39d626d127ef5e2d7b93dfd4baee41573cae3efd889f04bf9181900360600190a150505050565b6000611129336115f8565b151561113457600080fd5b60023060145489898989896040518089815260200188600160a060020a0316600160a060020a0316606060020a02815260140187815260200186600160a060020a0316600160a060020a0316606060020a02815260140185815260200184805190602001908083835b602083106111bc5780518252601f19909201916020918201910161119d565b6001836020036101000a038019825116818451168082178552505050505050905001838152602001828152602001985050505050505050506040518091039020905061100881888888888888612aa0565b600080611219336115f8565b151561122457600080fd5b61122d866115f8565b1561123757600080fd5b6014546040805160028152606060020a308102602083015260348201939093527f5245504c4143455349474e4552000000000000000000000000000000000000006054820152600160a060020a03808b1684026061830152891690920260758301526089820187905260a98201869052519081900360c901902091506112c086838588886127a9565b90508560006112ce89612c60565b815481106112d857fe5b6000918252602091829020018054600160a060020a031916600160a060020a0393841617905560408051338152848416928101929092528181018590528983166060830152918816608082015290517f398f9a129798b3386b1e14fbdd412457abe7e6fc1fbe522306d418d79421c0649160a0908290030190a150505050505050565b600080805b60135481101561139857601380548290811061137857fe5b60009182526020909120015415611390576001909101905b600101611360565b50919050565b600e5481565b600c5481565b600080600080845160411415156113c057600080fd5b50505060208201516040830151604184015160ff16601b8110156113e257601b015b60408051600080825260208083018452918301819052825189815260ff85168184015280840187905260608101869052925160019360808082019493601f19840193928390039091019190866161da5a03f115801561144057600080fd5b5050604051601f190151979650505050505050565b61145e336115f8565b151561146957600080fd5b600081815260126020526040902060050154151561148657600080fd5b61148f81612cb7565b604080513381526020810183905281517fe2a7442108a1941a2128496fe045e91df0ff3ea6ffdb87fc86ea024d60f6ee39929181900390910190a150565b6114d6336115f8565b15156114e157600080fd5b60015460ff1615806114f35750601054155b806114ff575060105442105b1561150957600080fd5b6001805460ff191690556000600e819055600f8190556010556040805133815290517fb37f3f119e4c07b1e0b7320b20dc0b805a6f0fd449c3f0908cee2f6ec0cfbe5a9181900360200190a1565b611560336115f8565b151561156b57600080fd5b601854151561157957600080fd5b60165460408051338152602081019290925280517f393378a842b73f0b1e7ade8114a1cd7b233ebad0d53089aff6c3b443611ec36b9281900390910190a160006015819055601681905560178054600160a060020a0319169055601855565b600281565b601554601654601754601854600160a060020a039091169084565b6000805b60005481101561164b5782600160a060020a031660008281548110151561161f57fe5b600091825260209091200154600160a060020a031614156116435760019150611398565b6001016115fc565b50600092915050565b600d5481565b6000806000611668336115f8565b151561167357600080fd5b60015460ff161561168357600080fd5b61168b612d49565b6000541161169857600080fd5b6014546040805160028152606060020a308102602083015260348201939093527f52454d4f56455349474e455200000000000000000000000000000000000000006054820152600160a060020a038a1690920260608301526074820188905260948201879052519081900360b4019020925061171787848689896127a9565b915061172287612c60565b6000805491925090600019810190811061173857fe5b60009182526020822001548154600160a060020a0390911691908390811061175c57fe5b600091825260208220018054600160a060020a031916600160a060020a039390931692909217909155805490611796906000198301612e2f565b5060408051338152600160a060020a0380851660208301528183018690528916606082015290517f5726b31c355ea67a0fd97b08b454f6397208ff30c4f8df3b003f9d73ba9c8a639181900360800190a150505050505050565b60105481565b6000611801336115f8565b151561180c57600080fd5b604080517f616464726573732077616c6c657400000000000000000000000000000000000081527f75696e74323536206e6574776f726b4964000000000000000000000000000000600e8201527f6164647265737320746f00000000000000000000000000000000000000000000601f8201527f75696e743235362076616c75650000000000000000000000000000000000000060298201527f627974657320646174610000000000000000000000000000000000000000000060368201527f75696e743235362065787069726554696d650000000000000000000000000000818301527f75696e743235362073657175656e6365496400000000000000000000000000006052820152905190819003606401812060148054606060020a308181028652928501829052600160a060020a038c16026034850152604884018a905288519293919290918b918b918b918b918b91606882019060208601908083835b6020831061198c5780518252601f19909201916020918201910161196d565b51815160209384036101000a6000190180199092169116179052920194855250838101929092525060408051928390038101832098835290820197909752865190819003909601909520955061100894508593508b92508a9150899050888888612aa0565b60145481565b6000600c5460001480611a0d5750600054600c54115b15611a1b5750600054611a3f565b600054600c5460020211611a3a57600054600290046001019050611a3f565b50600c545b90565b600080805b600a811015611a805781600282600a8110611a5e57fe5b01541115611a7857600281600a8110611a7357fe5b015491505b600101611a47565b50600101919050565b60008060006060600080611a9c336115f8565b1515611aa757600080fd5b600087815260126020526040902060058101549096501580611acc5750856005015442105b15611ad657600080fd5b60015460ff168015611af957508554611af790600160a060020a03166115f8565b155b15611b0357600080fd5b85546001808801546002808a01805460408051602061010097841615979097026000190190921693909304601f8101869004860282018601909352828152600160a060020a0390951699509197509091830182828015611ba45780601f10611b7957610100808354040283529160200191611ba4565b820191906000526020600020905b815481529060010190602001808311611b8757829003601f168201915b5050505060038801546004890154929550600160a060020a0390811694509091169150611bd2905087612cb7565b600160a060020a0382161515611d6d5784600160a060020a0316848460405180828051906020019080838360005b83811015611c18578181015183820152602001611c00565b50505050905090810190601f168015611c455780820380516001836020036101000a031916815260200191505b5091505060006040518083038185876185025a03f1925050501515611c6957600080fd5b7f59bed9ab5d78073465dd642a9e3e76dfdb7d53bcae9d09df7d0b8f5234d5a8063382898888886040518087600160a060020a0316600160a060020a0316815260200186600160a060020a0316600160a060020a03168152602001856000191660001916815260200184600160a060020a0316600160a060020a0316815260200183815260200180602001828103825283818151815260200191508051906020019080838360005b83811015611d29578181015183820152602001611d11565b50505050905090810190601f168015611d565780820380516001836020036101000a031916815260200191505b5097505050505050505060405180910390a1611008565b81600160a060020a031663a9059cbb86866000604051602001526040518363ffffffff1660e060020a0281526004018083600160a060020a0316600160a060020a0316815260200182815260200192505050602060405180830381600087803b158015611dd957600080fd5b5060325a03f1158015611deb57600080fd5b50506040515115159150611e00905057600080fd5b60408051338152600160a060020a0380841660208301528183018a9052808816606083015260808201879052841660a082015290517ff3574a20a6defd7fc26917e8013cdd578db5eaa4d9a3eb54f2bb0983ad8ab40d9181900360c00190a150505050505050565b600080611e74336115f8565b1515611e7f57600080fd5b611e87612e58565b604051809103906000f080158015611e9e57600080fd5b5060408051600160a060020a038316815290519192507f6a1722b151fa6ee2129092224b7b96addf678f7981115ec5867d03fd820a4158919081900360200190a18091505b5090565b60015460ff1681565b6000806000611efe336115f8565b1515611f0957600080fd5b87511580611f1957508651885114155b15611f2357600080fd5b60006011541115611f3357600080fd5b600092505b8751831015611f855760015460ff168015611f705750611f6e8884815181101515611f5f57fe5b906020019060200201516115f8565b155b15611f7a57600080fd5b600190920191611f38565b6002306014548a8a8a8a6040518088815260200187600160a060020a0316600160a060020a0316606060020a028152601401868152602001807f4241544348000000000000000000000000000000000000000000000000000000815250600501858051906020019060200280838360005b8381101561200e578181015183820152602001611ff6565b50505050905001848051906020019060200280838360005b8381101561203e578181015183820152602001612026565b505050509050018381526020018281526020019750505050505050506040518091039020915061208988600081518110151561207657fe5b90602001906020020151838689896127a9565b9050600092505b875183101561218a5787838151811015156120a757fe5b90602001906020020151600160a060020a031687848151811015156120c857fe5b60209081029091010151604051600081818185876185025a03f19250505015156120f157600080fd5b7f318fd0081859b3254ae4c79a5bad12a682b9ee17875fd15bf372244982aefd603382848b8781518110151561212357fe5b906020019060200201518b8881518110151561213b57fe5b602090810290910181015160408051600160a060020a039788168152958716928601929092528482019390935293166060830152608082015290519081900360a00190a1600190920191612090565b5050505050505050565b604080517f616464726573732077616c6c657400000000000000000000000000000000000081527f75696e74323536206e6574776f726b4964000000000000000000000000000000600e8201527f6164647265737320746f00000000000000000000000000000000000000000000601f8201527f75696e743235362076616c75650000000000000000000000000000000000000060298201527f627974657320646174610000000000000000000000000000000000000000000060368201527f75696e743235362065787069726554696d650000000000000000000000000000818301527f75696e743235362073657175656e6365496400000000000000000000000000006052820152905190819003606401902081565b6000806122b8336115f8565b15156122c357600080fd5b6014546040805160028152606060020a3002602082015260348101929092527f54494d454c4f434b0000000000000000000000000000000000000000000000006054830152605c8201889052607c8201879052609c8201869052519081900360bc019020915061233633838588886127a9565b90506011548610156123c9576015869055601682905560178054600160a060020a038316600160a060020a0319909116811790915560115442016018819055604080513381526020810193909352828101859052606083018990526080830191909152517f9dddd7298b4c8d42545634c9fd5d888540cb21e882ea5c81669e9768ea7f30089181900360a00190a161243d565b60006015819055601681905560178054600160a060020a0319169055601855601186905560408051338152600160a060020a03831660208201528082018490526060810188905290517f45cbd91d651869ca814426c5c06899cd00d415f3685c59f6a38a8424510a32359181900360800190a15b505050505050565b60115481565b600f5481565b60008061245d336115f8565b151561246857600080fd5b60015460ff161561247857600080fd5b86158015906124a8575060005460028802111580612497575060005487115b806124a857506124a5612d49565b87105b156124b257600080fd5b6014546040805160028152606060020a3002602082015260348101929092527f534146454d4f444545584954504f4c49435900000000000000000000000000006054830152606682018990526086820188905260a6820187905260c68201869052519081900360e6019020915061252c33838588886127a9565b600c889055600d87905560408051338152600160a060020a0383166020820152808201859052606081018a90526080810189905290519192507f6f93e809bff5029b5ba522a81799e1b4233d5423718442a9825e2baba507023a919081900360a00190a150505050505050565b6000806125a5336115f8565b15156125b057600080fd5b6125b9866115f8565b156125c357600080fd5b6014546040805160028152606060020a308102602083015260348201939093527f4144445349474e455200000000000000000000000000000000000000000000006054820152600160a060020a038916909202605d8301526071820187905260918201869052519081900360b1019020915061264286838588886127a9565b600080546001810182559080527f290decd9548b62a8d60345a988386fc84ba6bc95484008f6362f93160ef3e563018054600160a060020a03808a16600160a060020a031990921682179092556040805133815292841660208401528281018690526060830191909152519192507f8d4db7cafe0cd276d052184a7603708f25d106af8374032361020e24e00d5f81919081900360800190a1505050505050565b6126ec336115f8565b15156126f757600080fd5b60015460ff1615156127275761270b6119f7565b600e55600d541561271e57600d54612723565b6202a3005b600f555b601054156127685760006010556040805133815290517fae68866f842931ae3fc783d67b67d3a5c6afe9881dd83b271db39f706e2853599181900360200190a15b6001805460ff1916811790556040805133815290517f0909e8f76a4fd3e970f2eaef56c0ee6dfaf8b87c5b8d3f56ffce78e825a911579181900360200190a1565b60015460009060ff1680156127c457506127c2866115f8565b155b156127ce57600080fd5b428310156127db57600080fd5b6127e482612915565b506127ef8585612d4e565b9695505050505050565b60008681526012602090815260409091208054600160a060020a031916600160a060020a038816178155600181018690558451909161283f916002840191870190612e68565b50600381018054600160a060020a03808616600160a060020a031992831617909255600483018054928516929091169190911790556011544201600582015560138054906128909060018301612e2f565b600682018190556013805489929081106128a657fe5b60009182526020918290200191909155600582015460408051338152600160a060020a038616938101939093528281018a90526060830191909152517fa6c7f7ab3e7ad6cdfd5329cb9133e001ddd18432fb7a862baa9c75122dfc2e439181900360800190a150505050505050565b6000806000612923336115f8565b151561292e57600080fd5b5060009050805b600a8110156129895783600282600a811061294c57fe5b0154141561295957600080fd5b600282600a811061296657fe5b0154600282600a811061297557fe5b01541015612981578091505b600101612935565b600282600a811061299657fe5b01548410156129a457600080fd5b83600283600a81106129b257fe5b0155509092915050565b60008060008060008560410287511415156129d657600080fd5b60009250600091505b85821015612a94576129f2888884612d8e565b90506129fd816115f8565b1515612a0857600080fd5b600160a060020a038116331415612a1e57600080fd5b600160a060020a0380841690821611612a3657600080fd5b811515612a41578093505b60408051898152600160a060020a0383166020820152815192945084927ffe6342cb73878b2f66e273e88638ae324ada4807a8e591ed49440d42b3992a48929181900390910190a16001909101906129df565b50919695505050505050565b6000612aaf87898487876127a9565b905060006011541115612ad057612acb888888886000866127f9565b61218a565b86600160a060020a0316868660405180828051906020019080838360005b83811015612b06578181015183820152602001612aee565b50505050905090810190601f168015612b335780820380516001836020036101000a031916815260200191505b5091505060006040518083038185876185025a03f1925050501515612b5757600080fd5b7f59bed9ab5d78073465dd642a9e3e76dfdb7d53bcae9d09df7d0b8f5234d5a80633828a8a8a8a6040518087600160a060020a0316600160a060020a0316815260200186600160a060020a0316600160a060020a03168152602001856000191660001916815260200184600160a060020a0316600160a060020a0316815260200183815260200180602001828103825283818151815260200191508051906020019080838360005b83811015612c17578181015183820152602001612bff565b50505050905090810190601f168015612c445780820380516001836020036101000a031916815260200191505b5097505050505050505060405180910390a15050505050505050565b6000805b600054811015612cb25782600160a060020a0316600082815481101515612c8757fe5b600091825260209091200154600160a060020a03161415612caa57809150611398565b600101612c64565b600080fd5b600081815260126020526040902060060154601380549091908110612cd857fe5b6000918252602080832090910182905582825260129052604081208054600160a060020a03191681556001810182905590612d166002830182612ee2565b50600381018054600160a060020a0319908116909155600482018054909116905560006005820181905560069091015550565b600290565b600080612d5b84846113aa565b9050612d66816115f8565b1515612d7157600080fd5b600160a060020a038116331415612d8757600080fd5b9392505050565b6041808202838101602081015160408201519190930151600093919060ff16601b811015612dba57601b015b6040805160008082526020808301845291830181905282518b815260ff85168184015280840187905260608101869052925160019360808082019493601f19840193928390039091019190866161da5a03f1158015612e1857600080fd5b5050604051601f1901519998505050505050505050565b815481835581811115612e5357600083815260209020612e53918101908301612f29565b505050565b60405161030f80612f4483390190565b828054600181600116156101000203166002900490600052602060002090601f016020900481019282601f10612ea957805160ff1916838001178555612ed6565b82800160010185558215612ed6579182015b82811115612ed6578251825591602001919060010190612ebb565b50611ee3929150612f29565b50805460018160011615610100020316600290046000825580601f10612f085750612f26565b601f016020900490600052602060002090810190612f269190612f29565b50565b611a3f91905b80821115611ee35760008155600101612f2f5600608060405234801561001057600080fd5b5060008054600160a060020a031916331790556102dd806100326000396000f30060806040526004361061003d5763ffffffff60e060020a6000350416633ef1336781146100735780636b9f96ea14610094578063ca325469146100a9575b60008054604051600160a060020a03909116913480156108fc02929091818181858888f19350505050151561007157600080fd5b005b34801561007f57600080fd5b50610071600160a060020a03600435166100da565b3480156100a057600080fd5b5061007161026b565b3480156100b557600080fd5b506100be6102a2565b60408051600160a060020a039092168252519081900360200190f35b600080548190600160a060020a031633146100f457600080fd5b82915081600160a060020a03166370a08231306000604051602001526040518263ffffffff1660e060020a0281526004018082600160a060020a0316600160a060020a03168152602001915050602060405180830381600087803b15801561015b57600080fd5b5060325a03f115801561016d57600080fd5b5050604051519250505080151561018357610266565b6000805460408051602090810184905281517fa9059cbb000000000000000000000000000000000000000000000000000000008152600160a060020a0393841660048201526024810186905291519286169363a9059cbb936044808501949192918390030190829087803b1580156101fa57600080fd5b5060325a03f115801561020c57600080fd5b50506040515115159150610221905057600080fd5b60408051600160a060020a03851681526020810183905281517f9401e4e79c19cbe2bd774cb70a94ba660e6718be1bac1298ab3b07f454a60821929181900390910190a15b505050565b60008054604051600160a060020a0390911691303180156108fc02929091818181858888f1935050505015156102a057600080fd5b565b600054600160a060020a0316815600a165627a7a7230582062c0487b2b82887dc33cbb34f693ed96e566ec44de90151da02525ab7675e6030029a165627a7a723058202f72e753df9e6670aca8bc1da2ac3ccdcb1ac9201c1275d1c4b7db23c91073930029",
     address: "",
     generated_with: "2.0.9",
     contract_name: "WalletSimple"
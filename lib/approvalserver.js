@@ -0,0 +1,197 @@
+var assert = require('assert');
+var crypto = require('crypto');
+var http = require('http');
+var url = require('url');
+var Promise = require('bluebird');
+
+var ApprovalService = require('./approvalservice');
+var ApprovalError = ApprovalService.ApprovalError;
+
+// Largest request body accepted, which is plenty for a proposal with calldata
+var MAX_BODY_LENGTH = 1024 * 1024;
+
+// Interface the server listens on unless another is given
+var DEFAULT_HOST = '127.0.0.1';
+exports.DEFAULT_HOST = DEFAULT_HOST;
+
+// Reads and parses the JSON body of a request. An empty body is an empty object.
+var readBody = function(req) {
+  return new Promise(function(resolve, reject) {
+    var body = '';
+    req.setEncoding('utf8');
+    req.on('data', function(chunk) {
+      body += chunk;
+      if (body.length > MAX_BODY_LENGTH) {
+        reject(new ApprovalError('request body too large', 413));
+        req.destroy();
+      }
+    });
+    req.on('end', function() {
+      var parsed;
+      try {
+        parsed = body ? JSON.parse(body) : {};
+      } catch (e) {
+        return reject(new ApprovalError('request body must be JSON'));
+      }
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        return reject(new ApprovalError('request body must be a JSON object'));
+      }
+      resolve(parsed);
+    });
+    req.on('error', reject);
+  });
+};
+
+/**
+ * Routes of the API. Each matches the method and path of a request, and takes the service, the path parameters, the
+ * query and the parsed body. It returns the response body or a promise for it. Routes which change a proposal other
+ * than by a signature, which the service checks, or which send a transaction need the token of the server.
+ */
+var routes = [
+  {
+    method: 'POST', path: /^\/operations$/, authenticated: true,
+    handle: function(service, params, query, body) {
+      return service.propose(body);
+    }
+  },
+  {
+    method: 'GET', path: /^\/operations$/,
+    handle: function(service, params, query) {
+      return service.list({ wallet: query.wallet, status: query.status });
+    }
+  },
+  {
+    method: 'GET', path: /^\/operations\/(0x[0-9a-fA-F]{64})$/,
+    handle: function(service, params) {
+      return service.get(params[0]);
+    }
+  },
+  {
+    method: 'DELETE', path: /^\/operations\/(0x[0-9a-fA-F]{64})$/, authenticated: true,
+    handle: function(service, params) {
+      return service.cancel(params[0]);
+    }
+  },
+  {
+    method: 'POST', path: /^\/operations\/(0x[0-9a-fA-F]{64})\/signatures$/,
+    handle: function(service, params, query, body) {
+      if (!body.signature) {
+        throw new ApprovalError('signature is required');
+      }
+      return service.addSignature(params[0], body.signature);
+    }
+  },
+  {
+    method: 'GET', path: /^\/operations\/(0x[0-9a-fA-F]{64})\/call$/,
+    handle: function(service, params) {
+      return service.buildCall(params[0]);
+    }
+  },
+  {
+    method: 'POST', path: /^\/operations\/(0x[0-9a-fA-F]{64})\/submit$/, authenticated: true,
+    handle: function(service, params) {
+      return service.submit(params[0]);
+    }
+  }
+];
+
+// Finds the route of a request and its path parameters. Throws a 404 or 405 ApprovalError if none matches.
+var findRoute = function(method, pathname) {
+  var pathMatched = false;
+  for (var i = 0; i < routes.length; i++) {
+    var match = routes[i].path.exec(pathname);
+    if (match) {
+      pathMatched = true;
+      if (routes[i].method === method) {
+        return { route: routes[i], params: match.slice(1) };
+      }
+    }
+  }
+  throw pathMatched ? new ApprovalError('method not allowed', 405) : new ApprovalError('not found', 404);
+};
+
+// Hashes a token, so that tokens are compared in time independent of how much of them matches
+var hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Throws a 401 ApprovalError unless the request carries the token as 'Authorization: Bearer <token>'
+var checkToken = function(req, tokenHash) {
+  var match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  if (!match || hashToken(match[1]) !== tokenHash) {
+    throw new ApprovalError('a valid token is required (Authorization: Bearer <token>)', 401);
+  }
+};
+
+var sendJson = function(res, status, body) {
+  var json = JSON.stringify(body, null, 2);
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(json) });
+  res.end(json);
+};
+
+/**
+ * Creates an HTTP server exposing an ApprovalService as a JSON API, to be started with listen below. Proposing,
+ * cancelling and submitting need the token given here, sent as 'Authorization: Bearer <token>'. Anyone who can reach
+ * the server can read proposals and add signatures, which the service only accepts from signers.
+ *
+ *   POST   /operations                   propose a transaction: { wallet, to, value, data, expireTime, sequenceId,
+ *                                        typed, proposer } (token)
+ *   GET    /operations?wallet=&status=   list proposals
+ *   GET    /operations/:hash             get a proposal
+ *   POST   /operations/:hash/signatures  add a signature: { signature }
+ *   GET    /operations/:hash/call        the executeAndConfirm or sendMultiSig call of a ready proposal
+ *   POST   /operations/:hash/submit      send a ready proposal from the proposer's account on the node (token)
+ *   DELETE /operations/:hash             cancel a proposal (token)
+ *
+ * Responses are the JSON results of the service methods. Errors are { error } with the status of the ApprovalError,
+ * or 500 for anything else (e.g. the node rejecting the transaction).
+ *
+ * @param service the ApprovalService
+ * @param params.token secret that the signers allowed to propose, cancel and submit share
+ * @returns http.Server
+ */
+exports.createServer = function(service, params) {
+  assert(params && params.token, 'a token is required');
+  var tokenHash = hashToken(params.token);
+
+  var server = http.createServer(function(req, res) {
+    var requestUrl = url.parse(req.url, true);
+    Promise.try(function() {
+      var found = findRoute(req.method, requestUrl.pathname);
+      if (found.route.authenticated) {
+        checkToken(req, tokenHash);
+      }
+      return readBody(req)
+      .then(function(body) {
+        return found.route.handle(service, found.params, requestUrl.query, body);
+      });
+    })
+    .then(function(result) {
+      sendJson(res, req.method === 'POST' && requestUrl.pathname === '/operations' ? 201 : 200, result);
+    })
+    .catch(function(err) {
+      sendJson(res, err instanceof ApprovalError ? err.status : 500, { error: err.message });
+    });
+  });
+  return server;
+};
+
+/**
+ * Starts an approval server. Unlike server.listen, which binds to all interfaces when no host is given, this listens on
+ * DEFAULT_HOST (127.0.0.1) unless another host is given.
+ *
+ * @param server http.Server returned by createServer
+ * @param port port to listen on, or 0 for any free port
+ * @param host interface to listen on (optional, DEFAULT_HOST by default)
+ * @returns promise for the server, once it is listening
+ */
+exports.listen = function(server, port, host) {
+  return Promise.fromCallback(function(callback) {
+    server.once('error', callback);
+    server.listen(port, host || DEFAULT_HOST, function() {
+      server.removeListener('error', callback);
+      callback();
+    });
+  })
+  .return(server);
+};
@@ -0,0 +1,386 @@
+var assert = require('assert');
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+var _ = require('lodash');
+var abi = require('ethereumjs-abi');
+var util = require('ethereumjs-util');
+var BN = require('bn.js');
+
+var operation = require('./operation');
+var signatures = require('./signatures');
+var verify = require('./verify');
+var walletUtil = require('./util');
+var MemoryStore = require('./stores/memorystore');
+var SequenceIdManager = require('./sequenceidmanager');
+var WalletClient = require('./wallet');
+var WalletSimpleThresholdClient = require('./walletsimplethreshold');
+
+// Argument types of executeAndConfirm, sendMultiSig and their typed data variants
+var SEND_TYPES = [ "address", "uint256", "bytes", "uint256", "uint256", "bytes" ];
+
+/**
+ * Error for a request the service can not carry out, e.g. an invalid signature. status is the HTTP status code that
+ * lib/approvalserver.js responds with.
+ */
+var ApprovalError = function(message, status) {
+  this.name = 'ApprovalError';
+  this.message = message;
+  this.status = status || 400;
+};
+ApprovalError.prototype = Object.create(Error.prototype);
+ApprovalError.prototype.constructor = ApprovalError;
+
+/**
+ * Collects the signatures of the other signers for transactions proposed by a signer of a Wallet, WalletSimple or
+ * WalletSimpleThreshold, instead of passing signatures around by hand.
+ *
+ * A proposal computes the operation hash for the signers to sign. Each signature is checked against the wallet's
+ * current signers (owners for Wallet) as it is added. Once enough signatures are collected, the proposal is ready
+ * and the executeAndConfirm or sendMultiSig call can be built, or sent by the proposer's account on the node.
+ * Proposals are kept in the store, and their sequence ids are reserved with a SequenceIdManager in the same store.
+ *
+ * @param params.clients array of WalletClient, WalletSimpleClient or WalletSimpleThresholdClient of the wallets served
+ * @param params.store (optional) store with get(key) and set(key, value) promise methods. Defaults to a MemoryStore.
+ */
+var ApprovalService = function(params) {
+  assert(params.clients && params.clients.length);
+
+  var self = this;
+  self.store = params.store || new MemoryStore();
+  self.wallets = {};
+  params.clients.forEach(function(client) {
+    self.wallets[client.address.toLowerCase()] = {
+      client: client,
+      sequenceIds: new SequenceIdManager({ client: client, store: self.store })
+    };
+  });
+  // Changes are queued so that concurrent signatures for the same proposal are not lost
+  this.queue = Promise.resolve();
+};
+
+ApprovalService.ApprovalError = ApprovalError;
+
+// Runs fn after all previously queued operations have completed
+ApprovalService.prototype.enqueue = function(fn) {
+  var result = this.queue.then(fn);
+  this.queue = result.catch(function() {});
+  return result;
+};
+
+// Gets the client and sequence id manager of a served wallet
+ApprovalService.prototype.getWallet = function(walletAddress) {
+  var wallet = this.wallets[String(walletAddress).toLowerCase()];
+  if (!wallet) {
+    throw new ApprovalError('unknown wallet ' + walletAddress, 404);
+  }
+  return wallet;
+};
+
+// Gets the persisted proposals of a wallet
+ApprovalService.prototype.getProposals = co(function *(walletAddress) {
+  var state = yield this.store.get('approvals:' + walletAddress.toLowerCase());
+  return (state && state.proposals) || [];
+});
+
+ApprovalService.prototype.setProposals = function(walletAddress, proposals) {
+  return this.store.set('approvals:' + walletAddress.toLowerCase(), { proposals: proposals });
+};
+
+// Finds a proposal by its operation hash in all served wallets
+ApprovalService.prototype.findProposal = co(function *(operationHash) {
+  var id = String(operationHash).toLowerCase();
+  for (var walletAddress in this.wallets) {
+    var proposals = yield this.getProposals(walletAddress);
+    var proposal = _.find(proposals, { operationHash: id });
+    if (proposal) {
+      return { walletAddress: walletAddress, proposals: proposals, proposal: proposal };
+    }
+  }
+  throw new ApprovalError('unknown operation ' + operationHash, 404);
+});
+
+// Updates a proposal found with findProposal
+ApprovalService.prototype.saveProposal = function(found) {
+  return this.setProposals(found.walletAddress, found.proposals.map(function(proposal) {
+    return proposal.operationHash === found.proposal.operationHash ? found.proposal : proposal;
+  }));
+};
+
+// Checks whether an address may sign for the wallet: an owner of a Wallet, or a signer of a WalletSimple
+var isSigner = function(client, address) {
+  return client instanceof WalletClient ? client.isOwner(address) : client.isSigner(address);
+};
+
+// Gets the number of signatures needed besides the proposer's. A WalletSimple needs 1.
+var getRequired = co(function *(client) {
+  if (!(client instanceof WalletClient) && !(client instanceof WalletSimpleThresholdClient)) {
+    return 1;
+  }
+  var required = (yield client.getRequired()) - 1;
+  if (client instanceof WalletClient && required !== 1) {
+    // The other owners would have to confirm on the wallet themselves
+    throw new ApprovalError('executeAndConfirm carries the signature of a single other owner, but the wallet requires ' +
+      (required + 1) + ' owners');
+  }
+  return required;
+});
+
+/**
+ * Proposes a transaction for the other signers to approve. The sequence id is reserved, whether it is given or the
+ * next free one.
+ *
+ * @param params.wallet address of the wallet sending the transaction
+ * @param params.to destination address
+ * @param params.value amount in wei
+ * @param params.data (optional) hex string of the data to send
+ * @param params.expireTime number of seconds since 1970 for which the transaction is valid
+ * @param params.sequenceId (optional) unique sequence id, at least the wallet's next sequence id and not reserved
+ * @param params.typed (optional) true to collect signatures of the typed data (eth_signTypedData) instead of the hash
+ * @param params.proposer signer (owner for Wallet) who proposes, and later sends, the transaction
+ * @returns promise for the proposal: { operationHash, wallet, to, value, data, expireTime, sequenceId, typed,
+ *          typedData (if typed), proposer, required, signatures, status, createdAt }. required is the number of
+ *          signatures needed besides the proposer's, and status is pending, ready, sent or cancelled. A Wallet must
+ *          require 2 owners, as executeAndConfirm carries a single signature.
+ */
+ApprovalService.prototype.propose = function(params) {
+  var self = this;
+  return self.enqueue(co(function *() {
+    if (!params.wallet || !params.to || !params.expireTime || !params.proposer) {
+      throw new ApprovalError('wallet, to, expireTime and proposer are required');
+    }
+    var wallet = self.getWallet(params.wallet);
+    var client = wallet.client;
+    if (params.expireTime < Math.floor(new Date().getTime() / 1000)) {
+      throw new ApprovalError('expireTime is in the past');
+    }
+    if (!(yield isSigner(client, params.proposer))) {
+      throw new ApprovalError('proposer ' + params.proposer + ' is not a signer on the wallet', 403);
+    }
+
+    var proposal = {
+      wallet: client.address,
+      typed: !!params.typed,
+      proposer: params.proposer.toLowerCase(),
+      required: yield getRequired(client),
+      signatures: [],
+      status: 'pending',
+      createdAt: Math.floor(new Date().getTime() / 1000)
+    };
+    try {
+      if (!util.isValidAddress(params.to)) {
+        throw new Error('to must be an address');
+      }
+      _.extend(proposal, {
+        to: params.to.toLowerCase(),
+        value: walletUtil.toWeiString(params.value),
+        data: walletUtil.toHexData(params.data),
+        expireTime: parseInt(params.expireTime, 10)
+      });
+    } catch (e) {
+      throw new ApprovalError(e.message);
+    }
+
+    var sequenceId;
+    if (!_.isNil(params.sequenceId)) {
+      sequenceId = Number(params.sequenceId);
+      if (isNaN(sequenceId) || sequenceId < 1 || sequenceId % 1 !== 0) {
+        throw new ApprovalError('sequenceId must be a positive integer');
+      }
+    }
+    try {
+      proposal.sequenceId = yield wallet.sequenceIds.reserve(sequenceId);
+    } catch (e) {
+      throw new ApprovalError(e.message, 409);
+    }
+    yield client.getNetworkId();
+    if (proposal.typed) {
+      proposal.typedData = client.getTypedOperationData(proposal);
+      proposal.operationHash = operation.hashTypedData(proposal.typedData);
+    } else {
+      proposal.operationHash = client.getOperationHash(proposal);
+    }
+    // A cancelled proposal releases its sequence id, but keeps its operation hash
+    var proposals = yield self.getProposals(client.address);
+    if (_.find(proposals, { operationHash: proposal.operationHash })) {
+      yield wallet.sequenceIds.release(proposal.sequenceId);
+      throw new ApprovalError('operation ' + proposal.operationHash + ' was proposed already', 409);
+    }
+
+    proposals.push(proposal);
+    yield self.setProposals(client.address, proposals);
+    return proposal;
+  }));
+};
+
+/**
+ * Gets a proposal by its operation hash
+ *
+ * @returns promise for the proposal (see propose)
+ */
+ApprovalService.prototype.get = function(operationHash) {
+  var self = this;
+  return self.enqueue(function() {
+    return self.findProposal(operationHash)
+    .then(function(found) {
+      return found.proposal;
+    });
+  });
+};
+
+/**
+ * Lists the proposals of the served wallets
+ *
+ * @param params.wallet (optional) only list the proposals of this wallet
+ * @param params.status (optional) only list the proposals with this status
+ * @returns promise for an array of proposals, oldest first
+ */
+ApprovalService.prototype.list = function(params) {
+  params = params || {};
+  var self = this;
+  return self.enqueue(co(function *() {
+    var walletAddresses = params.wallet ? [self.getWallet(params.wallet).client.address] : _.keys(self.wallets);
+    var proposals = _.flatten(yield Promise.all(walletAddresses.map(function(walletAddress) {
+      return self.getProposals(walletAddress);
+    })));
+    return _.sortBy(params.status ? _.filter(proposals, { status: params.status }) : proposals, 'createdAt');
+  }));
+};
+
+/**
+ * Adds the signature of another signer to a proposal. The signature is rejected unless it recovers to a current
+ * signer of the wallet (owner for Wallet) other than the proposer, who has not signed already.
+ *
+ * @param operationHash the operation hash of the proposal
+ * @param signature 0x-prefixed hex string of the 65 byte signature of the operation hash
+ * @returns promise for the updated proposal, whose status is ready once enough signatures are collected
+ */
+ApprovalService.prototype.addSignature = function(operationHash, signature) {
+  var self = this;
+  return self.enqueue(co(function *() {
+    var found = yield self.findProposal(operationHash);
+    var proposal = found.proposal;
+    if (proposal.status !== 'pending') {
+      throw new ApprovalError('operation is ' + proposal.status + ', not pending', 409);
+    }
+    if (proposal.expireTime < Math.floor(new Date().getTime() / 1000)) {
+      throw new ApprovalError('operation has expired', 409);
+    }
+
+    var signer;
+    try {
+      signer = verify.recoverAddress(proposal.operationHash, String(signature));
+    } catch (e) {
+      throw new ApprovalError(e.message);
+    }
+    if (!(yield isSigner(self.getWallet(found.walletAddress).client, signer))) {
+      throw new ApprovalError('signature is not from a signer on the wallet (recovered ' + signer + ')', 403);
+    }
+    if (signer === proposal.proposer) {
+      throw new ApprovalError('the proposer can not approve their own operation', 403);
+    }
+    if (_.find(proposal.signatures, { signer: signer })) {
+      throw new ApprovalError(signer + ' has signed already', 409);
+    }
+
+    proposal.signatures.push({ signer: signer, signature: util.addHexPrefix(String(signature)) });
+    if (proposal.signatures.length >= proposal.required) {
+      proposal.status = 'ready';
+    }
+    yield self.saveProposal(found);
+    return proposal;
+  }));
+};
+
+/**
+ * Builds the call that sends a ready proposal: executeAndConfirm for a Wallet, sendMultiSig for a WalletSimple, or
+ * their typed data variants. The signatures of a WalletSimpleThreshold are packed in the order it expects.
+ *
+ * @param operationHash the operation hash of the proposal
+ * @returns promise for { from, to, method, args, data }, where from is the proposer, to is the wallet and data is the
+ *          ABI-encoded calldata
+ */
+ApprovalService.prototype.buildCall = function(operationHash) {
+  var self = this;
+  return self.enqueue(co(function *() {
+    var found = yield self.findProposal(operationHash);
+    return self.getCall(found.proposal);
+  }));
+};
+
+// Builds the call of a ready proposal (see buildCall)
+ApprovalService.prototype.getCall = function(proposal) {
+  if (proposal.status !== 'ready') {
+    throw new ApprovalError('operation is ' + proposal.status + ', not ready', 409);
+  }
+  var client = this.getWallet(proposal.wallet).client;
+  var method = client instanceof WalletClient ? 'executeAndConfirm' : 'sendMultiSig';
+  if (proposal.typed) {
+    method += 'Typed';
+  }
+  var signature = proposal.signatures.length > 1 ?
+    signatures.packSignatures(proposal.operationHash, _.map(proposal.signatures, 'signature')) :
+    proposal.signatures[0].signature;
+  var args = [proposal.to, proposal.value, proposal.data, proposal.expireTime, proposal.sequenceId, signature];
+  return {
+    from: proposal.proposer,
+    to: proposal.wallet,
+    method: method,
+    args: args,
+    data: util.bufferToHex(Buffer.concat([
+      abi.methodID(method, SEND_TYPES),
+      abi.rawEncode(SEND_TYPES, [
+        new BN(util.stripHexPrefix(proposal.to), 16),
+        new BN(proposal.value, 10),
+        util.toBuffer(proposal.data),
+        new BN(proposal.expireTime),
+        new BN(proposal.sequenceId),
+        util.toBuffer(signature)
+      ])
+    ]))
+  };
+};
+
+/**
+ * Sends a ready proposal from the proposer's account on the connected node
+ *
+ * @param operationHash the operation hash of the proposal
+ * @returns promise for the updated proposal, with status sent and the txHash of the transaction
+ */
+ApprovalService.prototype.submit = function(operationHash) {
+  var self = this;
+  return self.enqueue(co(function *() {
+    var found = yield self.findProposal(operationHash);
+    var proposal = found.proposal;
+    var call = self.getCall(proposal);
+    var wallet = self.getWallet(proposal.wallet);
+
+    proposal.txHash = yield wallet.client.wallet[call.method].apply(wallet.client.wallet, call.args.concat([{ from: call.from }]));
+    proposal.status = 'sent';
+    yield self.saveProposal(found);
+    yield wallet.sequenceIds.confirm(proposal.sequenceId);
+    return proposal;
+  }));
+};
+
+/**
+ * Cancels a proposal which has not been sent, and releases its sequence id
+ *
+ * @param operationHash the operation hash of the proposal
+ * @returns promise for the updated proposal, with status cancelled
+ */
+ApprovalService.prototype.cancel = function(operationHash) {
+  var self = this;
+  return self.enqueue(co(function *() {
+    var found = yield self.findProposal(operationHash);
+    var proposal = found.proposal;
+    if (proposal.status === 'sent' || proposal.status === 'cancelled') {
+      throw new ApprovalError('operation is ' + proposal.status + ' already', 409);
+    }
+    proposal.status = 'cancelled';
+    yield self.saveProposal(found);
+    yield self.getWallet(proposal.wallet).sequenceIds.release(proposal.sequenceId);
+    return proposal;
+  }));
+};
+
+module.exports = ApprovalService;
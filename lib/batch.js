@@ -0,0 +1,115 @@
+/*
+  Builder for batch payouts (WalletSimple.sendMultiSigBatch) from a CSV of address,amount lines, e.g.
+
+    address,amount
+    0x8ba1f109551bd432803012645ac136ddd64dba72,1500000000000000000
+    0xab5801a7d398351b8be11c439e05c5b3259aec9b,250000000000000000
+
+  The header line is optional. Blank lines and lines starting with # are ignored.
+  Like lib/operation.js, no node connection is required to build and sign a batch.
+ */
+var util = require('ethereumjs-util');
+var BN = require('bn.js');
+
+var operation = require('./operation');
+
+// Number of decimal places of amounts given in ether
+var ETHER_DECIMALS = 18;
+
+// Converts an amount in the given unit (wei or ether) into a decimal string of wei
+var toWei = function(amount, unit) {
+  if (unit === 'ether') {
+    var match = /^([0-9]*)(?:\.([0-9]*))?$/.exec(amount);
+    var fraction = (match && match[2]) || '';
+    if (!match || (!match[1] && !fraction) || fraction.length > ETHER_DECIMALS) {
+      throw new Error('invalid amount ' + amount);
+    }
+    while (fraction.length < ETHER_DECIMALS) {
+      fraction += '0';
+    }
+    return new BN((match[1] || '0') + fraction, 10).toString(10);
+  }
+  if (!/^[0-9]+$/.test(amount)) {
+    throw new Error('invalid amount ' + amount);
+  }
+  return new BN(amount, 10).toString(10);
+};
+
+/**
+ * Parses a CSV of address,amount lines
+ *
+ * @param csv the CSV as a string or Buffer
+ * @param options.unit (optional) unit of the amounts, wei or ether (default: wei)
+ * @returns array of { to, value }, in the order of the lines, where value is a decimal string of wei
+ */
+exports.parseCsv = function(csv, options) {
+  var unit = (options && options.unit) || 'wei';
+  if (unit !== 'wei' && unit !== 'ether') {
+    throw new Error('unit must be wei or ether');
+  }
+
+  var payouts = [];
+  String(csv).split(/\r?\n/).forEach(function(line, index) {
+    line = line.trim();
+    if (!line || line.charAt(0) === '#' || (!payouts.length && /^"?address"?\s*,\s*"?amount"?$/i.test(line))) {
+      return;
+    }
+    var fields = line.split(',').map(function(field) {
+      return field.trim().replace(/^"(.*)"$/, '$1');
+    });
+    var lineError = function(message) {
+      return new Error('line ' + (index + 1) + ': ' + message);
+    };
+    if (fields.length !== 2) {
+      throw lineError('expected address,amount but got ' + line);
+    }
+    if (!util.isValidAddress(fields[0])) {
+      throw lineError('invalid address ' + fields[0]);
+    }
+    var value;
+    try {
+      value = toWei(fields[1], unit);
+    } catch (err) {
+      throw lineError(err.message);
+    }
+    if (value === '0') {
+      throw lineError('amount must be greater than 0');
+    }
+    payouts.push({ to: fields[0], value: value });
+  });
+  if (!payouts.length) {
+    throw new Error('the CSV has no payouts');
+  }
+  return payouts;
+};
+
+/**
+ * Builds and signs a batch from a CSV of address,amount lines. The result can be passed on to the sender of the
+ * batch, who adds params.from and calls WalletSimpleClient.sendMultiSigBatch with it.
+ *
+ * @param params.walletAddress address of the wallet sending the batch
+ * @param params.networkId the network ID the wallet was deployed with
+ * @param params.csv the CSV as a string or Buffer
+ * @param params.unit (optional) unit of the amounts, wei or ether (default: wei)
+ * @param params.expireTime number of seconds since 1970 for which the batch is valid
+ * @param params.sequenceId the unique sequence id
+ * @param privateKey hex string or Buffer of the 32 byte private key of the signer
+ * @returns object with the walletAddress, networkId, recipients, values (decimal strings of wei), total (decimal string of
+ *          wei), expireTime, sequenceId, and the operationHash and signature as 0x-prefixed hex strings
+ */
+exports.buildBatch = function(params, privateKey) {
+  var payouts = exports.parseCsv(params.csv, { unit: params.unit });
+  var batch = {
+    walletAddress: params.walletAddress,
+    networkId: params.networkId,
+    recipients: payouts.map(function(payout) { return payout.to; }),
+    values: payouts.map(function(payout) { return payout.value; }),
+    total: payouts.reduce(function(total, payout) { return total.add(new BN(payout.value, 10)); }, new BN(0)).toString(10),
+    expireTime: params.expireTime,
+    sequenceId: params.sequenceId
+  };
+  var signed = operation.signBatchOperation(batch, privateKey);
+  batch.operationHash = signed.operationHash;
+  batch.signature = signed.signature;
+  return batch;
+};
@@ -0,0 +1,299 @@
+/*
+  Human readable decoding of calldata, so that approvers can see which function a pending transaction calls and with
+  which arguments, rather than confirming raw bytes.
+
+  Calldata is matched by its function selector against a registry of ABIs. When the decoded function makes a call of
+  its own - Wallet execute, executeAndConfirm and executeAndConfirmTyped, or sendMultiSig and sendMultiSigTyped on
+  WalletSimple and WalletSimpleThreshold - the data of that call is decoded in turn. A call to confirm on another Wallet
+  only carries the operation hash, so with a web3 instance the operation is looked up in that wallet's pending
+  transactions and decoded too.
+ */
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+var _ = require('lodash');
+var abi = require('ethereumjs-abi');
+var util = require('ethereumjs-util');
+
+// Functions of the ERC20 token standard (see https://github.com/ethereum/EIPs/issues/20)
+var ERC20_ABI = [
+  { type: 'function', name: 'totalSupply', inputs: [], outputs: [{ name: 'totalSupply', type: 'uint256' }], constant: true },
+  { type: 'function', name: 'balanceOf', inputs: [{ name: '_owner', type: 'address' }], outputs: [{ name: 'balance', type: 'uint256' }], constant: true },
+  { type: 'function', name: 'transfer', inputs: [{ name: '_to', type: 'address' }, { name: '_value', type: 'uint256' }], outputs: [{ name: 'success', type: 'bool' }], constant: false },
+  { type: 'function', name: 'transferFrom', inputs: [{ name: '_from', type: 'address' }, { name: '_to', type: 'address' }, { name: '_value', type: 'uint256' }], outputs: [{ name: 'success', type: 'bool' }], constant: false },
+  { type: 'function', name: 'approve', inputs: [{ name: '_spender', type: 'address' }, { name: '_value', type: 'uint256' }], outputs: [{ name: 'success', type: 'bool' }], constant: false },
+  { type: 'function', name: 'allowance', inputs: [{ name: '_owner', type: 'address' }, { name: '_spender', type: 'address' }], outputs: [{ name: 'remaining', type: 'uint256' }], constant: true }
+];
+
+// Calls nested deeper than this are left undecoded, so a wallet confirming its own operation can not loop forever
+var MAX_DEPTH = 5;
+
+// Bytes arguments longer than this are abbreviated by format
+var MAX_FORMATTED_BYTES = 32;
+
+/**
+ * Converts a value decoded by ethereumjs-abi into a JSON value: addresses and bytes as hex strings, numbers as decimal
+ * strings
+ */
+var formatValue = function(type, value) {
+  if (/\[\d*\]$/.test(type)) {
+    var elementType = type.replace(/\[\d*\]$/, '');
+    return value.map(function(element) {
+      return formatValue(elementType, element);
+    });
+  }
+  if (type === 'address') {
+    return util.addHexPrefix(_.padStart(value.toString(16), 40, '0'));
+  }
+  if (type === 'bool' || type === 'string') {
+    return value;
+  }
+  if (Buffer.isBuffer(value)) {
+    return util.bufferToHex(value);
+  }
+  return value.toString(10);
+};
+
+// Functions of the wallets which make a call, by signature, with the positions of the destination, value and data of
+// the call among their arguments. Other functions with an address, uint and bytes argument (e.g. ERC223 transfer or
+// approveAndCall) pass the bytes to the contract they call rather than calling the address with them, so are not listed.
+var CALL_INPUTS = {
+  // Wallet
+  'execute(address,uint256,bytes)': { to: 0, value: 1, data: 2 },
+  'executeAndConfirm(address,uint256,bytes,uint256,uint256,bytes)': { to: 0, value: 1, data: 2 },
+  'executeAndConfirmTyped(address,uint256,bytes,uint256,uint256,bytes)': { to: 0, value: 1, data: 2 },
+  // WalletSimple and WalletSimpleThreshold
+  'sendMultiSig(address,uint256,bytes,uint256,uint256,bytes)': { to: 0, value: 1, data: 2 },
+  'sendMultiSigTyped(address,uint256,bytes,uint256,uint256,bytes)': { to: 0, value: 1, data: 2 }
+};
+
+/**
+ * Decodes calldata against a registry of contract ABIs. Wallet, WalletSimple and Forwarder ABIs are registered by
+ * passing them in params.abis (e.g. the abi of the classes from lib/contracts.js). The ERC20 functions are always
+ * registered.
+ *
+ * @param params.abis (optional) object of ABIs by contract name, e.g. { Wallet: contracts.Wallet.abi }
+ * @param params.web3 (optional) web3 instance, used to look up the operations confirmed by calls to confirm
+ */
+var CalldataDecoder = function(params) {
+  params = params || {};
+  var self = this;
+  self.web3 = params.web3;
+  self.functions = {};
+  self.walletAbi = undefined;
+  self.register('ERC20', ERC20_ABI);
+  _.each(params.abis, function(contractAbi, contractName) {
+    self.register(contractName, contractAbi);
+  });
+};
+
+CalldataDecoder.ERC20_ABI = ERC20_ABI;
+
+/**
+ * Adds the functions of a contract to the registry. Functions with the same selector in several contracts (e.g.
+ * sendMultiSig in WalletSimple and WalletSimpleThreshold) are listed under all of them.
+ *
+ * @param contractName name of the contract, e.g. 'Wallet'
+ * @param contractAbi ABI of the contract
+ */
+CalldataDecoder.prototype.register = function(contractName, contractAbi) {
+  var self = this;
+  contractAbi.forEach(function(item) {
+    if (item.type !== 'function') {
+      return;
+    }
+    var types = _.map(item.inputs, 'type');
+    var selector = abi.methodID(item.name, types).toString('hex');
+    var entry = self.functions[selector] = self.functions[selector] || { abi: item, contracts: [] };
+    if (entry.contracts.indexOf(contractName) === -1) {
+      entry.contracts.push(contractName);
+    }
+  });
+  if (_.find(contractAbi, { type: 'function', name: 'getPendingTransaction' })) {
+    self.walletAbi = contractAbi;
+  }
+};
+
+/**
+ * Decodes calldata into the function called and its arguments
+ *
+ * @param data hex string or Buffer of the calldata
+ * @returns {
+ *   method: name of the function,
+ *   signature: e.g. 'transfer(address,uint256)',
+ *   contracts: names of the registered contracts with the function,
+ *   args: object of the arguments by name (addresses and bytes as hex strings, numbers as decimal strings)
+ * }, or undefined if the data is empty or the function is not in the registry
+ */
+CalldataDecoder.prototype.decode = function(data) {
+  var dataBuffer = util.toBuffer(data || '0x');
+  var entry = dataBuffer.length >= 4 && this.functions[dataBuffer.slice(0, 4).toString('hex')];
+  if (!entry) {
+    return;
+  }
+
+  var types = _.map(entry.abi.inputs, 'type');
+  var values;
+  try {
+    values = abi.rawDecode(types, dataBuffer.slice(4));
+  } catch (e) {
+    // The selector matches, but the arguments are malformed
+    return;
+  }
+  var args = {};
+  entry.abi.inputs.forEach(function(input, i) {
+    args[input.name] = formatValue(input.type, values[i]);
+  });
+  return {
+    method: entry.abi.name,
+    signature: entry.abi.name + '(' + types.join(',') + ')',
+    contracts: entry.contracts.slice(),
+    args: args
+  };
+};
+
+/**
+ * Decodes a call to a contract, and the calls it makes in turn. The operation confirmed by a call to confirm is only
+ * decoded by decodeTransaction, which looks it up on the node.
+ *
+ * @param params.to address called
+ * @param params.value amount of wei sent
+ * @param params.data hex string or Buffer of the calldata
+ * @returns { to, value, data, method, signature, contracts, args, call }, where method, signature and contracts are
+ *          undefined and args is empty if the data could not be decoded, and call is the decoded call (of the same
+ *          form) that the function makes, if any
+ */
+CalldataDecoder.prototype.decodeCall = function(params, depth) {
+  depth = depth || 0;
+  // bufferToHex gives 0 rather than 0x for an empty buffer
+  var data = '0x' + util.toBuffer(params.data || '0x').toString('hex');
+  var result = _.extend({
+    to: params.to,
+    value: String(params.value || 0),
+    data: data,
+    method: undefined,
+    signature: undefined,
+    contracts: undefined,
+    args: {}
+  }, this.decode(data));
+
+  var callInputs = result.method && CALL_INPUTS[result.signature];
+  if (callInputs && depth < MAX_DEPTH) {
+    var inputs = this.functions[data.slice(2, 10)].abi.inputs;
+    result.call = this.decodeCall({
+      to: result.args[inputs[callInputs.to].name],
+      value: result.args[inputs[callInputs.value].name],
+      data: result.args[inputs[callInputs.data].name]
+    }, depth + 1);
+  }
+  return result;
+};
+
+/**
+ * Gets a pending transaction of a Wallet by its operation hash
+ *
+ * @returns promise for { to, value, data }, or undefined if the operation is not pending or the address is not a Wallet
+ */
+CalldataDecoder.prototype.getPendingTransaction = co(function *(walletAddress, operationHash) {
+  var wallet = this.web3.eth.contract(this.walletAbi).at(walletAddress);
+  var numPendingTransactions;
+  try {
+    numPendingTransactions = yield Promise.promisify(wallet.numPendingTransactions.call, { context: wallet.numPendingTransactions })();
+  } catch (e) {
+    return;
+  }
+  // A contract without the function (or no contract at all) returns no data
+  numPendingTransactions = numPendingTransactions ? numPendingTransactions.toNumber() : 0;
+  for (var i = 0; i < numPendingTransactions; i++) {
+    var pendingTransaction = yield Promise.promisify(wallet.getPendingTransaction.call, { context: wallet.getPendingTransaction })(i);
+    if (pendingTransaction[0] === operationHash.toLowerCase()) {
+      return { to: pendingTransaction[2], value: pendingTransaction[3].toString(10), data: pendingTransaction[4] };
+    }
+  }
+});
+
+/**
+ * Decodes a call like decodeCall, and also looks up the operations confirmed by calls to confirm on a Wallet, so that
+ * the transaction being confirmed is decoded as the call. Requires params.web3 and a registered Wallet ABI; without
+ * them, this is the same as decodeCall.
+ *
+ * @param params.to address called
+ * @param params.value amount of wei sent
+ * @param params.data hex string or Buffer of the calldata
+ * @returns promise for the result of decodeCall
+ */
+CalldataDecoder.prototype.decodeTransaction = co(function *(params) {
+  var self = this;
+  var result = self.decodeCall(params);
+  if (!self.web3 || !self.walletAbi) {
+    return result;
+  }
+
+  var resolveConfirmations = co(function *(call, depth) {
+    if (!call || depth >= MAX_DEPTH) {
+      return;
+    }
+    if (call.method === 'confirm' && call.signature === 'confirm(bytes32)') {
+      var pendingTransaction = yield self.getPendingTransaction(call.to, _.values(call.args)[0]);
+      if (pendingTransaction) {
+        call.call = self.decodeCall(pendingTransaction, depth + 1);
+      }
+    }
+    yield resolveConfirmations(call.call, depth + 1);
+  });
+  yield resolveConfirmations(result, 0);
+  return result;
+});
+
+/**
+ * Decodes the call recorded by a wallet event with the destination, value and data of a transaction: ConfirmationNeeded,
+ * MultiTransact, SingleTransact and TransactionQueued on Wallet, Transacted and TransactionQueued on WalletSimple
+ *
+ * @param event decoded event, from a web3 filter or lib/events.js
+ * @returns promise for the result of decodeTransaction, or undefined if the event does not record a transaction
+ */
+CalldataDecoder.prototype.decodeEvent = function(event) {
+  var to = event.args.to || event.args.toAddress;
+  if (!to || _.isUndefined(event.args.data)) {
+    return Promise.resolve();
+  }
+  return this.decodeTransaction({ to: to, value: String(event.args.value), data: event.args.data });
+};
+
+// Formats an argument for format, abbreviating long bytes
+var formatArgument = function(value) {
+  if (_.isArray(value)) {
+    return '[' + value.map(formatArgument).join(', ') + ']';
+  }
+  var byteLength = (String(value).length - 2) / 2;
+  if (/^0x[0-9a-f]*$/i.test(value) && byteLength > MAX_FORMATTED_BYTES) {
+    return value.slice(0, 10) + '...(' + byteLength + ' bytes)';
+  }
+  return String(value);
+};
+
+/**
+ * Renders a decoded call as a line of text, e.g.
+ *   execute(_to: 0x..., _value: 0, _data: 0xa9059cbb...(68 bytes)) -> 0x...: transfer(_to: 0x..., _value: 5)
+ *
+ * @param call result of decodeCall or decodeTransaction
+ * @returns string
+ */
+CalldataDecoder.prototype.format = function(call) {
+  var text;
+  if (call.method) {
+    text = call.method + '(' + _.map(call.args, function(value, name) {
+      return name + ': ' + formatArgument(value);
+    }).join(', ') + ')';
+  } else if (call.data === '0x') {
+    text = 'no data';
+  } else {
+    text = 'unknown function ' + call.data.slice(0, 10);
+  }
+  if (call.call) {
+    var inner = call.call;
+    text += ' -> ' + inner.to + (inner.value !== '0' ? ' (' + inner.value + ' wei)' : '') + ': ' + this.format(inner);
+  }
+  return text;
+};
+
+module.exports = CalldataDecoder;
@@ -0,0 +1,800 @@
+/*
+  msig command line tool for day-to-day wallet operations.
+
+  Usage: msig <command> [options]
+
+  RPC settings are read from truffle.js (overridden by the rpc section of environments/<env>/config.js, or --rpc).
+  Wallets may be given by address or by a name configured in environments/<env>/config.js:
+      module.exports = {
+        wallets: {
+          treasury: { type: 'wallet', address: '0x...' },
+          hot: { type: 'simple', address: '0x...', networkId: '1' }
+        }
+      };
+  Signatures are only valid on the wallet and network they were made for. The offline sign commands take the wallet
+  and --network-id (the network ID the wallet was deployed with), unless the wallet config gives its networkId.
+ */
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+var _ = require('lodash');
+var minimist = require('minimist');
+
+var batch = require('./batch');
+var contracts = require('./contracts');
+var forwarderAddresses = require('./forwarderaddresses');
+var approvalServer = require('./approvalserver');
+var gasProfile = require('./gasprofile');
+var operation = require('./operation');
+var pendingOperations = require('./pendingoperations');
+var simulate = require('./simulate');
+var ApprovalService = require('./approvalservice');
+var CalldataDecoder = require('./calldata');
+var ForwarderSweeper = require('./forwardersweeper');
+var JsonFileStore = require('./stores/jsonfilestore');
+var WalletClient = require('./wallet');
+var WalletSimpleClient = require('./walletsimple');
+var WalletSimpleThresholdClient = require('./walletsimplethreshold');
+
+var DEFAULT_GAS = 4000000;
+
+var USAGE = [
+  'Usage: msig <command> [options]',
+  '',
+  'Commands:',
+  '  deploy            --type wallet --owners <a,b> --required <n> [--daily-limit <wei>] --from <address>',
+  '                    --type simple --signers <a,b,c> --from <address>',
+  '                    --type threshold --signers <a,b,c,d,e> --required <m> --from <address>',
+  '                    [--network-id <id>] defaults to the network ID of the node',
+  '  info              --wallet <name|address>',
+  '  owners            --wallet <name|address>',
+  '  pending           --wallet <name|address> [--all [--from-block <n>]]',
+  '                    --all includes owner, requirement and limit changes awaiting confirmation.',
+  '                    The data of transactions is decoded into the function called and its arguments',
+  '  execute           --wallet <name|address> --to <address> --value <wei> [--data <hex>] --from <address>',
+  '                    [--dry-run]',
+  '  confirm           --wallet <name|address> --operation <hash> --from <address> [--dry-run]',
+  '  revoke            --wallet <name|address> --operation <hash> --from <address>',
+  '  sign              --wallet <name|address> --network-id <id> --to <address> --value <wei>',
+  '                    [--data <hex> | --token <address>] --expire-time <seconds> --sequence-id <n>',
+  '                    --key-file <path> (or the MSIG_PRIVATE_KEY environment variable).',
+  '                    Does not need a node. --token signs an ERC20 transfer for sendMultiSigToken.',
+  '                    --typed signs the typed data of the transfer instead of its hash, for send-multisig --typed',
+  '  send-multisig     --wallet <name|address> --to <address> --value <wei> [--data <hex> | --token <address>]',
+  '                    [--expire-time <seconds>] [--sequence-id <n>] (--signature <hex> | --other-signer <address>)',
+  '                    --from <address>. With --token, value is in the token\'s base units (simple wallets only).',
+  '                    Threshold wallets take comma separated lists of signatures or other signers.',
+  '                    --typed sends a signature of the typed data (eth_signTypedData) instead of the hash',
+  '                    --dry-run (not with --token) reports whether it would be sent, and the reason if not',
+  '  sign-batch        --wallet <name|address> --network-id <id> --csv <file> [--unit wei|ether]',
+  '                    --expire-time <seconds> --sequence-id <n> --key-file <path> (or MSIG_PRIVATE_KEY).',
+  '                    Signs a batch of address,amount lines for send-batch. Does not need a node.',
+  '  send-batch        --wallet <name|address> --csv <file> [--unit wei|ether] [--expire-time <seconds>]',
+  '                    [--sequence-id <n>] (--signature <hex> | --other-signer <address>) --from <address>',
+  '                    pays every line of the CSV in one transaction (simple wallets only)',
+  '  sign-signer       --wallet <name|address> --network-id <id> --action add|remove|replace',
+  '                    (--signer <address> | --old-signer <address> --new-signer <address>)',
+  '                    --expire-time <seconds> --sequence-id <n> --key-file <path> (or MSIG_PRIVATE_KEY).',
+  '                    Signs a change to the signers of a simple wallet. Does not need a node.',
+  '  add-signer        --wallet <name|address> --signer <address> [--expire-time <seconds>] [--sequence-id <n>]',
+  '                    (--signature <hex> | --other-signer <address>) --from <address> (simple wallets only)',
+  '  remove-signer     --wallet <name|address> --signer <address> [--expire-time <seconds>] [--sequence-id <n>]',
+  '                    (--signature <hex> | --other-signer <address>) --from <address> (simple wallets only)',
+  '  replace-signer    --wallet <name|address> --old-signer <address> --new-signer <address> [--expire-time <seconds>]',
+  '                    [--sequence-id <n>] (--signature <hex> | --other-signer <address>) --from <address>',
+  '                    (simple wallets only)',
+  '  create-forwarder  --wallet <name|address> --from <address>',
+  '  next-forwarders   --wallet <name|address> [--count <n>]',
+  '                    addresses of the next forwarders the wallet will create, which can receive funds already',
+  '  flush             --forwarder <address> --from <address>',
+  '  sweep             --wallet <name|address> [--tokens <a,b>] (--from <address> | --dry-run)',
+  '                    flushes ether and token balances from every forwarder the wallet created',
+  '  safe-mode         --wallet <name|address> --from <address>',
+  '  prepare-safe-mode-exit  --wallet <name|address> --expire-time <seconds> [--sequence-id <n>]',
+  '                    the operation hash for the other signers to sign, and how many signatures are needed',
+  '  sign-safe-mode-exit     --wallet <name|address> --network-id <id> --expire-time <seconds> --sequence-id <n>',
+  '                    --key-file <path> (or MSIG_PRIVATE_KEY). Does not need a node.',
+  '  request-safe-mode-exit  --wallet <name|address> --expire-time <seconds> [--sequence-id <n>]',
+  '                    (--signature <a,b> | --other-signer <a,b>) --from <address>',
+  '                    starts the delay after which deactivate-safe-mode leaves safe mode (simple wallets only)',
+  '  deactivate-safe-mode    --wallet <name|address> --from <address>',
+  '  sign-timelock     --wallet <name|address> --network-id <id> --timelock <seconds> --expire-time <seconds>',
+  '                    --sequence-id <n> --key-file <path> (or MSIG_PRIVATE_KEY).',
+  '                    Signs a timelock change of a simple wallet. Does not need a node.',
+  '  set-timelock      --wallet <name|address> --timelock <seconds> --from <address>. Simple wallets also take',
+  '                    [--expire-time <seconds>] [--sequence-id <n>] (--signature <hex> | --other-signer <address>)',
+  '                    a lower timelock waits for the current one: on a simple wallet, see pendingTimelock in info',
+  '  apply-timelock    --wallet <name|address> --from <address>',
+  '                    applies the pending lower timelock of a simple wallet once the current timelock has passed',
+  '  cancel-timelock   --wallet <name|address> --from <address>',
+  '  queued            --wallet <name|address>',
+  '                    confirmed transactions waiting for the timelock, and whether they can be sent yet',
+  '  execute-queued    --wallet <name|address> [--operation <hash>] --from <address>',
+  '                    without --operation, sends every queued transaction whose timelock has passed',
+  '  cancel-queued     --wallet <name|address> --operation <hash> --from <address>',
+  '  approval-server   --wallets <name|address,...> [--port <n>] [--host <address>] [--store <file.json>]',
+  '                    [--auth-token <secret>] serves the approval collection API (default: 127.0.0.1:8080),',
+  '                    keeping proposals in memory or in the --store file. Proposing, cancelling and submitting',
+  '                    need the token (or MSIG_APPROVAL_TOKEN), which is generated and printed if neither is given.',
+  '  gas-report        [--configurations <m-of-n,...>] [--out <file.md|file.json>]',
+  '                    profiles every contract method on a development node (e.g. testrpc)',
+  '',
+  'Options:',
+  '  --env <name>      truffle environment to read contracts and config from (default: development)',
+  '  --rpc <url>       JSON-RPC endpoint, overriding truffle.js',
+  '  --type <type>     wallet, simple or threshold, when the wallet is not named in the environment config',
+  '                    (default: wallet)',
+  '  --gas <n>         gas limit for transactions (default: ' + DEFAULT_GAS + ')',
+  '  --json            print results as JSON for scripting'
+].join('\n');
+
+var CliError = function(message) {
+  this.name = 'CliError';
+  this.message = message;
+};
+CliError.prototype = Object.create(Error.prototype);
+CliError.prototype.constructor = CliError;
+
+// Throws a CliError if any of the named options are missing
+var requireOptions = function(argv, names) {
+  var missing = names.filter(function(name) {
+    return argv[name] === undefined || argv[name] === true;
+  });
+  if (missing.length) {
+    throw new CliError('missing option(s): ' + missing.map(function(name) { return '--' + name; }).join(', '));
+  }
+};
+
+// Splits a comma separated list of addresses
+var splitList = function(value) {
+  return String(value || '').split(',').filter(Boolean);
+};
+
+/**
+ * Loads the environment config (environments/<env>/config.js)
+ */
+var loadEnvironmentConfig = function(env) {
+  var configPath = path.join(__dirname, '..', 'environments', env, 'config.js');
+  return fs.existsSync(configPath) ? require(configPath) : {};
+};
+
+/**
+ * Gets the RPC url from --rpc, the environment config or truffle.js, in that order
+ */
+var getRpcUrl = function(argv, config) {
+  if (argv.rpc) {
+    return argv.rpc;
+  }
+  var rpc = _.extend({}, require('../truffle').rpc, config.rpc);
+  return 'http://' + rpc.host + ':' + rpc.port;
+};
+
+/**
+ * Sets up the web3 instance and contracts for commands which talk to a node
+ */
+var createContext = function(argv, options) {
+  var env = argv.env || 'development';
+  var config = loadEnvironmentConfig(env);
+  var web3 = options.web3;
+  if (!web3) {
+    var Web3 = require('web3');
+    web3 = new Web3(new Web3.providers.HttpProvider(getRpcUrl(argv, config)));
+  }
+  return {
+    argv: argv,
+    config: config,
+    web3: web3,
+    contracts: contracts.load(web3, env, { gas: parseInt(argv.gas, 10) || DEFAULT_GAS })
+  };
+};
+
+/**
+ * Gets the config of --wallet, which is either a name in the environment config or an address
+ */
+var getWalletConfig = function(argv, config) {
+  requireOptions(argv, ['wallet']);
+  return (config.wallets || {})[argv.wallet] || {
+    address: argv.wallet,
+    type: argv.type || 'wallet'
+  };
+};
+
+/**
+ * Gets the client for --wallet
+ */
+var getClient = function(context) {
+  var walletConfig = getWalletConfig(context.argv, context.config);
+  var params = { web3: context.web3, address: walletConfig.address, networkId: walletConfig.networkId };
+  if (walletConfig.type === 'threshold') {
+    return WalletSimpleThresholdClient.at(_.extend({ WalletSimpleThreshold: context.contracts.WalletSimpleThreshold }, params));
+  }
+  if (walletConfig.type === 'simple') {
+    return WalletSimpleClient.at(_.extend({ WalletSimple: context.contracts.WalletSimple }, params));
+  }
+  if (walletConfig.type === 'wallet') {
+    return WalletClient.at(_.extend({ Wallet: context.contracts.Wallet }, params));
+  }
+  throw new CliError('unknown wallet type ' + walletConfig.type);
+};
+
+var getWalletClient = function(context, command) {
+  var client = getClient(context);
+  if (!(client instanceof WalletClient)) {
+    throw new CliError(command + ' is only supported on Wallet contracts');
+  }
+  return client;
+};
+
+var getWalletSimpleClient = function(context, command) {
+  var client = getClient(context);
+  if (!(client instanceof WalletSimpleClient)) {
+    throw new CliError(command + ' is only supported on WalletSimple contracts');
+  }
+  return client;
+};
+
+// Reads the private key for offline signing
+var getPrivateKey = function(argv) {
+  if (argv['key-file']) {
+    return fs.readFileSync(argv['key-file'], 'utf8').trim();
+  }
+  if (process.env.MSIG_PRIVATE_KEY) {
+    return process.env.MSIG_PRIVATE_KEY;
+  }
+  throw new CliError('missing option: --key-file (or set MSIG_PRIVATE_KEY)');
+};
+
+// Gets the wallet address and network ID that an offline signature is bound to, from --wallet and --network-id or the
+// networkId in the wallet config
+var getSigningDomain = function(argv) {
+  var walletConfig = getWalletConfig(argv, loadEnvironmentConfig(argv.env || 'development'));
+  var networkId = argv['network-id'] !== undefined ? argv['network-id'] : walletConfig.networkId;
+  if (networkId === undefined || networkId === true) {
+    throw new CliError('missing option: --network-id');
+  }
+  return { walletAddress: walletConfig.address, networkId: String(networkId) };
+};
+
+// Gets the co-signing options for a send. Threshold wallets take comma separated lists of signatures or signers.
+var getSigningParams = function(argv, client) {
+  if (client instanceof WalletSimpleThresholdClient) {
+    return {
+      signatures: argv.signature ? splitList(argv.signature) : undefined,
+      otherSigners: argv['other-signer'] ? splitList(argv['other-signer']) : undefined
+    };
+  }
+  return { signature: argv.signature, otherSigner: argv['other-signer'] };
+};
+
+/**
+ * Commands. Each takes the parsed arguments and returns a promise for a result object or array,
+ * which is printed as a table or as JSON.
+ */
+var commands = {};
+
+commands.deploy = co(function *(argv, options) {
+  requireOptions(argv, ['type', 'from']);
+  var context = createContext(argv, options);
+  var client;
+  if (argv.type === 'threshold') {
+    requireOptions(argv, ['signers', 'required']);
+    client = yield WalletSimpleThresholdClient.deploy({
+      WalletSimpleThreshold: context.contracts.WalletSimpleThreshold,
+      web3: context.web3,
+      signers: splitList(argv.signers),
+      required: parseInt(argv.required, 10),
+      networkId: argv['network-id'],
+      from: argv.from
+    });
+  } else if (argv.type === 'simple') {
+    requireOptions(argv, ['signers']);
+    client = yield WalletSimpleClient.deploy({
+      WalletSimple: context.contracts.WalletSimple,
+      web3: context.web3,
+      signers: splitList(argv.signers),
+      networkId: argv['network-id'],
+      from: argv.from
+    });
+  } else {
+    requireOptions(argv, ['owners', 'required']);
+    client = yield WalletClient.deploy({
+      Wallet: context.contracts.Wallet,
+      web3: context.web3,
+      owners: splitList(argv.owners),
+      required: parseInt(argv.required, 10),
+      dailyLimit: argv['daily-limit'] || 0,
+      networkId: argv['network-id'],
+      from: argv.from
+    });
+  }
+  return { address: client.address };
+});
+
+commands.info = function(argv, options) {
+  return getClient(createContext(argv, options)).getInfo();
+};
+
+commands.owners = co(function *(argv, options) {
+  var client = getClient(createContext(argv, options));
+  var owners = yield (client instanceof WalletClient ? client.getOwners() : client.getSigners());
+  return owners.map(function(address) {
+    return { address: address };
+  });
+});
+
+// Decoder for calldata sent to the contracts of the environment and ERC20 tokens
+var getCalldataDecoder = function(context) {
+  return new CalldataDecoder({ abis: _.mapValues(context.contracts, 'abi'), web3: context.web3 });
+};
+
+commands.pending = co(function *(argv, options) {
+  var context = createContext(argv, options);
+  var client = getWalletClient(context, 'pending');
+  var decoder = getCalldataDecoder(context);
+  if (argv.all) {
+    var operations = yield pendingOperations.getPendingOperations(client, { fromBlock: argv['from-block'], decoder: decoder });
+    return operations.map(function(pendingOperation) {
+      return pendingOperation.call ? _.extend({}, pendingOperation, { call: decoder.format(pendingOperation.call) }) : pendingOperation;
+    });
+  }
+  var pendingTransactions = yield client.getPendingTransactions();
+  return yield Promise.all(pendingTransactions.map(co(function *(pendingTransaction) {
+    if (pendingTransaction.data === '0x') {
+      return pendingTransaction;
+    }
+    return _.extend({}, pendingTransaction, { call: decoder.format(yield decoder.decodeTransaction(pendingTransaction)) });
+  })));
+});
+
+commands.execute = co(function *(argv, options) {
+  requireOptions(argv, ['to', 'value', 'from']);
+  var client = getWalletClient(createContext(argv, options), 'execute');
+  var params = { to: argv.to, value: String(argv.value), data: argv.data, from: argv.from };
+  if (argv['dry-run']) {
+    return yield simulate.simulateExecute(client, params);
+  }
+  var txHash = yield client.execute(params);
+  return { txHash: txHash };
+});
+
+commands.confirm = co(function *(argv, options) {
+  requireOptions(argv, ['operation', 'from']);
+  var client = getWalletClient(createContext(argv, options), 'confirm');
+  if (argv['dry-run']) {
+    return yield simulate.simulateConfirm(client, argv.operation, { from: argv.from });
+  }
+  var txHash = yield client.confirm(argv.operation, { from: argv.from });
+  return { txHash: txHash };
+});
+
+commands.revoke = co(function *(argv, options) {
+  requireOptions(argv, ['operation', 'from']);
+  var client = getWalletClient(createContext(argv, options), 'revoke');
+  var txHash = yield client.revoke(argv.operation, { from: argv.from });
+  return { txHash: txHash };
+});
+
+commands.sign = function(argv) {
+  requireOptions(argv, ['to', 'value', 'expire-time', 'sequence-id']);
+  if (argv.typed && argv.token) {
+    throw new CliError('--typed can not be used with --token');
+  }
+  var domain = getSigningDomain(argv);
+  if (argv.token) {
+    return Promise.resolve(operation.signTokenOperation(_.extend({
+      toAddress: argv.to,
+      value: String(argv.value),
+      tokenContractAddress: argv.token,
+      expireTime: argv['expire-time'],
+      sequenceId: argv['sequence-id']
+    }, domain), getPrivateKey(argv)));
+  }
+  var sign = argv.typed ? operation.signTypedOperation : operation.signOperation;
+  return Promise.resolve(sign(_.extend({
+    toAddress: argv.to,
+    value: String(argv.value),
+    data: argv.data,
+    expireTime: argv['expire-time'],
+    sequenceId: argv['sequence-id']
+  }, domain), getPrivateKey(argv)));
+};
+
+commands['send-multisig'] = co(function *(argv, options) {
+  requireOptions(argv, ['to', 'value', 'from']);
+  if (!argv.signature && !argv['other-signer']) {
+    throw new CliError('missing option: --signature or --other-signer');
+  }
+  if (argv.typed && argv.token) {
+    throw new CliError('--typed can not be used with --token');
+  }
+  if (argv['dry-run'] && argv.token) {
+    throw new CliError('--dry-run can not be used with --token');
+  }
+  var context = createContext(argv, options);
+  var client = argv.token ? getWalletSimpleClient(context, 'send-multisig --token') : getClient(context);
+  var params = _.extend({
+    to: argv.to,
+    value: String(argv.value),
+    data: argv.data,
+    tokenContractAddress: argv.token,
+    // Default to an hour from now
+    expireTime: argv['expire-time'] || Math.floor(new Date().getTime() / 1000) + 3600,
+    sequenceId: argv['sequence-id'],
+    typed: argv.typed,
+    from: argv.from
+  }, getSigningParams(argv, client));
+  if (argv['dry-run']) {
+    return yield (client instanceof WalletClient ? simulate.simulateExecuteAndConfirm(client, params) : simulate.simulateSendMultiSig(client, params));
+  }
+  var txHash;
+  if (argv.token) {
+    txHash = yield client.sendMultiSigToken(params);
+  } else {
+    txHash = yield (client instanceof WalletClient ? client.executeAndConfirm(params) : client.sendMultiSig(params));
+  }
+  return { txHash: txHash };
+});
+
+commands['sign-batch'] = function(argv) {
+  requireOptions(argv, ['csv', 'expire-time', 'sequence-id']);
+  return Promise.resolve(batch.buildBatch(_.extend({
+    csv: fs.readFileSync(argv.csv, 'utf8'),
+    unit: argv.unit,
+    expireTime: argv['expire-time'],
+    sequenceId: argv['sequence-id']
+  }, getSigningDomain(argv)), getPrivateKey(argv)));
+};
+
+commands['send-batch'] = co(function *(argv, options) {
+  requireOptions(argv, ['csv', 'from']);
+  if (!argv.signature && !argv['other-signer']) {
+    throw new CliError('missing option: --signature or --other-signer');
+  }
+  var payouts = batch.parseCsv(fs.readFileSync(argv.csv, 'utf8'), { unit: argv.unit });
+  var client = getWalletSimpleClient(createContext(argv, options), 'send-batch');
+  var txHash = yield client.sendMultiSigBatch(_.extend({
+    recipients: _.map(payouts, 'to'),
+    values: _.map(payouts, 'value'),
+    // Default to an hour from now
+    expireTime: argv['expire-time'] || Math.floor(new Date().getTime() / 1000) + 3600,
+    sequenceId: argv['sequence-id'],
+    from: argv.from
+  }, getSigningParams(argv, client)));
+  return { txHash: txHash };
+});
+
+commands['sign-signer'] = function(argv) {
+  requireOptions(argv, ['action', 'expire-time', 'sequence-id']);
+  requireOptions(argv, argv.action === 'replace' ? ['old-signer', 'new-signer'] : ['signer']);
+  return Promise.resolve(operation.signSignerOperation(_.extend({
+    action: argv.action,
+    signer: argv.signer,
+    oldSigner: argv['old-signer'],
+    newSigner: argv['new-signer'],
+    expireTime: argv['expire-time'],
+    sequenceId: argv['sequence-id']
+  }, getSigningDomain(argv)), getPrivateKey(argv)));
+};
+
+// Runs addSigner, removeSigner or replaceSigner on a simple wallet with the signer options of the command
+var changeSigner = co(function *(method, argv, options) {
+  requireOptions(argv, method === 'replaceSigner' ? ['old-signer', 'new-signer', 'from'] : ['signer', 'from']);
+  if (!argv.signature && !argv['other-signer']) {
+    throw new CliError('missing option: --signature or --other-signer');
+  }
+  var client = getWalletSimpleClient(createContext(argv, options), argv._[0]);
+  var txHash = yield client[method](_.extend({
+    signer: argv.signer,
+    oldSigner: argv['old-signer'],
+    newSigner: argv['new-signer'],
+    // Default to an hour from now
+    expireTime: argv['expire-time'] || Math.floor(new Date().getTime() / 1000) + 3600,
+    sequenceId: argv['sequence-id'],
+    from: argv.from
+  }, getSigningParams(argv, client)));
+  return { txHash: txHash };
+});
+
+commands['add-signer'] = function(argv, options) {
+  return changeSigner('addSigner', argv, options);
+};
+
+commands['remove-signer'] = function(argv, options) {
+  return changeSigner('removeSigner', argv, options);
+};
+
+commands['replace-signer'] = function(argv, options) {
+  return changeSigner('replaceSigner', argv, options);
+};
+
+commands['create-forwarder'] = co(function *(argv, options) {
+  requireOptions(argv, ['from']);
+  var client = getClient(createContext(argv, options));
+  var txHash = yield client.createForwarder({ from: argv.from });
+  return { txHash: txHash };
+});
+
+commands['next-forwarders'] = co(function *(argv, options) {
+  var client = getClient(createContext(argv, options));
+  return yield forwarderAddresses.getNextForwarderAddresses(client.web3, client.address, parseInt(argv.count || 1, 10));
+});
+
+commands.flush = co(function *(argv, options) {
+  requireOptions(argv, ['forwarder', 'from']);
+  var context = createContext(argv, options);
+  var txHash = yield context.contracts.Forwarder.at(argv.forwarder).flush({ from: argv.from });
+  return { txHash: txHash };
+});
+
+commands.sweep = co(function *(argv, options) {
+  if (!argv['dry-run']) {
+    requireOptions(argv, ['from']);
+  }
+  var context = createContext(argv, options);
+  var sweeper = new ForwarderSweeper({ client: getClient(context), Forwarder: context.contracts.Forwarder });
+  return yield sweeper.sweep({
+    tokens: argv.tokens ? splitList(argv.tokens) : [],
+    from: argv.from,
+    dryRun: argv['dry-run']
+  });
+});
+
+commands['safe-mode'] = co(function *(argv, options) {
+  requireOptions(argv, ['from']);
+  var client = getWalletSimpleClient(createContext(argv, options), 'safe-mode');
+  var txHash = yield client.activateSafeMode({ from: argv.from });
+  return { txHash: txHash };
+});
+
+commands['prepare-safe-mode-exit'] = function(argv, options) {
+  requireOptions(argv, ['expire-time']);
+  var client = getWalletSimpleClient(createContext(argv, options), 'prepare-safe-mode-exit');
+  return client.prepareSafeModeExit({ expireTime: argv['expire-time'], sequenceId: argv['sequence-id'] });
+};
+
+commands['sign-safe-mode-exit'] = function(argv) {
+  requireOptions(argv, ['expire-time', 'sequence-id']);
+  return Promise.resolve(operation.signSafeModeExitOperation(_.extend({
+    expireTime: argv['expire-time'],
+    sequenceId: argv['sequence-id']
+  }, getSigningDomain(argv)), getPrivateKey(argv)));
+};
+
+commands['request-safe-mode-exit'] = co(function *(argv, options) {
+  requireOptions(argv, ['expire-time', 'from']);
+  if (!argv.signature && !argv['other-signer']) {
+    throw new CliError('missing option: --signature or --other-signer');
+  }
+  var client = getWalletSimpleClient(createContext(argv, options), 'request-safe-mode-exit');
+  var txHash = yield client.requestSafeModeExit({
+    expireTime: argv['expire-time'],
+    sequenceId: argv['sequence-id'],
+    signatures: argv.signature ? splitList(argv.signature) : undefined,
+    otherSigners: argv['other-signer'] ? splitList(argv['other-signer']) : undefined,
+    from: argv.from
+  });
+  return { txHash: txHash };
+});
+
+commands['deactivate-safe-mode'] = co(function *(argv, options) {
+  requireOptions(argv, ['from']);
+  var client = getWalletSimpleClient(createContext(argv, options), 'deactivate-safe-mode');
+  var txHash = yield client.deactivateSafeMode({ from: argv.from });
+  return { txHash: txHash };
+});
+
+commands['sign-timelock'] = function(argv) {
+  requireOptions(argv, ['timelock', 'expire-time', 'sequence-id']);
+  return Promise.resolve(operation.signTimelockOperation(_.extend({
+    timelock: argv.timelock,
+    expireTime: argv['expire-time'],
+    sequenceId: argv['sequence-id']
+  }, getSigningDomain(argv)), getPrivateKey(argv)));
+};
+
+commands['set-timelock'] = co(function *(argv, options) {
+  requireOptions(argv, ['timelock', 'from']);
+  var client = getClient(createContext(argv, options));
+  var txHash;
+  if (client instanceof WalletClient) {
+    txHash = yield client.setTimelock({ timelock: argv.timelock, from: argv.from });
+  } else {
+    if (!argv.signature && !argv['other-signer']) {
+      throw new CliError('missing option: --signature or --other-signer');
+    }
+    txHash = yield client.setTimelock(_.extend({
+      timelock: argv.timelock,
+      // Default to an hour from now
+      expireTime: argv['expire-time'] || Math.floor(new Date().getTime() / 1000) + 3600,
+      sequenceId: argv['sequence-id'],
+      from: argv.from
+    }, getSigningParams(argv, client)));
+  }
+  return { txHash: txHash };
+});
+
+commands['apply-timelock'] = co(function *(argv, options) {
+  requireOptions(argv, ['from']);
+  var client = getWalletSimpleClient(createContext(argv, options), 'apply-timelock');
+  var txHash = yield client.applyTimelock({ from: argv.from });
+  return { txHash: txHash };
+});
+
+commands['cancel-timelock'] = co(function *(argv, options) {
+  requireOptions(argv, ['from']);
+  var client = getWalletSimpleClient(createContext(argv, options), 'cancel-timelock');
+  var txHash = yield client.cancelTimelockChange({ from: argv.from });
+  return { txHash: txHash };
+});
+
+commands.queued = function(argv, options) {
+  return getClient(createContext(argv, options)).getQueuedTransactions();
+};
+
+commands['execute-queued'] = co(function *(argv, options) {
+  requireOptions(argv, ['from']);
+  var client = getClient(createContext(argv, options));
+  if (!argv.operation) {
+    return yield client.executeMatured({ from: argv.from });
+  }
+  var txHash = yield client.executeQueued(argv.operation, { from: argv.from });
+  return { txHash: txHash };
+});
+
+commands['cancel-queued'] = co(function *(argv, options) {
+  requireOptions(argv, ['operation', 'from']);
+  var client = getClient(createContext(argv, options));
+  var txHash = yield client.cancelQueued(argv.operation, { from: argv.from });
+  return { txHash: txHash };
+});
+
+commands['approval-server'] = function(argv, options) {
+  requireOptions(argv, ['wallets']);
+  var context = createContext(argv, options);
+  var clients = splitList(argv.wallets).map(function(wallet) {
+    return getClient(_.extend({}, context, { argv: _.extend({}, argv, { wallet: wallet }) }));
+  });
+  var service = new ApprovalService({
+    clients: clients,
+    store: argv.store ? new JsonFileStore({ path: argv.store }) : undefined
+  });
+  var token = argv['auth-token'] || process.env.MSIG_APPROVAL_TOKEN;
+  // A generated token is printed for the signers, one they gave is not
+  var generatedToken = token ? undefined : crypto.randomBytes(16).toString('hex');
+  var host = argv.host || approvalServer.DEFAULT_HOST;
+  var server = approvalServer.createServer(service, { token: token || generatedToken });
+  return approvalServer.listen(server, parseInt(argv.port || 8080, 10), host)
+  .then(function() {
+    var result = { url: 'http://' + host + ':' + server.address().port, wallets: _.map(clients, 'address') };
+    if (generatedToken) {
+      result.token = generatedToken;
+    }
+    return result;
+  });
+};
+
+commands['gas-report'] = co(function *(argv, options) {
+  var context = createContext(argv, options);
+  var configurations;
+  if (argv.configurations) {
+    configurations = splitList(argv.configurations).map(function(name) {
+      var match = /^(\d+)-of-(\d+)$/.exec(name);
+      if (!match) {
+        throw new CliError('configurations must be given as m-of-n, e.g. 2-of-3');
+      }
+      return { required: parseInt(match[1], 10), owners: parseInt(match[2], 10) };
+    });
+  }
+  var rows = yield gasProfile.profile({ web3: context.web3, contracts: context.contracts, configurations: configurations });
+  if (argv.out) {
+    var report = path.extname(argv.out) === '.json' ? gasProfile.formatJson(rows) : gasProfile.formatMarkdown(rows);
+    fs.writeFileSync(argv.out, report);
+  }
+  return rows;
+});
+
+/**
+ * Converts a result into plain JSON values (BigNumbers become decimal strings)
+ */
+var toPlain = function(value) {
+  if (value && typeof value.toString === 'function' && value.constructor && value.constructor.name === 'BigNumber') {
+    return value.toString(10);
+  }
+  if (_.isArray(value)) {
+    return value.map(toPlain);
+  }
+  if (_.isPlainObject(value)) {
+    return _.mapValues(value, toPlain);
+  }
+  return value;
+};
+
+// Formats a single value for a table cell
+var formatValue = function(value) {
+  if (_.isArray(value)) {
+    return value.map(formatValue).join(', ');
+  }
+  if (_.isPlainObject(value)) {
+    return _.map(value, function(fieldValue, key) {
+      return key + '=' + formatValue(fieldValue);
+    }).join(' ');
+  }
+  return String(value);
+};
+
+/**
+ * Formats a result as a human readable table
+ */
+var formatTable = function(result) {
+  if (_.isPlainObject(result)) {
+    var keyWidth = _.max(_.keys(result).map(function(key) { return key.length; }));
+    return _.map(result, function(value, key) {
+      return _.padEnd(key, keyWidth) + '  ' + formatValue(value);
+    }).join('\n');
+  }
+  if (!result.length) {
+    return '(none)';
+  }
+  var columns = _.uniq(_.flatten(result.map(_.keys)));
+  var rows = [columns].concat(result.map(function(row) {
+    return columns.map(function(column) {
+      return formatValue(row[column]);
+    });
+  }));
+  var widths = columns.map(function(column, i) {
+    return _.max(rows.map(function(row) { return row[i].length; }));
+  });
+  return rows.map(function(row) {
+    return row.map(function(cell, i) { return _.padEnd(cell, widths[i]); }).join('  ').trim();
+  }).join('\n');
+};
+
+/**
+ * Runs a command
+ *
+ * @param args array of command line arguments (without node and the script name)
+ * @param options.web3 (optional) web3 instance to use instead of connecting to the configured RPC
+ * @returns promise for the plain result of the command
+ */
+exports.run = function(args, options) {
+  var argv = minimist(args, { string: ['to', 'from', 'wallet', 'owners', 'signers', 'operation', 'data', 'signature', 'other-signer', 'forwarder', 'value', 'daily-limit', 'token', 'tokens', 'csv', 'unit', 'signer', 'old-signer', 'new-signer', 'action', 'wallets', 'host', 'store', 'auth-token'], boolean: ['json', 'help', 'all', 'dry-run', 'typed'] });
+  var command = commands[argv._[0]];
+  if (!command) {
+    return Promise.reject(new CliError(argv._[0] ? 'unknown command ' + argv._[0] : 'no command given'));
+  }
+  return Promise.try(function() {
+    return command(argv, options || {});
+  })
+  .then(toPlain);
+};
+
+/**
+ * Entry point for bin/msig. Prints the result and sets the exit code.
+ */
+exports.main = function(args) {
+  var argv = minimist(args, { boolean: ['json', 'help'] });
+  if (argv.help || !argv._.length) {
+    console.log(USAGE);
+    return Promise.resolve();
+  }
+  return exports.run(args)
+  .then(function(result) {
+    console.log(argv.json ? JSON.stringify(result, null, 2) : formatTable(result));
+  })
+  .catch(function(err) {
+    if (argv.json) {
+      console.error(JSON.stringify({ error: err.message }));
+    } else {
+      console.error('Error: ' + err.message);
+      if (err instanceof CliError) {
+        console.error('\n' + USAGE);
+      }
+    }
+    process.exitCode = 1;
+  });
+};
+
+exports.formatTable = formatTable;
+exports.CliError = CliError;
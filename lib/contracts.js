@@ -0,0 +1,29 @@
+var path = require('path');
+var Pudding = require('ether-pudding');
+
+// Names of the contracts built by truffle into environments/<env>/contracts
+var CONTRACT_NAMES = ['Forwarder', 'Wallet', 'WalletSimple', 'WalletSimpleThreshold'];
+
+/**
+ * Loads the Pudding contract classes built for an environment and binds them to a web3 instance.
+ *
+ * @param web3 web3 instance connected to the node the contracts live on
+ * @param environment name of the truffle environment (development, test, staging or production)
+ * @param defaults (optional) default transaction parameters for all contracts, e.g. { from: address, gas: 3000000 }
+ * @returns object of Pudding classes keyed by contract name (Forwarder, Wallet, WalletSimple, WalletSimpleThreshold)
+ */
+exports.load = function(web3, environment, defaults) {
+  environment = environment || 'development';
+  Pudding.setWeb3(web3);
+  if (defaults) {
+    // Pudding classes have no defaults of their own, so these apply to all of them
+    Pudding.defaults(defaults);
+  }
+
+  var contracts = {};
+  CONTRACT_NAMES.forEach(function(contractName) {
+    var contract = require(path.join(__dirname, '..', 'environments', environment, 'contracts', contractName + '.sol.js'));
+    contracts[contractName] = contract.load(Pudding);
+  });
+  return contracts;
+};
@@ -0,0 +1,258 @@
+var assert = require('assert');
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+var _ = require('lodash');
+
+var forwarderAddresses = require('./forwarderaddresses');
+var ForwarderSweeper = require('./forwardersweeper');
+var MemoryStore = require('./stores/memorystore');
+
+// Names of the events each wallet emits when it receives funds, and the argument holding the sender
+var DEPOSIT_EVENTS = { Deposit: '_from', Deposited: 'from' };
+
+/**
+ * Allocates labelled deposit addresses (forwarders) for a wallet, e.g. one per customer, and resolves incoming
+ * deposits back to the forwarder and label they came through.
+ *
+ * Labels are kept in the store. Forwarders created outside of the manager (e.g. with msig create-forwarder) are
+ * found through the ForwarderCreated events in the indexer, when one is given, and are reported without a label.
+ *
+ * Deposit addresses may be allocated lazily: the address the forwarder will have is handed out straight away, and
+ * the forwarder is only deployed by deployFunded once a deposit has arrived at it (see lib/forwarderaddresses.js).
+ *
+ * @param params.client WalletClient or WalletSimpleClient of the wallet
+ * @param params.store (optional) store with get(key) and set(key, value) promise methods. Defaults to a MemoryStore.
+ * @param params.indexer (optional) EventIndexer of the wallet, used to list all forwarders and deposits
+ * @param params.Forwarder (optional) the Forwarder Pudding class (see contracts.load), required by deployFunded
+ */
+var DepositAddressManager = function(params) {
+  assert(params.client);
+
+  this.client = params.client;
+  this.web3 = params.client.web3;
+  this.store = params.store || new MemoryStore();
+  this.indexer = params.indexer;
+  this.Forwarder = params.Forwarder;
+  this.key = 'depositAddresses:' + params.client.address;
+  // Allocations are queued so that concurrent requests for the same label create a single forwarder
+  this.queue = Promise.resolve();
+};
+
+// Runs fn after all previously queued operations have completed
+DepositAddressManager.prototype.enqueue = function(fn) {
+  var result = this.queue.then(fn);
+  this.queue = result.catch(function() {});
+  return result;
+};
+
+// Gets the persisted deposit addresses of the wallet
+DepositAddressManager.prototype.getAddresses = co(function *() {
+  var state = yield this.store.get(this.key);
+  return (state && state.addresses) || [];
+});
+
+/**
+ * Gets the deposit address for a label, allocating the next forwarder address to it if there is none yet
+ *
+ * @param params.label label of the deposit address, e.g. a customer ID
+ * @param params.lazy (optional) if true, only reserve the address. The forwarder is deployed later by deployFunded.
+ * @param params.from owner or signer address sending the createForwarder transactions (not needed when lazy)
+ * @returns promise for { label, address, nonce, deployed, txHash }. txHash is the createForwarder transaction,
+ *          if the forwarder was deployed by this manager.
+ */
+DepositAddressManager.prototype.allocate = function(params) {
+  assert(params.label);
+  assert(params.lazy || params.from);
+
+  var self = this;
+  var label = String(params.label);
+  return self.enqueue(co(function *() {
+    var addresses = yield self.getAddresses();
+    var existing = _.find(addresses, { label: label });
+    if (existing) {
+      return (yield self.withDeployed([existing]))[0];
+    }
+
+    // Take the next nonce which is neither used on chain nor reserved for another label
+    var nonce = yield forwarderAddresses.getNonce(self.web3, self.client.address);
+    var lastReserved = _.max(_.map(addresses, 'nonce'));
+    if (!_.isUndefined(lastReserved) && lastReserved >= nonce) {
+      nonce = lastReserved + 1;
+    }
+    addresses.push({ label: label, address: forwarderAddresses.getForwarderAddress(self.client.address, nonce), nonce: nonce });
+    // Persist the reservation before deploying, so the address is never handed out twice
+    yield self.store.set(self.key, { addresses: addresses });
+
+    if (!params.lazy) {
+      yield self.recordCreated(addresses, yield forwarderAddresses.deployUpTo(self.client, nonce, params.from));
+    }
+    return (yield self.withDeployed([_.find(addresses, { label: label })]))[0];
+  }));
+};
+
+// Records the createForwarder transactions of forwarders created by deployUpTo against the reserved addresses
+DepositAddressManager.prototype.recordCreated = function(addresses, created) {
+  created.forEach(function(forwarder) {
+    var entry = _.find(addresses, { address: forwarder.address });
+    if (entry) {
+      entry.txHash = forwarder.txHash;
+    }
+  });
+  return this.store.set(this.key, { addresses: addresses });
+};
+
+// Adds whether the forwarder of each address has been deployed. The wallet has deployed every forwarder below
+// its current nonce, whether through this manager or not.
+DepositAddressManager.prototype.withDeployed = co(function *(addresses) {
+  var nonce = yield forwarderAddresses.getNonce(this.web3, this.client.address);
+  return addresses.map(function(entry) {
+    return _.extend({}, entry, { deployed: entry.nonce < nonce });
+  });
+});
+
+/**
+ * Deploys the forwarders of lazily allocated addresses which have received ether or tokens, and flushes the funds
+ * held by any labelled forwarder into the wallet. Forwarders are created in nonce order, so reserved addresses
+ * before a funded one are deployed as well.
+ *
+ * @param params.tokens (optional) array of ERC20 token contract addresses to check for deposits
+ * @param params.from owner or signer address sending the transactions
+ * @returns promise for an array of { forwarder, tokenContractAddress, balance, txHash } of the balances flushed
+ */
+DepositAddressManager.prototype.deployFunded = function(params) {
+  assert(params.from);
+  assert(this.Forwarder, 'the Forwarder class is required to deploy funded forwarders');
+
+  var self = this;
+  return self.enqueue(co(function *() {
+    var addresses = yield self.getAddresses();
+    var sweeper = new ForwarderSweeper({ client: self.client, Forwarder: self.Forwarder });
+    // Ether sent before a forwarder was deployed, and tokens, are left on the forwarder even once it is deployed
+    var balances = yield sweeper.getBalances({ tokens: params.tokens, forwarders: _.map(addresses, 'address') });
+    if (!balances.length) {
+      return [];
+    }
+
+    var funded = _.uniq(_.map(balances, 'forwarder'));
+    var lastFundedNonce = _.max(addresses.filter(function(entry) {
+      return funded.indexOf(entry.address) !== -1;
+    }).map(function(entry) {
+      return entry.nonce;
+    }));
+    yield self.recordCreated(addresses, yield forwarderAddresses.deployUpTo(self.client, lastFundedNonce, params.from));
+    return yield sweeper.sweep({ tokens: params.tokens, forwarders: funded, from: params.from });
+  }));
+};
+
+/**
+ * Gets the deposit address allocated to a label
+ *
+ * @returns promise for the address, or undefined if none has been allocated
+ */
+DepositAddressManager.prototype.getAddress = co(function *(label) {
+  var entry = _.find(yield this.getAddresses(), { label: String(label) });
+  return entry && entry.address;
+});
+
+/**
+ * Gets the label a deposit address was allocated to
+ *
+ * @returns promise for the label, or undefined if the address has no label
+ */
+DepositAddressManager.prototype.getLabel = co(function *(address) {
+  var entry = _.find(yield this.getAddresses(), function(entry) {
+    return entry.address.toLowerCase() === String(address).toLowerCase();
+  });
+  return entry && entry.label;
+});
+
+/**
+ * Lists the forwarders of the wallet. With an indexer, this includes every forwarder created by the wallet
+ * (the indexer is synced first). Without one, only the labelled forwarders in the store are listed.
+ *
+ * @returns promise for an array of { address, label, deployed, txHash }, where label is undefined for unlabelled
+ *          forwarders and deployed is false for lazily allocated addresses whose forwarder has not been created yet
+ */
+DepositAddressManager.prototype.getForwarders = co(function *() {
+  var addresses = yield this.withDeployed(yield this.getAddresses());
+  if (!this.indexer) {
+    return addresses.map(function(entry) {
+      return { address: entry.address, label: entry.label, deployed: entry.deployed, txHash: entry.txHash };
+    });
+  }
+
+  yield this.indexer.sync();
+  var created = (yield this.indexer.getHistory({ events: ['ForwarderCreated'] })).map(function(entry) {
+    return { address: entry.args.forwarderAddress, deployed: true, txHash: entry.transactionHash };
+  });
+  // Labelled forwarders which are not yet deep enough to be indexed, or not yet deployed, come last
+  var forwarders = _.unionBy(created, addresses, function(forwarder) {
+    return forwarder.address.toLowerCase();
+  });
+  return forwarders.map(function(forwarder) {
+    var entry = _.find(addresses, function(entry) {
+      return entry.address.toLowerCase() === forwarder.address.toLowerCase();
+    });
+    return { address: forwarder.address, label: entry && entry.label, deployed: forwarder.deployed, txHash: forwarder.txHash };
+  });
+});
+
+/**
+ * Resolves a deposit event of the wallet back to the forwarder and label it came through
+ *
+ * @param event a Deposit (Wallet) or Deposited (WalletSimple) event, as decoded by lib/events or EventIndexer
+ * @returns promise for { forwarder, label, value, transactionHash }. forwarder and label are undefined when the
+ *          funds were sent straight to the wallet, or through a forwarder which is not known.
+ */
+DepositAddressManager.prototype.resolveDeposit = co(function *(event) {
+  var senderArg = DEPOSIT_EVENTS[event.event];
+  if (!senderArg) {
+    throw new Error('not a deposit event: ' + event.event);
+  }
+  var sender = event.args[senderArg].toLowerCase();
+
+  var forwarders = this.indexer ? yield this.getIndexedForwarders() : yield this.getAddresses();
+  var forwarder = _.find(forwarders, function(forwarder) {
+    return forwarder.address.toLowerCase() === sender;
+  });
+  return {
+    forwarder: forwarder && forwarder.address,
+    label: forwarder && (yield this.getLabel(forwarder.address)),
+    value: String(event.args.value),
+    transactionHash: event.transactionHash
+  };
+});
+
+// Gets the labelled forwarders and those indexed so far, without syncing the indexer
+DepositAddressManager.prototype.getIndexedForwarders = co(function *() {
+  var created = (yield this.indexer.getHistory({ events: ['ForwarderCreated'] })).map(function(entry) {
+    return { address: entry.args.forwarderAddress };
+  });
+  return created.concat(yield this.getAddresses());
+});
+
+/**
+ * Gets the indexed deposits of the wallet, resolved to the forwarder and label they came through.
+ * Requires an indexer, which is synced first.
+ *
+ * @param options.fromBlock (optional) first block to include
+ * @param options.toBlock (optional) last block to include
+ * @returns promise for an array of { forwarder, label, value, transactionHash, blockNumber, timestamp }, oldest first
+ */
+DepositAddressManager.prototype.getDeposits = co(function *(options) {
+  assert(this.indexer, 'an indexer is required to list deposits');
+  options = options || {};
+
+  yield this.indexer.sync();
+  var history = yield this.indexer.getHistory({ events: _.keys(DEPOSIT_EVENTS), fromBlock: options.fromBlock, toBlock: options.toBlock });
+  var deposits = [];
+  for (var i = 0; i < history.length; i++) {
+    var deposit = yield this.resolveDeposit(history[i]);
+    deposit.blockNumber = history[i].blockNumber;
+    deposit.timestamp = history[i].timestamp;
+    deposits.push(deposit);
+  }
+  return deposits;
+});
+
+module.exports = DepositAddressManager;
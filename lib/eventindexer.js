@@ -0,0 +1,165 @@
+var assert = require('assert');
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+var _ = require('lodash');
+
+var MemoryStore = require('./stores/memorystore');
+
+/**
+ * Converts decoded event arguments to plain JSON values (BigNumbers become decimal strings)
+ */
+var normalizeArgs = function(args) {
+  return _.mapValues(args, function(value) {
+    return (value && value.constructor && value.constructor.name === 'BigNumber') ? value.toString(10) : value;
+  });
+};
+
+/**
+ * Builds a ledger of all events emitted by a wallet (or forwarder), so its history can be queried without
+ * re-scanning the chain.
+ *
+ * Blocks are only indexed once they are `confirmations` blocks deep, so the ledger is not affected by short reorgs.
+ * Progress is checkpointed in the store after each batch of blocks, so an interrupted sync resumes where it stopped.
+ * If the checkpointed block is no longer on the chain (a reorg deeper than the confirmation depth), the ledger is
+ * rolled back by the confirmation depth and re-scanned from there.
+ *
+ * @param params.web3 web3 instance
+ * @param params.address address of the contract to index
+ * @param params.abi ABI of the contract, e.g. contracts.Wallet.abi
+ * @param params.store (optional) store with get(key) and set(key, value) promise methods. Defaults to a MemoryStore.
+ * @param params.confirmations (optional) number of blocks an event must be buried under to be indexed. Defaults to 12.
+ * @param params.fromBlock (optional) block to start indexing from, e.g. the block the wallet was deployed in
+ * @param params.batchSize (optional) number of blocks to scan between checkpoints. Defaults to 1000.
+ */
+var EventIndexer = function(params) {
+  assert(params.web3);
+  assert(params.address);
+  assert(params.abi);
+
+  this.web3 = params.web3;
+  this.address = params.address;
+  this.contract = params.web3.eth.contract(params.abi).at(params.address);
+  this.store = params.store || new MemoryStore();
+  this.confirmations = _.isUndefined(params.confirmations) ? 12 : params.confirmations;
+  this.fromBlock = params.fromBlock || 0;
+  this.batchSize = params.batchSize || 1000;
+  this.key = 'events:' + params.address;
+};
+
+EventIndexer.prototype.getState = co(function *() {
+  var state = yield this.store.get(this.key);
+  return state || { checkpoint: null, entries: [] };
+});
+
+EventIndexer.prototype.getBlock = function(blockNumber) {
+  return Promise.promisify(this.web3.eth.getBlock, { context: this.web3.eth })(blockNumber);
+};
+
+// Gets the decoded events in a block range
+EventIndexer.prototype.getEvents = function(fromBlock, toBlock) {
+  var filter = this.contract.allEvents({ fromBlock: fromBlock, toBlock: toBlock });
+  return Promise.promisify(filter.get, { context: filter })();
+};
+
+/**
+ * Rolls the ledger back if the checkpointed block has been reorganised off the chain
+ *
+ * @returns promise for the (possibly rolled back) state
+ */
+EventIndexer.prototype.handleReorg = co(function *(state) {
+  while (state.checkpoint) {
+    var block = yield this.getBlock(state.checkpoint.blockNumber);
+    if (block && block.hash === state.checkpoint.blockHash) {
+      return state;
+    }
+    var rollbackTo = state.checkpoint.blockNumber - Math.max(this.confirmations, 1);
+    state.entries = state.entries.filter(function(entry) {
+      return entry.blockNumber <= rollbackTo;
+    });
+    if (rollbackTo < this.fromBlock) {
+      state.checkpoint = null;
+    } else {
+      var rollbackBlock = yield this.getBlock(rollbackTo);
+      state.checkpoint = { blockNumber: rollbackTo, blockHash: rollbackBlock.hash };
+    }
+  }
+  return state;
+});
+
+/**
+ * Indexes all confirmed blocks since the last checkpoint
+ *
+ * @returns promise for { fromBlock, toBlock, newEntries } describing what was indexed. fromBlock is greater
+ *          than toBlock if there were no new confirmed blocks.
+ */
+EventIndexer.prototype.sync = co(function *() {
+  var self = this;
+  var state = yield self.handleReorg(yield self.getState());
+
+  var latestBlock = yield Promise.promisify(self.web3.eth.getBlockNumber, { context: self.web3.eth })();
+  var startBlock = state.checkpoint ? state.checkpoint.blockNumber + 1 : self.fromBlock;
+  var endBlock = latestBlock - self.confirmations;
+  var newEntries = 0;
+
+  for (var batchStart = startBlock; batchStart <= endBlock; batchStart += self.batchSize) {
+    var batchEnd = Math.min(batchStart + self.batchSize - 1, endBlock);
+    var events = yield self.getEvents(batchStart, batchEnd);
+
+    // Look up timestamps once per block
+    var blockNumbers = _.uniq(_.map(events, 'blockNumber')).concat(batchEnd);
+    var blocks = _.keyBy(yield Promise.all(_.uniq(blockNumbers).map(function(blockNumber) {
+      return self.getBlock(blockNumber);
+    })), 'number');
+
+    _.sortBy(events, ['blockNumber', 'logIndex']).forEach(function(event) {
+      state.entries.push({
+        id: event.blockNumber + '-' + event.logIndex,
+        blockNumber: event.blockNumber,
+        blockHash: event.blockHash,
+        timestamp: blocks[event.blockNumber].timestamp,
+        transactionHash: event.transactionHash,
+        logIndex: event.logIndex,
+        event: event.event,
+        args: normalizeArgs(event.args)
+      });
+    });
+    newEntries += events.length;
+
+    state.checkpoint = { blockNumber: batchEnd, blockHash: blocks[batchEnd].hash };
+    yield self.store.set(self.key, state);
+  }
+
+  return { fromBlock: startBlock, toBlock: endBlock, newEntries: newEntries };
+});
+
+/**
+ * Gets the indexed history of the contract, oldest first
+ *
+ * @param options.events (optional) array of event names to include, e.g. ['Deposit', 'MultiTransact']
+ * @param options.fromBlock (optional) first block to include
+ * @param options.toBlock (optional) last block to include
+ * @param options.transactionHash (optional) only include events from this transaction
+ * @returns promise for an array of { id, blockNumber, blockHash, timestamp, transactionHash, logIndex, event, args }
+ */
+EventIndexer.prototype.getHistory = co(function *(options) {
+  options = options || {};
+  var state = yield this.getState();
+  return state.entries.filter(function(entry) {
+    return (!options.events || options.events.indexOf(entry.event) !== -1) &&
+      (_.isUndefined(options.fromBlock) || entry.blockNumber >= options.fromBlock) &&
+      (_.isUndefined(options.toBlock) || entry.blockNumber <= options.toBlock) &&
+      (!options.transactionHash || entry.transactionHash === options.transactionHash);
+  });
+});
+
+/**
+ * Gets the block the ledger is indexed up to
+ *
+ * @returns promise for { blockNumber, blockHash }, or null if nothing has been indexed yet
+ */
+EventIndexer.prototype.getCheckpoint = co(function *() {
+  var state = yield this.getState();
+  return state.checkpoint;
+});
+
+module.exports = EventIndexer;
@@ -0,0 +1,160 @@
+/*
+  Deterministic access to the events emitted by a transaction.
+
+  Events are decoded directly from the logs in the transaction receipt, rather than collected by a filter watcher,
+  so there is no need to poll or wait for them to arrive once the transaction has been mined.
+ */
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+var _ = require('lodash');
+var abi = require('ethereumjs-abi');
+var util = require('ethereumjs-util');
+
+/**
+ * Converts a value decoded by ethereumjs-abi into the form web3 gives event arguments
+ */
+var formatValue = function(web3, type, value) {
+  if (type === 'address') {
+    return util.addHexPrefix(_.padStart(value.toString(16), 40, '0'));
+  }
+  if (type === 'bool') {
+    return value;
+  }
+  if (/^u?int/.test(type)) {
+    return web3.toBigNumber(value.toString(10));
+  }
+  if (Buffer.isBuffer(value)) {
+    return util.bufferToHex(value);
+  }
+  return value;
+};
+
+/**
+ * Decodes receipt logs against the events of an ABI
+ *
+ * @param web3 web3 instance (used to create BigNumbers for numeric arguments)
+ * @param contractAbi ABI of the contract which emitted the logs
+ * @param logs array of logs from a transaction receipt
+ * @param address (optional) only decode logs emitted from this address
+ * @returns array of { event, args, address, blockNumber, transactionHash, logIndex }. Logs which are not from
+ *          an event in the ABI are skipped.
+ */
+exports.decodeLogs = function(web3, contractAbi, logs, address) {
+  var eventsByTopic = {};
+  contractAbi.forEach(function(item) {
+    if (item.type === 'event') {
+      var signature = item.name + '(' + _.map(item.inputs, 'type').join(',') + ')';
+      eventsByTopic[util.bufferToHex(util.sha3(signature))] = item;
+    }
+  });
+
+  return _.compact(logs.map(function(log) {
+    var eventAbi = eventsByTopic[log.topics[0]];
+    if (!eventAbi || (address && log.address.toLowerCase() !== address.toLowerCase())) {
+      return;
+    }
+
+    var indexedInputs = _.filter(eventAbi.inputs, 'indexed');
+    var dataInputs = _.reject(eventAbi.inputs, 'indexed');
+    var dataValues = abi.rawDecode(_.map(dataInputs, 'type'), util.toBuffer(log.data));
+    var args = {};
+    indexedInputs.forEach(function(input, i) {
+      var topic = util.toBuffer(log.topics[i + 1]);
+      // Indexed dynamic types are stored as the sha3 of their value
+      var isDynamic = input.type === 'string' || input.type === 'bytes' || /\[\]$/.test(input.type);
+      args[input.name] = isDynamic ? util.bufferToHex(topic) : formatValue(web3, input.type, abi.rawDecode([input.type], topic)[0]);
+    });
+    dataInputs.forEach(function(input, i) {
+      args[input.name] = formatValue(web3, input.type, dataValues[i]);
+    });
+
+    return {
+      event: eventAbi.name,
+      args: args,
+      address: log.address,
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash,
+      logIndex: log.logIndex
+    };
+  }));
+};
+
+/**
+ * Gets the events a contract emitted in a mined transaction
+ *
+ * @param web3 web3 instance
+ * @param contract contract instance (anything with abi and address, e.g. a pudding or web3 contract instance)
+ * @param txHash hash of the transaction
+ * @returns promise for an array of decoded events, in log order
+ */
+exports.getTransactionEvents = co(function *(web3, contract, txHash) {
+  var receipt = yield Promise.promisify(web3.eth.getTransactionReceipt, { context: web3.eth })(txHash);
+  if (!receipt) {
+    throw new Error('transaction ' + txHash + ' has not been mined');
+  }
+  return exports.decodeLogs(web3, contract.abi, receipt.logs, contract.address);
+});
+
+/**
+ * Checks whether an event has the expected arguments. Values are compared by their string form, so numbers,
+ * decimal strings and BigNumbers all match each other.
+ */
+var argsMatch = function(event, args) {
+  return _.every(args, function(value, name) {
+    return _.has(event.args, name) && String(event.args[name]) === String(value);
+  });
+};
+
+var describeEvents = function(events) {
+  if (!events.length) {
+    return 'no events';
+  }
+  return events.map(function(event) {
+    return event.event + ' ' + JSON.stringify(_.mapValues(event.args, String));
+  }).join(', ');
+};
+
+/**
+ * Gets the events with a given name (and optionally arguments) that a contract emitted in a mined transaction,
+ * rejecting if there are none.
+ *
+ * @param web3 web3 instance
+ * @param contract contract instance (anything with abi and address)
+ * @param txHash hash of the transaction
+ * @param eventName name of the expected event, e.g. 'Deposit'
+ * @param args (optional) object of argument values the event must have, e.g. { owner: accounts[0] }
+ * @returns promise for the array of matching events
+ */
+exports.expectEvent = co(function *(web3, contract, txHash, eventName, args) {
+  var events = yield exports.getTransactionEvents(web3, contract, txHash);
+  var matching = events.filter(function(event) {
+    return event.event === eventName && argsMatch(event, args || {});
+  });
+  if (!matching.length) {
+    throw new Error('expected ' + eventName + (args ? ' ' + JSON.stringify(_.mapValues(args, String)) : '') +
+      ' event in transaction ' + txHash + ', but found ' + describeEvents(events));
+  }
+  return matching;
+});
+
+/**
+ * Rejects if a contract emitted an event with a given name (and optionally arguments) in a mined transaction
+ *
+ * @param web3 web3 instance
+ * @param contract contract instance (anything with abi and address)
+ * @param txHash hash of the transaction
+ * @param eventName (optional) name of the unexpected event. If not provided, no events at all are expected.
+ * @param args (optional) object of argument values the unexpected event would have
+ * @returns promise for all events the contract emitted in the transaction
+ */
+exports.expectNoEvent = co(function *(web3, contract, txHash, eventName, args) {
+  var events = yield exports.getTransactionEvents(web3, contract, txHash);
+  var matching = events.filter(function(event) {
+    return (!eventName || event.event === eventName) && argsMatch(event, args || {});
+  });
+  if (matching.length) {
+    throw new Error('expected no ' + (eventName ? eventName + ' ' : '') + 'events in transaction ' + txHash + ', but found ' +
+      describeEvents(matching));
+  }
+  return events;
+});
@@ -0,0 +1,117 @@
+/*
+  Forwarder addresses computed ahead of deployment.
+
+  A contract's address is derived from its creator's address and nonce, and the only contracts a wallet creates
+  are forwarders (createForwarder), so the address of every future forwarder is known in advance. Funds sent to
+  an address before its forwarder is deployed stay there, and are flushed into the wallet once it is.
+ */
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+var _ = require('lodash');
+var util = require('ethereumjs-util');
+
+var events = require('./events');
+
+/**
+ * Gets the address of the forwarder a wallet creates with a given contract nonce
+ *
+ * @param walletAddress address of the wallet
+ * @param nonce contract nonce of the wallet when the forwarder is created
+ * @returns 0x-prefixed address of the forwarder
+ */
+exports.getForwarderAddress = function(walletAddress, nonce) {
+  return util.bufferToHex(util.generateAddress(walletAddress, nonce));
+};
+
+/**
+ * Gets the current contract nonce of a wallet, which is the nonce its next forwarder will be created with
+ *
+ * @returns promise for the nonce as a number
+ */
+exports.getNonce = function(web3, walletAddress) {
+  return Promise.promisify(web3.eth.getTransactionCount, { context: web3.eth })(walletAddress);
+};
+
+/**
+ * Gets the addresses of the next forwarders a wallet will create
+ *
+ * @param web3 web3 instance
+ * @param walletAddress address of the wallet
+ * @param count number of addresses to compute
+ * @returns promise for an array of { nonce, address }, in the order the forwarders will be created
+ */
+exports.getNextForwarderAddresses = co(function *(web3, walletAddress, count) {
+  var nonce = yield exports.getNonce(web3, walletAddress);
+  return _.range(nonce, nonce + count).map(function(forwarderNonce) {
+    return { nonce: forwarderNonce, address: exports.getForwarderAddress(walletAddress, forwarderNonce) };
+  });
+});
+
+/**
+ * Checks predicted forwarder addresses against the chain. Each address has one of the statuses:
+ *   deployed  - the forwarder exists and forwards to the wallet
+ *   predicted - the wallet has not reached the nonce yet, so the forwarder will be created by a future createForwarder
+ *   mismatch  - the address is not the one the wallet creates at that nonce
+ *   missing   - the nonce has been used but there is no forwarder at the address, so funds sent there are lost
+ *
+ * @param web3 web3 instance
+ * @param walletAddress address of the wallet
+ * @param forwarders array of { nonce, address }
+ * @returns promise for an array of { nonce, address, status, valid }, where valid is true for deployed and predicted
+ */
+exports.validateForwarderAddresses = co(function *(web3, walletAddress, forwarders) {
+  var eth = web3.eth;
+  var currentNonce = yield exports.getNonce(web3, walletAddress);
+
+  return yield Promise.all(forwarders.map(co(function *(forwarder) {
+    var status;
+    if (exports.getForwarderAddress(walletAddress, forwarder.nonce) !== forwarder.address.toLowerCase()) {
+      status = 'mismatch';
+    } else if (forwarder.nonce >= currentNonce) {
+      status = 'predicted';
+    } else {
+      var code = yield Promise.promisify(eth.getCode, { context: eth })(forwarder.address);
+      status = (!code || code === '0x' || code === '0x0') ? 'missing' : 'deployed';
+    }
+    return {
+      nonce: forwarder.nonce,
+      address: forwarder.address,
+      status: status,
+      valid: status === 'deployed' || status === 'predicted'
+    };
+  })));
+});
+
+// Finds the nonce in [fromNonce, toNonce) at which the wallet creates a forwarder address
+var findNonce = function(walletAddress, forwarderAddress, fromNonce, toNonce) {
+  return _.find(_.range(fromNonce, toNonce), function(nonce) {
+    return exports.getForwarderAddress(walletAddress, nonce) === forwarderAddress;
+  });
+};
+
+/**
+ * Creates forwarders until the one at the given nonce has been deployed. Forwarders have to be created in nonce
+ * order, so all forwarders before it are deployed as well. Each created address is checked against the prediction.
+ *
+ * @param client WalletClient or WalletSimpleClient of the wallet
+ * @param nonce nonce of the last forwarder to deploy
+ * @param from owner or signer address sending the createForwarder transactions
+ * @returns promise for an array of { nonce, address, txHash } of the forwarders created (empty if already deployed)
+ */
+exports.deployUpTo = co(function *(client, nonce, from) {
+  var created = [];
+  var currentNonce = yield exports.getNonce(client.web3, client.address);
+  while (currentNonce <= nonce) {
+    var txHash = yield client.createForwarder({ from: from });
+    var forwarderAddress = (yield events.expectEvent(client.web3, client.wallet, txHash, 'ForwarderCreated'))[0].args.forwarderAddress;
+    // Forwarders may be created concurrently by others, so find the nonce this one was actually created at
+    var nextNonce = yield exports.getNonce(client.web3, client.address);
+    var createdNonce = findNonce(client.address, forwarderAddress, currentNonce, nextNonce);
+    if (_.isUndefined(createdNonce)) {
+      throw new Error('forwarder ' + forwarderAddress + ' was not created at any nonce from ' + currentNonce + ' to ' + (nextNonce - 1));
+    }
+    created.push({ nonce: createdNonce, address: forwarderAddress, txHash: txHash });
+    currentNonce = nextNonce;
+  }
+  return created;
+});
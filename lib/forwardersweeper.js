@@ -0,0 +1,122 @@
+var assert = require('assert');
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+var _ = require('lodash');
+
+var forwarderAddresses = require('./forwarderaddresses');
+
+// The parts of the ERC20 token standard needed to read balances
+var ERC20_ABI = [{"constant":true,"inputs":[{"name":"_owner","type":"address"}],"name":"balanceOf","outputs":[{"name":"balance","type":"uint256"}],"type":"function"}];
+
+/**
+ * Finds the forwarders created by a wallet and flushes any ether or ERC20 token balances they hold into the wallet.
+ *
+ * Ether sent to a forwarder before it was created is left on the forwarder, and tokens are never forwarded
+ * as no code is run when they are received, so both need to be swept periodically.
+ *
+ * @param params.client WalletClient or WalletSimpleClient of the wallet the forwarders were created by
+ * @param params.Forwarder the Forwarder Pudding class (see contracts.load)
+ */
+var ForwarderSweeper = function(params) {
+  assert(params.client);
+  assert(params.Forwarder);
+
+  this.client = params.client;
+  this.Forwarder = params.Forwarder;
+  this.web3 = params.client.web3;
+};
+
+/**
+ * Gets the addresses of all forwarders created by the wallet with createForwarder.
+ * Contract addresses are derived from the creator's address and nonce, and the wallet only creates contracts
+ * in createForwarder, so every nonce used so far is checked for a forwarder pointing back at the wallet.
+ *
+ * @returns promise for an array of forwarder addresses, in order of creation
+ */
+ForwarderSweeper.prototype.getForwarders = co(function *() {
+  var self = this;
+  var eth = self.web3.eth;
+  var nonce = yield forwarderAddresses.getNonce(self.web3, self.client.address);
+
+  var forwarders = yield Promise.all(_.range(nonce).map(co(function *(i) {
+    var address = forwarderAddresses.getForwarderAddress(self.client.address, i);
+    var code = yield Promise.promisify(eth.getCode, { context: eth })(address);
+    if (!code || code === '0x' || code === '0x0') {
+      return;
+    }
+    var destinationAddress = yield self.Forwarder.at(address).destinationAddress.call();
+    if (destinationAddress.toLowerCase() !== self.client.address.toLowerCase()) {
+      return;
+    }
+    return address;
+  })));
+  return _.compact(forwarders);
+});
+
+/**
+ * Gets the non-zero balances held by the wallet's forwarders
+ *
+ * @param params.tokens (optional) array of ERC20 token contract addresses to check
+ * @param params.forwarders (optional) array of forwarder addresses to check. Defaults to all forwarders of the wallet.
+ * @returns promise for an array of { forwarder, tokenContractAddress, balance }, where tokenContractAddress is
+ *          undefined for ether. Balances are BigNumbers in wei or the token's base units.
+ */
+ForwarderSweeper.prototype.getBalances = co(function *(params) {
+  var self = this;
+  var eth = self.web3.eth;
+  params = params || {};
+  var tokens = params.tokens || [];
+  var forwarders = params.forwarders || (yield self.getForwarders());
+
+  var balances = yield Promise.all(forwarders.map(co(function *(forwarder) {
+    var etherBalance = yield Promise.promisify(eth.getBalance, { context: eth })(forwarder);
+    var tokenBalances = yield Promise.all(tokens.map(function(tokenContractAddress) {
+      var token = eth.contract(ERC20_ABI).at(tokenContractAddress);
+      return Promise.promisify(token.balanceOf.call, { context: token.balanceOf })(forwarder);
+    }));
+    return [{ forwarder: forwarder, balance: etherBalance }].concat(tokens.map(function(tokenContractAddress, i) {
+      return { forwarder: forwarder, tokenContractAddress: tokenContractAddress, balance: tokenBalances[i] };
+    }));
+  })));
+
+  return _.flatten(balances).filter(function(balance) {
+    return balance.balance.greaterThan(0);
+  });
+});
+
+/**
+ * Flushes every non-zero ether and token balance held by the wallet's forwarders into the wallet.
+ * Transactions are sent one at a time, so a failure stops the sweep and the remaining balances are left in place.
+ *
+ * @param params.tokens (optional) array of ERC20 token contract addresses to sweep
+ * @param params.forwarders (optional) array of forwarder addresses to sweep. Defaults to all forwarders of the wallet.
+ * @param params.from owner or signer address sending the transactions (not needed for a dry run)
+ * @param params.dryRun (optional) if true, only report the balances which would be flushed
+ * @returns promise for an array of { forwarder, tokenContractAddress, balance, txHash }
+ */
+ForwarderSweeper.prototype.sweep = co(function *(params) {
+  assert(params.from || params.dryRun);
+
+  var balances = yield this.getBalances({ tokens: params.tokens, forwarders: params.forwarders });
+  if (params.dryRun) {
+    return balances;
+  }
+
+  for (var i = 0; i < balances.length; i++) {
+    var balance = balances[i];
+    if (balance.tokenContractAddress) {
+      balance.txHash = yield this.client.flushForwarderTokens({
+        forwarderAddress: balance.forwarder,
+        tokenContractAddress: balance.tokenContractAddress,
+        from: params.from
+      });
+    } else {
+      balance.txHash = yield this.Forwarder.at(balance.forwarder).flush({ from: params.from });
+    }
+  }
+  return balances;
+});
+
+ForwarderSweeper.ERC20_ABI = ERC20_ABI;
+
+module.exports = ForwarderSweeper;
@@ -0,0 +1,369 @@
+/*
+  Gas profiling harness. Runs each public method of Wallet, WalletSimple, WalletSimpleThreshold and Forwarder
+  against a node (normally testrpc) across M-of-N owner configurations, and reports the gas used by every transaction.
+
+  The markdown and JSON reports are sorted by contract, method and configuration, so that reports generated
+  on different commits can be diffed.
+ */
+var assert = require('assert');
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+var _ = require('lodash');
+var abi = require('ethereumjs-abi');
+var util = require('ethereumjs-util');
+
+var events = require('./events');
+var walletUtil = require('./util');
+var WalletClient = require('./wallet');
+var WalletSimpleClient = require('./walletsimple');
+var WalletSimpleThresholdClient = require('./walletsimplethreshold');
+
+// M-of-N Wallet configurations profiled by default. N includes the creator of the wallet.
+var DEFAULT_CONFIGURATIONS = [
+  { owners: 2, required: 1 },
+  { owners: 2, required: 2 },
+  { owners: 3, required: 2 },
+  { owners: 5, required: 3 },
+  { owners: 10, required: 5 }
+];
+
+var DEFAULT_DEPLOY_GAS = 4000000;
+
+// Arbitrary fixed addresses, so that calldata (and therefore gas) is the same on every run
+var DESTINATION_ADDRESS = '0x1111111111111111111111111111111111111111';
+var NEW_OWNER_ADDRESS = '0x2222222222222222222222222222222222222222';
+var REPLACEMENT_OWNER_ADDRESS = '0x3333333333333333333333333333333333333333';
+
+var ETHER = '1000000000000000000';
+
+var getConfigurationName = function(configuration) {
+  return configuration.required + '-of-' + configuration.owners;
+};
+
+/**
+ * Gets the receipt of a transaction, waiting for it to be mined
+ */
+var waitForReceipt = co(function *(web3, txHash) {
+  var getTransactionReceipt = Promise.promisify(web3.eth.getTransactionReceipt, { context: web3.eth });
+  for (var attempt = 0; attempt < 600; attempt++) {
+    var receipt = yield getTransactionReceipt(txHash);
+    if (receipt) {
+      return receipt;
+    }
+    yield Promise.delay(500);
+  }
+  throw new Error('timed out waiting for transaction ' + txHash + ' to be mined');
+});
+
+/**
+ * Deploys a contract in a plain transaction, rather than through Pudding, so that the gas used by the
+ * deployment can be read from its receipt.
+ *
+ * @returns promise for { contract: Pudding instance, txHash }
+ */
+var deploy = co(function *(context, Contract, args, from) {
+  var constructorAbi = _.find(Contract.abi, { type: 'constructor' });
+  var types = constructorAbi ? _.map(constructorAbi.inputs, 'type') : [];
+  var data = util.addHexPrefix(Contract.binary) + abi.rawEncode(types, args).toString('hex');
+  var txHash = yield context.sendTransaction({ from: from, data: data, gas: context.deployGas });
+  var receipt = yield waitForReceipt(context.web3, txHash);
+  return { contract: Contract.at(receipt.contractAddress), txHash: txHash };
+});
+
+/**
+ * Sends a multi-owner operation from each of the first `required` owners in turn, recording the gas used by the
+ * first, a middle and the final (executing) confirmation.
+ *
+ * @param send function taking an owner address and returning a promise for the transaction hash
+ */
+var confirmByOwners = co(function *(record, method, owners, required, send) {
+  for (var i = 0; i < required; i++) {
+    var txHash = yield send(owners[i]);
+    if (i === required - 1) {
+      yield record(method + ' (final confirmation)', txHash);
+    } else if (i === 0) {
+      yield record(method + ' (first confirmation)', txHash);
+    } else if (i === 1) {
+      yield record(method + ' (further confirmation)', txHash);
+    }
+  }
+});
+
+/**
+ * Profiles a Wallet with one M-of-N configuration
+ */
+var profileWallet = co(function *(context, configuration) {
+  var owners = context.accounts.slice(0, configuration.owners);
+  var required = configuration.required;
+  var record = context.recorder('Wallet', getConfigurationName(configuration));
+  var dailyLimit = context.web3.toBigNumber(ETHER).times(10).toString(10);
+
+  // The creator is added as an owner by the constructor
+  var deployment = yield deploy(context, context.contracts.Wallet, [owners.slice(1), required, dailyLimit, context.networkId], owners[0]);
+  yield record('deploy', deployment.txHash);
+  var wallet = deployment.contract;
+  var client = new WalletClient({ wallet: wallet, web3: context.web3, networkId: context.networkId });
+
+  yield record('deposit', yield context.sendTransaction({ from: owners[0], to: wallet.address, value: context.web3.toBigNumber(ETHER).times(1000).toString(10) }));
+
+  yield record('createForwarder', yield wallet.createForwarder({ from: owners[0] }));
+  var forwarderAddress = util.bufferToHex(util.generateAddress(wallet.address, 0));
+  yield record('deposit via forwarder', yield context.sendTransaction({ from: owners[0], to: forwarderAddress, value: ETHER }));
+
+  yield record('execute (under daily limit)', yield wallet.execute(DESTINATION_ADDRESS, ETHER, '0x', { from: owners[0] }));
+
+  // Over the daily limit, the execution is the first confirmation
+  var overLimit = context.web3.toBigNumber(ETHER).times(100).toString(10);
+  var executeTxHash = yield wallet.execute(DESTINATION_ADDRESS, overLimit, '0x', { from: owners[0] });
+  yield record('execute (over daily limit)', executeTxHash);
+  if (required > 1) {
+    var operationHash = (yield events.expectEvent(context.web3, wallet, executeTxHash, 'ConfirmationNeeded'))[0].args.operation;
+    yield confirmByOwners(record, 'confirm', owners.slice(1), required - 1, function(owner) {
+      return wallet.confirm(operationHash, { from: owner });
+    });
+
+    executeTxHash = yield wallet.execute(DESTINATION_ADDRESS, overLimit, '0x', { from: owners[0] });
+    operationHash = (yield events.expectEvent(context.web3, wallet, executeTxHash, 'ConfirmationNeeded'))[0].args.operation;
+    yield record('revoke', yield wallet.revoke(operationHash, { from: owners[0] }));
+  }
+
+  yield record('executeAndConfirm', yield client.executeAndConfirm({
+    to: DESTINATION_ADDRESS,
+    value: overLimit,
+    expireTime: Math.floor(new Date().getTime() / 1000) + 3600,
+    otherSigner: owners[1],
+    from: owners[0]
+  }));
+
+  yield confirmByOwners(record, 'addOwner', owners, required, function(owner) {
+    return wallet.addOwner(NEW_OWNER_ADDRESS, { from: owner });
+  });
+  yield confirmByOwners(record, 'changeOwner', owners, required, function(owner) {
+    return wallet.changeOwner(NEW_OWNER_ADDRESS, REPLACEMENT_OWNER_ADDRESS, { from: owner });
+  });
+  yield confirmByOwners(record, 'removeOwner', owners, required, function(owner) {
+    return wallet.removeOwner(REPLACEMENT_OWNER_ADDRESS, { from: owner });
+  });
+  yield confirmByOwners(record, 'changeRequirement', owners, required, function(owner) {
+    return wallet.changeRequirement(required, { from: owner });
+  });
+  yield confirmByOwners(record, 'setDailyLimit', owners, required, function(owner) {
+    return wallet.setDailyLimit(dailyLimit, { from: owner });
+  });
+  yield confirmByOwners(record, 'resetSpentToday', owners, required, function(owner) {
+    return wallet.resetSpentToday({ from: owner });
+  });
+  yield confirmByOwners(record, 'setTimelock', owners, required, function(owner) {
+    return wallet.setTimelock(3600, { from: owner });
+  });
+});
+
+/**
+ * Profiles a WalletSimple (always 2-of-3)
+ */
+var profileWalletSimple = co(function *(context) {
+  var signers = context.accounts.slice(0, 3);
+  var record = context.recorder('WalletSimple', '2-of-3');
+
+  var deployment = yield deploy(context, context.contracts.WalletSimple, [signers, context.networkId], signers[0]);
+  yield record('deploy', deployment.txHash);
+  var wallet = deployment.contract;
+  var client = new WalletSimpleClient({ wallet: wallet, web3: context.web3, networkId: context.networkId });
+
+  yield record('deposit', yield context.sendTransaction({ from: signers[0], to: wallet.address, value: context.web3.toBigNumber(ETHER).times(1000).toString(10) }));
+  yield record('deposit with data', yield context.sendTransaction({ from: signers[0], to: wallet.address, value: ETHER, data: '0xabcd' }));
+
+  yield record('createForwarder', yield client.createForwarder({ from: signers[0] }));
+  var forwarderAddress = util.bufferToHex(util.generateAddress(wallet.address, 0));
+  yield record('deposit via forwarder', yield context.sendTransaction({ from: signers[0], to: forwarderAddress, value: ETHER }));
+
+  var sendMultiSig = function() {
+    return client.sendMultiSig({
+      to: DESTINATION_ADDRESS,
+      value: ETHER,
+      expireTime: Math.floor(new Date().getTime() / 1000) + 3600,
+      otherSigner: signers[1],
+      from: signers[0]
+    });
+  };
+  yield record('sendMultiSig (first)', yield sendMultiSig());
+  yield record('sendMultiSig', yield sendMultiSig());
+  yield record('sendMultiSigBatch (10 transfers)', yield client.sendMultiSigBatch({
+    recipients: _.times(10, _.constant(DESTINATION_ADDRESS)),
+    values: _.times(10, _.constant(ETHER)),
+    expireTime: Math.floor(new Date().getTime() / 1000) + 3600,
+    otherSigner: signers[1],
+    from: signers[0]
+  }));
+
+  yield record('setTimelock', yield client.setTimelock({
+    timelock: 3600,
+    expireTime: Math.floor(new Date().getTime() / 1000) + 3600,
+    otherSigner: signers[1],
+    from: signers[0]
+  }));
+  var queueTxHash = yield sendMultiSig();
+  yield record('sendMultiSig (queued)', queueTxHash);
+  var queuedOperation = (yield events.expectEvent(context.web3, wallet, queueTxHash, 'TransactionQueued'))[0].args.operation;
+  yield record('cancelQueued', yield client.cancelQueued(queuedOperation, { from: signers[2] }));
+
+  yield record('activateSafeMode', yield client.activateSafeMode({ from: signers[0] }));
+  yield record('requestSafeModeExit', yield client.requestSafeModeExit({
+    expireTime: Math.floor(new Date().getTime() / 1000) + 3600,
+    otherSigners: signers.slice(1),
+    from: signers[0]
+  }));
+});
+
+/**
+ * Profiles a WalletSimpleThreshold in an M-of-N configuration. The sender is one of the required signers.
+ */
+var profileWalletSimpleThreshold = co(function *(context, configuration) {
+  var signers = context.accounts.slice(0, configuration.owners);
+  var record = context.recorder('WalletSimpleThreshold', getConfigurationName(configuration));
+
+  var deployment = yield deploy(context, context.contracts.WalletSimpleThreshold, [signers, configuration.required, context.networkId], signers[0]);
+  yield record('deploy', deployment.txHash);
+  var client = new WalletSimpleThresholdClient({ wallet: deployment.contract, web3: context.web3, networkId: context.networkId });
+  yield context.sendTransaction({ from: signers[0], to: client.address, value: context.web3.toBigNumber(ETHER).times(100).toString(10) });
+
+  var sendMultiSig = function() {
+    return client.sendMultiSig({
+      to: DESTINATION_ADDRESS,
+      value: ETHER,
+      expireTime: Math.floor(new Date().getTime() / 1000) + 3600,
+      otherSigners: signers.slice(1, configuration.required),
+      from: signers[0]
+    });
+  };
+  yield record('sendMultiSig (first)', yield sendMultiSig());
+  yield record('sendMultiSig', yield sendMultiSig());
+});
+
+/**
+ * Profiles a Forwarder deployed from a plain account
+ */
+var profileForwarder = co(function *(context) {
+  var record = context.recorder('Forwarder', 'standalone');
+  var creator = context.accounts[0];
+
+  // Fund the address the forwarder will be deployed to, so that flush has something to move
+  var nonce = yield Promise.promisify(context.web3.eth.getTransactionCount, { context: context.web3.eth })(creator);
+  var forwarderAddress = util.bufferToHex(util.generateAddress(creator, nonce));
+  yield context.sendTransaction({ from: context.accounts[1], to: forwarderAddress, value: ETHER });
+
+  var deployment = yield deploy(context, context.contracts.Forwarder, [], creator);
+  yield record('deploy', deployment.txHash);
+  yield record('flush', yield deployment.contract.flush({ from: creator }));
+  yield record('forward', yield context.sendTransaction({ from: context.accounts[1], to: forwarderAddress, value: ETHER }));
+});
+
+/**
+ * Runs every profiled method and measures the gas used
+ *
+ * @param params.web3 web3 instance connected to a development node (e.g. testrpc) with funded, unlocked accounts
+ * @param params.contracts object of Pudding classes for Wallet, WalletSimple, WalletSimpleThreshold and Forwarder
+ *                         (see contracts.load)
+ * @param params.accounts (optional) accounts to use as owners. Defaults to web3.eth.accounts.
+ *                        Must contain at least as many accounts as the largest configuration has owners.
+ * @param params.configurations (optional) array of { owners, required } Wallet configurations to profile. Those
+ *                               with required of at least 2 are profiled for WalletSimpleThreshold too.
+ * @param params.deployGas (optional) gas limit for contract deployments. Defaults to 4000000.
+ * @returns promise for an array of { contract, method, configuration, gasUsed }
+ */
+exports.profile = co(function *(params) {
+  assert(params.web3);
+  assert(params.contracts);
+
+  var web3 = params.web3;
+  var configurations = params.configurations || DEFAULT_CONFIGURATIONS;
+  var accounts = params.accounts || (yield Promise.promisify(web3.eth.getAccounts, { context: web3.eth })());
+  var maxOwners = _.max(_.map(configurations, 'owners').concat(3));
+  if (accounts.length < maxOwners) {
+    throw new Error('need at least ' + maxOwners + ' accounts to profile, but only have ' + accounts.length);
+  }
+
+  var rows = [];
+  var context = {
+    web3: web3,
+    contracts: params.contracts,
+    accounts: accounts,
+    networkId: yield walletUtil.getNetworkId(web3),
+    deployGas: params.deployGas || DEFAULT_DEPLOY_GAS,
+    sendTransaction: Promise.promisify(web3.eth.sendTransaction, { context: web3.eth }),
+    recorder: function(contract, configuration) {
+      return co(function *(method, txHash) {
+        var receipt = yield waitForReceipt(web3, txHash);
+        rows.push({ contract: contract, method: method, configuration: configuration, gasUsed: receipt.gasUsed });
+      });
+    }
+  };
+
+  for (var i = 0; i < configurations.length; i++) {
+    yield profileWallet(context, configurations[i]);
+  }
+  yield profileWalletSimple(context);
+  // WalletSimpleThreshold always requires the sender and at least one other signer
+  var thresholdConfigurations = configurations.filter(function(configuration) {
+    return configuration.required >= 2;
+  });
+  for (i = 0; i < thresholdConfigurations.length; i++) {
+    yield profileWalletSimpleThreshold(context, thresholdConfigurations[i]);
+  }
+  yield profileForwarder(context);
+  return rows;
+});
+
+// Orders M-of-N configurations by N, then M
+var getConfigurationOrder = function(configuration) {
+  var match = /^(\d+)-of-(\d+)$/.exec(configuration);
+  return match ? parseInt(match[2], 10) * 1000 + parseInt(match[1], 10) : 0;
+};
+
+/**
+ * Sorts report rows by contract, method and configuration
+ */
+var sortRows = function(rows) {
+  return _.sortBy(rows, ['contract', 'method', function(row) {
+    return getConfigurationOrder(row.configuration);
+  }]);
+};
+
+/**
+ * Formats profile results as JSON, nested as { contract: { method: { configuration: gasUsed } } }
+ */
+exports.formatJson = function(rows) {
+  var report = {};
+  sortRows(rows).forEach(function(row) {
+    _.set(report, [row.contract, row.method, row.configuration], row.gasUsed);
+  });
+  return JSON.stringify(report, null, 2);
+};
+
+/**
+ * Formats profile results as markdown, with a table per contract of methods against configurations
+ */
+exports.formatMarkdown = function(rows) {
+  var sections = [];
+  _.forEach(_.groupBy(sortRows(rows), 'contract'), function(contractRows, contract) {
+    var configurations = _.sortBy(_.uniq(_.map(contractRows, 'configuration')), getConfigurationOrder);
+    var lines = [
+      '### ' + contract,
+      '',
+      '| Method | ' + configurations.join(' | ') + ' |',
+      '| --- | ' + configurations.map(_.constant('---:')).join(' | ') + ' |'
+    ];
+    _.forEach(_.groupBy(contractRows, 'method'), function(methodRows, method) {
+      var gasByConfiguration = _.fromPairs(methodRows.map(function(row) {
+        return [row.configuration, row.gasUsed];
+      }));
+      lines.push('| ' + method + ' | ' + configurations.map(function(configuration) {
+        return _.has(gasByConfiguration, configuration) ? String(gasByConfiguration[configuration]) : '-';
+      }).join(' | ') + ' |');
+    });
+    sections.push(lines.join('\n'));
+  });
+  return '## Gas usage\n\n' + sections.join('\n\n') + '\n';
+};
+
+exports.DEFAULT_CONFIGURATIONS = DEFAULT_CONFIGURATIONS;
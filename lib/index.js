@@ -0,0 +1,26 @@
+exports.approvalServer = require('./approvalserver');
+exports.batch = require('./batch');
+exports.contracts = require('./contracts');
+exports.events = require('./events');
+exports.forwarderAddresses = require('./forwarderaddresses');
+exports.gasProfile = require('./gasprofile');
+exports.operation = require('./operation');
+exports.pendingOperations = require('./pendingoperations');
+exports.sequenceId = require('./sequenceid');
+exports.signatures = require('./signatures');
+exports.simulate = require('./simulate');
+exports.timelock = require('./timelock');
+exports.verify = require('./verify');
+exports.ApprovalService = require('./approvalservice');
+exports.CalldataDecoder = require('./calldata');
+exports.DepositAddressManager = require('./depositaddresses');
+exports.EventIndexer = require('./eventindexer');
+exports.ForwarderSweeper = require('./forwardersweeper');
+exports.SequenceIdManager = require('./sequenceidmanager');
+exports.WalletClient = require('./wallet');
+exports.WalletSimpleClient = require('./walletsimple');
+exports.WalletSimpleThresholdClient = require('./walletsimplethreshold');
+exports.stores = {
+  JsonFileStore: require('./stores/jsonfilestore'),
+  MemoryStore: require('./stores/memorystore')
+};
@@ -0,0 +1,572 @@
+/*
+  Offline builder and signer for the operation hashes used by Wallet.executeAndConfirm, WalletSimple.sendMultiSig,
+  WalletSimple.sendMultiSigToken, WalletSimple.sendMultiSigBatch, the WalletSimple signer changes, safe mode exits and
+  timelock changes.
+  Every hash starts with OPERATION_HASH_VERSION, the wallet address and the network ID the wallet was deployed with, so a
+  signature is only valid on the wallet and network it was made for.
+  Transfers can also be approved by signing typed data (eth_signTypedData) for WalletSimple.sendMultiSigTyped and
+  Wallet.executeAndConfirmTyped, which signing tools can show field by field instead of an opaque hash.
+  No node connection is required, so the second signature can be produced on an air-gapped machine.
+ */
+var abi = require('ethereumjs-abi');
+var util = require('ethereumjs-util');
+var BN = require('bn.js');
+var _ = require('lodash');
+
+var walletUtil = require('./util');
+
+// Converts a Buffer or hex string (with or without 0x prefix) into a Buffer
+var toBuffer = function(value) {
+  return Buffer.isBuffer(value) ? value : util.toBuffer(util.addHexPrefix(value));
+};
+
+// Version of the operation hash format, the first field of every hash (OPERATION_HASH_VERSION in WalletSimple,
+// operationHashVersion in Wallet). Version 1 hashes did not include the wallet address and network ID.
+exports.OPERATION_HASH_VERSION = 2;
+
+// Hashes the tightly packed fields of an operation, preceded by the version, wallet address and network ID
+var hashOperation = function(walletAddress, networkId, types, values) {
+  if (!util.isValidAddress(util.addHexPrefix(walletAddress || ''))) {
+    throw new Error('invalid walletAddress ' + walletAddress);
+  }
+  if (networkId === undefined || networkId === null || networkId === '') {
+    throw new Error('networkId is required');
+  }
+  return util.bufferToHex(abi.soliditySHA3(
+    [ "uint", "address", "uint" ].concat(types),
+    [
+      new BN(exports.OPERATION_HASH_VERSION),
+      new BN(util.stripHexPrefix(walletAddress), 16),
+      new BN(walletUtil.toWeiString(networkId), 10)
+    ].concat(values)
+  ));
+};
+
+/**
+ * Gets the operation hash exactly as computed by the contracts: sha3(uint version, address wallet, uint networkId,
+ * address toAddress, uint value, bytes data, uint expireTime, uint sequenceId), tightly packed.
+ *
+ * @param walletAddress address of the wallet sending the transaction
+ * @param networkId the network ID the wallet was deployed with
+ * @param toAddress destination address of the transaction
+ * @param value amount in wei (number, decimal string, BN or BigNumber)
+ * @param data Buffer or hex string of the data sent with the transaction
+ * @param expireTime number of seconds since 1970 for which the transaction is valid
+ * @param sequenceId the unique sequence id
+ * @returns 0x-prefixed hex string of the operation hash
+ */
+exports.getOperationHash = function(walletAddress, networkId, toAddress, value, data, expireTime, sequenceId) {
+  if (!util.isValidAddress(util.addHexPrefix(toAddress))) {
+    throw new Error('invalid toAddress ' + toAddress);
+  }
+  return hashOperation(walletAddress, networkId,
+    [ "address", "uint", "bytes", "uint", "uint" ],
+    [
+      new BN(util.stripHexPrefix(toAddress), 16),
+      new BN(walletUtil.toWeiString(value), 10),
+      util.toBuffer(walletUtil.toHexData(data)),
+      new BN(walletUtil.toWeiString(expireTime), 10),
+      new BN(walletUtil.toWeiString(sequenceId), 10)
+    ]
+  );
+};
+
+// The fields of the typed data signed for sendMultiSigTyped and executeAndConfirmTyped, in order
+exports.TYPED_OPERATION_SCHEMA = [
+  { type: 'address', name: 'wallet' },
+  { type: 'uint256', name: 'networkId' },
+  { type: 'address', name: 'to' },
+  { type: 'uint256', name: 'value' },
+  { type: 'bytes', name: 'data' },
+  { type: 'uint256', name: 'expireTime' },
+  { type: 'uint256', name: 'sequenceId' }
+];
+
+/**
+ * Gets the typed data of a transfer, as passed to eth_signTypedData by the other signer: an array of
+ * { type, name, value } in the order of TYPED_OPERATION_SCHEMA, with the addresses and data as 0x-prefixed hex and the
+ * numbers as decimal strings.
+ *
+ * @param walletAddress address of the wallet sending the transaction
+ * @param networkId the network ID the wallet was deployed with
+ * @param toAddress destination address of the transaction
+ * @param value amount in wei (number, decimal string, BN or BigNumber)
+ * @param data Buffer or hex string of the data sent with the transaction
+ * @param expireTime number of seconds since 1970 for which the transaction is valid
+ * @param sequenceId the unique sequence id
+ * @returns array of the typed data fields
+ */
+exports.getTypedOperationData = function(walletAddress, networkId, toAddress, value, data, expireTime, sequenceId) {
+  if (!util.isValidAddress(util.addHexPrefix(walletAddress || ''))) {
+    throw new Error('invalid walletAddress ' + walletAddress);
+  }
+  if (networkId === undefined || networkId === null || networkId === '') {
+    throw new Error('networkId is required');
+  }
+  if (!util.isValidAddress(util.addHexPrefix(toAddress || ''))) {
+    throw new Error('invalid toAddress ' + toAddress);
+  }
+  var values = [
+    util.addHexPrefix(walletAddress).toLowerCase(),
+    walletUtil.toWeiString(networkId),
+    util.addHexPrefix(toAddress).toLowerCase(),
+    walletUtil.toWeiString(value),
+    walletUtil.toHexData(data),
+    walletUtil.toWeiString(expireTime),
+    walletUtil.toWeiString(sequenceId)
+  ];
+  return exports.TYPED_OPERATION_SCHEMA.map(function(field, i) {
+    return { type: field.type, name: field.name, value: values[i] };
+  });
+};
+
+/**
+ * Hashes typed data as eth_signTypedData does: sha3(sha3 of the "type name" strings, sha3 of the values), each tightly
+ * packed. Supports the address, uint256 and bytes fields of TYPED_OPERATION_SCHEMA.
+ *
+ * @param typedData array of { type, name, value }
+ * @returns 0x-prefixed hex string of the hash
+ */
+exports.hashTypedData = function(typedData) {
+  var schema = typedData.map(function(field) {
+    return field.type + ' ' + field.name;
+  });
+  var values = typedData.map(function(field) {
+    switch (field.type) {
+      case 'address':
+        return new BN(util.stripHexPrefix(field.value), 16);
+      case 'uint256':
+        return new BN(walletUtil.toWeiString(field.value), 10);
+      case 'bytes':
+        return util.toBuffer(walletUtil.toHexData(field.value));
+      default:
+        throw new Error('unsupported typed data type ' + field.type);
+    }
+  });
+  return util.bufferToHex(abi.soliditySHA3(
+    [ "bytes32", "bytes32" ],
+    [
+      abi.soliditySHA3(schema.map(function() { return "string"; }), schema),
+      abi.soliditySHA3(_.map(typedData, 'type'), values)
+    ]
+  ));
+};
+
+/**
+ * Gets the hash of the typed data of a transfer exactly as computed by WalletSimple.sendMultiSigTyped and
+ * Wallet.executeAndConfirmTyped: sha3(schema hash, sha3(address wallet, uint networkId, address toAddress, uint value,
+ * bytes data, uint expireTime, uint sequenceId)). This is the hash that eth_signTypedData signs.
+ *
+ * @param walletAddress address of the wallet sending the transaction
+ * @param networkId the network ID the wallet was deployed with
+ * @param toAddress destination address of the transaction
+ * @param value amount in wei (number, decimal string, BN or BigNumber)
+ * @param data Buffer or hex string of the data sent with the transaction
+ * @param expireTime number of seconds since 1970 for which the transaction is valid
+ * @param sequenceId the unique sequence id
+ * @returns 0x-prefixed hex string of the operation hash
+ */
+exports.getTypedOperationHash = function(walletAddress, networkId, toAddress, value, data, expireTime, sequenceId) {
+  return exports.hashTypedData(exports.getTypedOperationData(walletAddress, networkId, toAddress, value, data, expireTime, sequenceId));
+};
+
+// Prefix of token operation hashes, so that ether and token signatures can not be replayed against each other
+exports.TOKEN_OPERATION_PREFIX = 'ERC20';
+
+/**
+ * Gets the token operation hash exactly as computed by WalletSimple.sendMultiSigToken: sha3(uint version, address wallet,
+ * uint networkId, "ERC20", address toAddress, uint value, address tokenContractAddress, uint expireTime, uint sequenceId),
+ * tightly packed.
+ *
+ * @param walletAddress address of the wallet sending the tokens
+ * @param networkId the network ID the wallet was deployed with
+ * @param toAddress address the tokens are sent to
+ * @param value amount in the token's base units (number, decimal string, BN or BigNumber)
+ * @param tokenContractAddress address of the ERC20 token contract
+ * @param expireTime number of seconds since 1970 for which the transaction is valid
+ * @param sequenceId the unique sequence id
+ * @returns 0x-prefixed hex string of the operation hash
+ */
+exports.getTokenOperationHash = function(walletAddress, networkId, toAddress, value, tokenContractAddress, expireTime, sequenceId) {
+  if (!util.isValidAddress(util.addHexPrefix(toAddress))) {
+    throw new Error('invalid toAddress ' + toAddress);
+  }
+  if (!util.isValidAddress(util.addHexPrefix(tokenContractAddress))) {
+    throw new Error('invalid tokenContractAddress ' + tokenContractAddress);
+  }
+  return hashOperation(walletAddress, networkId,
+    [ "string", "address", "uint", "address", "uint", "uint" ],
+    [
+      exports.TOKEN_OPERATION_PREFIX,
+      new BN(util.stripHexPrefix(toAddress), 16),
+      new BN(walletUtil.toWeiString(value), 10),
+      new BN(util.stripHexPrefix(tokenContractAddress), 16),
+      new BN(walletUtil.toWeiString(expireTime), 10),
+      new BN(walletUtil.toWeiString(sequenceId), 10)
+    ]
+  );
+};
+
+// Prefix of batch operation hashes, so that a batch signature can not be replayed as a single transfer
+exports.BATCH_OPERATION_PREFIX = 'BATCH';
+
+/**
+ * Gets the batch operation hash exactly as computed by WalletSimple.sendMultiSigBatch: sha3(uint version, address wallet,
+ * uint networkId, "BATCH", address[] recipients, uint[] values, uint expireTime, uint sequenceId). sha3 packs the
+ * elements of the arrays into 32 bytes each, including the addresses.
+ *
+ * @param walletAddress address of the wallet sending the batch
+ * @param networkId the network ID the wallet was deployed with
+ * @param recipients array of the destination addresses
+ * @param values array of the amounts in wei sent to each recipient (numbers, decimal strings, BNs or BigNumbers)
+ * @param expireTime number of seconds since 1970 for which the batch is valid
+ * @param sequenceId the unique sequence id
+ * @returns 0x-prefixed hex string of the operation hash
+ */
+exports.getBatchOperationHash = function(walletAddress, networkId, recipients, values, expireTime, sequenceId) {
+  if (!recipients.length || recipients.length !== values.length) {
+    throw new Error('a batch needs one value for each of at least one recipient');
+  }
+  recipients.forEach(function(recipient) {
+    if (!util.isValidAddress(util.addHexPrefix(recipient))) {
+      throw new Error('invalid recipient ' + recipient);
+    }
+  });
+
+  var types = [ "string" ];
+  var args = [ exports.BATCH_OPERATION_PREFIX ];
+  recipients.forEach(function(recipient) {
+    types.push("uint");
+    args.push(new BN(util.stripHexPrefix(recipient), 16));
+  });
+  values.forEach(function(value) {
+    types.push("uint");
+    args.push(new BN(walletUtil.toWeiString(value), 10));
+  });
+  return hashOperation(walletAddress, networkId,
+    types.concat([ "uint", "uint" ]),
+    args.concat([
+      new BN(walletUtil.toWeiString(expireTime), 10),
+      new BN(walletUtil.toWeiString(sequenceId), 10)
+    ])
+  );
+};
+
+// Prefixes of the hashes of changes to the signers of WalletSimple, by action
+exports.SIGNER_OPERATION_PREFIXES = {
+  add: 'ADDSIGNER',
+  remove: 'REMOVESIGNER',
+  replace: 'REPLACESIGNER'
+};
+
+/**
+ * Gets the hash of a change to the signers exactly as computed by WalletSimple.addSigner, removeSigner and
+ * replaceSigner, tightly packed after uint version, address wallet and uint networkId:
+ *   add: sha3(..., "ADDSIGNER", address signer, uint expireTime, uint sequenceId)
+ *   remove: sha3(..., "REMOVESIGNER", address signer, uint expireTime, uint sequenceId)
+ *   replace: sha3(..., "REPLACESIGNER", address oldSigner, address newSigner, uint expireTime, uint sequenceId)
+ *
+ * @param params.walletAddress address of the wallet
+ * @param params.networkId the network ID the wallet was deployed with
+ * @param params.action add, remove or replace
+ * @param params.signer address added or removed as a signer (add and remove)
+ * @param params.oldSigner address removed as a signer (replace)
+ * @param params.newSigner address added as a signer in its place (replace)
+ * @param params.expireTime number of seconds since 1970 for which the change is valid
+ * @param params.sequenceId the unique sequence id
+ * @returns 0x-prefixed hex string of the operation hash
+ */
+exports.getSignerOperationHash = function(params) {
+  var prefix = exports.SIGNER_OPERATION_PREFIXES[params.action];
+  if (!prefix) {
+    throw new Error('action must be add, remove or replace');
+  }
+  var addresses = params.action === 'replace' ? [params.oldSigner, params.newSigner] : [params.signer];
+  addresses.forEach(function(address) {
+    if (!util.isValidAddress(util.addHexPrefix(address || ''))) {
+      throw new Error('invalid signer ' + address);
+    }
+  });
+  return hashOperation(params.walletAddress, params.networkId,
+    [ "string" ].concat(addresses.map(function() { return "address"; })).concat([ "uint", "uint" ]),
+    [ prefix ].concat(addresses.map(function(address) {
+      return new BN(util.stripHexPrefix(address), 16);
+    })).concat([
+      new BN(walletUtil.toWeiString(params.expireTime), 10),
+      new BN(walletUtil.toWeiString(params.sequenceId), 10)
+    ])
+  );
+};
+
+// Prefix of the hashes signed to leave safe mode (WalletSimple.requestSafeModeExit)
+exports.SAFE_MODE_EXIT_PREFIX = 'EXITSAFEMODE';
+
+/**
+ * Gets the safe mode exit hash exactly as computed by WalletSimple.requestSafeModeExit:
+ * sha3(uint version, address wallet, uint networkId, "EXITSAFEMODE", uint expireTime, uint sequenceId), tightly packed.
+ *
+ * @param walletAddress address of the wallet
+ * @param networkId the network ID the wallet was deployed with
+ * @param expireTime number of seconds since 1970 for which the request is valid
+ * @param sequenceId the unique sequence id
+ * @returns 0x-prefixed hex string of the operation hash
+ */
+exports.getSafeModeExitOperationHash = function(walletAddress, networkId, expireTime, sequenceId) {
+  return hashOperation(walletAddress, networkId,
+    [ "string", "uint", "uint" ],
+    [
+      exports.SAFE_MODE_EXIT_PREFIX,
+      new BN(walletUtil.toWeiString(expireTime), 10),
+      new BN(walletUtil.toWeiString(sequenceId), 10)
+    ]
+  );
+};
+
+// Prefix of the hashes signed to change the number of signers and the delay needed to leave safe mode
+exports.SAFE_MODE_EXIT_POLICY_PREFIX = 'SAFEMODEEXITPOLICY';
+
+/**
+ * Gets the hash exactly as computed by WalletSimple.setSafeModeExitPolicy: sha3(uint version, address wallet,
+ * uint networkId, "SAFEMODEEXITPOLICY", uint exitSigners, uint exitDelay, uint expireTime, uint sequenceId), tightly packed.
+ *
+ * @param walletAddress address of the wallet
+ * @param networkId the network ID the wallet was deployed with
+ * @param exitSigners number of signers needed to leave safe mode, 0 for all signers
+ * @param exitDelay number of seconds between requesting and completing an exit, 0 for the default
+ * @param expireTime number of seconds since 1970 for which the change is valid
+ * @param sequenceId the unique sequence id
+ * @returns 0x-prefixed hex string of the operation hash
+ */
+exports.getSafeModeExitPolicyOperationHash = function(walletAddress, networkId, exitSigners, exitDelay, expireTime, sequenceId) {
+  return hashOperation(walletAddress, networkId,
+    [ "string", "uint", "uint", "uint", "uint" ],
+    [
+      exports.SAFE_MODE_EXIT_POLICY_PREFIX,
+      new BN(walletUtil.toWeiString(exitSigners), 10),
+      new BN(walletUtil.toWeiString(exitDelay), 10),
+      new BN(walletUtil.toWeiString(expireTime), 10),
+      new BN(walletUtil.toWeiString(sequenceId), 10)
+    ]
+  );
+};
+
+// Prefix of the hashes signed to change the timelock of a WalletSimple
+exports.TIMELOCK_PREFIX = 'TIMELOCK';
+
+/**
+ * Gets the hash exactly as computed by WalletSimple.setTimelock:
+ * sha3(uint version, address wallet, uint networkId, "TIMELOCK", uint timelock, uint expireTime, uint sequenceId),
+ * tightly packed.
+ *
+ * @param walletAddress address of the wallet
+ * @param networkId the network ID the wallet was deployed with
+ * @param timelock number of seconds transactions are queued for, 0 to send them immediately
+ * @param expireTime number of seconds since 1970 for which the change is valid
+ * @param sequenceId the unique sequence id
+ * @returns 0x-prefixed hex string of the operation hash
+ */
+exports.getTimelockOperationHash = function(walletAddress, networkId, timelock, expireTime, sequenceId) {
+  return hashOperation(walletAddress, networkId,
+    [ "string", "uint", "uint", "uint" ],
+    [
+      exports.TIMELOCK_PREFIX,
+      new BN(walletUtil.toWeiString(timelock), 10),
+      new BN(walletUtil.toWeiString(expireTime), 10),
+      new BN(walletUtil.toWeiString(sequenceId), 10)
+    ]
+  );
+};
+
+/**
+ * Gets the calldata of an ERC20 transfer(address,uint256) call, e.g. to send tokens from a Wallet with execute,
+ * which sends them immediately if under the daily limit of the token
+ *
+ * @param toAddress address the tokens are sent to
+ * @param value amount in the token's base units (number, decimal string, BN or BigNumber)
+ * @returns 0x-prefixed hex string of the calldata
+ */
+exports.getTokenTransferData = function(toAddress, value) {
+  if (!util.isValidAddress(util.addHexPrefix(toAddress))) {
+    throw new Error('invalid toAddress ' + toAddress);
+  }
+  return util.bufferToHex(Buffer.concat([
+    abi.methodID('transfer', [ "address", "uint256" ]),
+    abi.rawEncode(
+      [ "address", "uint256" ],
+      [ new BN(util.stripHexPrefix(toAddress), 16), new BN(walletUtil.toWeiString(value), 10) ]
+    )
+  ]));
+};
+
+/**
+ * Signs an operation hash with a raw private key
+ *
+ * @param operationHash hex string or Buffer of the 32 byte operation hash
+ * @param privateKey hex string or Buffer of the 32 byte private key
+ * @returns 0x-prefixed hex string of the 65 byte signature, packed as r (32 bytes), s (32 bytes), v (1 byte, 27 or 28)
+ *          which is the layout unpacked by recoverAddressFromSignature
+ */
+exports.signOperationHash = function(operationHash, privateKey) {
+  var hashBuffer = toBuffer(operationHash);
+  if (hashBuffer.length !== 32) {
+    throw new Error('operation hash must be 32 bytes');
+  }
+  var keyBuffer = toBuffer(privateKey);
+  if (!util.isValidPrivate(keyBuffer)) {
+    throw new Error('invalid private key');
+  }
+
+  var signature = util.ecsign(hashBuffer, keyBuffer);
+  return exports.serializeSignature(signature);
+};
+
+/**
+ * Builds the operation hash and signs it with a raw private key
+ *
+ * @param params.walletAddress address of the wallet
+ * @param params.networkId the network ID the wallet was deployed with
+ * @param params.toAddress destination address of the transaction
+ * @param params.value amount in wei
+ * @param params.data (optional) Buffer or hex string of the data sent with the transaction
+ * @param params.expireTime number of seconds since 1970 for which the transaction is valid
+ * @param params.sequenceId the unique sequence id
+ * @param privateKey hex string or Buffer of the 32 byte private key
+ * @returns object with the operationHash and signature as 0x-prefixed hex strings
+ */
+exports.signOperation = function(params, privateKey) {
+  var operationHash = exports.getOperationHash(params.walletAddress, params.networkId, params.toAddress, params.value, params.data, params.expireTime, params.sequenceId);
+  return {
+    operationHash: operationHash,
+    signature: exports.signOperationHash(operationHash, privateKey)
+  };
+};
+
+/**
+ * Builds the typed data of a transfer and signs its hash with a raw private key, as eth_signTypedData does
+ *
+ * @param params.walletAddress address of the wallet
+ * @param params.networkId the network ID the wallet was deployed with
+ * @param params.toAddress destination address of the transaction
+ * @param params.value amount in wei
+ * @param params.data (optional) Buffer or hex string of the data sent with the transaction
+ * @param params.expireTime number of seconds since 1970 for which the transaction is valid
+ * @param params.sequenceId the unique sequence id
+ * @param privateKey hex string or Buffer of the 32 byte private key
+ * @returns object with the typedData, and the operationHash and signature as 0x-prefixed hex strings
+ */
+exports.signTypedOperation = function(params, privateKey) {
+  var typedData = exports.getTypedOperationData(params.walletAddress, params.networkId, params.toAddress, params.value, params.data, params.expireTime, params.sequenceId);
+  var operationHash = exports.hashTypedData(typedData);
+  return {
+    typedData: typedData,
+    operationHash: operationHash,
+    signature: exports.signOperationHash(operationHash, privateKey)
+  };
+};
+
+/**
+ * Builds the token operation hash and signs it with a raw private key
+ *
+ * @param params.walletAddress address of the wallet
+ * @param params.networkId the network ID the wallet was deployed with
+ * @param params.toAddress address the tokens are sent to
+ * @param params.value amount in the token's base units
+ * @param params.tokenContractAddress address of the ERC20 token contract
+ * @param params.expireTime number of seconds since 1970 for which the transaction is valid
+ * @param params.sequenceId the unique sequence id
+ * @param privateKey hex string or Buffer of the 32 byte private key
+ * @returns object with the operationHash and signature as 0x-prefixed hex strings
+ */
+exports.signTokenOperation = function(params, privateKey) {
+  var operationHash = exports.getTokenOperationHash(params.walletAddress, params.networkId, params.toAddress, params.value, params.tokenContractAddress, params.expireTime, params.sequenceId);
+  return {
+    operationHash: operationHash,
+    signature: exports.signOperationHash(operationHash, privateKey)
+  };
+};
+
+/**
+ * Builds the batch operation hash and signs it with a raw private key
+ *
+ * @param params.walletAddress address of the wallet
+ * @param params.networkId the network ID the wallet was deployed with
+ * @param params.recipients array of the destination addresses
+ * @param params.values array of the amounts in wei sent to each recipient
+ * @param params.expireTime number of seconds since 1970 for which the batch is valid
+ * @param params.sequenceId the unique sequence id
+ * @param privateKey hex string or Buffer of the 32 byte private key
+ * @returns object with the operationHash and signature as 0x-prefixed hex strings
+ */
+exports.signBatchOperation = function(params, privateKey) {
+  var operationHash = exports.getBatchOperationHash(params.walletAddress, params.networkId, params.recipients, params.values, params.expireTime, params.sequenceId);
+  return {
+    operationHash: operationHash,
+    signature: exports.signOperationHash(operationHash, privateKey)
+  };
+};
+
+/**
+ * Builds the hash of a change to the signers and signs it with a raw private key
+ *
+ * @param params see getSignerOperationHash
+ * @param privateKey hex string or Buffer of the 32 byte private key
+ * @returns object with the operationHash and signature as 0x-prefixed hex strings
+ */
+exports.signSignerOperation = function(params, privateKey) {
+  var operationHash = exports.getSignerOperationHash(params);
+  return {
+    operationHash: operationHash,
+    signature: exports.signOperationHash(operationHash, privateKey)
+  };
+};
+
+/**
+ * Builds the safe mode exit hash and signs it with a raw private key
+ *
+ * @param params.walletAddress address of the wallet
+ * @param params.networkId the network ID the wallet was deployed with
+ * @param params.expireTime number of seconds since 1970 for which the request is valid
+ * @param params.sequenceId the unique sequence id
+ * @param privateKey hex string or Buffer of the 32 byte private key
+ * @returns object with the operationHash and signature as 0x-prefixed hex strings
+ */
+exports.signSafeModeExitOperation = function(params, privateKey) {
+  var operationHash = exports.getSafeModeExitOperationHash(params.walletAddress, params.networkId, params.expireTime, params.sequenceId);
+  return {
+    operationHash: operationHash,
+    signature: exports.signOperationHash(operationHash, privateKey)
+  };
+};
+
+/**
+ * Builds the timelock change hash and signs it with a raw private key
+ *
+ * @param params.walletAddress address of the wallet
+ * @param params.networkId the network ID the wallet was deployed with
+ * @param params.timelock number of seconds transactions are queued for, 0 to send them immediately
+ * @param params.expireTime number of seconds since 1970 for which the change is valid
+ * @param params.sequenceId the unique sequence id
+ * @param privateKey hex string or Buffer of the 32 byte private key
+ * @returns object with the operationHash and signature as 0x-prefixed hex strings
+ */
+exports.signTimelockOperation = function(params, privateKey) {
+  var operationHash = exports.getTimelockOperationHash(params.walletAddress, params.networkId, params.timelock, params.expireTime, params.sequenceId);
+  return {
+    operationHash: operationHash,
+    signature: exports.signOperationHash(operationHash, privateKey)
+  };
+};
+
+/**
+ * Packs the r, s and v components of a signature into the 65 byte layout expected by the contracts
+ *
+ * @param signature object with r and s (32 byte Buffers) and v (number)
+ * @returns 0x-prefixed hex string of the 65 byte signature
+ */
+exports.serializeSignature = function(signature) {
+  return util.bufferToHex(Buffer.concat([
+    util.setLengthLeft(signature.r, 32),
+    util.setLengthLeft(signature.s, 32),
+    util.toBuffer(signature.v)
+  ]));
+};
@@ -0,0 +1,107 @@
+/*
+  Inspector for all operations pending on a Wallet, including those without a transaction record.
+
+  Wallet.getPendingTransaction only returns operations with an m_txs entry (execute / executeAndConfirm).
+  Operations confirmed by the hash of their calldata, sha3(msg.data) - addOwner, removeOwner, changeOwner,
+  changeRequirement, setDailyLimit, resetSpentToday, setTokenDailyLimit, resetTokenSpentToday, setTimelock and kill - are
+  reconstructed by replaying Confirmation events and matching the operation hash against sha3 of the calldata of the
+  transaction which emitted them. Calldata is decoded with lib/calldata.js.
+ */
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+var _ = require('lodash');
+var util = require('ethereumjs-util');
+
+var CalldataDecoder = require('./calldata');
+
+/**
+ * Gets all events of a type emitted by a contract in a block range
+ *
+ * @param event the event method of a contract instance, e.g. wallet.Confirmation
+ * @returns promise for an array of decoded events
+ */
+var getEvents = function(event, fromBlock, toBlock) {
+  var filter = event({}, { fromBlock: fromBlock, toBlock: toBlock });
+  return Promise.promisify(filter.get, { context: filter })();
+};
+
+/**
+ * Gets all operations pending on a Wallet
+ *
+ * @param client WalletClient of the wallet
+ * @param options.fromBlock (optional) block to start replaying Confirmation events from. Defaults to 0.
+ *                          Should be no later than the block the wallet was deployed in.
+ * @param options.decoder (optional) CalldataDecoder for the data of transactions. Defaults to one with the ABI of the
+ *                        wallet and ERC20.
+ * @returns promise for an array of {
+ *   operation: the operation hash,
+ *   method: the function being confirmed (e.g. addOwner, or execute for transactions), undefined if unknown,
+ *   args: object of the function's arguments by name,
+ *   call: for transactions with data, the decoded call (see CalldataDecoder.decodeTransaction),
+ *   confirmedBy: array of the owners who have confirmed so far,
+ *   confirmationsNeeded: number of confirmations still needed
+ * }
+ */
+exports.getPendingOperations = co(function *(client, options) {
+  options = options || {};
+  var web3 = client.web3;
+  var decoder = options.decoder || new CalldataDecoder({ abis: { Wallet: client.wallet.abi }, web3: web3 });
+  var getTransaction = Promise.promisify(web3.eth.getTransaction, { context: web3.eth });
+
+  var confirmationEvents = yield getEvents(client.wallet.Confirmation, options.fromBlock || 0, 'latest');
+  var owners = yield client.getOwners();
+  var pendingTransactions = _.keyBy(yield client.getPendingTransactions(), 'operation');
+
+  var eventsByOperation = _.groupBy(confirmationEvents, function(event) {
+    return event.args.operation;
+  });
+
+  var getPendingOperation = co(function *(events, operationHash) {
+    var pendingState = yield client.getPendingState(operationHash);
+    if (!pendingState.yetNeeded) {
+      // Already executed, or cleared by a change of owners
+      return;
+    }
+
+    var hasConfirmedResults = yield Promise.all(owners.map(function(ownerAddress) {
+      return client.hasConfirmed(operationHash, ownerAddress);
+    }));
+    var result = {
+      operation: operationHash,
+      method: undefined,
+      args: {},
+      confirmedBy: owners.filter(function(ownerAddress, i) {
+        return hasConfirmedResults[i];
+      }),
+      confirmationsNeeded: pendingState.yetNeeded
+    };
+
+    var pendingTransaction = pendingTransactions[operationHash];
+    if (pendingTransaction) {
+      result.method = 'execute';
+      result.args = {
+        _to: pendingTransaction.to,
+        _value: pendingTransaction.value.toString(10),
+        _data: pendingTransaction.data
+      };
+      if (pendingTransaction.data !== '0x') {
+        result.call = yield decoder.decodeTransaction(pendingTransaction);
+      }
+      return result;
+    }
+
+    // Find the call whose msg.data hashes to the operation
+    var transactionHashes = _.uniq(_.map(events, 'transactionHash'));
+    for (var i = 0; i < transactionHashes.length; i++) {
+      var transaction = yield getTransaction(transactionHashes[i]);
+      if (transaction.to.toLowerCase() === client.address.toLowerCase() && util.bufferToHex(util.sha3(util.toBuffer(transaction.input))) === operationHash) {
+        _.extend(result, _.pick(decoder.decode(transaction.input), ['method', 'args']));
+        break;
+      }
+    }
+    return result;
+  });
+
+  var pendingOperations = yield Promise.all(_.map(eventsByOperation, getPendingOperation));
+  return _.compact(pendingOperations);
+});
@@ -0,0 +1,65 @@
+/*
+  Client-side model of the sequence ID window used to prevent replay attacks in
+  Wallet (m_sequenceIdsUsed) and WalletSimple (recentSequenceIds).
+
+  The contracts store the 10 most recent sequence ids. A new sequence id is accepted if it is not in the window
+  and not lower than the smallest value in the window, in which case it replaces that smallest value.
+ */
+
+var WINDOW_SIZE = 10;
+exports.WINDOW_SIZE = WINDOW_SIZE;
+
+/**
+ * Gets the index of the lowest value in the window. As in the contracts, the first lowest element wins on ties.
+ *
+ * @param window array of the sequence ids in the window
+ * @returns index of the element that the next accepted sequence id will replace
+ */
+exports.getLowestValueIndex = function(window) {
+  var lowestValueIndex = 0;
+  for (var i = 0; i < window.length; i++) {
+    if (window[i] < window[lowestValueIndex]) {
+      lowestValueIndex = i;
+    }
+  }
+  return lowestValueIndex;
+};
+
+/**
+ * Determines if the contract would accept a sequence id, mirroring tryInsertSequenceId
+ *
+ * @param window array of the sequence ids in the window
+ * @param sequenceId the sequence id to check
+ * @returns true if the sequence id is unused and not below the window
+ */
+exports.isAcceptable = function(window, sequenceId) {
+  if (window.indexOf(sequenceId) !== -1) {
+    // This sequence ID has been used before
+    return false;
+  }
+  // The sequence ID may not be lower than the lowest value in the window, as it may have been used before
+  return sequenceId >= window[exports.getLowestValueIndex(window)];
+};
+
+/**
+ * Inserts a sequence id into the window, as the contract would on a successful transaction
+ *
+ * @param window array of the sequence ids in the window
+ * @param sequenceId the sequence id to insert
+ * @returns new window with the sequence id inserted. The window passed in is not modified.
+ */
+exports.insert = function(window, sequenceId) {
+  if (!exports.isAcceptable(window, sequenceId)) {
+    throw new Error('sequence id ' + sequenceId + ' would not be accepted by the wallet');
+  }
+  var newWindow = window.slice();
+  newWindow[exports.getLowestValueIndex(window)] = sequenceId;
+  return newWindow;
+};
+
+/**
+ * Gets the next sequence id as returned by getNextSequenceId on the contracts (highest value in the window plus 1)
+ */
+exports.getNextSequenceId = function(window) {
+  return Math.max.apply(null, window.concat(0)) + 1;
+};
@@ -0,0 +1,160 @@
+var assert = require('assert');
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+var _ = require('lodash');
+
+var sequenceIdWindow = require('./sequenceid');
+var MemoryStore = require('./stores/memorystore');
+
+/**
+ * Allocates sequence ids for a wallet, so that several operators can sign transactions in parallel without
+ * racing on getNextSequenceId.
+ *
+ * Reserved ids are persisted in the store until they are confirmed (mined) or released (dropped). At most
+ * WINDOW_SIZE ids may be in flight at once: the contract window holds 10 ids, so up to 10 ids above the window
+ * are all accepted regardless of the order in which they are mined.
+ *
+ * @param params.client WalletClient or WalletSimpleClient of the wallet
+ * @param params.store (optional) store with get(key) and set(key, value) promise methods. Defaults to a MemoryStore.
+ * @param params.reservationTimeout (optional) seconds after which an unmined reservation is considered dropped
+ *                                  by recover(). Defaults to 1 hour.
+ */
+var SequenceIdManager = function(params) {
+  assert(params.client);
+
+  this.client = params.client;
+  this.store = params.store || new MemoryStore();
+  this.reservationTimeout = params.reservationTimeout || 3600;
+  this.key = 'sequenceIds:' + params.client.address;
+  // All reads and writes of the reservations are queued so concurrent callers in this process see each other
+  this.queue = Promise.resolve();
+};
+
+SequenceIdManager.MAX_IN_FLIGHT = sequenceIdWindow.WINDOW_SIZE;
+
+// Runs fn after all previously queued operations have completed
+SequenceIdManager.prototype.enqueue = function(fn) {
+  var result = this.queue.then(fn);
+  this.queue = result.catch(function() {});
+  return result;
+};
+
+// Gets the persisted reservations for the wallet
+SequenceIdManager.prototype.getReservations = co(function *() {
+  var state = yield this.store.get(this.key);
+  return (state && state.reservations) || [];
+});
+
+SequenceIdManager.prototype.setReservations = function(reservations) {
+  return this.store.set(this.key, { reservations: reservations });
+};
+
+/**
+ * Reserves a sequence id for a transaction about to be signed.
+ * The id is the next id above both the wallet's window and all ids currently reserved, unless one is given.
+ *
+ * @param sequenceId (optional) the sequence id to reserve, e.g. one chosen by the caller. It may not be reserved
+ *                   already or be lower than the wallet's next sequence id, which could be pushed out of the window
+ *                   by the ids in flight.
+ * @returns promise for the reserved sequence id
+ */
+SequenceIdManager.prototype.reserve = function(sequenceId) {
+  var self = this;
+  return self.enqueue(co(function *() {
+    var window = yield self.client.getSequenceIdWindow();
+    var reservations = yield self.getReservations();
+
+    // Reservations which have made it into the window are no longer in flight
+    reservations = reservations.filter(function(reservation) {
+      return window.indexOf(reservation.sequenceId) === -1;
+    });
+    if (reservations.length >= SequenceIdManager.MAX_IN_FLIGHT) {
+      throw new Error('too many sequence ids in flight (' + reservations.length + '), confirm or release some first');
+    }
+
+    if (_.isUndefined(sequenceId)) {
+      sequenceId = Math.max(
+        sequenceIdWindow.getNextSequenceId(window),
+        _.max(_.map(reservations, 'sequenceId').concat(0)) + 1
+      );
+    } else if (sequenceId < sequenceIdWindow.getNextSequenceId(window)) {
+      throw new Error('sequence id ' + sequenceId + ' is below the next sequence id of the wallet (' +
+        sequenceIdWindow.getNextSequenceId(window) + ')');
+    } else if (_.find(reservations, { sequenceId: sequenceId })) {
+      throw new Error('sequence id ' + sequenceId + ' is reserved already');
+    }
+    reservations.push({ sequenceId: sequenceId, reservedAt: Math.floor(new Date().getTime() / 1000) });
+    yield self.setReservations(reservations);
+    return sequenceId;
+  }));
+};
+
+/**
+ * Marks a reserved sequence id as used, once its transaction has been mined
+ */
+SequenceIdManager.prototype.confirm = function(sequenceId) {
+  return this.removeReservation(sequenceId);
+};
+
+/**
+ * Releases a reserved sequence id whose transaction will not be sent or was dropped.
+ * Unused ids leave a harmless hole in the sequence.
+ */
+SequenceIdManager.prototype.release = function(sequenceId) {
+  return this.removeReservation(sequenceId);
+};
+
+SequenceIdManager.prototype.removeReservation = function(sequenceId) {
+  var self = this;
+  return self.enqueue(co(function *() {
+    var reservations = yield self.getReservations();
+    yield self.setReservations(_.reject(reservations, { sequenceId: sequenceId }));
+  }));
+};
+
+/**
+ * Gets the sequence ids currently reserved and not yet confirmed or released
+ *
+ * @returns promise for an array of { sequenceId, reservedAt }
+ */
+SequenceIdManager.prototype.getInFlight = function() {
+  var self = this;
+  return self.enqueue(function() {
+    return self.getReservations();
+  });
+};
+
+/**
+ * Reconciles the reservations with the wallet's window, e.g. after a restart or a dropped transaction.
+ * Reservations found in the window are confirmed. Reservations the wallet would no longer accept, or that
+ * have been outstanding longer than the reservation timeout, are released.
+ *
+ * @returns promise for { confirmed, dropped, pending } arrays of sequence ids
+ */
+SequenceIdManager.prototype.recover = function() {
+  var self = this;
+  return self.enqueue(co(function *() {
+    var window = yield self.client.getSequenceIdWindow();
+    var reservations = yield self.getReservations();
+    var now = Math.floor(new Date().getTime() / 1000);
+
+    var result = { confirmed: [], dropped: [], pending: [] };
+    var pending = reservations.filter(function(reservation) {
+      if (window.indexOf(reservation.sequenceId) !== -1) {
+        result.confirmed.push(reservation.sequenceId);
+        return false;
+      }
+      if (!sequenceIdWindow.isAcceptable(window, reservation.sequenceId) ||
+          reservation.reservedAt + self.reservationTimeout < now) {
+        result.dropped.push(reservation.sequenceId);
+        return false;
+      }
+      result.pending.push(reservation.sequenceId);
+      return true;
+    });
+    yield self.setReservations(pending);
+    return result;
+  }));
+};
+
+module.exports = SequenceIdManager;
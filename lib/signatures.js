@@ -0,0 +1,77 @@
+/*
+  Collecting the signatures of several co-signers for WalletSimpleThreshold, which expects them concatenated
+  (65 bytes each) in ascending order of the signers' addresses.
+ */
+var Promise = require('bluebird');
+var _ = require('lodash');
+var util = require('ethereumjs-util');
+
+var verify = require('./verify');
+var walletUtil = require('./util');
+
+/**
+ * Recovers the signer of each signature and orders the signatures as WalletSimpleThreshold expects them
+ *
+ * @param operationHash hex string or Buffer of the 32 byte operation hash that was signed
+ * @param signatures array of 65 byte signatures as hex strings or Buffers, in any order
+ * @returns array of { signer, signature } in ascending order of the signer address, with signatures as 0x-prefixed hex
+ */
+exports.orderSignatures = function(operationHash, signatures) {
+  var ordered = _.sortBy(signatures.map(function(signature) {
+    var signatureHex = Buffer.isBuffer(signature) ? util.bufferToHex(signature) : util.addHexPrefix(signature);
+    return { signer: verify.recoverAddress(operationHash, signatureHex), signature: signatureHex };
+  }), 'signer');
+  ordered.forEach(function(entry, i) {
+    if (i > 0 && entry.signer === ordered[i - 1].signer) {
+      throw new Error('more than one signature from ' + entry.signer);
+    }
+  });
+  return ordered;
+};
+
+/**
+ * Orders signatures by signer address and concatenates them into the signatures argument of WalletSimpleThreshold
+ *
+ * @param operationHash hex string or Buffer of the 32 byte operation hash that was signed
+ * @param signatures array of 65 byte signatures as hex strings or Buffers, in any order
+ * @returns 0x-prefixed hex string of the concatenated signatures
+ */
+exports.packSignatures = function(operationHash, signatures) {
+  return '0x' + exports.orderSignatures(operationHash, signatures).map(function(entry) {
+    return util.stripHexPrefix(entry.signature);
+  }).join('');
+};
+
+/**
+ * Splits concatenated signatures into the individual 65 byte signatures
+ *
+ * @param signatures hex string or Buffer of the concatenated signatures
+ * @returns array of 0x-prefixed hex strings
+ */
+exports.splitSignatures = function(signatures) {
+  var signaturesHex = util.stripHexPrefix(Buffer.isBuffer(signatures) ? signatures.toString('hex') : signatures);
+  if (!signaturesHex.length || signaturesHex.length % 130) {
+    throw new Error('signatures must be a multiple of 65 bytes');
+  }
+  return _.chunk(signaturesHex, 130).map(function(chars) {
+    return '0x' + chars.join('');
+  });
+};
+
+/**
+ * Signs an operation hash with several accounts on the connected node (eth.sign) and packs the signatures
+ *
+ * @param web3 web3 instance connected to the node holding the signers' keys
+ * @param signers array of addresses of the accounts on the node to sign with
+ * @param operationHash hex string of the operation hash
+ * @param typedData (optional) typed data hashing to operationHash, to sign with eth_signTypedData instead
+ * @returns promise for the packed signatures as a 0x-prefixed hex string
+ */
+exports.collectSignatures = function(web3, signers, operationHash, typedData) {
+  return Promise.all(signers.map(function(signer) {
+    return typedData ? walletUtil.signTypedDataWithNode(web3, signer, typedData) : walletUtil.signWithNode(web3, signer, operationHash);
+  }))
+  .then(function(signatures) {
+    return exports.packSignatures(operationHash, signatures);
+  });
+};
@@ -0,0 +1,366 @@
+/*
+  Dry runs of sendMultiSig (WalletSimple and WalletSimpleThreshold), and execute, executeAndConfirm and confirm
+  (Wallet), so that a transaction which would throw or have no effect is caught before it is sent, along with the reason.
+
+  Each simulation eth_calls the method from the sender first. When the call throws, the contract gives no reason
+  ("VM Exception"), so the preconditions the contract checks are checked again here, in the same order, against the
+  wallet's current state. The Wallet contract does not throw for most of them: a sender who is not an owner, or a
+  signature from someone who is not the other owner, silently leaves the transaction unsent. Simulations of Wallet
+  methods therefore always check the preconditions.
+
+  The result of each simulation is { outcome, reason, message }:
+    outcome  sent (the transaction would be sent), queued (it would wait for the timelock), pending (it would wait for
+             more confirmations) or failed (the call would throw, or have no effect)
+    reason   for pending and failed outcomes, one of the codes in REASONS. null otherwise.
+    message  description of the reason
+ */
+var assert = require('assert');
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+var _ = require('lodash');
+
+var operation = require('./operation');
+var sequenceIdWindow = require('./sequenceid');
+var signatures = require('./signatures');
+var timelock = require('./timelock');
+var verify = require('./verify');
+var walletUtil = require('./util');
+var WalletClient = require('./wallet');
+var WalletSimpleThresholdClient = require('./walletsimplethreshold');
+
+var REASONS = {
+  NOT_SIGNER: 'the sender is not a signer (owner for Wallet) on the wallet',
+  SAFE_MODE: 'the wallet is in safe mode and the destination is not a signer',
+  EXPIRED: 'the expire time has passed',
+  SEQUENCE_ID_USED: 'the sequence id has been used already',
+  SEQUENCE_ID_BELOW_WINDOW: 'the sequence id is lower than all sequence ids in the window, so it may have been used',
+  BAD_SIGNATURE_LENGTH: 'the signature is not 65 bytes for each other signer required',
+  INVALID_SIGNATURE: 'a signature is not from a signer on the wallet, or was made for other arguments',
+  SELF_APPROVAL: 'a signature is from the sender, who can not approve their own transaction',
+  SIGNATURES_OUT_OF_ORDER: 'the signatures are not in ascending order of the signer addresses',
+  OVER_DAILY_LIMIT: 'the value is over what is left of the daily limit, so other owners must confirm it',
+  NEEDS_CONFIRMATIONS: 'more owners must confirm the transaction',
+  ALREADY_CONFIRMED: 'the sender has confirmed the operation already',
+  ALREADY_QUEUED: 'the transaction has been confirmed already and is waiting for the timelock',
+  UNKNOWN_OPERATION: 'the operation is not a pending transaction',
+  INSUFFICIENT_BALANCE: 'the wallet does not hold the value being sent',
+  INNER_CALL_FAILED: 'the call to the destination failed'
+};
+exports.REASONS = REASONS;
+
+// Builds a simulation result
+var result = function(outcome, reason) {
+  return { outcome: outcome, reason: reason || null, message: reason ? REASONS[reason] : null };
+};
+
+// Runs an eth_call, resolving with { returnValue } or { error } if the call throws
+var tryCall = function(method, args) {
+  return method.call.apply(method, args)
+  .then(function(returnValue) {
+    return { returnValue: returnValue };
+  })
+  .catch(function(err) {
+    return { error: err };
+  });
+};
+
+// Gets the reason a sequence id would be rejected, or null if it would be accepted
+var checkSequenceId = function(window, sequenceId) {
+  sequenceId = parseInt(sequenceId, 10);
+  if (window.indexOf(sequenceId) !== -1) {
+    return 'SEQUENCE_ID_USED';
+  }
+  if (!sequenceIdWindow.isAcceptable(window, sequenceId)) {
+    return 'SEQUENCE_ID_BELOW_WINDOW';
+  }
+  return null;
+};
+
+// Gets the reason a transfer would fail once approved: the wallet's balance, or else the call to the destination
+var getSendFailure = co(function *(client, value) {
+  var balance = yield Promise.promisify(client.web3.eth.getBalance, { context: client.web3.eth })(client.address);
+  return balance.lessThan(walletUtil.toWeiString(value)) ? 'INSUFFICIENT_BALANCE' : 'INNER_CALL_FAILED';
+});
+
+// Gets the arguments of sendMultiSig and executeAndConfirm (and their typed data variants), with the signature made on
+// the node if only the other signer(s) are given, as the clients do
+var getSendArgs = co(function *(client, params) {
+  params = _.extend({}, params);
+  if (!params.sequenceId) {
+    params.sequenceId = yield client.getNextSequenceId();
+  }
+  yield client.getNetworkId();
+  var typedData = params.typed ? client.getTypedOperationData(params) : undefined;
+  params.operationHash = typedData ? operation.hashTypedData(typedData) : client.getOperationHash(params);
+  if (client instanceof WalletClient) {
+    if (!params.signature) {
+      params.signature = yield (typedData ?
+        walletUtil.signTypedDataWithNode(client.web3, params.otherSigner, typedData) :
+        client.signOperation(params.otherSigner, params));
+    }
+  } else {
+    params.signature = yield client.getSignature(params, params.operationHash, typedData);
+  }
+  params.args = [
+    params.to,
+    walletUtil.toWeiString(params.value),
+    walletUtil.toHexData(params.data),
+    params.expireTime,
+    params.sequenceId,
+    params.signature,
+    { from: params.from }
+  ];
+  return params;
+});
+
+/**
+ * Simulates sendMultiSig (or sendMultiSigTyped) on a WalletSimple or WalletSimpleThreshold
+ *
+ * @param client WalletSimpleClient or WalletSimpleThresholdClient
+ * @param params the parameters of client.sendMultiSig
+ * @returns promise for { outcome, reason, message, operationHash }
+ */
+exports.simulateSendMultiSig = co(function *(client, params) {
+  assert(params.to);
+  assert(params.expireTime);
+  assert(params.from);
+
+  params = yield getSendArgs(client, params);
+  var method = client.wallet[params.typed ? 'sendMultiSigTyped' : 'sendMultiSig'];
+  var call = yield tryCall(method, params.args);
+  var simulation;
+  if (!call.error) {
+    var walletTimelock = yield client.wallet.timelock.call();
+    simulation = result(walletTimelock.greaterThan(0) ? 'queued' : 'sent');
+  } else {
+    simulation = result('failed', yield exports.diagnoseSendMultiSig(client, params));
+  }
+  simulation.operationHash = params.operationHash;
+  return simulation;
+});
+
+/**
+ * Finds why sendMultiSig would throw, by checking the preconditions of WalletSimple.verifyMultiSig in order
+ *
+ * @param client WalletSimpleClient or WalletSimpleThresholdClient
+ * @param params.operationHash the operation hash that the other signers signed
+ * @param params the other parameters of client.sendMultiSig, with the signature
+ * @returns promise for a reason code (see REASONS)
+ */
+exports.diagnoseSendMultiSig = co(function *(client, params) {
+  var state = yield Promise.props({
+    isSender: client.isSigner(params.from),
+    safeMode: client.wallet.safeMode.call(),
+    isDestination: client.isSigner(params.to),
+    now: params.now || timelock.getBlockTime(client.web3),
+    window: client.getSequenceIdWindow(),
+    required: client instanceof WalletSimpleThresholdClient ? client.getRequired() : 2
+  });
+  if (!state.isSender) {
+    return 'NOT_SIGNER';
+  }
+  if (state.safeMode && !state.isDestination) {
+    return 'SAFE_MODE';
+  }
+  if (params.expireTime < state.now) {
+    return 'EXPIRED';
+  }
+  var sequenceIdReason = checkSequenceId(state.window, params.sequenceId);
+  if (sequenceIdReason) {
+    return sequenceIdReason;
+  }
+
+  var signatureList;
+  try {
+    signatureList = signatures.splitSignatures(params.signature);
+  } catch (e) {
+    return 'BAD_SIGNATURE_LENGTH';
+  }
+  if (signatureList.length !== state.required - 1) {
+    return 'BAD_SIGNATURE_LENGTH';
+  }
+  var previousSigner = null;
+  for (var i = 0; i < signatureList.length; i++) {
+    var signer = verify.recoverAddress(params.operationHash, signatureList[i]);
+    if (!(yield client.isSigner(signer))) {
+      return 'INVALID_SIGNATURE';
+    }
+    if (signer === params.from.toLowerCase()) {
+      return 'SELF_APPROVAL';
+    }
+    if (previousSigner && signer <= previousSigner) {
+      return 'SIGNATURES_OUT_OF_ORDER';
+    }
+    previousSigner = signer;
+  }
+  return yield getSendFailure(client, params.value);
+});
+
+// Gets the outcome of a Wallet transaction once the given owners have confirmed it: whether it has enough
+// confirmations to be sent (or queued), or still needs more
+var getConfirmedOutcome = co(function *(client, operationHash, confirmingOwners) {
+  var state = yield Promise.props({
+    pendingState: client.getPendingState(operationHash),
+    required: client.wallet.m_required.call(),
+    walletTimelock: client.wallet.m_timelock.call(),
+    hasConfirmed: Promise.all(confirmingOwners.map(function(owner) {
+      return client.hasConfirmed(operationHash, owner);
+    }))
+  });
+  var yetNeeded = state.pendingState.yetNeeded || state.required.toNumber();
+  var newConfirmations = _.uniq(confirmingOwners.filter(function(owner, i) {
+    return !state.hasConfirmed[i];
+  })).length;
+  if (newConfirmations < yetNeeded) {
+    return 'pending';
+  }
+  return state.walletTimelock.greaterThan(0) ? 'queued' : 'sent';
+});
+
+/**
+ * Simulates executeAndConfirm (or executeAndConfirmTyped) on a Wallet
+ *
+ * @param client WalletClient
+ * @param params the parameters of client.executeAndConfirm
+ * @returns promise for { outcome, reason, message, operationHash }
+ */
+exports.simulateExecuteAndConfirm = co(function *(client, params) {
+  assert(params.to);
+  assert(params.expireTime);
+  assert(params.from);
+
+  params = yield getSendArgs(client, params);
+  var method = client.wallet[params.typed ? 'executeAndConfirmTyped' : 'executeAndConfirm'];
+  var call = yield tryCall(method, params.args);
+  var simulation = yield diagnoseExecuteAndConfirm(client, params, call);
+  simulation.operationHash = params.operationHash;
+  return simulation;
+});
+
+// Checks the preconditions of executeAndConfirm in order, and gets the outcome if it passes them
+var diagnoseExecuteAndConfirm = co(function *(client, params, call) {
+  var state = yield Promise.props({
+    isSender: client.isOwner(params.from),
+    now: params.now || timelock.getBlockTime(client.web3),
+    window: client.getSequenceIdWindow()
+  });
+  if (!state.isSender) {
+    // onlyowner does not throw, so the call would have no effect
+    return result('failed', 'NOT_SIGNER');
+  }
+  if (params.expireTime < state.now) {
+    return result('failed', 'EXPIRED');
+  }
+  var sequenceIdReason = checkSequenceId(state.window, params.sequenceId);
+  if (sequenceIdReason) {
+    return result('failed', sequenceIdReason);
+  }
+  var signer;
+  try {
+    signer = verify.recoverAddress(params.operationHash, params.signature);
+  } catch (e) {
+    return result('failed', 'BAD_SIGNATURE_LENGTH');
+  }
+
+  // A signature which is not from another owner only leaves the sender's confirmation, so the transaction is pending
+  var confirmingOwners = [params.from.toLowerCase()];
+  var signatureReason = null;
+  if (signer === params.from.toLowerCase()) {
+    signatureReason = 'SELF_APPROVAL';
+  } else if (!(yield client.isOwner(signer))) {
+    signatureReason = 'INVALID_SIGNATURE';
+  } else {
+    confirmingOwners.push(signer);
+  }
+  var outcome = yield getConfirmedOutcome(client, params.operationHash, confirmingOwners);
+  if (outcome === 'pending') {
+    return result('pending', signatureReason || 'NEEDS_CONFIRMATIONS');
+  }
+  if (call.error) {
+    return result('failed', outcome === 'sent' ? (yield getSendFailure(client, params.value)) : 'INNER_CALL_FAILED');
+  }
+  return result(outcome);
+});
+
+/**
+ * Simulates confirm on a Wallet
+ *
+ * @param client WalletClient
+ * @param operationHash the operation hash of the pending transaction
+ * @param params.from owner address confirming the transaction
+ * @returns promise for { outcome, reason, message }
+ */
+exports.simulateConfirm = co(function *(client, operationHash, params) {
+  assert(operationHash);
+  assert(params.from);
+
+  operationHash = operationHash.toLowerCase();
+  var call = yield tryCall(client.wallet.confirm, [operationHash, { from: params.from }]);
+  var state = yield Promise.props({
+    isSender: client.isOwner(params.from),
+    queued: client.getQueuedTransactions(),
+    pending: client.getPendingTransactions()
+  });
+  if (!state.isSender) {
+    return result('failed', 'NOT_SIGNER');
+  }
+  if (_.find(state.queued, { operation: operationHash })) {
+    return result('failed', 'ALREADY_QUEUED');
+  }
+  var pendingTransaction = _.find(state.pending, { operation: operationHash });
+  if (!pendingTransaction) {
+    return result('failed', 'UNKNOWN_OPERATION');
+  }
+  if (_.includes(pendingTransaction.signers, params.from.toLowerCase())) {
+    return result('failed', 'ALREADY_CONFIRMED');
+  }
+  var outcome = yield getConfirmedOutcome(client, operationHash, [params.from.toLowerCase()]);
+  if (outcome === 'pending') {
+    return result('pending', 'NEEDS_CONFIRMATIONS');
+  }
+  if (call.error) {
+    return result('failed', outcome === 'sent' ? (yield getSendFailure(client, pendingTransaction.value)) : 'INNER_CALL_FAILED');
+  }
+  return result(outcome);
+});
+
+/**
+ * Simulates execute on a Wallet, which sends immediately only for ether transfers within the daily limit (or token
+ * transfers within the token's daily limit, see executeTokenTransfer) and otherwise creates a pending transaction
+ *
+ * @param client WalletClient
+ * @param params the parameters of client.execute
+ * @returns promise for { outcome, reason, message }
+ */
+exports.simulateExecute = co(function *(client, params) {
+  assert(params.to);
+  assert(params.from);
+
+  var call = yield tryCall(client.wallet.execute, [
+    params.to,
+    walletUtil.toWeiString(params.value),
+    walletUtil.toHexData(params.data),
+    { from: params.from }
+  ]);
+  if (!(yield client.isOwner(params.from))) {
+    return result('failed', 'NOT_SIGNER');
+  }
+  if (call.error) {
+    return result('failed', yield getSendFailure(client, params.value));
+  }
+  if (/^0x0*$/.test(call.returnValue)) {
+    return result('sent');
+  }
+  // An operation hash is returned for transactions left to the other owners. The sender's confirmation is used before
+  // the transaction is stored, so even a wallet requiring a single owner only sends (or queues) it on a later confirm.
+  var state = yield Promise.props({
+    dailyLimit: client.wallet.m_dailyLimit.call(),
+    spentToday: client.wallet.m_spentToday.call(),
+    lastDay: client.wallet.m_lastDay.call(),
+    now: timelock.getBlockTime(client.web3)
+  });
+  // The amount spent is only reset by the next transfer on a new day, as in getTokenDailyLimit
+  var spentToday = state.lastDay.lessThan(Math.floor(state.now / 86400)) ? 0 : state.spentToday;
+  var overLimit = state.dailyLimit.minus(spentToday).lessThan(walletUtil.toWeiString(params.value));
+  return result('pending', overLimit ? 'OVER_DAILY_LIMIT' : 'NEEDS_CONFIRMATIONS');
+});
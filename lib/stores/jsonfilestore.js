@@ -0,0 +1,71 @@
+var assert = require('assert');
+var fs = require('fs');
+var Promise = require('bluebird');
+
+var readFile = Promise.promisify(fs.readFile);
+var writeFile = Promise.promisify(fs.writeFile);
+var rename = Promise.promisify(fs.rename);
+
+/**
+ * Key-value store persisted to a JSON file. The file is created on the first write.
+ * Writes go to a temporary file which is then renamed over the original, so a crash never leaves a partial file.
+ *
+ * @param params.path path to the JSON file
+ */
+var JsonFileStore = function(params) {
+  assert(params.path);
+  this.path = params.path;
+  // Writes are queued so that concurrent read-modify-write cycles do not overwrite each other
+  this.writeQueue = Promise.resolve();
+};
+
+// Reads all values in the file
+JsonFileStore.prototype.readAll = function() {
+  return readFile(this.path, 'utf8')
+  .then(function(contents) {
+    return JSON.parse(contents);
+  })
+  .catch(function(err) {
+    if (err.code === 'ENOENT') {
+      return {};
+    }
+    throw err;
+  });
+};
+
+/**
+ * Gets the value stored for a key
+ *
+ * @returns promise for the value, or undefined if none is stored
+ */
+JsonFileStore.prototype.get = function(key) {
+  return this.readAll()
+  .then(function(values) {
+    return values[key];
+  });
+};
+
+/**
+ * Stores a JSON-serializable value for a key
+ *
+ * @returns promise resolved once the value is written to disk
+ */
+JsonFileStore.prototype.set = function(key, value) {
+  var self = this;
+  var write = function() {
+    return self.readAll()
+    .then(function(values) {
+      values[key] = value;
+      var tempPath = self.path + '.tmp';
+      return writeFile(tempPath, JSON.stringify(values, null, 2))
+      .then(function() {
+        return rename(tempPath, self.path);
+      });
+    });
+  };
+  var result = self.writeQueue.then(write);
+  self.writeQueue = result.catch(function() {});
+  return result;
+};
+
+module.exports = JsonFileStore;
@@ -0,0 +1,31 @@
+var Promise = require('bluebird');
+var _ = require('lodash');
+
+/**
+ * Key-value store held in memory. State is lost when the process exits.
+ * Values are deep-copied on the way in and out so callers cannot mutate stored state by accident.
+ */
+var MemoryStore = function() {
+  this.values = {};
+};
+
+/**
+ * Gets the value stored for a key
+ *
+ * @returns promise for the value, or undefined if none is stored
+ */
+MemoryStore.prototype.get = function(key) {
+  return Promise.resolve(_.cloneDeep(this.values[key]));
+};
+
+/**
+ * Stores a JSON-serializable value for a key
+ *
+ * @returns promise resolved once the value is stored
+ */
+MemoryStore.prototype.set = function(key, value) {
+  this.values[key] = _.cloneDeep(value);
+  return Promise.resolve();
+};
+
+module.exports = MemoryStore;
@@ -0,0 +1,64 @@
+/*
+  Helpers for the queue of confirmed transactions waiting for their timelock, on Wallet and WalletSimple contracts.
+  Both clients list the queue with getQueuedTransactions and send a queued transaction with executeQueued.
+
+  The contracts compare executableAfter to the timestamp of the block the transaction is mined in, which is never
+  earlier than the latest block, so a transaction is reported as executable once the latest block has reached it.
+ */
+var assert = require('assert');
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+var _ = require('lodash');
+
+/**
+ * Gets the timestamp of the latest block
+ *
+ * @param web3 web3 instance
+ * @returns promise for the number of seconds since 1970
+ */
+exports.getBlockTime = co(function *(web3) {
+  var block = yield Promise.promisify(web3.eth.getBlock, { context: web3.eth })('latest');
+  return block.timestamp;
+});
+
+/**
+ * Reads the queue of a wallet through its getQueuedTransaction(index) tuples
+ *
+ * @param web3 web3 instance
+ * @param wallet Pudding instance of a Wallet or WalletSimple contract
+ * @param toObject function converting a tuple into an object with at least the executableAfter (seconds since 1970)
+ * @returns promise for an array of the objects, each with an executable flag added
+ */
+exports.readQueue = co(function *(web3, wallet, toObject) {
+  var count = yield wallet.numQueuedTransactions.call();
+  var tuples = yield Promise.all(_.range(count).map(function(index) {
+    return wallet.getQueuedTransaction.call(index);
+  }));
+  var blockTime = yield exports.getBlockTime(web3);
+  return tuples.map(function(tuple) {
+    var queued = toObject(tuple);
+    queued.executable = blockTime >= queued.executableAfter;
+    return queued;
+  });
+});
+
+/**
+ * Sends every queued transaction whose timelock has passed, one after the other
+ *
+ * @param client a WalletClient or WalletSimpleClient
+ * @param params.from owner or signer address sending the transactions
+ * @returns promise for an array of { operation, txHash }
+ */
+exports.executeMatured = co(function *(client, params) {
+  assert(params.from);
+
+  var queue = yield client.getQueuedTransactions();
+  var results = [];
+  for (var i = 0; i < queue.length; i++) {
+    if (queue[i].executable) {
+      var txHash = yield client.executeQueued(queue[i].operation, { from: params.from });
+      results.push({ operation: queue[i].operation, txHash: txHash });
+    }
+  }
+  return results;
+});
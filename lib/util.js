@@ -0,0 +1,187 @@
+var Promise = require('bluebird');
+var util = require('ethereumjs-util');
+var BN = require('bn.js');
+
+/**
+ * Converts transaction data into a 0x-prefixed hex string, so that web3 passes it to the contract as raw bytes
+ * rather than encoding it as an ascii string.
+ *
+ * @param data Buffer or hex string (with or without 0x prefix). Empty if not provided.
+ * @returns 0x-prefixed hex string
+ */
+exports.toHexData = function(data) {
+  if (!data) {
+    return '0x';
+  }
+  if (Buffer.isBuffer(data)) {
+    return util.bufferToHex(data);
+  }
+  if (!/^(0x)?([0-9a-fA-F]{2})*$/.test(data)) {
+    throw new Error('data must be a Buffer or a hex string of whole bytes');
+  }
+  return util.addHexPrefix(data);
+};
+
+/**
+ * Converts a wei amount (number, decimal string, BN or web3 BigNumber) into a decimal string
+ */
+exports.toWeiString = function(value) {
+  var weiString = (value || 0).toString(10);
+  if (!/^[0-9]+$/.test(weiString)) {
+    throw new Error('value must be a non-negative integer amount of wei');
+  }
+  return weiString;
+};
+
+/**
+ * Gets the ID of the network the node is connected to (net_version), which new wallets are deployed with
+ *
+ * @param web3 web3 instance
+ * @returns promise for the network ID as a decimal string
+ */
+exports.getNetworkId = function(web3) {
+  return Promise.promisify(web3.version.getNetwork, { context: web3.version })();
+};
+
+/**
+ * Gets the network ID stored in a wallet (m_networkId on Wallet, networkId on WalletSimple), which the wallet includes
+ * in its operation hashes as it is, 0 included
+ *
+ * @param web3 web3 instance
+ * @param wallet Pudding instance of the wallet
+ * @param getterName name of the wallet's function returning its network ID
+ * @returns promise for the network ID as a decimal string, or the ID of the network the node is connected to if the
+ *          wallet has no such function
+ */
+exports.getWalletNetworkId = function(web3, wallet, getterName) {
+  var getter = wallet.contract[getterName];
+  if (!getter) {
+    return exports.getNetworkId(web3);
+  }
+  return Promise.promisify(web3.eth.call, { context: web3.eth })({ to: wallet.address, data: getter.getData() })
+  .then(function(result) {
+    // A contract without the function returns no data
+    var hex = util.stripHexPrefix(result || '');
+    return hex ? new BN(hex, 16).toString(10) : exports.getNetworkId(web3);
+  });
+};
+
+/**
+ * Gets the network ID that a client's synchronous hash methods use: the one it was given, or the one loaded from the
+ * wallet by its getNetworkId
+ *
+ * @param client WalletClient or WalletSimpleClient
+ * @returns the network ID
+ */
+exports.getLoadedNetworkId = function(client) {
+  if (client.networkId === undefined) {
+    throw new Error('the network ID of the wallet is not loaded yet: give networkId to the client or call getNetworkId');
+  }
+  return client.networkId;
+};
+
+/**
+ * Normalises a signature returned by a node into 65 bytes (r, s, v) with v as 27 or 28. Some nodes (e.g. testrpc) drop
+ * the leading zero bytes of r and s, so a shorter signature is padded back to the r and s that recover to the signer.
+ *
+ * @param signature hex string of the signature returned by the node
+ * @param hash hex string of the hash that was signed
+ * @param signer address of the account that signed
+ * @returns the 65 byte signature as a 0x-prefixed hex string
+ */
+exports.normalizeSignature = function(signature, hash, signer) {
+  var signatureBuffer = util.toBuffer(util.addHexPrefix(signature));
+  var rsLength = signatureBuffer.length - 1;
+  if (rsLength > 64 || rsLength < 2) {
+    throw new Error('signature must be 65 bytes');
+  }
+  var v = signatureBuffer[rsLength] < 27 ? signatureBuffer[rsLength] + 27 : signatureBuffer[rsLength];
+  var hashBuffer = util.toBuffer(util.addHexPrefix(hash));
+  var candidates = [];
+  for (var rLength = Math.max(rsLength - 32, 1); rLength <= Math.min(rsLength - 1, 32); rLength++) {
+    candidates.push(Buffer.concat([
+      util.setLengthLeft(signatureBuffer.slice(0, rLength), 32),
+      util.setLengthLeft(signatureBuffer.slice(rLength, rsLength), 32),
+      new Buffer([v])
+    ]));
+  }
+  var normalized = candidates.length === 1 ? candidates[0] : candidates.filter(function(candidate) {
+    try {
+      var publicKey = util.ecrecover(hashBuffer, v, candidate.slice(0, 32), candidate.slice(32, 64));
+      return util.bufferToHex(util.pubToAddress(publicKey)) === signer.toLowerCase();
+    } catch (e) {
+      return false;
+    }
+  })[0];
+  if (!normalized) {
+    throw new Error('the signature returned by the node does not recover to ' + signer);
+  }
+  return util.bufferToHex(normalized);
+};
+
+/**
+ * Signs an operation hash using an account on the connected node (eth.sign)
+ *
+ * @param web3 web3 instance connected to the node holding the signer's key
+ * @param signer address of the account on the node to sign with
+ * @param operationHash hex string of the operation hash
+ * @returns promise for the 65 byte signature as a 0x-prefixed hex string
+ */
+exports.signWithNode = function(web3, signer, operationHash) {
+  // The node expects the hash without a 0x prefix
+  return Promise.promisify(web3.eth.sign, { context: web3.eth })(signer, util.stripHexPrefix(operationHash))
+  .then(function(signature) {
+    return exports.normalizeSignature(signature, operationHash, signer);
+  });
+};
+
+/**
+ * Signs typed data using an account on the connected node (eth_signTypedData), so that the node's signing tool can show
+ * the fields being approved
+ *
+ * @param web3 web3 instance connected to the node holding the signer's key
+ * @param signer address of the account on the node to sign with
+ * @param typedData array of { type, name, value } (see operation.getTypedOperationData)
+ * @returns promise for the 65 byte signature as a 0x-prefixed hex string
+ */
+exports.signTypedDataWithNode = function(web3, signer, typedData) {
+  return Promise.promisify(web3.currentProvider.sendAsync, { context: web3.currentProvider })({
+    jsonrpc: '2.0',
+    id: new Date().getTime(),
+    method: 'eth_signTypedData',
+    params: [typedData, signer]
+  })
+  .then(function(response) {
+    if (response.error) {
+      throw new Error(response.error.message);
+    }
+    // Required here rather than at the top, as operation requires this module
+    var operation = require('./operation');
+    return exports.normalizeSignature(response.result, operation.hashTypedData(typedData), signer);
+  });
+};
+
+/**
+ * Reads consecutive storage slots of a contract (e.g. a fixed size array or the fields of a struct)
+ *
+ * @param web3 web3 instance
+ * @param address address of the contract
+ * @param slot index of the first storage slot, as a number or hex string
+ * @param length number of slots to read
+ * @returns promise for an array of the slot values as BNs
+ */
+exports.readStorageSlots = function(web3, address, slot, length) {
+  var getStorageAt = Promise.promisify(web3.eth.getStorageAt, { context: web3.eth });
+  var firstSlot = typeof slot === 'string' ? new BN(util.stripHexPrefix(slot), 16) : new BN(slot);
+  var slots = [];
+  for (var i = 0; i < length; i++) {
+    // As a full 32 byte key, like the hashed slots of arrays and mappings, which some nodes (e.g. testrpc) require
+    slots.push(getStorageAt(address, '0x' + firstSlot.addn(i).toString(16, 64)));
+  }
+  return Promise.all(slots)
+  .then(function(values) {
+    return values.map(function(value) {
+      return new BN(util.stripHexPrefix(value) || '0', 16);
+    });
+  });
+};
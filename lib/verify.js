@@ -0,0 +1,111 @@
+/*
+  Pre-validation of co-signer signatures, so that a sendMultiSig or executeAndConfirm which would throw
+  is caught before any gas is spent. Signatures of the operation hash (eth.sign) and of the typed data of a transfer
+  (eth_signTypedData) are both supported.
+ */
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+var util = require('ethereumjs-util');
+
+var operation = require('./operation');
+var sequenceIdWindow = require('./sequenceid');
+var WalletClient = require('./wallet');
+
+var ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+/**
+ * Recovers the address that signed an operation hash, in the same way as WalletSimple.recoverAddressFromSignature
+ * and multiowned.confirmAndCheckUsingECRecover. Versions 0 and 1 are normalised to 27 and 28, and any other
+ * invalid signature recovers to the zero address as ecrecover does.
+ *
+ * @param operationHash hex string or Buffer of the 32 byte operation hash
+ * @param signature hex string or Buffer of the 65 byte signature (r, s, v)
+ * @returns 0x-prefixed address of the signer
+ */
+exports.recoverAddress = function(operationHash, signature) {
+  var hashBuffer = util.toBuffer(Buffer.isBuffer(operationHash) ? operationHash : util.addHexPrefix(operationHash));
+  var signatureBuffer = util.toBuffer(Buffer.isBuffer(signature) ? signature : util.addHexPrefix(signature));
+  if (signatureBuffer.length !== 65) {
+    // The contracts throw on signatures of the wrong length
+    throw new Error('signature must be 65 bytes');
+  }
+
+  var r = signatureBuffer.slice(0, 32);
+  var s = signatureBuffer.slice(32, 64);
+  var v = signatureBuffer[64];
+  if (v < 27) {
+    v += 27; // Ethereum versions are 27 or 28 as opposed to 0 or 1 which is submitted by some signing libs
+  }
+
+  try {
+    return util.bufferToHex(util.pubToAddress(util.ecrecover(hashBuffer, v, r, s)));
+  } catch (e) {
+    return ZERO_ADDRESS;
+  }
+};
+
+/**
+ * Recovers the address that signed typed data (eth_signTypedData), e.g. to check a co-signer's approval of a transfer
+ * against the fields that were shown to them
+ *
+ * @param typedData array of { type, name, value } (see operation.getTypedOperationData)
+ * @param signature hex string or Buffer of the 65 byte signature (r, s, v)
+ * @returns 0x-prefixed address of the signer
+ */
+exports.recoverTypedDataSigner = function(typedData, signature) {
+  return exports.recoverAddress(operation.hashTypedData(typedData), signature);
+};
+
+/**
+ * Verifies a co-signer's signature for sendMultiSig or sendMultiSigToken (WalletSimple) or executeAndConfirm (Wallet) against the
+ * current state of the wallet.
+ *
+ * @param client WalletClient or WalletSimpleClient for the wallet the transaction will be sent to
+ * @param params.from address that will send the transaction
+ * @param params.toAddress destination address of the transaction
+ * @param params.value amount in wei
+ * @param params.data (optional) Buffer or hex string of the data sent with the transaction
+ * @param params.tokenContractAddress (optional) address of the ERC20 token, to verify a sendMultiSigToken signature
+ * @param params.typed (optional) true to verify a signature of the typed data, for sendMultiSigTyped or executeAndConfirmTyped
+ * @param params.expireTime number of seconds since 1970 for which the transaction is valid
+ * @param params.sequenceId the sequence id that was signed
+ * @param params.signature the co-signer's signature
+ * @param params.now (optional) number of seconds since 1970 to check expiry against. Defaults to the current time.
+ * @returns promise for { operationHash, recoveredAddress, isSigner, isSameAsSender, expired, sequenceIdAcceptable, valid }
+ */
+exports.verifySignature = co(function *(client, params) {
+  if (params.typed && params.tokenContractAddress) {
+    throw new Error('token transfers can not be approved with typed data');
+  }
+  var networkId = yield client.getNetworkId();
+  var operationHash;
+  if (params.typed) {
+    operationHash = operation.getTypedOperationHash(client.address, networkId, params.toAddress, params.value, params.data, params.expireTime, params.sequenceId);
+  } else if (params.tokenContractAddress) {
+    operationHash = operation.getTokenOperationHash(client.address, networkId, params.toAddress, params.value, params.tokenContractAddress, params.expireTime, params.sequenceId);
+  } else {
+    operationHash = operation.getOperationHash(client.address, networkId, params.toAddress, params.value, params.data, params.expireTime, params.sequenceId);
+  }
+  var recoveredAddress = exports.recoverAddress(operationHash, params.signature);
+  var now = params.now || Math.floor(new Date().getTime() / 1000);
+
+  var isSigner = function(address) {
+    return client instanceof WalletClient ? client.isOwner(address) : client.isSigner(address);
+  };
+
+  var state = yield Promise.props({
+    isSigner: isSigner(recoveredAddress),
+    window: client.getSequenceIdWindow()
+  });
+
+  var result = {
+    operationHash: operationHash,
+    recoveredAddress: recoveredAddress,
+    isSigner: state.isSigner,
+    isSameAsSender: recoveredAddress === params.from.toLowerCase(),
+    expired: params.expireTime < now,
+    sequenceIdAcceptable: sequenceIdWindow.isAcceptable(state.window, parseInt(params.sequenceId, 10))
+  };
+  result.valid = result.isSigner && !result.isSameAsSender && !result.expired && result.sequenceIdAcceptable;
+  return result;
+});
@@ -0,0 +1,552 @@
+var assert = require('assert');
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+var _ = require('lodash');
+var util = require('ethereumjs-util');
+
+var operation = require('./operation');
+var sequenceIdWindow = require('./sequenceid');
+var timelock = require('./timelock');
+var walletUtil = require('./util');
+
+/**
+ * Client for a deployed Wallet contract. All amounts are in wei, and all methods return promises.
+ *
+ * @param params.wallet Pudding instance of the Wallet contract (e.g. from Wallet.at(address))
+ * @param params.web3 web3 instance connected to the node the wallet lives on
+ * @param params.networkId (optional) network ID the wallet was deployed with, read from the wallet by default
+ */
+var WalletClient = function(params) {
+  assert(params.wallet);
+  assert(params.web3);
+
+  this.wallet = params.wallet;
+  this.web3 = params.web3;
+  this.address = params.wallet.address;
+  this.networkId = params.networkId;
+};
+
+// Storage slots of the multiowned fields: m_required, m_numOwners and the 256 slots of m_owners come first,
+// followed by m_ownerIndex, m_pending, m_pendingIndex and m_sequenceIdsUsed
+WalletClient.PENDING_SLOT = 259;
+WalletClient.SEQUENCE_ID_WINDOW_SLOT = 261;
+
+/**
+ * Deploys a new Wallet contract. The sender automatically becomes an owner.
+ *
+ * @param params.Wallet the Wallet Pudding class (see contracts.load)
+ * @param params.web3 web3 instance
+ * @param params.owners array of owner addresses, not including the sender
+ * @param params.required number of owners required to confirm a multisig operation
+ * @param params.dailyLimit amount in wei that a single owner may send per day
+ * @param params.networkId (optional) network ID included in the operation hashes, the node's network ID by default
+ * @param params.from address to deploy the wallet from
+ * @returns promise for a WalletClient
+ */
+WalletClient.deploy = co(function *(params) {
+  assert(params.Wallet);
+  assert(params.web3);
+  assert(params.owners);
+  assert(params.required);
+  assert(params.from);
+
+  var networkId = params.networkId !== undefined ? params.networkId : (yield walletUtil.getNetworkId(params.web3));
+  var wallet = yield params.Wallet.new(
+    params.owners,
+    params.required,
+    walletUtil.toWeiString(params.dailyLimit),
+    networkId,
+    { from: params.from }
+  );
+  return new WalletClient({ wallet: wallet, web3: params.web3, networkId: networkId });
+});
+
+/**
+ * Gets a client for an existing Wallet contract
+ *
+ * @param params.Wallet the Wallet Pudding class (see contracts.load)
+ * @param params.web3 web3 instance
+ * @param params.address address of the wallet
+ * @param params.networkId (optional) network ID the wallet was deployed with, read from the wallet by default
+ * @returns WalletClient
+ */
+WalletClient.at = function(params) {
+  assert(params.Wallet);
+  assert(params.web3);
+  assert(params.address);
+
+  return new WalletClient({ wallet: params.Wallet.at(params.address), web3: params.web3, networkId: params.networkId });
+};
+
+/**
+ * Gets the owners on the wallet
+ *
+ * @returns promise for an array of owner addresses
+ */
+WalletClient.prototype.getOwners = co(function *() {
+  var self = this;
+  var numOwners = yield self.wallet.m_numOwners.call();
+  return yield Promise.all(
+    _.range(numOwners).map(function(ownerIndex) {
+      return self.wallet.getOwner.call(ownerIndex);
+    })
+  );
+});
+
+/**
+ * Gets the number of owners, including the sender, required to confirm a transaction
+ *
+ * @returns promise for the requirement as a number
+ */
+WalletClient.prototype.getRequired = co(function *() {
+  var required = yield this.wallet.m_required.call();
+  return parseInt(required, 10);
+});
+
+/**
+ * Gets the overall state of the wallet
+ *
+ * @returns promise for an object with the address, networkId, balance, owners, required, dailyLimit, spentToday, timelock
+ *          and version
+ */
+WalletClient.prototype.getInfo = function() {
+  return Promise.props({
+    address: this.address,
+    networkId: this.wallet.m_networkId.call(),
+    balance: Promise.promisify(this.web3.eth.getBalance, { context: this.web3.eth })(this.address),
+    owners: this.getOwners(),
+    required: this.wallet.m_required.call(),
+    dailyLimit: this.wallet.m_dailyLimit.call(),
+    spentToday: this.wallet.m_spentToday.call(),
+    timelock: this.wallet.m_timelock.call(),
+    version: this.wallet.version.call()
+  });
+};
+
+/**
+ * Gets the daily limit of an ERC20 token and how much of it is left today. Tokens without a limit (0) can only be
+ * sent with the confirmation of the other owners.
+ *
+ * @param tokenContractAddress address of the ERC20 token contract
+ * @returns promise for { dailyLimit, spentToday, remaining } in the token's base units, as BigNumbers
+ */
+WalletClient.prototype.getTokenDailyLimit = co(function *(tokenContractAddress) {
+  assert(tokenContractAddress);
+
+  var state = yield Promise.props({
+    dailyLimit: this.wallet.m_tokenDailyLimit.call(tokenContractAddress),
+    spentToday: this.wallet.m_tokenSpentToday.call(tokenContractAddress),
+    lastDay: this.wallet.m_tokenLastDay.call(tokenContractAddress),
+    block: Promise.promisify(this.web3.eth.getBlock, { context: this.web3.eth })('latest')
+  });
+  // The amount spent is only reset by the next transfer on a new day, so it may belong to an earlier day
+  var today = Math.floor(state.block.timestamp / 86400);
+  var spentToday = state.lastDay.lessThan(today) ? this.web3.toBigNumber(0) : state.spentToday;
+  // The limit may have been lowered below the amount already spent
+  var remaining = state.dailyLimit.minus(spentToday);
+  return {
+    dailyLimit: state.dailyLimit,
+    spentToday: spentToday,
+    remaining: remaining.isNegative() ? this.web3.toBigNumber(0) : remaining
+  };
+});
+
+/**
+ * Sets the daily limit of an ERC20 token. Needs the confirmation of the required number of owners. While a timelock is
+ * set, the confirmed change is queued like a transaction and takes effect when it is sent with executeQueued.
+ *
+ * @param params.tokenContractAddress address of the ERC20 token contract
+ * @param params.dailyLimit amount in the token's base units that a single owner may send per day, 0 for no limit
+ * @param params.from owner address confirming the change
+ * @returns promise for the transaction hash
+ */
+WalletClient.prototype.setTokenDailyLimit = function(params) {
+  assert(params.tokenContractAddress);
+  assert(params.from);
+
+  return this.wallet.setTokenDailyLimit(
+    params.tokenContractAddress,
+    walletUtil.toWeiString(params.dailyLimit),
+    { from: params.from }
+  );
+};
+
+/**
+ * Resets the amount of an ERC20 token spent today. Needs the confirmation of the required number of owners. While a
+ * timelock is set, the confirmed reset is queued like a transaction and takes effect when sent with executeQueued.
+ *
+ * @param params.tokenContractAddress address of the ERC20 token contract
+ * @param params.from owner address confirming the reset
+ * @returns promise for the transaction hash
+ */
+WalletClient.prototype.resetTokenSpentToday = function(params) {
+  assert(params.tokenContractAddress);
+  assert(params.from);
+
+  return this.wallet.resetTokenSpentToday(params.tokenContractAddress, { from: params.from });
+};
+
+/**
+ * Checks whether an address is an owner on the wallet
+ */
+WalletClient.prototype.isOwner = function(address) {
+  return this.wallet.isOwner.call(address);
+};
+
+/**
+ * Checks whether an owner has confirmed a pending operation
+ */
+WalletClient.prototype.hasConfirmed = function(operationHash, ownerAddress) {
+  return this.wallet.hasConfirmed.call(operationHash, ownerAddress);
+};
+
+/**
+ * Reads the PendingState of an operation (m_pending[operationHash]) from the wallet's storage.
+ * This covers all operations awaiting confirmation, including onlymanyowners calls such as addOwner.
+ *
+ * @param operationHash the operation hash
+ * @returns promise for { yetNeeded, ownersConfirmed (BN bitmap of owner indexes), index }.
+ *          yetNeeded is 0 if the operation is not pending.
+ */
+WalletClient.prototype.getPendingState = co(function *(operationHash) {
+  // Mapping values are stored at sha3(key, slot), with the struct fields in consecutive slots
+  var baseSlot = util.sha3(Buffer.concat([
+    util.setLengthLeft(util.toBuffer(operationHash), 32),
+    util.setLengthLeft(util.toBuffer(WalletClient.PENDING_SLOT), 32)
+  ]));
+  var fields = yield walletUtil.readStorageSlots(this.web3, this.address, util.bufferToHex(baseSlot), 3);
+  return {
+    yetNeeded: fields[0].toNumber(),
+    ownersConfirmed: fields[1],
+    index: fields[2].toNumber()
+  };
+});
+
+/**
+ * Gets the pending transactions on the wallet, along with the owners that have confirmed each of them
+ *
+ * @returns promise for an array of { operation, confirmationsNeeded, to, value, data, signers }
+ */
+WalletClient.prototype.getPendingTransactions = co(function *() {
+  var self = this;
+  var owners = yield self.getOwners();
+  var numPendingTransactions = yield self.wallet.numPendingTransactions.call();
+
+  var getPendingTransaction = co(function *(index) {
+    var pendingTransactionTuple = yield self.wallet.getPendingTransaction.call(index);
+    var operationHash = pendingTransactionTuple[0];
+
+    // Enumerate owners that have confirmed this operation using hasConfirmed
+    var hasConfirmedResults = yield Promise.all(owners.map(function(ownerAddress) {
+      return self.hasConfirmed(operationHash, ownerAddress);
+    }));
+
+    return {
+      operation: operationHash,
+      confirmationsNeeded: pendingTransactionTuple[1],
+      to: pendingTransactionTuple[2],
+      value: pendingTransactionTuple[3],
+      data: pendingTransactionTuple[4],
+      signers: owners.filter(function(ownerAddress, ownerIndex) {
+        return hasConfirmedResults[ownerIndex];
+      })
+    };
+  });
+
+  return yield Promise.all(_.range(numPendingTransactions).map(getPendingTransaction));
+});
+
+/**
+ * Gets the next available sequence ID for use with executeAndConfirm
+ *
+ * @returns promise for the sequence ID as a number
+ */
+WalletClient.prototype.getNextSequenceId = co(function *() {
+  var sequenceId = yield this.wallet.getNextSequenceId.call();
+  return parseInt(sequenceId, 10);
+});
+
+/**
+ * Reads the window of recently used sequence ids (m_sequenceIdsUsed) from the wallet's storage
+ *
+ * @returns promise for an array of the 10 sequence ids in the window
+ */
+WalletClient.prototype.getSequenceIdWindow = function() {
+  return walletUtil.readStorageSlots(this.web3, this.address, WalletClient.SEQUENCE_ID_WINDOW_SLOT, sequenceIdWindow.WINDOW_SIZE)
+  .then(function(window) {
+    return window.map(function(sequenceId) {
+      return sequenceId.toNumber();
+    });
+  });
+};
+
+/**
+ * Executes a transaction. Sends immediately if under the daily limit, otherwise creates a pending operation
+ * which must be confirmed by other owners.
+ *
+ * @param params.to destination address
+ * @param params.value amount in wei
+ * @param params.data (optional) hex string or Buffer of data to send
+ * @param params.from owner address sending the transaction
+ * @returns promise for the transaction hash
+ */
+WalletClient.prototype.execute = function(params) {
+  assert(params.to);
+  assert(params.from);
+
+  return this.wallet.execute(
+    params.to,
+    walletUtil.toWeiString(params.value),
+    walletUtil.toHexData(params.data),
+    { from: params.from }
+  );
+};
+
+/**
+ * Executes an ERC20 token transfer. Sends immediately if under the daily limit of the token, otherwise creates a
+ * pending operation which must be confirmed by other owners.
+ *
+ * @param params.tokenContractAddress address of the ERC20 token contract
+ * @param params.to address the tokens are sent to
+ * @param params.value amount in the token's base units
+ * @param params.from owner address sending the transaction
+ * @returns promise for the transaction hash
+ */
+WalletClient.prototype.executeTokenTransfer = function(params) {
+  assert(params.tokenContractAddress);
+  assert(params.to);
+  assert(params.from);
+
+  return this.execute({
+    to: params.tokenContractAddress,
+    value: 0,
+    data: operation.getTokenTransferData(params.to, params.value),
+    from: params.from
+  });
+};
+
+/**
+ * Confirms a pending operation
+ *
+ * @param operationHash the operation hash (from the ConfirmationNeeded event or getPendingTransactions)
+ * @param params.from owner address confirming the operation
+ * @returns promise for the transaction hash
+ */
+WalletClient.prototype.confirm = function(operationHash, params) {
+  assert(operationHash);
+  assert(params.from);
+
+  return this.wallet.confirm(operationHash, { from: params.from });
+};
+
+/**
+ * Revokes a prior confirmation of a pending operation
+ *
+ * @param operationHash the operation hash
+ * @param params.from owner address revoking their confirmation
+ * @returns promise for the transaction hash
+ */
+WalletClient.prototype.revoke = function(operationHash, params) {
+  assert(operationHash);
+  assert(params.from);
+
+  return this.wallet.revoke(operationHash, { from: params.from });
+};
+
+/**
+ * Gets the network ID included in the operation hashes. Unless the client was given one, this is the network ID stored
+ * in the wallet (m_networkId), 0 included, or the ID of the network the node is connected to if the wallet has none. The
+ * wallet rejects signatures made for any other network. The hash methods use the ID loaded here.
+ *
+ * @returns promise for the network ID
+ */
+WalletClient.prototype.getNetworkId = co(function *() {
+  if (this.networkId === undefined) {
+    this.networkId = yield walletUtil.getWalletNetworkId(this.web3, this.wallet, 'm_networkId');
+  }
+  return this.networkId;
+});
+
+/**
+ * Gets the operation hash to be signed by the other owner for executeAndConfirm
+ *
+ * @returns 0x-prefixed hex string of the operation hash
+ */
+WalletClient.prototype.getOperationHash = function(params) {
+  return operation.getOperationHash(this.address, walletUtil.getLoadedNetworkId(this), params.to, params.value, params.data, params.expireTime, params.sequenceId);
+};
+
+/**
+ * Signs the operation hash using an account on the connected node (eth.sign)
+ *
+ * @param signer address of the account on the node to sign with
+ * @returns promise for the 65 byte signature as a 0x-prefixed hex string
+ */
+WalletClient.prototype.signOperation = co(function *(signer, params) {
+  yield this.getNetworkId();
+  return yield walletUtil.signWithNode(this.web3, signer, this.getOperationHash(params));
+});
+
+/**
+ * Gets the typed data to be signed by the other owner (eth_signTypedData) for executeAndConfirmTyped
+ *
+ * @returns array of { type, name, value } (see operation.getTypedOperationData)
+ */
+WalletClient.prototype.getTypedOperationData = function(params) {
+  return operation.getTypedOperationData(this.address, walletUtil.getLoadedNetworkId(this), params.to, params.value, params.data, params.expireTime, params.sequenceId);
+};
+
+/**
+ * Gets the hash of the typed data signed for executeAndConfirmTyped
+ *
+ * @returns 0x-prefixed hex string of the operation hash
+ */
+WalletClient.prototype.getTypedOperationHash = function(params) {
+  return operation.hashTypedData(this.getTypedOperationData(params));
+};
+
+/**
+ * Executes and confirms a transaction in a single transaction, using the signature of another owner.
+ * If no signature is provided, the operation is signed by params.otherSigner on the connected node.
+ * If no sequence ID is provided, the next available one is fetched from the wallet.
+ * With params.typed, the other owner signs the typed data of the transaction and it is sent with executeAndConfirmTyped.
+ *
+ * @param params.to destination address
+ * @param params.value amount in wei
+ * @param params.data (optional) hex string or Buffer of data to send
+ * @param params.expireTime number of seconds since 1970 for which the transaction is valid
+ * @param params.sequenceId (optional) unique sequence id
+ * @param params.typed (optional) true if the signature is of the typed data (eth_signTypedData)
+ * @param params.signature (optional) signature of the operation hash by the other owner
+ * @param params.otherSigner (optional) address of the other owner, if the signature is to be created on the node
+ * @param params.from owner address sending the transaction
+ * @returns promise for the transaction hash
+ */
+WalletClient.prototype.executeAndConfirm = co(function *(params) {
+  assert(params.to);
+  assert(params.expireTime);
+  assert(params.from);
+  assert(params.signature || params.otherSigner);
+
+  params = _.extend({}, params);
+  if (!params.sequenceId) {
+    params.sequenceId = yield this.getNextSequenceId();
+  }
+  yield this.getNetworkId();
+  if (!params.signature) {
+    params.signature = yield (params.typed ?
+      walletUtil.signTypedDataWithNode(this.web3, params.otherSigner, this.getTypedOperationData(params)) :
+      this.signOperation(params.otherSigner, params));
+  }
+
+  return yield this.wallet[params.typed ? 'executeAndConfirmTyped' : 'executeAndConfirm'](
+    params.to,
+    walletUtil.toWeiString(params.value),
+    walletUtil.toHexData(params.data),
+    params.expireTime,
+    params.sequenceId,
+    params.signature,
+    { from: params.from }
+  );
+});
+
+/**
+ * Sets the number of seconds confirmed transactions wait in the queue before they can be sent, during which any owner
+ * can cancel them. Needs the confirmation of the required number of owners. A lower timelock is queued like a
+ * transaction once confirmed, and takes effect when it is sent with executeQueued after the current timelock.
+ *
+ * @param params.timelock number of seconds, or 0 to send confirmed transactions immediately
+ * @param params.from owner address confirming the change
+ * @returns promise for the transaction hash
+ */
+WalletClient.prototype.setTimelock = function(params) {
+  assert(params.timelock !== undefined);
+  assert(params.from);
+
+  return this.wallet.setTimelock(params.timelock, { from: params.from });
+};
+
+/**
+ * Gets the confirmed transactions waiting for the timelock
+ *
+ * @returns promise for an array of { operation, executableAfter (seconds since 1970), to, value, data, executable }
+ */
+WalletClient.prototype.getQueuedTransactions = function() {
+  return timelock.readQueue(this.web3, this.wallet, function(queuedTransactionTuple) {
+    return {
+      operation: queuedTransactionTuple[0],
+      executableAfter: parseInt(queuedTransactionTuple[1], 10),
+      to: queuedTransactionTuple[2],
+      value: queuedTransactionTuple[3],
+      data: queuedTransactionTuple[4]
+    };
+  });
+};
+
+/**
+ * Sends a queued transaction once the timelock has passed
+ *
+ * @param operationHash the operation hash (from the TransactionQueued event or getQueuedTransactions)
+ * @param params.from owner address sending the transaction
+ * @returns promise for the transaction hash
+ */
+WalletClient.prototype.executeQueued = function(operationHash, params) {
+  assert(operationHash);
+  assert(params.from);
+
+  return this.wallet.executeQueued(operationHash, { from: params.from });
+};
+
+/**
+ * Sends all queued transactions whose timelock has passed
+ *
+ * @param params.from owner address sending the transactions
+ * @returns promise for an array of { operation, txHash }
+ */
+WalletClient.prototype.executeMatured = function(params) {
+  return timelock.executeMatured(this, params);
+};
+
+/**
+ * Cancels a queued transaction. Any single owner may cancel it.
+ *
+ * @param operationHash the operation hash
+ * @param params.from owner address cancelling the transaction
+ * @returns promise for the transaction hash
+ */
+WalletClient.prototype.cancelQueued = function(operationHash, params) {
+  assert(operationHash);
+  assert(params.from);
+
+  return this.wallet.cancelQueued(operationHash, { from: params.from });
+};
+
+/**
+ * Creates a forwarder contract whose address forwards any funds received to this wallet
+ *
+ * @param params.from owner address sending the transaction
+ * @returns promise for the transaction hash
+ */
+WalletClient.prototype.createForwarder = function(params) {
+  assert(params.from);
+
+  return this.wallet.createForwarder({ from: params.from });
+};
+
+/**
+ * Flushes the whole balance of an ERC20 token held by a forwarder created by this wallet into the wallet
+ *
+ * @param params.forwarderAddress address of the forwarder
+ * @param params.tokenContractAddress address of the ERC20 token contract
+ * @param params.from owner address sending the transaction
+ * @returns promise for the transaction hash
+ */
+WalletClient.prototype.flushForwarderTokens = function(params) {
+  assert(params.forwarderAddress);
+  assert(params.tokenContractAddress);
+  assert(params.from);
+
+  return this.wallet.flushForwarderTokens(params.forwarderAddress, params.tokenContractAddress, { from: params.from });
+};
+
+module.exports = WalletClient;
@@ -0,0 +1,826 @@
+var assert = require('assert');
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+var _ = require('lodash');
+
+var operation = require('./operation');
+var sequenceIdWindow = require('./sequenceid');
+var signatures = require('./signatures');
+var timelock = require('./timelock');
+var walletUtil = require('./util');
+
+/**
+ * Client for a deployed WalletSimple contract. All amounts are in wei, and all methods return promises.
+ *
+ * @param params.wallet Pudding instance of the WalletSimple contract (e.g. from WalletSimple.at(address))
+ * @param params.web3 web3 instance connected to the node the wallet lives on
+ * @param params.networkId (optional) network ID the wallet was deployed with, read from the wallet by default
+ */
+var WalletSimpleClient = function(params) {
+  assert(params.wallet);
+  assert(params.web3);
+
+  this.wallet = params.wallet;
+  this.web3 = params.web3;
+  this.address = params.wallet.address;
+  this.networkId = params.networkId;
+};
+
+// Storage slot of recentSequenceIds, which comes after signers and safeMode
+WalletSimpleClient.SEQUENCE_ID_WINDOW_SLOT = 2;
+
+/**
+ * Deploys a new WalletSimple contract. The sender is NOT automatically added as a signer.
+ *
+ * @param params.WalletSimple the WalletSimple Pudding class (see contracts.load)
+ * @param params.web3 web3 instance
+ * @param params.signers array of at least 2 signer addresses
+ * @param params.networkId (optional) network ID included in the operation hashes, the node's network ID by default
+ * @param params.from address to deploy the wallet from
+ * @returns promise for a WalletSimpleClient
+ */
+WalletSimpleClient.deploy = co(function *(params) {
+  assert(params.WalletSimple);
+  assert(params.web3);
+  assert(params.signers);
+  assert(params.from);
+
+  var networkId = params.networkId !== undefined ? params.networkId : (yield walletUtil.getNetworkId(params.web3));
+  var wallet = yield params.WalletSimple.new(params.signers, networkId, { from: params.from });
+  return new WalletSimpleClient({ wallet: wallet, web3: params.web3, networkId: networkId });
+});
+
+/**
+ * Gets a client for an existing WalletSimple contract
+ *
+ * @param params.WalletSimple the WalletSimple Pudding class (see contracts.load)
+ * @param params.web3 web3 instance
+ * @param params.address address of the wallet
+ * @param params.networkId (optional) network ID the wallet was deployed with, read from the wallet by default
+ * @returns WalletSimpleClient
+ */
+WalletSimpleClient.at = function(params) {
+  assert(params.WalletSimple);
+  assert(params.web3);
+  assert(params.address);
+
+  return new WalletSimpleClient({ wallet: params.WalletSimple.at(params.address), web3: params.web3, networkId: params.networkId });
+};
+
+/**
+ * Gets the signers on the wallet.
+ * The automatic accessor for the public signers array only returns individual elements, so we read them
+ * one at a time until the accessor throws past the end of the array.
+ *
+ * @returns promise for an array of signer addresses
+ */
+WalletSimpleClient.prototype.getSigners = co(function *() {
+  var signers = [];
+  var i = 0;
+  while (true) {
+    var signer = "";
+    try { signer = yield this.wallet.signers.call(i++); } catch (e) { }
+    if (!signer || signer === '0x') {
+      break;
+    }
+    signers.push(signer);
+  }
+  return signers;
+});
+
+/**
+ * Gets the overall state of the wallet
+ *
+ * @returns promise for an object with the address, networkId, balance, signers, safeMode, timelock and
+ *          pendingTimelock (see getPendingTimelock)
+ */
+WalletSimpleClient.prototype.getInfo = function() {
+  return Promise.props({
+    address: this.address,
+    networkId: this.wallet.networkId.call(),
+    balance: Promise.promisify(this.web3.eth.getBalance, { context: this.web3.eth })(this.address),
+    signers: this.getSigners(),
+    safeMode: this.wallet.safeMode.call(),
+    timelock: this.wallet.timelock.call(),
+    pendingTimelock: this.getPendingTimelock()
+  });
+};
+
+/**
+ * Checks whether an address is a signer on the wallet
+ */
+WalletSimpleClient.prototype.isSigner = function(address) {
+  return this.wallet.isSigner.call(address);
+};
+
+/**
+ * Gets the next available sequence ID for use with sendMultiSig
+ *
+ * @returns promise for the sequence ID as a number
+ */
+WalletSimpleClient.prototype.getNextSequenceId = co(function *() {
+  var sequenceId = yield this.wallet.getNextSequenceId.call();
+  return parseInt(sequenceId, 10);
+});
+
+/**
+ * Reads the window of recently used sequence ids (recentSequenceIds) from the wallet's storage
+ *
+ * @returns promise for an array of the 10 sequence ids in the window
+ */
+WalletSimpleClient.prototype.getSequenceIdWindow = function() {
+  return walletUtil.readStorageSlots(this.web3, this.address, WalletSimpleClient.SEQUENCE_ID_WINDOW_SLOT, sequenceIdWindow.WINDOW_SIZE)
+  .then(function(window) {
+    return window.map(function(sequenceId) {
+      return sequenceId.toNumber();
+    });
+  });
+};
+
+/**
+ * Gets the network ID included in the operation hashes. Unless the client was given one, this is the network ID stored
+ * in the wallet (networkId), 0 included, or the ID of the network the node is connected to if the wallet has none. The
+ * wallet rejects signatures made for any other network. The hash methods use the ID loaded here.
+ *
+ * @returns promise for the network ID
+ */
+WalletSimpleClient.prototype.getNetworkId = co(function *() {
+  if (this.networkId === undefined) {
+    this.networkId = yield walletUtil.getWalletNetworkId(this.web3, this.wallet, 'networkId');
+  }
+  return this.networkId;
+});
+
+/**
+ * Gets the operation hash to be signed by the other signer for sendMultiSig
+ *
+ * @returns 0x-prefixed hex string of the operation hash
+ */
+WalletSimpleClient.prototype.getOperationHash = function(params) {
+  return operation.getOperationHash(this.address, walletUtil.getLoadedNetworkId(this), params.to, params.value, params.data, params.expireTime, params.sequenceId);
+};
+
+/**
+ * Signs the operation hash using an account on the connected node (eth.sign)
+ *
+ * @param signer address of the account on the node to sign with
+ * @returns promise for the 65 byte signature as a 0x-prefixed hex string
+ */
+WalletSimpleClient.prototype.signOperation = co(function *(signer, params) {
+  yield this.getNetworkId();
+  return yield walletUtil.signWithNode(this.web3, signer, this.getOperationHash(params));
+});
+
+/**
+ * Gets the typed data to be signed by the other signer (eth_signTypedData) for sendMultiSigTyped
+ *
+ * @returns array of { type, name, value } (see operation.getTypedOperationData)
+ */
+WalletSimpleClient.prototype.getTypedOperationData = function(params) {
+  return operation.getTypedOperationData(this.address, walletUtil.getLoadedNetworkId(this), params.to, params.value, params.data, params.expireTime, params.sequenceId);
+};
+
+/**
+ * Gets the hash of the typed data signed for sendMultiSigTyped
+ *
+ * @returns 0x-prefixed hex string of the operation hash
+ */
+WalletSimpleClient.prototype.getTypedOperationHash = function(params) {
+  return operation.hashTypedData(this.getTypedOperationData(params));
+};
+
+/**
+ * Gets the token operation hash to be signed by the other signer for sendMultiSigToken
+ *
+ * @returns 0x-prefixed hex string of the operation hash
+ */
+WalletSimpleClient.prototype.getTokenOperationHash = function(params) {
+  return operation.getTokenOperationHash(this.address, walletUtil.getLoadedNetworkId(this), params.to, params.value, params.tokenContractAddress, params.expireTime, params.sequenceId);
+};
+
+/**
+ * Signs the token operation hash using an account on the connected node (eth.sign)
+ *
+ * @param signer address of the account on the node to sign with
+ * @returns promise for the 65 byte signature as a 0x-prefixed hex string
+ */
+WalletSimpleClient.prototype.signTokenOperation = co(function *(signer, params) {
+  yield this.getNetworkId();
+  return yield walletUtil.signWithNode(this.web3, signer, this.getTokenOperationHash(params));
+});
+
+/**
+ * Gets the batch operation hash to be signed by the other signer for sendMultiSigBatch
+ *
+ * @returns 0x-prefixed hex string of the operation hash
+ */
+WalletSimpleClient.prototype.getBatchOperationHash = function(params) {
+  return operation.getBatchOperationHash(this.address, walletUtil.getLoadedNetworkId(this), params.recipients, params.values, params.expireTime, params.sequenceId);
+};
+
+/**
+ * Signs the batch operation hash using an account on the connected node (eth.sign)
+ *
+ * @param signer address of the account on the node to sign with
+ * @returns promise for the 65 byte signature as a 0x-prefixed hex string
+ */
+WalletSimpleClient.prototype.signBatchOperation = co(function *(signer, params) {
+  yield this.getNetworkId();
+  return yield walletUtil.signWithNode(this.web3, signer, this.getBatchOperationHash(params));
+});
+
+/**
+ * Gets the operation hash to be signed by the other signer for addSigner, removeSigner or replaceSigner
+ *
+ * @param params.action add, remove or replace (see operation.getSignerOperationHash)
+ * @returns 0x-prefixed hex string of the operation hash
+ */
+WalletSimpleClient.prototype.getSignerOperationHash = function(params) {
+  return operation.getSignerOperationHash(_.extend({ walletAddress: this.address, networkId: walletUtil.getLoadedNetworkId(this) }, params));
+};
+
+/**
+ * Signs the hash of a change to the signers using an account on the connected node (eth.sign)
+ *
+ * @param signer address of the account on the node to sign with
+ * @returns promise for the 65 byte signature as a 0x-prefixed hex string
+ */
+WalletSimpleClient.prototype.signSignerOperation = co(function *(signer, params) {
+  yield this.getNetworkId();
+  return yield walletUtil.signWithNode(this.web3, signer, this.getSignerOperationHash(params));
+});
+
+/**
+ * Gets the signature of the other signer to send with an operation: params.signature if given, otherwise the
+ * operation is signed by params.otherSigner on the connected node
+ *
+ * @param params.signature (optional) signature of the operation hash by the other signer
+ * @param params.otherSigner (optional) address of the other signer, if the signature is to be created on the node
+ * @param operationHash 0x-prefixed hex string of the operation hash
+ * @param typedData (optional) typed data of the operation, to sign with eth_signTypedData instead of eth.sign
+ * @returns promise for the signature as a 0x-prefixed hex string
+ */
+WalletSimpleClient.prototype.getSignature = function(params, operationHash, typedData) {
+  assert(params.signature || params.otherSigner);
+
+  if (params.signature) {
+    return Promise.resolve(params.signature);
+  }
+  if (typedData) {
+    return walletUtil.signTypedDataWithNode(this.web3, params.otherSigner, typedData);
+  }
+  return walletUtil.signWithNode(this.web3, params.otherSigner, operationHash);
+};
+
+/**
+ * Sends a transaction from the wallet using 2 signers: the sender and the signature of another signer.
+ * If no signature is provided, the operation is signed by params.otherSigner on the connected node.
+ * If no sequence ID is provided, the next available one is fetched from the wallet.
+ * With params.typed, the other signer signs the typed data of the transaction and it is sent with sendMultiSigTyped.
+ *
+ * @param params.to destination address
+ * @param params.value amount in wei
+ * @param params.data (optional) hex string or Buffer of data to send
+ * @param params.expireTime number of seconds since 1970 for which the transaction is valid
+ * @param params.sequenceId (optional) unique sequence id
+ * @param params.typed (optional) true if the signature is of the typed data (eth_signTypedData)
+ * @param params.signature (optional) signature of the operation hash by the other signer
+ * @param params.otherSigner (optional) address of the other signer, if the signature is to be created on the node
+ * @param params.from signer address sending the transaction
+ * @returns promise for the transaction hash
+ */
+WalletSimpleClient.prototype.sendMultiSig = co(function *(params) {
+  assert(params.to);
+  assert(params.expireTime);
+  assert(params.from);
+
+  params = _.extend({}, params);
+  if (!params.sequenceId) {
+    params.sequenceId = yield this.getNextSequenceId();
+  }
+  yield this.getNetworkId();
+  if (params.typed) {
+    var typedData = this.getTypedOperationData(params);
+    params.signature = yield this.getSignature(params, operation.hashTypedData(typedData), typedData);
+  } else {
+    params.signature = yield this.getSignature(params, this.getOperationHash(params));
+  }
+
+  return yield this.wallet[params.typed ? 'sendMultiSigTyped' : 'sendMultiSig'](
+    params.to,
+    walletUtil.toWeiString(params.value),
+    walletUtil.toHexData(params.data),
+    params.expireTime,
+    params.sequenceId,
+    params.signature,
+    { from: params.from }
+  );
+});
+
+/**
+ * Sends ERC20 tokens held by the wallet using 2 signers: the sender and the signature of another signer.
+ * If no signature is provided, the operation is signed by params.otherSigner on the connected node.
+ * If no sequence ID is provided, the next available one is fetched from the wallet.
+ *
+ * @param params.to destination address
+ * @param params.value amount in the token's base units
+ * @param params.tokenContractAddress address of the ERC20 token contract
+ * @param params.expireTime number of seconds since 1970 for which the transaction is valid
+ * @param params.sequenceId (optional) unique sequence id
+ * @param params.signature (optional) signature of the token operation hash by the other signer
+ * @param params.otherSigner (optional) address of the other signer, if the signature is to be created on the node
+ * @param params.from signer address sending the transaction
+ * @returns promise for the transaction hash
+ */
+WalletSimpleClient.prototype.sendMultiSigToken = co(function *(params) {
+  assert(params.to);
+  assert(params.tokenContractAddress);
+  assert(params.expireTime);
+  assert(params.from);
+
+  params = _.extend({}, params);
+  if (!params.sequenceId) {
+    params.sequenceId = yield this.getNextSequenceId();
+  }
+  yield this.getNetworkId();
+  params.signature = yield this.getSignature(params, this.getTokenOperationHash(params));
+
+  return yield this.wallet.sendMultiSigToken(
+    params.to,
+    walletUtil.toWeiString(params.value),
+    params.tokenContractAddress,
+    params.expireTime,
+    params.sequenceId,
+    params.signature,
+    { from: params.from }
+  );
+});
+
+/**
+ * Sends ether from the wallet to several recipients in one transaction, approved with a single signature of another
+ * signer over the whole batch. Either all transfers are sent or none are.
+ * If no signature is provided, the batch is signed by params.otherSigner on the connected node.
+ * If no sequence ID is provided, the next available one is fetched from the wallet.
+ * A batch built by lib/batch.js can be passed in as it is, together with params.from.
+ *
+ * @param params.recipients array of the destination addresses
+ * @param params.values array of the amounts in wei sent to each recipient
+ * @param params.expireTime number of seconds since 1970 for which the batch is valid
+ * @param params.sequenceId (optional) unique sequence id
+ * @param params.signature (optional) signature of the batch operation hash by the other signer
+ * @param params.otherSigner (optional) address of the other signer, if the signature is to be created on the node
+ * @param params.from signer address sending the transaction
+ * @returns promise for the transaction hash
+ */
+WalletSimpleClient.prototype.sendMultiSigBatch = co(function *(params) {
+  assert(params.recipients && params.recipients.length);
+  assert(params.values && params.values.length === params.recipients.length);
+  assert(params.expireTime);
+  assert(params.from);
+
+  params = _.extend({}, params);
+  if (!params.sequenceId) {
+    params.sequenceId = yield this.getNextSequenceId();
+  }
+  yield this.getNetworkId();
+  params.signature = yield this.getSignature(params, this.getBatchOperationHash(params));
+
+  return yield this.wallet.sendMultiSigBatch(
+    params.recipients,
+    params.values.map(walletUtil.toWeiString),
+    params.expireTime,
+    params.sequenceId,
+    params.signature,
+    { from: params.from }
+  );
+});
+
+/**
+ * Adds a signer to the wallet, approved in the same way as sendMultiSig. Not allowed in safe mode.
+ * If no signature is provided, the change is signed by params.otherSigner on the connected node.
+ * If no sequence ID is provided, the next available one is fetched from the wallet.
+ *
+ * @param params.signer address to add as a signer
+ * @param params.expireTime number of seconds since 1970 for which the change is valid
+ * @param params.sequenceId (optional) unique sequence id
+ * @param params.signature (optional) signature of the signer operation hash by the other signer
+ * @param params.otherSigner (optional) address of the other signer, if the signature is to be created on the node
+ * @param params.from signer address sending the transaction
+ * @returns promise for the transaction hash
+ */
+WalletSimpleClient.prototype.addSigner = co(function *(params) {
+  assert(params.signer);
+  assert(params.expireTime);
+  assert(params.from);
+
+  params = _.extend({}, params, { action: 'add' });
+  if (!params.sequenceId) {
+    params.sequenceId = yield this.getNextSequenceId();
+  }
+  yield this.getNetworkId();
+  params.signature = yield this.getSignature(params, this.getSignerOperationHash(params));
+
+  return yield this.wallet.addSigner(params.signer, params.expireTime, params.sequenceId, params.signature, { from: params.from });
+});
+
+/**
+ * Removes a signer from the wallet, e.g. one whose key was compromised, approved in the same way as sendMultiSig.
+ * The wallet keeps at least as many signers as are required to send a transaction. Not allowed in safe mode.
+ * If no signature is provided, the change is signed by params.otherSigner on the connected node.
+ * If no sequence ID is provided, the next available one is fetched from the wallet.
+ *
+ * @param params.signer address to remove as a signer
+ * @param params.expireTime number of seconds since 1970 for which the change is valid
+ * @param params.sequenceId (optional) unique sequence id
+ * @param params.signature (optional) signature of the signer operation hash by the other signer
+ * @param params.otherSigner (optional) address of the other signer, if the signature is to be created on the node
+ * @param params.from signer address sending the transaction
+ * @returns promise for the transaction hash
+ */
+WalletSimpleClient.prototype.removeSigner = co(function *(params) {
+  assert(params.signer);
+  assert(params.expireTime);
+  assert(params.from);
+
+  params = _.extend({}, params, { action: 'remove' });
+  if (!params.sequenceId) {
+    params.sequenceId = yield this.getNextSequenceId();
+  }
+  yield this.getNetworkId();
+  params.signature = yield this.getSignature(params, this.getSignerOperationHash(params));
+
+  return yield this.wallet.removeSigner(params.signer, params.expireTime, params.sequenceId, params.signature, { from: params.from });
+});
+
+/**
+ * Replaces a signer of the wallet with a new address, approved in the same way as sendMultiSig. Not allowed in
+ * safe mode.
+ * If no signature is provided, the change is signed by params.otherSigner on the connected node.
+ * If no sequence ID is provided, the next available one is fetched from the wallet.
+ *
+ * @param params.oldSigner address to remove as a signer
+ * @param params.newSigner address to add as a signer in its place
+ * @param params.expireTime number of seconds since 1970 for which the change is valid
+ * @param params.sequenceId (optional) unique sequence id
+ * @param params.signature (optional) signature of the signer operation hash by the other signer
+ * @param params.otherSigner (optional) address of the other signer, if the signature is to be created on the node
+ * @param params.from signer address sending the transaction
+ * @returns promise for the transaction hash
+ */
+WalletSimpleClient.prototype.replaceSigner = co(function *(params) {
+  assert(params.oldSigner);
+  assert(params.newSigner);
+  assert(params.expireTime);
+  assert(params.from);
+
+  params = _.extend({}, params, { action: 'replace' });
+  if (!params.sequenceId) {
+    params.sequenceId = yield this.getNextSequenceId();
+  }
+  yield this.getNetworkId();
+  params.signature = yield this.getSignature(params, this.getSignerOperationHash(params));
+
+  return yield this.wallet.replaceSigner(
+    params.oldSigner,
+    params.newSigner,
+    params.expireTime,
+    params.sequenceId,
+    params.signature,
+    { from: params.from }
+  );
+});
+
+/**
+ * Puts the wallet into safe mode, where it may only send to signers. Leaving it again needs the consensus of the
+ * signers and a delay (see requestSafeModeExit). Activating safe mode again cancels a pending exit, which any single
+ * signer can do.
+ *
+ * @param params.from signer address sending the transaction
+ * @returns promise for the transaction hash
+ */
+WalletSimpleClient.prototype.activateSafeMode = function(params) {
+  assert(params.from);
+
+  return this.wallet.activateSafeMode({ from: params.from });
+};
+
+/**
+ * Gets the state of safe mode and of leaving it
+ *
+ * @returns promise for an object with safeMode, required (the number of signers, including the sender, needed to
+ *          leave safe mode), exitTime (seconds since 1970 from which a requested exit can be completed, 0 if none was
+ *          requested) and delay (seconds between requesting and completing an exit)
+ */
+WalletSimpleClient.prototype.getSafeModeExit = co(function *() {
+  var state = yield Promise.props({
+    safeMode: this.wallet.safeMode.call(),
+    required: this.wallet.safeModeExitRequired.call(),
+    exitSigners: this.wallet.getSafeModeExitSigners.call(),
+    exitTime: this.wallet.safeModeExitTime.call(),
+    requiredDelay: this.wallet.safeModeExitRequiredDelay.call(),
+    exitDelay: this.wallet.safeModeExitDelay.call(),
+    defaultDelay: this.wallet.DEFAULT_SAFE_MODE_EXIT_DELAY.call()
+  });
+  // Fixed when safe mode is activated, so outside of it these are what an activation now would fix
+  if (!state.safeMode) {
+    state.required = state.exitSigners;
+    state.requiredDelay = state.exitDelay.equals(0) ? state.defaultDelay : state.exitDelay;
+  }
+  return {
+    safeMode: state.safeMode,
+    required: parseInt(state.required, 10),
+    exitTime: parseInt(state.exitTime, 10),
+    delay: parseInt(state.requiredDelay, 10)
+  };
+});
+
+/**
+ * Prepares a request to leave safe mode, to be signed by the other signers (e.g. with operation.signSafeModeExitOperation
+ * on their own machines) and then sent with requestSafeModeExit.
+ * If no sequence ID is provided, the next available one is fetched from the wallet.
+ *
+ * @param params.expireTime number of seconds since 1970 for which the request is valid
+ * @param params.sequenceId (optional) unique sequence id
+ * @returns promise for an object with the expireTime, sequenceId, operationHash to sign and otherSignersRequired, the
+ *          number of signatures needed besides the sender's
+ */
+WalletSimpleClient.prototype.prepareSafeModeExit = co(function *(params) {
+  assert(params.expireTime);
+
+  var sequenceId = params.sequenceId || (yield this.getNextSequenceId());
+  var state = yield this.getSafeModeExit();
+  return {
+    expireTime: params.expireTime,
+    sequenceId: sequenceId,
+    operationHash: operation.getSafeModeExitOperationHash(this.address, (yield this.getNetworkId()), params.expireTime, sequenceId),
+    otherSignersRequired: state.required - 1
+  };
+});
+
+/**
+ * Requests to leave safe mode, approved by the sender and the other signers needed (see getSafeModeExit). The exit can be
+ * completed with deactivateSafeMode once the delay has passed, unless a signer activates safe mode again before.
+ * If no sequence ID is provided, the next available one is fetched from the wallet.
+ *
+ * @param params.expireTime number of seconds since 1970 for which the request is valid
+ * @param params.sequenceId (optional) unique sequence id
+ * @param params.signatures (optional) array of the signatures of the other signers on the safe mode exit hash, in any order
+ * @param params.otherSigners (optional) array of addresses of the other signers, to sign on the connected node
+ * @param params.from signer address sending the transaction
+ * @returns promise for the transaction hash
+ */
+WalletSimpleClient.prototype.requestSafeModeExit = co(function *(params) {
+  assert(params.expireTime);
+  assert(params.signatures || params.otherSigners);
+  assert(params.from);
+
+  var prepared = yield this.prepareSafeModeExit(params);
+  var packed;
+  if (params.signatures) {
+    packed = signatures.packSignatures(prepared.operationHash, _.flatMap(params.signatures, signatures.splitSignatures));
+  } else {
+    packed = yield signatures.collectSignatures(this.web3, params.otherSigners, prepared.operationHash);
+  }
+  var count = signatures.splitSignatures(packed).length;
+  if (count !== prepared.otherSignersRequired) {
+    throw new Error('leaving safe mode needs the signatures of ' + prepared.otherSignersRequired + ' other signers, got ' + count);
+  }
+
+  return yield this.wallet.requestSafeModeExit(prepared.expireTime, prepared.sequenceId, packed, { from: params.from });
+});
+
+/**
+ * Leaves safe mode, once the delay of an exit approved with requestSafeModeExit has passed
+ *
+ * @param params.from signer address sending the transaction
+ * @returns promise for the transaction hash
+ */
+WalletSimpleClient.prototype.deactivateSafeMode = function(params) {
+  assert(params.from);
+
+  return this.wallet.deactivateSafeMode({ from: params.from });
+};
+
+/**
+ * Sets the number of signers and the delay needed to leave safe mode, approved in the same way as sendMultiSig.
+ * Not allowed in safe mode.
+ * If no signature is provided, the change is signed by params.otherSigner on the connected node.
+ * If no sequence ID is provided, the next available one is fetched from the wallet.
+ *
+ * @param params.exitSigners number of signers, including the sender, needed to leave safe mode: a super-majority of
+ *                           the signers, or 0 for all signers (the default)
+ * @param params.exitDelay number of seconds between requesting and completing an exit, or 0 for the default (48 hours)
+ * @param params.expireTime number of seconds since 1970 for which the change is valid
+ * @param params.sequenceId (optional) unique sequence id
+ * @param params.signature (optional) signature of the operation hash by the other signer
+ * @param params.otherSigner (optional) address of the other signer, if the signature is to be created on the node
+ * @param params.from signer address sending the transaction
+ * @returns promise for the transaction hash
+ */
+WalletSimpleClient.prototype.setSafeModeExitPolicy = co(function *(params) {
+  assert(params.exitSigners !== undefined);
+  assert(params.exitDelay !== undefined);
+  assert(params.expireTime);
+  assert(params.from);
+
+  params = _.extend({}, params);
+  if (!params.sequenceId) {
+    params.sequenceId = yield this.getNextSequenceId();
+  }
+  var operationHash = operation.getSafeModeExitPolicyOperationHash(this.address, (yield this.getNetworkId()), params.exitSigners, params.exitDelay, params.expireTime, params.sequenceId);
+  params.signature = yield this.getSignature(params, operationHash);
+
+  return yield this.wallet.setSafeModeExitPolicy(
+    params.exitSigners,
+    params.exitDelay,
+    params.expireTime,
+    params.sequenceId,
+    params.signature,
+    { from: params.from }
+  );
+});
+
+/**
+ * Gets the hash to be signed by the other signer for setTimelock
+ *
+ * @param params.timelock number of seconds transactions are queued for, 0 to send them immediately
+ * @returns 0x-prefixed hex string of the operation hash
+ */
+WalletSimpleClient.prototype.getTimelockOperationHash = function(params) {
+  return operation.getTimelockOperationHash(this.address, walletUtil.getLoadedNetworkId(this), params.timelock, params.expireTime, params.sequenceId);
+};
+
+/**
+ * Signs the hash of a timelock change using an account on the connected node (eth.sign)
+ *
+ * @param signer address of the account on the node to sign with
+ * @returns promise for the 65 byte signature as a 0x-prefixed hex string
+ */
+WalletSimpleClient.prototype.signTimelockOperation = co(function *(signer, params) {
+  yield this.getNetworkId();
+  return yield walletUtil.signWithNode(this.web3, signer, this.getTimelockOperationHash(params));
+});
+
+/**
+ * Sets the number of seconds that transactions wait in the queue before they can be sent, during which any signer
+ * can cancel them. Approved in the same way as sendMultiSig. Batches can not be sent while a timelock is set.
+ * A lower timelock only takes effect once the current one has passed: it is applied with applyTimelock, and any signer
+ * can cancel it before with cancelTimelockChange (see getPendingTimelock).
+ * If no signature is provided, the change is signed by params.otherSigner on the connected node.
+ * If no sequence ID is provided, the next available one is fetched from the wallet.
+ *
+ * @param params.timelock number of seconds, or 0 to send transactions immediately
+ * @param params.expireTime number of seconds since 1970 for which the change is valid
+ * @param params.sequenceId (optional) unique sequence id
+ * @param params.signature (optional) signature of the operation hash by the other signer
+ * @param params.otherSigner (optional) address of the other signer, if the signature is to be created on the node
+ * @param params.from signer address sending the transaction
+ * @returns promise for the transaction hash
+ */
+WalletSimpleClient.prototype.setTimelock = co(function *(params) {
+  assert(params.timelock !== undefined);
+  assert(params.expireTime);
+  assert(params.from);
+
+  params = _.extend({}, params);
+  if (!params.sequenceId) {
+    params.sequenceId = yield this.getNextSequenceId();
+  }
+  yield this.getNetworkId();
+  params.signature = yield this.getSignature(params, this.getTimelockOperationHash(params));
+
+  return yield this.wallet.setTimelock(params.timelock, params.expireTime, params.sequenceId, params.signature, { from: params.from });
+});
+
+/**
+ * Gets the lower timelock waiting for the current timelock to pass, if any
+ *
+ * @returns promise for { timelock, operation, otherSigner, executableAfter (seconds since 1970), executable }, or
+ *          undefined if no change is pending
+ */
+WalletSimpleClient.prototype.getPendingTimelock = co(function *() {
+  var pendingTimelockTuple = yield this.wallet.pendingTimelock.call();
+  var executableAfter = parseInt(pendingTimelockTuple[3], 10);
+  if (!executableAfter) {
+    return;
+  }
+  return {
+    timelock: pendingTimelockTuple[0],
+    operation: pendingTimelockTuple[1],
+    otherSigner: pendingTimelockTuple[2],
+    executableAfter: executableAfter,
+    executable: (yield timelock.getBlockTime(this.web3)) >= executableAfter
+  };
+});
+
+/**
+ * Applies a lower timelock approved with setTimelock, once the current timelock has passed
+ *
+ * @param params.from signer address sending the transaction
+ * @returns promise for the transaction hash
+ */
+WalletSimpleClient.prototype.applyTimelock = function(params) {
+  assert(params.from);
+
+  return this.wallet.applyTimelock({ from: params.from });
+};
+
+/**
+ * Cancels a lower timelock waiting to be applied. Any single signer can cancel it.
+ *
+ * @param params.from signer address sending the transaction
+ * @returns promise for the transaction hash
+ */
+WalletSimpleClient.prototype.cancelTimelockChange = function(params) {
+  assert(params.from);
+
+  return this.wallet.cancelTimelockChange({ from: params.from });
+};
+
+/**
+ * Gets the approved transactions waiting for the timelock
+ *
+ * @returns promise for an array of { operation, executableAfter (seconds since 1970), to, value, data,
+ *          tokenContractAddress (undefined for ether), executable }
+ */
+WalletSimpleClient.prototype.getQueuedTransactions = function() {
+  return timelock.readQueue(this.web3, this.wallet, function(queuedTransactionTuple) {
+    var tokenContractAddress = queuedTransactionTuple[5];
+    return {
+      operation: queuedTransactionTuple[0],
+      executableAfter: parseInt(queuedTransactionTuple[1], 10),
+      to: queuedTransactionTuple[2],
+      value: queuedTransactionTuple[3],
+      data: queuedTransactionTuple[4],
+      tokenContractAddress: /^0x0*$/.test(tokenContractAddress) ? undefined : tokenContractAddress
+    };
+  });
+};
+
+/**
+ * Sends a queued transaction once the timelock has passed
+ *
+ * @param operationHash the operation hash (from the TransactionQueued event or getQueuedTransactions)
+ * @param params.from signer address sending the transaction
+ * @returns promise for the transaction hash
+ */
+WalletSimpleClient.prototype.executeQueued = function(operationHash, params) {
+  assert(operationHash);
+  assert(params.from);
+
+  return this.wallet.executeQueued(operationHash, { from: params.from });
+};
+
+/**
+ * Sends all queued transactions whose timelock has passed
+ *
+ * @param params.from signer address sending the transactions
+ * @returns promise for an array of { operation, txHash }
+ */
+WalletSimpleClient.prototype.executeMatured = function(params) {
+  return timelock.executeMatured(this, params);
+};
+
+/**
+ * Cancels a queued transaction. Any single signer may cancel it.
+ *
+ * @param operationHash the operation hash
+ * @param params.from signer address cancelling the transaction
+ * @returns promise for the transaction hash
+ */
+WalletSimpleClient.prototype.cancelQueued = function(operationHash, params) {
+  assert(operationHash);
+  assert(params.from);
+
+  return this.wallet.cancelQueued(operationHash, { from: params.from });
+};
+
+/**
+ * Creates a forwarder contract whose address forwards any funds received to this wallet
+ *
+ * @param params.from signer address sending the transaction
+ * @returns promise for the transaction hash
+ */
+WalletSimpleClient.prototype.createForwarder = function(params) {
+  assert(params.from);
+
+  return this.wallet.createForwarder({ from: params.from });
+};
+
+/**
+ * Flushes the whole balance of an ERC20 token held by a forwarder created by this wallet into the wallet
+ *
+ * @param params.forwarderAddress address of the forwarder
+ * @param params.tokenContractAddress address of the ERC20 token contract
+ * @param params.from signer address sending the transaction
+ * @returns promise for the transaction hash
+ */
+WalletSimpleClient.prototype.flushForwarderTokens = function(params) {
+  assert(params.forwarderAddress);
+  assert(params.tokenContractAddress);
+  assert(params.from);
+
+  return this.wallet.flushForwarderTokens(params.forwarderAddress, params.tokenContractAddress, { from: params.from });
+};
+
+module.exports = WalletSimpleClient;
@@ -0,0 +1,115 @@
+var assert = require('assert');
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+var _ = require('lodash');
+var nodeUtil = require('util');
+
+var signatures = require('./signatures');
+var walletUtil = require('./util');
+var WalletSimpleClient = require('./walletsimple');
+
+/**
+ * Client for a deployed WalletSimpleThreshold contract, the M-of-N variant of WalletSimple.
+ * All the methods of WalletSimpleClient are available. The send methods and signer changes take the signatures of
+ * the other required - 1 signers as params.signatures, or sign on the connected node with params.otherSigners.
+ *
+ * @param params.wallet Pudding instance of the WalletSimpleThreshold contract
+ * @param params.web3 web3 instance connected to the node the wallet lives on
+ * @param params.networkId (optional) network ID the wallet was deployed with, read from the wallet by default
+ */
+var WalletSimpleThresholdClient = function(params) {
+  WalletSimpleClient.call(this, params);
+};
+nodeUtil.inherits(WalletSimpleThresholdClient, WalletSimpleClient);
+
+/**
+ * Deploys a new WalletSimpleThreshold contract. The sender is NOT automatically added as a signer.
+ *
+ * @param params.WalletSimpleThreshold the WalletSimpleThreshold Pudding class (see contracts.load)
+ * @param params.web3 web3 instance
+ * @param params.signers array of at least 2 distinct signer addresses
+ * @param params.required number of signers required to send a transaction, including the sender (at least 2)
+ * @param params.networkId (optional) network ID included in the operation hashes, the node's network ID by default
+ * @param params.from address to deploy the wallet from
+ * @returns promise for a WalletSimpleThresholdClient
+ */
+WalletSimpleThresholdClient.deploy = co(function *(params) {
+  assert(params.WalletSimpleThreshold);
+  assert(params.web3);
+  assert(params.signers);
+  assert(params.required);
+  assert(params.from);
+
+  var networkId = params.networkId !== undefined ? params.networkId : (yield walletUtil.getNetworkId(params.web3));
+  var wallet = yield params.WalletSimpleThreshold.new(params.signers, params.required, networkId, { from: params.from });
+  return new WalletSimpleThresholdClient({ wallet: wallet, web3: params.web3, networkId: networkId });
+});
+
+/**
+ * Gets a client for an existing WalletSimpleThreshold contract
+ *
+ * @param params.WalletSimpleThreshold the WalletSimpleThreshold Pudding class (see contracts.load)
+ * @param params.web3 web3 instance
+ * @param params.address address of the wallet
+ * @param params.networkId (optional) network ID the wallet was deployed with, read from the wallet by default
+ * @returns WalletSimpleThresholdClient
+ */
+WalletSimpleThresholdClient.at = function(params) {
+  assert(params.WalletSimpleThreshold);
+  assert(params.web3);
+  assert(params.address);
+
+  return new WalletSimpleThresholdClient({
+    wallet: params.WalletSimpleThreshold.at(params.address),
+    web3: params.web3,
+    networkId: params.networkId
+  });
+};
+
+/**
+ * Gets the number of signers, including the sender, required to send a transaction
+ *
+ * @returns promise for the requirement as a number
+ */
+WalletSimpleThresholdClient.prototype.getRequired = co(function *() {
+  var required = yield this.wallet.required.call();
+  return parseInt(required, 10);
+});
+
+/**
+ * Gets the overall state of the wallet
+ *
+ * @returns promise for an object with the address, networkId, balance, signers, required, safeMode and timelock
+ */
+WalletSimpleThresholdClient.prototype.getInfo = co(function *() {
+  var info = yield WalletSimpleClient.prototype.getInfo.call(this);
+  info.required = yield this.getRequired();
+  return info;
+});
+
+/**
+ * Gets the signatures of the other signers to send with an operation, ordered and concatenated as the wallet
+ * expects them, from one of:
+ *
+ * @param params.signature (optional) the signatures, already packed (see signatures.packSignatures)
+ * @param params.signatures (optional) array of the signatures of the other signers, in any order. Entries may
+ *                          themselves be packed signatures, e.g. to combine those collected by different parties.
+ * @param params.otherSigners (optional) array of addresses of the other signers, to sign on the connected node
+ * @param params.otherSigner (optional) address of the other signer, for wallets requiring 2 signers
+ * @param operationHash 0x-prefixed hex string of the operation hash
+ * @param typedData (optional) typed data of the operation, to sign with eth_signTypedData instead of eth.sign
+ * @returns promise for the packed signatures as a 0x-prefixed hex string
+ */
+WalletSimpleThresholdClient.prototype.getSignature = function(params, operationHash, typedData) {
+  assert(params.signature || params.signatures || params.otherSigners || params.otherSigner);
+
+  if (params.signature) {
+    return Promise.resolve(params.signature);
+  }
+  if (params.signatures) {
+    return Promise.resolve(signatures.packSignatures(operationHash, _.flatMap(params.signatures, signatures.splitSignatures)));
+  }
+  return signatures.collectSignatures(this.web3, params.otherSigners || [params.otherSigner], operationHash, typedData);
+};
+
+module.exports = WalletSimpleThresholdClient;
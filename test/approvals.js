@@ -0,0 +1,338 @@
+/* jshint undef: false, unused: true */
+
+require('should');
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+var _ = require('lodash');
+var http = require('http');
+var os = require('os');
+var path = require('path');
+var crypto = require('crypto');
+var util = require('ethereumjs-util');
+
+var helpers = require('./helpers');
+var approvalServer = require('../lib/approvalserver');
+var ApprovalService = require('../lib/approvalservice');
+var JsonFileStore = require('../lib/stores/jsonfilestore');
+var WalletClient = require('../lib/wallet');
+var WalletSimpleClient = require('../lib/walletsimple');
+var WalletSimpleThresholdClient = require('../lib/walletsimplethreshold');
+
+contract('ApprovalService', function(accounts) {
+  var expireTime = function() {
+    return Math.floor((new Date().getTime()) / 1000) + 60; // 60 seconds
+  };
+
+  var sign = function(signer, operationHash) {
+    return helpers.sign(signer, util.stripHexPrefix(operationHash));
+  };
+
+  var simpleClient;
+  var thresholdClient;
+  var walletClient;
+
+  before(co(function *() {
+    simpleClient = yield WalletSimpleClient.deploy({
+      WalletSimple: WalletSimple,
+      web3: web3,
+      signers: [accounts[0], accounts[1], accounts[2]],
+      from: accounts[0]
+    });
+    thresholdClient = yield WalletSimpleThresholdClient.deploy({
+      WalletSimpleThreshold: WalletSimpleThreshold,
+      web3: web3,
+      signers: [accounts[0], accounts[1], accounts[2], accounts[3], accounts[4]],
+      required: 3,
+      from: accounts[0]
+    });
+    walletClient = yield WalletClient.deploy({
+      Wallet: Wallet,
+      web3: web3,
+      owners: [accounts[1], accounts[2]],
+      required: 2,
+      dailyLimit: 0,
+      from: accounts[0]
+    });
+    [simpleClient, thresholdClient, walletClient].forEach(function(client) {
+      web3.eth.sendTransaction({ from: accounts[0], to: client.address, value: web3.toWei(10, "ether") });
+    });
+  }));
+
+  describe("HTTP API", function() {
+    var server;
+    var port;
+    var token = crypto.randomBytes(16).toString('hex');
+
+    // Sends a JSON request to the server with the token (unless another one, or null for none, is given), resolving
+    // with { status, body }
+    var request = function(method, requestPath, body, requestToken) {
+      requestToken = requestToken === undefined ? token : requestToken;
+      return new Promise(function(resolve, reject) {
+        var json = body ? JSON.stringify(body) : '';
+        var headers = { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(json) };
+        if (requestToken) {
+          headers.Authorization = 'Bearer ' + requestToken;
+        }
+        var req = http.request({
+          host: '127.0.0.1',
+          port: port,
+          method: method,
+          path: requestPath,
+          headers: headers
+        }, function(res) {
+          var data = '';
+          res.setEncoding('utf8');
+          res.on('data', function(chunk) {
+            data += chunk;
+          });
+          res.on('end', function() {
+            resolve({ status: res.statusCode, body: JSON.parse(data) });
+          });
+        });
+        req.on('error', reject);
+        req.end(json);
+      });
+    };
+
+    before(co(function *() {
+      var service = new ApprovalService({ clients: [simpleClient, thresholdClient, walletClient] });
+      server = approvalServer.createServer(service, { token: token });
+      yield approvalServer.listen(server, 0);
+      // Without a host, the server only listens locally
+      server.address().address.should.eql('127.0.0.1');
+      port = server.address().port;
+    }));
+
+    after(function() {
+      server.close();
+    });
+
+    it("Collects a signature for a WalletSimple and sends it", co(function *() {
+      var destinationStartEther = web3.fromWei(web3.eth.getBalance(accounts[5]), 'ether');
+      var time = expireTime();
+      var response = yield request('POST', '/operations', {
+        wallet: simpleClient.address,
+        to: accounts[5],
+        value: web3.toWei(1, "ether"),
+        expireTime: time,
+        proposer: accounts[0]
+      });
+      response.status.should.eql(201);
+      var proposal = response.body;
+      proposal.status.should.eql('pending');
+      proposal.required.should.eql(1);
+      proposal.sequenceId.should.eql(yield simpleClient.getNextSequenceId());
+      proposal.operationHash.should.eql(util.addHexPrefix(helpers.getSha3ForConfirmationTx(simpleClient.address, accounts[5], 1, "", time, proposal.sequenceId)));
+
+      // Signatures of non-signers and of the proposer are rejected
+      response = yield request('POST', '/operations/' + proposal.operationHash + '/signatures', { signature: sign(accounts[7], proposal.operationHash) });
+      response.status.should.eql(403);
+      response.body.error.should.containEql('not from a signer');
+      response = yield request('POST', '/operations/' + proposal.operationHash + '/signatures', { signature: sign(accounts[0], proposal.operationHash) });
+      response.status.should.eql(403);
+      response.body.error.should.containEql('proposer');
+      response = yield request('POST', '/operations/' + proposal.operationHash + '/signatures', { signature: '0x1234' });
+      response.status.should.eql(400);
+      response = yield request('GET', '/operations/' + proposal.operationHash + '/call');
+      response.status.should.eql(409);
+
+      response = yield request('POST', '/operations/' + proposal.operationHash + '/signatures', { signature: sign(accounts[2], proposal.operationHash) });
+      response.status.should.eql(200);
+      response.body.status.should.eql('ready');
+      response.body.signatures.should.eql([{ signer: accounts[2], signature: sign(accounts[2], proposal.operationHash) }]);
+      response = yield request('POST', '/operations/' + proposal.operationHash + '/signatures', { signature: sign(accounts[1], proposal.operationHash) });
+      response.status.should.eql(409);
+
+      response = yield request('GET', '/operations/' + proposal.operationHash + '/call');
+      response.status.should.eql(200);
+      response.body.method.should.eql('sendMultiSig');
+      response.body.from.should.eql(accounts[0]);
+      response.body.to.should.eql(simpleClient.address);
+
+      // The built calldata can be sent by any tool holding the proposer's key
+      var txHash = web3.eth.sendTransaction({ from: response.body.from, to: response.body.to, data: response.body.data, gas: 500000 });
+      yield helpers.expectEvent(simpleClient.wallet, txHash, 'Transacted', { msgSender: accounts[0], otherSigner: accounts[2] });
+      web3.fromWei(web3.eth.getBalance(accounts[5]), 'ether').should.eql(destinationStartEther.plus(1));
+    }));
+
+    it("Collects typed data signatures from 2 other signers of a 3 of 5 wallet", co(function *() {
+      var response = yield request('POST', '/operations', {
+        wallet: thresholdClient.address,
+        to: accounts[6],
+        value: web3.toWei(1, "ether"),
+        expireTime: expireTime(),
+        typed: true,
+        proposer: accounts[1]
+      });
+      var proposal = response.body;
+      proposal.required.should.eql(2);
+      proposal.typedData.length.should.eql(7);
+      proposal.operationHash.should.eql(thresholdClient.getTypedOperationHash(proposal));
+
+      response = yield request('POST', '/operations/' + proposal.operationHash + '/signatures', { signature: sign(accounts[4], proposal.operationHash) });
+      response.body.status.should.eql('pending');
+      response = yield request('POST', '/operations/' + proposal.operationHash + '/signatures', { signature: sign(accounts[3], proposal.operationHash) });
+      response.body.status.should.eql('ready');
+
+      response = yield request('POST', '/operations/' + proposal.operationHash + '/submit');
+      response.status.should.eql(200);
+      response.body.status.should.eql('sent');
+      var approvals = yield helpers.expectEvent(thresholdClient.wallet, response.body.txHash, 'SignerApproved');
+      _.map(approvals, 'args.signer').should.eql(_.sortBy([accounts[3], accounts[4]]));
+
+      response = yield request('GET', '/operations?wallet=' + thresholdClient.address + '&status=sent');
+      _.map(response.body, 'operationHash').should.eql([proposal.operationHash]);
+    }));
+
+    it("Collects the other owner's confirmation for a Wallet", co(function *() {
+      var response = yield request('POST', '/operations', {
+        wallet: walletClient.address,
+        to: accounts[5],
+        value: web3.toWei(1, "ether"),
+        expireTime: expireTime(),
+        proposer: accounts[7]
+      });
+      response.status.should.eql(403);
+
+      response = yield request('POST', '/operations', {
+        wallet: walletClient.address,
+        to: accounts[5],
+        value: web3.toWei(1, "ether"),
+        expireTime: expireTime(),
+        proposer: accounts[1]
+      });
+      var proposal = response.body;
+      response = yield request('POST', '/operations/' + proposal.operationHash + '/signatures', { signature: sign(accounts[2], proposal.operationHash) });
+      response.body.status.should.eql('ready');
+
+      response = yield request('POST', '/operations/' + proposal.operationHash + '/submit');
+      response.body.status.should.eql('sent');
+      yield helpers.expectEvent(walletClient.wallet, response.body.txHash, 'MultiTransact', { owner: accounts[1], to: accounts[5] });
+    }));
+
+    it("Rejects invalid requests", co(function *() {
+      var response = yield request('POST', '/operations', { wallet: accounts[9], to: accounts[5], expireTime: expireTime(), proposer: accounts[0] });
+      response.status.should.eql(404);
+      response = yield request('POST', '/operations', { wallet: simpleClient.address, to: 'nowhere', expireTime: expireTime(), proposer: accounts[0] });
+      response.status.should.eql(400);
+      response = yield request('POST', '/operations', { wallet: simpleClient.address, to: accounts[5], expireTime: 1, proposer: accounts[0] });
+      response.status.should.eql(400);
+      response = yield request('GET', '/operations/0x' + _.repeat('ab', 32));
+      response.status.should.eql(404);
+      response = yield request('PUT', '/operations');
+      response.status.should.eql(405);
+    }));
+
+    it("Needs the token to propose, cancel and submit", co(function *() {
+      var body = { wallet: simpleClient.address, to: accounts[5], value: 1, expireTime: expireTime(), proposer: accounts[0] };
+      var response = yield request('POST', '/operations', body, null);
+      response.status.should.eql(401);
+      response = yield request('POST', '/operations', body, 'wrong' + token);
+      response.status.should.eql(401);
+      response = yield request('GET', '/operations?wallet=' + simpleClient.address + '&status=pending', undefined, null);
+      response.status.should.eql(200);
+      response.body.length.should.eql(0);
+
+      response = yield request('POST', '/operations', body);
+      response.status.should.eql(201);
+      var proposal = response.body;
+      response = yield request('POST', '/operations/' + proposal.operationHash + '/signatures', { signature: sign(accounts[1], proposal.operationHash) }, null);
+      response.body.status.should.eql('ready');
+      response = yield request('POST', '/operations/' + proposal.operationHash + '/submit', undefined, null);
+      response.status.should.eql(401);
+      response = yield request('DELETE', '/operations/' + proposal.operationHash, undefined, 'wrong');
+      response.status.should.eql(401);
+      response = yield request('DELETE', '/operations/' + proposal.operationHash);
+      response.status.should.eql(200);
+      response.body.status.should.eql('cancelled');
+    }));
+  });
+
+  it("Persists proposals to a JSON file and releases the sequence ids of cancelled ones", co(function *() {
+    var storePath = path.join(os.tmpdir(), 'approvals-' + crypto.randomBytes(4).toString('hex') + '.json');
+    var service = new ApprovalService({ clients: [simpleClient], store: new JsonFileStore({ path: storePath }) });
+    var first = yield service.propose({ wallet: simpleClient.address, to: accounts[5], value: 1, expireTime: expireTime(), proposer: accounts[0] });
+    var second = yield service.propose({ wallet: simpleClient.address, to: accounts[6], value: 1, expireTime: expireTime(), proposer: accounts[1] });
+    second.sequenceId.should.eql(first.sequenceId + 1);
+    yield service.addSignature(first.operationHash, sign(accounts[1], first.operationHash));
+
+    // A new service on the same file picks up the proposals
+    service = new ApprovalService({ clients: [simpleClient], store: new JsonFileStore({ path: storePath }) });
+    (yield service.get(first.operationHash)).status.should.eql('ready');
+    (yield service.list({ status: 'pending' })).length.should.eql(1);
+
+    yield service.cancel(second.operationHash);
+    (yield service.get(second.operationHash)).status.should.eql('cancelled');
+    try {
+      yield service.addSignature(second.operationHash, sign(accounts[0], second.operationHash));
+      throw new Error("should not be here");
+    } catch(err) {
+      err.should.be.instanceOf(ApprovalService.ApprovalError);
+      err.status.should.eql(409);
+    }
+
+    var third = yield service.propose({ wallet: simpleClient.address, to: accounts[7], value: 1, expireTime: expireTime(), proposer: accounts[0] });
+    third.sequenceId.should.eql(second.sequenceId);
+  }));
+
+  it("Reserves a given sequence id", co(function *() {
+    var service = new ApprovalService({ clients: [simpleClient] });
+    // Use a sequence id on the wallet, so that there is one below the next
+    var sent = { to: accounts[5], value: 1, expireTime: expireTime(), sequenceId: yield simpleClient.getNextSequenceId(), from: accounts[0] };
+    sent.signature = sign(accounts[1], simpleClient.getOperationHash(sent));
+    yield simpleClient.sendMultiSig(sent);
+    var nextSequenceId = yield simpleClient.getNextSequenceId();
+    nextSequenceId.should.eql(sent.sequenceId + 1);
+    var time = expireTime();
+    var propose = function(to, sequenceId) {
+      return service.propose({ wallet: simpleClient.address, to: to, value: 1, expireTime: time, sequenceId: sequenceId, proposer: accounts[0] });
+    };
+    var expectRejected = co(function *(to, sequenceId, status) {
+      try {
+        yield propose(to, sequenceId);
+        throw new Error("should not be here");
+      } catch(err) {
+        err.should.be.instanceOf(ApprovalService.ApprovalError);
+        err.status.should.eql(status);
+      }
+    });
+
+    var proposal = yield propose(accounts[5], nextSequenceId + 5);
+    proposal.sequenceId.should.eql(nextSequenceId + 5);
+    yield expectRejected(accounts[6], nextSequenceId + 5, 409);
+    yield expectRejected(accounts[6], nextSequenceId - 1, 409);
+    yield expectRejected(accounts[6], 'next', 400);
+    yield expectRejected(accounts[6], 0, 400);
+    (yield propose(accounts[6])).sequenceId.should.eql(nextSequenceId + 6);
+
+    // A cancelled proposal releases its sequence id, but the same operation can not be proposed again
+    yield service.cancel(proposal.operationHash);
+    yield expectRejected(accounts[5], nextSequenceId + 5, 409);
+    (yield propose(accounts[7], nextSequenceId + 5)).sequenceId.should.eql(nextSequenceId + 5);
+  }));
+
+  it("Needs the requirement of a Wallet, less the proposer, and only serves Wallets that require 2 owners", co(function *() {
+    var service = new ApprovalService({ clients: [walletClient] });
+    var proposal = yield service.propose({ wallet: walletClient.address, to: accounts[5], value: 1, expireTime: expireTime(), proposer: accounts[1] });
+    proposal.required.should.eql(1);
+
+    // executeAndConfirm can not carry the signatures of 2 other owners
+    var client = yield WalletClient.deploy({
+      Wallet: Wallet,
+      web3: web3,
+      owners: [accounts[1], accounts[2]],
+      required: 3,
+      dailyLimit: 0,
+      from: accounts[0]
+    });
+    service = new ApprovalService({ clients: [client] });
+    try {
+      yield service.propose({ wallet: client.address, to: accounts[5], value: 1, expireTime: expireTime(), proposer: accounts[1] });
+      throw new Error("should not be here");
+    } catch(err) {
+      err.should.be.instanceOf(ApprovalService.ApprovalError);
+      err.status.should.eql(400);
+      err.message.should.containEql('requires 3 owners');
+    }
+  }));
+});
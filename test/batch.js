@@ -0,0 +1,94 @@
+/* jshint undef: false, unused: true */
+
+require('should');
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+var _ = require('lodash');
+
+var helpers = require('./helpers');
+var batch = require('../lib/batch');
+var WalletSimpleClient = require('../lib/walletsimple');
+
+// Private key of accounts[1] created by "npm run testrpc"
+var privateKey = '915334f048736c64127e91a1dc35dad86c91e59081cdc12cd060103050e2f3b1';
+
+contract('Batch', function(accounts) {
+  var expireTime = function() {
+    return Math.floor((new Date().getTime()) / 1000) + 60; // 60 seconds
+  };
+
+  it("Parses a CSV of address,amount lines", function() {
+    var csv = [
+      'address,amount',
+      accounts[5] + ',1000',
+      '',
+      '# bonus',
+      ' ' + accounts[6].toUpperCase().replace('0X', '0x') + ' , 25 \r',
+      '"' + accounts[7] + '","3"'
+    ].join('\n');
+    batch.parseCsv(csv).should.eql([
+      { to: accounts[5], value: '1000' },
+      { to: accounts[6].toUpperCase().replace('0X', '0x'), value: '25' },
+      { to: accounts[7], value: '3' }
+    ]);
+
+    batch.parseCsv(accounts[5] + ',1.5\n' + accounts[6] + ',.000000000000000001', { unit: 'ether' }).should.eql([
+      { to: accounts[5], value: '1500000000000000000' },
+      { to: accounts[6], value: '1' }
+    ]);
+  });
+
+  it("Rejects malformed CSVs with the line number", function() {
+    (function() {
+      batch.parseCsv(accounts[5] + ',1\n0x1234,1');
+    }).should.throw('line 2: invalid address 0x1234');
+    (function() {
+      batch.parseCsv('address,amount\n' + accounts[5] + ',1.5');
+    }).should.throw('line 2: invalid amount 1.5');
+    (function() {
+      batch.parseCsv(accounts[5] + ',0.0000000000000000001', { unit: 'ether' });
+    }).should.throw(/line 1: invalid amount/);
+    (function() {
+      batch.parseCsv(accounts[5] + ',0');
+    }).should.throw('line 1: amount must be greater than 0');
+    (function() {
+      batch.parseCsv(accounts[5] + ',1,2');
+    }).should.throw(/line 1: expected address,amount/);
+    (function() {
+      batch.parseCsv('address,amount\n\n');
+    }).should.throw('the CSV has no payouts');
+    (function() {
+      batch.parseCsv(accounts[5] + ',1', { unit: 'gwei' });
+    }).should.throw(/unit/);
+  });
+
+  it("Builds a signed batch which the other signer sends", co(function *() {
+    var client = yield WalletSimpleClient.deploy({
+      WalletSimple: WalletSimple,
+      web3: web3,
+      signers: [accounts[0], accounts[1], accounts[2]],
+      from: accounts[0]
+    });
+    web3.eth.sendTransaction({ from: accounts[0], to: client.address, value: web3.toWei(10, "ether") });
+
+    var signed = batch.buildBatch({
+      walletAddress: client.address,
+      networkId: yield client.getNetworkId(),
+      csv: 'address,amount\n' + accounts[5] + ',1\n' + accounts[6] + ',2.5\n',
+      unit: 'ether',
+      expireTime: expireTime(),
+      sequenceId: yield client.getNextSequenceId()
+    }, privateKey);
+    signed.recipients.should.eql([accounts[5], accounts[6]]);
+    signed.values.should.eql([web3.toWei(1, "ether"), web3.toWei(2.5, "ether")]);
+    signed.total.should.eql(web3.toWei(3.5, "ether"));
+    signed.operationHash.should.eql(client.getBatchOperationHash(signed));
+
+    var destinationStartEther = web3.fromWei(web3.eth.getBalance(accounts[6]), 'ether');
+    var txHash = yield client.sendMultiSigBatch(_.extend({ from: accounts[0] }, signed));
+    var batchEvents = yield helpers.expectEvent(client.wallet, txHash, 'BatchTransacted', { otherSigner: accounts[1], operation: signed.operationHash });
+    batchEvents.length.should.eql(2);
+    web3.fromWei(web3.eth.getBalance(accounts[6]), 'ether').should.eql(destinationStartEther.plus(2.5));
+    web3.fromWei(web3.eth.getBalance(client.address), 'ether').should.eql(web3.toBigNumber(6.5));
+  }));
+});
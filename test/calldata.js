@@ -0,0 +1,188 @@
+/* jshint undef: false, unused: true */
+
+require('should');
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+var _ = require('lodash');
+var abi = require('ethereumjs-abi');
+var util = require('ethereumjs-util');
+
+var helpers = require('./helpers');
+var pendingOperations = require('../lib/pendingoperations');
+var CalldataDecoder = require('../lib/calldata');
+var WalletClient = require('../lib/wallet');
+
+contract('CalldataDecoder', function(accounts) {
+  // Calldata of a call to a function with the given argument types
+  var encodeCall = function(method, types, values) {
+    return util.bufferToHex(Buffer.concat([
+      abi.methodID(method, types),
+      abi.rawEncode(types, values)
+    ]));
+  };
+
+  var token;
+  var decoder;
+
+  before(co(function *() {
+    token = yield ERC20Mock.new(1000, { from: accounts[0] });
+    decoder = new CalldataDecoder({
+      abis: { Wallet: Wallet.abi, WalletSimple: WalletSimple.abi, Forwarder: Forwarder.abi },
+      web3: web3
+    });
+  }));
+
+  it("Decodes ERC20 calls", function() {
+    var transferData = encodeCall('transfer', [ "address", "uint256" ], [ accounts[5], 5 ]);
+    var decoded = decoder.decode(transferData);
+    decoded.method.should.eql('transfer');
+    decoded.signature.should.eql('transfer(address,uint256)');
+    decoded.contracts.should.eql(['ERC20']);
+    decoded.args.should.eql({ _to: accounts[5], _value: '5' });
+
+    var call = decoder.decodeCall({ to: token.address, value: 0, data: transferData });
+    call.to.should.eql(token.address);
+    call.value.should.eql('0');
+    call.data.should.eql(transferData);
+    decoder.format(call).should.eql('transfer(_to: ' + accounts[5] + ', _value: 5)');
+  });
+
+  it("Decodes the calls made by wallet calls in turn", function() {
+    var transferData = encodeCall('transfer', [ "address", "uint256" ], [ accounts[5], 5 ]);
+    var executeData = encodeCall('execute', [ "address", "uint256", "bytes" ], [ token.address, 0, util.toBuffer(transferData) ]);
+    var call = decoder.decodeCall({ to: accounts[8], value: 0, data: executeData });
+    call.method.should.eql('execute');
+    call.contracts.should.eql(['Wallet']);
+    call.args._data.should.eql(transferData);
+    call.call.to.should.eql(token.address);
+    call.call.method.should.eql('transfer');
+    call.call.args.should.eql({ _to: accounts[5], _value: '5' });
+    decoder.format(call).should.eql('execute(_to: ' + token.address + ', _value: 0, _data: 0xa9059cbb...(68 bytes)) -> ' +
+      token.address + ': transfer(_to: ' + accounts[5] + ', _value: 5)');
+
+    // A WalletSimple sending ether with the call of another wallet's execute
+    var sendData = encodeCall('sendMultiSig', [ "address", "uint256", "bytes", "uint256", "uint256", "bytes" ],
+      [ accounts[8], web3.toWei(1, "ether"), util.toBuffer(executeData), 1863771845, 1, new Buffer(65).fill(0) ]);
+    call = decoder.decodeCall({ to: accounts[9], value: 0, data: sendData });
+    call.method.should.eql('sendMultiSig');
+    call.contracts.should.containEql('WalletSimple');
+    call.call.value.should.eql(web3.toWei(1, "ether"));
+    call.call.method.should.eql('execute');
+    call.call.call.method.should.eql('transfer');
+
+    // The calls made by the signed variants
+    ['executeAndConfirm', 'executeAndConfirmTyped', 'sendMultiSigTyped'].forEach(function(method) {
+      var data = encodeCall(method, [ "address", "uint256", "bytes", "uint256", "uint256", "bytes" ],
+        [ token.address, 0, util.toBuffer(transferData), 1863771845, 1, new Buffer(65).fill(0) ]);
+      call = decoder.decodeCall({ to: accounts[9], value: 0, data: data });
+      call.method.should.eql(method);
+      call.call.to.should.eql(token.address);
+      call.call.method.should.eql('transfer');
+    });
+  });
+
+  it("Does not decode the bytes of other functions with an address, uint and bytes argument as a call", function() {
+    var erc223Decoder = new CalldataDecoder({
+      abis: {
+        ERC223: [
+          { type: 'function', name: 'transfer', inputs: [{ name: '_to', type: 'address' }, { name: '_value', type: 'uint256' }, { name: '_data', type: 'bytes' }], outputs: [], constant: false },
+          { type: 'function', name: 'approveAndCall', inputs: [{ name: '_spender', type: 'address' }, { name: '_value', type: 'uint256' }, { name: '_extraData', type: 'bytes' }], outputs: [], constant: false }
+        ],
+        Wallet: Wallet.abi
+      }
+    });
+    // Bytes which happen to be a call of a wallet
+    var transferData = encodeCall('transfer', [ "address", "uint256" ], [ accounts[5], 5 ]);
+    var executeData = encodeCall('execute', [ "address", "uint256", "bytes" ], [ token.address, 0, util.toBuffer(transferData) ]);
+
+    var call = erc223Decoder.decodeCall({
+      to: token.address,
+      value: 0,
+      data: encodeCall('transfer', [ "address", "uint256", "bytes" ], [ accounts[8], 5, util.toBuffer(executeData) ])
+    });
+    call.signature.should.eql('transfer(address,uint256,bytes)');
+    call.args._data.should.eql(executeData);
+    (call.call === undefined).should.eql(true);
+
+    call = erc223Decoder.decodeCall({
+      to: token.address,
+      value: 0,
+      data: encodeCall('approveAndCall', [ "address", "uint256", "bytes" ], [ accounts[8], 5, util.toBuffer(executeData) ])
+    });
+    call.method.should.eql('approveAndCall');
+    (call.call === undefined).should.eql(true);
+  });
+
+  it("Leaves empty and unknown calldata undecoded", function() {
+    var call = decoder.decodeCall({ to: accounts[5], value: 10, data: '0x' });
+    call.args.should.eql({});
+    (call.method === undefined).should.eql(true);
+    decoder.format(call).should.eql('no data');
+
+    call = decoder.decodeCall({ to: accounts[5], value: 0, data: '0xdeadbeef0000' });
+    (call.method === undefined).should.eql(true);
+    decoder.format(call).should.eql('unknown function 0xdeadbeef');
+    (decoder.decode('0xdeadbeef') === undefined).should.eql(true);
+  });
+
+  describe("Wallet confirming another wallet's transaction", function() {
+    var outerClient;
+    var innerClient;
+    var innerOperation;
+    var executeTxHash;
+
+    before(co(function *() {
+      var deploy = function() {
+        return WalletClient.deploy({
+          Wallet: Wallet,
+          web3: web3,
+          owners: [accounts[1], accounts[2]],
+          required: 2,
+          dailyLimit: 0,
+          from: accounts[0]
+        });
+      };
+      innerClient = yield deploy();
+      outerClient = yield deploy();
+
+      yield innerClient.execute({ to: token.address, value: 0, data: encodeCall('transfer', [ "address", "uint256" ], [ accounts[5], 5 ]), from: accounts[0] });
+      innerOperation = (yield innerClient.getPendingTransactions())[0].operation;
+      executeTxHash = yield outerClient.execute({ to: innerClient.address, value: 0, data: encodeCall('confirm', [ "bytes32" ], [ innerOperation ]), from: accounts[0] });
+    }));
+
+    it("Resolves confirm to the pending transaction of the other wallet", co(function *() {
+      var pendingTransaction = (yield outerClient.getPendingTransactions())[0];
+      var call = yield decoder.decodeTransaction(pendingTransaction);
+      call.method.should.eql('confirm');
+      call.args.should.eql({ _h: innerOperation });
+      call.call.to.should.eql(token.address);
+      call.call.method.should.eql('transfer');
+      decoder.format(call).should.eql('confirm(_h: ' + innerOperation + ') -> ' + token.address + ': transfer(_to: ' + accounts[5] + ', _value: 5)');
+
+      // Without a node, only the operation hash is known
+      call = new CalldataDecoder({ abis: { Wallet: Wallet.abi } }).decodeCall(pendingTransaction);
+      call.method.should.eql('confirm');
+      (call.call === undefined).should.eql(true);
+    }));
+
+    it("Decodes the calls recorded by events", co(function *() {
+      var confirmationNeeded = (yield helpers.expectEvent(outerClient.wallet, executeTxHash, 'ConfirmationNeeded'))[0];
+      var call = yield decoder.decodeEvent(confirmationNeeded);
+      call.to.should.eql(innerClient.address);
+      call.method.should.eql('confirm');
+      call.call.method.should.eql('transfer');
+
+      var deposit = { event: 'Deposit', args: { _from: accounts[0], value: web3.toBigNumber(1) } };
+      ((yield decoder.decodeEvent(deposit)) === undefined).should.eql(true);
+    }));
+
+    it("Pending operations include the decoded call of transactions", co(function *() {
+      var operations = yield pendingOperations.getPendingOperations(outerClient);
+      operations.length.should.eql(1);
+      operations[0].method.should.eql('execute');
+      operations[0].call.method.should.eql('confirm');
+      operations[0].call.call.args.should.eql({ _to: accounts[5], _value: '5' });
+      _.keys(operations[0].args).should.eql(['_to', '_value', '_data']);
+    }));
+  });
+});
@@ -0,0 +1,97 @@
+/* jshint undef: false, unused: true */
+
+require('should');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+
+var cli = require('../lib/cli');
+
+contract('CLI', function(accounts) {
+  var run = function(args) {
+    return cli.run(args.concat(['--env', 'test']), { web3: web3 });
+  };
+
+  it("Deploys and operates a Wallet", co(function *() {
+    var deployed = yield run(['deploy', '--type', 'wallet', '--owners', accounts[1] + ',' + accounts[2], '--required', '2', '--from', accounts[0]]);
+    var address = deployed.address;
+    web3.eth.sendTransaction({ from: accounts[0], to: address, value: web3.toWei(10, "ether") });
+
+    var info = yield run(['info', '--wallet', address]);
+    info.owners.should.eql([accounts[0], accounts[1], accounts[2]]);
+    info.required.should.eql("2");
+    info.balance.should.eql(web3.toWei(10, "ether"));
+
+    yield run(['execute', '--wallet', address, '--to', accounts[5], '--value', web3.toWei(1, "ether"), '--from', accounts[0]]);
+    var pending = yield run(['pending', '--wallet', address]);
+    pending.length.should.eql(1);
+    pending[0].value.should.eql(web3.toWei(1, "ether"));
+    pending[0].signers.should.eql([accounts[0]]);
+
+    var simulation = yield run(['confirm', '--wallet', address, '--operation', pending[0].operation, '--from', accounts[0], '--dry-run']);
+    simulation.reason.should.eql('ALREADY_CONFIRMED');
+    simulation = yield run(['confirm', '--wallet', address, '--operation', pending[0].operation, '--from', accounts[1], '--dry-run']);
+    simulation.outcome.should.eql('sent');
+    (yield run(['pending', '--wallet', address])).length.should.eql(1);
+
+    yield run(['confirm', '--wallet', address, '--operation', pending[0].operation, '--from', accounts[1]]);
+    pending = yield run(['pending', '--wallet', address]);
+    pending.length.should.eql(0);
+  }));
+
+  it("Deploys and operates a WalletSimple", co(function *() {
+    var deployed = yield run(['deploy', '--type', 'simple', '--signers', [accounts[0], accounts[1], accounts[2]].join(','), '--from', accounts[0]]);
+    var address = deployed.address;
+    web3.eth.sendTransaction({ from: accounts[0], to: address, value: web3.toWei(10, "ether") });
+
+    var owners = yield run(['owners', '--wallet', address, '--type', 'simple']);
+    owners.should.eql([{ address: accounts[0] }, { address: accounts[1] }, { address: accounts[2] }]);
+
+    var destinationStartEther = web3.fromWei(web3.eth.getBalance(accounts[6]), 'ether');
+    yield run(['send-multisig', '--wallet', address, '--type', 'simple', '--to', accounts[6], '--value', web3.toWei(2, "ether"), '--other-signer', accounts[1], '--from', accounts[0]]);
+    web3.fromWei(web3.eth.getBalance(accounts[6]), 'ether').should.eql(destinationStartEther.plus(2));
+
+    var csvFile = path.join(os.tmpdir(), 'msig-batch-' + address + '.csv');
+    fs.writeFileSync(csvFile, 'address,amount\n' + accounts[6] + ',1\n' + accounts[7] + ',0.5\n');
+    yield run(['send-batch', '--wallet', address, '--type', 'simple', '--csv', csvFile, '--unit', 'ether', '--other-signer', accounts[2], '--from', accounts[0]]);
+    fs.unlinkSync(csvFile);
+    web3.fromWei(web3.eth.getBalance(accounts[6]), 'ether').should.eql(destinationStartEther.plus(3));
+    web3.fromWei(web3.eth.getBalance(address), 'ether').should.eql(web3.toBigNumber(6.5));
+
+    yield run(['safe-mode', '--wallet', address, '--type', 'simple', '--from', accounts[2]]);
+    var info = yield run(['info', '--wallet', address, '--type', 'simple']);
+    info.safeMode.should.eql(true);
+  }));
+
+  it("Deploys and operates a WalletSimpleThreshold", co(function *() {
+    var signers = [accounts[0], accounts[1], accounts[2], accounts[3]];
+    var deployed = yield run(['deploy', '--type', 'threshold', '--signers', signers.join(','), '--required', '3', '--from', accounts[0]]);
+    var address = deployed.address;
+    web3.eth.sendTransaction({ from: accounts[0], to: address, value: web3.toWei(10, "ether") });
+
+    var info = yield run(['info', '--wallet', address, '--type', 'threshold']);
+    info.signers.should.eql(signers);
+    info.required.should.eql(3);
+
+    var destinationStartEther = web3.fromWei(web3.eth.getBalance(accounts[6]), 'ether');
+    yield run(['send-multisig', '--wallet', address, '--type', 'threshold', '--to', accounts[6], '--value', web3.toWei(2, "ether"), '--other-signer', accounts[3] + ',' + accounts[1], '--from', accounts[0]]);
+    web3.fromWei(web3.eth.getBalance(accounts[6]), 'ether').should.eql(destinationStartEther.plus(2));
+  }));
+
+  it("Rejects unknown commands and missing options", co(function *() {
+    try {
+      yield run(['explode']);
+      throw new Error("should not be here");
+    } catch(err) {
+      err.should.be.instanceOf(cli.CliError);
+    }
+    try {
+      yield run(['confirm', '--wallet', accounts[0]]);
+      throw new Error("should not be here");
+    } catch(err) {
+      err.message.should.containEql("--operation");
+    }
+  }));
+});
@@ -0,0 +1,112 @@
+/* jshint undef: false, unused: true */
+
+require('should');
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+var _ = require('lodash');
+var util = require('ethereumjs-util');
+
+var helpers = require('./helpers');
+var DepositAddressManager = require('../lib/depositaddresses');
+var EventIndexer = require('../lib/eventindexer');
+var WalletClient = require('../lib/wallet');
+var WalletSimpleClient = require('../lib/walletsimple');
+
+contract('DepositAddressManager', function(accounts) {
+  it("Wallet and WalletSimple emit ForwarderCreated", co(function *() {
+    var wallet = yield Wallet.new([accounts[1], accounts[2]], 2, 0, helpers.getNetworkId(), { from: accounts[0] });
+    var txHash = yield wallet.createForwarder({ from: accounts[0] });
+    yield helpers.expectEvent(wallet, txHash, 'ForwarderCreated', { forwarderAddress: util.bufferToHex(util.generateAddress(wallet.address, 0)) });
+
+    var walletSimple = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]], helpers.getNetworkId());
+    txHash = yield walletSimple.createForwarder({ from: accounts[1] });
+    yield helpers.expectEvent(walletSimple, txHash, 'ForwarderCreated', { forwarderAddress: util.bufferToHex(util.generateAddress(walletSimple.address, 0)) });
+  }));
+
+  describe("WalletSimple", function() {
+    var client;
+    var fromBlock;
+
+    before(co(function *() {
+      fromBlock = web3.eth.blockNumber;
+      client = yield WalletSimpleClient.deploy({
+        WalletSimple: WalletSimple,
+        web3: web3,
+        signers: [accounts[0], accounts[1], accounts[2]],
+        from: accounts[0]
+      });
+    }));
+
+    it("Allocates one deposit address per label", co(function *() {
+      var manager = new DepositAddressManager({ client: client });
+      var results = yield Promise.all([
+        manager.allocate({ label: 'customer-1', from: accounts[0] }),
+        manager.allocate({ label: 'customer-2', from: accounts[0] }),
+        manager.allocate({ label: 'customer-1', from: accounts[0] })
+      ]);
+      results[0].should.eql(results[2]);
+      results[0].address.should.not.eql(results[1].address);
+      (yield manager.getAddress('customer-2')).should.eql(results[1].address);
+      (yield manager.getLabel(results[0].address.toUpperCase().replace('0X', '0x'))).should.eql('customer-1');
+      (yield manager.getForwarders()).length.should.eql(2);
+
+      // Funds sent to the deposit address arrive in the wallet
+      var walletStartEther = web3.fromWei(web3.eth.getBalance(client.address), 'ether');
+      web3.eth.sendTransaction({ from: accounts[5], to: results[1].address, value: web3.toWei(2, "ether") });
+      web3.fromWei(web3.eth.getBalance(client.address), 'ether').should.eql(walletStartEther.plus(2));
+    }));
+
+    it("Resolves deposits to the forwarder and label they came through", co(function *() {
+      var indexer = new EventIndexer({ web3: web3, address: client.address, abi: WalletSimple.abi, confirmations: 0, fromBlock: fromBlock });
+      var manager = new DepositAddressManager({ client: client, indexer: indexer });
+      var labelled = yield manager.allocate({ label: 'customer-3', from: accounts[1] });
+      // Forwarders created outside of this manager (including by the previous test) are listed without a label
+      yield client.createForwarder({ from: accounts[2] });
+      var unlabelled = util.bufferToHex(util.generateAddress(client.address, 3));
+
+      var forwarders = yield manager.getForwarders();
+      _.map(forwarders, 'address').should.eql(_.range(4).map(function(nonce) {
+        return util.bufferToHex(util.generateAddress(client.address, nonce));
+      }));
+      _.map(forwarders, 'label').should.eql([undefined, undefined, 'customer-3', undefined]);
+
+      var depositTxHash = web3.eth.sendTransaction({ from: accounts[5], to: labelled.address, value: web3.toWei(3, "ether") });
+      web3.eth.sendTransaction({ from: accounts[5], to: unlabelled, value: web3.toWei(4, "ether") });
+      web3.eth.sendTransaction({ from: accounts[5], to: client.address, value: web3.toWei(5, "ether") });
+
+      var deposits = yield manager.getDeposits({ fromBlock: web3.eth.getTransaction(depositTxHash).blockNumber });
+      deposits.map(function(deposit) {
+        return [deposit.forwarder, deposit.label, deposit.value];
+      }).should.eql([
+        [labelled.address, 'customer-3', web3.toWei(3, "ether")],
+        [unlabelled, undefined, web3.toWei(4, "ether")],
+        [undefined, undefined, web3.toWei(5, "ether")]
+      ]);
+      deposits[0].transactionHash.should.eql(depositTxHash);
+
+      // Events decoded straight from a receipt resolve too
+      var event = (yield helpers.expectEvent(client.wallet, depositTxHash, 'Deposited'))[0];
+      (yield manager.resolveDeposit(event)).label.should.eql('customer-3');
+    }));
+  });
+
+  it("Resolves deposits to a Wallet", co(function *() {
+    var client = yield WalletClient.deploy({
+      Wallet: Wallet,
+      web3: web3,
+      owners: [accounts[1], accounts[2]],
+      required: 2,
+      dailyLimit: 0,
+      from: accounts[0]
+    });
+    var manager = new DepositAddressManager({ client: client });
+    var allocated = yield manager.allocate({ label: 7, from: accounts[0] });
+    allocated.label.should.eql('7');
+
+    var txHash = web3.eth.sendTransaction({ from: accounts[5], to: allocated.address, value: web3.toWei(1, "ether") });
+    var event = (yield helpers.expectEvent(client.wallet, txHash, 'Deposit'))[0];
+    var deposit = yield manager.resolveDeposit(event);
+    deposit.forwarder.should.eql(allocated.address);
+    deposit.label.should.eql('7');
+  }));
+});
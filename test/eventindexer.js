@@ -0,0 +1,112 @@
+/* jshint undef: false, unused: true */
+
+require('should');
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+var _ = require('lodash');
+var os = require('os');
+var path = require('path');
+var crypto = require('crypto');
+
+var EventIndexer = require('../lib/eventindexer');
+var JsonFileStore = require('../lib/stores/jsonfilestore');
+var WalletSimpleClient = require('../lib/walletsimple');
+
+contract('EventIndexer', function(accounts) {
+  var client;
+  var fromBlock;
+
+  var mineBlocks = function(numBlocks) {
+    for (var i = 0; i < numBlocks; i++) {
+      web3.eth.sendTransaction({ from: accounts[0], to: accounts[1], value: 1 });
+    }
+  };
+
+  before(co(function *() {
+    fromBlock = web3.eth.blockNumber;
+    client = yield WalletSimpleClient.deploy({
+      WalletSimple: WalletSimple,
+      web3: web3,
+      signers: [accounts[0], accounts[1], accounts[2]],
+      from: accounts[0]
+    });
+    web3.eth.sendTransaction({ from: accounts[3], to: client.address, value: web3.toWei(100, "ether") });
+    yield client.sendMultiSig({
+      to: accounts[5],
+      value: web3.toWei(1, "ether"),
+      expireTime: Math.floor((new Date().getTime()) / 1000) + 60,
+      otherSigner: accounts[1],
+      from: accounts[0]
+    });
+    yield client.activateSafeMode({ from: accounts[2] });
+  }));
+
+  it("Indexes all events with normalized arguments", co(function *() {
+    var indexer = new EventIndexer({ web3: web3, address: client.address, abi: WalletSimple.abi, confirmations: 0, fromBlock: fromBlock });
+    var result = yield indexer.sync();
+    result.newEntries.should.eql(3);
+
+    var history = yield indexer.getHistory();
+    _.map(history, 'event').should.eql(['Deposited', 'Transacted', 'SafeModeActivated']);
+    history[0].args.from.should.eql(accounts[3]);
+    history[0].args.value.should.eql(web3.toWei(100, "ether"));
+    history[1].args.otherSigner.should.eql(accounts[1]);
+    history[1].args.toAddress.should.eql(accounts[5]);
+    history[2].args.msgSender.should.eql(accounts[2]);
+    history[2].timestamp.should.be.above(0);
+
+    var transacted = yield indexer.getHistory({ events: ['Transacted'] });
+    transacted.length.should.eql(1);
+
+    // Syncing again picks up nothing new
+    result = yield indexer.sync();
+    result.newEntries.should.eql(0);
+    history = yield indexer.getHistory();
+    history.length.should.eql(3);
+  }));
+
+  it("Only indexes blocks at the confirmation depth and resumes from the checkpoint", co(function *() {
+    var storePath = path.join(os.tmpdir(), 'events-' + crypto.randomBytes(4).toString('hex') + '.json');
+    var createIndexer = function() {
+      return new EventIndexer({
+        web3: web3,
+        address: client.address,
+        abi: WalletSimple.abi,
+        store: new JsonFileStore({ path: storePath }),
+        confirmations: 3,
+        fromBlock: fromBlock,
+        batchSize: 2
+      });
+    };
+
+    var indexer = createIndexer();
+    yield indexer.sync();
+    var history = yield indexer.getHistory();
+    // The safe mode activation is the latest block, so it is not yet confirmed
+    _.map(history, 'event').should.not.containEql('SafeModeActivated');
+
+    mineBlocks(3);
+    indexer = createIndexer();
+    yield indexer.sync();
+    history = yield indexer.getHistory();
+    _.map(history, 'event').should.eql(['Deposited', 'Transacted', 'SafeModeActivated']);
+    var checkpoint = yield indexer.getCheckpoint();
+    checkpoint.blockNumber.should.eql(web3.eth.blockNumber - 3);
+  }));
+
+  it("Rolls back and re-scans when the checkpoint block was reorganised away", co(function *() {
+    var store = new (require('../lib/stores/memorystore'))();
+    var indexer = new EventIndexer({ web3: web3, address: client.address, abi: WalletSimple.abi, store: store, confirmations: 0, fromBlock: fromBlock });
+    yield indexer.sync();
+
+    // Pretend the checkpointed block was replaced
+    var state = yield store.get(indexer.key);
+    state.checkpoint.blockHash = '0x' + crypto.randomBytes(32).toString('hex');
+    yield store.set(indexer.key, state);
+
+    yield indexer.sync();
+    var history = yield indexer.getHistory();
+    _.map(history, 'event').should.eql(['Deposited', 'Transacted', 'SafeModeActivated']);
+    _.uniq(_.map(history, 'id')).length.should.eql(3);
+  }));
+});
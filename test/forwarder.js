@@ -3,6 +3,8 @@ var util = require('ethereumjs-util');
 var helpers = require('./helpers');
 var _ = require('lodash');
 var q = require('q');
+var Promise = require('bluebird');
+var co = Promise.coroutine;
 require('should');
 
 contract('Forwarder', function(accounts) {
@@ -65,4 +67,33 @@ contract('Forwarder', function(accounts) {
       account0EndEther.minus(5).plus(ethersPaidForFees).should.eql(account0StartEther);
     });
   });
-});
\ No newline at end of file
+
+  it("Flush tokens", co(function *() {
+    var forwardContract = yield Forwarder.new(undefined, { from: accounts[0] });
+    var token = yield ERC20Mock.new(1000, { from: accounts[3] });
+    yield token.transfer(forwardContract.address, 300, { from: accounts[3] });
+    (yield token.balanceOf.call(forwardContract.address)).should.eql(web3.toBigNumber(300));
+
+    var txHash = yield forwardContract.flushTokens(token.address, { from: accounts[0] });
+    (yield token.balanceOf.call(forwardContract.address)).should.eql(web3.toBigNumber(0));
+    (yield token.balanceOf.call(accounts[0])).should.eql(web3.toBigNumber(300));
+    yield helpers.expectEvent(forwardContract, txHash, 'TokensFlushed', { tokenContractAddress: token.address, value: 300 });
+
+    // Nothing to flush
+    txHash = yield forwardContract.flushTokens(token.address, { from: accounts[0] });
+    yield helpers.expectNoEvent(forwardContract, txHash, 'TokensFlushed');
+  }));
+
+  it("Only the destination address can flush tokens", co(function *() {
+    var forwardContract = yield Forwarder.new(undefined, { from: accounts[0] });
+    var token = yield ERC20Mock.new(1000, { from: accounts[3] });
+    yield token.transfer(forwardContract.address, 300, { from: accounts[3] });
+    try {
+      yield forwardContract.flushTokens(token.address, { from: accounts[1] });
+      throw new Error("should not be here");
+    } catch(err) {
+      err.message.toString().should.startWith("Error: VM Exception");
+    }
+    (yield token.balanceOf.call(forwardContract.address)).should.eql(web3.toBigNumber(300));
+  }));
+});
@@ -0,0 +1,87 @@
+/* jshint undef: false, unused: true */
+
+require('should');
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+var _ = require('lodash');
+
+var forwarderAddresses = require('../lib/forwarderaddresses');
+var DepositAddressManager = require('../lib/depositaddresses');
+var WalletSimpleClient = require('../lib/walletsimple');
+
+contract('ForwarderAddresses', function(accounts) {
+  var deployWallet = function() {
+    return WalletSimpleClient.deploy({
+      WalletSimple: WalletSimple,
+      web3: web3,
+      signers: [accounts[0], accounts[1], accounts[2]],
+      from: accounts[0]
+    });
+  };
+
+  it("Predicts the addresses of the next forwarders", co(function *() {
+    var client = yield deployWallet();
+    var predicted = yield forwarderAddresses.getNextForwarderAddresses(web3, client.address, 3);
+    _.map(predicted, 'nonce').should.eql([0, 1, 2]);
+    _.uniq(_.map(predicted, 'address')).length.should.eql(3);
+
+    var validated = yield forwarderAddresses.validateForwarderAddresses(web3, client.address, predicted);
+    _.map(validated, 'status').should.eql(['predicted', 'predicted', 'predicted']);
+
+    // Funds sent before the forwarder exists wait on the address
+    web3.eth.sendTransaction({ from: accounts[3], to: predicted[1].address, value: web3.toWei(2, "ether") });
+
+    var created = yield forwarderAddresses.deployUpTo(client, 1, accounts[0]);
+    _.map(created, 'address').should.eql([predicted[0].address, predicted[1].address]);
+    _.map(created, 'nonce').should.eql([0, 1]);
+    (yield forwarderAddresses.deployUpTo(client, 1, accounts[0])).should.eql([]);
+
+    validated = yield forwarderAddresses.validateForwarderAddresses(web3, client.address, predicted.concat({ nonce: 5, address: predicted[0].address }));
+    _.map(validated, 'status').should.eql(['deployed', 'deployed', 'predicted', 'mismatch']);
+    _.map(validated, 'valid').should.eql([true, true, true, false]);
+
+    yield Forwarder.at(predicted[1].address).flush({ from: accounts[0] });
+    web3.fromWei(web3.eth.getBalance(client.address), 'ether').should.eql(web3.toBigNumber(2));
+  }));
+
+  it("Lazily deploys forwarders once a deposit arrives", co(function *() {
+    var client = yield deployWallet();
+    var token = yield ERC20Mock.new(1000, { from: accounts[0] });
+    var manager = new DepositAddressManager({ client: client, Forwarder: Forwarder });
+
+    var allocated = [];
+    for (var i = 0; i < 4; i++) {
+      allocated.push(yield manager.allocate({ label: 'customer-' + i, lazy: true }));
+    }
+    _.map(allocated, 'nonce').should.eql([0, 1, 2, 3]);
+    _.map(allocated, 'deployed').should.eql([false, false, false, false]);
+    (yield forwarderAddresses.getNonce(web3, client.address)).should.eql(0);
+
+    // Nothing to deploy until a deposit arrives
+    (yield manager.deployFunded({ tokens: [token.address], from: accounts[0] })).should.eql([]);
+    (yield forwarderAddresses.getNonce(web3, client.address)).should.eql(0);
+
+    web3.eth.sendTransaction({ from: accounts[3], to: allocated[1].address, value: web3.toWei(3, "ether") });
+    yield token.transfer(allocated[2].address, 40, { from: accounts[0] });
+
+    var flushed = yield manager.deployFunded({ tokens: [token.address], from: accounts[1] });
+    flushed.map(function(balance) {
+      return [balance.forwarder, balance.tokenContractAddress, balance.balance.toString(10)];
+    }).should.eql([
+      [allocated[1].address, undefined, web3.toWei(3, "ether")],
+      [allocated[2].address, token.address, '40']
+    ]);
+
+    // Forwarders are deployed in nonce order up to the last funded one
+    _.map(yield manager.getForwarders(), 'deployed').should.eql([true, true, true, false]);
+    web3.fromWei(web3.eth.getBalance(client.address), 'ether').should.eql(web3.toBigNumber(3));
+    (yield token.balanceOf.call(client.address)).should.eql(web3.toBigNumber(40));
+
+    // A non-lazy allocation takes the next unreserved address
+    var deployed = yield manager.allocate({ label: 'customer-4', from: accounts[0] });
+    deployed.nonce.should.eql(4);
+    deployed.deployed.should.eql(true);
+    (yield manager.getForwarders()).length.should.eql(5);
+    _.every(yield manager.getForwarders(), 'deployed').should.eql(true);
+  }));
+});
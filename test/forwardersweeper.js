@@ -0,0 +1,86 @@
+/* jshint undef: false, unused: true */
+
+require('should');
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+var _ = require('lodash');
+var util = require('ethereumjs-util');
+
+var ForwarderSweeper = require('../lib/forwardersweeper');
+var WalletClient = require('../lib/wallet');
+var WalletSimpleClient = require('../lib/walletsimple');
+
+contract('ForwarderSweeper', function(accounts) {
+  var tokenA;
+  var tokenB;
+
+  before(co(function *() {
+    tokenA = yield ERC20Mock.new(1000000, { from: accounts[0] });
+    tokenB = yield ERC20Mock.new(1000000, { from: accounts[0] });
+  }));
+
+  it("Sweeps ether and token balances from every forwarder of a WalletSimple", co(function *() {
+    var client = yield WalletSimpleClient.deploy({
+      WalletSimple: WalletSimple,
+      web3: web3,
+      signers: [accounts[0], accounts[1], accounts[2]],
+      from: accounts[0]
+    });
+    var forwarders = _.range(3).map(function(nonce) {
+      return util.bufferToHex(util.generateAddress(client.address, nonce));
+    });
+
+    // Ether sent to the last forwarder before it is created stays on the forwarder
+    web3.eth.sendTransaction({ from: accounts[3], to: forwarders[2], value: web3.toWei(5, "ether") });
+    for (var i = 0; i < 3; i++) {
+      yield client.createForwarder({ from: accounts[0] });
+    }
+    yield tokenA.transfer(forwarders[0], 100, { from: accounts[0] });
+    yield tokenA.transfer(forwarders[1], 200, { from: accounts[0] });
+    yield tokenB.transfer(forwarders[1], 300, { from: accounts[0] });
+
+    var sweeper = new ForwarderSweeper({ client: client, Forwarder: Forwarder });
+    (yield sweeper.getForwarders()).should.eql(forwarders);
+
+    var pending = yield sweeper.sweep({ tokens: [tokenA.address, tokenB.address], dryRun: true });
+    pending.map(function(balance) {
+      return [balance.forwarder, balance.tokenContractAddress, balance.balance.toString(10)];
+    }).should.eql([
+      [forwarders[0], tokenA.address, '100'],
+      [forwarders[1], tokenA.address, '200'],
+      [forwarders[1], tokenB.address, '300'],
+      [forwarders[2], undefined, web3.toWei(5, "ether")]
+    ]);
+    (yield tokenA.balanceOf.call(forwarders[0])).should.eql(web3.toBigNumber(100));
+
+    var swept = yield sweeper.sweep({ tokens: [tokenA.address, tokenB.address], from: accounts[1] });
+    swept.length.should.eql(4);
+    _.every(swept, 'txHash').should.eql(true);
+    (yield tokenA.balanceOf.call(client.address)).should.eql(web3.toBigNumber(300));
+    (yield tokenB.balanceOf.call(client.address)).should.eql(web3.toBigNumber(300));
+    web3.fromWei(web3.eth.getBalance(client.address), 'ether').should.eql(web3.toBigNumber(5));
+
+    // Nothing is left to sweep
+    (yield sweeper.sweep({ tokens: [tokenA.address, tokenB.address], from: accounts[1] })).should.eql([]);
+  }));
+
+  it("Sweeps tokens from the forwarders of a Wallet", co(function *() {
+    var client = yield WalletClient.deploy({
+      Wallet: Wallet,
+      web3: web3,
+      owners: [accounts[1], accounts[2]],
+      required: 2,
+      dailyLimit: 0,
+      from: accounts[0]
+    });
+    yield client.createForwarder({ from: accounts[0] });
+    var forwarder = util.bufferToHex(util.generateAddress(client.address, 0));
+    yield tokenA.transfer(forwarder, 50, { from: accounts[0] });
+
+    var sweeper = new ForwarderSweeper({ client: client, Forwarder: Forwarder });
+    var swept = yield sweeper.sweep({ tokens: [tokenA.address], from: accounts[2] });
+    swept.length.should.eql(1);
+    (yield tokenA.balanceOf.call(forwarder)).should.eql(web3.toBigNumber(0));
+    (yield tokenA.balanceOf.call(client.address)).should.eql(web3.toBigNumber(50));
+  }));
+});
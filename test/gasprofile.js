@@ -0,0 +1,64 @@
+/* jshint undef: false, unused: true */
+
+require('should');
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+var _ = require('lodash');
+
+var gasProfile = require('../lib/gasprofile');
+
+contract('GasProfile', function(accounts) {
+  var rows;
+
+  before(co(function *() {
+    rows = yield gasProfile.profile({
+      web3: web3,
+      contracts: { Wallet: Wallet, WalletSimple: WalletSimple, WalletSimpleThreshold: WalletSimpleThreshold, Forwarder: Forwarder },
+      accounts: accounts,
+      configurations: [{ owners: 2, required: 1 }, { owners: 3, required: 2 }]
+    });
+  }));
+
+  it("Measures every method of every contract", function() {
+    _.uniq(_.map(rows, 'contract')).sort().should.eql(['Forwarder', 'Wallet', 'WalletSimple', 'WalletSimpleThreshold']);
+    _.uniq(_.map(rows, 'configuration')).sort().should.eql(['1-of-2', '2-of-3', 'standalone']);
+    rows.forEach(function(row) {
+      row.gasUsed.should.be.above(21000 - 1);
+    });
+
+    var walletMethods = _.map(_.filter(rows, { contract: 'Wallet', configuration: '2-of-3' }), 'method');
+    walletMethods.should.containEql('deploy');
+    walletMethods.should.containEql('execute (over daily limit)');
+    walletMethods.should.containEql('confirm (final confirmation)');
+    walletMethods.should.containEql('revoke');
+    walletMethods.should.containEql('executeAndConfirm');
+    walletMethods.should.containEql('addOwner (first confirmation)');
+    walletMethods.should.containEql('addOwner (final confirmation)');
+
+    // A single owner executes immediately, so there is nothing to confirm or revoke
+    var singleOwnerMethods = _.map(_.filter(rows, { contract: 'Wallet', configuration: '1-of-2' }), 'method');
+    singleOwnerMethods.should.not.containEql('revoke');
+    singleOwnerMethods.should.not.containEql('addOwner (first confirmation)');
+    singleOwnerMethods.should.containEql('addOwner (final confirmation)');
+
+    _.map(_.filter(rows, { contract: 'WalletSimple' }), 'method').should.containEql('sendMultiSig');
+    // WalletSimpleThreshold needs at least 2 signers, so is only profiled in the 2-of-3 configuration
+    _.uniq(_.map(_.filter(rows, { contract: 'WalletSimpleThreshold' }), 'configuration')).should.eql(['2-of-3']);
+    _.map(_.filter(rows, { contract: 'WalletSimpleThreshold' }), 'method').should.eql(['deploy', 'sendMultiSig (first)', 'sendMultiSig']);
+    _.map(_.filter(rows, { contract: 'Forwarder' }), 'method').sort().should.eql(['deploy', 'flush', 'forward']);
+  });
+
+  it("Formats the report as diffable markdown and JSON", function() {
+    var report = JSON.parse(gasProfile.formatJson(rows));
+    report.Wallet.deploy['2-of-3'].should.eql(_.find(rows, { contract: 'Wallet', method: 'deploy', configuration: '2-of-3' }).gasUsed);
+    _.keys(report.Wallet.deploy).should.eql(['1-of-2', '2-of-3']);
+
+    var markdown = gasProfile.formatMarkdown(rows);
+    markdown.should.containEql('### Wallet\n\n| Method | 1-of-2 | 2-of-3 |');
+    markdown.should.containEql('| revoke | - | ');
+    markdown.should.containEql('### WalletSimple');
+
+    // The same results always produce the same report
+    gasProfile.formatMarkdown(_.shuffle(rows)).should.eql(markdown);
+  });
+});
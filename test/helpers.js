@@ -1,5 +1,9 @@
 var abi = require('ethereumjs-abi');
 var BN = require('bn.js');
+var Promise = require('bluebird');
+
+var events = require('../lib/events');
+var walletUtil = require('../lib/util');
 
 exports.showBalances = function() {
   var accounts = web3.eth.accounts;
@@ -8,35 +12,124 @@ exports.showBalances = function() {
   }
 };
 
-// Polls an array for changes
-exports.waitForEvents = function(eventsArray, numEvents) {
-  if (numEvents === 0) {
-    return Promise.delay(1000); // Wait a reasonable amount so the caller can know no events fired
-  }
-  var numEvents = numEvents || 1;
-  var oldLength = eventsArray.length;
-  var numTries = 0;
-  var pollForEvents = function() {
-    numTries++;
-    if (eventsArray.length >= (oldLength + numEvents)) {
-      return;
-    }
-    if (numTries >= 100) {
-      if (eventsArray.length == 0) {
-        console.log('Timed out waiting for events!');
-      }
-      return;
-    }
-    return Promise.delay(50)
-    .then(pollForEvents);
-  };
-  return pollForEvents();
+// Resolves with all events a contract emitted in a mined transaction, decoded from the receipt logs
+exports.getEvents = function(contract, txHash) {
+  return events.getTransactionEvents(web3, contract, txHash);
 };
 
-// Helper to get sha3 for solidity tightly-packed arguments
-exports.getSha3ForConfirmationTx = function(toAddress, amount, data, expireTime, sequenceId) {
+// Resolves with the events of the given name (and arguments) that a contract emitted in a mined transaction,
+// or rejects describing the events that were emitted instead
+exports.expectEvent = function(contract, txHash, eventName, args) {
+  return events.expectEvent(web3, contract, txHash, eventName, args);
+};
+
+// Rejects if a contract emitted the given event (or any event if no name is given) in a mined transaction
+exports.expectNoEvent = function(contract, txHash, eventName, args) {
+  return events.expectNoEvent(web3, contract, txHash, eventName, args);
+};
+
+// Moves the clock of the test node (testrpc) forward and mines a block, so that the latest block is the given number of
+// seconds later. The node stays ahead of the wall clock afterwards, so expire times in later tests should keep headroom.
+exports.increaseTime = function(seconds) {
+  var send = Promise.promisify(web3.currentProvider.sendAsync, { context: web3.currentProvider });
+  return send({ jsonrpc: '2.0', method: 'evm_increaseTime', params: [seconds], id: new Date().getTime() })
+  .then(function() {
+    return send({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: new Date().getTime() });
+  });
+};
+
+// Signs a hash with an account on the test node (eth.sign). The node drops leading zero bytes of r and s now and then, so
+// the signature is padded back to 65 bytes.
+exports.sign = function(signer, hash) {
+  return walletUtil.normalizeSignature(web3.eth.sign(signer, hash), hash, signer);
+};
+
+// Gets the network ID of the test node, which the wallets in the tests are deployed with
+exports.getNetworkId = function() {
+  return web3.version.network;
+};
+
+// Helper to get sha3 for tightly-packed arguments, preceded by the operation hash version (2), the wallet address and
+// the network ID that every operation hash starts with
+var getSha3ForWallet = function(walletAddress, types, values) {
   return abi.soliditySHA3(
+    [ "uint", "address", "uint" ].concat(types),
+    [ 2, new BN(walletAddress.replace("0x", ""), 16), new BN(exports.getNetworkId(), 10) ].concat(values)
+  ).toString('hex');
+};
+
+// Helper to get sha3 for solidity tightly-packed arguments
+exports.getSha3ForConfirmationTx = function(walletAddress, toAddress, amount, data, expireTime, sequenceId) {
+  return getSha3ForWallet(walletAddress,
     [ "address", "uint", "string", "uint", "uint" ],
     [ new BN(toAddress.replace("0x", ""), 16), web3.toWei(amount, "ether"), data, expireTime, sequenceId ]
+  );
+};
+// Helper to get the hash of the typed data signed for sendMultiSigTyped and executeAndConfirmTyped: the sha3 of the
+// "type name" schema strings, followed by the sha3 of the tightly-packed values
+exports.getSha3ForTypedConfirmationTx = function(walletAddress, toAddress, amount, data, expireTime, sequenceId) {
+  var schema = [ "address wallet", "uint256 networkId", "address to", "uint256 value", "bytes data", "uint256 expireTime", "uint256 sequenceId" ];
+  return abi.soliditySHA3(
+    [ "bytes32", "bytes32" ],
+    [
+      abi.soliditySHA3(schema.map(function() { return "string"; }), schema),
+      abi.soliditySHA3(
+        [ "address", "uint", "address", "uint", "string", "uint", "uint" ],
+        [
+          new BN(walletAddress.replace("0x", ""), 16),
+          new BN(exports.getNetworkId(), 10),
+          new BN(toAddress.replace("0x", ""), 16),
+          web3.toWei(amount, "ether"),
+          data,
+          expireTime,
+          sequenceId
+        ]
+      )
+    ]
   ).toString('hex');
-};
\ No newline at end of file
+};
+
+// Helper to get sha3 for the tightly-packed arguments of a sendMultiSigToken operation
+exports.getSha3ForTokenConfirmationTx = function(walletAddress, toAddress, amount, tokenContractAddress, expireTime, sequenceId) {
+  return getSha3ForWallet(walletAddress,
+    [ "string", "address", "uint", "address", "uint", "uint" ],
+    [ "ERC20", new BN(toAddress.replace("0x", ""), 16), amount, new BN(tokenContractAddress.replace("0x", ""), 16), expireTime, sequenceId ]
+  );
+};
+
+// Helper to get sha3 for the arguments of a sendMultiSigBatch operation. sha3 pads the array elements to 32 bytes.
+exports.getSha3ForBatchConfirmationTx = function(walletAddress, recipients, amounts, expireTime, sequenceId) {
+  var types = [ "string" ];
+  var values = [ "BATCH" ];
+  recipients.forEach(function(recipient) {
+    types.push("uint");
+    values.push(new BN(recipient.replace("0x", ""), 16));
+  });
+  amounts.forEach(function(amount) {
+    types.push("uint");
+    values.push(web3.toWei(amount, "ether"));
+  });
+  return getSha3ForWallet(walletAddress, types.concat([ "uint", "uint" ]), values.concat([ expireTime, sequenceId ]));
+};
+
+// Helper to get sha3 for the tightly-packed arguments of an addSigner, removeSigner or replaceSigner operation,
+// where prefix is ADDSIGNER, REMOVESIGNER or REPLACESIGNER
+exports.getSha3ForSignerChange = function(walletAddress, prefix, signers, expireTime, sequenceId) {
+  var types = [ "string" ];
+  var values = [ prefix ];
+  signers.forEach(function(signer) {
+    types.push("address");
+    values.push(new BN(signer.replace("0x", ""), 16));
+  });
+  return getSha3ForWallet(walletAddress, types.concat([ "uint", "uint" ]), values.concat([ expireTime, sequenceId ]));
+};
+
+// Helper to get sha3 for the tightly-packed arguments of a requestSafeModeExit operation
+exports.getSha3ForSafeModeExit = function(walletAddress, expireTime, sequenceId) {
+  return getSha3ForWallet(walletAddress, [ "string", "uint", "uint" ], [ "EXITSAFEMODE", expireTime, sequenceId ]);
+};
+
+// Helper to get sha3 for the tightly-packed arguments of a setTimelock operation
+exports.getSha3ForTimelockChange = function(walletAddress, timelock, expireTime, sequenceId) {
+  return getSha3ForWallet(walletAddress, [ "string", "uint", "uint", "uint" ], [ "TIMELOCK", timelock, expireTime, sequenceId ]);
+};
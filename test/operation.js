@@ -0,0 +1,234 @@
+/* jshint undef: false, unused: true */
+
+require('should');
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+var _ = require('lodash');
+var abi = require('ethereumjs-abi');
+var util = require('ethereumjs-util');
+
+var helpers = require('./helpers');
+var operation = require('../lib/operation');
+var signatures = require('../lib/signatures');
+
+// Private keys of the first accounts created by "npm run testrpc"
+var privateKeys = [
+  'c8209c2200f920b11a460733c91687565c712b40c6f0350e9ad4138bf3193e47',
+  '915334f048736c64127e91a1dc35dad86c91e59081cdc12cd060103050e2f3b1',
+  '80bf357dd53e61db0e68acbb270e16fd42645903b51329c856cf3cb36f180a3e'
+];
+
+contract('Operation', function(accounts) {
+  var expireTime = function() {
+    return Math.floor((new Date().getTime()) / 1000) + 60; // 60 seconds
+  };
+
+  it("Private keys match the testrpc accounts", function() {
+    privateKeys.forEach(function(privateKey, i) {
+      util.bufferToHex(util.privateToAddress(new Buffer(privateKey, 'hex'))).should.eql(accounts[i]);
+    });
+  });
+
+  it("Offline signature is recovered by recoverAddressFromSignature", co(function *() {
+    var wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]], helpers.getNetworkId());
+    for (var i=0; i<3; i++) {
+      var signed = operation.signOperation({
+        walletAddress: wallet.address,
+        networkId: helpers.getNetworkId(),
+        toAddress: accounts[9],
+        value: web3.toWei(i + 1, "ether"),
+        data: "0x" + i + "0abcdef",
+        expireTime: expireTime(),
+        sequenceId: i + 1
+      }, privateKeys[i]);
+      util.toBuffer(signed.signature).length.should.eql(65);
+      var recoveredAddress = yield wallet.recoverAddressFromSignature.call(signed.operationHash, signed.signature);
+      recoveredAddress.should.eql(accounts[i]);
+    }
+  }));
+
+  it("Operation hash matches the contract for raw bytes data", co(function *() {
+    var wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]], helpers.getNetworkId());
+    web3.eth.sendTransaction({ from: accounts[0], to: wallet.address, value: web3.toWei(10, "ether") });
+
+    var params = {
+      walletAddress: wallet.address,
+      networkId: helpers.getNetworkId(),
+      toAddress: accounts[7],
+      value: web3.toWei(3, "ether"),
+      data: "0x00ff00ee",
+      expireTime: expireTime(),
+      sequenceId: 1
+    };
+    var signed = operation.signOperation(params, privateKeys[1]);
+
+    var destinationStartEther = web3.fromWei(web3.eth.getBalance(accounts[7]), 'ether');
+    yield wallet.sendMultiSig(params.toAddress, params.value, params.data, params.expireTime, params.sequenceId, signed.signature, { from: accounts[0] });
+    web3.fromWei(web3.eth.getBalance(accounts[7]), 'ether').should.eql(destinationStartEther.plus(3));
+  }));
+
+  it("Token operation hash matches sendMultiSigToken and differs from the ether operation hash", co(function *() {
+    var wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]], helpers.getNetworkId());
+    var token = yield ERC20Mock.new(1000, { from: accounts[0] });
+    yield token.transfer(wallet.address, 100, { from: accounts[0] });
+
+    var params = {
+      walletAddress: wallet.address,
+      networkId: helpers.getNetworkId(),
+      toAddress: accounts[7],
+      value: 40,
+      tokenContractAddress: token.address,
+      expireTime: expireTime(),
+      sequenceId: 1
+    };
+    var signed = operation.signTokenOperation(params, privateKeys[1]);
+    signed.operationHash.should.not.eql(operation.getOperationHash(wallet.address, params.networkId, params.toAddress, params.value, '', params.expireTime, params.sequenceId));
+
+    yield wallet.sendMultiSigToken(params.toAddress, params.value, params.tokenContractAddress, params.expireTime, params.sequenceId, signed.signature, { from: accounts[0] });
+    (yield token.balanceOf.call(accounts[7])).should.eql(web3.toBigNumber(40));
+  }));
+
+  it("Batch operation hash matches sendMultiSigBatch", co(function *() {
+    var wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]], helpers.getNetworkId());
+    web3.eth.sendTransaction({ from: accounts[0], to: wallet.address, value: web3.toWei(10, "ether") });
+
+    var params = {
+      walletAddress: wallet.address,
+      networkId: helpers.getNetworkId(),
+      recipients: [accounts[7], accounts[8]],
+      values: [web3.toWei(1, "ether"), web3.toWei(2, "ether")],
+      expireTime: expireTime(),
+      sequenceId: 1
+    };
+    var signed = operation.signBatchOperation(params, privateKeys[2]);
+    signed.operationHash.should.not.eql(operation.getOperationHash(wallet.address, params.networkId, params.recipients[0], params.values[0], '', params.expireTime, params.sequenceId));
+
+    var txHash = yield wallet.sendMultiSigBatch(params.recipients, params.values, params.expireTime, params.sequenceId, signed.signature, { from: accounts[0] });
+    (yield helpers.expectEvent(wallet, txHash, 'BatchTransacted', { operation: signed.operationHash, otherSigner: accounts[2] })).length.should.eql(2);
+  }));
+
+  it("Signer operation hashes match addSigner, removeSigner and replaceSigner", co(function *() {
+    var wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]], helpers.getNetworkId());
+    var domain = { walletAddress: wallet.address, networkId: helpers.getNetworkId() };
+    var params = _.extend({ action: 'add', signer: accounts[3], expireTime: expireTime(), sequenceId: 1 }, domain);
+    var signed = operation.signSignerOperation(params, privateKeys[2]);
+    signed.operationHash.should.eql(util.addHexPrefix(helpers.getSha3ForSignerChange(wallet.address, "ADDSIGNER", [accounts[3]], params.expireTime, 1)));
+    var txHash = yield wallet.addSigner(params.signer, params.expireTime, 1, signed.signature, { from: accounts[0] });
+    yield helpers.expectEvent(wallet, txHash, 'SignerAdded', { operation: signed.operationHash, otherSigner: accounts[2] });
+
+    params = _.extend({ action: 'replace', oldSigner: accounts[3], newSigner: accounts[4], expireTime: expireTime(), sequenceId: 2 }, domain);
+    signed = operation.signSignerOperation(params, privateKeys[2]);
+    yield wallet.replaceSigner(params.oldSigner, params.newSigner, params.expireTime, 2, signed.signature, { from: accounts[0] });
+
+    params = _.extend({ action: 'remove', signer: accounts[4], expireTime: expireTime(), sequenceId: 3 }, domain);
+    signed = operation.signSignerOperation(params, privateKeys[2]);
+    txHash = yield wallet.removeSigner(params.signer, params.expireTime, 3, signed.signature, { from: accounts[0] });
+    yield helpers.expectEvent(wallet, txHash, 'SignerRemoved', { operation: signed.operationHash, signer: accounts[4] });
+  }));
+
+  it("Safe mode exit hash matches requestSafeModeExit", co(function *() {
+    var wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]], helpers.getNetworkId());
+    yield wallet.activateSafeMode({ from: accounts[0] });
+    var params = { walletAddress: wallet.address, networkId: helpers.getNetworkId(), expireTime: expireTime(), sequenceId: 1 };
+    var signed = [1, 2].map(function(i) {
+      return operation.signSafeModeExitOperation(params, privateKeys[i]);
+    });
+    signed[0].operationHash.should.eql(util.addHexPrefix(helpers.getSha3ForSafeModeExit(wallet.address, params.expireTime, 1)));
+    var packed = signatures.packSignatures(signed[0].operationHash, [signed[1].signature, signed[0].signature]);
+    var txHash = yield wallet.requestSafeModeExit(params.expireTime, 1, packed, { from: accounts[0] });
+    yield helpers.expectEvent(wallet, txHash, 'SafeModeExitRequested', { operation: signed[0].operationHash });
+  }));
+
+  it("Timelock hash matches setTimelock", co(function *() {
+    var wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]], helpers.getNetworkId());
+    var params = { walletAddress: wallet.address, networkId: helpers.getNetworkId(), timelock: 3600, expireTime: expireTime(), sequenceId: 1 };
+    var signed = operation.signTimelockOperation(params, privateKeys[2]);
+    signed.operationHash.should.eql(util.addHexPrefix(helpers.getSha3ForTimelockChange(wallet.address, 3600, params.expireTime, 1)));
+    var txHash = yield wallet.setTimelock(3600, params.expireTime, 1, signed.signature, { from: accounts[1] });
+    yield helpers.expectEvent(wallet, txHash, 'TimelockChanged', { operation: signed.operationHash, otherSigner: accounts[2] });
+  }));
+
+  it("Typed data hash matches sendMultiSigTyped and executeAndConfirmTyped", co(function *() {
+    var wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]], helpers.getNetworkId());
+    web3.eth.sendTransaction({ from: accounts[0], to: wallet.address, value: web3.toWei(10, "ether") });
+
+    var params = {
+      walletAddress: wallet.address,
+      networkId: helpers.getNetworkId(),
+      toAddress: accounts[7],
+      value: web3.toWei(2, "ether"),
+      data: "0x00ff00ee",
+      expireTime: expireTime(),
+      sequenceId: 1
+    };
+    var signed = operation.signTypedOperation(params, privateKeys[1]);
+    signed.typedData.should.eql([
+      { type: 'address', name: 'wallet', value: wallet.address },
+      { type: 'uint256', name: 'networkId', value: String(helpers.getNetworkId()) },
+      { type: 'address', name: 'to', value: accounts[7] },
+      { type: 'uint256', name: 'value', value: web3.toWei(2, "ether") },
+      { type: 'bytes', name: 'data', value: "0x00ff00ee" },
+      { type: 'uint256', name: 'expireTime', value: String(params.expireTime) },
+      { type: 'uint256', name: 'sequenceId', value: "1" }
+    ]);
+    signed.operationHash.should.eql(operation.hashTypedData(signed.typedData));
+    signed.operationHash.should.not.eql(operation.getOperationHash(wallet.address, params.networkId, params.toAddress, params.value, params.data, params.expireTime, 1));
+    (yield wallet.TYPED_OPERATION_SCHEMA_HASH.call()).should.eql(util.bufferToHex(abi.soliditySHA3(
+      operation.TYPED_OPERATION_SCHEMA.map(function() { return "string"; }),
+      operation.TYPED_OPERATION_SCHEMA.map(function(field) { return field.type + ' ' + field.name; })
+    )));
+
+    var txHash = yield wallet.sendMultiSigTyped(params.toAddress, params.value, params.data, params.expireTime, 1, signed.signature, { from: accounts[0] });
+    yield helpers.expectEvent(wallet, txHash, 'Transacted', { operation: signed.operationHash, otherSigner: accounts[1] });
+
+    var multisig = yield Wallet.new([accounts[1], accounts[2]], 2, 0, helpers.getNetworkId(), { from: accounts[0] });
+    web3.eth.sendTransaction({ from: accounts[0], to: multisig.address, value: web3.toWei(10, "ether") });
+    signed = operation.signTypedOperation(_.extend({}, params, { walletAddress: multisig.address }), privateKeys[2]);
+    txHash = yield multisig.executeAndConfirmTyped(params.toAddress, params.value, params.data, params.expireTime, 1, signed.signature, { from: accounts[0] });
+    yield helpers.expectEvent(multisig, txHash, 'MultiTransact', { operation: signed.operationHash });
+  }));
+
+  it("Rejects malformed input", function() {
+    var walletAddress = accounts[9];
+    var networkId = helpers.getNetworkId();
+    (function() {
+      operation.getOperationHash(walletAddress, networkId, accounts[1], "1.5", "", expireTime(), 1);
+    }).should.throw(/value/);
+    (function() {
+      operation.getOperationHash(walletAddress, networkId, accounts[1], 1, "not hex", expireTime(), 1);
+    }).should.throw(/data/);
+    (function() {
+      operation.getOperationHash("0x1234", networkId, accounts[1], 1, "", expireTime(), 1);
+    }).should.throw(/walletAddress/);
+    (function() {
+      operation.getOperationHash(walletAddress, undefined, accounts[1], 1, "", expireTime(), 1);
+    }).should.throw(/networkId/);
+    (function() {
+      operation.getTokenOperationHash(walletAddress, networkId, accounts[1], 1, "0x1234", expireTime(), 1);
+    }).should.throw(/tokenContractAddress/);
+    (function() {
+      operation.getBatchOperationHash(walletAddress, networkId, [accounts[1], accounts[2]], [1], expireTime(), 1);
+    }).should.throw(/one value for each/);
+    (function() {
+      operation.getBatchOperationHash(walletAddress, networkId, [accounts[1], "0x1234"], [1, 2], expireTime(), 1);
+    }).should.throw(/recipient/);
+    (function() {
+      operation.getSignerOperationHash({ walletAddress: walletAddress, networkId: networkId, action: 'rotate', signer: accounts[1], expireTime: expireTime(), sequenceId: 1 });
+    }).should.throw(/action/);
+    (function() {
+      operation.getSignerOperationHash({ walletAddress: walletAddress, networkId: networkId, action: 'replace', oldSigner: accounts[1], expireTime: expireTime(), sequenceId: 1 });
+    }).should.throw(/signer/);
+    (function() {
+      operation.getSignerOperationHash({ action: 'add', signer: accounts[1], expireTime: expireTime(), sequenceId: 1 });
+    }).should.throw(/walletAddress/);
+    (function() {
+      operation.getTypedOperationData(walletAddress, undefined, accounts[1], 1, "", expireTime(), 1);
+    }).should.throw(/networkId/);
+    (function() {
+      operation.hashTypedData([{ type: 'string', name: 'message', value: 'hello' }]);
+    }).should.throw(/unsupported typed data type string/);
+    (function() {
+      operation.signOperationHash("0x1234", privateKeys[0]);
+    }).should.throw(/32 bytes/);
+  });
+});
@@ -0,0 +1,87 @@
+/* jshint undef: false, unused: true */
+
+var should = require('should');
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+var _ = require('lodash');
+var util = require('ethereumjs-util');
+
+var pendingOperations = require('../lib/pendingoperations');
+var WalletClient = require('../lib/wallet');
+
+contract('PendingOperations', function(accounts) {
+  var client;
+
+  before(co(function *() {
+    client = yield WalletClient.deploy({
+      Wallet: Wallet,
+      web3: web3,
+      owners: [accounts[1], accounts[2]],
+      required: 2,
+      dailyLimit: 0,
+      from: accounts[0]
+    });
+    web3.eth.sendTransaction({ from: accounts[0], to: client.address, value: web3.toWei(100, "ether") });
+  }));
+
+  it("No pending operations on a new wallet", co(function *() {
+    var operations = yield pendingOperations.getPendingOperations(client);
+    operations.length.should.eql(0);
+  }));
+
+  it("Reconstructs pending owner, requirement and limit operations alongside transactions", co(function *() {
+    yield client.wallet.addOwner(accounts[5], { from: accounts[0] });
+    yield client.wallet.changeRequirement(3, { from: accounts[1] });
+    yield client.wallet.setDailyLimit(web3.toWei(50, "ether"), { from: accounts[2] });
+    yield client.execute({ to: accounts[6], value: web3.toWei(10, "ether"), from: accounts[1] });
+
+    var operations = _.keyBy(yield pendingOperations.getPendingOperations(client), 'method');
+    _.keys(operations).sort().should.eql(['addOwner', 'changeRequirement', 'execute', 'setDailyLimit']);
+
+    operations.addOwner.args.should.eql({ _owner: accounts[5] });
+    operations.addOwner.confirmedBy.should.eql([accounts[0]]);
+    operations.addOwner.confirmationsNeeded.should.eql(1);
+
+    operations.changeRequirement.args.should.eql({ _newRequired: "3" });
+    operations.changeRequirement.confirmedBy.should.eql([accounts[1]]);
+
+    operations.setDailyLimit.args.should.eql({ _newLimit: web3.toWei(50, "ether") });
+    operations.setDailyLimit.confirmedBy.should.eql([accounts[2]]);
+
+    operations.execute.args._to.should.eql(accounts[6]);
+    operations.execute.args._value.should.eql(web3.toWei(10, "ether"));
+  }));
+
+  it("Reconstructs the operations of a wallet opened with a checksummed address", co(function *() {
+    // The test node only matches the lowercase address in log filters, so only the client's address is checksummed
+    var checksummedClient = new WalletClient({ wallet: client.wallet, web3: web3 });
+    checksummedClient.address = util.toChecksumAddress(client.address);
+    checksummedClient.address.should.not.eql(client.address);
+
+    var operations = _.keyBy(yield pendingOperations.getPendingOperations(checksummedClient), 'method');
+    _.keys(operations).sort().should.eql(['addOwner', 'changeRequirement', 'execute', 'setDailyLimit']);
+    operations.changeRequirement.args.should.eql({ _newRequired: "3" });
+  }));
+
+  it("Confirmed and revoked confirmations are reflected", co(function *() {
+    yield client.wallet.setDailyLimit(web3.toWei(50, "ether"), { from: accounts[0] });
+    var operations = _.keyBy(yield pendingOperations.getPendingOperations(client), 'method');
+    should.not.exist(operations.setDailyLimit);
+
+    var addOwnerOperation = operations.addOwner.operation;
+    yield client.revoke(addOwnerOperation, { from: accounts[0] });
+    operations = _.keyBy(yield pendingOperations.getPendingOperations(client), 'method');
+    operations.addOwner.confirmedBy.should.eql([]);
+    operations.addOwner.confirmationsNeeded.should.eql(2);
+  }));
+
+  it("Changing the owners clears all pending operations", co(function *() {
+    yield client.wallet.addOwner(accounts[5], { from: accounts[0] });
+    yield client.wallet.addOwner(accounts[5], { from: accounts[1] });
+    var isOwner = yield client.isOwner(accounts[5]);
+    isOwner.should.eql(true);
+
+    var operations = yield pendingOperations.getPendingOperations(client);
+    operations.length.should.eql(0);
+  }));
+});
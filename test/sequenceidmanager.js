@@ -0,0 +1,124 @@
+/* jshint undef: false, unused: true */
+
+require('should');
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+var os = require('os');
+var path = require('path');
+var crypto = require('crypto');
+
+var sequenceIdWindow = require('../lib/sequenceid');
+var SequenceIdManager = require('../lib/sequenceidmanager');
+var JsonFileStore = require('../lib/stores/jsonfilestore');
+var WalletSimpleClient = require('../lib/walletsimple');
+
+contract('SequenceIdManager', function(accounts) {
+  var client;
+  var expireTime = function() {
+    return Math.floor((new Date().getTime()) / 1000) + 60; // 60 seconds
+  };
+
+  var send = function(sequenceId) {
+    return client.sendMultiSig({
+      to: accounts[5],
+      value: web3.toWei(1, "ether"),
+      expireTime: expireTime(),
+      sequenceId: sequenceId,
+      otherSigner: accounts[1],
+      from: accounts[0]
+    });
+  };
+
+  beforeEach(co(function *() {
+    client = yield WalletSimpleClient.deploy({
+      WalletSimple: WalletSimple,
+      web3: web3,
+      signers: [accounts[0], accounts[1], accounts[2]],
+      from: accounts[0]
+    });
+    web3.eth.sendTransaction({ from: accounts[0], to: client.address, value: web3.toWei(100, "ether") });
+  }));
+
+  it("Window model matches the contract", co(function *() {
+    var window = yield client.getSequenceIdWindow();
+    window.should.eql([0, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+    sequenceIdWindow.isAcceptable(window, 0).should.eql(false);
+
+    for (var sequenceId = 100; sequenceId < 1200; sequenceId += 100) {
+      yield send(sequenceId);
+      window = sequenceIdWindow.insert(window, sequenceId);
+    }
+    var contractWindow = yield client.getSequenceIdWindow();
+    contractWindow.should.eql(window);
+    sequenceIdWindow.getNextSequenceId(window).should.eql(yield client.getNextSequenceId());
+    sequenceIdWindow.isAcceptable(window, 100).should.eql(false);
+    sequenceIdWindow.isAcceptable(window, 150).should.eql(false);
+    sequenceIdWindow.isAcceptable(window, 250).should.eql(true);
+  }));
+
+  it("Concurrent reservations are distinct and accepted in any order", co(function *() {
+    var manager = new SequenceIdManager({ client: client });
+    var sequenceIds = yield Promise.all([manager.reserve(), manager.reserve(), manager.reserve()]);
+    sequenceIds.should.eql([1, 2, 3]);
+
+    yield send(3);
+    yield manager.confirm(3);
+    yield send(1);
+    yield manager.confirm(1);
+    yield send(2);
+    yield manager.confirm(2);
+
+    var inFlight = yield manager.getInFlight();
+    inFlight.length.should.eql(0);
+  }));
+
+  it("Reserves a given sequence id unless it is below the next one or reserved already", co(function *() {
+    var manager = new SequenceIdManager({ client: client });
+    yield send(5);
+    (yield manager.reserve(8)).should.eql(8);
+    (yield manager.reserve()).should.eql(9);
+
+    var expectRejected = co(function *(sequenceId, message) {
+      try {
+        yield manager.reserve(sequenceId);
+        throw new Error("should not be here");
+      } catch(err) {
+        err.message.should.containEql(message);
+      }
+    });
+    yield expectRejected(5, 'below the next sequence id of the wallet (6)');
+    yield expectRejected(3, 'below the next sequence id of the wallet (6)');
+    yield expectRejected(8, 'reserved already');
+    (yield manager.reserve(6)).should.eql(6);
+  }));
+
+  it("Limits the number of ids in flight to the window size", co(function *() {
+    var manager = new SequenceIdManager({ client: client });
+    for (var i = 0; i < SequenceIdManager.MAX_IN_FLIGHT; i++) {
+      yield manager.reserve();
+    }
+    try {
+      yield manager.reserve();
+      throw new Error("should not be here");
+    } catch(err) {
+      err.message.should.containEql("too many sequence ids in flight");
+    }
+  }));
+
+  it("Recovers from a restart with a dropped transaction using the JSON file store", co(function *() {
+    var storePath = path.join(os.tmpdir(), 'sequenceids-' + crypto.randomBytes(4).toString('hex') + '.json');
+    var manager = new SequenceIdManager({ client: client, store: new JsonFileStore({ path: storePath }) });
+    var mined = yield manager.reserve();
+    var dropped = yield manager.reserve();
+    yield send(mined);
+
+    // A new manager on the same file picks up the reservations, with a timeout which treats unmined ones as dropped
+    manager = new SequenceIdManager({ client: client, store: new JsonFileStore({ path: storePath }), reservationTimeout: -1 });
+    var result = yield manager.recover();
+    result.confirmed.should.eql([mined]);
+    result.dropped.should.eql([dropped]);
+
+    var next = yield manager.reserve();
+    next.should.eql(mined + 1);
+  }));
+});
@@ -0,0 +1,217 @@
+/* jshint undef: false, unused: true */
+
+require('should');
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+var util = require('ethereumjs-util');
+
+var helpers = require('./helpers');
+var signatures = require('../lib/signatures');
+var simulate = require('../lib/simulate');
+var WalletClient = require('../lib/wallet');
+var WalletSimpleClient = require('../lib/walletsimple');
+var WalletSimpleThresholdClient = require('../lib/walletsimplethreshold');
+
+contract('Simulate', function(accounts) {
+  var expireTime = function() {
+    return Math.floor((new Date().getTime()) / 1000) + 60; // 60 seconds
+  };
+
+  var expectSimulation = function(simulation, outcome, reason) {
+    simulation.outcome.should.eql(outcome);
+    (simulation.reason === null ? 'none' : simulation.reason).should.eql(reason || 'none');
+    if (reason) {
+      simulation.message.should.eql(simulate.REASONS[reason]);
+    }
+  };
+
+  describe("sendMultiSig", function() {
+    var client;
+    var sequenceId;
+
+    before(co(function *() {
+      client = yield WalletSimpleClient.deploy({
+        WalletSimple: WalletSimple,
+        web3: web3,
+        signers: [accounts[0], accounts[1], accounts[2]],
+        from: accounts[0]
+      });
+      web3.eth.sendTransaction({ from: accounts[0], to: client.address, value: web3.toWei(10, "ether") });
+    }));
+
+    beforeEach(co(function *() {
+      sequenceId = yield client.getNextSequenceId();
+    }));
+
+    // Parameters of a 1 ether transfer to accounts[5], signed by the given signer
+    var getParams = function(signer, overrides) {
+      var params = { to: accounts[5], value: web3.toWei(1, "ether"), expireTime: expireTime(), sequenceId: sequenceId, from: accounts[0] };
+      for (var key in overrides) {
+        params[key] = overrides[key];
+      }
+      params.signature = params.signature || helpers.sign(signer, util.stripHexPrefix(client.getOperationHash(params)));
+      return params;
+    };
+
+    it("Reports a transaction that would be sent, without sending it", co(function *() {
+      var params = getParams(accounts[1]);
+      var simulation = yield simulate.simulateSendMultiSig(client, params);
+      expectSimulation(simulation, 'sent');
+      simulation.operationHash.should.eql(client.getOperationHash(params));
+      (yield client.getNextSequenceId()).should.eql(sequenceId);
+
+      // The same operation is sent from the other signer's account on the node
+      expectSimulation(yield simulate.simulateSendMultiSig(client, { to: accounts[5], value: 1, expireTime: expireTime(), otherSigner: accounts[2], from: accounts[0] }), 'sent');
+    }));
+
+    it("Diagnoses senders, expiry and signatures", co(function *() {
+      expectSimulation(yield simulate.simulateSendMultiSig(client, getParams(accounts[1], { from: accounts[7] })), 'failed', 'NOT_SIGNER');
+      expectSimulation(yield simulate.simulateSendMultiSig(client, getParams(accounts[1], { expireTime: expireTime() - 120 })), 'failed', 'EXPIRED');
+      expectSimulation(yield simulate.simulateSendMultiSig(client, getParams(accounts[1], { signature: '0x1234' })), 'failed', 'BAD_SIGNATURE_LENGTH');
+      expectSimulation(yield simulate.simulateSendMultiSig(client, getParams(accounts[0])), 'failed', 'SELF_APPROVAL');
+      expectSimulation(yield simulate.simulateSendMultiSig(client, getParams(accounts[7])), 'failed', 'INVALID_SIGNATURE');
+
+      // A signature of other arguments recovers to an unknown address
+      var params = getParams(accounts[1]);
+      params.value = web3.toWei(2, "ether");
+      expectSimulation(yield simulate.simulateSendMultiSig(client, params), 'failed', 'INVALID_SIGNATURE');
+    }));
+
+    it("Diagnoses used sequence ids", co(function *() {
+      var txHash = yield client.sendMultiSig(getParams(accounts[1]));
+      txHash.should.not.be.empty();
+      expectSimulation(yield simulate.simulateSendMultiSig(client, getParams(accounts[1])), 'failed', 'SEQUENCE_ID_USED');
+
+      // Once 10 higher sequence ids are used, the first one drops out of the window
+      for (var i = 1; i <= 10; i++) {
+        yield client.sendMultiSig(getParams(accounts[1], { value: 1, sequenceId: sequenceId + i }));
+      }
+      expectSimulation(yield simulate.simulateSendMultiSig(client, getParams(accounts[1])), 'failed', 'SEQUENCE_ID_BELOW_WINDOW');
+    }));
+
+    it("Diagnoses failing transfers", co(function *() {
+      expectSimulation(yield simulate.simulateSendMultiSig(client, getParams(accounts[1], { value: web3.toWei(100, "ether") })), 'failed', 'INSUFFICIENT_BALANCE');
+
+      // The token contract throws on calldata it has no function for
+      var token = yield ERC20Mock.new(1000, { from: accounts[0] });
+      expectSimulation(yield simulate.simulateSendMultiSig(client, getParams(accounts[1], { to: token.address, value: 0, data: '0xdeadbeef' })), 'failed', 'INNER_CALL_FAILED');
+    }));
+
+    it("Diagnoses safe mode", co(function *() {
+      yield client.activateSafeMode({ from: accounts[0] });
+      expectSimulation(yield simulate.simulateSendMultiSig(client, getParams(accounts[1])), 'failed', 'SAFE_MODE');
+      expectSimulation(yield simulate.simulateSendMultiSig(client, getParams(accounts[1], { to: accounts[2] })), 'sent');
+    }));
+
+    it("Diagnoses the signatures of a 3 of 5 wallet", co(function *() {
+      var thresholdClient = yield WalletSimpleThresholdClient.deploy({
+        WalletSimpleThreshold: WalletSimpleThreshold,
+        web3: web3,
+        signers: [accounts[0], accounts[1], accounts[2], accounts[3], accounts[4]],
+        required: 3,
+        from: accounts[0]
+      });
+      web3.eth.sendTransaction({ from: accounts[0], to: thresholdClient.address, value: web3.toWei(10, "ether") });
+      var params = { to: accounts[5], value: web3.toWei(1, "ether"), expireTime: expireTime(), sequenceId: 1, from: accounts[0] };
+      var operationHash = thresholdClient.getOperationHash(params);
+      var ordered = signatures.orderSignatures(operationHash, [accounts[1], accounts[2]].map(function(signer) {
+        return helpers.sign(signer, util.stripHexPrefix(operationHash));
+      }));
+
+      params.signature = ordered[0].signature;
+      expectSimulation(yield simulate.simulateSendMultiSig(thresholdClient, params), 'failed', 'BAD_SIGNATURE_LENGTH');
+      params.signature = ordered[1].signature + util.stripHexPrefix(ordered[0].signature);
+      expectSimulation(yield simulate.simulateSendMultiSig(thresholdClient, params), 'failed', 'SIGNATURES_OUT_OF_ORDER');
+      params.signature = ordered[0].signature + util.stripHexPrefix(ordered[1].signature);
+      expectSimulation(yield simulate.simulateSendMultiSig(thresholdClient, params), 'sent');
+    }));
+  });
+
+  describe("Wallet", function() {
+    var client;
+
+    beforeEach(co(function *() {
+      client = yield WalletClient.deploy({
+        Wallet: Wallet,
+        web3: web3,
+        owners: [accounts[1], accounts[2]],
+        required: 2,
+        dailyLimit: web3.toWei(2, "ether"),
+        from: accounts[0]
+      });
+      web3.eth.sendTransaction({ from: accounts[0], to: client.address, value: web3.toWei(10, "ether") });
+    }));
+
+    var getParams = function(signer, overrides) {
+      var params = { to: accounts[5], value: web3.toWei(5, "ether"), expireTime: expireTime(), sequenceId: 1, from: accounts[1] };
+      for (var key in overrides) {
+        params[key] = overrides[key];
+      }
+      params.signature = params.signature || helpers.sign(signer, util.stripHexPrefix(client.getOperationHash(params)));
+      return params;
+    };
+
+    it("executeAndConfirm reports signatures which would leave the transaction pending", co(function *() {
+      expectSimulation(yield simulate.simulateExecuteAndConfirm(client, getParams(accounts[2])), 'sent');
+      // The wallet does not throw for these, so the transaction would be mined without sending anything
+      expectSimulation(yield simulate.simulateExecuteAndConfirm(client, getParams(accounts[2], { from: accounts[7] })), 'failed', 'NOT_SIGNER');
+      expectSimulation(yield simulate.simulateExecuteAndConfirm(client, getParams(accounts[1])), 'pending', 'SELF_APPROVAL');
+      expectSimulation(yield simulate.simulateExecuteAndConfirm(client, getParams(accounts[7])), 'pending', 'INVALID_SIGNATURE');
+
+      expectSimulation(yield simulate.simulateExecuteAndConfirm(client, getParams(accounts[2], { expireTime: expireTime() - 120 })), 'failed', 'EXPIRED');
+      expectSimulation(yield simulate.simulateExecuteAndConfirm(client, getParams(accounts[2], { signature: '0x1234' })), 'failed', 'BAD_SIGNATURE_LENGTH');
+      expectSimulation(yield simulate.simulateExecuteAndConfirm(client, getParams(accounts[2], { value: web3.toWei(20, "ether") })), 'failed', 'INSUFFICIENT_BALANCE');
+
+      yield client.executeAndConfirm(getParams(accounts[2]));
+      expectSimulation(yield simulate.simulateExecuteAndConfirm(client, getParams(accounts[2])), 'failed', 'SEQUENCE_ID_USED');
+    }));
+
+    it("execute reports transfers over the daily limit", co(function *() {
+      // A token transfer within the token's daily limit is sent at once
+      var token = yield ERC20Mock.new(1000, { from: accounts[0] });
+      yield token.transfer(client.address, 100, { from: accounts[0] });
+      yield client.setTokenDailyLimit({ tokenContractAddress: token.address, dailyLimit: 50, from: accounts[0] });
+      yield client.setTokenDailyLimit({ tokenContractAddress: token.address, dailyLimit: 50, from: accounts[1] });
+      var transferData = token.contract.transfer.getData(accounts[5], 10);
+      expectSimulation(yield simulate.simulateExecute(client, { to: token.address, value: 0, data: transferData, from: accounts[0] }), 'sent');
+
+      expectSimulation(yield simulate.simulateExecute(client, { to: accounts[5], value: web3.toWei(3, "ether"), from: accounts[0] }), 'pending', 'OVER_DAILY_LIMIT');
+      expectSimulation(yield simulate.simulateExecute(client, { to: accounts[5], value: web3.toWei(1, "ether"), from: accounts[7] }), 'failed', 'NOT_SIGNER');
+
+      yield client.execute({ to: accounts[5], value: web3.toWei(2, "ether"), from: accounts[0] });
+      expectSimulation(yield simulate.simulateExecute(client, { to: accounts[5], value: web3.toWei(1, "ether"), from: accounts[0] }), 'pending', 'OVER_DAILY_LIMIT');
+    }));
+
+    it("execute reports transactions left to the owners as pending even when one owner is required", co(function *() {
+      var singleOwnerClient = yield WalletClient.deploy({
+        Wallet: Wallet,
+        web3: web3,
+        owners: [accounts[1]],
+        required: 1,
+        dailyLimit: 0,
+        from: accounts[0]
+      });
+      web3.eth.sendTransaction({ from: accounts[0], to: singleOwnerClient.address, value: web3.toWei(10, "ether") });
+      var params = { to: accounts[5], value: web3.toWei(1, "ether"), from: accounts[0] };
+      expectSimulation(yield simulate.simulateExecute(singleOwnerClient, params), 'pending', 'OVER_DAILY_LIMIT');
+
+      // The transaction is only stored, for a later confirm to send
+      var startBalance = web3.eth.getBalance(accounts[5]);
+      yield singleOwnerClient.execute(params);
+      web3.eth.getBalance(accounts[5]).should.eql(startBalance);
+    }));
+
+    it("confirm reports confirmations which would not send the transaction", co(function *() {
+      yield client.execute({ to: accounts[5], value: web3.toWei(5, "ether"), from: accounts[0] });
+      var operationHash = (yield client.getPendingTransactions())[0].operation;
+
+      expectSimulation(yield simulate.simulateConfirm(client, operationHash, { from: accounts[1] }), 'sent');
+      expectSimulation(yield simulate.simulateConfirm(client, operationHash, { from: accounts[0] }), 'failed', 'ALREADY_CONFIRMED');
+      expectSimulation(yield simulate.simulateConfirm(client, operationHash, { from: accounts[7] }), 'failed', 'NOT_SIGNER');
+      expectSimulation(yield simulate.simulateConfirm(client, '0x' + util.stripHexPrefix(operationHash).replace(/./g, 'a'), { from: accounts[1] }), 'failed', 'UNKNOWN_OPERATION');
+
+      yield client.confirm(operationHash, { from: accounts[1] });
+      expectSimulation(yield simulate.simulateConfirm(client, operationHash, { from: accounts[2] }), 'failed', 'UNKNOWN_OPERATION');
+    }));
+  });
+});
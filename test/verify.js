@@ -0,0 +1,226 @@
+/* jshint undef: false, unused: true */
+
+require('should');
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+var _ = require('lodash');
+var util = require('ethereumjs-util');
+
+var helpers = require('./helpers');
+var operation = require('../lib/operation');
+var verify = require('../lib/verify');
+var walletUtil = require('../lib/util');
+var WalletClient = require('../lib/wallet');
+var WalletSimpleClient = require('../lib/walletsimple');
+
+contract('Verify', function(accounts) {
+  var expireTime = function() {
+    return Math.floor((new Date().getTime()) / 1000) + 60; // 60 seconds
+  };
+
+  it("Recovers the same address as recoverAddressFromSignature, including 0/1 versions", co(function *() {
+    var wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]], helpers.getNetworkId());
+    var operationHash = util.bufferToHex(util.sha3("recover me"));
+    var signature = helpers.sign(accounts[3], util.stripHexPrefix(operationHash));
+    verify.recoverAddress(operationHash, signature).should.eql(accounts[3]);
+    var contractRecoveredAddress = yield wallet.recoverAddressFromSignature.call(operationHash, signature);
+    contractRecoveredAddress.should.eql(accounts[3]);
+
+    // Nodes return either version, so check both
+    var signatureBuffer = util.toBuffer(signature);
+    signatureBuffer[64] %= 27;
+    verify.recoverAddress(operationHash, signatureBuffer).should.eql(accounts[3]);
+    signatureBuffer[64] += 27;
+    verify.recoverAddress(operationHash, signatureBuffer).should.eql(accounts[3]);
+  }));
+
+  it("Pads node signatures whose r or s lost leading zero bytes", function() {
+    // The private key of accounts[2] created by "npm run testrpc"
+    var privateKey = new Buffer('80bf357dd53e61db0e68acbb270e16fd42645903b51329c856cf3cb36f180a3e', 'hex');
+    var signer = util.bufferToHex(util.privateToAddress(privateKey));
+    // Find a signature whose r (then s) starts with a zero byte, and drop that byte like testrpc does
+    [0, 32].forEach(function(offset) {
+      var hash;
+      var ecSignature;
+      for (var i = 0; !ecSignature || ecSignature[offset ? 's' : 'r'][0] !== 0; i++) {
+        hash = util.sha3('pad me ' + i);
+        ecSignature = util.ecsign(hash, privateKey);
+      }
+      var signature = Buffer.concat([ecSignature.r, ecSignature.s, new Buffer([ecSignature.v])]);
+      var unpadded = Buffer.concat([signature.slice(0, offset), signature.slice(offset + 1, 64), new Buffer([ecSignature.v - 27])]);
+      walletUtil.normalizeSignature(util.bufferToHex(unpadded), util.bufferToHex(hash), signer)
+      .should.eql(util.bufferToHex(signature));
+    });
+  });
+
+  describe("WalletSimple", function() {
+    var client;
+    before(co(function *() {
+      client = yield WalletSimpleClient.deploy({
+        WalletSimple: WalletSimple,
+        web3: web3,
+        signers: [accounts[0], accounts[1], accounts[2]],
+        from: accounts[0]
+      });
+      web3.eth.sendTransaction({ from: accounts[0], to: client.address, value: web3.toWei(100, "ether") });
+    }));
+
+    var verifyParams = co(function *(params) {
+      params.signature = yield client.signOperation(params.otherSigner, {
+        to: params.toAddress,
+        value: params.value,
+        data: params.data,
+        expireTime: params.expireTime,
+        sequenceId: params.sequenceId
+      });
+      return yield verify.verifySignature(client, params);
+    });
+
+    it("Valid signature", co(function *() {
+      var result = yield verifyParams({
+        from: accounts[0],
+        otherSigner: accounts[1],
+        toAddress: accounts[5],
+        value: web3.toWei(1, "ether"),
+        expireTime: expireTime(),
+        sequenceId: 1
+      });
+      result.recoveredAddress.should.eql(accounts[1]);
+      result.isSigner.should.eql(true);
+      result.isSameAsSender.should.eql(false);
+      result.expired.should.eql(false);
+      result.sequenceIdAcceptable.should.eql(true);
+      result.valid.should.eql(true);
+    }));
+
+    it("Non-signer, own signature and expired", co(function *() {
+      var result = yield verifyParams({
+        from: accounts[0],
+        otherSigner: accounts[6],
+        toAddress: accounts[5],
+        value: web3.toWei(1, "ether"),
+        expireTime: expireTime(),
+        sequenceId: 1
+      });
+      result.isSigner.should.eql(false);
+      result.valid.should.eql(false);
+
+      result = yield verifyParams({
+        from: accounts[2],
+        otherSigner: accounts[2],
+        toAddress: accounts[5],
+        value: web3.toWei(1, "ether"),
+        expireTime: expireTime(),
+        sequenceId: 1
+      });
+      result.isSameAsSender.should.eql(true);
+      result.valid.should.eql(false);
+
+      result = yield verifyParams({
+        from: accounts[0],
+        otherSigner: accounts[1],
+        toAddress: accounts[5],
+        value: web3.toWei(1, "ether"),
+        expireTime: expireTime() - 1000,
+        sequenceId: 1
+      });
+      result.expired.should.eql(true);
+      result.valid.should.eql(false);
+    }));
+
+    it("Used sequence id is not acceptable", co(function *() {
+      yield client.sendMultiSig({
+        to: accounts[5],
+        value: web3.toWei(1, "ether"),
+        expireTime: expireTime(),
+        sequenceId: 7,
+        otherSigner: accounts[1],
+        from: accounts[0]
+      });
+      var window = yield client.getSequenceIdWindow();
+      window.should.containEql(7);
+
+      var result = yield verifyParams({
+        from: accounts[0],
+        otherSigner: accounts[1],
+        toAddress: accounts[5],
+        value: web3.toWei(1, "ether"),
+        expireTime: expireTime(),
+        sequenceId: 7
+      });
+      result.sequenceIdAcceptable.should.eql(false);
+      result.valid.should.eql(false);
+    }));
+
+    it("Typed data signature", co(function *() {
+      var params = {
+        from: accounts[0],
+        toAddress: accounts[5],
+        value: web3.toWei(1, "ether"),
+        expireTime: expireTime(),
+        sequenceId: 1,
+        typed: true
+      };
+      var typedData = client.getTypedOperationData({ to: params.toAddress, value: params.value, expireTime: params.expireTime, sequenceId: 1 });
+      params.signature = helpers.sign(accounts[1], util.stripHexPrefix(operation.hashTypedData(typedData)));
+      verify.recoverTypedDataSigner(typedData, params.signature).should.eql(accounts[1]);
+
+      var result = yield verify.verifySignature(client, params);
+      result.operationHash.should.eql(operation.hashTypedData(typedData));
+      result.recoveredAddress.should.eql(accounts[1]);
+      result.valid.should.eql(true);
+
+      // The same signature does not approve the operation hash
+      result = yield verify.verifySignature(client, _.extend({}, params, { typed: false }));
+      result.recoveredAddress.should.not.eql(accounts[1]);
+      result.valid.should.eql(false);
+
+      try {
+        yield verify.verifySignature(client, _.extend({ tokenContractAddress: accounts[9] }, params));
+        throw new Error("should not be here");
+      } catch(e) {
+        e.message.should.match(/typed data/);
+      }
+    }));
+  });
+
+  describe("Wallet", function() {
+    it("Checks the signer against the owners and reads the sequence id window", co(function *() {
+      var client = yield WalletClient.deploy({
+        Wallet: Wallet,
+        web3: web3,
+        owners: [accounts[1], accounts[2]],
+        required: 2,
+        dailyLimit: 0,
+        from: accounts[0]
+      });
+      web3.eth.sendTransaction({ from: accounts[0], to: client.address, value: web3.toWei(100, "ether") });
+      yield client.executeAndConfirm({
+        to: accounts[5],
+        value: web3.toWei(1, "ether"),
+        expireTime: expireTime(),
+        sequenceId: 3,
+        otherSigner: accounts[1],
+        from: accounts[0]
+      });
+      var window = yield client.getSequenceIdWindow();
+      window.should.containEql(3);
+
+      var params = {
+        from: accounts[0],
+        toAddress: accounts[5],
+        value: web3.toWei(1, "ether"),
+        expireTime: expireTime(),
+        sequenceId: 4
+      };
+      params.signature = yield client.signOperation(accounts[2], { to: params.toAddress, value: params.value, expireTime: params.expireTime, sequenceId: params.sequenceId });
+      var result = yield verify.verifySignature(client, params);
+      result.recoveredAddress.should.eql(accounts[2]);
+      result.valid.should.eql(true);
+
+      params.signature = yield client.signOperation(accounts[7], { to: params.toAddress, value: params.value, expireTime: params.expireTime, sequenceId: params.sequenceId });
+      result = yield verify.verifySignature(client, params);
+      result.isSigner.should.eql(false);
+    }));
+  });
+});
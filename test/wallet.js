@@ -10,28 +10,9 @@ var helpers = require('./helpers');
 var abi = require('ethereumjs-abi');
 var util = require('ethereumjs-util');
 var crypto = require('crypto');
-var BN = require('bn.js');
 
 contract('Wallet', function(accounts) {
   var wallet;
-  var walletEvents;
-  var watcher;
-
-  // Set up and tear down events logging on all tests. the wallet will be set up in the before() of each test block.
-  beforeEach(function() {
-    if (wallet) {
-      walletEvents = [];
-      // Set up event watcher
-      watcher = wallet.allEvents({}, function (error, event) {
-        walletEvents.push(event);
-      });
-    }
-  });
-  afterEach(function() {
-    if (watcher) {
-      watcher.stopWatching();
-    }
-  });
 
   /**
    * Helper method to get owners on the wallet
@@ -110,7 +91,7 @@ contract('Wallet', function(accounts) {
 
   describe("Wallet creation", function() {
     it("2 of 3 multisig wallet with 2 required and limit of 0", function () {
-      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(0, "ether"), {from: accounts[0]})
+      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(0, "ether"), helpers.getNetworkId(), {from: accounts[0]})
       .then(function(result) {
         wallet = result;
         // Check numerical constants
@@ -162,7 +143,7 @@ contract('Wallet', function(accounts) {
         var dailyLimit = params.dailyLimit || 10;
 
         console.log("Testing numAccounts: " + numAccounts + ", signaturesRequired: " + signaturesRequired + ", dailyLimit: " + dailyLimit + " ETH");
-        return Wallet.new(accounts.slice(1, numAccounts), signaturesRequired, web3.toWei(dailyLimit, "ether"), {from: accounts[0]})
+        return Wallet.new(accounts.slice(1, numAccounts), signaturesRequired, web3.toWei(dailyLimit, "ether"), helpers.getNetworkId(), {from: accounts[0]})
         .then(function (result) {
           wallet = result;
           return Promise.all([
@@ -197,7 +178,7 @@ contract('Wallet', function(accounts) {
 
   describe("Deposits", function() {
     before(function() {
-      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(100, "ether"), {from: accounts[0]})
+      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(100, "ether"), helpers.getNetworkId(), {from: accounts[0]})
       .then(function(result) {
         wallet = result;
       });
@@ -208,13 +189,11 @@ contract('Wallet', function(accounts) {
       .then(function() {
         return web3.eth.sendTransaction({from: accounts[0], to: wallet.address, value: web3.toWei(2000, "ether")});
       })
-      .then(function() {
-        return helpers.waitForEvents(walletEvents); // wait for events to come in
+      .then(function(txHash) {
+        return helpers.expectEvent(wallet, txHash, 'Deposit');
       })
-      .then(function() {
-        var depositEvent = _.find(walletEvents, function(event) {
-          return event.event === 'Deposit';
-        });
+      .then(function(events) {
+        var depositEvent = events[0];
         depositEvent.args._from.should.eql(accounts[0]);
         depositEvent.args.value.should.eql(web3.toBigNumber(web3.toWei(2000, "ether")));
       });
@@ -228,7 +207,7 @@ contract('Wallet', function(accounts) {
     it("Create and forward", function () {
       var forwarderContractAddress;
       var wallet;
-      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(0, "ether"), {from: accounts[0]})
+      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(0, "ether"), helpers.getNetworkId(), {from: accounts[0]})
       .then(function(result) {
         wallet = result;
         forwarderContractAddress = util.bufferToHex(util.generateAddress(wallet.address, 0));
@@ -243,6 +222,8 @@ contract('Wallet', function(accounts) {
       .then(function(txHash) {
         web3.fromWei(web3.eth.getBalance(forwarderContractAddress), 'ether').should.eql(web3.toBigNumber(0));
         web3.fromWei(web3.eth.getBalance(wallet.address), 'ether').should.eql(web3.toBigNumber(200));
+        // The wallet records the deposit as coming from the forwarder
+        return helpers.expectEvent(wallet, txHash, 'Deposit', { _from: forwarderContractAddress, value: web3.toWei(200, "ether") });
       });
     });
 
@@ -250,7 +231,7 @@ contract('Wallet', function(accounts) {
       var wallet;
       var numForwardAddresses = 10;
       var etherEachSend = 4;
-      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(0, "ether"), {from: accounts[0]})
+      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(0, "ether"), helpers.getNetworkId(), {from: accounts[0]})
       .then(function(result) {
         wallet = result;
         // Create forwarder contracts first
@@ -274,7 +255,7 @@ contract('Wallet', function(accounts) {
     it("Send before create, then flush", function () {
       var wallet;
       var forwarderContractAddress;
-      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(0, "ether"), {from: accounts[0]})
+      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(0, "ether"), helpers.getNetworkId(), {from: accounts[0]})
       .then(function(result) {
         wallet = result;
         forwarderContractAddress = util.bufferToHex(util.generateAddress(wallet.address, 0));
@@ -299,7 +280,7 @@ contract('Wallet', function(accounts) {
     it("Flush sent from external account", function () {
       var wallet;
       var forwarderContractAddress;
-      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(0, "ether"), {from: accounts[0]})
+      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(0, "ether"), helpers.getNetworkId(), {from: accounts[0]})
       .then(function(result) {
         wallet = result;
         forwarderContractAddress = util.bufferToHex(util.generateAddress(wallet.address, 0));
@@ -320,11 +301,57 @@ contract('Wallet', function(accounts) {
         web3.fromWei(web3.eth.getBalance(wallet.address), 'ether').should.eql(web3.toBigNumber(300));
       });
     });
+
+    it("Flush tokens from a forwarder", function () {
+      var wallet;
+      var token;
+      var forwarderContractAddress;
+      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(0, "ether"), helpers.getNetworkId(), {from: accounts[0]})
+      .then(function(result) {
+        wallet = result;
+        forwarderContractAddress = util.bufferToHex(util.generateAddress(wallet.address, 0));
+        return wallet.createForwarder({ from: accounts[0] });
+      })
+      .then(function() {
+        return ERC20Mock.new(1000, { from: accounts[3] });
+      })
+      .then(function(result) {
+        token = result;
+        return token.transfer(forwarderContractAddress, 400, { from: accounts[3] });
+      })
+      .then(function() {
+        // Anyone but an owner is ignored
+        return wallet.flushForwarderTokens(forwarderContractAddress, token.address, { from: accounts[5] });
+      })
+      .then(function(txHash) {
+        return Promise.all([
+          token.balanceOf.call(forwarderContractAddress),
+          helpers.expectNoEvent(Forwarder.at(forwarderContractAddress), txHash, 'TokensFlushed')
+        ]);
+      })
+      .spread(function(forwarderBalance) {
+        forwarderBalance.should.eql(web3.toBigNumber(400));
+
+        // A single owner is enough, as the tokens can only go to the wallet
+        return wallet.flushForwarderTokens(forwarderContractAddress, token.address, { from: accounts[2] });
+      })
+      .then(function(txHash) {
+        return Promise.all([
+          token.balanceOf.call(forwarderContractAddress),
+          token.balanceOf.call(wallet.address),
+          helpers.expectEvent(Forwarder.at(forwarderContractAddress), txHash, 'TokensFlushed', { tokenContractAddress: token.address, value: 400 })
+        ]);
+      })
+      .spread(function(forwarderBalance, walletBalance) {
+        forwarderBalance.should.eql(web3.toBigNumber(0));
+        walletBalance.should.eql(web3.toBigNumber(400));
+      });
+    });
   });
 
   describe("Transaction execution (under daily limit)", function() {
     before(function() {
-      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(100, "ether"), {from: accounts[0]})
+      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(100, "ether"), helpers.getNetworkId(), {from: accounts[0]})
       .then(function(result) {
         wallet = result;
 
@@ -364,7 +391,7 @@ contract('Wallet', function(accounts) {
 
       // Send 51 ether out of the wallet contract
       return wallet.execute(accounts[2], web3.toWei(51, "ether"), "", { from: accounts[0] })
-      .then(function() {
+      .then(function(txHash) {
         // Check other account balance
         var otherAccountEndEther = web3.fromWei(web3.eth.getBalance(accounts[2]), 'ether');
         otherAccountStartEther.plus(51).should.eql(otherAccountEndEther);
@@ -373,13 +400,11 @@ contract('Wallet', function(accounts) {
         var msigWalletEndEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
         msigWalletStartEther.minus(51).should.eql(msigWalletEndEther);
 
-        return helpers.waitForEvents(walletEvents); // wait for events to come in
+        return helpers.expectEvent(wallet, txHash, 'SingleTransact');
       })
-      .then(function() {
+      .then(function(events) {
         // Check wallet events
-        var singleTransactEvent = _.find(walletEvents, function(event) {
-          return event.event === 'SingleTransact';
-        });
+        var singleTransactEvent = events[0];
         singleTransactEvent.args.owner.should.eql(accounts[0]);
         singleTransactEvent.args.value.should.eql(web3.toBigNumber(web3.toWei(51, "ether")));
         singleTransactEvent.args.to.should.eql(accounts[2]);
@@ -459,7 +484,7 @@ contract('Wallet', function(accounts) {
   describe("Transaction execution (over daily limit, requiring a confirmation tx)", function() {
     before(function() {
       // Create a new wallet with a limit of 0
-      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(0, "ether"), {from: accounts[0]})
+      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(0, "ether"), helpers.getNetworkId(), {from: accounts[0]})
       .then(function(result) {
         wallet = result;
 
@@ -478,7 +503,7 @@ contract('Wallet', function(accounts) {
 
       // Send ether out of the wallet contract
       return wallet.execute(otherAccount, web3.toWei(10, "ether"), "", { from: accounts[1] })
-      .then(function() {
+      .then(function(txHash) {
         // Check other account balance
         var otherAccountEndEther = web3.fromWei(web3.eth.getBalance(otherAccount), 'ether');
         otherAccountStartEther.plus(0).should.eql(otherAccountEndEther);
@@ -487,13 +512,11 @@ contract('Wallet', function(accounts) {
         var msigWalletEndEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
         msigWalletStartEther.minus(0).should.eql(msigWalletEndEther);
 
-        return helpers.waitForEvents(walletEvents); // wait for events to come in
+        return helpers.expectEvent(wallet, txHash, 'ConfirmationNeeded');
       })
-      .then(function() {
+      .then(function(events) {
         // Check wallet events for ConfirmationNeeded
-        var confirmationNeededEvent = _.find(walletEvents, function(event) {
-          return event.event === 'ConfirmationNeeded';
-        });
+        var confirmationNeededEvent = events[0];
         confirmationNeededEvent.args.initiator.should.eql(accounts[1]);
         confirmationNeededEvent.args.value.should.eql(web3.toBigNumber(web3.toWei(10, "ether")));
         confirmationNeededEvent.args.to.should.eql(otherAccount);
@@ -515,7 +538,7 @@ contract('Wallet', function(accounts) {
 
         return wallet.confirm(operationHash, { from: accounts[0] });
       })
-      .then(function() {
+      .then(function(txHash) {
         // Check other account balance
         var otherAccountEndEther = web3.fromWei(web3.eth.getBalance(otherAccount), 'ether');
         otherAccountStartEther.plus(10).should.eql(otherAccountEndEther);
@@ -524,13 +547,11 @@ contract('Wallet', function(accounts) {
         var msigWalletEndEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
         msigWalletStartEther.minus(10).should.eql(msigWalletEndEther);
 
-        return helpers.waitForEvents(walletEvents); // wait for events to come in
+        return helpers.expectEvent(wallet, txHash, 'MultiTransact');
       })
-      .then(function() {
+      .then(function(events) {
         // Check wallet events for MultiTransact event
-        var multiTransactEvent = _.find(walletEvents, function(event) {
-          return event.event === 'MultiTransact';
-        });
+        var multiTransactEvent = events[0];
         multiTransactEvent.args.owner.should.eql(accounts[0]);
         multiTransactEvent.args.operation.should.eql(operationHash);
         multiTransactEvent.args.value.should.eql(web3.toBigNumber(web3.toWei(10, "ether")));
@@ -551,7 +572,7 @@ contract('Wallet', function(accounts) {
 
       // Send ether out of the wallet contract
       return wallet.execute(accounts[2], web3.toWei(15, "ether"), "", { from: accounts[1] })
-      .then(function() {
+      .then(function(txHash) {
         // Check other account balance
         var otherAccountEndEther = web3.fromWei(web3.eth.getBalance(destination), 'ether');
         otherAccountStartEther.plus(0).should.eql(otherAccountEndEther);
@@ -560,13 +581,11 @@ contract('Wallet', function(accounts) {
         var msigWalletEndEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
         msigWalletStartEther.minus(0).should.eql(msigWalletEndEther);
 
-        return helpers.waitForEvents(walletEvents); // wait for events to come in
+        return helpers.expectEvent(wallet, txHash, 'ConfirmationNeeded');
       })
-      .then(function() {
+      .then(function(events) {
         // Check wallet events for ConfirmationNeeded
-        var confirmationNeededEvent = _.find(walletEvents, function(event) {
-          return event.event === 'ConfirmationNeeded';
-        });
+        var confirmationNeededEvent = events[0];
         confirmationNeededEvent.args.initiator.should.eql(accounts[1]);
         confirmationNeededEvent.args.value.should.eql(web3.toBigNumber(web3.toWei(15, "ether")));
         confirmationNeededEvent.args.to.should.eql(destination);
@@ -586,13 +605,11 @@ contract('Wallet', function(accounts) {
         var msigWalletEndEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
         msigWalletStartEther.minus(15).should.eql(msigWalletEndEther);
 
-        return helpers.waitForEvents(walletEvents); // wait for events to come in
+        return helpers.expectEvent(wallet, txHash, 'MultiTransact');
       })
-      .then(function() {
+      .then(function(events) {
         // Check wallet events for MultiTransact event
-        var multiTransactEvent = _.find(walletEvents, function(event) {
-          return event.event === 'MultiTransact';
-        });
+        var multiTransactEvent = events[0];
         multiTransactEvent.args.owner.should.eql(destination);
         multiTransactEvent.args.operation.should.eql(operationHash);
         multiTransactEvent.args.value.should.eql(web3.toBigNumber(web3.toWei(15, "ether")));
@@ -608,7 +625,7 @@ contract('Wallet', function(accounts) {
 
       // Send data out of the wallet contract
       return wallet.execute(otherAccount, web3.toWei(0, "ether"), "", { from: accounts[1] })
-      .then(function() {
+      .then(function(txHash) {
         // Check other account balance
         var otherAccountEndEther = web3.fromWei(web3.eth.getBalance(otherAccount), 'ether');
         otherAccountStartEther.plus(0).should.eql(otherAccountEndEther);
@@ -617,13 +634,11 @@ contract('Wallet', function(accounts) {
         var msigWalletEndEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
         msigWalletStartEther.minus(0).should.eql(msigWalletEndEther);
 
-        return helpers.waitForEvents(walletEvents); // wait for events to come in
+        return helpers.expectEvent(wallet, txHash, 'ConfirmationNeeded');
       })
-      .then(function() {
+      .then(function(events) {
         // Check wallet events for ConfirmationNeeded
-        var confirmationNeededEvent = _.find(walletEvents, function(event) {
-          return event.event === 'ConfirmationNeeded';
-        });
+        var confirmationNeededEvent = events[0];
         confirmationNeededEvent.args.initiator.should.eql(accounts[1]);
         confirmationNeededEvent.args.value.should.eql(web3.toBigNumber(web3.toWei(0, "ether")));
         confirmationNeededEvent.args.to.should.eql(wallet.address);
@@ -657,13 +672,11 @@ contract('Wallet', function(accounts) {
         var msigWalletEndEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
         msigWalletStartEther.minus(0).should.eql(msigWalletEndEther);
 
-        return helpers.waitForEvents(walletEvents); // wait for events to come in
+        return helpers.expectEvent(wallet, txHash, 'MultiTransact');
       })
-      .then(function() {
+      .then(function(events) {
         // Check wallet events for MultiTransact event
-        var multiTransactEvent = _.find(walletEvents, function(event) {
-          return event.event === 'MultiTransact';
-        });
+        var multiTransactEvent = events[0];
         multiTransactEvent.args.owner.should.eql(accounts[2]);
         multiTransactEvent.args.operation.should.eql(operationHash);
         multiTransactEvent.args.value.should.eql(web3.toBigNumber(web3.toWei(0, "ether")));
@@ -677,14 +690,14 @@ contract('Wallet', function(accounts) {
       var msigWalletStartEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
       var operationHash;
 
-      return Wallet.new([accounts[3], accounts[4]], 2, web3.toWei(0, "ether"), { from: accounts[5] })
+      return Wallet.new([accounts[3], accounts[4]], 2, web3.toWei(0, "ether"), helpers.getNetworkId(), { from: accounts[5] })
       .then(function(otherWallet) {
         otherAccount = otherWallet.address;
         otherAccountStartEther = web3.fromWei(web3.eth.getBalance(otherAccount), 'ether');
         // Send to other contract
         return wallet.execute(otherAccount, web3.toWei(0, "ether"), "0xab3456", { from: accounts[1] })
       })
-      .then(function() {
+      .then(function(txHash) {
         // Check other account balance
         var otherAccountEndEther = web3.fromWei(web3.eth.getBalance(otherAccount), 'ether');
         otherAccountStartEther.plus(0).should.eql(otherAccountEndEther);
@@ -693,13 +706,11 @@ contract('Wallet', function(accounts) {
         var msigWalletEndEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
         msigWalletStartEther.minus(0).should.eql(msigWalletEndEther);
 
-        return helpers.waitForEvents(walletEvents); // wait for events to come in
+        return helpers.expectEvent(wallet, txHash, 'ConfirmationNeeded');
       })
-      .then(function() {
+      .then(function(events) {
         // Check wallet events for ConfirmationNeeded
-        var confirmationNeededEvent = _.find(walletEvents, function(event) {
-          return event.event === 'ConfirmationNeeded';
-        });
+        var confirmationNeededEvent = events[0];
         confirmationNeededEvent.args.initiator.should.eql(accounts[1]);
         confirmationNeededEvent.args.data.should.eql("0xab3456");
         confirmationNeededEvent.args.value.should.eql(web3.toBigNumber(web3.toWei(0, "ether")));
@@ -735,13 +746,11 @@ contract('Wallet', function(accounts) {
         var msigWalletEndEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
         msigWalletStartEther.minus(0).should.eql(msigWalletEndEther);
 
-        return helpers.waitForEvents(walletEvents); // wait for events to come in
+        return helpers.expectEvent(wallet, txHash, 'MultiTransact');
       })
-      .then(function() {
+      .then(function(events) {
         // Check wallet events for MultiTransact event
-        var multiTransactEvent = _.find(walletEvents, function(event) {
-          return event.event === 'MultiTransact';
-        });
+        var multiTransactEvent = events[0];
         multiTransactEvent.args.owner.should.eql(accounts[0]);
         multiTransactEvent.args.operation.should.eql(operationHash);
         multiTransactEvent.args.data.should.eql("0xab3456");
@@ -758,7 +767,7 @@ contract('Wallet', function(accounts) {
 
       // Send ether out of the wallet contract
       return wallet.execute(otherAccount, web3.toWei(11, "ether"), "", { from: accounts[1] })
-      .then(function() {
+      .then(function(txHash) {
         // Check other account balance
         var otherAccountEndEther = web3.fromWei(web3.eth.getBalance(otherAccount), 'ether');
         otherAccountStartEther.plus(0).should.eql(otherAccountEndEther);
@@ -767,13 +776,11 @@ contract('Wallet', function(accounts) {
         var msigWalletEndEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
         msigWalletStartEther.minus(0).should.eql(msigWalletEndEther);
 
-        return helpers.waitForEvents(walletEvents); // wait for events to come in
+        return helpers.expectEvent(wallet, txHash, 'ConfirmationNeeded');
       })
-      .then(function() {
+      .then(function(events) {
         // Check wallet events for ConfirmationNeeded
-        var confirmationNeededEvent = _.find(walletEvents, function(event) {
-          return event.event === 'ConfirmationNeeded';
-        });
+        var confirmationNeededEvent = events[0];
         confirmationNeededEvent.args.initiator.should.eql(accounts[1]);
         confirmationNeededEvent.args.value.should.eql(web3.toBigNumber(web3.toWei(11, "ether")));
         confirmationNeededEvent.args.to.should.eql(otherAccount);
@@ -811,7 +818,7 @@ contract('Wallet', function(accounts) {
 
       // Send ether out of the wallet contract
       return wallet.execute(accounts[2], web3.toWei(12, "ether"), "", { from: accounts[1] })
-      .then(function() {
+      .then(function(txHash) {
         // Check other account balance
         var otherAccountEndEther = web3.fromWei(web3.eth.getBalance(accounts[2]), 'ether');
         otherAccountStartEther.plus(0).should.eql(otherAccountEndEther);
@@ -820,13 +827,11 @@ contract('Wallet', function(accounts) {
         var msigWalletEndEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
         msigWalletStartEther.minus(0).should.eql(msigWalletEndEther);
 
-        return helpers.waitForEvents(walletEvents); // wait for events to come in
+        return helpers.expectEvent(wallet, txHash, 'ConfirmationNeeded');
       })
-      .then(function() {
+      .then(function(events) {
         // Check wallet events for ConfirmationNeeded
-        var confirmationNeededEvent = _.find(walletEvents, function(event) {
-          return event.event === 'ConfirmationNeeded';
-        });
+        var confirmationNeededEvent = events[0];
         confirmationNeededEvent.args.initiator.should.eql(accounts[1]);
         confirmationNeededEvent.args.value.should.eql(web3.toBigNumber(web3.toWei(12, "ether")));
         confirmationNeededEvent.args.to.should.eql(accounts[2]);
@@ -919,7 +924,7 @@ contract('Wallet', function(accounts) {
   describe("Revoke pending transactions", function() {
     before(function () {
       // Create a new wallet with a limit of 0
-      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(0, "ether"), {from: accounts[0]})
+      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(0, "ether"), helpers.getNetworkId(), {from: accounts[0]})
       .then(function (result) {
         wallet = result;
 
@@ -938,7 +943,7 @@ contract('Wallet', function(accounts) {
 
       // Send ether out of the wallet contract
       return wallet.execute(accounts[2], web3.toWei(10, "ether"), "", { from: accounts[1] })
-      .then(function() {
+      .then(function(txHash) {
         // Check other account balance
         var otherAccountEndEther = web3.fromWei(web3.eth.getBalance(accounts[2]), 'ether');
         otherAccountStartEther.plus(0).should.eql(otherAccountEndEther);
@@ -947,13 +952,11 @@ contract('Wallet', function(accounts) {
         var msigWalletEndEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
         msigWalletStartEther.minus(0).should.eql(msigWalletEndEther);
 
-        return helpers.waitForEvents(walletEvents); // wait for events to come in
+        return helpers.expectEvent(wallet, txHash, 'ConfirmationNeeded');
       })
-      .then(function() {
+      .then(function(events) {
         // Check wallet events for ConfirmationNeeded
-        var confirmationNeededEvent = _.find(walletEvents, function (event) {
-          return event.event === 'ConfirmationNeeded';
-        });
+        var confirmationNeededEvent = events[0];
         confirmationNeededEvent.args.initiator.should.eql(accounts[1]);
         confirmationNeededEvent.args.value.should.eql(web3.toBigNumber(web3.toWei(10, "ether")));
         confirmationNeededEvent.args.to.should.eql(accounts[2]);
@@ -961,14 +964,12 @@ contract('Wallet', function(accounts) {
 
         return wallet.revoke(operationHash, {from: accounts[1]});
       })
-      .then(function() {
-        return helpers.waitForEvents(walletEvents); // wait for events to come in
+      .then(function(txHash) {
+        return helpers.expectEvent(wallet, txHash, 'Revoke');
       })
-      .then(function() {
+      .then(function(events) {
         // Check wallet events for Revoke
-        var revokeEvent = _.find(walletEvents, function (event) {
-          return event.event === 'Revoke';
-        });
+        var revokeEvent = events[0];
         revokeEvent.args.owner.should.eql(accounts[1]);
         revokeEvent.args.operation.should.eql(operationHash);
 
@@ -992,7 +993,7 @@ contract('Wallet', function(accounts) {
 
       // Send ether out of the wallet contract
       return wallet.execute(accounts[2], web3.toWei(10, "ether"), "", { from: accounts[1] })
-      .then(function() {
+      .then(function(txHash) {
         // Check other account balance
         var otherAccountEndEther = web3.fromWei(web3.eth.getBalance(accounts[2]), 'ether');
         otherAccountStartEther.plus(0).should.eql(otherAccountEndEther);
@@ -1001,13 +1002,11 @@ contract('Wallet', function(accounts) {
         var msigWalletEndEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
         msigWalletStartEther.minus(0).should.eql(msigWalletEndEther);
 
-        return helpers.waitForEvents(walletEvents); // wait for events to come in
+        return helpers.expectEvent(wallet, txHash, 'ConfirmationNeeded');
       })
-      .then(function() {
+      .then(function(events) {
         // Check wallet events for ConfirmationNeeded
-        var confirmationNeededEvent = _.find(walletEvents, function (event) {
-          return event.event === 'ConfirmationNeeded';
-        });
+        var confirmationNeededEvent = events[0];
         confirmationNeededEvent.args.initiator.should.eql(accounts[1]);
         confirmationNeededEvent.args.value.should.eql(web3.toBigNumber(web3.toWei(10, "ether")));
         confirmationNeededEvent.args.to.should.eql(accounts[2]);
@@ -1033,7 +1032,7 @@ contract('Wallet', function(accounts) {
   describe("Execution and confirmation using ecrecover (single tx 2 confirms)", function() {
     before(function () {
       // create wallet with limit of 0
-      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(0, "ether"), {from: accounts[0]})
+      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(0, "ether"), helpers.getNetworkId(), {from: accounts[0]})
       .then(function (result) {
         wallet = result;
 
@@ -1054,12 +1053,9 @@ contract('Wallet', function(accounts) {
       });
     });
 
-    // Helper to get sha3 for solidity tightly-packed arguments
+    // Helper to get sha3 for solidity tightly-packed arguments, bound to the wallet under test
     var getSha3ForConfirmationTx = function(toAddress, amount, data, expireTime, sequenceId) {
-      return abi.soliditySHA3(
-        [ "address", "uint", "string", "uint", "uint" ],
-        [ new BN(toAddress.replace("0x", ""), 16), web3.toWei(amount, "ether"), data, expireTime, sequenceId ]
-      ).toString('hex');
+      return helpers.getSha3ForConfirmationTx(wallet.address, toAddress, amount, data, expireTime, sequenceId);
     };
 
     it("Send out 50 ether with 2 users in a single transaction", function () {
@@ -1072,13 +1068,13 @@ contract('Wallet', function(accounts) {
       var msigWalletStartEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
 
       var operationHash = getSha3ForConfirmationTx(otherAccount, amount, data, expireTime, sequenceId);
-      var sig = web3.eth.sign(accounts[1], operationHash);
+      var sig = helpers.sign(accounts[1], operationHash);
       operationHash = "0x" + operationHash;
 
       sequenceId.should.eql(1);
 
       return wallet.executeAndConfirm(otherAccount, web3.toWei(amount, "ether"), data, expireTime, sequenceId, sig, {from: accounts[0]})
-      .then(function () {
+      .then(function(txHash) {
         // Check other account balance
         var otherAccountEndEther = web3.fromWei(web3.eth.getBalance(otherAccount), 'ether');
         otherAccountStartEther.plus(amount).should.eql(otherAccountEndEther);
@@ -1087,29 +1083,23 @@ contract('Wallet', function(accounts) {
         var msigWalletEndEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
         msigWalletStartEther.minus(amount).should.eql(msigWalletEndEther);
 
-        return helpers.waitForEvents(walletEvents, 2); // wait for events to come in
+        return Promise.all([
+          helpers.expectEvent(wallet, txHash, 'MultiTransact'),
+          // Find the confirmation event by the first user
+          helpers.expectEvent(wallet, txHash, 'Confirmation', { owner: accounts[0], operation: operationHash }),
+          // Find the confirmation event by the second user
+          helpers.expectEvent(wallet, txHash, 'Confirmation', { owner: accounts[1], operation: operationHash })
+        ]);
       })
-      .then(function() {
+      .spread(function(multiTransactEvents) {
         // Check wallet events for MultiTransact event
-        var multiTransactEvent = _.find(walletEvents, function(event) {
-          return event.event === 'MultiTransact';
-        });
+        var multiTransactEvent = multiTransactEvents[0];
         multiTransactEvent.args.owner.should.eql(accounts[0]);
         multiTransactEvent.args.operation.should.eql(operationHash);
         multiTransactEvent.args.value.should.eql(web3.toBigNumber(web3.toWei(amount, "ether")));
         multiTransactEvent.args.to.should.eql(otherAccount);
         multiTransactEvent.args.data.should.eql("0x" + new Buffer(data).toString("hex"));
 
-        // Find the confirmation event by the first user
-        _.some(walletEvents, function(event) {
-          return event.event === 'Confirmation' && event.args.owner === accounts[0] && event.args.operation === operationHash;
-        }).should.eql(true);
-
-        // Find the confirmation event by the second user
-        _.some(walletEvents, function(event) {
-          return event.event === 'Confirmation' && event.args.owner === accounts[1] && event.args.operation === operationHash;
-        }).should.eql(true);
-
         return wallet.getNextSequenceId.call();
       })
       .then(function(nextSequenceId) {
@@ -1133,10 +1123,7 @@ contract('Wallet', function(accounts) {
         var msigWalletStartEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
 
         var operationHash = getSha3ForConfirmationTx(otherAccount, amount, data, expireTime, sequenceId);
-        var sig = web3.eth.sign(accounts[0], operationHash);
-        if (sig.length !== 132) {
-          return stressTest(); // TODO: FIX THIS WORKAROUND, TestRPC is signing incorrectly (returning too small sigs)
-        }
+        var sig = helpers.sign(accounts[0], operationHash);
 
         console.log("ExpectSuccess " + round + ": " + amount + "ETH, seqId: " + sequenceId + ", operationHash: " + operationHash + ", sig: " + sig);
 
@@ -1174,11 +1161,7 @@ contract('Wallet', function(accounts) {
         var msigWalletStartEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
 
         var operationHash = getSha3ForConfirmationTx(otherAccount, amount, data, expireTime, sequenceId);
-        var sig = web3.eth.sign(accounts[0], operationHash);
-
-        if (sig.length !== 132) {
-          return stressTest(); // TODO: FIX THIS WORKAROUND, TestRPC is signing incorrectly (returning too small sigs)
-        }
+        var sig = helpers.sign(accounts[0], operationHash);
         console.log("ExpectThrow " + round + ": " + amount + "ETH, seqId: " + sequenceId + ", operationHash: " + operationHash + ", sig: " + sig);
 
         return wallet.executeAndConfirm(otherAccount, web3.toWei(amount, "ether"), data, expireTime, sequenceId, sig, {from: accounts[1]})
@@ -1217,11 +1200,7 @@ contract('Wallet', function(accounts) {
         var msigWalletStartEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
 
         var operationHash = getSha3ForConfirmationTx(otherAccount, amount, data, expireTime, sequenceId);
-        var sig = web3.eth.sign(accounts[5+round%5], operationHash);
-
-        if (sig.length !== 132) {
-          return stressTest(); // TODO: FIX THIS WORKAROUND, TestRPC is signing incorrectly (returning too small sigs)
-        }
+        var sig = helpers.sign(accounts[5+round%5], operationHash);
         console.log("ExpectFail " + round + ": " + amount + "ETH, seqId: " + sequenceId + ", operationHash: " + operationHash + ", sig: " + sig);
 
         return wallet.executeAndConfirm(otherAccount, web3.toWei(amount, "ether"), data, expireTime, sequenceId, sig, {from: accounts[1]})
@@ -1250,7 +1229,7 @@ contract('Wallet', function(accounts) {
       var msigWalletStartEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
 
       var operationHash = getSha3ForConfirmationTx(otherAccount, amount, "", expireTime, sequenceId);
-      var sig = web3.eth.sign(accounts[1], operationHash);
+      var sig = helpers.sign(accounts[1], operationHash);
 
       operationHash = "0x" + operationHash;
 
@@ -1275,7 +1254,7 @@ contract('Wallet', function(accounts) {
       var msigWalletStartEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
 
       var operationHash = getSha3ForConfirmationTx(otherAccount, amount, "", expireTime, sequenceId);
-      var sig = web3.eth.sign(accounts[1], operationHash);
+      var sig = helpers.sign(accounts[1], operationHash);
 
       operationHash = "0x" + operationHash;
 
@@ -1300,7 +1279,7 @@ contract('Wallet', function(accounts) {
       var msigWalletStartEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
 
       var operationHash = getSha3ForConfirmationTx(otherAccount, amount, "", expireTime, sequenceId);
-      var sig = web3.eth.sign(accounts[1], operationHash);
+      var sig = helpers.sign(accounts[1], operationHash);
       operationHash = "0x" + operationHash;
 
       return wallet.executeAndConfirm(otherAccount, web3.toWei(amount, "ether"), "zzz", expireTime, sequenceId, sig, {from: accounts[0]})
@@ -1324,7 +1303,7 @@ contract('Wallet', function(accounts) {
       var msigWalletStartEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
 
       var operationHash = getSha3ForConfirmationTx(otherAccount, amount, "", expireTime, sequenceId);
-      var sig = web3.eth.sign(accounts[1], operationHash);
+      var sig = helpers.sign(accounts[1], operationHash);
       operationHash = "0x" + operationHash;
 
       return wallet.executeAndConfirm(otherAccount, web3.toWei(amount, "ether"), "", expireTime + 1000, sequenceId, sig, {from: accounts[0]})
@@ -1348,7 +1327,7 @@ contract('Wallet', function(accounts) {
       var msigWalletStartEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
 
       var hash = getSha3ForConfirmationTx(otherAccount, amount, "", expireTime, sequenceId);
-      var sig = web3.eth.sign(accounts[0], hash);
+      var sig = helpers.sign(accounts[0], hash);
 
       return wallet.executeAndConfirm(otherAccount, web3.toWei(amount, "ether"), "", expireTime, sequenceId, sig, {from: accounts[0]})
       .then(function () {
@@ -1371,7 +1350,7 @@ contract('Wallet', function(accounts) {
       var msigWalletStartEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
 
       var hash = getSha3ForConfirmationTx(otherAccount, amount, "", expireTime, sequenceId);
-      var sig = web3.eth.sign(accounts[1], hash);
+      var sig = helpers.sign(accounts[1], hash);
 
       return wallet.executeAndConfirm(otherAccount, web3.toWei(amount, "ether"), "", expireTime, sequenceId, sig, {from: accounts[9]})
       .then(function () {
@@ -1394,10 +1373,10 @@ contract('Wallet', function(accounts) {
       var msigWalletStartEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
 
       var operationHash = getSha3ForConfirmationTx(otherAccount, amount, "", expireTime, sequenceId);
-      var sig = web3.eth.sign(accounts[8], operationHash);
+      var sig = helpers.sign(accounts[8], operationHash);
 
       return wallet.executeAndConfirm(otherAccount, web3.toWei(amount, "ether"), "", expireTime, sequenceId, sig, {from: accounts[2]})
-      .then(function () {
+      .then(function(txHash) {
         // Check other account balance
         var otherAccountEndEther = web3.fromWei(web3.eth.getBalance(otherAccount), 'ether');
         otherAccountStartEther.plus(0).should.eql(otherAccountEndEther);
@@ -1406,12 +1385,10 @@ contract('Wallet', function(accounts) {
         var msigWalletEndEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
         msigWalletStartEther.minus(0).should.eql(msigWalletEndEther);
 
-        return helpers.waitForEvents(walletEvents, 2); // wait for events to come in
+        return helpers.expectEvent(wallet, txHash, 'ConfirmationNeeded');
       })
-      .then(function() {
-        var confirmationRequiredEvent = _.find(walletEvents, function (event) {
-          return event.event === 'ConfirmationNeeded';
-        });
+      .then(function(events) {
+        var confirmationRequiredEvent = events[0];
         confirmationRequiredEvent.args.initiator.should.eql(accounts[2]);
         confirmationRequiredEvent.args.operation.should.eql("0x" + operationHash);
         confirmationRequiredEvent.args.value.should.eql(web3.toBigNumber(web3.toWei(amount, "ether")));
@@ -1431,6 +1408,81 @@ contract('Wallet', function(accounts) {
       });
     });
 
+    it("Signature for another wallet with the same owners only counts as the sender's confirmation", function () {
+      var otherAccount = accounts[2];
+      var amount = 30;
+      var expireTime = Math.floor((new Date().getTime()) / 1000) + 60; // 60 seconds
+
+      var otherAccountStartEther = web3.fromWei(web3.eth.getBalance(otherAccount), 'ether');
+      var msigWalletStartEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
+
+      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(0, "ether"), helpers.getNetworkId(), {from: accounts[0]})
+      .then(function (otherWallet) {
+        var sig = helpers.sign(accounts[1], helpers.getSha3ForConfirmationTx(otherWallet.address, otherAccount, amount, "", expireTime, sequenceId));
+        return wallet.executeAndConfirm(otherAccount, web3.toWei(amount, "ether"), "", expireTime, sequenceId, sig, {from: accounts[0]});
+      })
+      .then(function(txHash) {
+        // Check other account balance
+        var otherAccountEndEther = web3.fromWei(web3.eth.getBalance(otherAccount), 'ether');
+        otherAccountStartEther.plus(0).should.eql(otherAccountEndEther);
+
+        // Check wallet balance
+        var msigWalletEndEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
+        msigWalletStartEther.minus(0).should.eql(msigWalletEndEther);
+
+        return Promise.all([
+          helpers.expectEvent(wallet, txHash, 'ConfirmationNeeded', { initiator: accounts[0] }),
+          helpers.expectNoEvent(wallet, txHash, 'MultiTransact')
+        ]);
+      });
+    });
+
+    it("Send out 20 ether with a signature of the typed data using executeAndConfirmTyped", function () {
+      var otherAccount = accounts[2];
+      var amount = 20;
+      var expireTime = Math.floor((new Date().getTime()) / 1000) + 60; // 60 seconds
+
+      var otherAccountStartEther = web3.fromWei(web3.eth.getBalance(otherAccount), 'ether');
+      var msigWalletStartEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
+
+      // The test node signs the hash without a prefix, so eth.sign gives the same signature as eth_signTypedData
+      var operationHash = helpers.getSha3ForTypedConfirmationTx(wallet.address, otherAccount, amount, "", expireTime, sequenceId);
+      var sig = helpers.sign(accounts[1], operationHash);
+
+      return wallet.executeAndConfirmTyped(otherAccount, web3.toWei(amount, "ether"), "", expireTime, sequenceId, sig, {from: accounts[0]})
+      .then(function(txHash) {
+        // Check other account balance
+        var otherAccountEndEther = web3.fromWei(web3.eth.getBalance(otherAccount), 'ether');
+        otherAccountStartEther.plus(amount).should.eql(otherAccountEndEther);
+
+        // Check wallet balance
+        var msigWalletEndEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
+        msigWalletStartEther.minus(amount).should.eql(msigWalletEndEther);
+
+        return helpers.expectEvent(wallet, txHash, 'MultiTransact', { owner: accounts[0], operation: "0x" + operationHash });
+      });
+    });
+
+    it("Signature of the operation hash sent to executeAndConfirmTyped only counts as the sender's confirmation", function () {
+      var otherAccount = accounts[2];
+      var amount = 20;
+      var expireTime = Math.floor((new Date().getTime()) / 1000) + 60; // 60 seconds
+
+      var msigWalletStartEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
+      var sig = helpers.sign(accounts[1], getSha3ForConfirmationTx(otherAccount, amount, "", expireTime, sequenceId));
+
+      return wallet.executeAndConfirmTyped(otherAccount, web3.toWei(amount, "ether"), "", expireTime, sequenceId, sig, {from: accounts[0]})
+      .then(function(txHash) {
+        var msigWalletEndEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
+        msigWalletStartEther.minus(0).should.eql(msigWalletEndEther);
+
+        return Promise.all([
+          helpers.expectEvent(wallet, txHash, 'ConfirmationNeeded', { initiator: accounts[0] }),
+          helpers.expectNoEvent(wallet, txHash, 'MultiTransact')
+        ]);
+      });
+    });
+
     it("Sending with expireTime very far out should work", function () {
       var otherAccount = accounts[2];
       var amount = 60;
@@ -1441,12 +1493,12 @@ contract('Wallet', function(accounts) {
       var msigWalletStartEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
 
       var operationHash = getSha3ForConfirmationTx(otherAccount, amount, data, expireTime, sequenceId);
-      var sig = web3.eth.sign(accounts[1], operationHash);
+      var sig = helpers.sign(accounts[1], operationHash);
 
       operationHash = "0x" + operationHash;
 
       return wallet.executeAndConfirm(otherAccount, web3.toWei(amount, "ether"), data, expireTime, sequenceId, sig, {from: accounts[0]})
-      .then(function () {
+      .then(function(txHash) {
         // Check other account balance
         var otherAccountEndEther = web3.fromWei(web3.eth.getBalance(otherAccount), 'ether');
         otherAccountStartEther.plus(amount).should.eql(otherAccountEndEther);
@@ -1455,7 +1507,7 @@ contract('Wallet', function(accounts) {
         var msigWalletEndEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
         msigWalletStartEther.minus(amount).should.eql(msigWalletEndEther);
 
-        return helpers.waitForEvents(walletEvents, 2); // wait for events to come in
+        return helpers.expectEvent(wallet, txHash, 'MultiTransact', { operation: operationHash });
       });
     });
 
@@ -1468,7 +1520,7 @@ contract('Wallet', function(accounts) {
       var msigWalletStartEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
 
       var hash = getSha3ForConfirmationTx(otherAccount, amount, "", expireTime, sequenceId);
-      var sig = web3.eth.sign(accounts[0], hash);
+      var sig = helpers.sign(accounts[0], hash);
 
       return wallet.executeAndConfirm(otherAccount, web3.toWei(amount, "ether"), "", expireTime, sequenceId, sig, {from: accounts[2]})
       .catch(function(err) {
@@ -1495,7 +1547,7 @@ contract('Wallet', function(accounts) {
       var msigWalletStartEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
 
       var hash = getSha3ForConfirmationTx(otherAccount, amount, "", expireTime, sequenceId);
-      var sig = web3.eth.sign(accounts[0], hash);
+      var sig = helpers.sign(accounts[0], hash);
 
       return wallet.executeAndConfirm(otherAccount, web3.toWei(amount, "ether"), "", expireTime, sequenceId, sig, {from: accounts[2]})
       .then(function () {
@@ -1519,7 +1571,7 @@ contract('Wallet', function(accounts) {
       var msigWalletStartEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
 
       var hash = getSha3ForConfirmationTx(otherAccount, amount, "", expireTime, sequenceId);
-      var sig = web3.eth.sign(accounts[1], hash);
+      var sig = helpers.sign(accounts[1], hash);
 
       return wallet.executeAndConfirm(otherAccount, web3.toWei(amount, "ether"), "", expireTime, sequenceId, sig, {from: accounts[2]})
       .then(function () {
@@ -1548,7 +1600,7 @@ contract('Wallet', function(accounts) {
       var msigWalletStartEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
 
       var hash = getSha3ForConfirmationTx(otherAccount, amount, "", expireTime, sequenceId);
-      var sig = web3.eth.sign(accounts[1], hash);
+      var sig = helpers.sign(accounts[1], hash);
 
       return wallet.executeAndConfirm(otherAccount, web3.toWei(amount, "ether"), "", expireTime, sequenceId, sig, {from: accounts[2]})
       .then(function () {
@@ -1572,7 +1624,7 @@ contract('Wallet', function(accounts) {
       var msigWalletStartEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
 
       var hash = getSha3ForConfirmationTx(otherAccount, amount, "", expireTime, sequenceId);
-      var sig = web3.eth.sign(accounts[1], hash);
+      var sig = helpers.sign(accounts[1], hash);
 
       return wallet.executeAndConfirm(otherAccount, web3.toWei(amount, "ether"), "", expireTime, sequenceId, sig, {from: accounts[2]})
       .catch(function(err) {
@@ -1603,7 +1655,7 @@ contract('Wallet', function(accounts) {
       var msigWalletStartEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
 
       var hash = getSha3ForConfirmationTx(otherAccount, amount, "", expireTime, sequenceId);
-      var sig = web3.eth.sign(accounts[1], hash);
+      var sig = helpers.sign(accounts[1], hash);
 
       return wallet.executeAndConfirm(otherAccount, web3.toWei(amount, "ether"), "", expireTime, sequenceId, sig, {from: accounts[2]})
       .catch(function(err) {
@@ -1629,7 +1681,7 @@ contract('Wallet', function(accounts) {
       var msigWalletStartEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
 
       var operationHash = getSha3ForConfirmationTx(otherAccount, amount, "", expireTime, sequenceId);
-      var sig = web3.eth.sign(accounts[1], operationHash);
+      var sig = helpers.sign(accounts[1], operationHash);
 
 
       return Promise.all([
@@ -1670,7 +1722,7 @@ contract('Wallet', function(accounts) {
   describe("Add owners / multiowner logic", function() {
     before(function () {
       // Create a new wallet with a limit of 0 and 3 owners
-      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(0, "ether"), {from: accounts[0]})
+      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(0, "ether"), helpers.getNetworkId(), {from: accounts[0]})
       .then(function (result) {
         wallet = result;
 
@@ -1683,21 +1735,20 @@ contract('Wallet', function(accounts) {
     });
 
     it("Adding a new owner should require a confirmation", function () {
-      var oldEventCount;
-
       // Send ether out of the wallet contract
       return wallet.addOwner(accounts[9], {from: accounts[1]})
-      .then(function () {
+      .then(function(txHash) {
         // Check numerical constants
         return Promise.all([
           wallet.m_numOwners.call(),
           wallet.m_required.call(),
           wallet.isOwner.call(accounts[9]),
           getOwners(wallet),
-          getPendingTransactions(wallet)
+          getPendingTransactions(wallet),
+          helpers.expectEvent(wallet, txHash, 'Confirmation')
         ]);
       })
-      .spread(function (numOwners, signaturesRequired, isOwner, owners, pendingTransactions) {
+      .spread(function (numOwners, signaturesRequired, isOwner, owners, pendingTransactions, confirmationEvents) {
         numOwners.should.eql(web3.toBigNumber(3)); // new owner not added yet
         signaturesRequired.should.eql(web3.toBigNumber(2));
         isOwner.should.eql(false);
@@ -1708,53 +1759,45 @@ contract('Wallet', function(accounts) {
         owners.should.containEql(accounts[2]);
         owners.should.not.containEql(accounts[9]);
 
-        return helpers.waitForEvents(walletEvents); // wait for events to come in
+        return confirmationEvents;
       })
-      .then(function () {
+      .then(function(events) {
         // Check wallet events for Confirmation
-        var confirmationEvent = _.find(walletEvents, function (event) {
-          return event.event === 'Confirmation';
-        });
+        var confirmationEvent = events[0];
         confirmationEvent.args.owner.should.eql(accounts[1]);
         confirmationEvent.args.should.have.property('operation');
 
-        oldEventCount = walletEvents.length; // record the old event count
-
         // attempt to spend by the new owner before they've been confirmed should not work
         return wallet.execute(accounts[9], web3.toWei(10, "ether"), [], {from: accounts[9]});
       })
-      .then(function () {
-        return helpers.waitForEvents(walletEvents, 0); // wait for events to come in
-      })
-      .then(function () {
-        // Expect no events to have come in (the owner was not confirmed)
-        walletEvents.length.should.eql(oldEventCount);
+      .then(function(txHash) {
+        // Expect no events to have been emitted (the owner was not confirmed)
+        return helpers.expectNoEvent(wallet, txHash);
       });
     });
 
     it("Non-owner cannot confirm adding an owner", function () {
       // Send ether out of the wallet contract
       return wallet.addOwner(accounts[8], {from: accounts[1]})
-      .then(function () {
+      .then(function(txHash) {
         // Check numerical constants
         return Promise.all([
           wallet.m_numOwners.call(),
           wallet.m_required.call(),
-          wallet.isOwner.call(accounts[8])
+          wallet.isOwner.call(accounts[8]),
+          helpers.expectEvent(wallet, txHash, 'Confirmation')
         ]);
       })
-      .spread(function (numOwners, signaturesRequired, isOwner) {
+      .spread(function (numOwners, signaturesRequired, isOwner, confirmationEvents) {
         numOwners.should.eql(web3.toBigNumber(3)); // new owner not added yet
         signaturesRequired.should.eql(web3.toBigNumber(2));
         isOwner.should.eql(false);
 
-        return helpers.waitForEvents(walletEvents); // wait for events to come in
+        return confirmationEvents;
       })
-      .then(function () {
+      .then(function(events) {
         // Check wallet events for Confirmation
-        var confirmationEvent = _.find(walletEvents, function (event) {
-          return event.event === 'Confirmation';
-        });
+        var confirmationEvent = events[0];
         confirmationEvent.args.owner.should.eql(accounts[1]);
         confirmationEvent.args.should.have.property('operation');
 
@@ -1790,18 +1833,20 @@ contract('Wallet', function(accounts) {
       .then(function () {
         return wallet.addOwner(accounts[3], {from: accounts[1]});
       })
-      .then(function () {
+      .then(function(txHash) {
         // Check numerical constants
         return Promise.all([
           wallet.m_numOwners.call(),
           wallet.m_required.call(),
-          wallet.isOwner.call(accounts[3])
+          wallet.isOwner.call(accounts[3]),
+          helpers.expectEvent(wallet, txHash, 'OwnerAdded')
         ]);
       })
-      .spread(function (numOwners, signaturesRequired, isOwner) {
+      .spread(function (numOwners, signaturesRequired, isOwner, ownerAddedEvents) {
         numOwners.should.eql(web3.toBigNumber(4));
         signaturesRequired.should.eql(web3.toBigNumber(2));
         isOwner.should.eql(true);
+        ownerAddedEvents[0].args.newOwner.should.eql(accounts[3]);
 
         return getOwners(wallet);
       })
@@ -1811,23 +1856,14 @@ contract('Wallet', function(accounts) {
         owners.should.containEql(accounts[2]);
         owners.should.containEql(accounts[3]);
 
-        return helpers.waitForEvents(walletEvents, 3);
-      })
-      .then(function () {
-        var ownerAddedEvent = _.find(walletEvents, function (event) {
-          return event.event === 'OwnerAdded';
-        });
-        ownerAddedEvent.args.newOwner.should.eql(accounts[3]);
         return wallet.execute(accounts[3], web3.toWei(amount, 'ether'), [], {from: accounts[3], gasPrice: 0});
       })
-      .then(function () {
-        return helpers.waitForEvents(walletEvents);
+      .then(function(txHash) {
+        return helpers.expectEvent(wallet, txHash, 'ConfirmationNeeded');
       })
-      .then(function () {
+      .then(function(events) {
         // Check wallet events for ConfirmationNeeded
-        var confirmationNeededEvent = _.find(walletEvents, function (event) {
-          return event.event === 'ConfirmationNeeded';
-        });
+        var confirmationNeededEvent = events[0];
         confirmationNeededEvent.args.initiator.should.eql(accounts[3]);
         confirmationNeededEvent.args.value.should.eql(web3.toBigNumber(web3.toWei(amount, 'ether')));
         confirmationNeededEvent.args.to.should.eql(accounts[3]);
@@ -1853,14 +1889,12 @@ contract('Wallet', function(accounts) {
 
       // Send ether out of the wallet contract
       return wallet.execute(accounts[2], web3.toWei(10, "ether"), [], {from: accounts[0]})
-      .then(function () {
-        return helpers.waitForEvents(walletEvents); // wait for events to come in
+      .then(function(txHash) {
+        return helpers.expectEvent(wallet, txHash, 'ConfirmationNeeded');
       })
-      .then(function () {
+      .then(function(events) {
         // Check wallet events for ConfirmationNeeded
-        var confirmationNeededEvent = _.find(walletEvents, function (event) {
-          return event.event === 'ConfirmationNeeded';
-        });
+        var confirmationNeededEvent = events[0];
         confirmationNeededEvent.args.initiator.should.eql(accounts[0]);
         confirmationNeededEvent.args.value.should.eql(web3.toBigNumber(web3.toWei(10, "ether")));
         confirmationNeededEvent.args.to.should.eql(accounts[2]);
@@ -1907,7 +1941,7 @@ contract('Wallet', function(accounts) {
   describe("Remove owners", function() {
     before(function () {
       // Create a new wallet with a limit of 80 and 3 owners
-      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(80, "ether"), {from: accounts[0]})
+      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(80, "ether"), helpers.getNetworkId(), {from: accounts[0]})
       .then(function (result) {
         wallet = result;
 
@@ -1921,15 +1955,16 @@ contract('Wallet', function(accounts) {
 
     it("Removing an owner should require a confirmation", function () {
       return wallet.removeOwner(accounts[0], { from: accounts[0] })
-      .then(function() {
+      .then(function(txHash) {
         // Check numerical constants
         return Promise.all([
           wallet.m_numOwners.call(),
           wallet.isOwner.call(accounts[0]),
-          getOwners(wallet)
+          getOwners(wallet),
+          helpers.expectEvent(wallet, txHash, 'Confirmation')
         ]);
       })
-      .spread(function(numOwners, isOwner, owners) {
+      .spread(function(numOwners, isOwner, owners, confirmationEvents) {
         numOwners.should.eql(web3.toBigNumber(3));
         isOwner.should.eql(true);
 
@@ -1937,13 +1972,11 @@ contract('Wallet', function(accounts) {
         owners.should.containEql(accounts[1]);
         owners.should.containEql(accounts[2]);
 
-        return helpers.waitForEvents(walletEvents); // wait for events to come in
+        return confirmationEvents;
       })
-      .then(function() {
+      .then(function(events) {
         // Check wallet events for Confirmation
-        var confirmationEvent = _.find(walletEvents, function (event) {
-          return event.event === 'Confirmation';
-        });
+        var confirmationEvent = events[0];
         confirmationEvent.args.owner.should.eql(accounts[0]);
         confirmationEvent.args.should.have.property('operation');
       });
@@ -1954,26 +1987,22 @@ contract('Wallet', function(accounts) {
       var msigWalletStartEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
 
       return wallet.removeOwner(accounts[1], {from: accounts[0]})
-      .then(function () {
-        return helpers.waitForEvents(walletEvents); // wait for events to come in
+      .then(function(txHash) {
+        return helpers.expectEvent(wallet, txHash, 'Confirmation');
       })
-      .then(function () {
+      .then(function(events) {
         // Check wallet events for Confirmation
-        var confirmationEvent = _.find(walletEvents, function (event) {
-          return event.event === 'Confirmation';
-        });
+        var confirmationEvent = events[0];
         confirmationEvent.args.owner.should.eql(accounts[0]);
         confirmationEvent.args.should.have.property('operation');
 
         return wallet.removeOwner(accounts[1], {from: accounts[1]});
       })
-      .then(function () {
-        return helpers.waitForEvents(walletEvents); // wait for events to come in
+      .then(function(txHash) {
+        return helpers.expectEvent(wallet, txHash, 'OwnerRemoved');
       })
-      .then(function () {
-        var ownerRemovedEvent = _.find(walletEvents, function (event) {
-          return event.event === 'OwnerRemoved';
-        });
+      .then(function(events) {
+        var ownerRemovedEvent = events[0];
         ownerRemovedEvent.args.oldOwner.should.eql(accounts[1]);
 
         // Check numerical constants
@@ -2010,7 +2039,7 @@ contract('Wallet', function(accounts) {
   describe("Change number of required signers", function() {
     before(function () {
       // Create a new wallet with a limit of 0, 3 owners, and number of required signatures as 2
-      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(0, "ether"), {from: accounts[0]})
+      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(0, "ether"), helpers.getNetworkId(), {from: accounts[0]})
       .then(function (result) {
         wallet = result;
 
@@ -2027,18 +2056,17 @@ contract('Wallet', function(accounts) {
       var msigWalletStartEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
 
       return wallet.changeRequirement(1, { from: accounts[2] })
-      .then(function() {
-        return wallet.m_required.call();
+      .then(function(txHash) {
+        return Promise.all([
+          wallet.m_required.call(),
+          helpers.expectEvent(wallet, txHash, 'Confirmation')
+        ]);
       })
-      .then(function(signaturesRequired) {
+      .spread(function(signaturesRequired, confirmationEvents) {
         signaturesRequired.should.eql(web3.toBigNumber(2));
-        return helpers.waitForEvents(walletEvents); // wait for events to come in
-      })
-      .then(function() {
+
         // Check wallet events for Confirmation
-        var confirmationEvent = _.find(walletEvents, function (event) {
-          return event.event === 'Confirmation';
-        });
+        var confirmationEvent = confirmationEvents[0];
         confirmationEvent.args.owner.should.eql(accounts[2]);
         confirmationEvent.args.should.have.property('operation');
         return wallet.execute(accounts[9], web3.toWei(1, "ether"), "", { from: accounts[1] });
@@ -2064,15 +2092,18 @@ contract('Wallet', function(accounts) {
         wallet.changeRequirement(3, { from: accounts[1] }),
         wallet.changeRequirement(3, { from: accounts[2] })
       ])
-      .then(function () {
-        return wallet.m_required.call();
+      .then(function(txHashes) {
+        // Whichever confirmation was mined last made the change
+        return Promise.all([
+          wallet.m_required.call(),
+          Promise.all(txHashes.map(function(txHash) {
+            return helpers.getEvents(wallet, txHash);
+          }))
+        ]);
       })
-      .then(function(signaturesRequired) {
+      .spread(function(signaturesRequired, events) {
         signaturesRequired.should.eql(web3.toBigNumber(3));
-        return helpers.waitForEvents(walletEvents, 4); // wait for events to come in
-      })
-      .then(function () {
-        var requirementChangedEvent = _.find(walletEvents, function (event) {
+        var requirementChangedEvent = _.find(_.flatten(events), function (event) {
           return event.event === 'RequirementChanged';
         });
         requirementChangedEvent.args.newRequirement.should.eql(web3.toBigNumber(3));
@@ -2080,19 +2111,17 @@ contract('Wallet', function(accounts) {
         // Now make a transaction
         return wallet.execute(otherAccount, web3.toWei(amount, "ether"), "", { from: accounts[0] });
       })
-      .then(function () {
+      .then(function(txHash) {
         // Check that balances have not changed yet
         var otherAccountEndEther = web3.fromWei(web3.eth.getBalance(otherAccount), 'ether');
         otherAccountStartEther.plus(0).should.eql(otherAccountEndEther);
         var msigWalletEndEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
         msigWalletStartEther.minus(0).should.eql(msigWalletEndEther);
-        return helpers.waitForEvents(walletEvents); // wait for events to come in
+        return helpers.expectEvent(wallet, txHash, 'ConfirmationNeeded');
       })
-      .then(function () {
+      .then(function(events) {
         // Check wallet events for ConfirmationNeeded
-        var confirmationNeededEvent = _.find(walletEvents, function (event) {
-          return event.event === 'ConfirmationNeeded';
-        });
+        var confirmationNeededEvent = events[0];
         confirmationNeededEvent.args.initiator.should.eql(accounts[0]);
         confirmationNeededEvent.args.value.should.eql(web3.toBigNumber(web3.toWei(amount, "ether")));
         confirmationNeededEvent.args.to.should.eql(otherAccount);
@@ -2146,7 +2175,7 @@ contract('Wallet', function(accounts) {
   describe("Change Owners", function() {
     before(function () {
       // Create a new wallet with a limit of 300 and 3 owners
-      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(300, "ether"), {from: accounts[0]})
+      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(300, "ether"), helpers.getNetworkId(), {from: accounts[0]})
       .then(function (result) {
         wallet = result;
 
@@ -2161,16 +2190,17 @@ contract('Wallet', function(accounts) {
     it("Changing an owner should require a confirmation", function () {
       // Change owner from account 0 to 5
       return wallet.changeOwner(accounts[0], accounts[5], { from: accounts[0] })
-      .then(function() {
+      .then(function(txHash) {
         // Check numerical constants
         return Promise.all([
           wallet.m_numOwners.call(),
           wallet.isOwner.call(accounts[0]),
           wallet.isOwner.call(accounts[5]),
-          getOwners(wallet)
+          getOwners(wallet),
+          helpers.expectEvent(wallet, txHash, 'Confirmation')
         ]);
       })
-      .spread(function(numOwners, isOwner0, isOwner5, owners) {
+      .spread(function(numOwners, isOwner0, isOwner5, owners, confirmationEvents) {
         numOwners.should.eql(web3.toBigNumber(3));
         isOwner0.should.eql(true);
         isOwner5.should.eql(false);
@@ -2178,13 +2208,11 @@ contract('Wallet', function(accounts) {
         owners.should.containEql(accounts[1]);
         owners.should.containEql(accounts[2]);
 
-        return helpers.waitForEvents(walletEvents); // wait for events to come in
+        return confirmationEvents;
       })
-      .then(function() {
+      .then(function(events) {
         // Check wallet events for Confirmation
-        var confirmationEvent = _.find(walletEvents, function (event) {
-          return event.event === 'Confirmation';
-        });
+        var confirmationEvent = events[0];
         confirmationEvent.args.owner.should.eql(accounts[0]);
         confirmationEvent.args.should.have.property('operation');
       });
@@ -2194,22 +2222,25 @@ contract('Wallet', function(accounts) {
       var otherAccountStartEther = web3.fromWei(web3.eth.getBalance(accounts[7]), 'ether');
       var msigWalletStartEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
 
-      // Change owner from account 0 to 5
+      // Change owner from account 0 to 5, which account 0 confirmed in the previous test
       return wallet.changeOwner(accounts[0], accounts[5], { from: accounts[2] })
-      .then(function() {
-        return wallet.changeOwner(accounts[0], accounts[5], { from: accounts[1] });
-      })
-      .then(function() {
+      .then(function(txHash) {
         // Check numerical constants
         return Promise.all([
           wallet.m_numOwners.call(),
           wallet.m_required.call(),
           wallet.isOwner.call(accounts[0]),
           wallet.isOwner.call(accounts[5]),
-          getOwners(wallet)
+          getOwners(wallet),
+          helpers.expectEvent(wallet, txHash, 'OwnerChanged')
         ]);
       })
-      .spread(function(numOwners, signaturesRequired, isOwner0, isOwner5, owners) {
+      .spread(function(numOwners, signaturesRequired, isOwner0, isOwner5, owners, ownerChangedEvents) {
+        // Check wallet events for OwnerChanged
+        var ownerChangedEvent = ownerChangedEvents[0];
+        ownerChangedEvent.args.oldOwner.should.eql(accounts[0]);
+        ownerChangedEvent.args.newOwner.should.eql(accounts[5]);
+
         numOwners.should.eql(web3.toBigNumber(3));
         signaturesRequired.should.eql(web3.toBigNumber(2));
         isOwner0.should.eql(false);
@@ -2221,7 +2252,7 @@ contract('Wallet', function(accounts) {
 
         return wallet.execute(accounts[7], web3.toWei(1, "ether"), "", { from: accounts[0] });
       })
-      .then(function() {
+      .then(function(txHash) {
         // Check other account balance
         var otherAccountEndEther = web3.fromWei(web3.eth.getBalance(accounts[7]), 'ether');
         otherAccountStartEther.plus(0).should.eql(otherAccountEndEther);
@@ -2230,15 +2261,8 @@ contract('Wallet', function(accounts) {
         var msigWalletEndEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
         msigWalletStartEther.minus(0).should.eql(msigWalletEndEther);
 
-        return helpers.waitForEvents(walletEvents);
-      })
-      .then(function() {
-        // Check wallet events for OwnerChanged
-        var ownerChangedEvent = _.find(walletEvents, function (event) {
-          return event.event === 'OwnerChanged';
-        });
-        ownerChangedEvent.args.oldOwner.should.eql(accounts[0]);
-        ownerChangedEvent.args.newOwner.should.eql(accounts[5]);
+        // The old owner's execution is ignored
+        return helpers.expectNoEvent(wallet, txHash);
       });
     });
 
@@ -2251,19 +2275,25 @@ contract('Wallet', function(accounts) {
       .then(function() {
         return wallet.changeOwner(accounts[2], accounts[4], { from: accounts[1] });
       })
-      .then(function() {
+      .then(function(txHash) {
         // Check numerical constants
         return Promise.all([
           wallet.m_numOwners.call(),
           wallet.m_required.call(),
           wallet.isOwner.call(accounts[2]),
-          wallet.isOwner.call(accounts[4])
+          wallet.isOwner.call(accounts[4]),
+          helpers.expectEvent(wallet, txHash, 'OwnerChanged')
         ]);
       })
-      .spread(function(numOwners, signaturesRequired, isOwner2, isOwner4) {
-        numOwners.should.eql(web3.toBigNumber(3));
-        signaturesRequired.should.eql(web3.toBigNumber(2));
-        isOwner2.should.eql(false);
+      .spread(function(numOwners, signaturesRequired, isOwner2, isOwner4, ownerChangedEvents) {
+        // Check wallet events for OwnerChanged
+        var ownerChangedEvent = ownerChangedEvents[0];
+        ownerChangedEvent.args.oldOwner.should.eql(accounts[2]);
+        ownerChangedEvent.args.newOwner.should.eql(accounts[4]);
+
+        numOwners.should.eql(web3.toBigNumber(3));
+        signaturesRequired.should.eql(web3.toBigNumber(2));
+        isOwner2.should.eql(false);
         isOwner4.should.eql(true);
 
         return wallet.execute(accounts[8], web3.toWei(3, "ether"), "", { from: accounts[4] });
@@ -2280,7 +2310,7 @@ contract('Wallet', function(accounts) {
         // Try to make another transaction, but exceeding the daily limit - should not go out (require confirm)
         return wallet.execute(accounts[8], web3.toWei(1000, "ether"), "", { from: accounts[4] });
       })
-      .then(function() {
+      .then(function(txHash) {
         // Check other account balance
         var otherAccountEndEther = web3.fromWei(web3.eth.getBalance(accounts[8]), 'ether');
         otherAccountStartEther.plus(3).should.eql(otherAccountEndEther);
@@ -2289,15 +2319,7 @@ contract('Wallet', function(accounts) {
         var msigWalletEndEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
         msigWalletStartEther.minus(3).should.eql(msigWalletEndEther);
 
-        return helpers.waitForEvents(walletEvents);
-      })
-      .then(function() {
-        // Check wallet events for OwnerChanged
-        var ownerChangedEvent = _.find(walletEvents, function (event) {
-          return event.event === 'OwnerChanged';
-        });
-        ownerChangedEvent.args.oldOwner.should.eql(accounts[2]);
-        ownerChangedEvent.args.newOwner.should.eql(accounts[4]);
+        return helpers.expectEvent(wallet, txHash, 'ConfirmationNeeded', { initiator: accounts[4] });
       });
     });
   });
@@ -2305,7 +2327,7 @@ contract('Wallet', function(accounts) {
   describe("Daily limit", function() {
     before(function () {
       // Create a new wallet with a limit of 5 and 3 owners
-      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(5, "ether"), {from: accounts[0]})
+      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(5, "ether"), helpers.getNetworkId(), {from: accounts[0]})
       .then(function (result) {
         wallet = result;
 
@@ -2322,19 +2344,17 @@ contract('Wallet', function(accounts) {
       var msigWalletStartEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
 
       return wallet.setDailyLimit(web3.toWei(10, "ether"), { from: accounts[0] })
-      .then(function() {
-        return wallet.m_dailyLimit.call();
+      .then(function(txHash) {
+        return Promise.all([
+          wallet.m_dailyLimit.call(),
+          helpers.expectEvent(wallet, txHash, 'Confirmation')
+        ]);
       })
-      .then(function(dailyLimit) {
+      .spread(function(dailyLimit, confirmationEvents) {
         dailyLimit.should.eql(web3.toBigNumber(web3.toWei(5, "ether")));
 
-        return helpers.waitForEvents(walletEvents); // wait for events to come in
-      })
-      .then(function() {
         // Check wallet events for Confirmation
-        var confirmationEvent = _.find(walletEvents, function (event) {
-          return event.event === 'Confirmation';
-        });
+        var confirmationEvent = confirmationEvents[0];
         confirmationEvent.args.owner.should.eql(accounts[0]);
         confirmationEvent.args.should.have.property('operation');
 
@@ -2374,7 +2394,7 @@ contract('Wallet', function(accounts) {
         // this execution should now require a confirmation needed
         return wallet.execute(accounts[3], web3.toWei(1, "ether"), "", { from: accounts[1] });
       })
-      .then(function() {
+      .then(function(txHash) {
         // Check other account balance
         var otherAccountEndEther = web3.fromWei(web3.eth.getBalance(accounts[3]), 'ether');
         otherAccountStartEther.plus(0).should.eql(otherAccountEndEther);
@@ -2383,13 +2403,11 @@ contract('Wallet', function(accounts) {
         var msigWalletEndEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
         msigWalletStartEther.minus(0).should.eql(msigWalletEndEther);
 
-        return helpers.waitForEvents(walletEvents); // wait for events to come in
+        return helpers.expectEvent(wallet, txHash, 'ConfirmationNeeded');
       })
-      .then(function() {
+      .then(function(events) {
         // Check wallet events for ConfirmationNeeded
-        var confirmationNeededEvent = _.find(walletEvents, function(event) {
-          return event.event === 'ConfirmationNeeded';
-        });
+        var confirmationNeededEvent = events[0];
         confirmationNeededEvent.args.initiator.should.eql(accounts[1]);
         confirmationNeededEvent.args.value.should.eql(web3.toBigNumber(web3.toWei(1, "ether")));
         confirmationNeededEvent.args.to.should.eql(accounts[3]);
@@ -2449,4 +2467,574 @@ contract('Wallet', function(accounts) {
       });
     });
   });
+
+  describe("Token daily limits", function() {
+    var token;
+
+    // Calldata of an ERC20 transfer(address,uint256) call
+    var getTransferData = function(toAddress, value) {
+      return util.bufferToHex(Buffer.concat([
+        abi.methodID('transfer', [ "address", "uint256" ]),
+        abi.rawEncode([ "address", "uint256" ], [ toAddress, value ])
+      ]));
+    };
+
+    before(function () {
+      // Create a new wallet with 3 owners, and give it 100 tokens
+      return Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(5, "ether"), helpers.getNetworkId(), {from: accounts[0]})
+      .then(function (result) {
+        wallet = result;
+        return ERC20Mock.new(1000, { from: accounts[0] });
+      })
+      .then(function (result) {
+        token = result;
+        return token.transfer(wallet.address, 100, { from: accounts[0] });
+      });
+    });
+
+    it("Token transfers need a confirmation without a token daily limit", function () {
+      return wallet.execute(token.address, 0, getTransferData(accounts[4], 10), { from: accounts[1] })
+      .then(function(txHash) {
+        return Promise.all([
+          token.balanceOf.call(accounts[4]),
+          helpers.expectEvent(wallet, txHash, 'ConfirmationNeeded', { initiator: accounts[1], to: token.address })
+        ]);
+      })
+      .spread(function(balance) {
+        balance.should.eql(web3.toBigNumber(0));
+      });
+    });
+
+    it("Changing a token daily limit should require a confirmation", function () {
+      return wallet.setTokenDailyLimit(token.address, 30, { from: accounts[0] })
+      .then(function () {
+        return wallet.m_tokenDailyLimit.call(token.address);
+      })
+      .then(function (dailyLimit) {
+        dailyLimit.should.eql(web3.toBigNumber(0));
+        return wallet.setTokenDailyLimit(token.address, 30, { from: accounts[2] });
+      })
+      .then(function () {
+        return Promise.all([
+          wallet.m_tokenDailyLimit.call(token.address),
+          wallet.m_tokenDailyLimit.call(accounts[5])
+        ]);
+      })
+      .spread(function (dailyLimit, otherDailyLimit) {
+        dailyLimit.should.eql(web3.toBigNumber(30));
+        otherDailyLimit.should.eql(web3.toBigNumber(0));
+      });
+    });
+
+    it("Token transfers under the token daily limit are sent immediately", function () {
+      return wallet.execute(token.address, 0, getTransferData(accounts[4], 20), { from: accounts[1] })
+      .then(function(txHash) {
+        return Promise.all([
+          helpers.expectEvent(wallet, txHash, 'SingleTransact', { owner: accounts[1], to: token.address }),
+          helpers.expectNoEvent(wallet, txHash, 'ConfirmationNeeded')
+        ]);
+      })
+      .then(function() {
+        return Promise.all([
+          token.balanceOf.call(accounts[4]),
+          wallet.m_tokenSpentToday.call(token.address),
+          // Ether is still limited separately
+          wallet.m_spentToday.call()
+        ]);
+      })
+      .spread(function(balance, spentToday, etherSpentToday) {
+        balance.should.eql(web3.toBigNumber(20));
+        spentToday.should.eql(web3.toBigNumber(20));
+        etherSpentToday.should.eql(web3.toBigNumber(0));
+
+        // 20 + 11 is over the limit of 30
+        return wallet.execute(token.address, 0, getTransferData(accounts[4], 11), { from: accounts[1] });
+      })
+      .then(function(txHash) {
+        return Promise.all([
+          token.balanceOf.call(accounts[4]),
+          helpers.expectEvent(wallet, txHash, 'ConfirmationNeeded', { initiator: accounts[1], to: token.address })
+        ]);
+      })
+      .spread(function(balance) {
+        balance.should.eql(web3.toBigNumber(20));
+      });
+    });
+
+    it("Only transfer calldata is covered by the token daily limit", function () {
+      // approve(address,uint256) has the same layout as transfer, but another function selector
+      var approveData = util.bufferToHex(Buffer.concat([
+        abi.methodID('approve', [ "address", "uint256" ]),
+        abi.rawEncode([ "address", "uint256" ], [ accounts[4], 1 ])
+      ]));
+      return wallet.execute(token.address, 0, approveData, { from: accounts[1] })
+      .then(function(txHash) {
+        return helpers.expectEvent(wallet, txHash, 'ConfirmationNeeded');
+      })
+      .then(function() {
+        // Sending ether along with the transfer calldata is not a plain token transfer either
+        return wallet.execute(token.address, 1, getTransferData(accounts[4], 1), { from: accounts[1] });
+      })
+      .then(function(txHash) {
+        return helpers.expectEvent(wallet, txHash, 'ConfirmationNeeded');
+      })
+      .then(function() {
+        return wallet.m_tokenSpentToday.call(token.address);
+      })
+      .then(function(spentToday) {
+        spentToday.should.eql(web3.toBigNumber(20));
+      });
+    });
+
+    it("Resetting the amount of a token spent today requires a confirmation", function () {
+      return wallet.resetTokenSpentToday(token.address, { from: accounts[0] })
+      .then(function () {
+        return wallet.m_tokenSpentToday.call(token.address);
+      })
+      .then(function (spentToday) {
+        spentToday.should.eql(web3.toBigNumber(20));
+        return wallet.resetTokenSpentToday(token.address, { from: accounts[1] });
+      })
+      .then(function () {
+        return wallet.execute(token.address, 0, getTransferData(accounts[4], 30), { from: accounts[2] });
+      })
+      .then(function () {
+        return Promise.all([
+          token.balanceOf.call(accounts[4]),
+          wallet.m_tokenSpentToday.call(token.address)
+        ]);
+      })
+      .spread(function(balance, spentToday) {
+        balance.should.eql(web3.toBigNumber(50));
+        spentToday.should.eql(web3.toBigNumber(30));
+      });
+    });
+  });
+
+  describe("Timelock", function() {
+    before(function () {
+      // Create a new wallet with no daily limit and 3 owners
+      return Wallet.new([accounts[1], accounts[2]], 2, 0, helpers.getNetworkId(), {from: accounts[0]})
+      .then(function (result) {
+        wallet = result;
+        return web3.eth.sendTransaction({from: accounts[0], to: wallet.address, value: web3.toWei(100, "ether")});
+      });
+    });
+
+    var expectFail = function(promise) {
+      return promise
+      .then(function() {
+        throw new Error("should not be here");
+      })
+      .catch(function(err) {
+        err.message.toString().should.startWith("Error: VM Exception");
+      });
+    };
+
+    // Gets the operation hash of the first TransactionQueued event of a transaction
+    var getQueuedOperation = function(txHash) {
+      return helpers.expectEvent(wallet, txHash, 'TransactionQueued')
+      .then(function(events) {
+        return events[0].args.operation;
+      });
+    };
+
+    it("Changing the timelock should require a confirmation", function () {
+      return wallet.setTimelock(3600, { from: accounts[0] })
+      .then(function () {
+        return wallet.m_timelock.call();
+      })
+      .then(function (timelock) {
+        timelock.should.eql(web3.toBigNumber(0));
+        return wallet.setTimelock(3600, { from: accounts[1] });
+      })
+      .then(function (txHash) {
+        return Promise.all([
+          wallet.m_timelock.call(),
+          helpers.expectEvent(wallet, txHash, 'TimelockChanged', { newTimelock: 3600 })
+        ]);
+      })
+      .spread(function (timelock) {
+        timelock.should.eql(web3.toBigNumber(3600));
+      });
+    });
+
+    it("Confirmed transactions are queued instead of sent", function () {
+      var destinationStartEther = web3.fromWei(web3.eth.getBalance(accounts[6]), 'ether');
+      var operation;
+
+      return wallet.execute(accounts[6], web3.toWei(5, "ether"), "", { from: accounts[1] })
+      .then(function (txHash) {
+        return helpers.expectEvent(wallet, txHash, 'ConfirmationNeeded');
+      })
+      .then(function (events) {
+        operation = events[0].args.operation;
+        return wallet.confirm(operation, { from: accounts[2] });
+      })
+      .then(function (txHash) {
+        var blockTime = web3.eth.getBlock(web3.eth.getTransactionReceipt(txHash).blockNumber).timestamp;
+        return Promise.all([
+          helpers.expectEvent(wallet, txHash, 'TransactionQueued', { operation: operation, executableAfter: blockTime + 3600, to: accounts[6] }),
+          helpers.expectNoEvent(wallet, txHash, 'MultiTransact'),
+          wallet.numQueuedTransactions.call(),
+          wallet.numPendingTransactions.call()
+        ]);
+      })
+      .spread(function (queuedEvents, noEvents, numQueued, numPending) {
+        numQueued.should.eql(web3.toBigNumber(1));
+        numPending.should.eql(web3.toBigNumber(0));
+        web3.fromWei(web3.eth.getBalance(accounts[6]), 'ether').should.eql(destinationStartEther);
+
+        // Confirming a queued transaction again does not queue it twice
+        return wallet.confirm(operation, { from: accounts[0] });
+      })
+      .then(function () {
+        return Promise.all([
+          wallet.numQueuedTransactions.call(),
+          wallet.numPendingTransactions.call(),
+          wallet.getQueuedTransaction.call(0)
+        ]);
+      })
+      .spread(function (numQueued, numPending, queuedTransaction) {
+        numQueued.should.eql(web3.toBigNumber(1));
+        numPending.should.eql(web3.toBigNumber(0));
+        queuedTransaction[0].should.eql(operation);
+        queuedTransaction[2].should.eql(accounts[6]);
+        queuedTransaction[3].should.eql(web3.toBigNumber(web3.toWei(5, "ether")));
+
+        // The timelock has not passed
+        return expectFail(wallet.executeQueued(operation, { from: accounts[0] }));
+      });
+    });
+
+    it("Transactions confirmed with executeAndConfirm are queued, and a single owner can cancel them", function () {
+      var sequenceId;
+      var operation;
+
+      return wallet.getNextSequenceId.call()
+      .then(function (result) {
+        sequenceId = parseInt(result);
+        var expireTime = Math.floor((new Date().getTime()) / 1000) + 60;
+        var operationHash = helpers.getSha3ForConfirmationTx(wallet.address, accounts[7], 3, "", expireTime, sequenceId);
+        var signature = helpers.sign(accounts[0], operationHash);
+        return wallet.executeAndConfirm(accounts[7], web3.toWei(3, "ether"), "", expireTime, sequenceId, signature, { from: accounts[1] });
+      })
+      .then(getQueuedOperation)
+      .then(function (result) {
+        operation = result;
+        return wallet.numQueuedTransactions.call();
+      })
+      .then(function (numQueued) {
+        numQueued.should.eql(web3.toBigNumber(2));
+        return wallet.cancelQueued(operation, { from: accounts[2] });
+      })
+      .then(function (txHash) {
+        return Promise.all([
+          helpers.expectEvent(wallet, txHash, 'QueuedTransactionCancelled', { owner: accounts[2], operation: operation }),
+          wallet.numQueuedTransactions.call()
+        ]);
+      })
+      .spread(function (cancelEvents, numQueued) {
+        numQueued.should.eql(web3.toBigNumber(1));
+        return expectFail(wallet.executeQueued(operation, { from: accounts[0] }));
+      });
+    });
+
+    it("Lowering the timelock is queued for the current timelock", function () {
+      var operation;
+
+      return wallet.setTimelock(2, { from: accounts[0] })
+      .then(function () {
+        return wallet.setTimelock(2, { from: accounts[2] });
+      })
+      .then(function (txHash) {
+        return Promise.all([
+          getQueuedOperation(txHash),
+          helpers.expectNoEvent(wallet, txHash, 'TimelockChanged'),
+          wallet.m_timelock.call(),
+          wallet.numQueuedTransactions.call()
+        ]);
+      })
+      .spread(function (result, noEvents, timelock, numQueued) {
+        operation = result;
+        timelock.should.eql(web3.toBigNumber(3600));
+        numQueued.should.eql(web3.toBigNumber(2));
+        return wallet.getQueuedTransaction.call(1);
+      })
+      .then(function (queuedTransaction) {
+        // The change is queued as a call to the wallet itself
+        queuedTransaction[0].should.eql(operation);
+        queuedTransaction[2].should.eql(wallet.address);
+        queuedTransaction[3].should.eql(web3.toBigNumber(0));
+
+        // It can not be confirmed again while queued, nor used before the current timelock has passed
+        return expectFail(wallet.setTimelock(2, { from: accounts[0] }));
+      })
+      .then(function () {
+        return expectFail(wallet.executeQueued(operation, { from: accounts[0] }));
+      })
+      .then(function () {
+        // Any owner can veto the change
+        return wallet.cancelQueued(operation, { from: accounts[1] });
+      })
+      .then(function () {
+        return Promise.all([
+          wallet.m_timelock.call(),
+          wallet.numQueuedTransactions.call()
+        ]);
+      })
+      .spread(function (timelock, numQueued) {
+        timelock.should.eql(web3.toBigNumber(3600));
+        numQueued.should.eql(web3.toBigNumber(1));
+      });
+    });
+
+    it("Queued transactions can be sent once the timelock has passed", function () {
+      var destinationStartEther = web3.fromWei(web3.eth.getBalance(accounts[8]), 'ether');
+      var operation;
+
+      // A new wallet, as the timelock of the other can only be lowered after an hour
+      return Wallet.new([accounts[1], accounts[2]], 2, 0, helpers.getNetworkId(), {from: accounts[0]})
+      .then(function (result) {
+        wallet = result;
+        web3.eth.sendTransaction({from: accounts[0], to: wallet.address, value: web3.toWei(100, "ether")});
+        return wallet.setTimelock(2, { from: accounts[0] });
+      })
+      .then(function () {
+        return wallet.setTimelock(2, { from: accounts[2] });
+      })
+      .then(function () {
+        return wallet.execute(accounts[8], web3.toWei(4, "ether"), "", { from: accounts[1] });
+      })
+      .then(function (txHash) {
+        return helpers.expectEvent(wallet, txHash, 'ConfirmationNeeded');
+      })
+      .then(function (events) {
+        operation = events[0].args.operation;
+        return wallet.confirm(operation, { from: accounts[0] });
+      })
+      .then(function () {
+        return helpers.increaseTime(3);
+      })
+      .then(function () {
+        // Anyone but an owner is ignored
+        return wallet.executeQueued(operation, { from: accounts[5] });
+      })
+      .then(function () {
+        web3.fromWei(web3.eth.getBalance(accounts[8]), 'ether').should.eql(destinationStartEther);
+        return wallet.executeQueued(operation, { from: accounts[2] });
+      })
+      .then(function (txHash) {
+        web3.fromWei(web3.eth.getBalance(accounts[8]), 'ether').should.eql(destinationStartEther.plus(4));
+        return helpers.expectEvent(wallet, txHash, 'MultiTransact', { owner: accounts[2], operation: operation, to: accounts[8] });
+      })
+      .then(function () {
+        return expectFail(wallet.executeQueued(operation, { from: accounts[2] }));
+      });
+    });
+
+    it("A lower timelock takes effect once the current timelock has passed", function () {
+      var destinationStartEther = web3.fromWei(web3.eth.getBalance(accounts[8]), 'ether');
+      var operation;
+
+      return wallet.setTimelock(0, { from: accounts[1] })
+      .then(function () {
+        return wallet.setTimelock(0, { from: accounts[2] });
+      })
+      .then(getQueuedOperation)
+      .then(function (result) {
+        operation = result;
+        // Transactions confirmed in the meantime are still queued
+        return wallet.execute(accounts[8], web3.toWei(1, "ether"), "", { from: accounts[1] });
+      })
+      .then(function (txHash) {
+        return helpers.expectEvent(wallet, txHash, 'ConfirmationNeeded');
+      })
+      .then(function (events) {
+        return wallet.confirm(events[0].args.operation, { from: accounts[2] });
+      })
+      .then(function (txHash) {
+        return helpers.expectEvent(wallet, txHash, 'TransactionQueued', { to: accounts[8] });
+      })
+      .then(function () {
+        return helpers.increaseTime(3);
+      })
+      .then(function () {
+        return wallet.executeQueued(operation, { from: accounts[1] });
+      })
+      .then(function (txHash) {
+        return Promise.all([
+          helpers.expectEvent(wallet, txHash, 'TimelockChanged', { newTimelock: 0 }),
+          wallet.m_timelock.call()
+        ]);
+      })
+      .spread(function (events, timelock) {
+        timelock.should.eql(web3.toBigNumber(0));
+        return wallet.execute(accounts[8], web3.toWei(1, "ether"), "", { from: accounts[1] });
+      })
+      .then(function (txHash) {
+        return helpers.expectEvent(wallet, txHash, 'ConfirmationNeeded');
+      })
+      .then(function (events) {
+        return wallet.confirm(events[0].args.operation, { from: accounts[2] });
+      })
+      .then(function (txHash) {
+        web3.fromWei(web3.eth.getBalance(accounts[8]), 'ether').should.eql(destinationStartEther.plus(1));
+        return helpers.expectNoEvent(wallet, txHash, 'TransactionQueued');
+      });
+    });
+
+    // Deploys a wallet with ether and tokens spent today, a 2 second timelock, and the changes to its owners and daily
+    // limits, each with a function reading the state it changes and the values before and after
+    var deployWithChanges = function () {
+      var changes = {};
+      return Promise.all([
+        Wallet.new([accounts[1], accounts[2]], 2, web3.toWei(1, "ether"), helpers.getNetworkId(), {from: accounts[0]}),
+        ERC20Mock.new(1000, { from: accounts[0] })
+      ])
+      .spread(function (timelockWallet, token) {
+        changes.wallet = timelockWallet;
+        changes.list = [
+          { method: 'setDailyLimit', args: [web3.toWei(5, "ether")], read: timelockWallet.m_dailyLimit.call, before: web3.toWei(1, "ether"), after: web3.toWei(5, "ether") },
+          { method: 'resetSpentToday', args: [], read: timelockWallet.m_spentToday.call, before: web3.toWei(1, "ether"), after: 0 },
+          { method: 'setTokenDailyLimit', args: [token.address, 80], read: _.partial(timelockWallet.m_tokenDailyLimit.call, token.address), before: 50, after: 80 },
+          { method: 'resetTokenSpentToday', args: [token.address], read: _.partial(timelockWallet.m_tokenSpentToday.call, token.address), before: 10, after: 0 },
+          { method: 'addOwner', args: [accounts[5]], read: _.partial(timelockWallet.isOwner.call, accounts[5]), before: false, after: true },
+          { method: 'changeOwner', args: [accounts[2], accounts[6]], read: _.partial(timelockWallet.isOwner.call, accounts[6]), before: false, after: true },
+          { method: 'removeOwner', args: [accounts[0]], read: _.partial(timelockWallet.isOwner.call, accounts[0]), before: true, after: false },
+          { method: 'changeRequirement', args: [3], read: timelockWallet.m_required.call, before: 2, after: 3 }
+        ];
+        web3.eth.sendTransaction({from: accounts[0], to: timelockWallet.address, value: web3.toWei(10, "ether")});
+        return token.transfer(timelockWallet.address, 100, { from: accounts[0] })
+        .then(function () {
+          return timelockWallet.setTokenDailyLimit(token.address, 50, { from: accounts[1] });
+        })
+        .then(function () {
+          return timelockWallet.setTokenDailyLimit(token.address, 50, { from: accounts[2] });
+        })
+        .then(function () {
+          // Spend within the daily limits
+          return timelockWallet.execute(token.address, 0, token.contract.transfer.getData(accounts[8], 10), { from: accounts[1] });
+        })
+        .then(function () {
+          return timelockWallet.execute(accounts[8], web3.toWei(1, "ether"), "", { from: accounts[1] });
+        })
+        .then(function () {
+          return timelockWallet.setTimelock(2, { from: accounts[1] });
+        })
+        .then(function () {
+          return timelockWallet.setTimelock(2, { from: accounts[2] });
+        })
+        .then(function () {
+          // Confirm every change, which queues it
+          return Promise.each(changes.list, function (change) {
+            return timelockWallet[change.method].apply(null, change.args.concat({ from: accounts[1] }))
+            .then(function () {
+              return timelockWallet[change.method].apply(null, change.args.concat({ from: accounts[2] }));
+            })
+            .then(function (txHash) {
+              return helpers.expectEvent(timelockWallet, txHash, 'TransactionQueued', { to: timelockWallet.address });
+            })
+            .then(function (events) {
+              change.operation = events[0].args.operation;
+            });
+          });
+        })
+        .then(function () {
+          return changes;
+        });
+      });
+    };
+
+    // Checks the state changed by each change
+    var expectChanges = function (changes, key) {
+      return Promise.each(changes.list, function (change) {
+        return change.read()
+        .then(function (value) {
+          String(value).should.eql(String(change[key]), change.method);
+        });
+      });
+    };
+
+    it("Changes to the owners and daily limits are queued while a timelock is set", function () {
+      var changes;
+      return deployWithChanges()
+      .then(function (result) {
+        changes = result;
+        return expectChanges(changes, 'before');
+      })
+      .then(function () {
+        return expectFail(changes.wallet.executeQueued(changes.list[0].operation, { from: accounts[1] }));
+      })
+      .then(function () {
+        return helpers.increaseTime(3);
+      })
+      .then(function () {
+        return Promise.each(changes.list, function (change) {
+          return changes.wallet.executeQueued(change.operation, { from: accounts[1] });
+        });
+      })
+      .then(function () {
+        return expectChanges(changes, 'after');
+      });
+    });
+
+    it("A single owner can cancel a queued change to the owners or daily limits", function () {
+      var changes;
+      return deployWithChanges()
+      .then(function (result) {
+        changes = result;
+        return Promise.each(changes.list, function (change) {
+          return changes.wallet.cancelQueued(change.operation, { from: accounts[2] })
+          .then(function (txHash) {
+            return helpers.expectEvent(changes.wallet, txHash, 'QueuedTransactionCancelled', { owner: accounts[2], operation: change.operation });
+          });
+        });
+      })
+      .then(function () {
+        return helpers.increaseTime(3);
+      })
+      .then(function () {
+        return expectFail(changes.wallet.executeQueued(changes.list[0].operation, { from: accounts[1] }));
+      })
+      .then(function () {
+        return expectChanges(changes, 'before');
+      });
+    });
+
+    it("kill is queued while a timelock is set", function () {
+      var destinationStartEther = web3.fromWei(web3.eth.getBalance(accounts[9]), 'ether');
+      var walletEther;
+      var operation;
+
+      return wallet.setTimelock(2, { from: accounts[1] })
+      .then(function () {
+        return wallet.setTimelock(2, { from: accounts[2] });
+      })
+      .then(function () {
+        return wallet.kill(accounts[9], { from: accounts[1] });
+      })
+      .then(function () {
+        return wallet.kill(accounts[9], { from: accounts[2] });
+      })
+      .then(getQueuedOperation)
+      .then(function (result) {
+        operation = result;
+        walletEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
+        walletEther.greaterThan(0).should.eql(true);
+        (/^0x0*$/).test(web3.eth.getCode(wallet.address)).should.eql(false);
+        return expectFail(wallet.executeQueued(operation, { from: accounts[1] }));
+      })
+      .then(function () {
+        return helpers.increaseTime(3);
+      })
+      .then(function () {
+        return wallet.executeQueued(operation, { from: accounts[1] });
+      })
+      .then(function () {
+        web3.fromWei(web3.eth.getBalance(accounts[9]), 'ether').should.eql(destinationStartEther.plus(walletEther));
+        (/^0x0*$/).test(web3.eth.getCode(wallet.address)).should.eql(true);
+      });
+    });
+  });
 });
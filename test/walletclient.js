@@ -0,0 +1,234 @@
+/* jshint undef: false, unused: true */
+
+require('should');
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+
+var helpers = require('./helpers');
+var WalletClient = require('../lib/wallet');
+var WalletSimpleClient = require('../lib/walletsimple');
+
+contract('WalletClient', function(accounts) {
+  var client;
+  var expireTime = function() {
+    return Math.floor((new Date().getTime()) / 1000) + 60; // 60 seconds
+  };
+
+  describe("Wallet", function() {
+    before(co(function *() {
+      client = yield WalletClient.deploy({
+        Wallet: Wallet,
+        web3: web3,
+        owners: [accounts[1], accounts[2]],
+        required: 2,
+        dailyLimit: web3.toWei(0, "ether"),
+        from: accounts[0]
+      });
+      web3.eth.sendTransaction({ from: accounts[0], to: client.address, value: web3.toWei(100, "ether") });
+    }));
+
+    it("Get owners and info", co(function *() {
+      var owners = yield client.getOwners();
+      owners.should.eql([accounts[0], accounts[1], accounts[2]]);
+
+      var info = yield client.getInfo();
+      info.address.should.eql(client.address);
+      info.owners.should.eql(owners);
+      info.required.should.eql(web3.toBigNumber(2));
+      info.dailyLimit.should.eql(web3.toBigNumber(0));
+      web3.fromWei(info.balance, 'ether').should.eql(web3.toBigNumber(100));
+    }));
+
+    it("Execute, list pending, revoke and confirm", co(function *() {
+      yield client.execute({ to: accounts[5], value: web3.toWei(10, "ether"), from: accounts[1] });
+
+      var pendingTransactions = yield client.getPendingTransactions();
+      pendingTransactions.length.should.eql(1);
+      var pendingTransaction = pendingTransactions[0];
+      pendingTransaction.to.should.eql(accounts[5]);
+      pendingTransaction.value.should.eql(web3.toBigNumber(web3.toWei(10, "ether")));
+      pendingTransaction.signers.should.eql([accounts[1]]);
+
+      yield client.revoke(pendingTransaction.operation, { from: accounts[1] });
+      pendingTransactions = yield client.getPendingTransactions();
+      pendingTransactions[0].signers.should.eql([]);
+
+      var destinationStartEther = web3.fromWei(web3.eth.getBalance(accounts[5]), 'ether');
+      yield client.confirm(pendingTransaction.operation, { from: accounts[0] });
+      yield client.confirm(pendingTransaction.operation, { from: accounts[2] });
+      web3.fromWei(web3.eth.getBalance(accounts[5]), 'ether').should.eql(destinationStartEther.plus(10));
+
+      pendingTransactions = yield client.getPendingTransactions();
+      pendingTransactions.length.should.eql(0);
+    }));
+
+    it("Execute and confirm with a signature created on the node", co(function *() {
+      var destinationStartEther = web3.fromWei(web3.eth.getBalance(accounts[6]), 'ether');
+      yield client.executeAndConfirm({
+        to: accounts[6],
+        value: web3.toWei(5, "ether"),
+        data: "",
+        expireTime: expireTime(),
+        otherSigner: accounts[2],
+        from: accounts[0]
+      });
+      web3.fromWei(web3.eth.getBalance(accounts[6]), 'ether').should.eql(destinationStartEther.plus(5));
+    }));
+
+    it("Token daily limit, spent today and remaining allowance", co(function *() {
+      var token = yield ERC20Mock.new(1000, { from: accounts[0] });
+      yield token.transfer(client.address, 100, { from: accounts[0] });
+      (yield client.getTokenDailyLimit(token.address)).should.eql({
+        dailyLimit: web3.toBigNumber(0),
+        spentToday: web3.toBigNumber(0),
+        remaining: web3.toBigNumber(0)
+      });
+
+      yield client.setTokenDailyLimit({ tokenContractAddress: token.address, dailyLimit: 50, from: accounts[0] });
+      yield client.setTokenDailyLimit({ tokenContractAddress: token.address, dailyLimit: 50, from: accounts[1] });
+      yield client.executeTokenTransfer({ tokenContractAddress: token.address, to: accounts[7], value: 15, from: accounts[2] });
+      (yield token.balanceOf.call(accounts[7])).should.eql(web3.toBigNumber(15));
+      (yield client.getTokenDailyLimit(token.address)).should.eql({
+        dailyLimit: web3.toBigNumber(50),
+        spentToday: web3.toBigNumber(15),
+        remaining: web3.toBigNumber(35)
+      });
+
+      // Over the remaining allowance, so the transfer waits for confirmations
+      yield client.executeTokenTransfer({ tokenContractAddress: token.address, to: accounts[7], value: 40, from: accounts[2] });
+      (yield client.getPendingTransactions()).length.should.eql(1);
+      (yield client.getTokenDailyLimit(token.address)).remaining.should.eql(web3.toBigNumber(35));
+
+      yield client.resetTokenSpentToday({ tokenContractAddress: token.address, from: accounts[0] });
+      yield client.resetTokenSpentToday({ tokenContractAddress: token.address, from: accounts[2] });
+      (yield client.getTokenDailyLimit(token.address)).remaining.should.eql(web3.toBigNumber(50));
+    }));
+
+    it("List and send queued transactions once the timelock has passed", co(function *() {
+      yield client.setTimelock({ timelock: 2, from: accounts[1] });
+      yield client.setTimelock({ timelock: 2, from: accounts[2] });
+      (yield client.getInfo()).timelock.should.eql(web3.toBigNumber(2));
+
+      var destinationStartEther = web3.fromWei(web3.eth.getBalance(accounts[8]), 'ether');
+      yield client.executeAndConfirm({ to: accounts[8], value: web3.toWei(2, "ether"), expireTime: expireTime(), otherSigner: accounts[2], from: accounts[0] });
+      var queued = yield client.getQueuedTransactions();
+      queued.length.should.eql(1);
+      queued[0].to.should.eql(accounts[8]);
+      queued[0].value.should.eql(web3.toBigNumber(web3.toWei(2, "ether")));
+      queued[0].executable.should.eql(false);
+      (yield client.executeMatured({ from: accounts[1] })).should.eql([]);
+
+      yield helpers.increaseTime(3);
+      var results = yield client.executeMatured({ from: accounts[1] });
+      results.length.should.eql(1);
+      results[0].operation.should.eql(queued[0].operation);
+      web3.fromWei(web3.eth.getBalance(accounts[8]), 'ether').should.eql(destinationStartEther.plus(2));
+      (yield client.getQueuedTransactions()).should.eql([]);
+    }));
+
+    it("Hashes with the network ID of the wallet rather than the node's", co(function *() {
+      var networkId = String(parseInt(helpers.getNetworkId()) + 1);
+      var deployed = yield WalletClient.deploy({ Wallet: Wallet, web3: web3, owners: [accounts[1], accounts[2]], required: 2, dailyLimit: 0, networkId: networkId, from: accounts[0] });
+      web3.eth.sendTransaction({ from: accounts[0], to: deployed.address, value: web3.toWei(10, "ether") });
+      var otherClient = WalletClient.at({ Wallet: Wallet, web3: web3, address: deployed.address });
+      (yield otherClient.getNetworkId()).should.eql(networkId);
+
+      var destinationStartEther = web3.fromWei(web3.eth.getBalance(accounts[6]), 'ether');
+      yield otherClient.executeAndConfirm({ to: accounts[6], value: web3.toWei(1, "ether"), expireTime: expireTime(), otherSigner: accounts[2], from: accounts[0] });
+      web3.fromWei(web3.eth.getBalance(accounts[6]), 'ether').should.eql(destinationStartEther.plus(1));
+    }));
+
+    it("Hashes with a network ID of 0 stored in the wallet", co(function *() {
+      var deployed = yield WalletClient.deploy({ Wallet: Wallet, web3: web3, owners: [accounts[1], accounts[2]], required: 2, dailyLimit: 0, networkId: '0', from: accounts[0] });
+      web3.eth.sendTransaction({ from: accounts[0], to: deployed.address, value: web3.toWei(10, "ether") });
+      var otherClient = WalletClient.at({ Wallet: Wallet, web3: web3, address: deployed.address });
+      (function() {
+        otherClient.getOperationHash({ to: accounts[6], value: 0, expireTime: expireTime(), sequenceId: 1 });
+      }).should.throw(/getNetworkId/);
+      (yield otherClient.getNetworkId()).should.eql('0');
+
+      var destinationStartEther = web3.fromWei(web3.eth.getBalance(accounts[6]), 'ether');
+      yield otherClient.executeAndConfirm({ to: accounts[6], value: web3.toWei(1, "ether"), expireTime: expireTime(), otherSigner: accounts[2], from: accounts[0] });
+      web3.fromWei(web3.eth.getBalance(accounts[6]), 'ether').should.eql(destinationStartEther.plus(1));
+    }));
+  });
+
+  describe("WalletSimple", function() {
+    before(co(function *() {
+      client = yield WalletSimpleClient.deploy({
+        WalletSimple: WalletSimple,
+        web3: web3,
+        signers: [accounts[0], accounts[1], accounts[2]],
+        from: accounts[0]
+      });
+      web3.eth.sendTransaction({ from: accounts[0], to: client.address, value: web3.toWei(100, "ether") });
+    }));
+
+    it("Get signers and info", co(function *() {
+      var signers = yield client.getSigners();
+      signers.should.eql([accounts[0], accounts[1], accounts[2]]);
+
+      var info = yield client.getInfo();
+      info.signers.should.eql(signers);
+      info.safeMode.should.eql(false);
+      web3.fromWei(info.balance, 'ether').should.eql(web3.toBigNumber(100));
+    }));
+
+    it("Send multisig with data and a signature created on the node", co(function *() {
+      var sequenceId = yield client.getNextSequenceId();
+      var destinationStartEther = web3.fromWei(web3.eth.getBalance(accounts[7]), 'ether');
+      yield client.sendMultiSig({
+        to: accounts[7],
+        value: web3.toWei(20, "ether"),
+        data: "0xabcdef",
+        expireTime: expireTime(),
+        otherSigner: accounts[1],
+        from: accounts[2]
+      });
+      web3.fromWei(web3.eth.getBalance(accounts[7]), 'ether').should.eql(destinationStartEther.plus(20));
+
+      var nextSequenceId = yield client.getNextSequenceId();
+      nextSequenceId.should.eql(sequenceId + 1);
+    }));
+
+    it("Send multisig with a signature for different arguments should fail", co(function *() {
+      var params = {
+        to: accounts[7],
+        value: web3.toWei(20, "ether"),
+        expireTime: expireTime(),
+        sequenceId: yield client.getNextSequenceId(),
+        from: accounts[2]
+      };
+      params.signature = yield client.signOperation(accounts[1], { to: accounts[8], value: params.value, expireTime: params.expireTime, sequenceId: params.sequenceId });
+      try {
+        yield client.sendMultiSig(params);
+        throw new Error("should not be here");
+      } catch(err) {
+        err.message.toString().should.startWith("Error: VM Exception");
+      }
+    }));
+
+    it("Hashes with the network ID of the wallet rather than the node's", co(function *() {
+      var networkId = String(parseInt(helpers.getNetworkId()) + 1);
+      var deployed = yield WalletSimpleClient.deploy({ WalletSimple: WalletSimple, web3: web3, signers: [accounts[0], accounts[1], accounts[2]], networkId: networkId, from: accounts[0] });
+      web3.eth.sendTransaction({ from: accounts[0], to: deployed.address, value: web3.toWei(10, "ether") });
+      var otherClient = WalletSimpleClient.at({ WalletSimple: WalletSimple, web3: web3, address: deployed.address });
+      (yield otherClient.getNetworkId()).should.eql(networkId);
+
+      var destinationStartEther = web3.fromWei(web3.eth.getBalance(accounts[7]), 'ether');
+      yield otherClient.sendMultiSig({ to: accounts[7], value: web3.toWei(1, "ether"), expireTime: expireTime(), otherSigner: accounts[1], from: accounts[0] });
+      web3.fromWei(web3.eth.getBalance(accounts[7]), 'ether').should.eql(destinationStartEther.plus(1));
+    }));
+
+    it("Hashes with a network ID of 0 stored in the wallet", co(function *() {
+      var deployed = yield WalletSimpleClient.deploy({ WalletSimple: WalletSimple, web3: web3, signers: [accounts[0], accounts[1], accounts[2]], networkId: '0', from: accounts[0] });
+      web3.eth.sendTransaction({ from: accounts[0], to: deployed.address, value: web3.toWei(10, "ether") });
+      var otherClient = WalletSimpleClient.at({ WalletSimple: WalletSimple, web3: web3, address: deployed.address });
+      (yield otherClient.getNetworkId()).should.eql('0');
+
+      var destinationStartEther = web3.fromWei(web3.eth.getBalance(accounts[7]), 'ether');
+      yield otherClient.sendMultiSig({ to: accounts[7], value: web3.toWei(1, "ether"), expireTime: expireTime(), otherSigner: accounts[1], from: accounts[0] });
+      web3.fromWei(web3.eth.getBalance(accounts[7]), 'ether').should.eql(destinationStartEther.plus(1));
+    }));
+  });
+});
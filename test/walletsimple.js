@@ -7,32 +7,17 @@ var co = Promise.coroutine;
 var _ = require('lodash');
 
 var helpers = require('./helpers');
+var signatures = require('../lib/signatures');
+var WalletSimpleClient = require('../lib/walletsimple');
 
 // Used to build the solidity tightly packed buffer to sha3
 var util = require('ethereumjs-util');
+var abi = require('ethereumjs-abi');
 var crypto = require('crypto');
 var BN = require('bn.js');
 
 contract('WalletSimple', function(accounts) {
   var wallet;
-  var walletEvents;
-  var watcher;
-
-  // Set up and tear down events logging on all tests. the wallet will be set up in the before() of each test block.
-  beforeEach(function() {
-    if (wallet) {
-      walletEvents = [];
-      // Set up event watcher
-      watcher = wallet.allEvents({}, function (error, event) {
-        walletEvents.push(event);
-      });
-    }
-  });
-  afterEach(function() {
-    if (watcher) {
-      watcher.stopWatching();
-    }
-  });
 
   // Taken from http://solidity.readthedocs.io/en/latest/frequently-asked-questions.html -
   // The automatic accessor function for a public state variable of array type only returns individual elements.
@@ -53,7 +38,7 @@ contract('WalletSimple', function(accounts) {
 
   describe("Wallet creation", function() {
     it("2 of 3 multisig wallet", co(function *() {
-      var wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]]);
+      var wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]], helpers.getNetworkId());
 
       var signers = yield getSigners(wallet);
       signers.should.eql([accounts[0], accounts[1], accounts[2]]);
@@ -76,7 +61,7 @@ contract('WalletSimple', function(accounts) {
     }));
 
     it("2 of 2 multisig wallet", co(function *() {
-      var wallet = yield WalletSimple.new([accounts[0], accounts[1]]);
+      var wallet = yield WalletSimple.new([accounts[0], accounts[1]], helpers.getNetworkId());
 
       var signers = yield getSigners(wallet);
       signers.should.eql([accounts[0], accounts[1]]);
@@ -99,7 +84,7 @@ contract('WalletSimple', function(accounts) {
     }));
 
     it("2 of 4 multisig wallet", co(function *() {
-      var wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2], accounts[8]]);
+      var wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2], accounts[8]], helpers.getNetworkId());
       var signers = yield getSigners(wallet);
       signers.should.eql([accounts[0], accounts[1], accounts[2], accounts[8]]);
 
@@ -124,7 +109,7 @@ contract('WalletSimple', function(accounts) {
 
     it("Not enough signer addresses", co(function *() {
       try {
-        yield WalletSimple.new([accounts[0]]);
+        yield WalletSimple.new([accounts[0]], helpers.getNetworkId());
         throw new Error("should not be here");
       } catch(e) {
         e.message.should.not.containEql("should not be here");
@@ -134,34 +119,40 @@ contract('WalletSimple', function(accounts) {
 
   describe("Deposits", function() {
     before(co(function *() {
-      wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]]);
+      wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]], helpers.getNetworkId());
     }));
 
     it("Should emit event on deposit", co(function *() {
-      web3.eth.sendTransaction({from: accounts[0], to: wallet.address, value: web3.toWei(20, "ether")});
-      yield helpers.waitForEvents(walletEvents, 1); // wait for events to come in
-      var depositEvent = _.find(walletEvents, function(event) {
-        return event.event === 'Deposited';
-      });
+      var txHash = web3.eth.sendTransaction({from: accounts[0], to: wallet.address, value: web3.toWei(20, "ether")});
+      var depositEvent = (yield helpers.expectEvent(wallet, txHash, 'Deposited'))[0];
       depositEvent.args.from.should.eql(accounts[0]);
       depositEvent.args.value.should.eql(web3.toBigNumber(web3.toWei(20, "ether")));
     }));
 
     it("Should emit event with data on deposit", co(function *() {
-      web3.eth.sendTransaction({from: accounts[0], to: wallet.address, value: web3.toWei(30, "ether"), data: "0xabcd"});
-      yield helpers.waitForEvents(walletEvents, 1); // wait for events to come in
-      var depositEvent = _.find(walletEvents, function(event) {
-        return event.event === 'Deposited';
-      });
+      var txHash = web3.eth.sendTransaction({from: accounts[0], to: wallet.address, value: web3.toWei(30, "ether"), data: "0xabcd"});
+      var depositEvent = (yield helpers.expectEvent(wallet, txHash, 'Deposited'))[0];
       depositEvent.args.from.should.eql(accounts[0]);
       depositEvent.args.value.should.eql(web3.toBigNumber(web3.toWei(30, "ether")));
       depositEvent.args.data.should.eql("0xabcd");
     }));
+
+    it("Expecting an event that was not emitted fails with the events that were", co(function *() {
+      var txHash = web3.eth.sendTransaction({from: accounts[0], to: wallet.address, value: web3.toWei(1, "ether")});
+      try {
+        yield helpers.expectEvent(wallet, txHash, 'Transacted');
+        throw new Error("should not be here");
+      } catch(e) {
+        e.message.should.not.containEql("should not be here");
+        e.message.should.containEql("expected Transacted event in transaction " + txHash);
+        e.message.should.containEql("Deposited");
+      }
+    }));
   });
 
   describe("Recover address from signature", function() {
     before(co(function *() {
-      wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]]);
+      wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]], helpers.getNetworkId());
     }));
 
     it("Check for matching implementation with web3.eth.sign (50 iterations)", co(function *() {
@@ -169,12 +160,8 @@ contract('WalletSimple', function(accounts) {
         // Get a random operation hash to sign
         var signerAddress = accounts[Math.floor(Math.random() * 10)];
         var sequenceId = Math.floor(Math.random() * 1000);
-        var operationHash = helpers.getSha3ForConfirmationTx(accounts[9], 10, "", Math.floor((new Date().getTime()) / 1000), sequenceId);
-        var signature = web3.eth.sign(signerAddress, operationHash);
-        if (signature.length !== 132) {
-          // TestRPC is signing incorrectly (returning unpadded sigs)
-          continue;
-        }
+        var operationHash = helpers.getSha3ForConfirmationTx(wallet.address, accounts[9], 10, "", Math.floor((new Date().getTime()) / 1000), sequenceId);
+        var signature = helpers.sign(signerAddress, operationHash);
         console.log((i+1) + ": Operation hash: " + operationHash + ", Signer: " + signerAddress + ", Sig: " + signature);
         var recoveredAddress = yield wallet.recoverAddressFromSignature.call(util.addHexPrefix(operationHash), signature);
         recoveredAddress.should.eql(signerAddress);
@@ -188,7 +175,7 @@ contract('WalletSimple', function(accounts) {
 
   describe("Sequence ID anti-replay protection", function() {
     before(co(function *() {
-      wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]]);
+      wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]], helpers.getNetworkId());
     }));
 
     var getSequenceId = co(function *() {
@@ -285,13 +272,14 @@ contract('WalletSimple', function(accounts) {
 
     // Get the operation hash to be signed
     var operationHash = helpers.getSha3ForConfirmationTx(
+      params.wallet.address,
       otherSignerArgs.toAddress,
       otherSignerArgs.amount,
       otherSignerArgs.data,
       otherSignerArgs.expireTime,
       otherSignerArgs.sequenceId
     );
-    var signature = web3.eth.sign(params.otherSignerAddress, operationHash);
+    var signature = helpers.sign(params.otherSignerAddress, operationHash);
 
     yield params.wallet.sendMultiSig(
       msgSenderArgs.toAddress,
@@ -342,7 +330,7 @@ contract('WalletSimple', function(accounts) {
   describe("Transaction sending using sendMultiSig", function() {
     before(co(function *() {
       // Create and fund the wallet
-      wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]]);
+      wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]], helpers.getNetworkId());
       web3.eth.sendTransaction({from: accounts[0], to: wallet.address, value: web3.toWei(200000, "ether")});
       web3.fromWei(web3.eth.getBalance(wallet.address), 'ether').should.eql(web3.toBigNumber(200000));
     }));
@@ -364,8 +352,8 @@ contract('WalletSimple', function(accounts) {
       var destinationAccountStartEther = web3.fromWei(web3.eth.getBalance(destinationAccount), 'ether');
       var msigWalletStartEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
 
-      var operationHash = helpers.getSha3ForConfirmationTx(destinationAccount, amount, data, expireTime, sequenceId);
-      var sig = web3.eth.sign(accounts[1], operationHash);
+      var operationHash = helpers.getSha3ForConfirmationTx(wallet.address, destinationAccount, amount, data, expireTime, sequenceId);
+      var sig = helpers.sign(accounts[1], operationHash);
       operationHash = "0x" + operationHash;
 
       var sendMultiSigTxHash = yield wallet.sendMultiSig(destinationAccount, web3.toWei(amount, "ether"), data, expireTime, sequenceId, sig, { from: accounts[0] });
@@ -376,12 +364,8 @@ contract('WalletSimple', function(accounts) {
       var msigWalletEndEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
       msigWalletStartEther.minus(amount).should.eql(msigWalletEndEther);
 
-      yield helpers.waitForEvents(walletEvents, 2); // wait for events to come in
-
       // Check wallet events for Transacted event
-      var transactedEvent = _.find(walletEvents, function(event) {
-        return event.event === 'Transacted';
-      });
+      var transactedEvent = (yield helpers.expectEvent(wallet, sendMultiSigTxHash, 'Transacted'))[0];
       transactedEvent.args.msgSender.should.eql(accounts[0]);
       transactedEvent.args.otherSigner.should.eql(accounts[1]);
       transactedEvent.args.operation.should.eql(util.addHexPrefix(operationHash));
@@ -397,13 +381,8 @@ contract('WalletSimple', function(accounts) {
         var expireTime = Math.floor((new Date().getTime()) / 1000) + 60; // 60 seconds
         var data = crypto.randomBytes(20).toString('hex');
 
-        var operationHash = helpers.getSha3ForConfirmationTx(destinationAccount, amount, data, expireTime, sequenceId);
-        var sig = web3.eth.sign(accounts[0], operationHash);
-        if (sig.length !== 132) {
-          // TestRPC is signing incorrectly (returning unpadded sigs)
-          continue;
-        }
-
+        var operationHash = helpers.getSha3ForConfirmationTx(wallet.address, destinationAccount, amount, data, expireTime, sequenceId);
+        var sig = helpers.sign(accounts[0], operationHash);
         console.log("ExpectSuccess " + round + ": " + amount + "ETH, seqId: " + sequenceId + ", operationHash: " + operationHash + ", sig: " + sig);
 
         var destinationAccountStartEther = web3.fromWei(web3.eth.getBalance(destinationAccount), 'ether');
@@ -431,13 +410,8 @@ contract('WalletSimple', function(accounts) {
         var expireTime = Math.floor((new Date().getTime()) / 1000) + 60; // 60 seconds
         var data = crypto.randomBytes(20).toString('hex');
 
-        var operationHash = helpers.getSha3ForConfirmationTx(destinationAccount, amount, data, expireTime, sequenceId);
-        var sig = web3.eth.sign(accounts[0], operationHash);
-        if (sig.length !== 132) {
-          // TestRPC is signing incorrectly (returning unpadded sigs)
-          continue;
-        }
-
+        var operationHash = helpers.getSha3ForConfirmationTx(wallet.address, destinationAccount, amount, data, expireTime, sequenceId);
+        var sig = helpers.sign(accounts[0], operationHash);
         console.log("ExpectFail " + round + ": " + amount + "ETH, seqId: " + sequenceId + ", operationHash: " + operationHash + ", sig: " + sig);
         var destinationAccountStartEther = web3.fromWei(web3.eth.getBalance(destinationAccount), 'ether');
         var msigWalletStartEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
@@ -471,13 +445,8 @@ contract('WalletSimple', function(accounts) {
         var expireTime = Math.floor((new Date().getTime()) / 1000) + 60; // 60 seconds
         var data = crypto.randomBytes(20).toString('hex');
 
-        var operationHash = helpers.getSha3ForConfirmationTx(destinationAccount, amount, data, expireTime, sequenceId);
-        var sig = web3.eth.sign(accounts[5+round%5], operationHash);
-        if (sig.length !== 132) {
-          // TestRPC is signing incorrectly (returning unpadded sigs)
-          continue;
-        }
-
+        var operationHash = helpers.getSha3ForConfirmationTx(wallet.address, destinationAccount, amount, data, expireTime, sequenceId);
+        var sig = helpers.sign(accounts[5+round%5], operationHash);
         console.log("ExpectFail " + round + ": " + amount + "ETH, seqId: " + sequenceId + ", operationHash: " + operationHash + ", sig: " + sig);
         var destinationAccountStartEther = web3.fromWei(web3.eth.getBalance(destinationAccount), 'ether');
         var msigWalletStartEther = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
@@ -723,10 +692,160 @@ contract('WalletSimple', function(accounts) {
     }));
   });
 
+  describe("Operation hash replay protection", function() {
+    var walletA;
+    var walletB;
+
+    before(co(function *() {
+      // Two wallets with the same signers, whose sequence ids are in step
+      walletA = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]], helpers.getNetworkId());
+      walletB = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]], helpers.getNetworkId());
+      web3.eth.sendTransaction({ from: accounts[0], to: walletA.address, value: web3.toWei(10, "ether") });
+      web3.eth.sendTransaction({ from: accounts[0], to: walletB.address, value: web3.toWei(10, "ether") });
+    }));
+
+    var expireTime = function() {
+      return Math.floor((new Date().getTime()) / 1000) + 60; // 60 seconds
+    };
+
+    var expectFail = co(function *(promise) {
+      try {
+        yield promise;
+        throw new Error("should not be here");
+      } catch(err) {
+        err.message.toString().should.startWith("Error: VM Exception");
+      }
+    });
+
+    it("Stores the network ID it was deployed with", co(function *() {
+      (yield walletA.networkId.call()).should.eql(web3.toBigNumber(helpers.getNetworkId()));
+      (yield walletA.OPERATION_HASH_VERSION.call()).should.eql(web3.toBigNumber(2));
+    }));
+
+    it("Signature for one wallet cannot be replayed on another wallet with the same signers", co(function *() {
+      var time = expireTime();
+      var sequenceId = parseInt(yield walletB.getNextSequenceId.call());
+      var signature = helpers.sign(accounts[1], helpers.getSha3ForConfirmationTx(walletA.address, accounts[5], 1, "", time, sequenceId));
+      yield expectFail(walletB.sendMultiSig(accounts[5], web3.toWei(1, "ether"), "", time, sequenceId, signature, { from: accounts[0] }));
+
+      var token = yield ERC20Mock.new(1000, { from: accounts[0] });
+      yield token.transfer(walletB.address, 100, { from: accounts[0] });
+      signature = helpers.sign(accounts[1], helpers.getSha3ForTokenConfirmationTx(walletA.address, accounts[5], 40, token.address, time, sequenceId));
+      yield expectFail(walletB.sendMultiSigToken(accounts[5], 40, token.address, time, sequenceId, signature, { from: accounts[0] }));
+
+      signature = helpers.sign(accounts[1], helpers.getSha3ForSignerChange(walletA.address, "ADDSIGNER", [accounts[3]], time, sequenceId));
+      yield expectFail(walletB.addSigner(accounts[3], time, sequenceId, signature, { from: accounts[0] }));
+
+      // The signature is still valid on the wallet it was made for
+      signature = helpers.sign(accounts[1], helpers.getSha3ForConfirmationTx(walletA.address, accounts[5], 1, "", time, sequenceId));
+      yield walletA.sendMultiSig(accounts[5], web3.toWei(1, "ether"), "", time, sequenceId, signature, { from: accounts[0] });
+    }));
+
+    it("Signature for another network cannot be replayed", co(function *() {
+      var otherNetworkWallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]], parseInt(helpers.getNetworkId()) + 1);
+      web3.eth.sendTransaction({ from: accounts[0], to: otherNetworkWallet.address, value: web3.toWei(10, "ether") });
+      var time = expireTime();
+      // Signed for the wallet address, but on the network of the test node
+      var signature = helpers.sign(accounts[1], helpers.getSha3ForConfirmationTx(otherNetworkWallet.address, accounts[5], 1, "", time, 1));
+      yield expectFail(otherNetworkWallet.sendMultiSig(accounts[5], web3.toWei(1, "ether"), "", time, 1, signature, { from: accounts[0] }));
+    }));
+
+    it("Signature of an unversioned operation hash should fail", co(function *() {
+      var time = expireTime();
+      var sequenceId = parseInt(yield walletB.getNextSequenceId.call());
+      var operationHash = abi.soliditySHA3(
+        [ "address", "uint", "string", "uint", "uint" ],
+        [ new BN(accounts[5].replace("0x", ""), 16), web3.toWei(1, "ether"), "", time, sequenceId ]
+      ).toString('hex');
+      yield expectFail(walletB.sendMultiSig(accounts[5], web3.toWei(1, "ether"), "", time, sequenceId, helpers.sign(accounts[1], operationHash), { from: accounts[0] }));
+    }));
+  });
+
+  describe("Typed data signing using sendMultiSigTyped", function() {
+    var client;
+
+    before(co(function *() {
+      client = yield WalletSimpleClient.deploy({
+        WalletSimple: WalletSimple,
+        web3: web3,
+        signers: [accounts[0], accounts[1], accounts[2]],
+        from: accounts[0]
+      });
+      wallet = client.wallet;
+      web3.eth.sendTransaction({ from: accounts[0], to: wallet.address, value: web3.toWei(100, "ether") });
+    }));
+
+    var sequenceId;
+    beforeEach(co(function *() {
+      sequenceId = yield client.getNextSequenceId();
+    }));
+
+    var expireTime = function() {
+      return Math.floor((new Date().getTime()) / 1000) + 60; // 60 seconds
+    };
+
+    var expectFail = co(function *(promise) {
+      try {
+        yield promise;
+        throw new Error("should not be here");
+      } catch(err) {
+        err.message.toString().should.startWith("Error: VM Exception");
+      }
+    });
+
+    it("Send out 5 ether approved with a signature of the typed data", co(function *() {
+      var time = expireTime();
+      var operationHash = helpers.getSha3ForTypedConfirmationTx(wallet.address, accounts[5], 5, "abcd", time, sequenceId);
+      // The test node signs the hash without a prefix, so eth.sign gives the same signature as eth_signTypedData
+      var signature = helpers.sign(accounts[1], operationHash);
+
+      var destinationStartEther = web3.fromWei(web3.eth.getBalance(accounts[5]), 'ether');
+      var txHash = yield wallet.sendMultiSigTyped(accounts[5], web3.toWei(5, "ether"), "abcd", time, sequenceId, signature, { from: accounts[0] });
+      web3.fromWei(web3.eth.getBalance(accounts[5]), 'ether').should.eql(destinationStartEther.plus(5));
+      yield helpers.expectEvent(wallet, txHash, 'Transacted', { msgSender: accounts[0], otherSigner: accounts[1], operation: "0x" + operationHash });
+    }));
+
+    it("Client sends with a typed data signature from an offline signer", co(function *() {
+      var params = { to: accounts[5], value: web3.toWei(1, "ether"), data: "0x00ff", expireTime: expireTime(), sequenceId: sequenceId, typed: true, from: accounts[2] };
+      var typedData = client.getTypedOperationData(params);
+      _.map(typedData, 'name').should.eql(['wallet', 'networkId', 'to', 'value', 'data', 'expireTime', 'sequenceId']);
+      _.map(typedData, 'value').should.eql([wallet.address, String(helpers.getNetworkId()), accounts[5], web3.toWei(1, "ether"), "0x00ff", String(params.expireTime), String(sequenceId)]);
+      params.signature = helpers.sign(accounts[0], util.stripHexPrefix(client.getTypedOperationHash(params)));
+
+      var txHash = yield client.sendMultiSig(params);
+      yield helpers.expectEvent(wallet, txHash, 'Transacted', { otherSigner: accounts[0], operation: client.getTypedOperationHash(params) });
+    }));
+
+    it("Legacy and typed signatures cannot be used for each other", co(function *() {
+      var time = expireTime();
+      var legacySignature = helpers.sign(accounts[1], helpers.getSha3ForConfirmationTx(wallet.address, accounts[5], 1, "", time, sequenceId));
+      var typedSignature = helpers.sign(accounts[1], helpers.getSha3ForTypedConfirmationTx(wallet.address, accounts[5], 1, "", time, sequenceId));
+      yield expectFail(wallet.sendMultiSigTyped(accounts[5], web3.toWei(1, "ether"), "", time, sequenceId, legacySignature, { from: accounts[0] }));
+      yield expectFail(wallet.sendMultiSig(accounts[5], web3.toWei(1, "ether"), "", time, sequenceId, typedSignature, { from: accounts[0] }));
+    }));
+
+    it("Sequence ids are shared with sendMultiSig and may not be reused", co(function *() {
+      var time = expireTime();
+      yield wallet.sendMultiSig(accounts[5], web3.toWei(1, "ether"), "", time, sequenceId, helpers.sign(accounts[1], helpers.getSha3ForConfirmationTx(wallet.address, accounts[5], 1, "", time, sequenceId)), { from: accounts[0] });
+      var typedSignature = helpers.sign(accounts[1], helpers.getSha3ForTypedConfirmationTx(wallet.address, accounts[5], 1, "", time, sequenceId));
+      yield expectFail(wallet.sendMultiSigTyped(accounts[5], web3.toWei(1, "ether"), "", time, sequenceId, typedSignature, { from: accounts[0] }));
+    }));
+
+    it("Msg sender changing the amount or a signature of another wallet should fail", co(function *() {
+      var time = expireTime();
+      var signature = helpers.sign(accounts[1], helpers.getSha3ForTypedConfirmationTx(wallet.address, accounts[5], 1, "", time, sequenceId));
+      yield expectFail(wallet.sendMultiSigTyped(accounts[5], web3.toWei(2, "ether"), "", time, sequenceId, signature, { from: accounts[0] }));
+
+      var otherWallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]], helpers.getNetworkId());
+      web3.eth.sendTransaction({ from: accounts[0], to: otherWallet.address, value: web3.toWei(10, "ether") });
+      yield expectFail(otherWallet.sendMultiSigTyped(accounts[5], web3.toWei(1, "ether"), "", time, sequenceId, signature, { from: accounts[0] }));
+    }));
+  });
+
   describe("Safe mode", function() {
     before(co(function *() {
       // Create and fund the wallet
-      wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]]);
+      wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]], helpers.getNetworkId());
       web3.eth.sendTransaction({ from: accounts[0], to: wallet.address, value: web3.toWei(50000, "ether") });
     }));
 
@@ -743,7 +862,7 @@ contract('WalletSimple', function(accounts) {
 
     it("Can be activated by any authorized signer", co(function *() {
       for (var i=0; i<3; i++) {
-        var wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]]);
+        var wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]], helpers.getNetworkId());
         yield wallet.activateSafeMode({from: accounts[i]});
         var isSafeMode = yield wallet.safeMode.call();
         isSafeMode.should.eql(true);
@@ -753,13 +872,10 @@ contract('WalletSimple', function(accounts) {
     it("Cannot send transactions to external addresses in safe mode", co(function *() {
       var isSafeMode = yield wallet.safeMode.call();
       isSafeMode.should.eql(false);
-      yield wallet.activateSafeMode({ from: accounts[1] });
+      var txHash = yield wallet.activateSafeMode({ from: accounts[1] });
       var isSafeMode = yield wallet.safeMode.call();
       isSafeMode.should.eql(true);
-      yield helpers.waitForEvents(walletEvents, 1);
-      var safeModeEvent = _.find(walletEvents, function(event) {
-        return event.event === 'SafeModeActivated';
-      });
+      var safeModeEvent = (yield helpers.expectEvent(wallet, txHash, 'SafeModeActivated'))[0];
       safeModeEvent.args.msgSender.should.eql(accounts[1]);
 
       var params = {
@@ -792,12 +908,712 @@ contract('WalletSimple', function(accounts) {
     }));
   });
 
+  describe("Leaving safe mode", function() {
+    var sequenceId;
+
+    beforeEach(co(function *() {
+      wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]], helpers.getNetworkId());
+      web3.eth.sendTransaction({ from: accounts[0], to: wallet.address, value: web3.toWei(10, "ether") });
+      sequenceId = parseInt(yield wallet.getNextSequenceId.call());
+    }));
+
+    var expireTime = function() {
+      return Math.floor((new Date().getTime()) / 1000) + 60; // 60 seconds
+    };
+
+    var expectFail = co(function *(promise) {
+      try {
+        yield promise;
+        throw new Error("should not be here");
+      } catch(err) {
+        err.message.toString().should.startWith("Error: VM Exception");
+      }
+    });
+
+    // Packs the signatures of the other signers on a safe mode exit
+    var signExit = function(otherSigners, time, sequenceId) {
+      var operationHash = helpers.getSha3ForSafeModeExit(wallet.address, time, sequenceId);
+      return signatures.packSignatures(operationHash, otherSigners.map(function(signer) {
+        return helpers.sign(signer, operationHash);
+      }));
+    };
+
+    it("Needs the consensus of all signers and a delay by default", co(function *() {
+      yield expectFail(wallet.requestSafeModeExit(expireTime(), sequenceId, signExit([accounts[1], accounts[2]], expireTime(), sequenceId), { from: accounts[0] }));
+      yield wallet.activateSafeMode({ from: accounts[2] });
+      (yield wallet.safeModeExitRequired.call()).should.eql(web3.toBigNumber(3));
+
+      var time = expireTime();
+      yield expectFail(wallet.requestSafeModeExit(time, sequenceId, signExit([accounts[1]], time, sequenceId), { from: accounts[0] }));
+      yield expectFail(wallet.requestSafeModeExit(time, sequenceId, signExit([accounts[0], accounts[1]], time, sequenceId), { from: accounts[0] }));
+      yield expectFail(wallet.requestSafeModeExit(time, sequenceId, signExit([accounts[1], accounts[5]], time, sequenceId), { from: accounts[0] }));
+
+      var txHash = yield wallet.requestSafeModeExit(time, sequenceId, signExit([accounts[1], accounts[2]], time, sequenceId), { from: accounts[0] });
+      var operationHash = util.addHexPrefix(helpers.getSha3ForSafeModeExit(wallet.address, time, sequenceId));
+      (yield helpers.expectEvent(wallet, txHash, 'SignerApproved', { operation: operationHash })).length.should.eql(2);
+      var requestEvent = (yield helpers.expectEvent(wallet, txHash, 'SafeModeExitRequested', { msgSender: accounts[0], operation: operationHash }))[0];
+      requestEvent.args.exitTime.should.eql(yield wallet.safeModeExitTime.call());
+      requestEvent.args.exitTime.minus(web3.eth.getBlock(web3.eth.getTransactionReceipt(txHash).blockNumber).timestamp).should.eql(web3.toBigNumber(48 * 3600));
+
+      // The delay has not passed yet
+      yield expectFail(wallet.deactivateSafeMode({ from: accounts[0] }));
+      (yield wallet.safeMode.call()).should.eql(true);
+    }));
+
+    it("A single signer cancels a pending exit by activating safe mode again", co(function *() {
+      var client = new WalletSimpleClient({ wallet: wallet, web3: web3 });
+      yield client.activateSafeMode({ from: accounts[0] });
+      yield client.requestSafeModeExit({ expireTime: expireTime(), otherSigners: [accounts[2], accounts[1]], from: accounts[0] });
+      (yield client.getSafeModeExit()).exitTime.should.be.above(0);
+
+      var txHash = yield client.activateSafeMode({ from: accounts[2] });
+      yield helpers.expectEvent(wallet, txHash, 'SafeModeExitCancelled', { msgSender: accounts[2] });
+      (yield client.getSafeModeExit()).should.eql({ safeMode: true, required: 3, exitTime: 0, delay: 48 * 3600 });
+      yield expectFail(wallet.deactivateSafeMode({ from: accounts[0] }));
+    }));
+
+    it("Leave safe mode with a configured super-majority and delay", co(function *() {
+      wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2], accounts[3], accounts[4]], helpers.getNetworkId());
+      web3.eth.sendTransaction({ from: accounts[0], to: wallet.address, value: web3.toWei(10, "ether") });
+      var client = new WalletSimpleClient({ wallet: wallet, web3: web3 });
+
+      // 2 of 5 is not a super-majority
+      yield expectFail(client.setSafeModeExitPolicy({ exitSigners: 2, exitDelay: 2, expireTime: expireTime(), otherSigner: accounts[1], from: accounts[0] }));
+      var txHash = yield client.setSafeModeExitPolicy({ exitSigners: 3, exitDelay: 2, expireTime: expireTime(), otherSigner: accounts[1], from: accounts[0] });
+      yield helpers.expectEvent(wallet, txHash, 'SafeModeExitPolicyChanged', { otherSigner: accounts[1], exitSigners: 3, exitDelay: 2 });
+
+      yield client.activateSafeMode({ from: accounts[3] });
+      (yield client.getSafeModeExit()).should.eql({ safeMode: true, required: 3, exitTime: 0, delay: 2 });
+
+      // The other signers sign the prepared request on their own machines
+      var prepared = yield client.prepareSafeModeExit({ expireTime: expireTime() });
+      prepared.otherSignersRequired.should.eql(2);
+      var collected = [accounts[4], accounts[2]].map(function(signer) {
+        return helpers.sign(signer, prepared.operationHash);
+      });
+      try {
+        yield client.requestSafeModeExit(_.extend({ signatures: collected.slice(1), from: accounts[3] }, prepared));
+        throw new Error("should not be here");
+      } catch(err) {
+        err.message.should.eql('leaving safe mode needs the signatures of 2 other signers, got 1');
+      }
+      yield client.requestSafeModeExit(_.extend({ signatures: collected, from: accounts[3] }, prepared));
+      yield expectFail(client.deactivateSafeMode({ from: accounts[0] }));
+
+      yield helpers.increaseTime(3);
+      txHash = yield client.deactivateSafeMode({ from: accounts[0] });
+      yield helpers.expectEvent(wallet, txHash, 'SafeModeDeactivated', { msgSender: accounts[0] });
+      (yield client.getSafeModeExit()).should.eql({ safeMode: false, required: 3, exitTime: 0, delay: 2 });
+
+      // Funds can be sent to non-signers again
+      yield client.sendMultiSig({ to: accounts[8], value: web3.toWei(1, "ether"), expireTime: expireTime(), otherSigner: accounts[1], from: accounts[0] });
+    }));
+
+    it("Neither the policy nor the signers can be changed in safe mode, so the signers needed can still leave it", co(function *() {
+      var client = new WalletSimpleClient({ wallet: wallet, web3: web3 });
+      yield client.activateSafeMode({ from: accounts[0] });
+      yield expectFail(client.setSafeModeExitPolicy({ exitSigners: 2, exitDelay: 1, expireTime: expireTime(), otherSigner: accounts[1], from: accounts[0] }));
+
+      // Removing a signer would leave fewer signers than the 3 needed to leave safe mode
+      yield expectFail(client.removeSigner({ signer: accounts[2], expireTime: expireTime(), otherSigner: accounts[1], from: accounts[0] }));
+      (yield client.getSigners()).should.eql([accounts[0], accounts[1], accounts[2]]);
+      (yield client.getSafeModeExit()).required.should.eql(3);
+
+      var time = expireTime();
+      var exitSequenceId = yield client.getNextSequenceId();
+      yield expectFail(wallet.requestSafeModeExit(time, exitSequenceId, signExit([accounts[1]], time, exitSequenceId), { from: accounts[0] }));
+      yield wallet.requestSafeModeExit(time, exitSequenceId, signExit([accounts[1], accounts[2]], time, exitSequenceId), { from: accounts[0] });
+      (yield client.getSafeModeExit()).exitTime.should.be.above(0);
+    }));
+  });
+
+  describe("Timelock", function() {
+    var client;
+    var token;
+
+    beforeEach(co(function *() {
+      wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]], helpers.getNetworkId());
+      web3.eth.sendTransaction({ from: accounts[0], to: wallet.address, value: web3.toWei(10, "ether") });
+      client = new WalletSimpleClient({ wallet: wallet, web3: web3 });
+      token = yield ERC20Mock.new(1000, { from: accounts[0] });
+      yield token.transfer(wallet.address, 100, { from: accounts[0] });
+    }));
+
+    var expireTime = function() {
+      return Math.floor((new Date().getTime()) / 1000) + 60; // 60 seconds
+    };
+
+    var expectFail = co(function *(promise) {
+      try {
+        yield promise;
+        throw new Error("should not be here");
+      } catch(err) {
+        err.message.toString().should.startWith("Error: VM Exception");
+      }
+    });
+
+    it("Setting the timelock needs the signature of another signer", co(function *() {
+      var time = expireTime();
+      var sequenceId = yield client.getNextSequenceId();
+      var operationHash = helpers.getSha3ForTimelockChange(wallet.address, 3600, time, sequenceId);
+      yield expectFail(wallet.setTimelock(3600, time, sequenceId, helpers.sign(accounts[0], operationHash), { from: accounts[0] }));
+      yield expectFail(wallet.setTimelock(3600, time, sequenceId, helpers.sign(accounts[1], operationHash), { from: accounts[5] }));
+
+      var txHash = yield wallet.setTimelock(3600, time, sequenceId, helpers.sign(accounts[1], operationHash), { from: accounts[0] });
+      yield helpers.expectEvent(wallet, txHash, 'TimelockChanged', { msgSender: accounts[0], otherSigner: accounts[1], operation: util.addHexPrefix(operationHash), timelock: 3600 });
+      (yield client.getInfo()).timelock.should.eql(web3.toBigNumber(3600));
+    }));
+
+    it("Approved transactions are queued, and any signer can cancel them", co(function *() {
+      yield client.setTimelock({ timelock: 3600, expireTime: expireTime(), otherSigner: accounts[2], from: accounts[0] });
+      var destinationStartEther = web3.fromWei(web3.eth.getBalance(accounts[6]), 'ether');
+
+      var txHash = yield client.sendMultiSig({ to: accounts[6], value: web3.toWei(2, "ether"), expireTime: expireTime(), otherSigner: accounts[1], from: accounts[0] });
+      var queuedEvent = (yield helpers.expectEvent(wallet, txHash, 'TransactionQueued', { msgSender: accounts[0], otherSigner: accounts[1] }))[0];
+      yield helpers.expectNoEvent(wallet, txHash, 'Transacted');
+      web3.fromWei(web3.eth.getBalance(accounts[6]), 'ether').should.eql(destinationStartEther);
+      var blockTime = web3.eth.getBlock(web3.eth.getTransactionReceipt(txHash).blockNumber).timestamp;
+      queuedEvent.args.executableAfter.should.eql(web3.toBigNumber(blockTime + 3600));
+
+      yield client.sendMultiSigToken({ to: accounts[6], value: 30, tokenContractAddress: token.address, expireTime: expireTime(), otherSigner: accounts[2], from: accounts[1] });
+      (yield token.balanceOf.call(accounts[6])).should.eql(web3.toBigNumber(0));
+
+      var queued = yield client.getQueuedTransactions();
+      queued.length.should.eql(2);
+      queued[0].operation.should.eql(queuedEvent.args.operation);
+      var fields = ['executableAfter', 'to', 'tokenContractAddress', 'executable'];
+      _.pick(queued[0], fields).should.eql({ executableAfter: blockTime + 3600, to: accounts[6], tokenContractAddress: undefined, executable: false });
+      queued[0].value.should.eql(web3.toBigNumber(web3.toWei(2, "ether")));
+      _.pick(queued[1], fields).should.eql({ executableAfter: queued[1].executableAfter, to: accounts[6], tokenContractAddress: token.address, executable: false });
+      queued[1].value.should.eql(web3.toBigNumber(30));
+
+      // Not yet executable
+      yield expectFail(client.executeQueued(queued[0].operation, { from: accounts[0] }));
+      (yield client.executeMatured({ from: accounts[0] })).should.eql([]);
+
+      // A single signer cancels, but only signers can
+      yield expectFail(client.cancelQueued(queued[1].operation, { from: accounts[5] }));
+      txHash = yield client.cancelQueued(queued[1].operation, { from: accounts[2] });
+      yield helpers.expectEvent(wallet, txHash, 'QueuedTransactionCancelled', { msgSender: accounts[2], operation: queued[1].operation });
+      yield expectFail(client.cancelQueued(queued[1].operation, { from: accounts[2] }));
+      (yield client.getQueuedTransactions()).length.should.eql(1);
+    }));
+
+    it("Queued transactions are sent once the timelock has passed", co(function *() {
+      yield client.setTimelock({ timelock: 2, expireTime: expireTime(), otherSigner: accounts[2], from: accounts[0] });
+      var destinationStartEther = web3.fromWei(web3.eth.getBalance(accounts[6]), 'ether');
+      yield client.sendMultiSig({ to: accounts[6], value: web3.toWei(1, "ether"), expireTime: expireTime(), otherSigner: accounts[1], from: accounts[0] });
+      yield client.sendMultiSigToken({ to: accounts[7], value: 25, tokenContractAddress: token.address, expireTime: expireTime(), otherSigner: accounts[1], from: accounts[2] });
+      var queued = yield client.getQueuedTransactions();
+
+      yield helpers.increaseTime(3);
+      _.map(yield client.getQueuedTransactions(), 'executable').should.eql([true, true]);
+
+      var txHash = yield client.executeQueued(queued[0].operation, { from: accounts[2] });
+      yield helpers.expectEvent(wallet, txHash, 'Transacted', { msgSender: accounts[2], otherSigner: accounts[1], operation: queued[0].operation, toAddress: accounts[6] });
+      web3.fromWei(web3.eth.getBalance(accounts[6]), 'ether').should.eql(destinationStartEther.plus(1));
+      yield expectFail(client.executeQueued(queued[0].operation, { from: accounts[2] }));
+
+      var results = yield client.executeMatured({ from: accounts[0] });
+      _.map(results, 'operation').should.eql([queued[1].operation]);
+      yield helpers.expectEvent(wallet, results[0].txHash, 'TokenTransacted', { otherSigner: accounts[1], toAddress: accounts[7], value: 25 });
+      (yield token.balanceOf.call(accounts[7])).should.eql(web3.toBigNumber(25));
+      (yield client.getQueuedTransactions()).should.eql([]);
+    }));
+
+    it("Batches are not allowed, and safe mode applies when a queued transaction is sent", co(function *() {
+      yield client.setTimelock({ timelock: 2, expireTime: expireTime(), otherSigner: accounts[2], from: accounts[0] });
+      yield expectFail(client.sendMultiSigBatch({ recipients: [accounts[6]], values: [1], expireTime: expireTime(), otherSigner: accounts[1], from: accounts[0] }));
+
+      yield client.sendMultiSig({ to: accounts[6], value: 1, expireTime: expireTime(), otherSigner: accounts[1], from: accounts[0] });
+      yield client.sendMultiSig({ to: accounts[1], value: 1, expireTime: expireTime(), otherSigner: accounts[1], from: accounts[0] });
+      yield client.activateSafeMode({ from: accounts[2] });
+      yield helpers.increaseTime(3);
+      var queued = yield client.getQueuedTransactions();
+      yield expectFail(client.executeQueued(queued[0].operation, { from: accounts[0] }));
+      yield client.executeQueued(queued[1].operation, { from: accounts[0] });
+      (yield client.getQueuedTransactions()).length.should.eql(1);
+    }));
+
+    it("Lowering the timelock waits for the current timelock", co(function *() {
+      yield client.setTimelock({ timelock: 2, expireTime: expireTime(), otherSigner: accounts[2], from: accounts[0] });
+      var txHash = yield client.setTimelock({ timelock: 0, expireTime: expireTime(), otherSigner: accounts[1], from: accounts[2] });
+      var blockTime = web3.eth.getBlock(web3.eth.getTransactionReceipt(txHash).blockNumber).timestamp;
+      var queuedEvent = (yield helpers.expectEvent(wallet, txHash, 'TimelockChangeQueued', { msgSender: accounts[2], otherSigner: accounts[1], timelock: 0, executableAfter: blockTime + 2 }))[0];
+      yield helpers.expectNoEvent(wallet, txHash, 'TimelockChanged');
+      (yield client.getInfo()).timelock.should.eql(web3.toBigNumber(2));
+      var pendingTimelock = yield client.getPendingTimelock();
+      pendingTimelock.should.eql({ timelock: web3.toBigNumber(0), operation: queuedEvent.args.operation, otherSigner: accounts[1], executableAfter: blockTime + 2, executable: false });
+
+      // Transactions approved in the meantime are still queued, and the change can not be applied yet
+      txHash = yield client.sendMultiSig({ to: accounts[6], value: 1, expireTime: expireTime(), otherSigner: accounts[1], from: accounts[0] });
+      yield helpers.expectEvent(wallet, txHash, 'TransactionQueued');
+      yield expectFail(client.applyTimelock({ from: accounts[0] }));
+
+      yield helpers.increaseTime(3);
+      (yield client.getPendingTimelock()).executable.should.eql(true);
+      yield expectFail(client.applyTimelock({ from: accounts[5] }));
+      txHash = yield client.applyTimelock({ from: accounts[0] });
+      yield helpers.expectEvent(wallet, txHash, 'TimelockChanged', { msgSender: accounts[0], otherSigner: accounts[1], operation: queuedEvent.args.operation, timelock: 0 });
+      (yield client.getInfo()).timelock.should.eql(web3.toBigNumber(0));
+      ((yield client.getPendingTimelock()) === undefined).should.eql(true);
+      yield expectFail(client.applyTimelock({ from: accounts[0] }));
+
+      // Setting the timelock to 0 sends transactions immediately again
+      txHash = yield client.sendMultiSig({ to: accounts[6], value: 1, expireTime: expireTime(), otherSigner: accounts[1], from: accounts[0] });
+      yield helpers.expectEvent(wallet, txHash, 'Transacted');
+      yield helpers.expectNoEvent(wallet, txHash, 'TransactionQueued');
+    }));
+
+    it("Any signer can cancel a lower timelock, and a higher one replaces it", co(function *() {
+      yield client.setTimelock({ timelock: 3600, expireTime: expireTime(), otherSigner: accounts[2], from: accounts[0] });
+      var txHash = yield client.setTimelock({ timelock: 0, expireTime: expireTime(), otherSigner: accounts[1], from: accounts[2] });
+      var queuedEvent = (yield helpers.expectEvent(wallet, txHash, 'TimelockChangeQueued'))[0];
+
+      yield expectFail(client.cancelTimelockChange({ from: accounts[5] }));
+      txHash = yield client.cancelTimelockChange({ from: accounts[1] });
+      yield helpers.expectEvent(wallet, txHash, 'TimelockChangeCancelled', { msgSender: accounts[1], operation: queuedEvent.args.operation });
+      ((yield client.getPendingTimelock()) === undefined).should.eql(true);
+      yield expectFail(client.cancelTimelockChange({ from: accounts[1] }));
+      (yield client.getInfo()).timelock.should.eql(web3.toBigNumber(3600));
+
+      yield client.setTimelock({ timelock: 60, expireTime: expireTime(), otherSigner: accounts[1], from: accounts[2] });
+      (yield client.getPendingTimelock()).timelock.should.eql(web3.toBigNumber(60));
+      yield client.setTimelock({ timelock: 7200, expireTime: expireTime(), otherSigner: accounts[1], from: accounts[2] });
+      ((yield client.getPendingTimelock()) === undefined).should.eql(true);
+      (yield client.getInfo()).timelock.should.eql(web3.toBigNumber(7200));
+    }));
+  });
+
+  describe("Token transfers using sendMultiSigToken", function() {
+    var token;
+    var sequenceId;
+
+    before(co(function *() {
+      wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]], helpers.getNetworkId());
+      web3.eth.sendTransaction({ from: accounts[0], to: wallet.address, value: web3.toWei(100, "ether") });
+      token = yield ERC20Mock.new(1000000, { from: accounts[0] });
+      yield token.transfer(wallet.address, 1000, { from: accounts[0] });
+      (yield token.balanceOf.call(wallet.address)).should.eql(web3.toBigNumber(1000));
+    }));
+
+    beforeEach(co(function *() {
+      sequenceId = parseInt(yield wallet.getNextSequenceId.call());
+    }));
+
+    var expireTime = function() {
+      return Math.floor((new Date().getTime()) / 1000) + 60; // 60 seconds
+    };
+
+    var expectFail = co(function *(promise) {
+      try {
+        yield promise;
+        throw new Error("should not be here");
+      } catch(err) {
+        err.message.toString().should.startWith("Error: VM Exception");
+      }
+    });
+
+    it("Send out 100 tokens with sendMultiSigToken", co(function *() {
+      var destinationAccount = accounts[5];
+      var time = expireTime();
+      var operationHash = helpers.getSha3ForTokenConfirmationTx(wallet.address, destinationAccount, 100, token.address, time, sequenceId);
+      var sig = helpers.sign(accounts[1], operationHash);
+
+      var txHash = yield wallet.sendMultiSigToken(destinationAccount, 100, token.address, time, sequenceId, sig, { from: accounts[0] });
+      (yield token.balanceOf.call(destinationAccount)).should.eql(web3.toBigNumber(100));
+      (yield token.balanceOf.call(wallet.address)).should.eql(web3.toBigNumber(900));
+
+      var tokenTransactedEvent = (yield helpers.expectEvent(wallet, txHash, 'TokenTransacted'))[0];
+      tokenTransactedEvent.args.msgSender.should.eql(accounts[0]);
+      tokenTransactedEvent.args.otherSigner.should.eql(accounts[1]);
+      tokenTransactedEvent.args.operation.should.eql(util.addHexPrefix(operationHash));
+      tokenTransactedEvent.args.toAddress.should.eql(destinationAccount);
+      tokenTransactedEvent.args.value.should.eql(web3.toBigNumber(100));
+      tokenTransactedEvent.args.tokenContractAddress.should.eql(token.address);
+      yield helpers.expectNoEvent(wallet, txHash, 'Transacted');
+    }));
+
+    it("Client signs and sends tokens with the other signer on the node", co(function *() {
+      var client = new WalletSimpleClient({ wallet: wallet, web3: web3 });
+      var txHash = yield client.sendMultiSigToken({
+        to: accounts[6],
+        value: 50,
+        tokenContractAddress: token.address,
+        expireTime: expireTime(),
+        otherSigner: accounts[2],
+        from: accounts[1]
+      });
+      yield helpers.expectEvent(wallet, txHash, 'TokenTransacted', { toAddress: accounts[6], value: 50, otherSigner: accounts[2] });
+      (yield token.balanceOf.call(accounts[6])).should.eql(web3.toBigNumber(50));
+    }));
+
+    it("Ether signature cannot be replayed as a token transfer", co(function *() {
+      var time = expireTime();
+      // Sign an ether transfer of 1 ether (10^18 wei), and try to use it to send 10^18 tokens
+      var operationHash = helpers.getSha3ForConfirmationTx(wallet.address, accounts[5], 1, "", time, sequenceId);
+      var sig = helpers.sign(accounts[1], operationHash);
+      yield expectFail(wallet.sendMultiSigToken(accounts[5], web3.toWei(1, "ether"), token.address, time, sequenceId, sig, { from: accounts[0] }));
+    }));
+
+    it("Token signature cannot be replayed as an ether transfer", co(function *() {
+      var time = expireTime();
+      var operationHash = helpers.getSha3ForTokenConfirmationTx(wallet.address, accounts[5], 10, token.address, time, sequenceId);
+      var sig = helpers.sign(accounts[1], operationHash);
+      yield expectFail(wallet.sendMultiSig(accounts[5], 10, "", time, sequenceId, sig, { from: accounts[0] }));
+      yield expectFail(wallet.sendMultiSig(accounts[5], 10, token.address, time, sequenceId, sig, { from: accounts[0] }));
+    }));
+
+    it("Msg sender changing the token contract should fail", co(function *() {
+      var otherToken = yield ERC20Mock.new(1000000, { from: accounts[0] });
+      yield otherToken.transfer(wallet.address, 1000, { from: accounts[0] });
+      var time = expireTime();
+      var operationHash = helpers.getSha3ForTokenConfirmationTx(wallet.address, accounts[5], 10, token.address, time, sequenceId);
+      var sig = helpers.sign(accounts[1], operationHash);
+      yield expectFail(wallet.sendMultiSigToken(accounts[5], 10, otherToken.address, time, sequenceId, sig, { from: accounts[0] }));
+      (yield otherToken.balanceOf.call(wallet.address)).should.eql(web3.toBigNumber(1000));
+    }));
+
+    it("Sending more tokens than the wallet holds should fail", co(function *() {
+      var time = expireTime();
+      var operationHash = helpers.getSha3ForTokenConfirmationTx(wallet.address, accounts[5], 100000, token.address, time, sequenceId);
+      var sig = helpers.sign(accounts[1], operationHash);
+      yield expectFail(wallet.sendMultiSigToken(accounts[5], 100000, token.address, time, sequenceId, sig, { from: accounts[0] }));
+      (yield token.balanceOf.call(wallet.address)).should.eql(web3.toBigNumber(850));
+    }));
+
+    it("Same owner signing twice should fail", co(function *() {
+      var time = expireTime();
+      var operationHash = helpers.getSha3ForTokenConfirmationTx(wallet.address, accounts[5], 10, token.address, time, sequenceId);
+      var sig = helpers.sign(accounts[0], operationHash);
+      yield expectFail(wallet.sendMultiSigToken(accounts[5], 10, token.address, time, sequenceId, sig, { from: accounts[0] }));
+    }));
+
+    it("Sequence ids are shared with sendMultiSig and may not be reused", co(function *() {
+      var time = expireTime();
+      var operationHash = helpers.getSha3ForTokenConfirmationTx(wallet.address, accounts[5], 10, token.address, time, sequenceId);
+      var sig = helpers.sign(accounts[1], operationHash);
+      yield wallet.sendMultiSigToken(accounts[5], 10, token.address, time, sequenceId, sig, { from: accounts[0] });
+      yield expectFail(wallet.sendMultiSigToken(accounts[5], 10, token.address, time, sequenceId, sig, { from: accounts[0] }));
+
+      var etherHash = helpers.getSha3ForConfirmationTx(wallet.address, accounts[5], 1, "", time, sequenceId);
+      var etherSig = helpers.sign(accounts[1], etherHash);
+      yield expectFail(wallet.sendMultiSig(accounts[5], web3.toWei(1, "ether"), "", time, sequenceId, etherSig, { from: accounts[0] }));
+    }));
+
+    it("Cannot send tokens to external addresses in safe mode", co(function *() {
+      yield wallet.activateSafeMode({ from: accounts[2] });
+      var time = expireTime();
+      var operationHash = helpers.getSha3ForTokenConfirmationTx(wallet.address, accounts[5], 10, token.address, time, sequenceId);
+      var sig = helpers.sign(accounts[1], operationHash);
+      yield expectFail(wallet.sendMultiSigToken(accounts[5], 10, token.address, time, sequenceId, sig, { from: accounts[0] }));
+
+      operationHash = helpers.getSha3ForTokenConfirmationTx(wallet.address, accounts[2], 10, token.address, time, sequenceId);
+      sig = helpers.sign(accounts[1], operationHash);
+      yield wallet.sendMultiSigToken(accounts[2], 10, token.address, time, sequenceId, sig, { from: accounts[0] });
+      (yield token.balanceOf.call(accounts[2])).should.eql(web3.toBigNumber(10));
+    }));
+  });
+
+  describe("Batch payouts using sendMultiSigBatch", function() {
+    var sequenceId;
+
+    before(co(function *() {
+      wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]], helpers.getNetworkId());
+      web3.eth.sendTransaction({ from: accounts[0], to: wallet.address, value: web3.toWei(100, "ether") });
+    }));
+
+    beforeEach(co(function *() {
+      sequenceId = parseInt(yield wallet.getNextSequenceId.call());
+    }));
+
+    var expireTime = function() {
+      return Math.floor((new Date().getTime()) / 1000) + 60; // 60 seconds
+    };
+
+    var expectFail = co(function *(promise) {
+      try {
+        yield promise;
+        throw new Error("should not be here");
+      } catch(err) {
+        err.message.toString().should.startWith("Error: VM Exception");
+      }
+    });
+
+    var toWei = function(amounts) {
+      return amounts.map(function(amount) {
+        return web3.toWei(amount, "ether");
+      });
+    };
+
+    it("Send to 3 recipients with one signature", co(function *() {
+      var recipients = [accounts[5], accounts[6], accounts[5]];
+      var amounts = [1, 2, 3];
+      var startBalances = [accounts[5], accounts[6]].map(function(account) {
+        return web3.fromWei(web3.eth.getBalance(account), 'ether');
+      });
+      var time = expireTime();
+      var operationHash = helpers.getSha3ForBatchConfirmationTx(wallet.address, recipients, amounts, time, sequenceId);
+      var sig = helpers.sign(accounts[1], operationHash);
+
+      var txHash = yield wallet.sendMultiSigBatch(recipients, toWei(amounts), time, sequenceId, sig, { from: accounts[0] });
+      web3.fromWei(web3.eth.getBalance(accounts[5]), 'ether').should.eql(startBalances[0].plus(4));
+      web3.fromWei(web3.eth.getBalance(accounts[6]), 'ether').should.eql(startBalances[1].plus(2));
+      web3.fromWei(web3.eth.getBalance(wallet.address), 'ether').should.eql(web3.toBigNumber(94));
+
+      // One event per transfer, in order
+      var batchEvents = yield helpers.expectEvent(wallet, txHash, 'BatchTransacted');
+      batchEvents.length.should.eql(3);
+      batchEvents.forEach(function(batchEvent, i) {
+        batchEvent.args.msgSender.should.eql(accounts[0]);
+        batchEvent.args.otherSigner.should.eql(accounts[1]);
+        batchEvent.args.operation.should.eql(util.addHexPrefix(operationHash));
+        batchEvent.args.toAddress.should.eql(recipients[i]);
+        batchEvent.args.value.should.eql(web3.toBigNumber(toWei(amounts)[i]));
+      });
+      yield helpers.expectNoEvent(wallet, txHash, 'Transacted');
+    }));
+
+    it("Client signs and sends a batch with the other signer on the node", co(function *() {
+      var client = new WalletSimpleClient({ wallet: wallet, web3: web3 });
+      var txHash = yield client.sendMultiSigBatch({
+        recipients: [accounts[6], accounts[7]],
+        values: toWei([1, 1]),
+        expireTime: expireTime(),
+        otherSigner: accounts[2],
+        from: accounts[1]
+      });
+      (yield helpers.expectEvent(wallet, txHash, 'BatchTransacted', { otherSigner: accounts[2] })).length.should.eql(2);
+    }));
+
+    it("Msg sender changing an amount or a recipient should fail", co(function *() {
+      var time = expireTime();
+      var operationHash = helpers.getSha3ForBatchConfirmationTx(wallet.address, [accounts[5], accounts[6]], [1, 2], time, sequenceId);
+      var sig = helpers.sign(accounts[1], operationHash);
+      yield expectFail(wallet.sendMultiSigBatch([accounts[5], accounts[6]], toWei([1, 3]), time, sequenceId, sig, { from: accounts[0] }));
+      yield expectFail(wallet.sendMultiSigBatch([accounts[5], accounts[7]], toWei([1, 2]), time, sequenceId, sig, { from: accounts[0] }));
+      yield expectFail(wallet.sendMultiSigBatch([accounts[5]], toWei([1]), time, sequenceId, sig, { from: accounts[0] }));
+    }));
+
+    it("Recipients and amounts of different lengths should fail", co(function *() {
+      var time = expireTime();
+      var operationHash = helpers.getSha3ForBatchConfirmationTx(wallet.address, [accounts[5], accounts[6]], [1], time, sequenceId);
+      var sig = helpers.sign(accounts[1], operationHash);
+      yield expectFail(wallet.sendMultiSigBatch([accounts[5], accounts[6]], toWei([1]), time, sequenceId, sig, { from: accounts[0] }));
+
+      operationHash = helpers.getSha3ForBatchConfirmationTx(wallet.address, [], [], time, sequenceId);
+      sig = helpers.sign(accounts[1], operationHash);
+      yield expectFail(wallet.sendMultiSigBatch([], [], time, sequenceId, sig, { from: accounts[0] }));
+    }));
+
+    it("No transfer is sent if one of them fails", co(function *() {
+      var walletBalance = web3.fromWei(web3.eth.getBalance(wallet.address), 'ether');
+      var time = expireTime();
+      var amounts = [1, walletBalance.toNumber()];
+      var operationHash = helpers.getSha3ForBatchConfirmationTx(wallet.address, [accounts[5], accounts[6]], amounts, time, sequenceId);
+      var sig = helpers.sign(accounts[1], operationHash);
+      yield expectFail(wallet.sendMultiSigBatch([accounts[5], accounts[6]], toWei(amounts), time, sequenceId, sig, { from: accounts[0] }));
+      web3.fromWei(web3.eth.getBalance(wallet.address), 'ether').should.eql(walletBalance);
+    }));
+
+    it("Single transfer signature cannot be replayed as a batch", co(function *() {
+      var time = expireTime();
+      var operationHash = helpers.getSha3ForConfirmationTx(wallet.address, accounts[5], 1, "", time, sequenceId);
+      var sig = helpers.sign(accounts[1], operationHash);
+      yield expectFail(wallet.sendMultiSigBatch([accounts[5]], toWei([1]), time, sequenceId, sig, { from: accounts[0] }));
+    }));
+
+    it("Same owner signing twice should fail", co(function *() {
+      var time = expireTime();
+      var operationHash = helpers.getSha3ForBatchConfirmationTx(wallet.address, [accounts[5]], [1], time, sequenceId);
+      var sig = helpers.sign(accounts[0], operationHash);
+      yield expectFail(wallet.sendMultiSigBatch([accounts[5]], toWei([1]), time, sequenceId, sig, { from: accounts[0] }));
+    }));
+
+    it("Sequence ids are shared with sendMultiSig and may not be reused", co(function *() {
+      var time = expireTime();
+      var operationHash = helpers.getSha3ForBatchConfirmationTx(wallet.address, [accounts[5]], [1], time, sequenceId);
+      var sig = helpers.sign(accounts[1], operationHash);
+      yield wallet.sendMultiSigBatch([accounts[5]], toWei([1]), time, sequenceId, sig, { from: accounts[0] });
+      yield expectFail(wallet.sendMultiSigBatch([accounts[5]], toWei([1]), time, sequenceId, sig, { from: accounts[0] }));
+
+      var etherHash = helpers.getSha3ForConfirmationTx(wallet.address, accounts[5], 1, "", time, sequenceId);
+      var etherSig = helpers.sign(accounts[1], etherHash);
+      yield expectFail(wallet.sendMultiSig(accounts[5], web3.toWei(1, "ether"), "", time, sequenceId, etherSig, { from: accounts[0] }));
+    }));
+
+    it("Every recipient must be a signer in safe mode", co(function *() {
+      yield wallet.activateSafeMode({ from: accounts[2] });
+      var time = expireTime();
+      // The first recipient is a signer, the second is not
+      var operationHash = helpers.getSha3ForBatchConfirmationTx(wallet.address, [accounts[2], accounts[5]], [1, 1], time, sequenceId);
+      var sig = helpers.sign(accounts[1], operationHash);
+      yield expectFail(wallet.sendMultiSigBatch([accounts[2], accounts[5]], toWei([1, 1]), time, sequenceId, sig, { from: accounts[0] }));
+
+      operationHash = helpers.getSha3ForBatchConfirmationTx(wallet.address, [accounts[2], accounts[1]], [1, 1], time, sequenceId);
+      sig = helpers.sign(accounts[1], operationHash);
+      var txHash = yield wallet.sendMultiSigBatch([accounts[2], accounts[1]], toWei([1, 1]), time, sequenceId, sig, { from: accounts[0] });
+      (yield helpers.expectEvent(wallet, txHash, 'BatchTransacted')).length.should.eql(2);
+    }));
+  });
+
+  describe("Signer rotation", function() {
+    var sequenceId;
+
+    beforeEach(co(function *() {
+      wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]], helpers.getNetworkId());
+      web3.eth.sendTransaction({ from: accounts[0], to: wallet.address, value: web3.toWei(10, "ether") });
+      sequenceId = parseInt(yield wallet.getNextSequenceId.call());
+    }));
+
+    var expireTime = function() {
+      return Math.floor((new Date().getTime()) / 1000) + 60; // 60 seconds
+    };
+
+    var expectFail = co(function *(promise) {
+      try {
+        yield promise;
+        throw new Error("should not be here");
+      } catch(err) {
+        err.message.toString().should.startWith("Error: VM Exception");
+      }
+    });
+
+    // Signs a change to the signers by otherSigner
+    var sign = function(otherSigner, prefix, signers, time, sequenceId) {
+      return helpers.sign(otherSigner, helpers.getSha3ForSignerChange(wallet.address, prefix, signers, time, sequenceId));
+    };
+
+    // Sends 1 ether to accounts[5], approved by msgSender and otherSigner
+    var send = function(msgSender, otherSigner) {
+      var time = expireTime();
+      return wallet.getNextSequenceId.call()
+      .then(function(result) {
+        var nextSequenceId = parseInt(result);
+        var sig = helpers.sign(otherSigner, helpers.getSha3ForConfirmationTx(wallet.address, accounts[5], 1, "", time, nextSequenceId));
+        return wallet.sendMultiSig(accounts[5], web3.toWei(1, "ether"), "", time, nextSequenceId, sig, { from: msgSender });
+      });
+    };
+
+    it("Add a signer", co(function *() {
+      var time = expireTime();
+      var sig = sign(accounts[1], "ADDSIGNER", [accounts[3]], time, sequenceId);
+      var txHash = yield wallet.addSigner(accounts[3], time, sequenceId, sig, { from: accounts[0] });
+      yield helpers.expectEvent(wallet, txHash, 'SignerAdded', {
+        msgSender: accounts[0],
+        otherSigner: accounts[1],
+        operation: util.addHexPrefix(helpers.getSha3ForSignerChange(wallet.address, "ADDSIGNER", [accounts[3]], time, sequenceId)),
+        signer: accounts[3]
+      });
+      (yield getSigners(wallet)).should.eql([accounts[0], accounts[1], accounts[2], accounts[3]]);
+
+      // The new signer can approve and send transactions
+      yield send(accounts[3], accounts[2]);
+      yield send(accounts[0], accounts[3]);
+
+      // The sequence id is used up
+      yield expectFail(wallet.addSigner(accounts[4], time, sequenceId, sign(accounts[1], "ADDSIGNER", [accounts[4]], time, sequenceId), { from: accounts[0] }));
+    }));
+
+    it("Adding an existing signer should fail", co(function *() {
+      var time = expireTime();
+      yield expectFail(wallet.addSigner(accounts[2], time, sequenceId, sign(accounts[1], "ADDSIGNER", [accounts[2]], time, sequenceId), { from: accounts[0] }));
+    }));
+
+    it("Remove a signer, who can no longer sign", co(function *() {
+      var time = expireTime();
+      var sig = sign(accounts[1], "REMOVESIGNER", [accounts[0]], time, sequenceId);
+      var txHash = yield wallet.removeSigner(accounts[0], time, sequenceId, sig, { from: accounts[2] });
+      yield helpers.expectEvent(wallet, txHash, 'SignerRemoved', { msgSender: accounts[2], otherSigner: accounts[1], signer: accounts[0] });
+      // The last signer takes the place of the removed one
+      (yield getSigners(wallet)).should.eql([accounts[2], accounts[1]]);
+      (yield wallet.isSigner.call(accounts[0])).should.eql(false);
+
+      // The removed signer can neither send nor approve transactions
+      yield expectFail(send(accounts[0], accounts[1]));
+      yield expectFail(send(accounts[1], accounts[0]));
+      yield send(accounts[1], accounts[2]);
+    }));
+
+    it("Removing a signer that would leave fewer than 2 signers should fail", co(function *() {
+      var time = expireTime();
+      yield wallet.removeSigner(accounts[2], time, sequenceId, sign(accounts[1], "REMOVESIGNER", [accounts[2]], time, sequenceId), { from: accounts[0] });
+      yield expectFail(wallet.removeSigner(accounts[1], time, sequenceId + 1, sign(accounts[1], "REMOVESIGNER", [accounts[1]], time, sequenceId + 1), { from: accounts[0] }));
+      (yield getSigners(wallet)).should.eql([accounts[0], accounts[1]]);
+    }));
+
+    it("Removing a non-signer should fail", co(function *() {
+      var time = expireTime();
+      yield expectFail(wallet.removeSigner(accounts[7], time, sequenceId, sign(accounts[1], "REMOVESIGNER", [accounts[7]], time, sequenceId), { from: accounts[0] }));
+    }));
+
+    it("Replace a signer, whose key can no longer sign", co(function *() {
+      var time = expireTime();
+      var sig = sign(accounts[2], "REPLACESIGNER", [accounts[1], accounts[4]], time, sequenceId);
+      var txHash = yield wallet.replaceSigner(accounts[1], accounts[4], time, sequenceId, sig, { from: accounts[0] });
+      yield helpers.expectEvent(wallet, txHash, 'SignerReplaced', {
+        msgSender: accounts[0],
+        otherSigner: accounts[2],
+        oldSigner: accounts[1],
+        newSigner: accounts[4]
+      });
+      (yield getSigners(wallet)).should.eql([accounts[0], accounts[4], accounts[2]]);
+
+      yield expectFail(send(accounts[0], accounts[1]));
+      yield expectFail(send(accounts[1], accounts[2]));
+      yield send(accounts[4], accounts[0]);
+    }));
+
+    it("Replacing with an existing signer should fail", co(function *() {
+      var time = expireTime();
+      yield expectFail(wallet.replaceSigner(accounts[1], accounts[2], time, sequenceId, sign(accounts[2], "REPLACESIGNER", [accounts[1], accounts[2]], time, sequenceId), { from: accounts[0] }));
+    }));
+
+    it("Changes need the signature of another signer over the same change", co(function *() {
+      var time = expireTime();
+      // Signed by the sender itself
+      yield expectFail(wallet.addSigner(accounts[3], time, sequenceId, sign(accounts[0], "ADDSIGNER", [accounts[3]], time, sequenceId), { from: accounts[0] }));
+      // Signed by a non-signer
+      yield expectFail(wallet.addSigner(accounts[3], time, sequenceId, sign(accounts[3], "ADDSIGNER", [accounts[3]], time, sequenceId), { from: accounts[0] }));
+      // Signature for a different change
+      yield expectFail(wallet.removeSigner(accounts[2], time, sequenceId, sign(accounts[1], "ADDSIGNER", [accounts[2]], time, sequenceId), { from: accounts[0] }));
+      yield expectFail(wallet.addSigner(accounts[4], time, sequenceId, sign(accounts[1], "ADDSIGNER", [accounts[3]], time, sequenceId), { from: accounts[0] }));
+      // Sent by a non-signer
+      yield expectFail(wallet.addSigner(accounts[3], time, sequenceId, sign(accounts[1], "ADDSIGNER", [accounts[3]], time, sequenceId), { from: accounts[3] }));
+      // Expired
+      var expired = Math.floor((new Date().getTime()) / 1000) - 60;
+      yield expectFail(wallet.addSigner(accounts[3], expired, sequenceId, sign(accounts[1], "ADDSIGNER", [accounts[3]], expired, sequenceId), { from: accounts[0] }));
+      (yield getSigners(wallet)).should.eql([accounts[0], accounts[1], accounts[2]]);
+    }));
+
+    it("Signers can not be added, removed or replaced in safe mode", co(function *() {
+      yield wallet.activateSafeMode({ from: accounts[0] });
+      var time = expireTime();
+      yield expectFail(wallet.addSigner(accounts[3], time, sequenceId, sign(accounts[1], "ADDSIGNER", [accounts[3]], time, sequenceId), { from: accounts[0] }));
+      yield expectFail(wallet.replaceSigner(accounts[2], accounts[3], time, sequenceId, sign(accounts[1], "REPLACESIGNER", [accounts[2], accounts[3]], time, sequenceId), { from: accounts[0] }));
+      yield expectFail(wallet.removeSigner(accounts[2], time, sequenceId, sign(accounts[1], "REMOVESIGNER", [accounts[2]], time, sequenceId), { from: accounts[0] }));
+      (yield getSigners(wallet)).should.eql([accounts[0], accounts[1], accounts[2]]);
+    }));
+
+    it("Client rotates signers", co(function *() {
+      var client = new WalletSimpleClient({ wallet: wallet, web3: web3 });
+      yield client.replaceSigner({ oldSigner: accounts[2], newSigner: accounts[3], expireTime: expireTime(), otherSigner: accounts[1], from: accounts[0] });
+      yield client.addSigner({ signer: accounts[4], expireTime: expireTime(), otherSigner: accounts[3], from: accounts[0] });
+
+      // A signature produced elsewhere
+      var params = { signer: accounts[0], expireTime: expireTime(), sequenceId: yield client.getNextSequenceId(), from: accounts[4] };
+      params.signature = yield client.signSignerOperation(accounts[1], _.extend({ action: 'remove' }, params));
+      yield client.removeSigner(params);
+      (yield client.getSigners()).should.eql([accounts[4], accounts[1], accounts[3]]);
+    }));
+  });
+
   describe("Forwarder addresses", function() {
     var forwardAbi = [{"constant":false,"inputs":[],"name":"flush","outputs":[],"type":"function"},{"constant":true,"inputs":[],"name":"destinationAddress","outputs":[{"name":"","type":"address"}],"type":"function"},{"inputs":[],"type":"constructor"}];
     var forwardContract = web3.eth.contract(forwardAbi);
 
     it("Create and forward", co(function *() {
-      var wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]]);
+      var wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]], helpers.getNetworkId());
       var forwarderContractAddress = util.bufferToHex(util.generateAddress(wallet.address, 0));
       var deployTxHash = yield wallet.createForwarder({ from: accounts[0] });
       web3.fromWei(web3.eth.getBalance(forwarderContractAddress), 'ether').should.eql(web3.toBigNumber(0));
@@ -812,7 +1628,7 @@ contract('WalletSimple', function(accounts) {
     it("Multiple forward contracts", co(function *() {
       var numForwardAddresses = 10;
       var etherEachSend = 4;
-      var wallet = yield WalletSimple.new([accounts[2], accounts[3], accounts[4]]);
+      var wallet = yield WalletSimple.new([accounts[2], accounts[3], accounts[4]], helpers.getNetworkId());
 
       // Create forwarders and send 4 ether to each of the addresses
       for (var i=0; i < numForwardAddresses; i++) {
@@ -828,7 +1644,7 @@ contract('WalletSimple', function(accounts) {
     }));
 
     it("Send before create, then flush", co(function *() {
-      var wallet = yield WalletSimple.new([accounts[3], accounts[4], accounts[5]]);
+      var wallet = yield WalletSimple.new([accounts[3], accounts[4], accounts[5]], helpers.getNetworkId());
       var forwarderContractAddress = util.bufferToHex(util.generateAddress(wallet.address, 0));
       web3.eth.sendTransaction({from: accounts[1], to: forwarderContractAddress, value: web3.toWei(300, "ether")});
       web3.fromWei(web3.eth.getBalance(forwarderContractAddress), 'ether').should.eql(web3.toBigNumber(300));
@@ -847,7 +1663,7 @@ contract('WalletSimple', function(accounts) {
     }));
 
     it("Flush sent from external account", co(function *() {
-      var wallet = yield WalletSimple.new([accounts[4], accounts[5], accounts[6]]);
+      var wallet = yield WalletSimple.new([accounts[4], accounts[5], accounts[6]], helpers.getNetworkId());
       var forwarderContractAddress = util.bufferToHex(util.generateAddress(wallet.address, 0));
       web3.eth.sendTransaction({from: accounts[1], to: forwarderContractAddress, value: web3.toWei(300, "ether")});
       web3.fromWei(web3.eth.getBalance(forwarderContractAddress), 'ether').should.eql(web3.toBigNumber(300));
@@ -864,6 +1680,34 @@ contract('WalletSimple', function(accounts) {
       web3.fromWei(web3.eth.getBalance(forwarderContractAddress), 'ether').should.eql(web3.toBigNumber(0));
       web3.fromWei(web3.eth.getBalance(wallet.address), 'ether').should.eql(web3.toBigNumber(300));
     }));
+
+    it("Flush tokens from a forwarder", co(function *() {
+      var wallet = yield WalletSimple.new([accounts[0], accounts[1], accounts[2]], helpers.getNetworkId());
+      var forwarderContractAddress = util.bufferToHex(util.generateAddress(wallet.address, 0));
+      yield wallet.createForwarder({ from: accounts[0] });
+      var token = yield ERC20Mock.new(1000, { from: accounts[3] });
+      yield token.transfer(forwarderContractAddress, 400, { from: accounts[3] });
+
+      // Only signers may flush
+      try {
+        yield wallet.flushForwarderTokens(forwarderContractAddress, token.address, { from: accounts[5] });
+        throw new Error("should not be here");
+      } catch(err) {
+        err.message.toString().should.startWith("Error: VM Exception");
+      }
+      // The forwarder only accepts flushes from the wallet
+      try {
+        yield Forwarder.at(forwarderContractAddress).flushTokens(token.address, { from: accounts[0] });
+        throw new Error("should not be here");
+      } catch(err) {
+        err.message.toString().should.startWith("Error: VM Exception");
+      }
+
+      var txHash = yield wallet.flushForwarderTokens(forwarderContractAddress, token.address, { from: accounts[1] });
+      (yield token.balanceOf.call(forwarderContractAddress)).should.eql(web3.toBigNumber(0));
+      (yield token.balanceOf.call(wallet.address)).should.eql(web3.toBigNumber(400));
+      yield helpers.expectEvent(Forwarder.at(forwarderContractAddress), txHash, 'TokensFlushed', { tokenContractAddress: token.address, value: 400 });
+    }));
   });
 });
 
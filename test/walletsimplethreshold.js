@@ -0,0 +1,239 @@
+/* jshint undef: false, unused: true */
+
+require('should');
+var Promise = require('bluebird');
+var co = Promise.coroutine;
+var _ = require('lodash');
+var util = require('ethereumjs-util');
+
+var helpers = require('./helpers');
+var signatures = require('../lib/signatures');
+var WalletSimpleThresholdClient = require('../lib/walletsimplethreshold');
+
+contract('WalletSimpleThreshold', function(accounts) {
+  var expireTime = function() {
+    return Math.floor((new Date().getTime()) / 1000) + 60; // 60 seconds
+  };
+
+  var expectFail = co(function *(promise) {
+    try {
+      yield promise;
+      throw new Error("should not be here");
+    } catch(err) {
+      err.message.toString().should.startWith("Error: VM Exception");
+    }
+  });
+
+  var deployWallet = function(signers, required) {
+    return WalletSimpleThresholdClient.deploy({
+      WalletSimpleThreshold: WalletSimpleThreshold,
+      web3: web3,
+      signers: signers,
+      required: required,
+      from: accounts[0]
+    });
+  };
+
+  describe("Wallet creation", function() {
+    var checkWallet = co(function *(signers, required) {
+      var client = yield deployWallet(signers, required);
+      var info = yield client.getInfo();
+      info.signers.should.eql(signers);
+      info.required.should.eql(required);
+      info.safeMode.should.eql(false);
+
+      var isSignerArray = yield Promise.all(signers.concat([accounts[9]]).map(function(address) {
+        return client.isSigner(address);
+      }));
+      isSignerArray.should.eql(signers.map(_.constant(true)).concat([false]));
+    });
+
+    it("2 of 3 multisig wallet", co(function *() {
+      yield checkWallet([accounts[0], accounts[1], accounts[2]], 2);
+    }));
+
+    it("2 of 2 multisig wallet", co(function *() {
+      yield checkWallet([accounts[0], accounts[1]], 2);
+    }));
+
+    it("2 of 4 multisig wallet", co(function *() {
+      yield checkWallet([accounts[0], accounts[1], accounts[2], accounts[8]], 2);
+    }));
+
+    it("3 of 5 multisig wallet", co(function *() {
+      yield checkWallet([accounts[0], accounts[1], accounts[2], accounts[3], accounts[4]], 3);
+    }));
+
+    it("5 of 5 multisig wallet", co(function *() {
+      yield checkWallet([accounts[0], accounts[1], accounts[2], accounts[3], accounts[4]], 5);
+    }));
+
+    it("Not enough signer addresses", co(function *() {
+      try {
+        yield WalletSimpleThreshold.new([accounts[0]], 2, helpers.getNetworkId());
+        throw new Error("should not be here");
+      } catch(e) {
+        e.message.should.not.containEql("should not be here");
+      }
+    }));
+
+    it("Required count out of range", co(function *() {
+      var signers = [accounts[0], accounts[1], accounts[2]];
+      var required = [0, 1, 4];
+      for (var i = 0; i < required.length; i++) {
+        try {
+          yield WalletSimpleThreshold.new(signers, required[i], helpers.getNetworkId());
+          throw new Error("should not be here");
+        } catch(e) {
+          e.message.should.not.containEql("should not be here");
+        }
+      }
+    }));
+
+    it("Duplicate signer addresses", co(function *() {
+      try {
+        yield WalletSimpleThreshold.new([accounts[0], accounts[1], accounts[0]], 2, helpers.getNetworkId());
+        throw new Error("should not be here");
+      } catch(e) {
+        e.message.should.not.containEql("should not be here");
+      }
+    }));
+  });
+
+  describe("Sending with 3 of 5 signers", function() {
+    var client;
+    var wallet;
+    var sequenceId;
+
+    before(co(function *() {
+      client = yield deployWallet([accounts[0], accounts[1], accounts[2], accounts[3], accounts[4]], 3);
+      wallet = client.wallet;
+      web3.eth.sendTransaction({ from: accounts[0], to: client.address, value: web3.toWei(100, "ether") });
+    }));
+
+    beforeEach(co(function *() {
+      sequenceId = yield client.getNextSequenceId();
+    }));
+
+    // Signs a 1 ether transfer to accounts[5] with each of the signers
+    var sign = function(signers, time) {
+      var operationHash = helpers.getSha3ForConfirmationTx(wallet.address, accounts[5], 1, "", time, sequenceId);
+      return signers.map(function(signer) {
+        return helpers.sign(signer, operationHash);
+      });
+    };
+
+    var send = function(signature, time, from) {
+      return wallet.sendMultiSig(accounts[5], web3.toWei(1, "ether"), "", time, sequenceId, signature, { from: from || accounts[0] });
+    };
+
+    it("Send with the signatures of 2 other signers", co(function *() {
+      var destinationStartEther = web3.fromWei(web3.eth.getBalance(accounts[5]), 'ether');
+      var time = expireTime();
+      var operationHash = util.addHexPrefix(helpers.getSha3ForConfirmationTx(wallet.address, accounts[5], 1, "", time, sequenceId));
+      var ordered = signatures.orderSignatures(operationHash, sign([accounts[4], accounts[2]], time));
+      _.map(ordered, 'signer').should.eql(_.sortBy([accounts[4], accounts[2]]));
+
+      var txHash = yield send(signatures.packSignatures(operationHash, _.map(ordered, 'signature')), time);
+      web3.fromWei(web3.eth.getBalance(accounts[5]), 'ether').should.eql(destinationStartEther.plus(1));
+
+      var approvals = yield helpers.expectEvent(wallet, txHash, 'SignerApproved', { operation: operationHash });
+      _.map(approvals, 'args.signer').should.eql(_.map(ordered, 'signer'));
+      yield helpers.expectEvent(wallet, txHash, 'Transacted', { msgSender: accounts[0], otherSigner: ordered[0].signer, operation: operationHash });
+    }));
+
+    it("Client collects and orders the signatures", co(function *() {
+      var txHash = yield client.sendMultiSig({
+        to: accounts[6],
+        value: web3.toWei(1, "ether"),
+        expireTime: expireTime(),
+        otherSigners: [accounts[3], accounts[1]],
+        from: accounts[2]
+      });
+      (yield helpers.expectEvent(wallet, txHash, 'SignerApproved')).length.should.eql(2);
+
+      // Signatures collected elsewhere may be given in any order
+      var params = { to: accounts[5], value: web3.toWei(1, "ether"), expireTime: expireTime(), sequenceId: sequenceId + 1, from: accounts[1] };
+      var operationHash = client.getOperationHash(params);
+      params.signatures = [helpers.sign(accounts[4], operationHash), helpers.sign(accounts[0], operationHash)];
+      txHash = yield client.sendMultiSig(params);
+      (yield helpers.expectEvent(wallet, txHash, 'SignerApproved')).length.should.eql(2);
+    }));
+
+    it("Signatures out of order should fail", co(function *() {
+      var time = expireTime();
+      var operationHash = helpers.getSha3ForConfirmationTx(wallet.address, accounts[5], 1, "", time, sequenceId);
+      var ordered = signatures.orderSignatures(operationHash, sign([accounts[1], accounts[2]], time));
+      yield expectFail(send('0x' + util.stripHexPrefix(ordered[1].signature) + util.stripHexPrefix(ordered[0].signature), time));
+    }));
+
+    it("Same signer signing twice should fail", co(function *() {
+      var time = expireTime();
+      var signature = sign([accounts[1]], time)[0];
+      yield expectFail(send(signature + util.stripHexPrefix(signature), time));
+      (function() {
+        signatures.packSignatures(helpers.getSha3ForConfirmationTx(wallet.address, accounts[5], 1, "", time, sequenceId), [signature, signature]);
+      }).should.throw(/more than one signature/);
+    }));
+
+    it("Sender signing for itself should fail", co(function *() {
+      var time = expireTime();
+      var operationHash = helpers.getSha3ForConfirmationTx(wallet.address, accounts[5], 1, "", time, sequenceId);
+      yield expectFail(send(signatures.packSignatures(operationHash, sign([accounts[0], accounts[1]], time)), time));
+    }));
+
+    it("Too few or too many signatures should fail", co(function *() {
+      var time = expireTime();
+      var operationHash = helpers.getSha3ForConfirmationTx(wallet.address, accounts[5], 1, "", time, sequenceId);
+      yield expectFail(send(signatures.packSignatures(operationHash, sign([accounts[1]], time)), time));
+      yield expectFail(send(signatures.packSignatures(operationHash, sign([accounts[1], accounts[2], accounts[3]], time)), time));
+    }));
+
+    it("Signature of a non-signer should fail", co(function *() {
+      var time = expireTime();
+      var operationHash = helpers.getSha3ForConfirmationTx(wallet.address, accounts[5], 1, "", time, sequenceId);
+      yield expectFail(send(signatures.packSignatures(operationHash, sign([accounts[1], accounts[7]], time)), time));
+    }));
+
+    it("Token transfers and batches need the same number of signatures", co(function *() {
+      var token = yield ERC20Mock.new(1000, { from: accounts[0] });
+      yield token.transfer(client.address, 100, { from: accounts[0] });
+      var time = expireTime();
+      var operationHash = helpers.getSha3ForTokenConfirmationTx(wallet.address, accounts[5], 40, token.address, time, sequenceId);
+      yield expectFail(wallet.sendMultiSigToken(accounts[5], 40, token.address, time, sequenceId, helpers.sign(accounts[1], operationHash), { from: accounts[0] }));
+      yield client.sendMultiSigToken({ to: accounts[5], value: 40, tokenContractAddress: token.address, expireTime: time, otherSigners: [accounts[1], accounts[2]], from: accounts[0] });
+      (yield token.balanceOf.call(accounts[5])).should.eql(web3.toBigNumber(40));
+
+      var txHash = yield client.sendMultiSigBatch({
+        recipients: [accounts[5], accounts[6]],
+        values: [web3.toWei(1, "ether"), web3.toWei(2, "ether")],
+        expireTime: expireTime(),
+        otherSigners: [accounts[3], accounts[4]],
+        from: accounts[0]
+      });
+      (yield helpers.expectEvent(wallet, txHash, 'BatchTransacted')).length.should.eql(2);
+    }));
+  });
+
+  it("Signers can not be removed below the requirement", co(function *() {
+    var client = yield deployWallet([accounts[0], accounts[1], accounts[2], accounts[3]], 3);
+    var time = Math.floor((new Date().getTime()) / 1000) + 60;
+    var txHash = yield client.removeSigner({ signer: accounts[3], expireTime: time, otherSigners: [accounts[1], accounts[2]], from: accounts[0] });
+    (yield helpers.expectEvent(client.wallet, txHash, 'SignerApproved')).length.should.eql(2);
+    (yield client.getSigners()).should.eql([accounts[0], accounts[1], accounts[2]]);
+
+    yield expectFail(client.removeSigner({ signer: accounts[2], expireTime: time, otherSigners: [accounts[1], accounts[2]], from: accounts[0] }));
+    // Replacing keeps the number of signers
+    yield client.replaceSigner({ oldSigner: accounts[2], newSigner: accounts[3], expireTime: time, otherSigners: [accounts[1], accounts[2]], from: accounts[0] });
+    (yield client.getSigners()).should.eql([accounts[0], accounts[1], accounts[3]]);
+  }));
+
+  it("Splits packed signatures", function() {
+    var a = '0x' + _.repeat('ab', 65);
+    var b = '0x' + _.repeat('cd', 65);
+    signatures.splitSignatures(a + util.stripHexPrefix(b)).should.eql([a, b]);
+    (function() {
+      signatures.splitSignatures(a + 'ef');
+    }).should.throw(/multiple of 65 bytes/);
+  });
+});
@@ -15,6 +15,8 @@ module.exports = {
   ],
   rpc: {
     host: "localhost",
-    port: 8545
+    port: 8545,
+    // Deploying Wallet takes more than truffle's default of 3141592
+    gas: 6500000
   }
 };